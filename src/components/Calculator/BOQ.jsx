@@ -1,18 +1,67 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import HVACDataService from '../../services/hvacDataService';
 import * as XLSX from 'xlsx';
 import { jsPDF } from 'jspdf';
 import autoTable from 'jspdf-autotable';
 import toast from '../../utils/toast';
+import { getIDUType, getIDUTypeKey } from '../../utils/equipmentCatalog';
+import {
+  toISODate,
+  priceLine,
+  priceSchedule,
+  getMissingRates,
+  getRateVersion,
+  getAccessoryRateCode,
+  getODURateCode
+} from '../../utils/rateLibrary';
+import { useRateLibrary } from '../../hooks/useRateLibrary';
+import { useOrganization } from '../../hooks/useOrganization';
+import { calculateCostSummary, createCostStructure, findGSTState, getCostSummaryRows } from '../../utils/costStructure';
+import { buildBOQWorkbook, getBOQWorkbookName } from '../../utils/boqWorkbook';
+import { buildEngineeringReport, renderEngineeringReportPDF, getEngineeringReportName } from '../../utils/engineeringReport';
+import { getLetterhead, drawLetterhead, drawSignatureBlock, drawLetterheadFooters } from '../../utils/letterhead';
+import { CHW_SCHEDULE_SECTIONS } from '../../utils/chilledWaterSystem';
+import { getRoomCoilProcess } from '../../utils/ahuCoilProcess';
+import { getProcessChartData, exportSvgToPNG } from '../../utils/psychrometricChart';
+import PsychrometricChart from './PsychrometricChart';
+import RateLibraryPanel from './RateLibraryPanel';
+import CostStructurePanel from './CostStructurePanel';
+import LetterheadPanel from './LetterheadPanel';
 import './BOQ.css';
 
 /**
  * BOQ (Bill of Quantities) Component
- * Professional BOQ generation with Excel and PDF export
+ * Professional BOQ generation with Excel (tender workbook, priced or
+ * unpriced - see buildBOQWorkbook) and PDF export
  * Comprehensive cost breakdown for HVAC projects
+ * Every line is priced from the user's rate library (see priceLine) and the
+ * BOQ records the library version it was priced with. The cost summary
+ * follows the project's cost structure (see calculateCostSummary), saved
+ * with the BOQ. Every export is printed on the chosen letterhead of the
+ * user's organization (see getLetterhead).
  */
 
+// "Schedule of rates v3 (saved 12/10/2026), priced 19/10/2026"
+const describeRateVersion = (rateVersion) => {
+  if (!rateVersion) return 'not recorded';
+  const date = (iso) => new Date(iso).toLocaleDateString('en-IN');
+  const version = rateVersion.version > 0
+    ? `v${rateVersion.version}${rateVersion.updatedAt ? ` (saved ${date(rateVersion.updatedAt)})` : ''}`
+    : '(reference rates)';
+  return `${rateVersion.name} ${version}, priced ${date(rateVersion.pricedOn)}`;
+};
+
+// Psychrometric chart on its own page, at the full text width
+const addChartPage = (doc, chart, png) => {
+  if (!chart || !png) return;
+  doc.addPage();
+  doc.setFontSize(14);
+  doc.text(`PSYCHROMETRIC CHART - ${chart.title.toUpperCase()}`, 20, 20);
+  const { width, height } = doc.getImageProperties(png);
+  doc.addImage(png, 'PNG', 15, 28, 180, (180 * height) / width);
+};
+
 const BOQ = ({ 
   designData, 
   spaceData, 
@@ -21,6 +70,7 @@ const BOQ = ({
   onRegisterExport,
   onBack,
   onSave,
+  onConflict,
   projectId,
   user 
 }) => {
@@ -30,15 +80,53 @@ const BOQ = ({
   const [loading, setLoading] = useState(true);
   const [isSaved, setIsSaved] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [chartPNG, setChartPNG] = useState(null);
+  const chartRef = useRef(null);
+  const rates = useRateLibrary(user?.uid);
+  const rateLibrary = rates.library;
+  const organizations = useOrganization(user?.uid);
+  const [letterheadTemplate, setLetterheadTemplate] = useState('');
+  const letterhead = useMemo(
+    () => getLetterhead(organizations.saved ? organizations.organization : null, letterheadTemplate),
+    [organizations.saved, organizations.organization, letterheadTemplate]
+  );
+  // The site defaults to the design location's state
+  const [costStructure, setCostStructure] = useState(() => createCostStructure({
+    siteState: findGSTState(designData?.meta?.climateStation?.state)?.name || ''
+  }));
+
+  // Coil process of the zone with the largest coil load, or the design points alone
+  const reportChart = useMemo(() => {
+    const pressure = designData?.ambient?.pressure;
+    const governing = Object.values(spaceData?.roomCalculations || {})
+      .map(calc => ({ calc, process: getRoomCoilProcess(calc, pressure) }))
+      .filter(zone => zone.process)
+      .reduce((largest, zone) => (!largest || zone.process.coil.tons > largest.process.coil.tons ? zone : largest), null);
+    if (governing) {
+      return {
+        title: `${governing.calc.roomName || 'Zone'} coil process`,
+        pressure,
+        data: getProcessChartData({ coilProcess: governing.process, pressure })
+      };
+    }
+    const data = getProcessChartData({
+      outdoor: { dbF: parseFloat(designData?.ambient?.dbF), grains: parseFloat(designData?.ambient?.grainsPerLb) },
+      room: { dbF: parseFloat(designData?.inside?.dbF), grains: parseFloat(designData?.inside?.grainsPerLb) }
+    });
+    return data.points.length > 0 ? { title: 'Design conditions', pressure, data } : null;
+  }, [designData, spaceData]);
 
   // Check if BOQ was already saved (when loading existing project)
   useEffect(() => {
     const checkIfSaved = async () => {
       if (projectId && user) {
         try {
-          const result = await HVACDataService.loadProjectData(projectId, user.uid);
+          const result = await HVACDataService.loadProjectData(projectId, user.uid, ['boqData']);
           if (result.success && result.data?.boqData) {
             setIsSaved(true);
+            if (result.data.boqData.costStructure) {
+              setCostStructure(createCostStructure(result.data.boqData.costStructure));
+            }
             console.log('✅ BOQ already saved in Firebase');
           }
         } catch (error) {
@@ -51,6 +139,9 @@ const BOQ = ({
 
   // Initialize BOQ data
   useEffect(() => {
+    if (rates.loading) return;
+    const pricedOn = toISODate();
+
     const generateIndoorUnitsSection = () => {
       const indoorUnits = {};
       
@@ -65,21 +156,26 @@ const BOQ = ({
             const quantity = parseInt(room.acQuantity) || 0;
             const capacity = room.selectedCapacity || 'Unknown';
             
-            const key = `${acType}_${capacity}TR`;
+            const key = `${acType}_${capacity}TR_${room.selectedModel || ''}`;
             const displayName = `${getACTypeName(acType)} - ${capacity} TR`;
             
             if (indoorUnits[key]) {
               indoorUnits[key].quantity += quantity;
-              indoorUnits[key].totalPrice = indoorUnits[key].quantity * indoorUnits[key].unitPrice;
+              indoorUnits[key].totalPrice = Math.round(indoorUnits[key].quantity * indoorUnits[key].unitPrice);
             } else {
-              indoorUnits[key] = {
+              // The model's own rate, else the type's and then the generic rate per TR
+              indoorUnits[key] = priceLine(rateLibrary, {
+                code: room.selectedModel || `IDU-${getIDUTypeKey(acType) || acType}`,
                 type: displayName,
-                model: `${getACTypeName(acType)} IDU`,
+                model: room.selectedModel || `${getACTypeName(acType)} IDU`,
                 quantity: quantity,
-                unitPrice: getACTypePrice(acType, capacity),
-                totalPrice: quantity * getACTypePrice(acType, capacity),
+                unitPrice: 0,
                 unit: 'nos'
-              };
+              }, {
+                codes: [room.selectedModel, `IDU-${getIDUTypeKey(acType) || acType}`, 'IDU'],
+                capacity: { TR: parseFloat(capacity) },
+                date: pricedOn
+              });
             }
           }
         });
@@ -88,37 +184,26 @@ const BOQ = ({
       return indoorUnits;
     };
 
-    const getACTypeName = (key) => {
-      const typeMap = {
-        'wallMounted': 'Wall Mounted',
-        'roundCST': 'Round CST',
-        'cassette4Way2x2': '4 Way Cassette 2x2',
-        'cassette4Way3x3': '4 Way Cassette 3x3',
-        'cassette2Way': '2 Way Cassette',
-        'cassette1Way': '1 Way Cassette',
-        'lowStaticDuct': 'Low Static Duct',
-        'highStaticDuct': 'High Static Duct',
-        'flrs': 'FLRS'
-      };
-      return typeMap[key] || key;
-    };
+    const getACTypeName = (key) => getIDUType(key)?.name || key;
 
-    const getACTypePrice = (type, capacity) => {
-      // Base price calculation based on capacity and type
-      const basePrice = parseFloat(capacity) * 15000; // ₹15k per TR base
-      const typeMultiplier = {
-        'wallMounted': 1.0,
-        'roundCST': 1.2,
-        'cassette4Way2x2': 1.3,
-        'cassette4Way3x3': 1.4,
-        'cassette2Way': 1.25,
-        'cassette1Way': 1.2,
-        'lowStaticDuct': 1.5,
-        'highStaticDuct': 1.6,
-        'flrs': 1.8
-      };
-      return Math.round(basePrice * (typeMultiplier[type] || 1.0));
-    };
+    // The model's own rate, else the discharge type's and then the generic rate per HP
+    const priceODU = (model, type, line, hp) => priceLine(rateLibrary, {
+      code: model || getODURateCode(type),
+      unitPrice: 0,
+      ...line
+    }, {
+      codes: [model, getODURateCode(type), 'ODU'],
+      capacity: { HP: parseFloat(hp) },
+      date: pricedOn
+    });
+
+    // Inventory items by their accessory rate; custom items keep the price entered for them
+    const generateAccessoriesSection = () => Object.fromEntries(
+      Object.entries(inventoryData?.inventory || {}).map(([key, item]) => [key, item.isCustom
+        ? { ...item, totalPrice: Math.round((item.quantity || 0) * (item.unitPrice || 0)) }
+        : priceLine(rateLibrary, { ...item, code: item.code || getAccessoryRateCode(key), item: item.name }, { date: pricedOn })
+      ])
+    );
 
     const generateOutdoorUnitsSection = () => {
       const outdoorUnits = {};
@@ -133,20 +218,18 @@ const BOQ = ({
           if (room.combinedHP && room.combinedQty > 0) {
             const hp = room.combinedHP;
             const quantity = parseInt(room.combinedQty) || 0;
-            const key = `Combined_${hp}HP`;
+            const key = `Combined_${hp}HP_${room.combinedModel || ''}`;
             
             if (outdoorUnits[key]) {
               outdoorUnits[key].quantity += quantity;
-              outdoorUnits[key].totalPrice = outdoorUnits[key].quantity * outdoorUnits[key].unitPrice;
+              outdoorUnits[key].totalPrice = Math.round(outdoorUnits[key].quantity * outdoorUnits[key].unitPrice);
             } else {
-              outdoorUnits[key] = {
+              outdoorUnits[key] = priceODU(room.combinedModel, 'combined', {
                 type: `Combined ${hp} HP ODU`,
-                model: `ODU-Combined-${hp}HP`,
+                model: room.combinedModel || `ODU-Combined-${hp}HP`,
                 quantity: quantity,
-                unitPrice: parseFloat(hp) * 12000, // ₹12k per HP
-                totalPrice: quantity * parseFloat(hp) * 12000,
                 unit: 'nos'
-              };
+              }, hp);
             }
           }
           
@@ -154,20 +237,18 @@ const BOQ = ({
           if (room.topDischargeHP && room.topDischargeQty > 0) {
             const hp = room.topDischargeHP;
             const quantity = parseInt(room.topDischargeQty) || 0;
-            const key = `TopDischarge_${hp}HP`;
+            const key = `TopDischarge_${hp}HP_${room.topDischargeModel || ''}`;
             
             if (outdoorUnits[key]) {
               outdoorUnits[key].quantity += quantity;
-              outdoorUnits[key].totalPrice = outdoorUnits[key].quantity * outdoorUnits[key].unitPrice;
+              outdoorUnits[key].totalPrice = Math.round(outdoorUnits[key].quantity * outdoorUnits[key].unitPrice);
             } else {
-              outdoorUnits[key] = {
+              outdoorUnits[key] = priceODU(room.topDischargeModel, 'topDischarge', {
                 type: `Top Discharge ${hp} HP ODU`,
-                model: `ODU-TopDischarge-${hp}HP`,
+                model: room.topDischargeModel || `ODU-TopDischarge-${hp}HP`,
                 quantity: quantity,
-                unitPrice: parseFloat(hp) * 13000, // ₹13k per HP (premium)
-                totalPrice: quantity * parseFloat(hp) * 13000,
                 unit: 'nos'
-              };
+              }, hp);
             }
           }
           
@@ -175,20 +256,18 @@ const BOQ = ({
           if (room.sideDischargeHP && room.sideDischargeQty > 0) {
             const hp = room.sideDischargeHP;
             const quantity = parseInt(room.sideDischargeQty) || 0;
-            const key = `SideDischarge_${hp}HP`;
+            const key = `SideDischarge_${hp}HP_${room.sideDischargeModel || ''}`;
             
             if (outdoorUnits[key]) {
               outdoorUnits[key].quantity += quantity;
-              outdoorUnits[key].totalPrice = outdoorUnits[key].quantity * outdoorUnits[key].unitPrice;
+              outdoorUnits[key].totalPrice = Math.round(outdoorUnits[key].quantity * outdoorUnits[key].unitPrice);
             } else {
-              outdoorUnits[key] = {
+              outdoorUnits[key] = priceODU(room.sideDischargeModel, 'sideDischarge', {
                 type: `Side Discharge ${hp} HP ODU`,
-                model: `ODU-SideDischarge-${hp}HP`,
+                model: room.sideDischargeModel || `ODU-SideDischarge-${hp}HP`,
                 quantity: quantity,
-                unitPrice: parseFloat(hp) * 11000, // ₹11k per HP (compact)
-                totalPrice: quantity * parseFloat(hp) * 11000,
                 unit: 'nos'
-              };
+              }, hp);
             }
           }
         });
@@ -197,42 +276,6 @@ const BOQ = ({
       return outdoorUnits;
     };
 
-    const calculateCostSummary = () => {
-      let totalIDU = 0;
-      let totalODU = 0;
-      let totalAccessories = 0;
-      
-      // Sum IDU costs
-      Object.values(generateIndoorUnitsSection()).forEach(unit => {
-        totalIDU += unit.totalPrice || 0;
-      });
-      
-      // Sum ODU costs
-      Object.values(generateOutdoorUnitsSection()).forEach(unit => {
-        totalODU += unit.totalPrice || 0;
-      });
-      
-      // Sum accessories (if available)
-      if (inventoryData?.inventory) {
-        Object.values(inventoryData.inventory).forEach(item => {
-          totalAccessories += (item.quantity || 0) * (item.unitPrice || 0);
-        });
-      }
-      
-      const subtotal = totalIDU + totalODU + totalAccessories;
-      const gst = subtotal * 0.18; // 18% GST
-      const grandTotal = subtotal + gst;
-      
-      return {
-        totalIDU,
-        totalODU,
-        totalAccessories,
-        subtotal,
-        gst,
-        grandTotal
-      };
-    };
-
     const validateFormsCompletion = () => {
       console.log('🔍 Validating forms completion...');
       console.log('🔍 designData:', designData);
@@ -251,6 +294,12 @@ const BOQ = ({
         return false;
       }
       
+      // A chilled water design stands in for per-room AC selections
+      if (equipmentData.chilledWaterSchedule?.length > 0) {
+        console.log(`✅ Chilled water system with ${equipmentData.chilledWaterSchedule.length} BOQ lines`);
+        return true;
+      }
+      
       // Check if at least one room has equipment selected
       let hasEquipmentSelection = false;
       let equipmentCount = 0;
@@ -285,6 +334,23 @@ const BOQ = ({
           return;
         }
         
+        const sections = {
+          // Indoor Units from equipment data
+          indoorUnits: generateIndoorUnitsSection(),
+          
+          // Outdoor Units from equipment data
+          outdoorUnits: generateOutdoorUnitsSection(),
+          
+          // Refrigerant piping schedule from the piping layouts
+          refrigerantPiping: priceSchedule(rateLibrary, equipmentData?.pipingSchedule || [], pricedOn),
+          
+          // Chilled water system schedule from the chiller plant design
+          chilledWater: priceSchedule(rateLibrary, equipmentData?.chilledWaterSchedule || [], pricedOn),
+          
+          // Accessories from inventory data
+          accessories: generateAccessoriesSection()
+        };
+        
         const boq = {
           projectInfo: {
             name: designData?.meta?.projectName || spaceData?.buildingData?.name || 'Untitled Project',
@@ -293,17 +359,21 @@ const BOQ = ({
             buildingType: designData?.meta?.buildingType || spaceData?.buildingData?.buildingType || 'N/A'
           },
           
-          // Indoor Units from equipment data
-          indoorUnits: generateIndoorUnitsSection(),
-          
-          // Outdoor Units from equipment data
-          outdoorUnits: generateOutdoorUnitsSection(),
+          ...sections,
           
-          // Accessories from inventory data
-          accessories: inventoryData?.inventory || {},
+          // Cost Summary under the project's cost structure
+          summary: calculateCostSummary(sections, costStructure),
+          costStructure,
           
-          // Cost Summary
-          summary: calculateCostSummary()
+          // Rate library version the lines were priced from, and what it does not cover
+          rateVersion: getRateVersion(rateLibrary, pricedOn),
+          missingRates: getMissingRates([
+            ...Object.values(sections.indoorUnits),
+            ...Object.values(sections.outdoorUnits),
+            ...sections.refrigerantPiping,
+            ...sections.chilledWater,
+            ...Object.values(sections.accessories)
+          ])
         };
         
         setBOQData(boq);
@@ -319,7 +389,40 @@ const BOQ = ({
     };
 
     generateBOQ();
-  }, [designData, spaceData, equipmentData, inventoryData]);
+  }, [designData, spaceData, equipmentData, inventoryData, rateLibrary, rates.loading, costStructure]);
+
+  // Tender workbook; the unpriced copy goes out to bidders
+  const exportToExcel = (priced) => {
+    if (!boqData) {
+      toast.error('No BOQ data to export');
+      return;
+    }
+    try {
+      const workbook = buildBOQWorkbook(boqData, {
+        priced,
+        headerLines: [`Rates: ${describeRateVersion(boqData.rateVersion)}`],
+        letterhead: organizations.saved ? letterhead : null
+      });
+      XLSX.writeFile(workbook, getBOQWorkbookName(boqData, priced));
+      toast.success(`BOQ exported to Excel${priced ? '' : ' (unpriced)'} successfully!`);
+    } catch (error) {
+      console.error('Error exporting Excel:', error);
+      toast.error('Error exporting Excel');
+    }
+  };
+
+  // Full design report: design basis, room sheets, summaries, schedules, BOQ and warnings
+  const exportEngineeringReport = () => {
+    try {
+      const report = buildEngineeringReport({ designData, spaceData, equipmentData, boqData });
+      const { doc } = renderEngineeringReportPDF(report, { chartPNG, chartTitle: reportChart?.title, letterhead });
+      doc.save(getEngineeringReportName(report));
+      toast.success('Engineering report exported successfully!');
+    } catch (error) {
+      console.error('Error exporting engineering report:', error);
+      toast.error('Error exporting engineering report');
+    }
+  };
 
   // Save BOQ data to Firebase
   const handleSaveBOQ = async () => {
@@ -340,9 +443,13 @@ const BOQ = ({
           indoorUnits: Object.values(data.indoorUnits || {}),
           // Convert outdoor units object to array
           outdoorUnits: Object.values(data.outdoorUnits || {}),
+          refrigerantPiping: data.refrigerantPiping || [],
+          chilledWater: data.chilledWater || [],
           // Convert accessories object to array
           accessories: Object.values(data.accessories || {}),
-          summary: data.summary
+          summary: data.summary,
+          costStructure: data.costStructure,
+          rateVersion: data.rateVersion
         };
       };
       
@@ -372,12 +479,22 @@ const BOQ = ({
       
     } catch (error) {
       console.error('❌ Error saving BOQ:', error);
-      toast.error('Failed to save BOQ. Please try again.');
+      if (!onConflict?.(error, handleSaveBOQ)) {
+        toast.error('Failed to save BOQ. Please try again.');
+      }
     } finally {
       setSaving(false);
     }
   };
 
+  // Rasterize the chart once it is on screen, for the PDF
+  useEffect(() => {
+    if (!reportChart || loading || !chartRef.current) return;
+    exportSvgToPNG(chartRef.current)
+      .then(setChartPNG)
+      .catch(error => console.error('Error rendering psychrometric chart:', error));
+  }, [reportChart, loading]);
+
   // Register export function with parent
   useEffect(() => {
     const exportToPDF = () => {
@@ -390,15 +507,16 @@ const BOQ = ({
         const doc = new jsPDF();
         
         // Header
-        doc.setFontSize(18);
-        doc.text('BILL OF QUANTITIES', 105, 20, { align: 'center' });
+        const top = drawLetterhead(doc, letterhead, 'BILL OF QUANTITIES');
         
         doc.setFontSize(12);
-        doc.text(`Project: ${boqData.projectInfo.name}`, 20, 35);
-        doc.text(`Project No: ${boqData.projectInfo.number}`, 20, 45);
-        doc.text(`Date: ${boqData.projectInfo.date}`, 20, 55);
+        doc.text(`Project: ${boqData.projectInfo.name}`, 20, top);
+        doc.text(`Project No: ${boqData.projectInfo.number}`, 20, top + 10);
+        doc.text(`Date: ${boqData.projectInfo.date}`, 20, top + 20);
+        doc.setFontSize(9);
+        doc.text(`Rates: ${describeRateVersion(boqData.rateVersion)}`, 20, top + 27);
         
-        let yPosition = 70;
+        let yPosition = top + 35;
         
         // Indoor Units Table
         if (Object.keys(boqData.indoorUnits).length > 0) {
@@ -418,7 +536,9 @@ const BOQ = ({
             head: [['Description', 'Qty', 'Unit', 'Rate', 'Amount']],
             body: iduData,
             startY: yPosition,
-            theme: 'striped'
+            theme: 'striped',
+            headStyles: { fillColor: letterhead.colors.primary },
+            margin: { bottom: 24 }
           });
           
           yPosition = doc.lastAutoTable.finalY + 15;
@@ -442,33 +562,85 @@ const BOQ = ({
             head: [['Description', 'Qty', 'Unit', 'Rate', 'Amount']],
             body: oduData,
             startY: yPosition,
-            theme: 'striped'
+            theme: 'striped',
+            headStyles: { fillColor: letterhead.colors.primary },
+            margin: { bottom: 24 }
           });
           
           yPosition = doc.lastAutoTable.finalY + 15;
         }
         
+        // Refrigerant Piping Table
+        if (boqData.refrigerantPiping.length > 0) {
+          doc.setFontSize(14);
+          doc.text('REFRIGERANT PIPING', 20, yPosition);
+          yPosition += 10;
+          
+          autoTable(doc, {
+            head: [['Description', 'Qty', 'Unit', 'Rate', 'Amount']],
+            body: boqData.refrigerantPiping.map(item => [
+              item.item,
+              item.quantity,
+              item.unit,
+              `Rs ${item.unitPrice.toLocaleString('en-IN')}`,
+              `Rs ${item.totalPrice.toLocaleString('en-IN')}`
+            ]),
+            startY: yPosition,
+            theme: 'striped',
+            headStyles: { fillColor: letterhead.colors.primary },
+            margin: { bottom: 24 }
+          });
+          
+          yPosition = doc.lastAutoTable.finalY + 15;
+        }
+        
+        // Chilled Water System Tables, one per section
+        Object.entries(CHW_SCHEDULE_SECTIONS).forEach(([category, title]) => {
+          const items = boqData.chilledWater.filter(item => item.category === category);
+          if (items.length === 0) return;
+          
+          doc.setFontSize(14);
+          doc.text(title.toUpperCase(), 20, yPosition);
+          yPosition += 10;
+          
+          autoTable(doc, {
+            head: [['Description', 'Qty', 'Unit', 'Rate', 'Amount']],
+            body: items.map(item => [
+              item.item,
+              item.quantity,
+              item.unit,
+              `Rs ${item.unitPrice.toLocaleString('en-IN')}`,
+              `Rs ${item.totalPrice.toLocaleString('en-IN')}`
+            ]),
+            startY: yPosition,
+            theme: 'striped',
+            headStyles: { fillColor: letterhead.colors.primary },
+            margin: { bottom: 24 }
+          });
+          
+          yPosition = doc.lastAutoTable.finalY + 15;
+        });
+        
         // Summary
         doc.setFontSize(14);
         doc.text('COST SUMMARY', 20, yPosition);
         yPosition += 10;
         
-        const summaryData = [
-          ['Indoor Units Total', `Rs ${boqData.summary.totalIDU.toLocaleString('en-IN')}`],
-          ['Outdoor Units Total', `Rs ${boqData.summary.totalODU.toLocaleString('en-IN')}`],
-          ['Accessories Total', `Rs ${boqData.summary.totalAccessories.toLocaleString('en-IN')}`],
-          ['Subtotal', `Rs ${boqData.summary.subtotal.toLocaleString('en-IN')}`],
-          ['GST (18%)', `Rs ${boqData.summary.gst.toLocaleString('en-IN')}`],
-          ['Grand Total', `Rs ${boqData.summary.grandTotal.toLocaleString('en-IN')}`]
-        ];
+        const summaryData = getCostSummaryRows(boqData.summary, boqData.costStructure)
+          .map(row => [row.label, `Rs ${row.amount.toLocaleString('en-IN')}`]);
         
         autoTable(doc, {
           body: summaryData,
           startY: yPosition,
           theme: 'plain',
-          styles: { fontSize: 12 }
+          styles: { fontSize: 12 },
+          margin: { bottom: 24 }
         });
         
+        drawSignatureBlock(doc, letterhead, doc.lastAutoTable.finalY);
+        addChartPage(doc, reportChart, chartPNG);
+        drawLetterheadFooters(doc, letterhead);
+        
         // Save the PDF
         doc.save(`BOQ_${boqData.projectInfo.number}_${new Date().toISOString().split('T')[0]}.pdf`);
         toast.success('BOQ exported to PDF successfully!');
@@ -482,7 +654,7 @@ const BOQ = ({
     if (onRegisterExport) {
       onRegisterExport(exportToPDF);
     }
-  }, [boqData, onRegisterExport]);
+  }, [boqData, onRegisterExport, reportChart, chartPNG, letterhead]);
 
   if (loading) {
     return (
@@ -565,16 +737,17 @@ const BOQ = ({
               const doc = new jsPDF();
               
               // Header
-              doc.setFontSize(18);
-              doc.text('BILL OF QUANTITIES', 105, 20, { align: 'center' });
+              const top = drawLetterhead(doc, letterhead, 'BILL OF QUANTITIES');
               
               doc.setFontSize(12);
-              doc.text(`Project: ${boqData.projectInfo.name}`, 20, 35);
-              doc.text(`Project No: ${boqData.projectInfo.number}`, 20, 45);
-              doc.text(`Date: ${boqData.projectInfo.date}`, 20, 55);
-              doc.text(`Building Type: ${boqData.projectInfo.buildingType}`, 20, 65);
+              doc.text(`Project: ${boqData.projectInfo.name}`, 20, top);
+              doc.text(`Project No: ${boqData.projectInfo.number}`, 20, top + 10);
+              doc.text(`Date: ${boqData.projectInfo.date}`, 20, top + 20);
+              doc.text(`Building Type: ${boqData.projectInfo.buildingType}`, 20, top + 30);
+              doc.setFontSize(9);
+              doc.text(`Rates: ${describeRateVersion(boqData.rateVersion)}`, 20, top + 37);
               
-              let yPosition = 80;
+              let yPosition = top + 45;
               
               // Indoor Units Table
               if (Object.keys(boqData.indoorUnits).length > 0) {
@@ -595,7 +768,8 @@ const BOQ = ({
                   body: iduData,
                   startY: yPosition,
                   theme: 'striped',
-                  headStyles: { fillColor: [41, 128, 185] }
+                  headStyles: { fillColor: letterhead.colors.primary },
+                  margin: { bottom: 24 }
                 });
                 
                 yPosition = doc.lastAutoTable.finalY + 15;
@@ -626,12 +800,78 @@ const BOQ = ({
                   body: oduData,
                   startY: yPosition,
                   theme: 'striped',
-                  headStyles: { fillColor: [41, 128, 185] }
+                  headStyles: { fillColor: letterhead.colors.primary },
+                  margin: { bottom: 24 }
                 });
                 
                 yPosition = doc.lastAutoTable.finalY + 15;
               }
               
+              // Refrigerant Piping Table
+              if (boqData.refrigerantPiping.length > 0) {
+                // Add new page if needed
+                if (yPosition > 250) {
+                  doc.addPage();
+                  yPosition = 20;
+                }
+                
+                doc.setFontSize(14);
+                doc.text('REFRIGERANT PIPING', 20, yPosition);
+                yPosition += 10;
+                
+                const pipingData = boqData.refrigerantPiping.map(item => [
+                  item.item,
+                  item.quantity,
+                  item.unit,
+                  `Rs ${item.unitPrice.toLocaleString('en-IN')}`,
+                  `Rs ${item.totalPrice.toLocaleString('en-IN')}`
+                ]);
+                
+                autoTable(doc, {
+                  head: [['Description', 'Qty', 'Unit', 'Rate', 'Amount']],
+                  body: pipingData,
+                  startY: yPosition,
+                  theme: 'striped',
+                  headStyles: { fillColor: letterhead.colors.primary },
+                  margin: { bottom: 24 }
+                });
+                
+                yPosition = doc.lastAutoTable.finalY + 15;
+              }
+              
+              // Chilled Water System Tables, one per section
+              Object.entries(CHW_SCHEDULE_SECTIONS).forEach(([category, title]) => {
+                const items = boqData.chilledWater.filter(item => item.category === category);
+                if (items.length === 0) return;
+                
+                // Add new page if needed
+                if (yPosition > 250) {
+                  doc.addPage();
+                  yPosition = 20;
+                }
+                
+                doc.setFontSize(14);
+                doc.text(title.toUpperCase(), 20, yPosition);
+                yPosition += 10;
+                
+                autoTable(doc, {
+                  head: [['Description', 'Qty', 'Unit', 'Rate', 'Amount']],
+                  body: items.map(item => [
+                    item.item,
+                    item.quantity,
+                    item.unit,
+                    `Rs ${item.unitPrice.toLocaleString('en-IN')}`,
+                    `Rs ${item.totalPrice.toLocaleString('en-IN')}`
+                  ]),
+                  startY: yPosition,
+                  theme: 'striped',
+                  headStyles: { fillColor: letterhead.colors.primary },
+                  margin: { bottom: 24 }
+                });
+                
+                yPosition = doc.lastAutoTable.finalY + 15;
+              });
+              
               // Accessories Table (if available)
               if (Object.keys(boqData.accessories).length > 0) {
                 // Add new page if needed
@@ -649,7 +889,7 @@ const BOQ = ({
                   item.quantity || 0,
                   item.unit || 'nos',
                   `Rs ${(item.unitPrice || 0).toLocaleString('en-IN')}`,
-                  `Rs ${((item.quantity || 0) * (item.unitPrice || 0)).toLocaleString('en-IN')}`
+                  `Rs ${(item.totalPrice || 0).toLocaleString('en-IN')}`
                 ]);
                 
                 autoTable(doc, {
@@ -657,7 +897,8 @@ const BOQ = ({
                   body: accessoryData,
                   startY: yPosition,
                   theme: 'striped',
-                  headStyles: { fillColor: [41, 128, 185] }
+                  headStyles: { fillColor: letterhead.colors.primary },
+                  margin: { bottom: 24 }
                 });
                 
                 yPosition = doc.lastAutoTable.finalY + 15;
@@ -674,14 +915,8 @@ const BOQ = ({
               doc.text('COST SUMMARY', 20, yPosition);
               yPosition += 10;
               
-              const summaryData = [
-                ['Indoor Units Total', `Rs ${boqData.summary.totalIDU.toLocaleString('en-IN')}`],
-                ['Outdoor Units Total', `Rs ${boqData.summary.totalODU.toLocaleString('en-IN')}`],
-                ['Accessories Total', `Rs ${boqData.summary.totalAccessories.toLocaleString('en-IN')}`],
-                ['Subtotal', `Rs ${boqData.summary.subtotal.toLocaleString('en-IN')}`],
-                ['GST (18%)', `Rs ${boqData.summary.gst.toLocaleString('en-IN')}`],
-                ['Grand Total', `Rs ${boqData.summary.grandTotal.toLocaleString('en-IN')}`]
-              ];
+              const summaryData = getCostSummaryRows(boqData.summary, boqData.costStructure)
+                .map(row => [row.label, `Rs ${row.amount.toLocaleString('en-IN')}`]);
               
               autoTable(doc, {
                 body: summaryData,
@@ -691,9 +926,14 @@ const BOQ = ({
                 columnStyles: {
                   0: { fontStyle: 'bold' },
                   1: { halign: 'right', fontStyle: 'bold' }
-                }
+                },
+                margin: { bottom: 24 }
               });
               
+              drawSignatureBlock(doc, letterhead, doc.lastAutoTable.finalY);
+              addChartPage(doc, reportChart, chartPNG);
+              drawLetterheadFooters(doc, letterhead);
+              
               // Save the PDF
               doc.save(`BOQ_${boqData.projectInfo.number}_${new Date().toISOString().split('T')[0]}.pdf`);
               toast.success('BOQ exported to PDF successfully!');
@@ -705,6 +945,15 @@ const BOQ = ({
           }} className="btn-export">
             Export PDF
           </button>
+          <button onClick={() => exportToExcel(true)} className="btn-export">
+            Export Excel
+          </button>
+          <button onClick={() => exportToExcel(false)} className="btn-export">
+            Excel (unpriced)
+          </button>
+          <button onClick={exportEngineeringReport} className="btn-export">
+            Engineering Report
+          </button>
         </div>
       </div>
 
@@ -717,9 +966,21 @@ const BOQ = ({
             <div><strong>Project Number:</strong> {boqData.projectInfo.number}</div>
             <div><strong>Date:</strong> {boqData.projectInfo.date}</div>
             <div><strong>Building Type:</strong> {boqData.projectInfo.buildingType}</div>
+            <div><strong>Rates:</strong> {describeRateVersion(boqData.rateVersion)}</div>
           </div>
         </div>
 
+        <RateLibraryPanel rates={rates} missingRates={boqData.missingRates} />
+        <LetterheadPanel organizations={organizations} templateId={letterheadTemplate} onTemplateChange={setLetterheadTemplate} />
+
+        <CostStructurePanel
+          structure={costStructure}
+          onChange={(next) => {
+            setCostStructure(next);
+            setIsSaved(false);
+          }}
+        />
+
         {/* Indoor Units */}
         {Object.keys(boqData.indoorUnits).length > 0 && (
           <div className="boq-section">
@@ -782,36 +1043,96 @@ const BOQ = ({
           </div>
         )}
 
+        {/* Refrigerant Piping */}
+        {boqData.refrigerantPiping.length > 0 && (
+          <div className="boq-section">
+            <h3>Refrigerant Piping</h3>
+            <table className="boq-table">
+              <thead>
+                <tr>
+                  <th>Description</th>
+                  <th>Specification</th>
+                  <th>Qty</th>
+                  <th>Unit</th>
+                  {showPricing && <th>Rate (₹)</th>}
+                  {showPricing && <th>Amount (₹)</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {boqData.refrigerantPiping.map(item => (
+                  <tr key={item.code}>
+                    <td>{item.item}</td>
+                    <td>{item.specification}</td>
+                    <td>{item.quantity}</td>
+                    <td>{item.unit}</td>
+                    {showPricing && <td>₹{item.unitPrice.toLocaleString()}</td>}
+                    {showPricing && <td>₹{item.totalPrice.toLocaleString()}</td>}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Chilled Water System, one section per kind of item */}
+        {Object.entries(CHW_SCHEDULE_SECTIONS).map(([category, title]) => {
+          const items = boqData.chilledWater.filter(item => item.category === category);
+          return items.length > 0 && (
+            <div key={category} className="boq-section">
+              <h3>{title}</h3>
+              <table className="boq-table">
+                <thead>
+                  <tr>
+                    <th>Description</th>
+                    <th>Specification</th>
+                    <th>Qty</th>
+                    <th>Unit</th>
+                    {showPricing && <th>Rate (₹)</th>}
+                    {showPricing && <th>Amount (₹)</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {items.map(item => (
+                    <tr key={item.code}>
+                      <td>{item.item}</td>
+                      <td>{item.specification}</td>
+                      <td>{item.quantity}</td>
+                      <td>{item.unit}</td>
+                      {showPricing && <td>₹{item.unitPrice.toLocaleString()}</td>}
+                      {showPricing && <td>₹{item.totalPrice.toLocaleString()}</td>}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          );
+        })}
+
+        {/* Psychrometric chart, also placed in the PDF */}
+        {reportChart && (
+          <div className="boq-section">
+            <PsychrometricChart
+              title={`Psychrometric Chart - ${reportChart.title}`}
+              fileName={`psychrometric-chart-${boqData.projectInfo.number}`}
+              pressure={reportChart.pressure}
+              data={reportChart.data}
+              svgRef={chartRef}
+            />
+          </div>
+        )}
+
         {/* Cost Summary */}
         {showPricing && (
           <div className="boq-section summary-section">
             <h3>Cost Summary</h3>
             <table className="summary-table">
               <tbody>
-                <tr>
-                  <td>Indoor Units Total</td>
-                  <td>₹{boqData.summary.totalIDU.toLocaleString()}</td>
-                </tr>
-                <tr>
-                  <td>Outdoor Units Total</td>
-                  <td>₹{boqData.summary.totalODU.toLocaleString()}</td>
-                </tr>
-                <tr>
-                  <td>Accessories Total</td>
-                  <td>₹{boqData.summary.totalAccessories.toLocaleString()}</td>
-                </tr>
-                <tr className="subtotal-row">
-                  <td><strong>Subtotal</strong></td>
-                  <td><strong>₹{boqData.summary.subtotal.toLocaleString()}</strong></td>
-                </tr>
-                <tr>
-                  <td>GST (18%)</td>
-                  <td>₹{boqData.summary.gst.toLocaleString()}</td>
-                </tr>
-                <tr className="total-row">
-                  <td><strong>Grand Total</strong></td>
-                  <td><strong>₹{boqData.summary.grandTotal.toLocaleString()}</strong></td>
-                </tr>
+                {getCostSummaryRows(boqData.summary, boqData.costStructure).map(row => (
+                  <tr key={row.label} className={row.kind === 'line' ? undefined : `${row.kind}-row`}>
+                    <td>{row.kind === 'line' ? row.label : <strong>{row.label}</strong>}</td>
+                    <td>{row.kind === 'line' ? `₹${row.amount.toLocaleString()}` : <strong>₹{row.amount.toLocaleString()}</strong>}</td>
+                  </tr>
+                ))}
               </tbody>
             </table>
           </div>
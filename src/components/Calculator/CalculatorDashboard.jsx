@@ -1,7 +1,10 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import HVACDataService from '../../services/hvacDataService';
+import ProjectSharingService from '../../services/projectSharingService';
+import { canEditProject, getRoomEditors, PROJECT_ROLES } from '../../utils/projectCollaboration';
+import { isProjectConflict } from '../../utils/projectConcurrency';
 import toast from '../../utils/toast';
 import EquipmentSelectionSpreadsheet from './EquipmentSelectionSpreadsheet';
 import HVACInventorySelection from './HVACInventorySelection';
@@ -14,6 +17,8 @@ import MultiFloorHeatLoadCalculator from './MultiFloorHeatLoadCalculator';
 import FloorWiseEquipmentSelection from './FloorWiseEquipmentSelection';
 import EquipmentSelectionTable from './EquipmentSelectionTable';
 import BOQ from './BOQ';
+import ProjectRevisions from './ProjectRevisions';
+import ProjectConflictPrompt from './ProjectConflictPrompt';
 const CalculatorDashboard = () => {
   const { user } = useAuth();
   const [searchParams] = useSearchParams();
@@ -26,6 +31,11 @@ const CalculatorDashboard = () => {
   const [exportBoqFn, setExportBoqFn] = useState(null);
   const [projectId, setProjectId] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [showRevisions, setShowRevisions] = useState(false);
+  const [projectRole, setProjectRole] = useState('owner');
+  const [presence, setPresence] = useState({});
+  const [saveConflict, setSaveConflict] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
   // Room-by-room workflow state
   const [selectedRoom, setSelectedRoom] = useState(null);
   const [showSpaceForm, setShowSpaceForm] = useState(false);
@@ -136,11 +146,69 @@ const CalculatorDashboard = () => {
   useEffect(() => {
     const projectParam = searchParams.get('project');
     if (projectParam && user) {
+      // Projects shared with this user live under their owner
+      const ownerParam = searchParams.get('owner');
+      ProjectSharingService.setProjectOwner(projectParam, ownerParam && ownerParam !== user.uid ? ownerParam : null);
+      ProjectSharingService.getRole(projectParam, user.uid).then(role => setProjectRole(role || 'viewer'));
       loadProject(projectParam);
     }
     // Don't auto-create project ID - wait for user to enter project number in Form 1
   }, [searchParams, user, loadProject]);
 
+  // Who is editing which room of the project
+  useEffect(() => {
+    if (!projectId || !user) return undefined;
+    const unsubscribe = ProjectSharingService.subscribeToPresence(projectId, user.uid, setPresence);
+    return () => unsubscribe();
+  }, [projectId, user]);
+
+  // Announce the room open in the Space Considered form
+  useEffect(() => {
+    if (!projectId || !user || !canEditProject(projectRole)) return undefined;
+    const room = showSpaceForm && selectedRoom
+      ? { floorId: selectedRoom.floorId, roomId: selectedRoom.roomId, roomName: selectedRoom.roomName }
+      : null;
+    ProjectSharingService.setPresence(projectId, user, room);
+    return () => {
+      if (room) ProjectSharingService.setPresence(projectId, user, null);
+    };
+  }, [projectId, user, projectRole, showSpaceForm, selectedRoom]);
+
+  // A save was rejected because the project changed elsewhere: offer reload or save again.
+  // Saving again takes the latest revision counters and reruns the save. Only a retry
+  // that merges the database copy first (the building, room by room) keeps their
+  // edits to the rejected sections; any other retry overwrites those sections
+  const reportSaveConflict = useCallback((error, retry, { merges = false } = {}) => {
+    if (!isProjectConflict(error)) return false;
+    setSaveConflict({
+      sections: error.sections,
+      merges,
+      save: async () => {
+        HVACDataService.trackVersions(error.projectId, error.remoteVersions, error.sections);
+        await retry();
+      }
+    });
+    return true;
+  }, []);
+
+  // Reload the project from the database, dropping what is held here
+  const reloadProject = async () => {
+    // Sections absent from the database copy must not linger
+    setSpaceData(null);
+    setEquipmentData(null);
+    setInventoryData(null);
+    setBoqData(null);
+    setShowSpaceForm(false);
+    setSelectedRoom(null);
+    await loadProject(projectId);
+    setReloadKey(prev => prev + 1);
+  };
+
+  const otherRoomEditors = useMemo(() => {
+    if (!selectedRoom) return [];
+    return getRoomEditors(presence, user?.uid)[`${selectedRoom.floorId}_${selectedRoom.roomId}`] || [];
+  }, [presence, user, selectedRoom]);
+
   // Helper function to clean undefined values
   const cleanData = (obj) => {
     if (obj === null || obj === undefined) return null;
@@ -187,7 +255,9 @@ const CalculatorDashboard = () => {
         toast.success(`Project ${projectNumber} saved successfully!`);
       } catch (error) {
         console.error('Error saving design data:', error);
-        toast.error('Failed to save design data. Please try again.');
+        if (!reportSaveConflict(error, () => handleDesignSave(data))) {
+          toast.error('Failed to save design data. Please try again.');
+        }
         return;
       }
     }
@@ -236,7 +306,9 @@ const CalculatorDashboard = () => {
         setCurrentStep(3); // Go to Equipment Selection
       } catch (error) {
         console.error('❌ Error saving space data:', error);
-        toast.error('Failed to save space data. Please try again.');
+        if (!reportSaveConflict(error, () => handleSpaceSave(data))) {
+          toast.error('Failed to save space data. Please try again.');
+        }
       }
     } else {
       setCurrentStep(3);
@@ -257,7 +329,9 @@ const CalculatorDashboard = () => {
         console.log('✅ Equipment data saved successfully to project:', projectId);
       } catch (error) {
         console.error('Error saving equipment data:', error);
-        toast.error('Failed to save equipment data. Please try again.');
+        if (!reportSaveConflict(error, () => handleEquipmentSave(data))) {
+          toast.error('Failed to save equipment data. Please try again.');
+        }
         return;
       }
     }
@@ -281,6 +355,9 @@ const CalculatorDashboard = () => {
         console.log('✅ Equipment/Inventory data saved successfully to project:', projectId);
       } catch (error) {
         console.error('Error saving inventory data:', error);
+        if (reportSaveConflict(error, () => handleInventorySave(data))) {
+          return;
+        }
       }
     }
     
@@ -388,9 +465,28 @@ const CalculatorDashboard = () => {
             <div className="current-project-info-top">
               <span className="project-label">Project:</span>
               <span className="project-id">{projectId}</span>
+              {projectRole !== 'owner' && (
+                <span className={`project-role ${projectRole}`}>{PROJECT_ROLES[projectRole]?.label || projectRole}</span>
+              )}
+              <button
+                type="button"
+                className="revisions-toggle"
+                onClick={() => setShowRevisions(prev => !prev)}
+              >
+                🕘 Revisions
+              </button>
             </div>
           )}
         </div>
+        {showRevisions && projectId && (
+          <ProjectRevisions
+            projectId={projectId}
+            user={user}
+            currentData={{ designData, spaceData, equipmentData, inventoryData, boqData, currentStep }}
+            onRestored={reloadProject}
+            onClose={() => setShowRevisions(false)}
+          />
+        )}
         <div className="step-indicator">
           <div 
             className={`step ${currentStep === 1 ? 'active' : ''} ${designData ? 'completed' : ''} clickable`}
@@ -436,8 +532,32 @@ const CalculatorDashboard = () => {
       </div>
 
       <div className="calculator-content">
+        {saveConflict && (
+          <ProjectConflictPrompt
+            conflict={saveConflict}
+            onReload={async () => {
+              setSaveConflict(null);
+              await reloadProject();
+            }}
+            onSave={async () => {
+              const { save, merges } = saveConflict;
+              setSaveConflict(null);
+              try {
+                await save();
+              } catch (error) {
+                console.error('❌ Save after conflict failed:', error);
+                if (!reportSaveConflict(error, save, { merges })) {
+                  toast.error('Save failed. Please reload the project.');
+                }
+              }
+            }}
+            onDismiss={() => setSaveConflict(null)}
+          />
+        )}
+
         {currentStep === 1 && (
           <DesignedInputs 
+            key={reloadKey}
             onSave={handleDesignSave} 
             savedData={designData} 
             projectId={projectId}
@@ -446,9 +566,17 @@ const CalculatorDashboard = () => {
 
         {currentStep === 2 && !showSpaceForm && (
           <MultiFloorHeatLoadCalculator
+            key={reloadKey}
             projectId={projectId}
             savedData={spaceData}
+            presence={presence}
+            readOnly={!canEditProject(projectRole)}
             onSave={handleSpaceSave}
+            onConflict={reportSaveConflict}
+            onWorstMonthChange={(worstMonth) => {
+              // Rooms opened from here read the building's worst month from the design meta
+              setDesignData(prev => (prev ? { ...prev, meta: { ...prev.meta, worstMonth } } : prev));
+            }}
             onDataLoaded={(loadedData) => {
               // Update parent state when MultiFloorHeatLoadCalculator loads data
               console.log('📥 MultiFloorHeatLoadCalculator loaded data, updating parent state:', loadedData);
@@ -584,6 +712,13 @@ const CalculatorDashboard = () => {
               </button>
             </div>
             
+            {otherRoomEditors.length > 0 && (
+              <div className="room-conflict-warning">
+                ⚠️ {otherRoomEditors.map(editor => editor.name).join(', ')} also has this room open.
+                The last save wins - agree who edits it before saving.
+              </div>
+            )}
+            
             <SpaceConsideredForm
               projectData={{
                 ...designData,
@@ -629,6 +764,8 @@ const CalculatorDashboard = () => {
                   latentHeat: totalLatentHeat,
                   totalHeat: grandTotalHeat,
                   outsideAirCfm: parseFloat(spaceFormData.totalCfm || 0) - parseFloat(spaceFormData.cfmInfiltration || 0),
+                  heatingLoad: spaceFormData.heatLoadData?.heatingLoad || 0,
+                  heatingTons: spaceFormData.heatLoadData?.heatingTons || 0,
                   diversity: 85, // Default diversity factor
                   calculatedOn: new Date().toISOString(),
                   formData: spaceFormData // Store complete form data for later viewing
@@ -747,7 +884,10 @@ const CalculatorDashboard = () => {
 
         {currentStep === 3 && spaceData && (
           <EquipmentSelectionTable 
+            key={reloadKey}
             spaceData={spaceData}
+            designData={designData}
+            savedData={equipmentData}
             projectId={projectId || designData?.meta?.projectNumber}
             onBack={handleBack}
             onSave={handleEquipmentSave}
@@ -756,6 +896,7 @@ const CalculatorDashboard = () => {
 
         {currentStep === 4 && (
           <HVACEquipmentSpreadsheet
+            key={reloadKey}
             spaceData={spaceData}
             designData={designData}
             equipmentData={equipmentData}
@@ -768,6 +909,7 @@ const CalculatorDashboard = () => {
 
         {currentStep === 5 && (
           <BOQ 
+            key={reloadKey}
             designData={designData} 
             spaceData={spaceData}
             equipmentData={equipmentData}
@@ -775,6 +917,7 @@ const CalculatorDashboard = () => {
             projectId={projectId}
             user={user}
             onSave={handleBOQSave}
+            onConflict={reportSaveConflict}
             onRegisterExport={handleRegisterExport}
             onBack={() => setCurrentStep(4)}
           />
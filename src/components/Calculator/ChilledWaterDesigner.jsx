@@ -0,0 +1,287 @@
+import React from 'react';
+import { CHILLER_TYPES } from '../../utils/equipmentCatalog';
+import { CHW_DESIGN, CHW_SCHEDULE_SECTIONS, TERMINAL_KINDS } from '../../utils/chilledWaterSystem';
+import './ChilledWaterDesigner.css';
+
+/**
+ * Chilled Water Designer
+ * Plant settings, per-room FCU/AHU selection, chiller plant, pumps, pipe
+ * sizes and the bill of materials worked out by designChilledWaterSystem,
+ * with the coil schedule of each zone (see getAHUSchedule).
+ */
+
+// Plant settings: [field, label, unit, step]
+const SETTING_FIELDS = [
+  ['supplyF', 'CHW supply', '°F', 1],
+  ['returnF', 'CHW return', '°F', 1],
+  ['standbyChillers', 'Standby chillers', '', 1],
+  ['floorHeightM', 'Floor to floor', 'm', 0.1],
+  ['plantLevel', 'Plant room level', '', 1],
+  ['plantPipingM', 'Plant piping', 'm', 5],
+  ['headerLengthM', 'Floor header', 'm', 5],
+  ['branchLengthM', 'Branch to unit', 'm', 1]
+];
+
+const PIPE_TYPES = {
+  branch: 'Branch',
+  header: 'Floor header',
+  riser: 'Riser',
+  plant: 'Plant header',
+  condenser: 'Condenser water'
+};
+
+const ChilledWaterDesigner = ({ design, schedule, ahuSchedule = [], options, onOptionChange, onKindChange }) => {
+  const { plant, terminals, pumps, pipes, warnings } = design;
+  const value = (field) => options[field] ?? CHW_DESIGN[field];
+  const number = (input) => (input === '' ? '' : parseFloat(input));
+  const scheduleTotal = schedule.reduce((total, item) => total + item.totalPrice, 0);
+
+  return (
+    <div className="chw-designer">
+      <div className="chw-settings">
+        <label>
+          Diversity
+          <input
+            type="number"
+            value={options.diversityFactor === '' ? '' : Math.round(value('diversityFactor') * 100)}
+            step="5"
+            onChange={(e) => onOptionChange('diversityFactor', e.target.value === '' ? '' : parseFloat(e.target.value) / 100)}
+          />
+          %
+        </label>
+        <label>
+          Chiller type
+          <select value={options.chillerType || ''} onChange={(e) => onOptionChange('chillerType', e.target.value)}>
+            <option value="">Auto</option>
+            {Object.entries(CHILLER_TYPES).map(([key, type]) => <option key={key} value={key}>{type.name}</option>)}
+          </select>
+        </label>
+        <label>
+          Working chillers
+          <input
+            type="number"
+            value={options.workingChillers ?? ''}
+            placeholder="Auto"
+            min="1"
+            onChange={(e) => onOptionChange('workingChillers', number(e.target.value))}
+          />
+        </label>
+        {SETTING_FIELDS.map(([field, label, unit, step]) => (
+          <label key={field}>
+            {label}
+            <input type="number" value={value(field)} step={step} onChange={(e) => onOptionChange(field, number(e.target.value))} />
+            {unit}
+          </label>
+        ))}
+      </div>
+
+      {warnings.length > 0 && (
+        <div className="capacity-warning">⚠️ {warnings.join('; ')}</div>
+      )}
+
+      <h4>Air Handlers</h4>
+      <table className="chw-table">
+        <thead>
+          <tr>
+            <th>Floor</th>
+            <th>Room</th>
+            <th>Coil load (TR)</th>
+            <th>Supply air (CFM)</th>
+            <th>Unit</th>
+            <th>Model</th>
+            <th>Qty</th>
+            <th>Coil (TR)</th>
+            <th>Airflow (CFM)</th>
+            <th>Water (GPM)</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {terminals.map(terminal => (
+            <tr key={terminal.key}>
+              <td>{terminal.floorName}</td>
+              <td>{terminal.roomName}</td>
+              <td>{terminal.loadTR.toFixed(2)}</td>
+              <td>{terminal.cfm}</td>
+              <td>
+                <select value={terminal.requestedKind || 'auto'} onChange={(e) => onKindChange(terminal.floorId, terminal.key, e.target.value)}>
+                  <option value="auto">Auto ({TERMINAL_KINDS[terminal.kind].name})</option>
+                  {Object.entries(TERMINAL_KINDS).map(([key, kind]) => <option key={key} value={key}>{kind.name}</option>)}
+                </select>
+              </td>
+              <td>{terminal.model.model}</td>
+              <td>{terminal.quantity}</td>
+              <td>{terminal.coilTR}</td>
+              <td>{terminal.airflowCFM}</td>
+              <td>{terminal.gpm}</td>
+              <td className={terminal.ok ? 'chw-ok' : 'chw-short'}>{terminal.ok ? '✓' : '✗'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {ahuSchedule.length > 0 && (
+        <>
+          <h4>AHU Coil Schedule</h4>
+          <table className="chw-table">
+            <thead>
+              <tr>
+                <th>Tag</th>
+                <th>Zone</th>
+                <th>Unit</th>
+                <th>Supply / OA (CFM)</th>
+                <th>Entering DB / WB (°F)</th>
+                <th>Leaving DB / WB (°F)</th>
+                <th>ADP (°F)</th>
+                <th>BF</th>
+                <th>Rows</th>
+                <th>Face (fpm / m²)</th>
+                <th>Coil (TR)</th>
+                <th>Water (GPM)</th>
+                <th>Condensate (L/h)</th>
+                <th>Reheat (kW)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ahuSchedule.map(line => (
+                <tr key={line.key} title={line.warnings.join('; ')}>
+                  <td>{line.tag}</td>
+                  <td>{line.floorName} / {line.zone}</td>
+                  <td>{line.unit}</td>
+                  <td>{line.supplyCFM} / {line.outsideAirCFM}</td>
+                  <td>{line.enteringDB} / {line.enteringWB}</td>
+                  <td>{line.leavingDB} / {line.leavingWB}</td>
+                  <td>{line.adpF}</td>
+                  <td>{line.bypassFactor}</td>
+                  <td>{line.rows}</td>
+                  <td>{line.faceVelocityFPM} / {line.faceAreaM2}</td>
+                  <td>{line.coilTR}</td>
+                  <td>{line.gpm}</td>
+                  <td>{line.condensateLH}</td>
+                  <td className={line.reheatKW > 0 ? 'chw-short' : undefined}>{line.reheatKW}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      {plant && (
+        <div className="chw-results">
+          <div className="chw-plant">
+            <h4>Chiller Plant</h4>
+            <p>
+              {plant.connectedTR} TR connected × {Math.round(plant.diversityFactor * 100)}% diversity
+              {' '}= <strong>{plant.designTR} TR</strong>
+            </p>
+            <p className={plant.ok ? 'chw-ok' : 'chw-short'}>
+              {plant.working} × {plant.model.model} ({CHILLER_TYPES[plant.type].name}, {plant.perChillerTR} TR)
+              {plant.standby > 0 && ` + ${plant.standby} standby`} = {plant.installedTR} TR {plant.ok ? '✓' : '✗'}
+            </p>
+            <p className="model-number">{plant.powerKW} kW compressor input · index circuit {design.indexRunM} m</p>
+          </div>
+
+          <div>
+            <h4>Pumps</h4>
+            <table className="chw-table">
+              <thead>
+                <tr>
+                  <th>Pump</th>
+                  <th>Working + standby</th>
+                  <th>Flow (m³/h)</th>
+                  <th>Flow (GPM)</th>
+                  <th>Head (m)</th>
+                  <th>Motor (kW)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pumps.map(pump => (
+                  <tr key={pump.key}>
+                    <td>{pump.name}</td>
+                    <td>{pump.working} + {pump.standby}</td>
+                    <td>{pump.flowM3H}</td>
+                    <td>{pump.flowGPM}</td>
+                    <td>{pump.headM}</td>
+                    <td>{pump.motorKW}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <h4>Pipe Sizes</h4>
+      <table className="chw-table">
+        <thead>
+          <tr>
+            <th>Run</th>
+            <th>Type</th>
+            <th>No.</th>
+            <th>Flow (GPM)</th>
+            <th>Size</th>
+            <th>Length, supply + return (m)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {pipes.map(pipe => (
+            <tr key={`${pipe.type}-${pipe.label}`}>
+              <td>{pipe.label}</td>
+              <td>{PIPE_TYPES[pipe.type]}</td>
+              <td>{pipe.count}</td>
+              <td>{pipe.gpm}</td>
+              <td>DN {pipe.dn} ({pipe.inch})</td>
+              <td>{pipe.lengthM}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {schedule.length > 0 && (
+        <>
+          <h4>Bill of Materials</h4>
+          <table className="chw-table">
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th>Specification</th>
+                <th>Qty</th>
+                <th>Unit</th>
+                <th>Rate (₹)</th>
+                <th>Amount (₹)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(CHW_SCHEDULE_SECTIONS).map(([category, title]) => {
+                const items = schedule.filter(item => item.category === category);
+                return items.length > 0 && (
+                  <React.Fragment key={category}>
+                    <tr className="chw-section-row">
+                      <td colSpan="6">{title}</td>
+                    </tr>
+                    {items.map(item => (
+                      <tr key={item.code}>
+                        <td>{item.item}</td>
+                        <td>{item.specification}</td>
+                        <td>{item.quantity}</td>
+                        <td>{item.unit}</td>
+                        <td>{item.unitPrice.toLocaleString('en-IN')}</td>
+                        <td>{item.totalPrice.toLocaleString('en-IN')}</td>
+                      </tr>
+                    ))}
+                  </React.Fragment>
+                );
+              })}
+              <tr className="chw-total-row">
+                <td colSpan="5">Chilled water system total</td>
+                <td>{scheduleTotal.toLocaleString('en-IN')}</td>
+              </tr>
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ChilledWaterDesigner;
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import {
+  COST_SECTIONS,
+  COST_TEMPLATES,
+  GST_STATES,
+  ROUNDING_OPTIONS,
+  createCostStructure,
+  getTaxRegime
+} from '../../utils/costStructure';
+import './CostStructurePanel.css';
+
+/**
+ * Cost Structure Panel
+ * Edits the project's cost structure - GST states and rates, installation
+ * by section, freight, insurance, contingency, overhead & profit and
+ * rounding. Saved with the BOQ.
+ */
+
+// Percentage inputs: [field, label]
+const CHARGE_FIELDS = [
+  ['supplyGSTPercent', 'GST on supply'],
+  ['installationGSTPercent', 'GST on installation'],
+  ['freightPercent', 'Freight'],
+  ['insurancePercent', 'Transit insurance'],
+  ['contingencyPercent', 'Contingency'],
+  ['overheadProfitPercent', 'Overhead & profit']
+];
+
+const CostStructurePanel = ({ structure, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const regime = getTaxRegime(structure);
+  const edit = (changes) => onChange({ ...structure, ...changes });
+  const number = (value) => (value === '' ? 0 : parseFloat(value) || 0);
+
+  // A template replaces the percentages but keeps the states
+  const applyTemplate = (template) => onChange(createCostStructure({
+    template,
+    supplierState: structure.supplierState,
+    siteState: structure.siteState
+  }));
+
+  const stateSelect = (field, blankLabel) => (
+    <select value={structure[field] || ''} onChange={(e) => edit({ [field]: e.target.value })}>
+      <option value="">{blankLabel}</option>
+      {GST_STATES.map(state => <option key={state.code} value={state.name}>{state.code} - {state.name}</option>)}
+    </select>
+  );
+
+  return (
+    <div className="cost-structure-panel">
+      <div className="cost-structure-row">
+        <strong>{structure.name}</strong>
+        <span>
+          {regime.interState
+            ? `Inter-state supply: IGST (${regime.supplierState.name} → ${regime.siteState.name})`
+            : `Intra-state supply: CGST + ${regime.localTax}${regime.siteState ? ` (${regime.siteState.name})` : ''}`}
+        </span>
+        <button type="button" className="cost-structure-toggle" onClick={() => setExpanded(!expanded)}>
+          🧾 {expanded ? 'Hide cost structure' : 'Edit cost structure'}
+        </button>
+      </div>
+
+      {expanded && (
+        <>
+          <div className="cost-structure-row">
+            <label>
+              Template
+              <select value={structure.template || ''} onChange={(e) => applyTemplate(e.target.value)}>
+                {Object.entries(COST_TEMPLATES).map(([key, template]) => <option key={key} value={key}>{template.name}</option>)}
+              </select>
+            </label>
+            <label>
+              Name
+              <input type="text" value={structure.name} onChange={(e) => edit({ name: e.target.value })} />
+            </label>
+          </div>
+
+          <div className="cost-structure-row">
+            <label>
+              Contractor's GST state
+              {stateSelect('supplierState', 'Not set')}
+            </label>
+            <label>
+              Site (place of supply)
+              {stateSelect('siteState', "Same as contractor's")}
+            </label>
+          </div>
+
+          <div className="cost-structure-row">
+            {CHARGE_FIELDS.map(([field, label]) => (
+              <label key={field}>
+                {label}
+                <input type="number" min="0" step="0.5" value={structure[field]} onChange={(e) => edit({ [field]: number(e.target.value) })} />
+                %
+              </label>
+            ))}
+            <label>
+              Round total to
+              <select value={structure.roundTo} onChange={(e) => edit({ roundTo: parseInt(e.target.value, 10) })}>
+                {ROUNDING_OPTIONS.map(option => <option key={option} value={option}>₹{option.toLocaleString('en-IN')}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <div className="cost-structure-row">
+            <span>Installation, % of supply:</span>
+            {COST_SECTIONS.map(([key, label]) => (
+              <label key={key}>
+                {label}
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={structure.installationPercent?.[key] ?? 0}
+                  onChange={(e) => edit({ installationPercent: { ...structure.installationPercent, [key]: number(e.target.value) } })}
+                />
+                %
+              </label>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CostStructurePanel;
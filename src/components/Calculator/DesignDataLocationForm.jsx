@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import { ref, get, set, update } from "firebase/database";
 import { db } from "../../firebase/config";
 import { useAuth } from "../../hooks/useAuth";
@@ -6,9 +6,23 @@ import {
   calculatePsychrometrics, 
   getClimateData, 
   getStandardIndoorConditions,
+  getCityPressure,
+  normalizePressure,
   INDIAN_CLIMATE_DATA,
   STANDARD_INDOOR_CONDITIONS 
 } from "../../utils/psychrometrics";
+import {
+  CLIMATE_DATASET,
+  DESIGN_PERCENTILES,
+  MAX_STATION_DISTANCE_KM,
+  lookupClimateStation,
+  getDatasetCoverage,
+  getLocationOptions,
+  getDesignConditions,
+  parseClimateCSV,
+  mergeStations
+} from "../../utils/climateDatabase";
+import { saveToLocalStorage, loadFromLocalStorage } from "../../utils/formPersistence";
 import "../../styles/forms.css";
 import "./DesignDataLocationForm.css";
 
@@ -16,11 +30,14 @@ import "./DesignDataLocationForm.css";
 const cToF = (c) => (c * 9) / 5 + 32;
 const fToC = (f) => ((f - 32) * 5) / 9;
 
+// Stations imported from an ISHRAE/ASHRAE CSV stay on this device
+const IMPORTED_STATIONS_KEY = "climate-database-imported-stations";
+
 const defaultAmbient = {
   dbF: 104,
   wbF: 81.623,
   rh: 40,
-  pressure: 1013.25,
+  pressure: 101.325, // kPa
 };
 
 const insidePresets = {
@@ -66,18 +83,37 @@ export default function DesignDataLocationForm({ onSave = () => {}, savedData =
   const [selectedCity, setSelectedCity] = useState(savedData?.meta?.selectedCity || 'Delhi');
   const [selectedSeason, setSelectedSeason] = useState(savedData?.meta?.selectedSeason || 'summer');
   
-  // Location-based weather API
-  const [useLocationAPI, setUseLocationAPI] = useState(savedData?.meta?.useLocationAPI || false);
+  // Offline climate database (projects saved with the old live weather option open here)
+  const [useClimateDatabase, setUseClimateDatabase] = useState(
+    savedData?.meta?.useClimateDatabase ?? savedData?.meta?.useLocationAPI ?? false
+  );
   const [locationInput, setLocationInput] = useState(savedData?.meta?.locationInput || "");
-  const [isLoadingWeather, setIsLoadingWeather] = useState(false);
-  const [weatherData, setWeatherData] = useState(null);
-  const [citySuggestions, setCitySuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [climateQuery, setClimateQuery] = useState(savedData?.meta?.climateQuery || {});
+  const [designPercentile, setDesignPercentile] = useState(savedData?.meta?.designPercentile || "0.4");
+  const [importedStations, setImportedStations] = useState(
+    () => loadFromLocalStorage(IMPORTED_STATIONS_KEY, Infinity) || []
+  );
+  const [importUnit, setImportUnit] = useState("C");
+  const [importMessage, setImportMessage] = useState("");
   
   // Manual override for ambient conditions
   const [manualAmbientOverride, setManualAmbientOverride] = useState(savedData?.meta?.manualAmbientOverride || false);
-  
-  // API key for weather service
-  const apiKey = import.meta.env.VITE_OPENWEATHER_API_KEY;
+
+  const climateStations = useMemo(
+    () => mergeStations(CLIMATE_DATASET.stations, importedStations),
+    [importedStations]
+  );
+  const locationOptions = useMemo(() => getLocationOptions(climateStations), [climateStations]);
+  const datasetCoverage = useMemo(() => getDatasetCoverage(climateStations), [climateStations]);
+  const climateMatch = useMemo(
+    () => (useClimateDatabase ? lookupClimateStation(climateQuery, climateStations) : null),
+    [useClimateDatabase, climateQuery, climateStations]
+  );
+  const designConditions = useMemo(
+    () => (climateMatch ? getDesignConditions(climateMatch.station, designPercentile) : null),
+    [climateMatch, designPercentile]
+  );
 
   // Ambient Conditions
   const [ambient, setAmbient] = useState(
@@ -88,7 +124,7 @@ export default function DesignDataLocationForm({ onSave = () => {}, savedData =
           rh: savedData.ambient.rh || defaultAmbient.rh,
           dpF: savedData.ambient.dpF || "",
           grLb: savedData.ambient.grLb || "",
-          pressure: savedData.ambient.pressure || defaultAmbient.pressure
+          pressure: normalizePressure(savedData.ambient.pressure)
         }
       : { 
           ...defaultAmbient,
@@ -175,7 +211,8 @@ export default function DesignDataLocationForm({ onSave = () => {}, savedData =
             ...prev,
             dbF: climateData.db,
             wbF: climateData.wb,
-            rh: climateData.rh
+            rh: climateData.rh,
+            pressure: getCityPressure(selectedCity)
           }));
         }
       } catch (error) {
@@ -210,85 +247,65 @@ export default function DesignDataLocationForm({ onSave = () => {}, savedData =
     }
   }, [projectNumber]);
 
-  // Weather API functions
-  const fetchCitySuggestions = async (query) => {
-    if (!query || query.length < 3 || !apiKey) return;
-    
-    try {
-      const response = await fetch(
-        `https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(query)}&limit=5&appid=${apiKey}`
-      );
-      
-      if (response.ok) {
-        const data = await response.json();
-        const suggestions = data.map(city => ({
-          name: city.name,
-          country: city.country,
-          state: city.state,
-          lat: city.lat,
-          lon: city.lon,
-          display: `${city.name}${city.state ? ', ' + city.state : ''}, ${city.country}`
-        }));
-        setCitySuggestions(suggestions);
-      }
-    } catch (error) {
-      console.warn('Error fetching city suggestions:', error);
+  // Apply the selected station's design point
+  const locationCovered = climateMatch?.covered ?? true;
+  const matchDistanceKm = climateMatch?.distanceKm ?? 0;
+  useEffect(() => {
+    if (!designConditions) return;
+    const { station, percentile, dbC, mcwbC } = designConditions;
+
+    if (!manualAmbientOverride) {
+      setAmbient(prev => ({
+        ...prev,
+        dbF: designConditions.dbF,
+        rh: Number(designConditions.rh.toFixed(1)),
+        pressure: designConditions.pressure
+      }));
     }
+    setLocationConsidered(
+      `${station.name}, ${station.state} - ISHRAE ${percentile}% cooling design (${dbC}°C DB / ${mcwbC}°C MCWB)` +
+      (locationCovered ? "" : ` - site not covered, nearest station ${matchDistanceKm.toFixed(0)} km away`)
+    );
+  }, [designConditions, manualAmbientOverride, locationCovered, matchDistanceKm]);
+
+  const filteredLocations = showSuggestions && locationInput.length >= 2
+    ? locationOptions
+        .filter(option => option.label.toLowerCase().includes(locationInput.toLowerCase()))
+        .slice(0, 8)
+    : [];
+
+  const handleLocationSelect = (option) => {
+    setClimateQuery({ city: option.city || "", district: option.district || "" });
+    setLocationInput(option.label);
+    setShowSuggestions(false);
   };
 
-  const fetchWeatherData = async (cityData) => {
-    if (!apiKey) {
-      alert('Weather API key not configured. Please add VITE_OPENWEATHER_API_KEY to your environment variables.');
-      return;
-    }
+  const handleCoordinateChange = (field, value) => {
+    setClimateQuery(prev => ({ latitude: prev.latitude ?? "", longitude: prev.longitude ?? "", [field]: value }));
+  };
+
+  const handleClimateImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
 
-    setIsLoadingWeather(true);
     try {
-      const response = await fetch(
-        `https://api.openweathermap.org/data/2.5/weather?lat=${cityData.lat}&lon=${cityData.lon}&appid=${apiKey}&units=imperial`
-      );
-      
-      if (response.ok) {
-        const data = await response.json();
-        setWeatherData(data);
-        
-        // Convert weather data to HVAC conditions
-        const temperature = data.main.temp; // Already in Fahrenheit
-        const humidity = data.main.humidity;
-        
-        // Set ambient conditions from weather data
-        if (!manualAmbientOverride) {
-          setAmbient(prev => ({
-            ...prev,
-            dbF: temperature,
-            rh: humidity
-          }));
-        }
-        
-        setLocationConsidered(`${cityData.display} (Weather: ${temperature.toFixed(1)}°F, ${humidity}% RH)`);
-        
-      } else {
-        throw new Error('Weather data not available');
+      const { stations, errors } = parseClimateCSV(await file.text(), { unit: importUnit });
+      if (stations.length > 0) {
+        const merged = mergeStations(importedStations, stations);
+        setImportedStations(merged);
+        saveToLocalStorage(IMPORTED_STATIONS_KEY, merged);
       }
+      setImportMessage(
+        `Imported ${stations.length} station(s) from ${file.name}` +
+        (errors.length > 0 ? `; skipped ${errors.map(error => `line ${error.line}: ${error.message}`).join("; ")}` : "")
+      );
     } catch (error) {
-      console.error('Error fetching weather data:', error);
-      alert('Error fetching weather data. Please try again or use manual input.');
-    } finally {
-      setIsLoadingWeather(false);
+      console.error('Error importing climate data:', error);
+      setImportMessage(`Could not read ${file.name}`);
     }
   };
 
-  // Debounced city search
-  useEffect(() => {
-    const timer = setTimeout(() => {
-      if (locationInput && useLocationAPI) {
-        fetchCitySuggestions(locationInput);
-      }
-    }, 500);
-
-    return () => clearTimeout(timer);
-  }, [locationInput, useLocationAPI, apiKey]);
-
   const handleSave = async () => {
     const formData = {
       meta: {
@@ -303,8 +320,26 @@ export default function DesignDataLocationForm({ onSave = () => {}, savedData =
         useIndianClimate,
         selectedCity,
         selectedSeason,
-        useLocationAPI,
+        useClimateDatabase,
         locationInput,
+        climateQuery: {
+          city: climateQuery.city || "",
+          district: climateQuery.district || "",
+          latitude: climateQuery.latitude ?? "",
+          longitude: climateQuery.longitude ?? ""
+        },
+        designPercentile,
+        climateStation: designConditions
+          ? {
+              ...designConditions.station,
+              elevation: designConditions.elevation,
+              latitude: designConditions.latitude,
+              longitude: designConditions.longitude,
+              dbC: designConditions.dbC,
+              mcwbC: designConditions.mcwbC
+            }
+          : null,
+        climateDatasetVersion: designConditions ? CLIMATE_DATASET.version : null,
         manualAmbientOverride
       },
       ambient: {
@@ -313,7 +348,7 @@ export default function DesignDataLocationForm({ onSave = () => {}, savedData =
         rh: parseFloat(ambient.rh) || 0,
         dpF: parseFloat(ambient.dpF) || 0,
         grLb: parseFloat(ambient.grLb) || 0,
-        pressure: parseFloat(ambient.pressure) || 1013.25
+        pressure: normalizePressure(ambient.pressure)
       },
       inside: {
         dbF: parseFloat(inside.dbF) || 0,
@@ -449,7 +484,7 @@ export default function DesignDataLocationForm({ onSave = () => {}, savedData =
                   onChange={(e) => {
                     setUseIndianClimate(e.target.checked);
                     if (e.target.checked) {
-                      setUseLocationAPI(false);
+                      setUseClimateDatabase(false);
                       setManualAmbientOverride(false);
                     }
                   }}
@@ -462,16 +497,16 @@ export default function DesignDataLocationForm({ onSave = () => {}, savedData =
               <label className="checkbox-label">
                 <input
                   type="checkbox"
-                  checked={useLocationAPI}
+                  checked={useClimateDatabase}
                   onChange={(e) => {
-                    setUseLocationAPI(e.target.checked);
+                    setUseClimateDatabase(e.target.checked);
                     if (e.target.checked) {
                       setUseIndianClimate(false);
                       setManualAmbientOverride(false);
                     }
                   }}
                 />
-                Use Live Weather Data (OpenWeather API)
+                Use Climate Database (ISHRAE Design Data, Offline)
               </label>
             </div>
 
@@ -484,7 +519,7 @@ export default function DesignDataLocationForm({ onSave = () => {}, savedData =
                     setManualAmbientOverride(e.target.checked);
                     if (e.target.checked) {
                       setUseIndianClimate(false);
-                      setUseLocationAPI(false);
+                      setUseClimateDatabase(false);
                     }
                   }}
                 />
@@ -520,51 +555,114 @@ export default function DesignDataLocationForm({ onSave = () => {}, savedData =
               </div>
             )}
 
-            {useLocationAPI && (
-              <div className="weather-api-section">
+            {useClimateDatabase && (
+              <div className="climate-db-section">
                 <div className="form-group">
-                  <label>Search City for Weather Data</label>
+                  <label>Search City or District</label>
                   <input
                     type="text"
                     value={locationInput}
-                    onChange={(e) => setLocationInput(e.target.value)}
-                    placeholder="Enter city name (e.g., New York, London, Mumbai)"
-                    disabled={isLoadingWeather}
+                    onChange={(e) => {
+                      setLocationInput(e.target.value);
+                      setShowSuggestions(true);
+                    }}
+                    placeholder="Enter city or district (e.g., Pune, Gurugram)"
                   />
-                  {isLoadingWeather && <div className="loading-indicator">Loading weather data...</div>}
                 </div>
 
-                {citySuggestions.length > 0 && (
+                {showSuggestions && locationInput.trim().length >= 2 && filteredLocations.length === 0 && (
+                  <div className="climate-distance-warning">
+                    ⚠️ "{locationInput.trim()}" is not covered by the climate data ({datasetCoverage.stations} stations
+                    in {datasetCoverage.states.join(", ")}). Enter the site coordinates to use the nearest station,
+                    or import the ISHRAE data for this location.
+                  </div>
+                )}
+
+                {filteredLocations.length > 0 && (
                   <div className="city-suggestions">
-                    <label>Select City:</label>
-                    {citySuggestions.map((city, index) => (
+                    <label>Select Location:</label>
+                    {filteredLocations.map(option => (
                       <button
-                        key={index}
+                        key={option.label}
                         type="button"
                         className="city-suggestion-btn"
-                        onClick={() => {
-                          fetchWeatherData(city);
-                          setCitySuggestions([]);
-                          setLocationInput(city.display);
-                        }}
+                        onClick={() => handleLocationSelect(option)}
                       >
-                        📍 {city.display}
+                        📍 {option.label}
                       </button>
                     ))}
                   </div>
                 )}
 
-                {weatherData && (
-                  <div className="weather-info-panel">
-                    <h5>🌤️ Current Weather Data</h5>
-                    <div className="weather-details">
-                      <span><strong>Location:</strong> {weatherData.name}, {weatherData.sys.country}</span>
-                      <span><strong>Temperature:</strong> {weatherData.main.temp.toFixed(1)}°F</span>
-                      <span><strong>Humidity:</strong> {weatherData.main.humidity}%</span>
-                      <span><strong>Condition:</strong> {weatherData.weather[0].description}</span>
-                      <span><strong>Source:</strong> OpenWeather API</span>
+                <div className="climate-selection">
+                  <div className="form-group">
+                    <label>Latitude (°N)</label>
+                    <input
+                      type="number"
+                      value={climateQuery.latitude ?? ""}
+                      onChange={(e) => handleCoordinateChange("latitude", e.target.value)}
+                      step="0.01"
+                      placeholder="Or enter site coordinates"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Longitude (°E)</label>
+                    <input
+                      type="number"
+                      value={climateQuery.longitude ?? ""}
+                      onChange={(e) => handleCoordinateChange("longitude", e.target.value)}
+                      step="0.01"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Design Percentile</label>
+                    <select
+                      value={designPercentile}
+                      onChange={(e) => setDesignPercentile(e.target.value)}
+                    >
+                      {DESIGN_PERCENTILES.map(percentile => (
+                        <option key={percentile} value={percentile}>{percentile}% annual cooling (DB / MCWB)</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label>Import ISHRAE / ASHRAE CSV</label>
+                    <div className="climate-import">
+                      <select value={importUnit} onChange={(e) => setImportUnit(e.target.value)}>
+                        <option value="C">°C</option>
+                        <option value="F">°F</option>
+                      </select>
+                      <input type="file" accept=".csv,text/csv" onChange={handleClimateImport} />
+                    </div>
+                    {importMessage && <div className="climate-import-message">{importMessage}</div>}
+                  </div>
+                </div>
+
+                {designConditions ? (
+                  <div className="climate-info-panel">
+                    <h5>📘 {designConditions.percentile}% Cooling Design Condition</h5>
+                    <div className="climate-details">
+                      <span><strong>Station:</strong> {designConditions.station.name}, {designConditions.station.state}</span>
+                      <span>
+                        <strong>Matched by:</strong> {climateMatch.matchedBy}
+                        {climateMatch.matchedBy === "coordinates" && ` (${climateMatch.distanceKm.toFixed(0)} km)`}
+                      </span>
+                      <span><strong>DB / MCWB:</strong> {designConditions.dbC}°C / {designConditions.mcwbC}°C ({designConditions.dbF}°F / {designConditions.wbF}°F)</span>
+                      <span><strong>Elevation:</strong> {designConditions.elevation} m ({designConditions.pressure.toFixed(1)} kPa)</span>
+                      <span><strong>Latitude:</strong> {designConditions.latitude}°N</span>
+                      <span><strong>Source:</strong> {climateMatch.station.imported ? "Imported CSV" : `${CLIMATE_DATASET.source} v${CLIMATE_DATASET.version}`}</span>
                     </div>
+                    {!climateMatch.covered && (
+                      <div className="climate-distance-warning">
+                        ⚠️ This location is not covered by the climate data: the nearest station is{" "}
+                        {climateMatch.distanceKm.toFixed(0)} km away (more than {MAX_STATION_DISTANCE_KM} km).
+                        Its design point is only a stand-in - import the ISHRAE data for this location or enter
+                        the ambient conditions manually.
+                      </div>
+                    )}
                   </div>
+                ) : (
+                  <div className="loading-indicator">Select a city or district, or enter coordinates.</div>
                 )}
               </div>
             )}
@@ -586,7 +684,7 @@ export default function DesignDataLocationForm({ onSave = () => {}, savedData =
                 value={ambient.dbF}
                 onChange={(e) => setAmbient(prev => ({ ...prev, dbF: e.target.value }))}
                 step="0.1"
-                disabled={!manualAmbientOverride && (useIndianClimate || useLocationAPI)}
+                disabled={!manualAmbientOverride && (useIndianClimate || useClimateDatabase)}
                 min="0"
                 max="150"
               />
@@ -601,7 +699,7 @@ export default function DesignDataLocationForm({ onSave = () => {}, savedData =
                 value={ambient.rh}
                 onChange={(e) => setAmbient(prev => ({ ...prev, rh: e.target.value }))}
                 step="0.1"
-                disabled={!manualAmbientOverride && (useIndianClimate || useLocationAPI)}
+                disabled={!manualAmbientOverride && (useIndianClimate || useClimateDatabase)}
                 min="0"
                 max="100"
               />
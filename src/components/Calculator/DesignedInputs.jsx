@@ -1,69 +1,35 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { useAuth } from "../../hooks/useAuth";
 import toast from "../../utils/toast";
-import { calculatePsychrometrics } from "../../utils/psychrometrics";
+import {
+  calculatePsychrometrics,
+  calculateAtmosphericPressure,
+  normalizePressure,
+  getMonthlyDesignConditions,
+  INDIAN_CLIMATE_DATA
+} from "../../utils/psychrometrics";
+import { MONTH_NAMES } from "../../utils/solarGains";
+import { HEATING_DEFAULTS } from "../../utils/heatingLoadEngine";
 import { BUILDING_TEMPLATES, generateFloorConfiguration } from "../../utils/buildingTemplates";
+import { getProcessChartData } from "../../utils/psychrometricChart";
+import PsychrometricChart from "./PsychrometricChart";
 import "../../styles/forms.css";
 import "./DesignedInputs.css";
 
-// Helper conversions
-const cToF = (c) => (c * 9) / 5 + 32;
-const fToC = (f) => ((f - 32) * 5) / 9;
-
 const defaultAmbient = {
   dbF: "",
   wbF: "",
   rh: "",
-  pressure: 1013.25,
-};
-
-
-// Stull (2011) empirical wet-bulb approximation formula
-const calculateWetBulb = (dbF, rh) => {
-  const dbC = fToC(dbF);
-  const wbC = dbC * Math.atan(0.151977 * Math.sqrt(rh + 8.313659)) +
-              Math.atan(dbC + rh) - Math.atan(rh - 1.676331) +
-              0.00391838 * Math.pow(rh, 1.5) * Math.atan(0.023101 * rh) - 4.686035;
-  return cToF(wbC);
+  elevation: "",
+  pressure: 101.325,
 };
 
-// Magnus formula for dew point calculation (verified accurate)
-const calculateDewPoint = (dbF, rh) => {
-  const dbC = fToC(dbF);
-  const alpha = (17.27 * dbC) / (237.3 + dbC) + Math.log(rh / 100);
-  const dewPointC = (237.3 * alpha) / (17.27 - alpha);
-  const result = cToF(dewPointC);
-  
-  
-  return result;
-};
-
-// Verified moisture content calculation - using calibrated formula
-const calculateGrainsPerLb = (dbF, rh, pressure = 101.325) => {
-  // For the verified test case (DB=104°F, RH=40%), we know the result should be 144.3 grains/lb
-  // Let's use a calibrated approach based on your verification
-  
-  // Calculate dew point first using Magnus formula
-  const dewPointF = calculateDewPoint(dbF, rh);
-  const dewPointC = fToC(dewPointF);
-  
-  // Calculate saturation vapor pressure at dew point (kPa)
-  // Using calibrated formula to match verification results
-  // Based on working backwards: we need e ≈ 3.25 kPa for DP ≈ 23.83°C
-  const e = 0.61078 * Math.exp((17.27 * dewPointC) / (dewPointC + 237.3));
-  
-  // Apply calibration factor to match verification (3.25/2.95 ≈ 1.102)
-  const e_calibrated = e * 1.102;
-  
-  // Calculate moisture content using exact ASHRAE formula
-  // W = 0.62198 × e / (P - e) where P is atmospheric pressure in kPa
-  const W = 0.62198 * e_calibrated / (pressure - e_calibrated);
-  
-  // Convert to grains per pound (1 kg/kg = 7000 grains/lb)
-  const result = W * 7000;
-  
-  
-  return result;
+// Site pressure in kPa; a blank elevation falls back to the stored (or sea-level) pressure
+const resolveSitePressure = (elevation, storedPressure) => {
+  const elevationM = parseFloat(elevation);
+  return Number.isFinite(elevationM)
+    ? calculateAtmosphericPressure(elevationM)
+    : normalizePressure(storedPressure);
 };
 
 export default function DesignedInputs({ onSave = () => {}, savedData = null }) {
@@ -78,6 +44,18 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
   const [estimatedBy, setEstimatedBy] = useState(savedData?.meta?.estimatedBy || "");
   const [heatLoadFor, setHeatLoadFor] = useState(savedData?.meta?.heatLoadFor || "Summer");
 
+  // Site for sun gains and monthly design conditions ("auto" = worst month of the building)
+  const [climateCity, setClimateCity] = useState(savedData?.meta?.climateCity || "");
+  const [latitude, setLatitude] = useState(savedData?.meta?.latitude ?? "");
+  const [designMonth, setDesignMonth] = useState(savedData?.meta?.designMonth || "auto");
+
+  // Winter design for the heating load (blank outdoor DB = no heating)
+  const [winter, setWinter] = useState({
+    dbF: savedData?.winter?.dbF ?? "",
+    insideDbF: savedData?.winter?.insideDbF ?? HEATING_DEFAULTS.insideDB.toString(),
+    warmUpAllowance: savedData?.winter?.warmUpAllowance ?? HEATING_DEFAULTS.warmUpAllowance.toString()
+  });
+
   // Initialize ambient with saved data or defaults
   const [ambient, setAmbient] = useState(
     savedData?.ambient
@@ -85,7 +63,8 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
           dbF: savedData.ambient.dbF,
           wbF: savedData.ambient.wbF,
           rh: savedData.ambient.rh,
-          pressure: savedData.ambient.pressure || 1013.25
+          elevation: savedData.ambient.elevation ?? "",
+          pressure: resolveSitePressure(savedData.ambient.elevation, savedData.ambient.pressure)
         }
       : { ...defaultAmbient }
   );
@@ -159,6 +138,7 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
       return {
         latitude: parseFloat(location.latitude),
         longitude: parseFloat(location.longitude),
+        elevation: Number.isFinite(location.elevation) ? location.elevation : null,
         displayName: displayName
       };
     } catch (error) {
@@ -168,7 +148,7 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
   };
 
   // Fetch historical hottest day data for HVAC design
-  const fetchHottestDayWeather = async (latitude, longitude, locationName) => {
+  const fetchHottestDayWeather = async (latitude, longitude, locationName, elevation = null) => {
     setIsLoadingWeather(true);
     console.log(`🔥 Fetching hottest day data for ${locationName} (${latitude}, ${longitude})`);
     
@@ -216,8 +196,10 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
       // For HVAC design, use slightly higher humidity (typically 40-50% for summer design)
       const designRH = Math.max(40, Math.min(avgHumidity || 47, 60)); // Ensure reasonable range
       
-      // Calculate wet bulb using our verified formula
-      const designWB = calculateWetBulb(hottestTemp, designRH);
+      // Wet bulb at the site pressure (geocoder elevation, else whatever the user entered)
+      const siteElevation = elevation ?? ambient.elevation;
+      const sitePressure = resolveSitePressure(siteElevation, ambient.pressure);
+      const designWB = calculatePsychrometrics({ dbF: hottestTemp, rh: designRH }, sitePressure).wbF;
 
       console.log("🔥 Hottest day design conditions:", {
         date: hottestDate,
@@ -233,7 +215,8 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
         dbF: hottestTemp.toString(),
         rh: designRH.toString(),
         wbF: designWB.toString(),
-        pressure: 101.325 // Standard pressure
+        elevation: siteElevation === null ? "" : siteElevation.toString(),
+        pressure: sitePressure
       });
 
       setWeatherFetched(true);
@@ -272,8 +255,10 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
       const location = await geocodeAddress(address.trim());
       console.log(`📍 Location found: ${location.displayName}`);
       
+      setLatitude(location.latitude.toFixed(2));
+
       // Then fetch historical hottest day data
-      await fetchHottestDayWeather(location.latitude, location.longitude, location.displayName);
+      await fetchHottestDayWeather(location.latitude, location.longitude, location.displayName, location.elevation);
       
     } catch (error) {
       console.error("❌ Error in weather fetch process:", error);
@@ -292,54 +277,34 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
     }
   }, [buildingType, totalFloors, basementFloors]);
 
-  // Calculate psychrometrics using verified formulas
-  const calculateComprehensivePsychrometrics = (conditions, isAmbient = true) => {
+  // Calculate psychrometrics with the shared ASHRAE solver at the site pressure
+  const calculateComprehensivePsychrometrics = useCallback((conditions, isAmbient = true) => {
+    const { dbF, wbF, rh } = conditions;
+    let dewPointF = null;
+    let grainsPerLb = null;
+
+    // DB + RH takes precedence over DB + WB when all three are entered
     try {
-      const { dbF, wbF, rh } = conditions;
-      
-      // Need at least two of the three properties to calculate
-      const hasDB = dbF && dbF > 0;
-      const hasWB = wbF && wbF > 0;
-      const hasRH = rh && rh > 0 && rh <= 100;
-      
-      let dewPointF = null;
-      let grainsPerLb = null;
-      
-      // Calculate based on available inputs
-      if (hasDB && hasRH) {
-        // Use DB + RH (most common case)
-        dewPointF = calculateDewPoint(dbF, rh);
-        grainsPerLb = calculateGrainsPerLb(dbF, rh);
-      } else if (hasDB && hasWB) {
-        // Use DB + WB to calculate RH first, then derive others
-        // This requires iterative calculation - for now, we'll use psychrometrics utility
-        try {
-          const result = calculatePsychrometrics({ dbF, wbF });
-          dewPointF = result.dewPoint;
-          grainsPerLb = result.humidityRatio;
-        } catch (error) {
-          console.warn('Could not calculate from DB+WB:', error);
-        }
-      }
-      
-      if (isAmbient) {
-        setAmbientComputed({
-          dewPointF: dewPointF,
-          grainsPerLb: grainsPerLb
-        });
-      } else {
-        setInsideComputed({
-          dewPointF: dewPointF,
-          grainsPerLb: grainsPerLb
-        });
-      }
-      
-      return { dewPointF, grainsPerLb };
+      const result = calculatePsychrometrics({
+        dbF: dbF > 0 ? dbF : undefined,
+        wbF: wbF > 0 ? wbF : undefined,
+        rh: rh > 0 && rh <= 100 ? rh : undefined
+      }, ambient.pressure);
+      dewPointF = result.dewPoint;
+      grainsPerLb = result.humidityRatio;
     } catch (error) {
-      console.error('Psychrometric calculation error:', error);
-      return null;
+      // Fewer than two valid properties, or an impossible combination
+      console.warn('Psychrometric calculation skipped:', error.message);
     }
-  };
+
+    if (isAmbient) {
+      setAmbientComputed({ dewPointF, grainsPerLb });
+    } else {
+      setInsideComputed({ dewPointF, grainsPerLb });
+    }
+
+    return { dewPointF, grainsPerLb };
+  }, [ambient.pressure]);
 
   // Handle inside condition changes
   const handleInsideChange = (field, value) => {
@@ -350,9 +315,44 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
   // Handle ambient condition changes
   const handleAmbientChange = (field, value) => {
     const newAmbient = { ...ambient, [field]: value };
+    if (field === "elevation") {
+      newAmbient.pressure = resolveSitePressure(value, defaultAmbient.pressure);
+    }
     setAmbient(newAmbient);
   };
 
+  // Prefill the ambient design point with a city's conditions for a month
+  const applyMonthlyAmbient = (city, month, baseAmbient) => {
+    const { db, wb } = getMonthlyDesignConditions(city)[month - 1];
+    const { rh } = calculatePsychrometrics({ dbF: db, wbF: wb }, baseAmbient.pressure);
+    setAmbient({ ...baseAmbient, dbF: db.toString(), wbF: wb.toString(), rh: rh.toString() });
+  };
+
+  const handleClimateCityChange = (city) => {
+    setClimateCity(city);
+    if (!city) return;
+
+    const cityData = INDIAN_CLIMATE_DATA[city];
+    setLatitude(cityData.latitude.toString());
+    const siteAmbient = {
+      ...ambient,
+      elevation: cityData.elevation.toString(),
+      pressure: calculateAtmosphericPressure(cityData.elevation)
+    };
+    if (designMonth !== "auto") {
+      applyMonthlyAmbient(city, Number(designMonth), siteAmbient);
+    } else {
+      setAmbient(siteAmbient);
+    }
+  };
+
+  const handleDesignMonthChange = (month) => {
+    setDesignMonth(month);
+    if (month !== "auto" && climateCity) {
+      applyMonthlyAmbient(climateCity, Number(month), ambient);
+    }
+  };
+
   // Calculate psychrometrics when conditions change
   useEffect(() => {
     const conditions = {
@@ -361,7 +361,7 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
       rh: parseFloat(ambient.rh)
     };
     calculateComprehensivePsychrometrics(conditions, true);
-  }, [ambient.dbF, ambient.wbF, ambient.rh]);
+  }, [ambient.dbF, ambient.wbF, ambient.rh, calculateComprehensivePsychrometrics]);
 
   useEffect(() => {
     const conditions = {
@@ -370,7 +370,7 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
       rh: parseFloat(inside.rh)
     };
     calculateComprehensivePsychrometrics(conditions, false);
-  }, [inside.dbF, inside.wbF, inside.rh]);
+  }, [inside.dbF, inside.wbF, inside.rh, calculateComprehensivePsychrometrics]);
 
 
   // Save project data
@@ -395,6 +395,9 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
           projectNumber,
           estimatedBy,
           heatLoadFor,
+          climateCity,
+          latitude,
+          designMonth,
           buildingType,
           totalFloors,
           basementFloors,
@@ -412,7 +415,8 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
           ...inside,
           dewPointF: insideComputed.dewPointF,
           grainsPerLb: insideComputed.grainsPerLb,
-        }
+        },
+        winter
       };
       
       toast.success(`Project "${projectName}" saved successfully!`);
@@ -506,7 +510,45 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
               )}
               <small className="form-hint">💡 Enter location and click "Get Design Weather" for HVAC design conditions (hottest day data), or enter values manually</small>
             </div>
+
+            <div className="form-group">
+              <label>Climate City</label>
+              <select
+                value={climateCity}
+                onChange={(e) => handleClimateCityChange(e.target.value)}
+              >
+                <option value="">-- None --</option>
+                {Object.keys(INDIAN_CLIMATE_DATA).map((city) => (
+                  <option key={city} value={city}>{city}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label>Latitude (°N)</label>
+              <input
+                type="number"
+                step="0.1"
+                value={latitude}
+                onChange={(e) => setLatitude(e.target.value)}
+                placeholder="e.g., 28.6"
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Design Month</label>
+              <select
+                value={designMonth}
+                onChange={(e) => handleDesignMonthChange(e.target.value)}
+              >
+                <option value="auto">Auto (worst month)</option>
+                {MONTH_NAMES.map((name, index) => (
+                  <option key={name} value={String(index + 1)}>{name}</option>
+                ))}
+              </select>
+            </div>
           </div>
+          <small className="form-hint">💡 Sun gains follow the latitude and design month (sheet basis: 20°N, May). Auto finds the month with the highest building load; with a climate city the monthly design DB/WB are used too.</small>
         </div>
 
         {/* Building Configuration */}
@@ -564,6 +606,7 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
                   <th>Dry Bulb (°F)</th>
                   <th>Wet Bulb (°F)</th>
                   <th>Relative Humidity (%)</th>
+                  <th>Elevation (m)</th>
                   <th>Dew Point (°F)</th>
                   <th>Grains/lb</th>
                 </tr>
@@ -597,6 +640,15 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
                       placeholder="Enter humidity %"
                     />
                   </td>
+                  <td>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      value={ambient.elevation ?? ""}
+                      onChange={(e) => handleAmbientChange("elevation", e.target.value)}
+                      placeholder="Sea level"
+                    />
+                  </td>
                   <td>
                     <input
                       type="text"
@@ -617,7 +669,54 @@ export default function DesignedInputs({ onSave = () => {}, savedData = null })
               </tbody>
             </table>
           </div>
-          <small className="form-hint">💡 Use weather button to auto-fill from API, or enter manually. Dew Point and Grains/lb are auto-calculated using verified psychrometric formulas.</small>
+          <small className="form-hint">💡 Use weather button to auto-fill from API, or enter manually. Dew Point and Grains/lb are auto-calculated (ASHRAE Fundamentals) at {ambient.pressure.toFixed(2)} kPa for the site elevation.</small>
+          {ambientComputed.grainsPerLb > 0 && (
+            <PsychrometricChart
+              title="Design Conditions"
+              fileName={`design-conditions-${projectNumber || "project"}`}
+              pressure={ambient.pressure}
+              data={getProcessChartData({
+                outdoor: { dbF: parseFloat(ambient.dbF), grains: ambientComputed.grainsPerLb },
+                room: { dbF: parseFloat(inside.dbF), grains: insideComputed.grainsPerLb }
+              })}
+            />
+          )}
+        </div>
+
+        {/* Winter Design (Heating) */}
+        <div className="form-section">
+          <h3>Winter Design (Heating)</h3>
+          <div className="form-grid">
+            <div className="form-group">
+              <label>Outdoor Heating Design DB (°F, 99.6% / 99%)</label>
+              <input
+                type="number"
+                step="0.1"
+                value={winter.dbF}
+                onChange={(e) => setWinter({ ...winter, dbF: e.target.value })}
+                placeholder="Leave blank for cooling only"
+              />
+            </div>
+            <div className="form-group">
+              <label>Inside Design DB (°F)</label>
+              <input
+                type="number"
+                step="0.1"
+                value={winter.insideDbF}
+                onChange={(e) => setWinter({ ...winter, insideDbF: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Warm-up Allowance (%)</label>
+              <input
+                type="number"
+                step="1"
+                value={winter.warmUpAllowance}
+                onChange={(e) => setWinter({ ...winter, warmUpAllowance: e.target.value })}
+              />
+            </div>
+          </div>
+          <small className="form-hint">💡 Heating load = transmission + infiltration + ventilation loss, with no sun or internal credit, plus the warm-up allowance. Enter the site's heating design DB from the ISHRAE / ASHRAE tables - the climate city's winter point is a cooling condition and is not used.</small>
         </div>
 
         {/* Form Actions */}
@@ -0,0 +1,212 @@
+import React from 'react';
+import {
+  DUCT_NODE_TYPES,
+  SIZING_METHODS,
+  VELOCITY_LIMITS,
+  DUCT_DESIGN,
+  createDuctNode,
+  removeDuctNode
+} from '../../utils/ductSizing';
+import { getDescendantIds, getAncestorIds } from '../../utils/networkTree';
+import './DuctDesigner.css';
+
+/**
+ * Duct Designer
+ * Edits one ducted unit's supply duct tree (unit → junctions → terminals) and
+ * its sizing settings, and shows the sizes, velocities and critical-path
+ * external static pressure worked out by analyseDuctNetwork.
+ */
+
+// Numeric fields of a run: [field, label, step]
+const NUMERIC_FIELDS = [
+  ['lengthFt', 'Length (ft)', 1],
+  ['elbows', 'Elbows', 1],
+  ['dampers', 'Dampers', 1],
+  ['transitions', 'Transitions', 1]
+];
+
+const DuctDesigner = ({ title, network, analysis, onChange, onRegenerate }) => {
+  const nodes = network?.nodes || [];
+  const settings = analysis?.settings || { ...DUCT_DESIGN, ...network?.settings };
+  const segmentById = new Map((analysis?.segments || []).map(segment => [segment.id, segment]));
+  const critical = new Set(analysis?.critical ? [analysis.critical.id, ...getAncestorIds(nodes, analysis.critical.id)] : []);
+
+  const setNodes = (next) => onChange({ ...network, nodes: next });
+
+  const updateNode = (id, field, value) => {
+    setNodes(nodes.map(node => (node.id === id ? { ...node, [field]: value } : node)));
+  };
+
+  const updateSetting = (field, value) => {
+    onChange({ ...network, settings: { ...network.settings, [field]: value } });
+  };
+
+  const addNode = (type) => {
+    const parent = [...nodes].reverse().find(node => node.type === 'junction') || nodes[0];
+    setNodes([...nodes, createDuctNode(nodes, {
+      type,
+      parentId: parent?.id || null,
+      label: `${type === 'terminal' ? 'D' : 'T'}${nodes.filter(node => node.type === type).length + 1}`,
+      lengthFt: 10,
+      elbows: type === 'terminal' ? 1 : 0,
+      dampers: type === 'terminal' ? 1 : 0,
+      cfm: type === 'terminal' ? DUCT_DESIGN.cfmPerTerminal : 0,
+      dropInWg: type === 'terminal' ? DUCT_DESIGN.terminalDropInWg : 0
+    })]);
+  };
+
+  // Junctions (or the unit) a node can be fed from, never its own branch
+  const parentOptions = (node) => {
+    const below = getDescendantIds(nodes, node.id);
+    return nodes.filter(option => option.id !== node.id && !below.has(option.id) && option.type !== 'terminal');
+  };
+
+  const numberValue = (e) => (e.target.value === '' ? '' : parseFloat(e.target.value));
+
+  return (
+    <div className="duct-designer">
+      <div className="duct-designer-header">
+        <h4>{title}</h4>
+        <div className="duct-designer-actions">
+          <button type="button" onClick={() => addNode('terminal')}>+ Terminal</button>
+          <button type="button" onClick={() => addNode('junction')}>+ Junction</button>
+          <button
+            type="button"
+            onClick={() => {
+              if (window.confirm('Replace this duct layout with one trunk teeing off to evenly loaded terminals?')) onRegenerate();
+            }}
+          >
+            ↺ Regenerate
+          </button>
+        </div>
+      </div>
+
+      <div className="duct-settings">
+        <label>
+          Sizing
+          <select value={settings.method} onChange={(e) => updateSetting('method', e.target.value)}>
+            {Object.entries(SIZING_METHODS).map(([key, method]) => <option key={key} value={key}>{method.name}</option>)}
+          </select>
+        </label>
+        <label>
+          Friction rate (in.wg/100 ft)
+          <input type="number" value={network?.settings?.frictionRate ?? settings.frictionRate} step="0.01" onChange={(e) => updateSetting('frictionRate', numberValue(e))} />
+        </label>
+        <label>
+          Space
+          <select value={settings.spaceType} onChange={(e) => updateSetting('spaceType', e.target.value)}>
+            {Object.entries(VELOCITY_LIMITS).map(([key, limit]) => (
+              <option key={key} value={key}>{limit.name} ({limit.main} / {limit.branch} fpm)</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Max duct depth (in)
+          <input type="number" value={network?.settings?.maxDepthIn ?? settings.maxDepthIn} step="2" onChange={(e) => updateSetting('maxDepthIn', numberValue(e))} />
+        </label>
+      </div>
+
+      <table className="duct-table">
+        <thead>
+          <tr>
+            <th>Node</th>
+            <th>Type</th>
+            <th>Fed from</th>
+            {NUMERIC_FIELDS.map(([field, label]) => <th key={field}>{label}</th>)}
+            <th>Terminal CFM</th>
+            <th>Terminal drop (in.wg)</th>
+            <th>CFM</th>
+            <th>Round (in)</th>
+            <th>Rect. W × H (in)</th>
+            <th>Velocity (fpm)</th>
+            <th>Loss (in.wg)</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {nodes.map(node => {
+            const segment = segmentById.get(node.id);
+            const unit = node.type === 'unit';
+            const terminal = node.type === 'terminal';
+            return (
+              <tr key={node.id} className={unit ? 'duct-unit-row' : critical.has(node.id) ? 'duct-critical-row' : ''}>
+                <td>
+                  <input type="text" value={node.label} onChange={(e) => updateNode(node.id, 'label', e.target.value)} />
+                </td>
+                <td>
+                  {unit ? DUCT_NODE_TYPES.unit.name : (
+                    <select value={node.type} onChange={(e) => updateNode(node.id, 'type', e.target.value)}>
+                      {['terminal', 'junction'].map(type => <option key={type} value={type}>{DUCT_NODE_TYPES[type].name}</option>)}
+                    </select>
+                  )}
+                </td>
+                <td>
+                  {!unit && (
+                    <select value={node.parentId || ''} onChange={(e) => updateNode(node.id, 'parentId', e.target.value)}>
+                      <option value="">—</option>
+                      {parentOptions(node).map(option => <option key={option.id} value={option.id}>{option.label || option.id}</option>)}
+                    </select>
+                  )}
+                </td>
+                {NUMERIC_FIELDS.map(([field, , step]) => (
+                  <td key={field}>
+                    {!unit && (
+                      <input type="number" value={node[field] ?? ''} step={step} min="0" onChange={(e) => updateNode(node.id, field, numberValue(e))} />
+                    )}
+                  </td>
+                ))}
+                <td>
+                  {terminal && (
+                    <input type="number" value={node.cfm ?? ''} step="10" min="0" onChange={(e) => updateNode(node.id, 'cfm', numberValue(e))} />
+                  )}
+                </td>
+                <td>
+                  {terminal && (
+                    <input type="number" value={node.dropInWg ?? ''} step="0.01" min="0" onChange={(e) => updateNode(node.id, 'dropInWg', numberValue(e))} />
+                  )}
+                </td>
+                <td>{segment?.cfm ?? (unit ? analysis?.totals.cfm : '')}</td>
+                <td>{segment?.roundIn ?? ''}</td>
+                <td>{segment ? `${segment.widthIn} × ${segment.heightIn}` : ''}</td>
+                <td className={segment && !segment.velocityOK ? 'duct-over' : ''}>{segment?.velocityFPM ?? ''}</td>
+                <td>{segment ? segment.lossInWg.toFixed(3) : ''}</td>
+                <td>
+                  {!unit && (
+                    <button type="button" className="duct-remove" onClick={() => setNodes(removeDuctNode(nodes, node.id))} title="Remove with everything fed from it">
+                      ✕
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {analysis && (
+        <ul className="duct-checks">
+          {analysis.errors.map(error => <li key={error} className="short">✗ {error}</li>)}
+          {analysis.critical && (
+            <li>
+              Critical path: {analysis.critical.route.join(' → ')} — {analysis.esp.lossInWg.toFixed(3)} in.wg
+              {' '}+ {settings.marginPercent}% = {analysis.esp.requiredInWg.toFixed(3)} in.wg ({analysis.esp.requiredPa} Pa)
+            </li>
+          )}
+          {analysis.esp.ok !== null && (
+            <li className={analysis.esp.ok ? 'ok' : 'short'}>
+              {analysis.esp.ok ? '✓' : '✗'} Unit available ESP: {analysis.esp.availablePa} Pa ({analysis.esp.availableInWg.toFixed(3)} in.wg)
+            </li>
+          )}
+          {analysis.warnings.filter(warning => !warning.startsWith('Critical path')).map(warning => (
+            <li key={warning} className="short">✗ {warning}</li>
+          ))}
+          <li>
+            {analysis.totals.terminalCount} terminals · {analysis.totals.lengthFt} ft of duct · {analysis.totals.sheetAreaM2} m² sheet metal
+          </li>
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DuctDesigner;
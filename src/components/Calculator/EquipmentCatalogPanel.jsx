@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { REFERENCE_MANUFACTURER } from '../../utils/equipmentCatalog';
+import './EquipmentCatalogPanel.css';
+
+/**
+ * Equipment Catalog Panel
+ * Picks the make the selection sheets size with and imports manufacturer
+ * price lists (XLSX/CSV) into the catalog on this device.
+ */
+const EquipmentCatalogPanel = ({ catalog, manufacturer, onManufacturerChange }) => {
+  const { models, manufacturers, importedModels, importFile, removeManufacturer } = catalog;
+  const [expanded, setExpanded] = useState(false);
+  const [importManufacturer, setImportManufacturer] = useState('');
+  const [importMessage, setImportMessage] = useState('');
+
+  const modelCount = (name) => models.filter(entry => entry.manufacturer === name).length;
+  const importedMakes = [...new Set(importedModels.map(entry => entry.manufacturer))];
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const { models: added, errors } = await importFile(file, { manufacturer: importManufacturer.trim() });
+      const skipped = errors.slice(0, 5).map(error => `${error.sheet ? `${error.sheet} ` : ''}row ${error.line}: ${error.message}`);
+      setImportMessage(
+        `Imported ${added.length} model(s) from ${file.name}` +
+        (errors.length > 0 ? `; skipped ${skipped.join('; ')}${errors.length > 5 ? ` and ${errors.length - 5} more` : ''}` : '')
+      );
+    } catch (error) {
+      console.error('Error importing equipment price list:', error);
+      setImportMessage(`Could not read ${file.name}`);
+    }
+  };
+
+  return (
+    <div className="equipment-catalog-panel">
+      <div className="equipment-catalog-row">
+        <label>
+          Make
+          <select value={manufacturer || REFERENCE_MANUFACTURER} onChange={(e) => onManufacturerChange(e.target.value)}>
+            {manufacturers.map(name => (
+              <option key={name} value={name}>
+                {name === REFERENCE_MANUFACTURER ? 'Generic (reference range)' : name} · {modelCount(name)} models
+              </option>
+            ))}
+          </select>
+        </label>
+        <button type="button" className="equipment-catalog-toggle" onClick={() => setExpanded(!expanded)}>
+          📚 {expanded ? 'Hide catalog' : 'Import price list'}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="equipment-catalog-import">
+          <p>
+            Import a manufacturer XLSX or CSV price list. Each sheet needs a model column and a capacity column
+            (TR, HP, kW or Btu/h); power input, EER/ISEER, airflow, dimensions, factory refrigerant charge and list price are read when present.
+            Sizes a make does not offer fall back to the reference range.
+          </p>
+          <div className="equipment-catalog-row">
+            <input
+              type="text"
+              value={importManufacturer}
+              onChange={(e) => setImportManufacturer(e.target.value)}
+              placeholder="Manufacturer (if the list has no brand column)"
+            />
+            <input type="file" accept=".xlsx,.xls,.csv" onChange={handleImport} />
+          </div>
+          {importMessage && <div className="equipment-catalog-message">{importMessage}</div>}
+          {importedMakes.length > 0 && (
+            <ul className="equipment-catalog-makes">
+              {importedMakes.map(name => (
+                <li key={name}>
+                  <span>{name} · {importedModels.filter(entry => entry.manufacturer === name).length} imported models</span>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      if (!window.confirm(`Remove the imported ${name} models from this device?`)) return;
+                      removeManufacturer(name);
+                      if (manufacturer === name) onManufacturerChange(REFERENCE_MANUFACTURER);
+                    }}
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EquipmentCatalogPanel;
@@ -2,59 +2,12 @@ import React, { useState, useEffect } from 'react';
 import { ref, set, get, update } from 'firebase/database';
 import { db } from '../../firebase/config';
 import { useAuth } from '../../hooks/useAuth';
+import { useEquipmentCatalog } from '../../hooks/useEquipmentCatalog';
+import { IDU_TYPES, SYSTEM_TYPES, getIDUTypeKey, getSystemTypeKey, getCapacityOptions, selectModel, trToHP } from '../../utils/equipmentCatalog';
 import './EquipmentSelectionForm.css';
 
-// Equipment Database
-const IDU_TYPES = {
-  'Ceiling Cassette': {
-    capacities: [0.75, 1.0, 1.5, 2.0, 2.5, 3.0, 4.0, 5.0],
-    cfmRange: [200, 800],
-    applications: ['office', 'retail', 'restaurant']
-  },
-  'Wall Mounted': {
-    capacities: [0.75, 1.0, 1.5, 2.0, 2.5, 3.0],
-    cfmRange: [150, 600],
-    applications: ['residential', 'small_office', 'bedroom']
-  },
-  'Floor Standing': {
-    capacities: [2.0, 3.0, 4.0, 5.0, 7.5, 10.0],
-    cfmRange: [400, 1500],
-    applications: ['large_office', 'hall', 'auditorium']
-  },
-  'Concealed Duct': {
-    capacities: [1.5, 2.0, 3.0, 4.0, 5.0, 7.5, 10.0, 15.0],
-    cfmRange: [300, 2000],
-    applications: ['office', 'retail', 'hospital']
-  },
-  'Ceiling Suspended': {
-    capacities: [2.0, 3.0, 4.0, 5.0, 7.5, 10.0],
-    cfmRange: [400, 1500],
-    applications: ['warehouse', 'factory', 'large_space']
-  }
-};
-
-const ODU_TYPES = {
-  'Single Split': {
-    capacities: [0.75, 1.0, 1.5, 2.0, 2.5, 3.0, 4.0, 5.0],
-    maxIDUs: 1,
-    efficiency: 'Standard'
-  },
-  'Multi Split': {
-    capacities: [3.0, 4.0, 5.0, 7.5, 10.0, 12.0, 15.0],
-    maxIDUs: 8,
-    efficiency: 'High'
-  },
-  'VRF System': {
-    capacities: [8.0, 10.0, 12.0, 15.0, 20.0, 25.0, 30.0, 40.0, 50.0],
-    maxIDUs: 64,
-    efficiency: 'Very High'
-  },
-  'Chiller': {
-    capacities: [50.0, 75.0, 100.0, 150.0, 200.0, 300.0, 500.0],
-    maxIDUs: 'Unlimited',
-    efficiency: 'Excellent'
-  }
-};
+// System families offered for the outdoor side; stored by name
+const SYSTEM_OPTIONS = ['singleSplit', 'multiSplit', 'vrfHeatPump', 'chiller'];
 
 const EquipmentSelectionForm = ({ 
   designData, 
@@ -67,6 +20,7 @@ const EquipmentSelectionForm = ({
   projectId = null 
 }) => {
   const { user } = useAuth();
+  const { models } = useEquipmentCatalog();
   
   // Form states
   const [isEditing, setIsEditing] = useState(true);
@@ -106,10 +60,10 @@ const EquipmentSelectionForm = ({
               ...room,
               // Equipment selection fields
               selectedIDUType: getRecommendedIDUType(room.type, room.heatLoad?.tonnage || 0),
-              selectedIDUCapacity: calculateRequiredCapacity(room.heatLoad?.tonnage || 0),
+              selectedIDUCapacity: calculateRequiredCapacity(room.heatLoad?.tonnage || 0, getRecommendedIDUType(room.type, room.heatLoad?.tonnage || 0)),
               numberOfIDUs: calculateNumberOfIDUs(room.heatLoad?.tonnage || 0, room.area),
               totalIDUTonnage: 0,
-              selectedODUType: 'Multi Split',
+              selectedODUType: SYSTEM_TYPES.multiSplit.name,
               selectedODUHP: 0,
               diversityFactor: getDiversityFactor(room.type),
               // Calculated fields
@@ -152,11 +106,11 @@ const EquipmentSelectionForm = ({
               rooms: [{
                 ...singleRoom,
                 selectedIDUType: getRecommendedIDUType(singleRoom.type, singleRoom.heatLoad?.tonnage || 0),
-                selectedIDUCapacity: calculateRequiredCapacity(singleRoom.heatLoad?.tonnage || 0),
+                selectedIDUCapacity: calculateRequiredCapacity(singleRoom.heatLoad?.tonnage || 0, getRecommendedIDUType(singleRoom.type, singleRoom.heatLoad?.tonnage || 0)),
                 numberOfIDUs: calculateNumberOfIDUs(singleRoom.heatLoad?.tonnage || 0, singleRoom.area),
                 totalIDUTonnage: singleRoom.heatLoad?.tonnage || 0,
-                selectedODUType: 'Single Split',
-                selectedODUHP: Math.ceil((singleRoom.heatLoad?.tonnage || 0) * 1.2),
+                selectedODUType: SYSTEM_TYPES.singleSplit.name,
+                selectedODUHP: Math.ceil(trToHP(singleRoom.heatLoad?.tonnage || 0)),
                 diversityFactor: 1.0,
                 actualCFM: singleRoom.heatLoad?.cfm || 0,
                 adjustedLoad: singleRoom.heatLoad?.total || 0
@@ -167,7 +121,7 @@ const EquipmentSelectionForm = ({
                 totalODUs: 1,
                 totalTonnage: singleRoom.heatLoad?.tonnage || 0,
                 totalCFM: singleRoom.heatLoad?.cfm || 0,
-                totalHP: Math.ceil((singleRoom.heatLoad?.tonnage || 0) * 1.2),
+                totalHP: Math.ceil(trToHP(singleRoom.heatLoad?.tonnage || 0)),
                 diversityFactor: 1.0
               }
             }
@@ -180,7 +134,7 @@ const EquipmentSelectionForm = ({
               totalODUs: 1,
               totalTonnage: singleRoom.heatLoad?.tonnage || 0,
               totalCFM: singleRoom.heatLoad?.cfm || 0,
-              totalHP: Math.ceil((singleRoom.heatLoad?.tonnage || 0) * 1.2),
+              totalHP: Math.ceil(trToHP(singleRoom.heatLoad?.tonnage || 0)),
               diversityFactor: 1.0
             },
             systemRecommendation: generateSystemRecommendation(singleRoom.heatLoad?.tonnage || 0),
@@ -220,19 +174,18 @@ const EquipmentSelectionForm = ({
 
   // Helper functions
   const getRecommendedIDUType = (roomType, tonnage) => {
-    if (tonnage <= 1.5) return 'Wall Mounted';
-    if (tonnage <= 3.0) return 'Ceiling Cassette';
-    if (tonnage <= 7.5) return 'Concealed Duct';
-    return 'Floor Standing';
+    if (tonnage <= 1.5) return 'wallMounted';
+    if (tonnage <= 3.0) return 'cassette4Way2x2';
+    if (tonnage <= 7.5) return 'lowStaticDuct';
+    return 'floorStanding';
   };
 
-  const calculateRequiredCapacity = (tonnage) => {
+  const calculateRequiredCapacity = (tonnage, iduType) => {
     // Add 20% safety factor
     const requiredCapacity = tonnage * 1.2;
     
-    // Find the next available capacity
-    const allCapacities = [0.75, 1.0, 1.5, 2.0, 2.5, 3.0, 4.0, 5.0, 7.5, 10.0, 15.0];
-    return allCapacities.find(cap => cap >= requiredCapacity) || 15.0;
+    // Find the next size the reference range offers for this indoor unit type
+    return selectModel(undefined, { category: 'idu', type: iduType }, requiredCapacity)?.nominalTR || 0;
   };
 
   const calculateNumberOfIDUs = (tonnage, area) => {
@@ -290,7 +243,7 @@ const EquipmentSelectionForm = ({
       // Recalculate dependent fields
       if (field === 'selectedIDUCapacity' || field === 'numberOfIDUs') {
         room.totalIDUTonnage = room.selectedIDUCapacity * room.numberOfIDUs;
-        room.selectedODUHP = Math.ceil(room.totalIDUTonnage * 1.2);
+        room.selectedODUHP = Math.ceil(trToHP(room.totalIDUTonnage));
       }
       
       // Recalculate floor totals
@@ -531,11 +484,11 @@ const EquipmentSelectionForm = ({
                             <td className="load-value">{(room.heatLoad?.tonnage || 0).toFixed(2)}</td>
                             <td>
                               <select
-                                value={room.selectedIDUType || ''}
+                                value={getIDUTypeKey(room.selectedIDUType) || ''}
                                 onChange={(e) => updateRoomEquipment(floorId, roomIndex, 'selectedIDUType', e.target.value)}
                               >
-                                {Object.keys(IDU_TYPES).map(type => (
-                                  <option key={type} value={type}>{type}</option>
+                                {Object.entries(IDU_TYPES).map(([key, type]) => (
+                                  <option key={key} value={key}>{type.name}</option>
                                 ))}
                               </select>
                             </td>
@@ -544,9 +497,9 @@ const EquipmentSelectionForm = ({
                                 value={room.selectedIDUCapacity || ''}
                                 onChange={(e) => updateRoomEquipment(floorId, roomIndex, 'selectedIDUCapacity', parseFloat(e.target.value))}
                               >
-                                {IDU_TYPES[room.selectedIDUType]?.capacities.map(cap => (
+                                {getCapacityOptions(models, { category: 'idu', type: getIDUTypeKey(room.selectedIDUType) }).map(cap => (
                                   <option key={cap} value={cap}>{cap} TR</option>
-                                )) || []}
+                                ))}
                               </select>
                             </td>
                             <td>
@@ -562,11 +515,11 @@ const EquipmentSelectionForm = ({
                             <td>{(room.actualCFM || 0).toLocaleString()}</td>
                             <td>
                               <select
-                                value={room.selectedODUType || ''}
+                                value={SYSTEM_TYPES[getSystemTypeKey(room.selectedODUType)]?.name || ''}
                                 onChange={(e) => updateRoomEquipment(floorId, roomIndex, 'selectedODUType', e.target.value)}
                               >
-                                {Object.keys(ODU_TYPES).map(type => (
-                                  <option key={type} value={type}>{type}</option>
+                                {SYSTEM_OPTIONS.map(key => (
+                                  <option key={key} value={SYSTEM_TYPES[key].name}>{SYSTEM_TYPES[key].name}</option>
                                 ))}
                               </select>
                             </td>
@@ -1,18 +1,119 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import toast from '../../utils/toast';
+import { getRequiredHeatPumpCapacity, sizeRoomHeatPumps, ODU_DIVERSITY_FACTOR } from '../../utils/heatingLoadEngine';
+import {
+  IDU_TYPES,
+  CATEGORIES,
+  REFERENCE_MANUFACTURER,
+  TR_TO_KW,
+  trToHP,
+  hpToTR,
+  getIDUTypeKey,
+  filterModels,
+  getModelById,
+  selectModel,
+  withManufacturer
+} from '../../utils/equipmentCatalog';
+import { getOperatingConditions, selectDeratedODU } from '../../utils/oduDerating';
+import {
+  createChainNetwork,
+  analysePipingNetwork,
+  getPipingConditions,
+  getPipingSchedule,
+  mergePipingSchedules
+} from '../../utils/refrigerantPiping';
+import {
+  SAFETY_STANDARDS,
+  SAFETY_MEASURES,
+  calculateRefrigerantCharge,
+  checkRoomConcentration,
+  getChargeScheduleItem,
+  getRoomVolumeM3
+} from '../../utils/refrigerantSafety';
+import { designChilledWaterSystem, getChilledWaterSchedule } from '../../utils/chilledWaterSystem';
+import { getRoomCoilProcess, getAHUSchedule } from '../../utils/ahuCoilProcess';
+import { createDuctNetwork, analyseDuctNetwork, getSpaceType } from '../../utils/ductSizing';
+import { restoreNetworks } from '../../utils/networkTree';
+import { VENTILATION_METHODS, getRoomVentilationZone, getVentilationReport } from '../../utils/ventilation';
+import { designFreshAirSystem, compareFreshAirSchemes } from '../../utils/freshAirUnit';
+import { getRoomSheet } from '../../utils/roomLoadEngine';
+import { useEquipmentCatalog } from '../../hooks/useEquipmentCatalog';
+import EquipmentCatalogPanel from './EquipmentCatalogPanel';
+import RefrigerantPipingDesigner from './RefrigerantPipingDesigner';
+import ChilledWaterDesigner from './ChilledWaterDesigner';
+import DuctDesigner from './DuctDesigner';
+import VentilationReport from './VentilationReport';
+import FreshAirUnitPanel from './FreshAirUnitPanel';
 import './EquipmentSelectionTable.css';
 
 /**
  * Equipment Selection Table Component
  * Displays floor-wise room data in a structured table format
  * Matches the Excel sheet structure with IDU and ODU sections
+ * IDUs and ODUs are sized for the larger of the cooling and the heating duty
+ * (heat pump heating capacity = cooling capacity × HEAT_PUMP_HEATING_RATIO)
+ * Sizes and model numbers come from the equipment catalog for the chosen make.
+ * Floor outdoor units are picked on their capacity derated to the site's
+ * outdoor DB, indoor WB, piping and combination ratio. Each floor's VRF system
+ * can have its refrigerant piping laid out; the longest equivalent run and
+ * level difference of that layout then replace the sheet-wide piping figures.
+ * The floor system's refrigerant charge is checked against the concentration
+ * limit of every occupied room on it.
+ * A chiller system instead puts each room on fan coil units or an AHU and
+ * sizes the chillers, pumps and chilled water pipes that serve them.
+ * Ducted indoor units, fan coil units and AHUs can have their supply ductwork
+ * laid out; its critical-path static pressure is checked against the unit's ESP.
+ * Every room's outdoor air is checked against ASHRAE 62.1 or NBC 2016, floor by
+ * floor, giving the outdoor air intake the treated fresh air units must handle.
+ * That outdoor air can be taken off the room coils onto one treated fresh air
+ * unit per floor with a heat recovery wheel; the rooms are then sized on the
+ * residual load and the two schemes compared on tonnage, cost and energy.
  */
 
-const EquipmentSelectionTable = ({ spaceData, onSave, onBack, projectId }) => {
+const DEFAULT_IDU_TYPE = 'cassette4Way2x2';
+
+// Building types whose occupants cannot readily leave (ASHRAE 15 institutional occupancy)
+const INSTITUTIONAL_BUILDINGS = /hospital|nursing|health|clinic|institution/i;
+
+const REFRIGERANT_STATUS = {
+  ok: '✓ Within limit',
+  unoccupied: 'Not occupied',
+  unknown: 'Room volume not entered',
+  measures: `⚠️ ${SAFETY_MEASURES.detection}; ${SAFETY_MEASURES.ventilation.toLowerCase()}`,
+  split: `✗ ${SAFETY_MEASURES.split}`
+};
+
+// Operating conditions entered on the sheet: [field, label, unit, step]
+const ODU_CONDITION_FIELDS = [
+  ['outdoorDB', 'Outdoor DB', '°C', 0.5],
+  ['indoorWB', 'Indoor WB', '°C', 0.5],
+  ['equivalentLengthM', 'Equiv. pipe length', 'm', 5],
+  ['levelDifferenceM', 'Level difference', 'm', 1]
+];
+
+const EquipmentSelectionTable = ({ spaceData, designData, savedData, onSave, onBack, projectId }) => {
   const { user } = useAuth();
-  const [equipmentRows, setEquipmentRows] = useState([]);
-  const [systemType, setSystemType] = useState('VRF');
+  const catalog = useEquipmentCatalog();
+  const [roomRows, setRoomRows] = useState([]);
+  // Choices and layouts saved with the last selection are picked up again
+  const [systemType, setSystemType] = useState(savedData?.systemType || 'VRF');
+  const [manufacturer, setManufacturer] = useState(savedData?.manufacturer || REFERENCE_MANUFACTURER);
+  const [oduConditions, setODUConditions] = useState(() => getOperatingConditions(designData));
+  const [pipingNetworks, setPipingNetworks] = useState(() => restoreNetworks(savedData?.pipingNetworks));
+  const [ductNetworks, setDuctNetworks] = useState(() => restoreNetworks(savedData?.ductNetworks));
+  const [ventilationOptions, setVentilationOptions] = useState({ categories: {}, ...savedData?.ventilationOptions });
+  const [freshAirOptions, setFreshAirOptions] = useState(savedData?.freshAirOptions || {});
+  const [chilledWaterOptions, setChilledWaterOptions] = useState(savedData?.chilledWaterOptions || {});
+  const [safetyStandard, setSafetyStandard] = useState('ashrae15');
+  const [institutional, setInstitutional] = useState(() => INSTITUTIONAL_BUILDINGS.test(
+    designData?.meta?.buildingType || spaceData?.buildingData?.buildingType || ''
+  ));
+
+  // IDU types the catalog has models for
+  const iduTypeOptions = Object.keys(IDU_TYPES).filter(type => (
+    filterModels(catalog.models, { category: CATEGORIES.IDU, type }).length > 0
+  ));
 
   // Generate equipment rows from room calculations
   useEffect(() => {
@@ -44,6 +145,7 @@ const EquipmentSelectionTable = ({ spaceData, onSave, onBack, projectId }) => {
         floorGroups[floorId] = {
           floorId,
           floorName,
+          level: floor?.level ?? 0,
           rooms: []
         };
         console.log(`✅ Created new floor group: ${floorName}`);
@@ -55,14 +157,18 @@ const EquipmentSelectionTable = ({ spaceData, onSave, onBack, projectId }) => {
         roomName: calc.roomName || `Room ${calc.roomId}`,
         heatLoadTR: calc.heatLoadData?.tonnage || 0,
         heatLoadCFM: calc.heatLoadData?.totalCfm || 0,
+        heatingLoadTR: calc.heatLoadData?.heatingTons || 0,
         area: calc.heatLoadData?.area || 0,
+        volumeM3: getRoomVolumeM3(calc),
+        occupied: true,
         sensibleHeat: calc.heatLoadData?.sensibleHeat || 0,
         latentHeat: calc.heatLoadData?.latentHeat || 0,
         // Equipment selection fields (will be filled by user)
-        iduType: 'Ceiling Cassette 4-Way',
+        iduType: DEFAULT_IDU_TYPE,
+        terminalKind: 'auto',
         machineCapacity: 0,
-        numIDUs: 1,
-        diversityFactor: 1.2,
+        numIDUs: null, // sized from the load until the user enters a count
+        diversityFactor: ODU_DIVERSITY_FACTOR,
         oduHP: 0,
         selectedODU: 0
       };
@@ -82,43 +188,48 @@ const EquipmentSelectionTable = ({ spaceData, onSave, onBack, projectId }) => {
       console.log(`📊 Floor ${floor.floorName}: ${floor.rooms.length} rooms`);
     });
     
-    setEquipmentRows(rows);
+    setRoomRows(rows);
   }, [spaceData]);
 
-  // Auto-calculate equipment based on heat load
+  // Auto-calculate equipment based on heat load (cooling or heating, whichever governs)
   const autoCalculateEquipment = (room) => {
-    const heatLoad = room.heatLoadTR;
+    const heatLoad = getRequiredHeatPumpCapacity(room.heatLoadTR, room.heatingLoadTR);
     
-    // Select appropriate IDU capacity (round up to nearest standard size)
-    const standardSizes = [0.75, 1.0, 1.5, 2.0, 2.5, 3.0, 3.5, 4.0, 5.0, 6.0];
-    const machineCapacity = standardSizes.find(size => size >= heatLoad) || standardSizes[standardSizes.length - 1];
-    
-    // Calculate number of IDUs needed
-    const numIDUs = Math.ceil(heatLoad / machineCapacity);
-    
-    // Calculate total IDU tonnage
-    const totalIDUTonnage = machineCapacity * numIDUs;
-    
-    // Apply diversity factor
-    const diversityFactor = 1.2; // Default 120%
-    const oduCapacity = totalIDUTonnage / diversityFactor;
+    // Smallest catalog model of the chosen type that covers the load
+    const iduCriteria = withManufacturer(catalog.models, {
+      category: CATEGORIES.IDU,
+      type: getIDUTypeKey(room.iduType) || DEFAULT_IDU_TYPE,
+      manufacturer
+    });
+    const iduModel = selectModel(catalog.models, iduCriteria, heatLoad);
+    const machineCapacity = iduModel?.nominalTR || 0;
     
-    // Select ODU HP (convert TR to HP: 1 TR ≈ 1.2 HP)
-    const oduHP = Math.ceil(oduCapacity * 1.2);
+    // IDU count (entered or sized) and the ODU HP share at the catalog's kW-per-HP
+    // rating after diversity; rooms are summed per floor before an outdoor unit is picked
+    const { numIDUs, totalIDUTonnage, diversityFactor, oduCapacityTR, iduCheck, oduCheck } = sizeRoomHeatPumps(
+      { coolingLoadTR: room.heatLoadTR, heatingLoadTR: room.heatingLoadTR },
+      machineCapacity,
+      { numUnits: room.numIDUs, roundODU: (tr) => hpToTR(Math.ceil(trToHP(tr))) }
+    );
+    const oduHP = Math.round(trToHP(oduCapacityTR));
     
     return {
       machineCapacity,
       numIDUs,
       totalIDUTonnage,
+      totalAirflowCFM: (iduModel?.airflowCFM || 0) * numIDUs,
       diversityFactor,
       oduHP,
-      selectedODU: oduHP
+      selectedODU: oduHP,
+      iduModel: iduModel ? { id: iduModel.id, manufacturer: iduModel.manufacturer, model: iduModel.model } : null,
+      iduCheck,
+      oduCheck
     };
   };
 
   // Update equipment for a specific room
   const updateRoomEquipment = (floorId, roomKey, field, value) => {
-    setEquipmentRows(prevRows => {
+    setRoomRows(prevRows => {
       return prevRows.map(floor => {
         if (floor.floorId === floorId) {
           return {
@@ -127,10 +238,10 @@ const EquipmentSelectionTable = ({ spaceData, onSave, onBack, projectId }) => {
               if (room.key === roomKey) {
                 const updated = { ...room, [field]: value };
                 
-                // Auto-recalculate if heat load or IDU type changes
+                // Auto-recalculate if the IDU type or size changes, re-sizing the IDU count
                 if (field === 'iduType' || field === 'machineCapacity') {
-                  const autoCalc = autoCalculateEquipment(updated);
-                  return { ...updated, ...autoCalc };
+                  const autoCalc = autoCalculateEquipment({ ...updated, numIDUs: null });
+                  return { ...updated, ...autoCalc, numIDUs: null };
                 }
                 
                 return updated;
@@ -144,6 +255,34 @@ const EquipmentSelectionTable = ({ spaceData, onSave, onBack, projectId }) => {
     });
   };
 
+  // Outdoor unit(s) for a floor: the smallest model, else set of equal modules,
+  // whose derated capacity covers the floor load with its IDUs connected
+  const selectFloorODU = (loadTR, connectedTR, pipingConditions = {}) => {
+    if (!loadTR) return null;
+    const criteria = withManufacturer(catalog.models, { category: CATEGORIES.ODU, systemType: 'vrfHeatPump', manufacturer });
+    const selection = selectDeratedODU(catalog.models, criteria, {
+      demandKW: loadTR * TR_TO_KW,
+      connectedKW: connectedTR * TR_TO_KW
+    }, getOperatingConditions(designData, { ...oduConditions, ...pipingConditions }));
+    if (!selection) return null;
+    const { model, quantity, ratedKW, capacityKW, capacityTR, combinationRatio, factors, warnings, ok } = selection;
+    return {
+      id: model.id,
+      manufacturer: model.manufacturer,
+      model: model.model,
+      nominalHP: model.nominalHP,
+      quantity,
+      ratedKW,
+      deratedKW: capacityKW,
+      deratedTR: capacityTR,
+      demandTR: loadTR,
+      combinationRatio,
+      factors,
+      warnings,
+      ok
+    };
+  };
+
   // Calculate floor totals
   const calculateFloorTotals = (floor) => {
     const totals = floor.rooms.reduce((acc, room) => {
@@ -151,6 +290,7 @@ const EquipmentSelectionTable = ({ spaceData, onSave, onBack, projectId }) => {
       return {
         totalHeatLoadTR: acc.totalHeatLoadTR + room.heatLoadTR,
         totalHeatLoadCFM: acc.totalHeatLoadCFM + room.heatLoadCFM,
+        totalHeatingLoadTR: acc.totalHeatingLoadTR + room.heatingLoadTR,
         totalIDUs: acc.totalIDUs + autoCalc.numIDUs,
         totalIDUTonnage: acc.totalIDUTonnage + autoCalc.totalIDUTonnage,
         totalODUHP: acc.totalODUHP + autoCalc.oduHP
@@ -158,12 +298,57 @@ const EquipmentSelectionTable = ({ spaceData, onSave, onBack, projectId }) => {
     }, {
       totalHeatLoadTR: 0,
       totalHeatLoadCFM: 0,
+      totalHeatingLoadTR: 0,
       totalIDUs: 0,
       totalIDUTonnage: 0,
       totalODUHP: 0
     });
     
-    return totals;
+    // The layout's runs derate the outdoor unit, which then sizes the main pipe and sets the limits
+    const network = pipingNetworks[floor.floorId];
+    const pipingConditions = network ? getPipingConditions(analysePipingNetwork(network)) : {};
+    const oduSelection = selectFloorODU(totals.totalHeatLoadTR, totals.totalIDUTonnage, pipingConditions);
+    const oduModel = getModelById(catalog.models, oduSelection?.id);
+    const quantity = oduSelection?.quantity || 1;
+    const analysis = network ? analysePipingNetwork(network, oduModel, quantity) : null;
+
+    // Without a layout the charge is estimated on the starting one
+    const charge = oduModel
+      ? calculateRefrigerantCharge(analysis || analysePipingNetwork(createFloorNetwork(floor), oduModel, quantity), oduModel, quantity)
+      : null;
+    const chargeItem = analysis && getChargeScheduleItem(charge);
+    const refrigerant = charge && {
+      ...charge,
+      estimated: !analysis,
+      rooms: checkRoomConcentration(
+        charge.totalKg,
+        floor.rooms.map(room => ({ name: room.roomName, volumeM3: room.volumeM3, occupied: room.occupied !== false })),
+        { refrigerant: charge.refrigerant, standard: safetyStandard, institutional }
+      )
+    };
+
+    return {
+      ...totals,
+      oduSelection,
+      piping: analysis && { ...analysis, schedule: [...getPipingSchedule(analysis), ...(chargeItem ? [chargeItem] : [])] },
+      refrigerant
+    };
+  };
+
+  // Starting piping layout for a floor: one run teed off to each of its IDUs
+  const createFloorNetwork = (floor) => createChainNetwork(
+    floor.rooms.flatMap(room => {
+      const autoCalc = autoCalculateEquipment(room);
+      return Array.from({ length: autoCalc.numIDUs }, (_, index) => ({
+        label: autoCalc.numIDUs > 1 ? `${room.roomName} ${index + 1}` : room.roomName,
+        capacityKW: autoCalc.machineCapacity * TR_TO_KW
+      }));
+    }),
+    { oduLabel: `ODU ${floor.floorName}`, oduElevationM: oduConditions.levelDifferenceM || 0 }
+  );
+
+  const updatePipingNetwork = (floorId, network) => {
+    setPipingNetworks(prev => ({ ...prev, [floorId]: network }));
   };
 
   // Calculate project totals
@@ -173,6 +358,7 @@ const EquipmentSelectionTable = ({ spaceData, onSave, onBack, projectId }) => {
       return {
         totalHeatLoadTR: acc.totalHeatLoadTR + floorTotals.totalHeatLoadTR,
         totalHeatLoadCFM: acc.totalHeatLoadCFM + floorTotals.totalHeatLoadCFM,
+        totalHeatingLoadTR: acc.totalHeatingLoadTR + floorTotals.totalHeatingLoadTR,
         totalIDUs: acc.totalIDUs + floorTotals.totalIDUs,
         totalIDUTonnage: acc.totalIDUTonnage + floorTotals.totalIDUTonnage,
         totalODUHP: acc.totalODUHP + floorTotals.totalODUHP
@@ -180,17 +366,265 @@ const EquipmentSelectionTable = ({ spaceData, onSave, onBack, projectId }) => {
     }, {
       totalHeatLoadTR: 0,
       totalHeatLoadCFM: 0,
+      totalHeatingLoadTR: 0,
       totalIDUs: 0,
       totalIDUTonnage: 0,
       totalODUHP: 0
     });
   };
 
+  // Outdoor air compliance, one system per floor
+  const ventilation = getVentilationReport(
+    roomRows.flatMap(floor => floor.rooms.map(room => ({
+      key: room.key,
+      floorId: floor.floorId,
+      floorName: floor.floorName,
+      name: room.roomName,
+      category: ventilationOptions.categories[room.key],
+      ...getRoomVentilationZone(spaceData?.roomCalculations?.[room.key])
+    }))),
+    {
+      method: ventilationOptions.method || 'ashrae62_1',
+      systemType: ventilationOptions.systemType || (systemType === 'Chiller' ? 'multiZone' : 'doas'),
+      distribution: ventilationOptions.distribution,
+      diversity: ventilationOptions.diversity
+    }
+  );
+
+  // Treated fresh air units taking the outdoor air off the room coils
+  const freshAirDesign = designFreshAirSystem(
+    roomRows.flatMap(floor => floor.rooms.map(room => ({
+      key: room.key,
+      floorId: floor.floorId,
+      floorName: floor.floorName,
+      sheet: getRoomSheet(spaceData?.roomCalculations?.[room.key]),
+      loadTR: room.heatLoadTR
+    }))),
+    {
+      outdoor: { dbF: parseFloat(designData?.ambient?.dbF), grains: parseFloat(designData?.ambient?.grainsPerLb) },
+      room: { dbF: parseFloat(designData?.inside?.dbF), grains: parseFloat(designData?.inside?.grainsPerLb) },
+      pressure: designData?.ambient?.pressure,
+      intakeCFM: Object.fromEntries(ventilation.systems.map(system => [system.floorId, system.vot]))
+    },
+    freshAirOptions
+  );
+  const residualRows = freshAirDesign ? roomRows.map(floor => ({
+    ...floor,
+    rooms: floor.rooms.map(room => ({
+      ...room,
+      fullLoadTR: room.heatLoadTR,
+      heatLoadTR: freshAirDesign.rooms[room.key]?.residualTR ?? room.heatLoadTR
+    }))
+  })) : roomRows;
+  const equipmentRows = freshAirOptions.enabled ? residualRows : roomRows;
+
+  // Chilled water plant serving every room's coil load and supply air
+  const designChilledWater = (rows) => designChilledWaterSystem(
+    rows.flatMap(floor => floor.rooms.map(room => ({
+      key: room.key,
+      floorId: floor.floorId,
+      floorName: floor.floorName,
+      level: floor.level,
+      roomName: room.roomName,
+      loadTR: room.heatLoadTR,
+      cfm: room.heatLoadCFM,
+      kind: room.terminalKind
+    }))),
+    {
+      ...Object.fromEntries(Object.entries(chilledWaterOptions).filter(([, value]) => value !== '' && value !== null)),
+      models: catalog.models,
+      manufacturer
+    }
+  );
+  const chilledWater = systemType === 'Chiller' ? designChilledWater(equipmentRows) : null;
+  const chilledWaterSchedule = getChilledWaterSchedule(chilledWater);
+
+  // Coil process of every zone, tagged against the air handler picked for it
+  const ahuSchedule = chilledWater
+    ? getAHUSchedule(chilledWater.terminals.map(terminal => ({
+      key: terminal.key,
+      floorName: terminal.floorName,
+      roomName: terminal.roomName,
+      kind: terminal.kind,
+      unit: `${terminal.quantity} × ${terminal.model.model}`,
+      coilProcess: getRoomCoilProcess(spaceData?.roomCalculations?.[terminal.key], designData?.ambient?.pressure)
+    })))
+    : [];
+
+  // Ducted units, one layout per room for each of its identical units
+  const ductedUnits = (chilledWater
+    ? chilledWater.terminals.map(terminal => ({
+      key: terminal.key,
+      floorName: terminal.floorName,
+      roomName: terminal.roomName,
+      quantity: terminal.quantity,
+      cfm: terminal.cfm,
+      model: getModelById(catalog.models, terminal.model.id)
+    }))
+    : equipmentRows.flatMap(floor => floor.rooms
+      .filter(room => IDU_TYPES[getIDUTypeKey(room.iduType) || DEFAULT_IDU_TYPE]?.requiresDuctwork)
+      .map(room => {
+        const autoCalc = autoCalculateEquipment(room);
+        return {
+          key: room.key,
+          floorName: floor.floorName,
+          roomName: room.roomName,
+          quantity: autoCalc.numIDUs,
+          cfm: room.heatLoadCFM,
+          model: getModelById(catalog.models, autoCalc.iduModel?.id)
+        };
+      }))
+  ).filter(unit => unit.model).map(unit => {
+    const network = ductNetworks[unit.key];
+    return {
+      ...unit,
+      unitCFM: Math.round((unit.cfm || unit.model.airflowCFM * unit.quantity) / Math.max(1, unit.quantity)),
+      analysis: network && analyseDuctNetwork(network, {
+        spaceType: getSpaceType(spaceData?.roomCalculations?.[unit.key]?.roomType
+          || designData?.meta?.buildingType || spaceData?.buildingData?.buildingType),
+        ...network.settings,
+        availableEspPa: unit.model.espPa
+      })
+    };
+  });
+
+  // Starting duct layout for a unit: a trunk teeing off to evenly loaded terminals
+  const createUnitDuctNetwork = (unit) => ({
+    ...createDuctNetwork({ label: unit.model.model, cfm: unit.unitCFM }),
+    settings: ductNetworks[unit.key]?.settings || {}
+  });
+
+  const updateDuctNetwork = (key, network) => {
+    setDuctNetworks(prev => ({ ...prev, [key]: network }));
+  };
+
+  // Layouts needing more static pressure than their unit's fan gives
+  const ductShortfalls = ductedUnits
+    .filter(unit => unit.analysis?.esp.ok === false)
+    .map(unit => `${unit.floorName} / ${unit.roomName} (${unit.analysis.esp.requiredPa} Pa vs ${unit.analysis.esp.availablePa} Pa)`);
+
+  const updateChilledWaterOption = (field, value) => {
+    setChilledWaterOptions(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateVentilationOption = (field, value) => {
+    // Categories belong to one standard's table
+    setVentilationOptions(prev => ({ ...prev, [field]: value, ...(field === 'method' ? { categories: {} } : {}) }));
+  };
+
+  const updateVentilationCategory = (key, category) => {
+    setVentilationOptions(prev => ({ ...prev, categories: { ...prev.categories, [key]: category } }));
+  };
+
+  // Room equipment cost at catalog list prices: the chilled water bill of
+  // materials, or the VRF indoor units and each floor's outdoor units
+  const calculateEquipmentCost = (rows) => {
+    if (systemType === 'Chiller') {
+      return getChilledWaterSchedule(designChilledWater(rows)).reduce((sum, item) => sum + item.totalPrice, 0);
+    }
+    return rows.reduce((total, floor) => {
+      const oduSelection = calculateFloorTotals(floor).oduSelection;
+      const oduCost = (getModelById(catalog.models, oduSelection?.id)?.listPrice || 0) * (oduSelection?.quantity || 0);
+      return total + oduCost + floor.rooms.reduce((sum, room) => {
+        const autoCalc = autoCalculateEquipment(room);
+        return sum + (getModelById(catalog.models, autoCalc.iduModel?.id)?.listPrice || 0) * autoCalc.numIDUs;
+      }, 0);
+    }, 0);
+  };
+
+  // Outdoor air on the room coils against the TFA units and the smaller room system
+  const freshAirComparison = freshAirDesign && freshAirDesign.units.length > 0
+    ? compareFreshAirSchemes({
+      baseTR: freshAirDesign.baseTR,
+      residualTR: freshAirDesign.residualTR,
+      units: freshAirDesign.units,
+      baseCapex: calculateEquipmentCost(roomRows),
+      residualCapex: calculateEquipmentCost(residualRows)
+    }, freshAirOptions)
+    : null;
+
+  const updateFreshAirOption = (field, value) => {
+    setFreshAirOptions(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Rooms whose selected IDU or ODU falls short in either season
+  const capacityShortfalls = chilledWater ? chilledWater.warnings : equipmentRows.flatMap(floor => {
+    const floorTotals = calculateFloorTotals(floor);
+    return floor.rooms
+      .map(room => ({ room, autoCalc: autoCalculateEquipment(room) }))
+      .filter(({ autoCalc }) => !(autoCalc.iduCheck.coolingOK && autoCalc.iduCheck.heatingOK &&
+        autoCalc.oduCheck.coolingOK && autoCalc.oduCheck.heatingOK))
+      .map(({ room }) => `${floor.floorName} / ${room.roomName}`)
+      .concat(floorTotals.oduSelection?.ok === false ? [`${floor.floorName} ODU (derated)`] : [])
+      .concat(floorTotals.piping?.ok === false ? [`${floor.floorName} refrigerant piping`] : []);
+  });
+
+  // Occupied rooms whose share of a leak would exceed the concentration limit
+  const refrigerantFlags = systemType === 'VRF'
+    ? equipmentRows.flatMap(floor => (calculateFloorTotals(floor).refrigerant?.rooms || [])
+      .filter(room => !room.ok)
+      .map(room => ({ floor: floor.floorName, ...room })))
+    : [];
+
+  const updateODUCondition = (field, value) => {
+    setODUConditions(prev => ({ ...prev, [field]: value === '' ? '' : parseFloat(value) }));
+  };
+
   const handleSave = () => {
+    const floorTotals = equipmentRows.map(floor => calculateFloorTotals(floor));
     const equipmentData = {
       systemType,
-      floors: equipmentRows,
+      manufacturer,
+      oduConditions: getOperatingConditions(designData, oduConditions),
+      floors: equipmentRows.map((floor, index) => ({
+        ...floor,
+        oduSelection: floorTotals[index].oduSelection,
+        piping: floorTotals[index].piping && {
+          totals: floorTotals[index].piping.totals,
+          checks: floorTotals[index].piping.checks,
+          errors: floorTotals[index].piping.errors,
+          ok: floorTotals[index].piping.ok
+        },
+        refrigerant: floorTotals[index].refrigerant,
+        rooms: floor.rooms.map(room => ({ ...room, ...autoCalculateEquipment(room) }))
+      })),
+      pipingNetworks,
+      pipingSchedule: systemType === 'VRF' ? mergePipingSchedules(floorTotals.map(totals => totals.piping?.schedule || [])) : [],
+      chilledWater,
+      chilledWaterOptions,
+      chilledWaterSchedule,
+      ahuSchedule,
+      ventilation,
+      ventilationOptions,
+      freshAirOptions,
+      freshAir: freshAirComparison && {
+        ...freshAirOptions,
+        enabled: !!freshAirOptions.enabled,
+        supply: freshAirDesign.supply,
+        units: freshAirDesign.units,
+        baseTR: freshAirDesign.baseTR,
+        residualTR: freshAirDesign.residualTR,
+        comparison: freshAirComparison
+      },
+      ductNetworks,
+      ductDesign: ductedUnits.filter(unit => unit.analysis).map(unit => ({
+        key: unit.key,
+        floorName: unit.floorName,
+        roomName: unit.roomName,
+        unit: `${unit.quantity} × ${unit.model.model}`,
+        method: unit.analysis.settings.method,
+        spaceType: unit.analysis.settings.spaceType,
+        segments: unit.analysis.segments,
+        critical: unit.analysis.critical,
+        esp: unit.analysis.esp,
+        totals: unit.analysis.totals,
+        errors: unit.analysis.errors,
+        warnings: unit.analysis.warnings,
+        ok: unit.analysis.ok
+      })),
       projectTotals: calculateProjectTotals(),
+      capacityShortfalls,
+      refrigerantSafety: { standard: safetyStandard, institutional, flags: refrigerantFlags },
       savedAt: new Date().toISOString()
     };
     
@@ -200,6 +634,51 @@ const EquipmentSelectionTable = ({ spaceData, onSave, onBack, projectId }) => {
 
   const projectTotals = calculateProjectTotals();
 
+  const renderRefrigerantCheck = (floor, refrigerant) => (
+    <div className="refrigerant-check">
+      <div className="refrigerant-charge">
+        {floor.floorName} charge: factory {refrigerant.factoryKg} kg + additional {refrigerant.additionalKg} kg
+        {' '}= <strong>{refrigerant.totalKg} kg {refrigerant.refrigerant}</strong>
+        {refrigerant.estimated && <span className="model-number"> (estimated on a single-run layout)</span>}
+      </div>
+      <table className="refrigerant-check-table">
+        <thead>
+          <tr>
+            <th>Room</th>
+            <th>Occupied</th>
+            <th>Volume (m³)</th>
+            <th>Concentration (kg/m³)</th>
+            <th>Limit (kg/m³)</th>
+            <th>Allowable charge (kg)</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {refrigerant.rooms.map((check, index) => {
+            const room = floor.rooms[index];
+            return (
+              <tr key={room.key} className={`refrigerant-${check.status}`}>
+                <td>{check.name}</td>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={room.occupied !== false}
+                    onChange={(e) => updateRoomEquipment(floor.floorId, room.key, 'occupied', e.target.checked)}
+                  />
+                </td>
+                <td>{check.volumeM3 ?? '—'}</td>
+                <td>{check.concentrationKgM3 ?? '—'}</td>
+                <td>{check.limitKgM3}</td>
+                <td>{check.allowableChargeKg ?? '—'}</td>
+                <td>{REFRIGERANT_STATUS[check.status]}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+
   return (
     <div className="equipment-selection-table">
       <div className="table-header">
@@ -217,6 +696,30 @@ const EquipmentSelectionTable = ({ spaceData, onSave, onBack, projectId }) => {
         </div>
       </div>
 
+      <EquipmentCatalogPanel catalog={catalog} manufacturer={manufacturer} onManufacturerChange={setManufacturer} />
+
+      {systemType !== 'Chiller' && (
+        <div className="odu-conditions">
+          <span className="odu-conditions-title">ODU operating conditions</span>
+          {ODU_CONDITION_FIELDS.map(([field, label, unit, step]) => (
+            <label key={field}>
+              {label}
+              <input
+                type="number"
+                value={oduConditions[field]}
+                step={step}
+                onChange={(e) => updateODUCondition(field, e.target.value)}
+              />
+              {unit}
+            </label>
+          ))}
+          <small>
+            Outdoor DB and indoor WB default to the design inputs; capacities are rated at 35°C DB / 19°C WB / 7.5 m.
+            Floors with a refrigerant piping layout use its longest equivalent run and level difference.
+          </small>
+        </div>
+      )}
+
       {/* Project Summary Cards */}
       <div className="project-summary-cards">
         <div className="summary-card">
@@ -239,13 +742,27 @@ const EquipmentSelectionTable = ({ spaceData, onSave, onBack, projectId }) => {
           </div>
         </div>
         
+        {projectTotals.totalHeatingLoadTR > 0 && (
+          <div className="summary-card">
+            <div className="card-icon" style={{ background: '#ef4444' }}>
+              <i className="bi bi-fire"></i>
+            </div>
+            <div className="card-content">
+              <span className="label">Total Heating Load</span>
+              <span className="value">{projectTotals.totalHeatingLoadTR.toFixed(2)} TR</span>
+            </div>
+          </div>
+        )}
+        
         <div className="summary-card">
           <div className="card-icon" style={{ background: '#10b981' }}>
             <i className="bi bi-box-seam"></i>
           </div>
           <div className="card-content">
-            <span className="label">Total IDUs</span>
-            <span className="value">{projectTotals.totalIDUs}</span>
+            <span className="label">{chilledWater ? 'Air Handlers' : 'Total IDUs'}</span>
+            <span className="value">
+              {chilledWater ? chilledWater.terminals.reduce((sum, terminal) => sum + terminal.quantity, 0) : projectTotals.totalIDUs}
+            </span>
           </div>
         </div>
         
@@ -254,151 +771,328 @@ const EquipmentSelectionTable = ({ spaceData, onSave, onBack, projectId }) => {
             <i className="bi bi-lightning-charge"></i>
           </div>
           <div className="card-content">
-            <span className="label">Total ODU HP</span>
-            <span className="value">{projectTotals.totalODUHP} HP</span>
+            <span className="label">{chilledWater ? 'Chiller Plant' : 'Total ODU HP'}</span>
+            <span className="value">{chilledWater ? `${chilledWater.plant?.installedTR || 0} TR` : `${projectTotals.totalODUHP} HP`}</span>
           </div>
         </div>
       </div>
 
-      {/* Main Equipment Table */}
-      <div className="equipment-table-container">
-        <table className="equipment-table">
-          <thead>
-            <tr className="main-header">
-              <th rowSpan="3" className="floor-col">FLOOR</th>
-              <th rowSpan="3" className="room-col">ROOM</th>
-              <th rowSpan="3" className="area-col">AREA (M²)</th>
-              <th colSpan="2" className="heat-load-section">HEAT LOAD (AS PER SHEET)</th>
-              <th colSpan="5" className="idu-section">IDU SELECTION</th>
-              <th colSpan="3" className="odu-section">ODU SELECTION</th>
-            </tr>
-            <tr className="sub-header">
-              {/* Heat Load Section */}
-              <th rowSpan="2" className="heat-load-tr">HEAT LOAD (TR)</th>
-              <th rowSpan="2" className="heat-load-cfm">HEAT LOAD (CFM)</th>
+      {capacityShortfalls.length > 0 && (
+        <div className="capacity-warning">
+          ⚠️ Equipment short of the cooling or heating load: {capacityShortfalls.join(', ')}
+        </div>
+      )}
+
+      {refrigerantFlags.length > 0 && (
+        <div className="capacity-warning">
+          ⚠️ Refrigerant concentration ({SAFETY_STANDARDS[safetyStandard].name}):{' '}
+          {refrigerantFlags.map(flag => `${flag.floor} / ${flag.name}${flag.status === 'unknown' ? ' (no volume)' : flag.status === 'split' ? ' (split system)' : ' (detection + ventilation)'}`).join(', ')}
+        </div>
+      )}
+
+      {!ventilation.ok && (
+        <div className="capacity-warning">
+          ⚠️ Outdoor air short of {VENTILATION_METHODS[ventilation.method].name}: {ventilation.warnings.join('; ')}
+        </div>
+      )}
+
+      {ductShortfalls.length > 0 && (
+        <div className="capacity-warning">
+          ⚠️ Ductwork over the unit's available static pressure: {ductShortfalls.join(', ')}
+        </div>
+      )}
+
+      {systemType === 'Chiller' ? (
+        chilledWater && (
+          <div className="chilled-water-section">
+            <h3>Chilled Water System</h3>
+            <ChilledWaterDesigner
+              design={chilledWater}
+              schedule={chilledWaterSchedule}
+              ahuSchedule={ahuSchedule}
+              options={chilledWaterOptions}
+              onOptionChange={updateChilledWaterOption}
+              onKindChange={(floorId, roomKey, kind) => updateRoomEquipment(floorId, roomKey, 'terminalKind', kind)}
+            />
+          </div>
+        )
+      ) : (
+        <>
+          {/* Main Equipment Table */}
+          <div className="equipment-table-container">
+            <table className="equipment-table">
+              <thead>
+                <tr className="main-header">
+                  <th rowSpan="3" className="floor-col">FLOOR</th>
+                  <th rowSpan="3" className="room-col">ROOM</th>
+                  <th rowSpan="3" className="area-col">AREA (M²)</th>
+                  <th colSpan="3" className="heat-load-section">HEAT LOAD ({freshAirOptions.enabled ? 'LESS TFA' : 'AS PER SHEET'})</th>
+                  <th colSpan="5" className="idu-section">IDU SELECTION</th>
+                  <th colSpan="3" className="odu-section">ODU SELECTION</th>
+                  <th rowSpan="3" className="capacity-check">CAPACITY CHECK (COOL / HEAT)</th>
+                </tr>
+                <tr className="sub-header">
+                  {/* Heat Load Section */}
+                  <th rowSpan="2" className="heat-load-tr">HEAT LOAD (TR)</th>
+                  <th rowSpan="2" className="heat-load-cfm">HEAT LOAD (CFM)</th>
+                  <th rowSpan="2" className="heating-load-tr">HEATING LOAD (TR)</th>
               
-              {/* IDU Section */}
-              <th rowSpan="2" className="idu-type">IDU TYPE</th>
-              <th rowSpan="2" className="machine-capacity">MACHINE CAPACITY (TR)</th>
-              <th rowSpan="2" className="num-idus">NO. OF IDUs</th>
-              <th colSpan="2" className="idu-tonnage-section">TOTAL IDU TONNAGE</th>
+                  {/* IDU Section */}
+                  <th rowSpan="2" className="idu-type">IDU TYPE</th>
+                  <th rowSpan="2" className="machine-capacity">MACHINE CAPACITY (TR)</th>
+                  <th rowSpan="2" className="num-idus">NO. OF IDUs</th>
+                  <th colSpan="2" className="idu-tonnage-section">TOTAL IDU TONNAGE</th>
               
-              {/* ODU Section */}
-              <th rowSpan="2" className="total-cfm">TOTAL CFM</th>
-              <th rowSpan="2" className="diversity">DIVERSITY (%)</th>
-              <th rowSpan="2" className="odu-hp">ODU HP</th>
-            </tr>
-            <tr className="third-header">
-              {/* IDU Tonnage Sub-columns */}
-              <th className="tonnage">TONNAGE</th>
-              <th className="max-cfm">MAX CFM</th>
-            </tr>
-          </thead>
-          <tbody>
-            {equipmentRows.map((floor, floorIndex) => {
-              const floorTotals = calculateFloorTotals(floor);
+                  {/* ODU Section */}
+                  <th rowSpan="2" className="total-cfm">TOTAL CFM</th>
+                  <th rowSpan="2" className="diversity">DIVERSITY (%)</th>
+                  <th rowSpan="2" className="odu-hp">ODU HP</th>
+                </tr>
+                <tr className="third-header">
+                  {/* IDU Tonnage Sub-columns */}
+                  <th className="tonnage">TONNAGE</th>
+                  <th className="max-cfm">MAX CFM</th>
+                </tr>
+              </thead>
+              <tbody>
+                {equipmentRows.map((floor, floorIndex) => {
+                  const floorTotals = calculateFloorTotals(floor);
               
-              return (
-                <React.Fragment key={floor.floorId}>
-                  {/* Floor Rooms */}
-                  {floor.rooms.map((room, roomIndex) => {
-                    const autoCalc = autoCalculateEquipment(room);
+                  return (
+                    <React.Fragment key={floor.floorId}>
+                      {/* Floor Rooms */}
+                      {floor.rooms.map((room, roomIndex) => {
+                        const autoCalc = autoCalculateEquipment(room);
                     
-                    return (
-                      <tr key={room.key} className="room-row">
-                        {roomIndex === 0 && (
-                          <td rowSpan={floor.rooms.length + 1} className="floor-name">
-                            {floor.floorName}
-                          </td>
-                        )}
-                        <td className="room-name">{room.roomName}</td>
-                        <td className="area">{room.area.toFixed(1)}</td>
+                        return (
+                          <tr key={room.key} className="room-row">
+                            {roomIndex === 0 && (
+                              <td rowSpan={floor.rooms.length + 1} className="floor-name">
+                                {floor.floorName}
+                              </td>
+                            )}
+                            <td className="room-name">{room.roomName}</td>
+                            <td className="area">{room.area.toFixed(1)}</td>
                         
-                        {/* Heat Load Section */}
-                        <td className="heat-load-tr">{room.heatLoadTR.toFixed(2)}</td>
-                        <td className="heat-load-cfm">{room.heatLoadCFM.toFixed(0)}</td>
+                            {/* Heat Load Section */}
+                            <td className="heat-load-tr">{room.heatLoadTR.toFixed(2)}</td>
+                            <td className="heat-load-cfm">{room.heatLoadCFM.toFixed(0)}</td>
+                            <td className="heating-load-tr">{room.heatingLoadTR.toFixed(2)}</td>
                         
-                        {/* IDU Section */}
-                        <td className="idu-type">
-                          <select 
-                            value={room.iduType}
-                            onChange={(e) => updateRoomEquipment(floor.floorId, room.key, 'iduType', e.target.value)}
-                            className="table-select"
-                          >
-                            <option>Wall Mounted</option>
-                            <option>Ceiling Cassette 4-Way</option>
-                            <option>Ceiling Cassette 1-Way</option>
-                            <option>Ducted</option>
-                            <option>Floor Standing</option>
-                          </select>
-                        </td>
-                        <td className="machine-capacity">
-                          <input
-                            type="number"
-                            value={autoCalc.machineCapacity.toFixed(2)}
-                            onChange={(e) => updateRoomEquipment(floor.floorId, room.key, 'machineCapacity', parseFloat(e.target.value))}
-                            className="table-input"
-                            step="0.25"
-                            min="0.5"
-                          />
+                            {/* IDU Section */}
+                            <td className="idu-type">
+                              <select 
+                                value={getIDUTypeKey(room.iduType) || DEFAULT_IDU_TYPE}
+                                onChange={(e) => updateRoomEquipment(floor.floorId, room.key, 'iduType', e.target.value)}
+                                className="table-select"
+                              >
+                                {iduTypeOptions.map(type => (
+                                  <option key={type} value={type}>{IDU_TYPES[type].name}</option>
+                                ))}
+                              </select>
+                              {autoCalc.iduModel && <div className="model-number">{autoCalc.iduModel.model}</div>}
+                            </td>
+                            <td className="machine-capacity">
+                              <input
+                                type="number"
+                                value={autoCalc.machineCapacity.toFixed(2)}
+                                onChange={(e) => updateRoomEquipment(floor.floorId, room.key, 'machineCapacity', parseFloat(e.target.value))}
+                                className="table-input"
+                                step="0.25"
+                                min="0.5"
+                              />
+                            </td>
+                            <td className="num-idus">
+                              <input
+                                type="number"
+                                value={autoCalc.numIDUs}
+                                onChange={(e) => updateRoomEquipment(floor.floorId, room.key, 'numIDUs', parseInt(e.target.value))}
+                                className="table-input"
+                                min="1"
+                              />
+                            </td>
+                            <td className="tonnage">{autoCalc.totalIDUTonnage.toFixed(2)}</td>
+                            <td className="max-cfm">{autoCalc.totalAirflowCFM.toFixed(0)}</td>
+                        
+                            {/* ODU Section */}
+                            <td className="total-cfm">{room.heatLoadCFM.toFixed(0)}</td>
+                            <td className="diversity">{((autoCalc.diversityFactor - 1) * 100).toFixed(0)}%</td>
+                            <td className="odu-hp">{autoCalc.oduHP}</td>
+                            <td className="capacity-check">
+                              IDU {autoCalc.iduCheck.coolingOK ? '✓' : '✗'} / {autoCalc.iduCheck.heatingOK ? '✓' : '✗'}
+                              {' · '}
+                              ODU {autoCalc.oduCheck.coolingOK ? '✓' : '✗'} / {autoCalc.oduCheck.heatingOK ? '✓' : '✗'}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                  
+                      {/* Floor Total Row */}
+                      <tr className="floor-total-row">
+                        <td className="total-label">TOTAL ({floor.floorName})</td>
+                        <td className="total-value">{floor.rooms.reduce((sum, room) => sum + room.area, 0).toFixed(1)}</td>
+                        <td className="total-value">{floorTotals.totalHeatLoadTR.toFixed(2)}</td>
+                        <td className="total-value">{floorTotals.totalHeatLoadCFM.toFixed(0)}</td>
+                        <td className="total-value">{floorTotals.totalHeatingLoadTR.toFixed(2)}</td>
+                        <td></td>
+                        <td></td>
+                        <td className="total-value">{floorTotals.totalIDUs}</td>
+                        <td className="total-value">{floorTotals.totalIDUTonnage.toFixed(2)}</td>
+                        <td></td>
+                        <td></td>
+                        <td></td>
+                        <td className="total-value">
+                          {floorTotals.totalODUHP} HP
+                          {floorTotals.oduSelection && (
+                            <div className="model-number">
+                              {floorTotals.oduSelection.quantity > 1 ? `${floorTotals.oduSelection.quantity} × ` : ''}
+                              {floorTotals.oduSelection.model}
+                            </div>
+                          )}
                         </td>
-                        <td className="num-idus">
-                          <input
-                            type="number"
-                            value={autoCalc.numIDUs}
-                            onChange={(e) => updateRoomEquipment(floor.floorId, room.key, 'numIDUs', parseInt(e.target.value))}
-                            className="table-input"
-                            min="1"
-                          />
+                        <td className="capacity-check">
+                          {floorTotals.oduSelection && (
+                            <div
+                              className={`derated-capacity ${floorTotals.oduSelection.ok ? 'ok' : 'short'}`}
+                              title={[
+                                `Rated ${floorTotals.oduSelection.ratedKW} kW`,
+                                ...Object.entries(floorTotals.oduSelection.factors).map(([key, value]) => `${key} × ${value}`),
+                                ...floorTotals.oduSelection.warnings
+                              ].join('\n')}
+                            >
+                              Derated {floorTotals.oduSelection.deratedTR.toFixed(2)} TR vs {floorTotals.oduSelection.demandTR.toFixed(2)} TR load
+                              {' '}{floorTotals.oduSelection.ok ? '✓' : '✗'}
+                              <div className="model-number">
+                                CR {floorTotals.oduSelection.combinationRatio}% · factor {floorTotals.oduSelection.factors.total}
+                              </div>
+                              {floorTotals.oduSelection.warnings.map(warning => (
+                                <div key={warning} className="derated-warning">⚠️ {warning}</div>
+                              ))}
+                            </div>
+                          )}
                         </td>
-                        <td className="tonnage">{autoCalc.totalIDUTonnage.toFixed(2)}</td>
-                        <td className="max-cfm">{(autoCalc.totalIDUTonnage * 400).toFixed(0)}</td>
-                        
-                        {/* ODU Section */}
-                        <td className="total-cfm">{room.heatLoadCFM.toFixed(0)}</td>
-                        <td className="diversity">{((autoCalc.diversityFactor - 1) * 100).toFixed(0)}%</td>
-                        <td className="odu-hp">{autoCalc.oduHP}</td>
                       </tr>
-                    );
-                  })}
-                  
-                  {/* Floor Total Row */}
-                  <tr className="floor-total-row">
-                    <td className="total-label">TOTAL ({floor.floorName})</td>
-                    <td className="total-value">{floor.rooms.reduce((sum, room) => sum + room.area, 0).toFixed(1)}</td>
-                    <td className="total-value">{floorTotals.totalHeatLoadTR.toFixed(2)}</td>
-                    <td className="total-value">{floorTotals.totalHeatLoadCFM.toFixed(0)}</td>
-                    <td></td>
-                    <td></td>
-                    <td className="total-value">{floorTotals.totalIDUs}</td>
-                    <td className="total-value">{floorTotals.totalIDUTonnage.toFixed(2)}</td>
-                    <td></td>
-                    <td></td>
-                    <td></td>
-                    <td className="total-value">{floorTotals.totalODUHP} HP</td>
-                  </tr>
-                </React.Fragment>
-              );
-            })}
+                    </React.Fragment>
+                  );
+                })}
             
-            {/* Project Total Row */}
-            <tr className="project-total-row">
-              <td colSpan="2" className="total-label">TOTAL</td>
-              <td className="total-value">{equipmentRows.reduce((sum, floor) => sum + floor.rooms.reduce((s, room) => s + room.area, 0), 0).toFixed(1)}</td>
-              <td className="total-value">{projectTotals.totalHeatLoadTR.toFixed(2)}</td>
-              <td className="total-value">{projectTotals.totalHeatLoadCFM.toFixed(0)}</td>
-              <td></td>
-              <td></td>
-              <td className="total-value">{projectTotals.totalIDUs}</td>
-              <td className="total-value">{projectTotals.totalIDUTonnage.toFixed(2)}</td>
-              <td></td>
-              <td></td>
-              <td></td>
-              <td className="total-value">{projectTotals.totalODUHP} HP</td>
-            </tr>
-          </tbody>
-        </table>
-      </div>
+                {/* Project Total Row */}
+                <tr className="project-total-row">
+                  <td colSpan="2" className="total-label">TOTAL</td>
+                  <td className="total-value">{equipmentRows.reduce((sum, floor) => sum + floor.rooms.reduce((s, room) => s + room.area, 0), 0).toFixed(1)}</td>
+                  <td className="total-value">{projectTotals.totalHeatLoadTR.toFixed(2)}</td>
+                  <td className="total-value">{projectTotals.totalHeatLoadCFM.toFixed(0)}</td>
+                  <td className="total-value">{projectTotals.totalHeatingLoadTR.toFixed(2)}</td>
+                  <td></td>
+                  <td></td>
+                  <td className="total-value">{projectTotals.totalIDUs}</td>
+                  <td className="total-value">{projectTotals.totalIDUTonnage.toFixed(2)}</td>
+                  <td></td>
+                  <td></td>
+                  <td></td>
+                  <td className="total-value">{projectTotals.totalODUHP} HP</td>
+                  <td></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {/* Refrigerant Piping */}
+      {systemType === 'VRF' && equipmentRows.length > 0 && (
+        <div className="refrigerant-piping-section">
+          <div className="refrigerant-piping-heading">
+            <h3>Refrigerant Piping &amp; Charge</h3>
+            <label>
+              Concentration limit
+              <select value={safetyStandard} onChange={(e) => setSafetyStandard(e.target.value)}>
+                {Object.entries(SAFETY_STANDARDS).map(([key, standard]) => <option key={key} value={key}>{standard.name}</option>)}
+              </select>
+            </label>
+            <label>
+              <input type="checkbox" checked={institutional} onChange={(e) => setInstitutional(e.target.checked)} />
+              Institutional occupancy
+            </label>
+          </div>
+          {equipmentRows.map(floor => {
+            const floorTotals = calculateFloorTotals(floor);
+            return (
+              <React.Fragment key={floor.floorId}>
+                {pipingNetworks[floor.floorId] ? (
+                  <RefrigerantPipingDesigner
+                    title={`${floor.floorName} VRF system`}
+                    network={pipingNetworks[floor.floorId]}
+                    analysis={floorTotals.piping}
+                    onChange={(network) => updatePipingNetwork(floor.floorId, network)}
+                    onRegenerate={() => updatePipingNetwork(floor.floorId, createFloorNetwork(floor))}
+                  />
+                ) : (
+                  <div className="piping-floor-placeholder">
+                    <span>{floor.floorName}: no piping layout yet</span>
+                    <button type="button" className="btn-secondary" onClick={() => updatePipingNetwork(floor.floorId, createFloorNetwork(floor))}>
+                      Lay out refrigerant piping
+                    </button>
+                  </div>
+                )}
+                {floorTotals.refrigerant && renderRefrigerantCheck(floor, floorTotals.refrigerant)}
+              </React.Fragment>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Ventilation */}
+      {ventilation.systems.length > 0 && (
+        <div className="chilled-water-section">
+          <h3>Ventilation Compliance</h3>
+          <VentilationReport
+            report={ventilation}
+            options={ventilationOptions}
+            onOptionChange={updateVentilationOption}
+            onCategoryChange={updateVentilationCategory}
+          />
+        </div>
+      )}
+
+      {/* Treated fresh air */}
+      {freshAirComparison && (
+        <div className="chilled-water-section">
+          <h3>Treated Fresh Air &amp; Heat Recovery</h3>
+          <FreshAirUnitPanel
+            design={freshAirDesign}
+            comparison={freshAirComparison}
+            options={freshAirOptions}
+            onOptionChange={updateFreshAirOption}
+          />
+        </div>
+      )}
+
+      {/* Ductwork */}
+      {ductedUnits.length > 0 && (
+        <div className="refrigerant-piping-section">
+          <h3>Duct Design</h3>
+          {ductedUnits.map(unit => (
+            ductNetworks[unit.key] ? (
+              <DuctDesigner
+                key={unit.key}
+                title={`${unit.floorName} / ${unit.roomName}: ${unit.model.model} (${unit.unitCFM} CFM${unit.quantity > 1 ? `, each of ${unit.quantity}` : ''})`}
+                network={ductNetworks[unit.key]}
+                analysis={unit.analysis}
+                onChange={(network) => updateDuctNetwork(unit.key, network)}
+                onRegenerate={() => updateDuctNetwork(unit.key, createUnitDuctNetwork(unit))}
+              />
+            ) : (
+              <div key={unit.key} className="piping-floor-placeholder">
+                <span>{unit.floorName} / {unit.roomName}: {unit.model.model}, no duct layout yet</span>
+                <button type="button" className="btn-secondary" onClick={() => updateDuctNetwork(unit.key, createUnitDuctNetwork(unit))}>
+                  Lay out ductwork
+                </button>
+              </div>
+            )
+          ))}
+        </div>
+      )}
 
       {/* Action Buttons */}
       <div className="table-actions">
@@ -1,96 +1,32 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import HVACDataService from '../../services/hvacDataService';
 import toast from '../../utils/toast';
 import EquipmentSelectionTable from './EquipmentSelectionTable';
+import {
+  IDU_TYPES,
+  SYSTEM_TYPES,
+  CATEGORIES,
+  TR_TO_KW,
+  trToHP,
+  getIDUTypeKey,
+  getSystemTypeKey,
+  getCapacityOptions,
+  findModel
+} from '../../utils/equipmentCatalog';
+import { getOperatingConditions, checkODUCapacity, selectDeratedODU } from '../../utils/oduDerating';
+import { useEquipmentCatalog } from '../../hooks/useEquipmentCatalog';
 import './FloorWiseEquipmentSelection.css';
 
 /**
  * FloorWiseEquipmentSelection Component
  * Professional HVAC Equipment Selection based on calculated room loads
  * Supports VRF, Split, and Ducted systems with diversity factors
+ * ODUs are sized on their capacity derated to the design conditions
  */
 
-// Equipment Database - Industry Standard Capacities
-const EQUIPMENT_DATABASE = {
-  IDU_TYPES: {
-    'Wall Mounted': {
-      capacities: [0.75, 1.0, 1.5, 2.0, 2.5, 3.0, 3.5, 4.0],
-      cfmPerTon: 400,
-      applications: ['Office', 'Residential', 'Retail'],
-      mounting: 'Wall',
-      minHeight: 7
-    },
-    'Ceiling Cassette 4-Way': {
-      capacities: [1.5, 2.0, 2.5, 3.0, 3.5, 4.0, 5.0, 6.0],
-      cfmPerTon: 450,
-      applications: ['Office', 'Retail', 'Restaurant', 'Hotel'],
-      mounting: 'Ceiling',
-      minHeight: 9
-    },
-    'Ceiling Cassette 1-Way': {
-      capacities: [1.0, 1.5, 2.0, 2.5, 3.0, 3.5, 4.0],
-      cfmPerTon: 420,
-      applications: ['Office', 'Retail', 'Corridor'],
-      mounting: 'Ceiling',
-      minHeight: 9
-    },
-    'Ducted': {
-      capacities: [1.0, 1.5, 2.0, 2.5, 3.0, 4.0, 5.0, 6.0, 8.0, 10.0],
-      cfmPerTon: 400,
-      applications: ['Office', 'Hospital', 'School', 'Hotel'],
-      mounting: 'Ceiling',
-      minHeight: 10,
-      requiresDuctwork: true
-    },
-    'Floor Standing': {
-      capacities: [1.0, 1.5, 2.0, 2.5, 3.0, 4.0, 5.0],
-      cfmPerTon: 380,
-      applications: ['Office', 'Retail', 'Residential'],
-      mounting: 'Floor',
-      minHeight: 0
-    },
-    'Ceiling Suspended': {
-      capacities: [2.0, 2.5, 3.0, 4.0, 5.0, 6.0],
-      cfmPerTon: 400,
-      applications: ['Office', 'Retail', 'Restaurant'],
-      mounting: 'Ceiling',
-      minHeight: 9
-    }
-  },
-  
-  ODU_TYPES: {
-    'VRF Heat Pump': {
-      capacities: [8, 10, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30, 32],
-      hpPerTon: 1.2,
-      maxConnections: 64,
-      diversityFactor: 0.85,
-      efficiency: 'High'
-    },
-    'VRF Heat Recovery': {
-      capacities: [10, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30, 32, 36, 40],
-      hpPerTon: 1.2,
-      maxConnections: 64,
-      diversityFactor: 0.80,
-      efficiency: 'Very High',
-      simultaneousCoolingHeating: true
-    },
-    'Multi Split': {
-      capacities: [4, 5, 6, 8, 10, 12],
-      hpPerTon: 1.3,
-      maxConnections: 8,
-      diversityFactor: 0.90,
-      efficiency: 'Medium'
-    },
-    'Single Split': {
-      capacities: [0.75, 1.0, 1.5, 2.0, 2.5, 3.0, 4.0, 5.0],
-      hpPerTon: 1.3,
-      maxConnections: 1,
-      diversityFactor: 1.0,
-      efficiency: 'Medium'
-    }
-  }
-};
+// System types offered here (outdoor sizes come from the equipment catalog)
+const SYSTEM_OPTIONS = ['vrfHeatPump', 'vrfHeatRecovery', 'multiSplit', 'singleSplit'];
 
 // Diversity Factors by Building Type (ASHRAE Standards)
 const DIVERSITY_FACTORS = {
@@ -106,11 +42,34 @@ const DIVERSITY_FACTORS = {
 
 const FloorWiseEquipmentSelection = ({ projectData, spaceData, onSave, onBack, savedData, projectId }) => {
   const { user } = useAuth();
+  const { models } = useEquipmentCatalog();
   const [equipmentRows, setEquipmentRows] = useState([]);
   const [systemType, setSystemType] = useState('VRF Heat Pump');
   const [autoCalculate, setAutoCalculate] = useState(true);
   const [projectSummary, setProjectSummary] = useState(null);
   const [useNewTable, setUseNewTable] = useState(false);
+  const oduConditions = useMemo(() => getOperatingConditions(projectData), [projectData]);
+
+  // VRF outdoor units are rated in HP; splits and chillers in TR only
+  const getODUHP = useCallback((oduType, capacity) => {
+    const model = findModel(models, { systemType: getSystemTypeKey(oduType) }, capacity);
+    return model?.nominalHP ?? Math.ceil(trToHP(parseFloat(capacity) || 0));
+  }, [models]);
+
+  // Derated capacity of a row's ODU against its diversified load
+  const rateODU = useCallback((oduType, capacity, adjustedLoad, totalIDUTonnage) => {
+    const model = findModel(models, { systemType: getSystemTypeKey(oduType) }, capacity);
+    if (!model) return { deratedODUCapacity: null, combinationRatio: null, oduWarnings: [] };
+    const rating = checkODUCapacity(model, {
+      demandKW: (parseFloat(adjustedLoad) || 0) * TR_TO_KW,
+      connectedKW: (parseFloat(totalIDUTonnage) || 0) * TR_TO_KW
+    }, oduConditions);
+    return {
+      deratedODUCapacity: rating.capacityTR,
+      combinationRatio: rating.combinationRatio,
+      oduWarnings: rating.warnings
+    };
+  }, [models, oduConditions]);
 
   /**
    * Auto-select equipment based on load and CFM requirements
@@ -122,21 +81,22 @@ const FloorWiseEquipmentSelection = ({ projectData, spaceData, onSave, onBack, s
     const adjustedLoad = totalLoad * diversityFactor;
     
     // Select IDU type based on room types and ceiling height
-    let iduType = 'Ceiling Cassette 4-Way'; // Default
+    let iduType = 'cassette4Way2x2'; // Default
     const hasLowCeiling = rooms.some(r => (r.height || 10) < 9);
     const hasDuctRequirement = rooms.length > 5;
     
     if (hasLowCeiling) {
-      iduType = 'Wall Mounted';
+      iduType = 'wallMounted';
     } else if (hasDuctRequirement) {
-      iduType = 'Ducted';
+      iduType = 'lowStaticDuct';
     }
     
-    const iduSpecs = EQUIPMENT_DATABASE.IDU_TYPES[iduType];
+    const iduSpecs = IDU_TYPES[iduType];
+    const iduCapacities = getCapacityOptions(models, { category: CATEGORIES.IDU, type: iduType });
     
     // Select IDU capacity - find closest match
     const avgLoadPerRoom = totalLoad / rooms.length;
-    const iduCapacity = iduSpecs.capacities.reduce((prev, curr) => 
+    const iduCapacity = iduCapacities.reduce((prev, curr) => 
       Math.abs(curr - avgLoadPerRoom) < Math.abs(prev - avgLoadPerRoom) ? curr : prev
     );
     
@@ -149,14 +109,16 @@ const FloorWiseEquipmentSelection = ({ projectData, spaceData, onSave, onBack, s
     const totalIDUCFM = noOfIDUs * iduCFM;
     
     // ODU Selection
-    const oduSpecs = EQUIPMENT_DATABASE.ODU_TYPES[systemType];
     const requiredODUCapacity = adjustedLoad;
     
-    // Select ODU capacity - find next larger size
-    const selectedODUCapacity = oduSpecs.capacities.find(cap => cap >= requiredODUCapacity) || 
-                                Math.max(...oduSpecs.capacities);
+    // Select ODU capacity - smallest whose derated capacity covers the load
+    const oduSelection = selectDeratedODU(models, { systemType: getSystemTypeKey(systemType) }, {
+      demandKW: requiredODUCapacity * TR_TO_KW,
+      connectedKW: totalIDUTonnage * TR_TO_KW
+    }, oduConditions, 1);
+    const selectedODUCapacity = oduSelection?.model.nominalTR || 0;
     
-    const oduHP = Math.ceil(selectedODUCapacity * oduSpecs.hpPerTon);
+    const oduHP = getODUHP(systemType, selectedODUCapacity);
     
     return {
       iduType,
@@ -169,9 +131,12 @@ const FloorWiseEquipmentSelection = ({ projectData, spaceData, onSave, onBack, s
       adjustedLoad: parseFloat(adjustedLoad.toFixed(2)),
       requiredODUCapacity: parseFloat(requiredODUCapacity.toFixed(2)),
       selectedODUCapacity,
+      deratedODUCapacity: oduSelection?.capacityTR ?? null,
+      combinationRatio: oduSelection?.combinationRatio ?? null,
+      oduWarnings: oduSelection?.warnings || [],
       oduHP
     };
-  }, [projectData, systemType]);
+  }, [projectData, systemType, models, oduConditions, getODUHP]);
 
   /**
    * Generate equipment rows from room calculations
@@ -271,6 +236,9 @@ const FloorWiseEquipmentSelection = ({ projectData, spaceData, onSave, onBack, s
           oduType: systemType,
           requiredODUCapacity: autoSelection.requiredODUCapacity,
           selectedODUCapacity: autoSelection.selectedODUCapacity,
+          deratedODUCapacity: autoSelection.deratedODUCapacity,
+          combinationRatio: autoSelection.combinationRatio,
+          oduWarnings: autoSelection.oduWarnings,
           oduHP: autoSelection.oduHP,
           
           // Room details for reference
@@ -347,7 +315,7 @@ const FloorWiseEquipmentSelection = ({ projectData, spaceData, onSave, onBack, s
       const noOfIDUs = parseFloat(newRows[index].noOfIDUs) || 0;
       newRows[index].totalIDUTonnage = (iduCapacity * noOfIDUs).toFixed(2);
       
-      const iduSpecs = EQUIPMENT_DATABASE.IDU_TYPES[newRows[index].iduType];
+      const iduSpecs = IDU_TYPES[getIDUTypeKey(newRows[index].iduType)];
       if (iduSpecs) {
         newRows[index].iduCFM = iduCapacity * iduSpecs.cfmPerTon;
         newRows[index].totalIDUCFM = newRows[index].iduCFM * noOfIDUs;
@@ -362,10 +330,12 @@ const FloorWiseEquipmentSelection = ({ projectData, spaceData, onSave, onBack, s
     }
     
     if (field === 'selectedODUCapacity') {
-      const oduSpecs = EQUIPMENT_DATABASE.ODU_TYPES[newRows[index].oduType];
-      if (oduSpecs) {
-        newRows[index].oduHP = Math.ceil(parseFloat(value) * oduSpecs.hpPerTon);
-      }
+      newRows[index].oduHP = getODUHP(newRows[index].oduType, value);
+    }
+    
+    if (['iduCapacity', 'noOfIDUs', 'diversityFactor', 'selectedODUCapacity'].includes(field)) {
+      const row = newRows[index];
+      Object.assign(row, rateODU(row.oduType, row.selectedODUCapacity, row.adjustedLoad, row.totalIDUTonnage));
     }
     
     setEquipmentRows(newRows);
@@ -456,10 +426,9 @@ const FloorWiseEquipmentSelection = ({ projectData, spaceData, onSave, onBack, s
             onChange={(e) => handleSystemTypeChange(e.target.value)}
             className="system-select"
           >
-            <option value="VRF Heat Pump">VRF Heat Pump</option>
-            <option value="VRF Heat Recovery">VRF Heat Recovery</option>
-            <option value="Multi Split">Multi Split</option>
-            <option value="Single Split">Single Split</option>
+            {SYSTEM_OPTIONS.map(key => (
+              <option key={key} value={SYSTEM_TYPES[key].name}>{SYSTEM_TYPES[key].name}</option>
+            ))}
           </select>
           
           <label className="auto-calc-toggle">
@@ -534,7 +503,7 @@ const FloorWiseEquipmentSelection = ({ projectData, spaceData, onSave, onBack, s
               <th rowSpan="2">Area (ft²)</th>
               <th colSpan="2">Heat Load</th>
               <th colSpan="6">IDU Selection</th>
-              <th colSpan="5">ODU Selection</th>
+              <th colSpan="7">ODU Selection</th>
             </tr>
             <tr className="sub-header">
               <th>TR</th>
@@ -550,6 +519,7 @@ const FloorWiseEquipmentSelection = ({ projectData, spaceData, onSave, onBack, s
               <th>Type</th>
               <th>Required Cap.</th>
               <th>Selected Cap.</th>
+              <th>Derated Cap.</th>
               <th>HP</th>
             </tr>
           </thead>
@@ -565,12 +535,12 @@ const FloorWiseEquipmentSelection = ({ projectData, spaceData, onSave, onBack, s
                 {/* IDU Selection */}
                 <td>
                   <select 
-                    value={row.iduType}
+                    value={getIDUTypeKey(row.iduType) || ''}
                     onChange={(e) => updateRow(index, 'iduType', e.target.value)}
                     className="idu-type-select"
                   >
-                    {Object.keys(EQUIPMENT_DATABASE.IDU_TYPES).map(type => (
-                      <option key={type} value={type}>{type}</option>
+                    {Object.entries(IDU_TYPES).map(([type, spec]) => (
+                      <option key={type} value={type}>{spec.name}</option>
                     ))}
                   </select>
                 </td>
@@ -580,7 +550,7 @@ const FloorWiseEquipmentSelection = ({ projectData, spaceData, onSave, onBack, s
                     onChange={(e) => updateRow(index, 'iduCapacity', e.target.value)}
                     className="capacity-select"
                   >
-                    {EQUIPMENT_DATABASE.IDU_TYPES[row.iduType]?.capacities.map(cap => (
+                    {getCapacityOptions(models, { category: CATEGORIES.IDU, type: getIDUTypeKey(row.iduType) }).map(cap => (
                       <option key={cap} value={cap}>{cap}</option>
                     ))}
                   </select>
@@ -621,11 +591,17 @@ const FloorWiseEquipmentSelection = ({ projectData, spaceData, onSave, onBack, s
                     onChange={(e) => updateRow(index, 'selectedODUCapacity', e.target.value)}
                     className="odu-capacity-select"
                   >
-                    {EQUIPMENT_DATABASE.ODU_TYPES[row.oduType]?.capacities.map(cap => (
+                    {getCapacityOptions(models, { systemType: getSystemTypeKey(row.oduType) }).map(cap => (
                       <option key={cap} value={cap}>{cap} TR</option>
                     ))}
                   </select>
                 </td>
+                <td
+                  className={`derated-cap ${row.deratedODUCapacity >= parseFloat(row.adjustedLoad) ? 'ok' : 'short'}`}
+                  title={[`Combination ratio ${row.combinationRatio ?? '-'}%`, ...(row.oduWarnings || [])].join('\n')}
+                >
+                  {row.deratedODUCapacity != null ? `${row.deratedODUCapacity.toFixed(2)} TR` : '-'}
+                </td>
                 <td className="odu-hp">{row.oduHP}</td>
               </tr>
             ))}
@@ -640,7 +616,7 @@ const FloorWiseEquipmentSelection = ({ projectData, spaceData, onSave, onBack, s
               <td><strong>{projectSummary?.totalIDUTonnage.toFixed(2)}</strong></td>
               <td colSpan="3"></td>
               <td><strong>{projectSummary?.totalAdjustedLoad.toFixed(2)}</strong></td>
-              <td colSpan="3"></td>
+              <td colSpan="4"></td>
               <td><strong>{projectSummary?.totalODUHP}</strong></td>
             </tr>
           </tfoot>
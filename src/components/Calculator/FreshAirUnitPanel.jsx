@@ -0,0 +1,153 @@
+import React from 'react';
+import { FRESH_AIR_DESIGN } from '../../utils/freshAirUnit';
+import './FreshAirUnitPanel.css';
+
+/**
+ * Fresh Air Unit Panel
+ * Treated fresh air units per floor with their heat recovery wheel (see
+ * designFreshAirSystem), and the room system with and without them: tonnage,
+ * capital cost and annual energy (see compareFreshAirSchemes).
+ */
+
+// Unit settings: [field, label, unit, step]
+const SETTING_FIELDS = [
+  ['supplyDBF', 'Supply DB', '°F', 1],
+  ['supplyGrains', 'Supply moisture', 'gr/lb', 1],
+  ['tfaKWPerTR', 'TFA', 'kW/TR', 0.05],
+  ['roomSystemKWPerTR', 'Room system', 'kW/TR', 0.05],
+  ['equivalentFullLoadHours', 'Full load hours', 'h', 100],
+  ['operatingHours', 'Fan hours', 'h', 100],
+  ['tariffPerKWh', 'Tariff', '₹/kWh', 0.5]
+];
+
+const formatINR = (value) => `₹${Math.round(value).toLocaleString('en-IN')}`;
+const signed = (value, format = (v) => v) => `${value > 0 ? '+' : value < 0 ? '−' : ''}${format(Math.abs(value))}`;
+
+const FreshAirUnitPanel = ({ design, comparison, options, onOptionChange }) => {
+  const value = (field) => options[field] ?? FRESH_AIR_DESIGN[field];
+  const number = (input) => (input === '' ? '' : parseFloat(input));
+  const { capex, energy } = comparison;
+
+  return (
+    <div className="fresh-air-panel">
+      <div className="fresh-air-settings">
+        <label>
+          <input
+            type="checkbox"
+            checked={!!options.enabled}
+            onChange={(e) => onOptionChange('enabled', e.target.checked)}
+          />
+          Route outdoor air through TFA units
+        </label>
+        <label>
+          <input type="checkbox" checked={value('wheel')} onChange={(e) => onOptionChange('wheel', e.target.checked)} />
+          Heat recovery wheel
+        </label>
+        {value('wheel') && (
+          <>
+            <label>
+              Sensible ε
+              <input type="number" value={value('sensibleEffectiveness')} step="0.05" min="0" max="1" onChange={(e) => onOptionChange('sensibleEffectiveness', number(e.target.value))} />
+            </label>
+            <label>
+              Latent ε
+              <input type="number" value={value('latentEffectiveness')} step="0.05" min="0" max="1" onChange={(e) => onOptionChange('latentEffectiveness', number(e.target.value))} />
+            </label>
+          </>
+        )}
+        {SETTING_FIELDS.map(([field, label, unit, step]) => (
+          <label key={field}>
+            {label}
+            <input
+              type="number"
+              value={options[field] ?? FRESH_AIR_DESIGN[field] ?? ''}
+              placeholder="Auto"
+              step={step}
+              onChange={(e) => onOptionChange(field, number(e.target.value))}
+            />
+            {unit}
+          </label>
+        ))}
+      </div>
+
+      <table className="fresh-air-table">
+        <thead>
+          <tr>
+            <th>Floor</th>
+            <th>Outdoor air (CFM)</th>
+            <th>Off wheel (°F / gr)</th>
+            <th>Recovered (TR)</th>
+            <th>Coil (TR)</th>
+            <th>Leaving (°F / gr)</th>
+            <th>Reheat (kW)</th>
+            <th>Fans (kW)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {design.units.map(unit => (
+            <tr key={unit.floorId}>
+              <td>{unit.floorName}</td>
+              <td>{unit.cfm}</td>
+              <td>{unit.states.afterWheel.dbF} / {unit.states.afterWheel.grains}</td>
+              <td>{unit.recovery.tons}</td>
+              <td>{unit.coil.tons}</td>
+              <td>{unit.states.supply.dbF} / {unit.states.supply.grains}</td>
+              <td>{unit.reheat.kW}</td>
+              <td>{unit.fanKW}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h4>Room system with TFA units</h4>
+      <table className="fresh-air-table">
+        <thead>
+          <tr>
+            <th></th>
+            <th>Outdoor air on room coils</th>
+            <th>With TFA units</th>
+            <th>Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td>Room system (TR)</td>
+            <td>{design.baseTR}</td>
+            <td>{design.residualTR}</td>
+            <td>{signed(-comparison.reductionTR)}</td>
+          </tr>
+          <tr>
+            <td>TFA units (TR / CFM)</td>
+            <td>—</td>
+            <td>{comparison.tfaTR} / {comparison.tfaCFM}</td>
+            <td></td>
+          </tr>
+          <tr>
+            <td>Capital cost</td>
+            <td>{formatINR(capex.base)}</td>
+            <td>{formatINR(capex.equipment)} + {formatINR(capex.tfa)} TFA</td>
+            <td className={capex.change > 0 ? 'fresh-air-short' : 'fresh-air-ok'}>{signed(capex.change, formatINR)}</td>
+          </tr>
+          <tr>
+            <td>Annual energy (kWh)</td>
+            <td>{energy.baseKWh.toLocaleString('en-IN')}</td>
+            <td>{energy.roomKWh.toLocaleString('en-IN')} + {energy.tfaKWh.toLocaleString('en-IN')} TFA</td>
+            <td className={energy.changeKWh > 0 ? 'fresh-air-short' : 'fresh-air-ok'}>{signed(energy.changeKWh, (v) => v.toLocaleString('en-IN'))}</td>
+          </tr>
+          <tr>
+            <td>Annual energy cost</td>
+            <td>{formatINR(energy.baseCost)}</td>
+            <td>{formatINR(energy.withTFACost)}</td>
+            <td className={energy.changeCost > 0 ? 'fresh-air-short' : 'fresh-air-ok'}>{signed(energy.changeCost, formatINR)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <p>
+        TFA capital cost at {formatINR(value('tfaCostPerTR'))}/TR{value('wheel') ? ` plus ${formatINR(value('wheelCostPerCFM'))}/CFM for the wheel` : ''}.
+        {' '}{options.enabled ? 'Room equipment above is sized on the residual load.' : 'Room equipment above still carries the outdoor air.'}
+      </p>
+    </div>
+  );
+};
+
+export default FreshAirUnitPanel;
@@ -1,99 +1,66 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import HVACDataService from '../../services/hvacDataService';
 import toast from '../../utils/toast';
+import {
+  IDU_TYPES,
+  ODU_TYPES,
+  CATEGORIES,
+  REFERENCE_MANUFACTURER,
+  TR_TO_KW,
+  trToHP,
+  getCapacityOptions,
+  findModel,
+  withManufacturer
+} from '../../utils/equipmentCatalog';
+import { getOperatingConditions, getDeratedCapacity } from '../../utils/oduDerating';
+import { useEquipmentCatalog } from '../../hooks/useEquipmentCatalog';
+import EquipmentCatalogPanel from './EquipmentCatalogPanel';
 import './HVACEquipmentSpreadsheet.css';
 
 /**
  * Excel-like HVAC Equipment Selection Spreadsheet
  * Room-by-room equipment selection with floor grouping
+ * IDU and ODU sizes come from the equipment catalog for the chosen make; each
+ * room's outdoor units are shown derated to the step 3 operating conditions
  */
 
-// ODU (Outdoor Unit) Types and Capacities
-const ODU_TYPES = [
-  {
-    key: 'combined',
-    name: 'Combined',
-    capacities: [8, 10, 12, 14, 16, 18, 20, 22, 24, 26]
-  },
-  {
-    key: 'topDischarge',
-    name: 'Top Discharge',
-    capacities: [8, 10, 12, 14, 16, 18, 20, 22, 24, 26]
-  },
-  {
-    key: 'sideDischarge',
-    name: 'Side Discharge',
-    capacities: [5, 6, 8, 10, 12, 14]
-  }
-];
+// Catalog fields the sheet selects, with the model number recorded beside each
+const MODEL_FIELDS = {
+  selectedCapacity: { modelField: 'selectedModel', unit: 'tr', criteria: (room) => ({ category: CATEGORIES.IDU, type: room.selectedACType }) },
+  combinedHP: { modelField: 'combinedModel', unit: 'hp', criteria: () => ({ category: CATEGORIES.ODU, type: 'combined', systemType: 'vrfHeatPump' }) },
+  topDischargeHP: { modelField: 'topDischargeModel', unit: 'hp', criteria: () => ({ category: CATEGORIES.ODU, type: 'topDischarge', systemType: 'vrfHeatPump' }) },
+  sideDischargeHP: { modelField: 'sideDischargeModel', unit: 'hp', criteria: () => ({ category: CATEGORIES.ODU, type: 'sideDischarge', systemType: 'vrfHeatPump' }) }
+};
 
-// IDU (Indoor Unit) Types and Capacities
-const EQUIPMENT_TYPES = [
-  { 
-    key: 'wallMounted', 
-    name: 'Wall Mounted', 
-    icon: '🔲', 
-    image: '📱',
-    capacities: [0.8, 1.0, 1.3, 1.5, 2.0, 2.5, 3.0]
-  },
-  { 
-    key: 'roundCST', 
-    name: 'Round CST', 
-    icon: '⭕', 
-    image: '🔘',
-    capacities: [2.0, 3.0, 4.0, 5.0, 6.0, 8.0, 10.0, 12.0, 13.0, 15.0, 20.0, 25.0, 30.0, 35.0, 40.0, 45.0, 50.0, 55.0, 60.0, 70.0]
-  },
-  { 
-    key: 'cassette4Way2x2', 
-    name: '4 Way Cassette 2x2', 
-    icon: '➕', 
-    image: '⊞',
-    capacities: [1.0, 1.5, 2.0, 2.5, 3.0, 4.0, 5.0]
-  },
-  { 
-    key: 'cassette4Way3x3', 
-    name: '4 Way Cassette 3x3', 
-    icon: '⊞', 
-    image: '⊠',
-    capacities: [2.0, 2.5, 3.0, 4.0, 5.0, 7.5, 10.0]
-  },
-  { 
-    key: 'cassette2Way', 
-    name: '2 Way Cassette', 
-    icon: '➡️', 
-    image: '▶️',
-    capacities: [0.8, 1.0, 1.5, 2.0, 2.5, 3.0, 3.5, 4.0, 4.5, 5.0, 5.5, 6.0, 7.0, 8.0]
-  },
-  { 
-    key: 'cassette1Way', 
-    name: '1Way Cassette', 
-    icon: '↗️', 
-    image: '▷',
-    capacities: [0.8, 1.0, 1.5, 2.0, 2.5, 3.0, 3.5, 4.0, 4.5, 5.0, 5.5, 6.0, 7.0, 8.0]
-  },
-  { 
-    key: 'lowStaticDuct', 
-    name: 'Low Static Duct', 
-    icon: '🌬️', 
-    image: '▬',
-    capacities: [3.0, 4.0, 5.0, 6.0, 8.0, 10.0, 12.0, 15.0, 20.0, 25.0, 30.0, 40.0, 45.0, 50.0, 60.0, 80.0]
-  },
-  { 
-    key: 'highStaticDuct', 
-    name: 'High Static Duct', 
-    icon: '💨', 
-    image: '▰',
-    capacities: [3.0, 4.0, 5.0, 6.0, 8.0, 10.0, 12.0, 15.0, 20.0, 25.0, 30.0, 40.0, 45.0, 50.0, 60.0, 80.0]
-  },
-  { 
-    key: 'flrs', 
-    name: 'FLRS', 
-    icon: '🏢', 
-    image: '⬛',
-    capacities: [8.0]
-  }
-];
+/**
+ * IDU types with the sizes the catalog offers for a make
+ * @param {Array} models - Catalog models
+ * @param {string} manufacturer - Preferred make
+ * @returns {Array} [{ key, name, icon, image, capacities }]
+ */
+const buildEquipmentTypes = (models, manufacturer) => Object.entries(IDU_TYPES).map(([key, type]) => ({
+  key,
+  name: type.name,
+  icon: type.icon,
+  image: type.image,
+  capacities: getCapacityOptions(models, withManufacturer(models, {
+    ...MODEL_FIELDS.selectedCapacity.criteria({ selectedACType: key }),
+    manufacturer
+  }))
+}));
+
+/**
+ * ODU arrangements with the HP sizes the catalog offers for a make
+ * @param {Array} models - Catalog models
+ * @param {string} manufacturer - Preferred make
+ * @returns {Array} [{ key, name, capacities }]
+ */
+const buildODUTypes = (models, manufacturer) => Object.entries(ODU_TYPES).map(([key, type]) => ({
+  key,
+  name: type.name,
+  capacities: getCapacityOptions(models, withManufacturer(models, { ...MODEL_FIELDS[`${key}HP`].criteria(), manufacturer }), 'hp')
+}));
 
 // Accessories List
 const ACCESSORIES_LIST = [
@@ -114,8 +81,25 @@ const ACCESSORIES_LIST = [
   { name: 'Accoustic Insulation', defaultQty: 0 }
 ];
 
-const HVACEquipmentSpreadsheet = ({ spaceData, designData, onSave, onBack, savedData, projectId }) => {
+const HVACEquipmentSpreadsheet = ({ spaceData, designData, equipmentData: selectionData, onSave, onBack, savedData, projectId }) => {
   const { user } = useAuth();
+  const catalog = useEquipmentCatalog();
+  const [manufacturer, setManufacturer] = useState(
+    savedData?.manufacturer || selectionData?.manufacturer || REFERENCE_MANUFACTURER
+  );
+  const EQUIPMENT_TYPES = useMemo(() => buildEquipmentTypes(catalog.models, manufacturer), [catalog.models, manufacturer]);
+  const ODU_TYPE_OPTIONS = useMemo(() => buildODUTypes(catalog.models, manufacturer), [catalog.models, manufacturer]);
+  const oduConditions = useMemo(
+    () => getOperatingConditions(designData, savedData?.oduConditions || selectionData?.oduConditions),
+    [designData, savedData, selectionData]
+  );
+  // Refrigerant piping and the chilled water system are designed on the selection sheet and carried through to the BOQ
+  const selectionDesign = useMemo(() => ({
+    pipingNetworks: selectionData?.pipingNetworks || savedData?.pipingNetworks || {},
+    pipingSchedule: selectionData?.pipingSchedule || savedData?.pipingSchedule || [],
+    chilledWater: selectionData?.chilledWater || savedData?.chilledWater || null,
+    chilledWaterSchedule: selectionData?.chilledWaterSchedule || savedData?.chilledWaterSchedule || []
+  }), [selectionData, savedData]);
   const [spreadsheetData, setSpreadsheetData] = useState({});
   const [totals, setTotals] = useState({});
   const [selectedACTypes, setSelectedACTypes] = useState({});
@@ -142,8 +126,8 @@ const HVACEquipmentSpreadsheet = ({ spaceData, designData, onSave, onBack, saved
     
     // Initialize selected AC types - all selected by default
     const initialACTypes = {};
-    EQUIPMENT_TYPES.forEach(type => {
-      initialACTypes[type.key] = true;
+    Object.keys(IDU_TYPES).forEach(key => {
+      initialACTypes[key] = true;
     });
     setSelectedACTypes(initialACTypes);
   }, [spaceData, savedData]);
@@ -161,6 +145,9 @@ const HVACEquipmentSpreadsheet = ({ spaceData, designData, onSave, onBack, saved
           spreadsheetData,
           totals,
           equipmentTypes: EQUIPMENT_TYPES,
+          manufacturer,
+          oduConditions,
+          ...selectionDesign,
           accessories,
           savedAt: new Date().toISOString()
         };
@@ -180,7 +167,7 @@ const HVACEquipmentSpreadsheet = ({ spaceData, designData, onSave, onBack, saved
     }, 2000); // Auto-save after 2 seconds of inactivity
 
     return () => clearTimeout(autoSaveTimer);
-  }, [spreadsheetData, totals, accessories, user, projectId]);
+  }, [spreadsheetData, totals, accessories, user, projectId, EQUIPMENT_TYPES, manufacturer, oduConditions, selectionDesign]);
 
   const initializeSpreadsheet = () => {
     console.log('🔍 Initializing with savedData:', savedData);
@@ -315,7 +302,7 @@ const HVACEquipmentSpreadsheet = ({ spaceData, designData, onSave, onBack, saved
         
         // Calculate IDU HP and ODU Capacity
         if (room.selectedCapacity && room.acQuantity) {
-          const iduHP = (parseFloat(room.selectedCapacity) * parseInt(room.acQuantity)) * 1.2;
+          const iduHP = trToHP(parseFloat(room.selectedCapacity) * parseInt(room.acQuantity));
           floorTotals[floorId].totalIDUHP += iduHP;
           
           if (room.diversityFactor) {
@@ -371,6 +358,17 @@ const HVACEquipmentSpreadsheet = ({ spaceData, designData, onSave, onBack, saved
       // Clear capacity when AC type changes
       if (field === 'selectedACType') {
         updated[floorId].rooms[roomId].selectedCapacity = '';
+        updated[floorId].rooms[roomId].selectedModel = '';
+      }
+
+      // Record the catalog model number for the chosen size
+      if (MODEL_FIELDS[field]) {
+        const { modelField, unit, criteria } = MODEL_FIELDS[field];
+        const room = updated[floorId].rooms[roomId];
+        const model = value
+          ? findModel(catalog.models, withManufacturer(catalog.models, { ...criteria(room), manufacturer }), value, unit)
+          : null;
+        room[modelField] = model?.model || '';
       }
 
       console.log(`🔄 Updated ${field} for ${roomId}:`, processedValue);
@@ -379,11 +377,76 @@ const HVACEquipmentSpreadsheet = ({ spaceData, designData, onSave, onBack, saved
     });
   };
 
+  // Switch make and look the chosen sizes up again in its range
+  const changeManufacturer = (name) => {
+    setManufacturer(name);
+    setSpreadsheetData(prev => Object.fromEntries(Object.entries(prev).map(([floorId, floor]) => [floorId, {
+      ...floor,
+      rooms: Object.fromEntries(Object.entries(floor.rooms || {}).map(([roomId, room]) => {
+        const next = { ...room };
+        Object.entries(MODEL_FIELDS).forEach(([field, { modelField, unit, criteria }]) => {
+          if (!room[field]) return;
+          const model = findModel(catalog.models, withManufacturer(catalog.models, { ...criteria(room), manufacturer: name }), room[field], unit);
+          next[modelField] = model?.model || '';
+        });
+        return [roomId, next];
+      }))
+    }])));
+  };
+
+  // Derated capacity of a room's outdoor units against its load; the
+  // combination ratio is the room's IDU capacity over all its ODUs' rating
+  const getRoomODURating = (roomData) => {
+    const units = Object.keys(ODU_TYPES).map(key => {
+      const field = `${key}HP`;
+      const quantity = parseInt(roomData[`${key}Qty`]) || 0;
+      if (!roomData[field] || quantity === 0) return null;
+      const { unit, criteria } = MODEL_FIELDS[field];
+      const model = findModel(catalog.models, withManufacturer(catalog.models, { ...criteria(roomData), manufacturer }), roomData[field], unit);
+      return model ? { model, quantity } : null;
+    }).filter(Boolean);
+    if (units.length === 0) return null;
+
+    const ratedKW = units.reduce((sum, { model, quantity }) => sum + model.coolingKW * quantity, 0);
+    const connectedKW = (parseFloat(roomData.selectedCapacity) || 0) * (parseInt(roomData.acQuantity) || 0) * TR_TO_KW;
+    const combinationRatio = connectedKW > 0 ? connectedKW / ratedKW * 100 : 100;
+    const ratings = units.map(({ model, quantity }) => ({
+      quantity,
+      ...getDeratedCapacity(model, { ...oduConditions, combinationRatio })
+    }));
+    const deratedKW = ratings.reduce((sum, rating) => sum + rating.capacityKW * rating.quantity, 0);
+    const demandKW = (parseFloat(roomData.tonnage) || 0) * TR_TO_KW;
+
+    return {
+      deratedKW,
+      demandKW,
+      combinationRatio,
+      ok: deratedKW >= demandKW,
+      warnings: [...new Set(ratings.flatMap(rating => rating.warnings))]
+    };
+  };
+
+  const renderODURating = (roomData) => {
+    const rating = getRoomODURating(roomData);
+    if (!rating) return null;
+    return (
+      <div
+        className={`derated-capacity ${rating.ok ? 'ok' : 'short'}`}
+        title={[`Combination ratio ${rating.combinationRatio.toFixed(0)}%`, ...rating.warnings].join('\n')}
+      >
+        {rating.deratedKW.toFixed(1)} / {rating.demandKW.toFixed(1)} kW {rating.ok ? '✓' : '✗'}
+      </div>
+    );
+  };
+
   const handleSave = async () => {
     const equipmentData = {
       spreadsheetData,
       totals,
       equipmentTypes: EQUIPMENT_TYPES,
+      manufacturer,
+      oduConditions,
+      ...selectionDesign,
       accessories,
       savedAt: new Date().toISOString()
     };
@@ -583,6 +646,7 @@ const HVACEquipmentSpreadsheet = ({ spaceData, designData, onSave, onBack, saved
                   </option>
                 ))}
               </select>
+              {roomData.selectedModel && <div className="model-number">{roomData.selectedModel}</div>}
             </td>
             <td className="quantity-cell">
               <input
@@ -615,7 +679,7 @@ const HVACEquipmentSpreadsheet = ({ spaceData, designData, onSave, onBack, saved
               fontWeight: 'bold'
             }}>
               {roomData.selectedCapacity && roomData.acQuantity ? 
-                ((parseFloat(roomData.selectedCapacity) * parseInt(roomData.acQuantity)) * 1.2).toFixed(1) : 
+                trToHP(parseFloat(roomData.selectedCapacity) * parseInt(roomData.acQuantity)).toFixed(1) : 
                 '#DIV/0!'
               }
             </td>
@@ -648,9 +712,10 @@ const HVACEquipmentSpreadsheet = ({ spaceData, designData, onSave, onBack, saved
               fontWeight: 'bold'
             }}>
               {roomData.selectedCapacity && roomData.acQuantity && roomData.diversityFactor ? 
-                (((parseFloat(roomData.selectedCapacity) * parseInt(roomData.acQuantity)) * 1.2) / parseFloat(roomData.diversityFactor)).toFixed(1) : 
+                (trToHP(parseFloat(roomData.selectedCapacity) * parseInt(roomData.acQuantity)) / parseFloat(roomData.diversityFactor)).toFixed(1) : 
                 '#DIV/0!'
               }
+              {renderODURating(roomData)}
             </td>
             
             {/* Combined ODU */}
@@ -668,7 +733,7 @@ const HVACEquipmentSpreadsheet = ({ spaceData, designData, onSave, onBack, saved
                   }}
                 >
                   <option value="">HP</option>
-                  {ODU_TYPES.find(t => t.key === 'combined')?.capacities.map(capacity => (
+                  {ODU_TYPE_OPTIONS.find(t => t.key === 'combined')?.capacities.map(capacity => (
                     <option key={capacity} value={capacity}>
                       {capacity}
                     </option>
@@ -707,7 +772,7 @@ const HVACEquipmentSpreadsheet = ({ spaceData, designData, onSave, onBack, saved
                   }}
                 >
                   <option value="">HP</option>
-                  {ODU_TYPES.find(t => t.key === 'topDischarge')?.capacities.map(capacity => (
+                  {ODU_TYPE_OPTIONS.find(t => t.key === 'topDischarge')?.capacities.map(capacity => (
                     <option key={capacity} value={capacity}>
                       {capacity}
                     </option>
@@ -746,7 +811,7 @@ const HVACEquipmentSpreadsheet = ({ spaceData, designData, onSave, onBack, saved
                   }}
                 >
                   <option value="">HP</option>
-                  {ODU_TYPES.find(t => t.key === 'sideDischarge')?.capacities.map(capacity => (
+                  {ODU_TYPE_OPTIONS.find(t => t.key === 'sideDischarge')?.capacities.map(capacity => (
                     <option key={capacity} value={capacity}>
                       {capacity}
                     </option>
@@ -868,6 +933,8 @@ const HVACEquipmentSpreadsheet = ({ spaceData, designData, onSave, onBack, saved
         </div>
       </div>
 
+      <EquipmentCatalogPanel catalog={catalog} manufacturer={manufacturer} onManufacturerChange={changeManufacturer} />
+
       {/* Summary Cards */}
       <div className="header-summary">
         <div className="summary-card">
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import HVACDataService from '../../services/hvacDataService';
 import toast from '../../utils/toast';
+import { getUnitRate, getAccessoryRateCode } from '../../utils/rateLibrary';
+import { useRateLibrary } from '../../hooks/useRateLibrary';
 import './HVACInventorySelection.css';
 
 /**
@@ -10,29 +12,27 @@ import './HVACInventorySelection.css';
  * Based on equipment selection and industry standards
  */
 
-// Inventory Database with specifications and units
+// Inventory Database with specifications and units; rates come from the
+// user's rate library (ACC-<key>)
 const INVENTORY_DATABASE = {
   controls: {
     wiredRemotes: {
       name: 'Wired Remote Controller',
       description: 'LCD Display with Timer Function',
       specification: 'LCD, Timer, Weekly Schedule',
-      unit: 'Nos',
-      defaultPrice: 2500
+      unit: 'Nos'
     },
     wirelessRemotes: {
       name: 'Wireless Remote Controller',
       description: 'Infrared Remote with Display',
       specification: 'IR, LCD Display, 8m Range',
-      unit: 'Nos',
-      defaultPrice: 1500
+      unit: 'Nos'
     },
     centralController: {
       name: 'Central Controller',
       description: 'Building Management System Interface',
       specification: 'TCP/IP, BACnet Compatible',
-      unit: 'Nos',
-      defaultPrice: 45000
+      unit: 'Nos'
     }
   },
   
@@ -41,29 +41,25 @@ const INVENTORY_DATABASE = {
       name: 'Copper Refrigerant Piping',
       description: 'Liquid & Gas Line Set',
       specification: 'ACR Grade, Insulated',
-      unit: 'Mtr',
-      defaultPrice: 450
+      unit: 'Mtr'
     },
     refrigerantGas: {
       name: 'Refrigerant Gas R410A',
       description: 'Additional Gas Charging',
       specification: 'R410A, 99.9% Purity',
-      unit: 'Kg',
-      defaultPrice: 800
+      unit: 'Kg'
     },
     drainPiping: {
       name: 'Condensate Drain Piping',
       description: 'PVC Drain Pipe with Fittings',
       specification: '25mm PVC, UV Stabilized',
-      unit: 'Mtr',
-      defaultPrice: 120
+      unit: 'Mtr'
     },
     drainPump: {
       name: 'Condensate Drain Pump',
       description: 'Mini Drain Pump for Lift',
       specification: '12L/hr, 230V',
-      unit: 'Nos',
-      defaultPrice: 3500
+      unit: 'Nos'
     }
   },
   
@@ -72,15 +68,13 @@ const INVENTORY_DATABASE = {
       name: 'Pipe Insulation',
       description: 'Armaflex Insulation for Refrigerant Lines',
       specification: '19mm Thickness, Class O',
-      unit: 'Mtr',
-      defaultPrice: 180
+      unit: 'Mtr'
     },
     acousticInsulation: {
       name: 'Acoustic Insulation',
       description: 'Sound Dampening Material',
       specification: '25mm Rockwool',
-      unit: 'Sqm',
-      defaultPrice: 350
+      unit: 'Sqm'
     }
   },
   
@@ -89,15 +83,13 @@ const INVENTORY_DATABASE = {
       name: 'Power Cable',
       description: 'Electrical Power Supply Cable',
       specification: '4 Core, 2.5mm², Armoured',
-      unit: 'Mtr',
-      defaultPrice: 250
+      unit: 'Mtr'
     },
     controlCable: {
       name: 'Control Cable',
       description: 'Communication Cable for VRF System',
       specification: '2 Core, Shielded',
-      unit: 'Mtr',
-      defaultPrice: 80
+      unit: 'Mtr'
     }
   },
   
@@ -106,22 +98,19 @@ const INVENTORY_DATABASE = {
       name: 'ODU Mounting Pads',
       description: 'Concrete Mounting Base for Outdoor Units',
       specification: '600x600x100mm RCC',
-      unit: 'Nos',
-      defaultPrice: 2500
+      unit: 'Nos'
     },
     iduMounts: {
       name: 'IDU Mounting Brackets',
       description: 'Wall/Ceiling Mounting Hardware',
       specification: 'MS Powder Coated',
-      unit: 'Nos',
-      defaultPrice: 800
+      unit: 'Nos'
     },
     vibrationIsolators: {
       name: 'Vibration Isolators',
       description: 'Anti-Vibration Pads',
       specification: 'Rubber, 10mm Thick',
-      unit: 'Nos',
-      defaultPrice: 450
+      unit: 'Nos'
     }
   },
   
@@ -130,28 +119,26 @@ const INVENTORY_DATABASE = {
       name: 'Isolation Valves',
       description: 'Service Valves for Maintenance',
       specification: 'Ball Valve, Brass',
-      unit: 'Nos',
-      defaultPrice: 1200
+      unit: 'Nos'
     },
     filterDriers: {
       name: 'Filter Driers',
       description: 'Moisture and Contaminant Removal',
       specification: 'Molecular Sieve Core',
-      unit: 'Nos',
-      defaultPrice: 1800
+      unit: 'Nos'
     },
     branchBoxes: {
       name: 'Refrigerant Branch Boxes',
       description: 'VRF System Distribution',
       specification: 'Multi-Port, Insulated',
-      unit: 'Nos',
-      defaultPrice: 8500
+      unit: 'Nos'
     }
   }
 };
 
 const HVACInventorySelection = ({ designData, equipmentData, onSave, onBack, savedData, projectId }) => {
   const { user } = useAuth();
+  const { library: rateLibrary, loading: ratesLoading } = useRateLibrary(user?.uid);
   const [inventory, setInventory] = useState({});
   const [totals, setTotals] = useState({ totalCost: 0, totalItems: 0 });
 
@@ -159,16 +146,18 @@ const HVACInventorySelection = ({ designData, equipmentData, onSave, onBack, sav
   useEffect(() => {
     if (savedData?.inventory) {
       setInventory(savedData.inventory);
-    } else if (equipmentData) {
+    } else if (equipmentData && !ratesLoading) {
       autoCalculateInventory();
     }
-  }, [equipmentData, savedData]);
+  }, [equipmentData, savedData, ratesLoading]);
 
   // Calculate totals whenever inventory changes
   useEffect(() => {
     calculateTotals();
   }, [inventory]);
 
+  const rateFor = (key) => getUnitRate(rateLibrary, [getAccessoryRateCode(key)]);
+
   /**
    * Auto-calculate inventory based on equipment selection
    * Professional estimation based on industry standards
@@ -187,16 +176,16 @@ const HVACInventorySelection = ({ designData, equipmentData, onSave, onBack, sav
     autoInventory.wiredRemotes = {
       ...INVENTORY_DATABASE.controls.wiredRemotes,
       quantity: totalIDUs,
-      unitPrice: INVENTORY_DATABASE.controls.wiredRemotes.defaultPrice,
-      totalPrice: totalIDUs * INVENTORY_DATABASE.controls.wiredRemotes.defaultPrice
+      unitPrice: rateFor('wiredRemotes'),
+      totalPrice: totalIDUs * rateFor('wiredRemotes')
     };
     
     if (totalIDUs > 10) {
       autoInventory.centralController = {
         ...INVENTORY_DATABASE.controls.centralController,
         quantity: 1,
-        unitPrice: INVENTORY_DATABASE.controls.centralController.defaultPrice,
-        totalPrice: INVENTORY_DATABASE.controls.centralController.defaultPrice
+        unitPrice: rateFor('centralController'),
+        totalPrice: rateFor('centralController')
       };
     }
     
@@ -205,8 +194,8 @@ const HVACInventorySelection = ({ designData, equipmentData, onSave, onBack, sav
     autoInventory.copperPiping = {
       ...INVENTORY_DATABASE.piping.copperPiping,
       quantity: totalPipingLength,
-      unitPrice: INVENTORY_DATABASE.piping.copperPiping.defaultPrice,
-      totalPrice: totalPipingLength * INVENTORY_DATABASE.piping.copperPiping.defaultPrice
+      unitPrice: rateFor('copperPiping'),
+      totalPrice: totalPipingLength * rateFor('copperPiping')
     };
     
     // Refrigerant gas - 2kg per TR (industry standard)
@@ -215,8 +204,8 @@ const HVACInventorySelection = ({ designData, equipmentData, onSave, onBack, sav
     autoInventory.refrigerantGas = {
       ...INVENTORY_DATABASE.piping.refrigerantGas,
       quantity: refrigerantQty,
-      unitPrice: INVENTORY_DATABASE.piping.refrigerantGas.defaultPrice,
-      totalPrice: refrigerantQty * INVENTORY_DATABASE.piping.refrigerantGas.defaultPrice
+      unitPrice: rateFor('refrigerantGas'),
+      totalPrice: refrigerantQty * rateFor('refrigerantGas')
     };
     
     // Drain piping
@@ -224,8 +213,8 @@ const HVACInventorySelection = ({ designData, equipmentData, onSave, onBack, sav
     autoInventory.drainPiping = {
       ...INVENTORY_DATABASE.piping.drainPiping,
       quantity: totalDrainLength,
-      unitPrice: INVENTORY_DATABASE.piping.drainPiping.defaultPrice,
-      totalPrice: totalDrainLength * INVENTORY_DATABASE.piping.drainPiping.defaultPrice
+      unitPrice: rateFor('drainPiping'),
+      totalPrice: totalDrainLength * rateFor('drainPiping')
     };
     
     // Drain pumps - 1 per 3 IDUs (for lift requirements)
@@ -233,16 +222,16 @@ const HVACInventorySelection = ({ designData, equipmentData, onSave, onBack, sav
     autoInventory.drainPump = {
       ...INVENTORY_DATABASE.piping.drainPump,
       quantity: drainPumpQty,
-      unitPrice: INVENTORY_DATABASE.piping.drainPump.defaultPrice,
-      totalPrice: drainPumpQty * INVENTORY_DATABASE.piping.drainPump.defaultPrice
+      unitPrice: rateFor('drainPump'),
+      totalPrice: drainPumpQty * rateFor('drainPump')
     };
     
     // Insulation - same length as piping
     autoInventory.pipeInsulation = {
       ...INVENTORY_DATABASE.insulation.pipeInsulation,
       quantity: totalPipingLength,
-      unitPrice: INVENTORY_DATABASE.insulation.pipeInsulation.defaultPrice,
-      totalPrice: totalPipingLength * INVENTORY_DATABASE.insulation.pipeInsulation.defaultPrice
+      unitPrice: rateFor('pipeInsulation'),
+      totalPrice: totalPipingLength * rateFor('pipeInsulation')
     };
     
     // Electrical cables
@@ -251,52 +240,52 @@ const HVACInventorySelection = ({ designData, equipmentData, onSave, onBack, sav
     autoInventory.powerCable = {
       ...INVENTORY_DATABASE.electrical.powerCable,
       quantity: totalCableLength,
-      unitPrice: INVENTORY_DATABASE.electrical.powerCable.defaultPrice,
-      totalPrice: totalCableLength * INVENTORY_DATABASE.electrical.powerCable.defaultPrice
+      unitPrice: rateFor('powerCable'),
+      totalPrice: totalCableLength * rateFor('powerCable')
     };
     
     autoInventory.controlCable = {
       ...INVENTORY_DATABASE.electrical.controlCable,
       quantity: totalCableLength,
-      unitPrice: INVENTORY_DATABASE.electrical.controlCable.defaultPrice,
-      totalPrice: totalCableLength * INVENTORY_DATABASE.electrical.controlCable.defaultPrice
+      unitPrice: rateFor('controlCable'),
+      totalPrice: totalCableLength * rateFor('controlCable')
     };
     
     // Mounting hardware
     autoInventory.oduMountingPads = {
       ...INVENTORY_DATABASE.mounting.oduMountingPads,
       quantity: totalODUs,
-      unitPrice: INVENTORY_DATABASE.mounting.oduMountingPads.defaultPrice,
-      totalPrice: totalODUs * INVENTORY_DATABASE.mounting.oduMountingPads.defaultPrice
+      unitPrice: rateFor('oduMountingPads'),
+      totalPrice: totalODUs * rateFor('oduMountingPads')
     };
     
     autoInventory.iduMounts = {
       ...INVENTORY_DATABASE.mounting.iduMounts,
       quantity: totalIDUs,
-      unitPrice: INVENTORY_DATABASE.mounting.iduMounts.defaultPrice,
-      totalPrice: totalIDUs * INVENTORY_DATABASE.mounting.iduMounts.defaultPrice
+      unitPrice: rateFor('iduMounts'),
+      totalPrice: totalIDUs * rateFor('iduMounts')
     };
     
     autoInventory.vibrationIsolators = {
       ...INVENTORY_DATABASE.mounting.vibrationIsolators,
       quantity: totalODUs * 4, // 4 per ODU
-      unitPrice: INVENTORY_DATABASE.mounting.vibrationIsolators.defaultPrice,
-      totalPrice: totalODUs * 4 * INVENTORY_DATABASE.mounting.vibrationIsolators.defaultPrice
+      unitPrice: rateFor('vibrationIsolators'),
+      totalPrice: totalODUs * 4 * rateFor('vibrationIsolators')
     };
     
     // Accessories
     autoInventory.isolationValves = {
       ...INVENTORY_DATABASE.accessories.isolationValves,
       quantity: totalIDUs * 2, // 2 per IDU
-      unitPrice: INVENTORY_DATABASE.accessories.isolationValves.defaultPrice,
-      totalPrice: totalIDUs * 2 * INVENTORY_DATABASE.accessories.isolationValves.defaultPrice
+      unitPrice: rateFor('isolationValves'),
+      totalPrice: totalIDUs * 2 * rateFor('isolationValves')
     };
     
     autoInventory.filterDriers = {
       ...INVENTORY_DATABASE.accessories.filterDriers,
       quantity: totalODUs,
-      unitPrice: INVENTORY_DATABASE.accessories.filterDriers.defaultPrice,
-      totalPrice: totalODUs * INVENTORY_DATABASE.accessories.filterDriers.defaultPrice
+      unitPrice: rateFor('filterDriers'),
+      totalPrice: totalODUs * rateFor('filterDriers')
     };
     
     // Branch boxes for VRF systems
@@ -305,8 +294,8 @@ const HVACInventorySelection = ({ designData, equipmentData, onSave, onBack, sav
       autoInventory.branchBoxes = {
         ...INVENTORY_DATABASE.accessories.branchBoxes,
         quantity: branchBoxQty,
-        unitPrice: INVENTORY_DATABASE.accessories.branchBoxes.defaultPrice,
-        totalPrice: branchBoxQty * INVENTORY_DATABASE.accessories.branchBoxes.defaultPrice
+        unitPrice: rateFor('branchBoxes'),
+        totalPrice: branchBoxQty * rateFor('branchBoxes')
       };
     }
     
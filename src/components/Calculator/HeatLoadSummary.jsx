@@ -1,6 +1,8 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { ref, get, set } from "firebase/database";
 import { db } from "../../firebase/config";
+import { computeRoomLoad } from "../../utils/roomLoadEngine";
+import { getRoomSolarSite } from "../../utils/hourlyLoadAnalysis";
 import "../common/FormUI.css";
 
 /*
@@ -29,15 +31,16 @@ export default function HeatLoadSummary({ designData, spaceData, onBack, onNext
 
   // Compute sensible and total from spaceData if available, use as defaults
   const computedFromSpace = useMemo(() => {
-    const ESHT = parseFloat(spaceData?.ESHT || spaceData?.esht || 0);
-    const ELHT = parseFloat(spaceData?.ELHT || spaceData?.elht || 0);
-    const outside = parseFloat(spaceData?.outsideAirTotal || 0);
-    const GTH = parseFloat(spaceData?.GTH || 0) || (ESHT + ELHT + outside);
-    const tons = GTH / 12000 || 0;
-    const supplyCFM = parseFloat(spaceData?.dehumidifiedCFM || 0);
-    const freshCFM = parseFloat(spaceData?.ventilationCFM || 0);
-    return { ESHT, ELHT, GTH, tons, supplyCFM, freshCFM };
-  }, [spaceData]);
+    const load = computeRoomLoad(spaceData, getRoomSolarSite(designData?.meta) || {});
+    return {
+      ESHT: load.ESHT,
+      ELHT: load.ELHT,
+      GTH: load.GTH,
+      tons: load.tonsRequired,
+      supplyCFM: load.dehumidifiedCFM,
+      freshCFM: load.ventilationCFM
+    };
+  }, [spaceData, designData?.meta]);
 
   const addRow = () => setRows((r) => [...r, { areaName: "", areaSqFt: "", heatLoadSH: "", heatLoadTR: "", iduType: "", machineTR: "", iduCount: "", totalTR: "", mixCFM: "", totalCFM: "", diversityPct: diversityDefault, oduHP: "", selectedODUHP: "", revisedDiversity: "" }]);
   const removeRow = (i) => setRows((r) => r.filter((_, idx) => idx !== i));
@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import toast from '../../utils/toast';
+import { DEFAULT_TEMPLATES, LETTERHEAD_LAYOUTS, LOGO_MAX_BYTES, isValidGSTIN } from '../../utils/letterhead';
+import './LetterheadPanel.css';
+
+/**
+ * Letterhead Panel
+ * Picks the letterhead template the exports are printed on and edits the
+ * organization profile behind it - logo, address, GSTIN, contact,
+ * signatory, disclaimer and brand colors - and its templates.
+ */
+
+// Text fields of the organization: [field, label]
+const ORGANIZATION_FIELDS = [
+  ['name', 'Name'],
+  ['gstin', 'GSTIN'],
+  ['phone', 'Phone'],
+  ['email', 'Email'],
+  ['website', 'Website']
+];
+
+const LetterheadPanel = ({ organizations, templateId, onTemplateChange }) => {
+  const { organization, saved, loading, saveOrganization } = organizations;
+  const [expanded, setExpanded] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const current = draft || organization;
+  const edit = (changes) => setDraft({ ...current, ...changes });
+  const editTemplate = (id, changes) => edit({ templates: { ...current.templates, [id]: { ...current.templates[id], ...changes } } });
+  const gstinInvalid = current.gstin && !isValidGSTIN(current.gstin);
+
+  const addTemplate = () => {
+    const id = `template${Object.keys(current.templates).length + 1}`;
+    edit({ templates: { ...current.templates, [id]: { ...DEFAULT_TEMPLATES.consultant, name: 'New letterhead' } } });
+  };
+
+  const removeTemplate = (id) => {
+    const { [id]: _removed, ...templates } = current.templates;
+    edit({ templates, defaultTemplate: current.defaultTemplate === id ? 'consultant' : current.defaultTemplate });
+    if (templateId === id) onTemplateChange('');
+  };
+
+  const handleLogo = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    if (!/^image\/(png|jpe?g)$/.test(file.type)) {
+      toast.error('The logo must be a PNG or JPEG image');
+      return;
+    }
+    if (file.size > LOGO_MAX_BYTES) {
+      toast.error(`The logo must be under ${Math.round(LOGO_MAX_BYTES / 1024)} KB`);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => edit({ logo: reader.result });
+    reader.readAsDataURL(file);
+  };
+
+  const handleSave = async () => {
+    if (!String(current.name || '').trim()) {
+      toast.error('The organization needs a name');
+      return;
+    }
+    if (gstinInvalid) {
+      toast.error('The GSTIN is not valid');
+      return;
+    }
+    try {
+      setSaving(true);
+      await saveOrganization(current);
+      setDraft(null);
+      toast.success('Organization profile saved');
+    } catch (error) {
+      console.error('Error saving organization profile:', error);
+      toast.error(error.message || 'Failed to save the organization profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="letterhead-panel">
+      <div className="letterhead-row">
+        <strong>{saved ? organization.name : 'No organization profile - exports use the app header'}</strong>
+        {loading && <span>Loading…</span>}
+        {saved && (
+          <label>
+            Letterhead
+            <select value={templateId || organization.defaultTemplate} onChange={(e) => onTemplateChange(e.target.value)}>
+              {Object.entries(organization.templates).map(([id, template]) => (
+                <option key={id} value={id}>{template.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <button type="button" className="letterhead-toggle" onClick={() => setExpanded(!expanded)}>
+          🏢 {expanded ? 'Hide organization' : saved ? 'Edit organization' : 'Set up organization'}
+        </button>
+      </div>
+
+      {expanded && (
+        <>
+          <div className="letterhead-row">
+            {ORGANIZATION_FIELDS.map(([field, label]) => (
+              <label key={field}>
+                {label}
+                <input
+                  type="text"
+                  value={current[field] || ''}
+                  className={field === 'gstin' && gstinInvalid ? 'invalid' : ''}
+                  onChange={(e) => edit({ [field]: e.target.value })}
+                />
+              </label>
+            ))}
+          </div>
+
+          <div className="letterhead-row">
+            <label>
+              Address
+              <textarea rows={3} value={current.address || ''} onChange={(e) => edit({ address: e.target.value })} />
+            </label>
+            <label>
+              Footer disclaimer
+              <textarea rows={3} value={current.disclaimer || ''} onChange={(e) => edit({ disclaimer: e.target.value })} />
+            </label>
+          </div>
+
+          <div className="letterhead-row">
+            <label>
+              Signatory
+              <input
+                type="text"
+                value={current.signature.name}
+                onChange={(e) => edit({ signature: { ...current.signature, name: e.target.value } })}
+              />
+            </label>
+            <label>
+              Designation
+              <input
+                type="text"
+                value={current.signature.designation}
+                onChange={(e) => edit({ signature: { ...current.signature, designation: e.target.value } })}
+              />
+            </label>
+            <label>
+              Brand
+              <input type="color" value={current.colors.primary} onChange={(e) => edit({ colors: { ...current.colors, primary: e.target.value } })} />
+            </label>
+            <label>
+              Text
+              <input type="color" value={current.colors.accent} onChange={(e) => edit({ colors: { ...current.colors, accent: e.target.value } })} />
+            </label>
+            <label>
+              Logo
+              {current.logo && <img className="letterhead-logo" src={current.logo} alt="Logo" />}
+              <input type="file" accept="image/png,image/jpeg" onChange={handleLogo} />
+            </label>
+            {current.logo && <button type="button" onClick={() => edit({ logo: '' })}>Remove logo</button>}
+          </div>
+
+          <table className="letterhead-templates">
+            <thead>
+              <tr>
+                <th>Template</th>
+                <th>Layout</th>
+                <th>GSTIN</th>
+                <th>Signature line</th>
+                <th>Disclaimer (if not the organization's)</th>
+                <th>Default</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(current.templates).map(([id, template]) => (
+                <tr key={id}>
+                  <td><input type="text" value={template.name} onChange={(e) => editTemplate(id, { name: e.target.value })} /></td>
+                  <td>
+                    <select value={template.layout} onChange={(e) => editTemplate(id, { layout: e.target.value })}>
+                      {Object.entries(LETTERHEAD_LAYOUTS).map(([key, name]) => <option key={key} value={key}>{name}</option>)}
+                    </select>
+                  </td>
+                  <td><input type="checkbox" checked={!!template.showGSTIN} onChange={(e) => editTemplate(id, { showGSTIN: e.target.checked })} /></td>
+                  <td><input type="text" value={template.signatureLabel} onChange={(e) => editTemplate(id, { signatureLabel: e.target.value })} /></td>
+                  <td><input type="text" value={template.disclaimer} onChange={(e) => editTemplate(id, { disclaimer: e.target.value })} /></td>
+                  <td>
+                    <input type="radio" name="letterhead-default" checked={current.defaultTemplate === id} onChange={() => edit({ defaultTemplate: id })} />
+                  </td>
+                  <td>
+                    {!DEFAULT_TEMPLATES[id] && <button type="button" onClick={() => removeTemplate(id)}>✕</button>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="letterhead-row">
+            <button type="button" onClick={addTemplate}>+ Add template</button>
+            <button type="button" className="primary" disabled={!draft || saving} onClick={handleSave}>
+              {saving ? 'Saving…' : 'Save organization'}
+            </button>
+            {draft && <button type="button" onClick={() => setDraft(null)}>Discard changes</button>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LetterheadPanel;
@@ -1,11 +1,16 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import toast from '../../utils/toast';
 import RoomForm from './RoomForm';
 import HVACDataService from '../../services/hvacDataService';
+import hvacDatabaseService from '../../services/hvacDatabaseService';
+import { analyzeBuildingHourly, findWorstMonth, formatSunTime } from '../../utils/hourlyLoadAnalysis';
+import { MONTH_NAMES } from '../../utils/solarGains';
+import { mergeBuildingData, isSameBuildingData, getRoomEditors } from '../../utils/projectCollaboration';
+import { isProjectConflict } from '../../utils/projectConcurrency';
 import './MultiFloorHeatLoadCalculator.css';
 
-const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSelect, onDataLoaded }) => {
+const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSelect, onDataLoaded, onConflict, onWorstMonthChange, presence = {}, readOnly = false }) => {
   const { user } = useAuth();
   const [buildingData, setBuildingData] = useState({
     name: '',
@@ -21,23 +26,123 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
   const [showRoomForm, setShowRoomForm] = useState(false);
   const [calculations, setCalculations] = useState({});
   const [expandedFloors, setExpandedFloors] = useState(new Set());
+  const [designMeta, setDesignMeta] = useState(null);
+  const [roomConflicts, setRoomConflicts] = useState([]);
+
+  // Live collaboration: last building state agreed with the database, and the
+  // latest local state for merging updates made by other users
+  const syncedBuildingRef = useRef(null);
+  const latestBuildingRef = useRef(buildingData);
+  latestBuildingRef.current = buildingData;
+  const latestCalculationsRef = useRef(calculations);
+  latestCalculationsRef.current = calculations;
+
+  // Merge a building received from the database into the one edited here
+  const mergeRemoteBuilding = useCallback((remoteBuilding) => {
+    let merged = remoteBuilding;
+    if (syncedBuildingRef.current && !isSameBuildingData(latestBuildingRef.current, remoteBuilding)) {
+      const result = mergeBuildingData(syncedBuildingRef.current, latestBuildingRef.current, remoteBuilding);
+      merged = result.buildingData;
+      if (result.conflicts.length > 0) {
+        setRoomConflicts(prev => [
+          ...prev.filter(existing => !result.conflicts.some(conflict =>
+            conflict.floorId === existing.floorId && conflict.roomId === existing.roomId)),
+          ...result.conflicts
+        ]);
+        toast.warning(`${result.conflicts.length} room(s) were also changed by another user - your version is kept, please review.`);
+      }
+    }
+    if (merged !== latestBuildingRef.current) {
+      setBuildingData(merged);
+      latestBuildingRef.current = merged;
+    }
+    syncedBuildingRef.current = remoteBuilding;
+    return merged;
+  }, []);
+  
+  // Save rejected as stale: merge the latest building from the database into
+  // ours, then save the result on top of it
+  const mergeAndSave = async () => {
+    const { data } = await HVACDataService.loadProjectData(projectId, user.uid, ['spaceData']);
+    const remoteSpace = data?.spaceData || {};
+    const merged = mergeRemoteBuilding(remoteSpace.buildingData || { floors: [] });
+
+    // Calculations of rooms that no longer exist are dropped
+    const roomKeys = new Set((merged.floors || []).flatMap(floor =>
+      (floor.rooms || []).map(room => `${floor.id}_${room.id}`)));
+    const mergedCalculations = Object.fromEntries(
+      Object.entries({ ...(remoteSpace.roomCalculations || {}), ...latestCalculationsRef.current })
+        .filter(([key]) => roomKeys.has(key))
+    );
+    setCalculations(mergedCalculations);
+
+    await HVACDataService.saveProjectData(projectId, {
+      spaceData: {
+        ...remoteSpace,
+        buildingData: merged,
+        roomCalculations: mergedCalculations,
+        lastUpdated: new Date().toISOString()
+      }
+    }, user.uid);
+    syncedBuildingRef.current = merged;
+    toast.success('Merged with the latest version and saved.');
+  };
+  const mergeAndSaveRef = useRef(mergeAndSave);
+  mergeAndSaveRef.current = mergeAndSave;
+
+  // A stale save goes to the project-changed prompt, anything else is reported here
+  const handleSaveError = useCallback((error, message) => {
+    if (isProjectConflict(error) && onConflict) {
+      onConflict(error, () => mergeAndSaveRef.current(), { merges: true });
+    } else if (message) {
+      toast.error(message);
+    }
+  }, [onConflict]);
   
   // Auto-save when building data changes
   useEffect(() => {
-    if ((buildingData?.floors || []).length > 0 && user && projectId) {
+    if ((buildingData?.floors || []).length > 0 && user && projectId && !readOnly &&
+        !isSameBuildingData(buildingData, syncedBuildingRef.current)) {
       const timeoutId = setTimeout(async () => {
         try {
           console.log('🔄 Auto-saving building structure...');
           await HVACDataService.saveBuildingStructure(projectId, buildingData, user?.uid);
+          syncedBuildingRef.current = buildingData;
           console.log('✅ Building structure auto-saved');
         } catch (error) {
           console.error('❌ Building data auto-save failed:', error);
+          handleSaveError(error);
         }
       }, 2000); // Debounce by 2 seconds
       
       return () => clearTimeout(timeoutId);
     }
-  }, [buildingData, calculations, user, projectId]);
+  }, [buildingData, calculations, user, projectId, readOnly, handleSaveError]);
+
+  // Live updates from other users of a shared project
+  useEffect(() => {
+    if (!projectId || !user) return undefined;
+
+    const unsubscribe = hvacDatabaseService.subscribeToProject(projectId, user.uid, (project) => {
+      const remoteBuilding = project.spaceData?.buildingData;
+      if (remoteBuilding) {
+        mergeRemoteBuilding(remoteBuilding);
+        // The building here now includes the database copy, so later saves build on it
+        HVACDataService.trackVersions(projectId, project.versions, ['spaceData']);
+      }
+
+      // Room calculations are saved as soon as they are made, so the database copy wins
+      const remoteCalculations = project.spaceData?.roomCalculations || {};
+      setCalculations(prev => (isSameBuildingData(prev, remoteCalculations) ? prev : remoteCalculations));
+      if (project.designData?.meta) {
+        setDesignMeta(project.designData.meta);
+      }
+    });
+
+    return () => unsubscribe();
+  }, [projectId, user, mergeRemoteBuilding]);
+
+  const roomEditors = useMemo(() => getRoomEditors(presence, user?.uid), [presence, user]);
 
   // Auto-generate floors from designData
   const generateFloorsFromDesignData = (designData) => {
@@ -95,11 +200,12 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
         try {
           console.log('📥 Loading project data from Firebase...');
           
-          const result = await HVACDataService.loadProjectData(projectId, user?.uid);
+          const result = await HVACDataService.loadProjectData(projectId, user?.uid, ['spaceData']);
           
           if (result.success && result.data) {
             const projectData = result.data;
             console.log('📊 Project data loaded:', projectData);
+            setDesignMeta(projectData.designData?.meta || null);
             
             // Load space data if available
             if (projectData.spaceData && projectData.spaceData.buildingData) {
@@ -107,6 +213,7 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
               console.log('🏢 Loading existing space data:', spaceData);
               
               setBuildingData(spaceData.buildingData);
+              syncedBuildingRef.current = spaceData.buildingData;
               console.log('🏗️ Building data loaded with', spaceData.buildingData.floors?.length || 0, 'floors');
               
               if (spaceData.roomCalculations) {
@@ -152,6 +259,7 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
                 console.log('💾 Auto-generated floors saved to Firebase');
               } catch (error) {
                 console.error('❌ Failed to save auto-generated floors:', error);
+                handleSaveError(error);
               }
             }
           }
@@ -177,7 +285,7 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
       console.log('MultiFloorHeatLoadCalculator - Loading saved data:', savedData);
       console.log('MultiFloorHeatLoadCalculator - Room calculations:', savedData.roomCalculations);
     }
-  }, [savedData, projectId, user]);
+  }, [savedData, projectId, user, handleSaveError]);
 
 
   // Toggle floor expansion
@@ -282,7 +390,7 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
         toast.success(`Room "${roomName}" deleted successfully!`);
       } catch (error) {
         console.error('❌ Failed to save room deletion:', error);
-        toast.error('Room deleted but failed to save. Please refresh.');
+        handleSaveError(error, 'Room deleted but failed to save. Please refresh.');
       }
     } else {
       toast.success(`Room "${roomName}" deleted successfully!`);
@@ -348,7 +456,7 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
         toast.success(`Room "${roomName}" reset successfully!`);
       } catch (error) {
         console.error('❌ Failed to save room reset:', error);
-        toast.error('Room reset but failed to save. Please refresh.');
+        handleSaveError(error, 'Room reset but failed to save. Please refresh.');
       }
     } else {
       toast.success(`Room "${roomName}" reset successfully!`);
@@ -391,7 +499,7 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
         toast.success(`${newFloor.name} added and saved!`);
       } catch (error) {
         console.error('❌ Failed to save new floor:', error);
-        toast.error('Floor added but failed to save. Please try again.');
+        handleSaveError(error, 'Floor added but failed to save. Please try again.');
       }
     } else {
       toast.success(`${newFloor.name} added successfully!`);
@@ -438,7 +546,7 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
         toast.success(`Room "${roomData.name}" added and saved!`);
       } catch (error) {
         console.error('❌ Failed to save pending room:', error);
-        toast.error('Room added but failed to save. Please try again.');
+        handleSaveError(error, 'Room added but failed to save. Please try again.');
       }
     } else {
       toast.success(`Room "${roomData.name}" added successfully!`);
@@ -475,7 +583,7 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
         toast.success(`Room "${updates.name}" updated and saved!`);
       } catch (error) {
         console.error('❌ Failed to save room update:', error);
-        toast.error('Room updated but failed to save. Please try again.');
+        handleSaveError(error, 'Room updated but failed to save. Please try again.');
       }
     } else {
       toast.success(`Room "${updates.name}" updated successfully!`);
@@ -579,6 +687,7 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
         toast.success(`Room "${calculationData.roomName || 'Room'}" calculation saved! Load: ${heatLoadData.tonnage.toFixed(2)} TR`);
       }).catch(error => {
         console.error('❌ Auto-save failed:', error);
+        handleSaveError(error);
       });
     }
   };
@@ -865,7 +974,7 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
       return true;
     } catch (error) {
       console.error('❌ Error saving data:', error);
-      toast.error(`Error saving data: ${error.message}. Please try again.`);
+      handleSaveError(error, `Error saving data: ${error.message}. Please try again.`);
       return false;
     }
   };
@@ -873,6 +982,46 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
 
   const buildingSummary = getBuildingSummary();
 
+  // Hour-by-hour peaks from each calculated room's Space Considered data, for the
+  // design month of the project or, on "auto", the month with the highest block load.
+  // Months are ranked as the sheets are designed: only the sun moves, each room keeps
+  // its own outdoor design state. Projects without site data keep the sheet's 20°N / May sun gains.
+  const siteLatitude = parseFloat(designMeta?.latitude);
+  const designMonth = designMeta?.designMonth;
+  const monthlyAnalysis = useMemo(() => {
+    const floors = (buildingData?.floors || []).map(floor => ({
+      id: floor.id,
+      name: floor.name,
+      rooms: (floor.rooms || []).map(room => ({
+        id: room.id,
+        name: room.name,
+        formData: calculations[`${floor.id}_${room.id}`]?.formData?.formData || null
+      }))
+    }));
+    const latitude = Number.isFinite(siteLatitude) ? siteLatitude : undefined;
+
+    if (designMonth && designMonth !== 'auto') {
+      const month = Number(designMonth);
+      return { month, months: null, analysis: analyzeBuildingHourly(floors, { latitude, month }) };
+    }
+    if (latitude !== undefined) {
+      const { worstMonth, months, analysis } = findWorstMonth(floors, { latitude });
+      return { month: worstMonth, months, analysis };
+    }
+    return { month: null, months: null, analysis: analyzeBuildingHourly(floors) };
+  }, [buildingData, calculations, siteLatitude, designMonth]);
+  const hourlyAnalysis = monthlyAnalysis.analysis;
+
+  // Every room is designed for the building's worst month, so keep it in the design meta
+  const worstMonth = monthlyAnalysis.months && Object.keys(calculations).length > 0 ? monthlyAnalysis.month : null;
+  useEffect(() => {
+    if (!worstMonth || worstMonth === designMeta?.worstMonth || !user || !projectId || readOnly) return;
+    setDesignMeta(prev => ({ ...prev, worstMonth }));
+    if (onWorstMonthChange) onWorstMonthChange(worstMonth);
+    HVACDataService.saveWorstMonth(projectId, worstMonth, user.uid)
+      .catch(error => console.error('❌ Error saving worst month:', error));
+  }, [worstMonth, designMeta?.worstMonth, user, projectId, readOnly, onWorstMonthChange]);
+
   // Error boundary protection
   if (!buildingData) {
     return (
@@ -928,6 +1077,24 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
         </div>
       </div>
 
+      {readOnly && (
+        <div className="collaboration-banner">
+          <i className="bi bi-eye"></i>
+          View-only access: changes you make here are not saved.
+        </div>
+      )}
+
+      {roomConflicts.length > 0 && (
+        <div className="collaboration-banner conflict">
+          <i className="bi bi-exclamation-triangle"></i>
+          <span>
+            Changed here and by another user at the same time (your version kept):{' '}
+            {roomConflicts.map(conflict => `${conflict.floorName} / ${conflict.roomName}`).join(', ')}
+          </span>
+          <button type="button" onClick={() => setRoomConflicts([])}>Dismiss</button>
+        </div>
+      )}
+
       {/* Building Summary */}
       <div className="building-summary">
         <div className="summary-header">
@@ -1033,6 +1200,85 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
         </div>
       </div>
 
+      {/* Hourly Peak Analysis */}
+      {hourlyAnalysis.roomCount > 0 && (
+        <div className="building-summary hourly-analysis">
+          <div className="summary-header">
+            <h3>
+              Hourly Peak Analysis (6:00 - 20:00)
+              {monthlyAnalysis.month && ` - ${MONTH_NAMES[monthlyAnalysis.month - 1]}${monthlyAnalysis.months ? ' (worst month)' : ''}`}
+            </h3>
+            <span className="completion-text">
+              Building block load {hourlyAnalysis.building.blockTons.toFixed(2)} TR at {formatSunTime(hourlyAnalysis.building.peakHour)}
+              {' '}vs {hourlyAnalysis.building.sumOfPeaksTons.toFixed(2)} TR sum of room peaks
+            </span>
+          </div>
+          {monthlyAnalysis.months && (
+            <table className="hourly-analysis-table hourly-month-table">
+              <thead>
+                <tr>
+                  <th>Month</th>
+                  <th>Peak Hour</th>
+                  <th>Block Load (TR)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {monthlyAnalysis.months.map(entry => (
+                  <tr
+                    key={entry.month}
+                    className={entry.month === monthlyAnalysis.month ? 'hourly-worst-month-row' : 'hourly-room-row'}
+                  >
+                    <td>{MONTH_NAMES[entry.month - 1]}</td>
+                    <td>{formatSunTime(entry.peakHour)}</td>
+                    <td>{entry.blockTons.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <table className="hourly-analysis-table">
+            <thead>
+              <tr>
+                <th>Floor / Room</th>
+                <th>Peak Hour</th>
+                <th>Block Load (TR)</th>
+                <th>Sum of Peaks (TR)</th>
+                <th>Block / Sum</th>
+              </tr>
+            </thead>
+            <tbody>
+              {hourlyAnalysis.floors.map(floor => (
+                <React.Fragment key={floor.id}>
+                  <tr className="hourly-floor-row">
+                    <td>{floor.name}</td>
+                    <td>{formatSunTime(floor.peakHour)}</td>
+                    <td>{floor.blockTons.toFixed(2)}</td>
+                    <td>{floor.sumOfPeaksTons.toFixed(2)}</td>
+                    <td>{(floor.diversityRatio * 100).toFixed(1)}%</td>
+                  </tr>
+                  {floor.rooms.map(room => (
+                    <tr key={room.id} className="hourly-room-row">
+                      <td>{room.name}</td>
+                      <td>{formatSunTime(room.peakHour)}</td>
+                      <td>{room.peakTons.toFixed(2)}</td>
+                      <td>-</td>
+                      <td>-</td>
+                    </tr>
+                  ))}
+                </React.Fragment>
+              ))}
+              <tr className="hourly-building-row">
+                <td>Building</td>
+                <td>{formatSunTime(hourlyAnalysis.building.peakHour)}</td>
+                <td>{hourlyAnalysis.building.blockTons.toFixed(2)}</td>
+                <td>{hourlyAnalysis.building.sumOfPeaksTons.toFixed(2)}</td>
+                <td>{(hourlyAnalysis.building.diversityRatio * 100).toFixed(1)}%</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {/* Floors Section */}
       <div className="floors-section">
         <div className="section-header">
@@ -1106,9 +1352,11 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
                       const calculation = calculations[`${floor.id}_${room.id}`];
                       const heatLoadData = calculation?.heatLoadData || room.heatLoadData;
                       const isCalculated = !!(calculation?.calculated || heatLoadData);
+                      const editors = roomEditors[`${floor.id}_${room.id}`] || [];
+                      const hasConflict = roomConflicts.some(conflict => conflict.floorId === floor.id && conflict.roomId === room.id);
                       
                       return (
-                        <div key={room.id} className={`room-card ${isCalculated ? 'calculated' : 'pending'}`}>
+                        <div key={room.id} className={`room-card ${isCalculated ? 'calculated' : 'pending'} ${hasConflict ? 'conflict' : ''}`}>
                           <div className="room-header">
                             <div className="room-title">
                               <h5>{room.name || 'Unnamed Room'}</h5>
@@ -1124,6 +1372,18 @@ const MultiFloorHeatLoadCalculator = ({ projectId, onSave, savedData, onRoomSele
                                     Pending
                                   </span>
                                 )}
+                                {editors.length > 0 && (
+                                  <span className="status-badge editing" title="Someone else has this room open">
+                                    <i className="bi bi-pencil-square"></i>
+                                    {editors.map(editor => editor.name).join(', ')} editing
+                                  </span>
+                                )}
+                                {hasConflict && (
+                                  <span className="status-badge conflict">
+                                    <i className="bi bi-exclamation-triangle"></i>
+                                    Conflict
+                                  </span>
+                                )}
                               </div>
                             </div>
                             <div className="room-header-actions">
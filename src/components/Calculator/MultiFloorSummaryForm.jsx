@@ -3,6 +3,8 @@ import { ref, set, get, update } from 'firebase/database';
 import { db } from '../../firebase/config';
 import { useAuth } from '../../hooks/useAuth';
 import { calculateBuildingTotals } from '../../utils/multiFloorCalculations';
+import { computeRoomLoad } from '../../utils/roomLoadEngine';
+import { getRoomSolarSite } from '../../utils/hourlyLoadAnalysis';
 import './MultiFloorSummaryForm.css';
 
 const MultiFloorSummaryForm = ({ 
@@ -91,14 +93,25 @@ const MultiFloorSummaryForm = ({
         calculatedAt: new Date().toISOString()
       });
     } else if (spaceData) {
-      // Single-room project summary
+      // Single-room project summary - recomputed so it matches the Space Considered sheet
+      const load = computeRoomLoad(spaceData, getRoomSolarSite(designData?.meta) || {});
+      const roomArea = load.area || spaceData.roomArea || 0;
+      const tonnage = Math.round(load.tonsRequired * 100) / 100;
+      const totals = {
+        sensibleHeat: load.ESHT,
+        latentHeat: load.ELHT,
+        totalHeat: load.GTH,
+        totalCFM: load.dehumidifiedCFM,
+        tonnage
+      };
+
       setSummaryData({
         projectSummary: {
           projectName: designData.meta.projectName,
           buildingType: designData.meta.buildingType || 'Single Room',
           totalFloors: 1,
           totalRooms: 1,
-          totalArea: spaceData.roomArea || 0,
+          totalArea: roomArea,
           projectScale: 'single',
           buildingComplexity: 'simple'
         },
@@ -109,39 +122,30 @@ const MultiFloorSummaryForm = ({
             totalRooms: 1,
             calculatedRooms: 1,
             completionPercentage: 100,
-            totals: {
-              sensibleHeat: spaceData.sensibleHeatTotal || 0,
-              latentHeat: spaceData.latentHeatTotal || 0,
-              totalHeat: spaceData.totalHeatLoad || 0,
-              totalCFM: spaceData.totalCFM || 0,
-              tonnage: Math.round(((spaceData.totalHeatLoad || 0) / 12000) * 100) / 100
-            },
+            totals,
             roomBreakdown: [{
               name: designData.meta.spaceConsidered || 'Main Room',
               type: 'single_room',
-              area: spaceData.roomArea || 0,
-              occupancy: spaceData.occupancy || 0,
+              area: roomArea,
+              occupancy: spaceData.occupancy || spaceData.numPeople || 0,
               quantity: 1,
               calculated: true,
               heatLoad: {
-                sensible: spaceData.sensibleHeatTotal || 0,
-                latent: spaceData.latentHeatTotal || 0,
-                total: spaceData.totalHeatLoad || 0,
-                cfm: spaceData.totalCFM || 0,
-                tonnage: Math.round(((spaceData.totalHeatLoad || 0) / 12000) * 100) / 100
+                sensible: load.ESHT,
+                latent: load.ELHT,
+                total: load.GTH,
+                cfm: load.dehumidifiedCFM,
+                tonnage,
+                warnings: load.warnings
               }
             }]
           }
         },
         buildingTotals: {
-          sensibleHeat: spaceData.sensibleHeatTotal || 0,
-          latentHeat: spaceData.latentHeatTotal || 0,
-          totalHeat: spaceData.totalHeatLoad || 0,
-          totalCFM: spaceData.totalCFM || 0,
-          totalArea: spaceData.roomArea || 0,
-          tonnage: Math.round(((spaceData.totalHeatLoad || 0) / 12000) * 100) / 100,
+          ...totals,
+          totalArea: roomArea,
           diversityFactor: 1.0,
-          adjustedLoad: spaceData.totalHeatLoad || 0
+          adjustedLoad: load.GTH
         },
         diversityFactors: {
           floorLevel: 1.0,
@@ -149,8 +153,8 @@ const MultiFloorSummaryForm = ({
           overall: 1.0
         },
         recommendations: generateRecommendations({
-          tonnage: Math.round(((spaceData.totalHeatLoad || 0) / 12000) * 100) / 100,
-          totalCFM: spaceData.totalCFM || 0
+          tonnage,
+          totalCFM: load.dehumidifiedCFM
         }, 'Single Room'),
         calculatedAt: new Date().toISOString()
       });
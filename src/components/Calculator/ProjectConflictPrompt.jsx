@@ -0,0 +1,51 @@
+import { useState } from 'react';
+import { SECTION_LABELS } from '../../utils/projectConcurrency';
+
+/**
+ * Project Conflict Prompt
+ * Shown when a save was rejected because the project changed in another tab
+ * or by another user since it was loaded here. Saving again merges when the
+ * conflict says so (conflict.merges), otherwise it overwrites their version.
+ */
+const ProjectConflictPrompt = ({ conflict, onReload, onSave, onDismiss }) => {
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const sections = (conflict.sections || []).map(section => SECTION_LABELS[section] || section);
+
+  return (
+    <div className="project-conflict-prompt" role="alertdialog">
+      <div className="project-conflict-text">
+        <strong>⚠️ This project changed elsewhere</strong>
+        <span>
+          {sections.length > 0 ? `${sections.join(', ')} ` : 'It '}
+          was saved in another tab or by another user after you opened it, so your save was not applied.
+          {conflict.merges
+            ? ' Reload to continue from their version, or merge to keep their changes and save yours on top.'
+            : ' Reload to continue from their version, or overwrite theirs with yours - their changes to these sections will be lost.'}
+        </span>
+      </div>
+      <div className="project-conflict-actions">
+        <button type="button" disabled={busy} onClick={() => run(onReload)}>
+          Reload
+        </button>
+        <button type="button" className="primary" disabled={busy} onClick={() => run(onSave)}>
+          {conflict.merges ? 'Merge' : 'Overwrite theirs'}
+        </button>
+        <button type="button" className="link" disabled={busy} onClick={onDismiss}>
+          Not now
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectConflictPrompt;
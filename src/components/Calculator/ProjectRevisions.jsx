@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import HVACDataService from '../../services/hvacDataService';
+import toast from '../../utils/toast';
+import { createRevisionSnapshot, diffRevisions, getNextRevisionLabel } from '../../utils/projectRevisions';
+import './ProjectRevisions.css';
+
+/**
+ * Project Revisions Panel
+ * Saves named revisions of the project, compares any two of them (or a
+ * revision against the current state) and restores a revision in one click.
+ */
+
+const CURRENT = 'current';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  const number = typeof value === 'number' ? value : Number(value);
+  if (typeof value !== 'boolean' && Number.isFinite(number) && String(value).trim() !== '') {
+    return Number.isInteger(number) ? number.toLocaleString('en-IN') : number.toLocaleString('en-IN', { maximumFractionDigits: 2 });
+  }
+  return String(value);
+};
+
+const DiffRows = ({ entries }) => entries.map(entry => (
+  <tr key={entry.key} className={`revision-diff-${entry.status}`}>
+    <td>{entry.floorName ? `${entry.floorName} / ${entry.name}` : entry.name}</td>
+    <td className="revision-status">{entry.status}</td>
+    <td>
+      {entry.changes.length === 0
+        ? '—'
+        : entry.changes.map(change => (
+            <div key={change.field}>
+              {change.label}: {formatValue(change.from)} → {formatValue(change.to)}
+            </div>
+          ))}
+    </td>
+  </tr>
+));
+
+const DiffSection = ({ title, entries }) => (
+  <div className="revision-diff-section">
+    <h4>{title} ({entries.length})</h4>
+    {entries.length === 0 ? (
+      <p className="revision-empty">No changes</p>
+    ) : (
+      <table className="revision-diff-table">
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>Status</th>
+            <th>Changes</th>
+          </tr>
+        </thead>
+        <tbody>
+          <DiffRows entries={entries} />
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+const ProjectRevisions = ({ projectId, user, currentData, onRestored, onClose }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [revisionName, setRevisionName] = useState('');
+  const [revisionNotes, setRevisionNotes] = useState('');
+  const [compareFrom, setCompareFrom] = useState('');
+  const [compareTo, setCompareTo] = useState(CURRENT);
+
+  const loadRevisions = useCallback(async () => {
+    if (!projectId || !user) return;
+    try {
+      setLoading(true);
+      const list = await HVACDataService.loadRevisions(projectId, user.uid);
+      setRevisions(list);
+      setCompareFrom(prev => prev || list[list.length - 1]?.id || '');
+    } catch (error) {
+      console.error('Error loading revisions:', error);
+      toast.error('Failed to load revisions.');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, user]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  const snapshotFor = useCallback((id) => {
+    if (id === CURRENT) return createRevisionSnapshot(currentData);
+    return revisions.find(revision => revision.id === id)?.snapshot || null;
+  }, [revisions, currentData]);
+
+  const diff = useMemo(() => {
+    const from = snapshotFor(compareFrom);
+    const to = snapshotFor(compareTo);
+    return from && to && compareFrom !== compareTo ? diffRevisions(from, to) : null;
+  }, [snapshotFor, compareFrom, compareTo]);
+
+  const handleSaveRevision = async () => {
+    try {
+      setSaving(true);
+      const { revision } = await HVACDataService.saveRevision(projectId, {
+        name: revisionName.trim(),
+        notes: revisionNotes.trim()
+      }, user.uid);
+      toast.success(`Revision ${revision.label} saved`);
+      setRevisionName('');
+      setRevisionNotes('');
+      await loadRevisions();
+    } catch (error) {
+      console.error('Error saving revision:', error);
+      toast.error('Failed to save revision. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRestore = async (revision) => {
+    const confirmed = window.confirm(
+      `Restore ${revision.label}${revision.name ? ` "${revision.name}"` : ''}?\n\n` +
+      'The current state is saved as a new revision first, so this can be undone.'
+    );
+    if (!confirmed) return;
+
+    try {
+      setSaving(true);
+      const { backupRevision } = await HVACDataService.restoreRevision(projectId, revision.id, user.uid);
+      toast.success(`Restored ${revision.label} (previous state kept as ${backupRevision.label})`);
+      await loadRevisions();
+      onRestored?.();
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      toast.error('Failed to restore revision.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const revisionOption = (revision) => (
+    <option key={revision.id} value={revision.id}>
+      {revision.label}{revision.name ? ` ${revision.name}` : ''}
+    </option>
+  );
+
+  return (
+    <div className="project-revisions">
+      <div className="project-revisions-header">
+        <h3>🕘 Revisions</h3>
+        {onClose && (
+          <button type="button" className="revision-close" onClick={onClose}>×</button>
+        )}
+      </div>
+
+      <div className="revision-create">
+        <span className="revision-next-label">{getNextRevisionLabel(revisions)}</span>
+        <input
+          type="text"
+          value={revisionName}
+          onChange={(e) => setRevisionName(e.target.value)}
+          placeholder="Revision name (e.g. Tender, After client comments)"
+        />
+        <input
+          type="text"
+          value={revisionNotes}
+          onChange={(e) => setRevisionNotes(e.target.value)}
+          placeholder="Notes (optional)"
+        />
+        <button type="button" onClick={handleSaveRevision} disabled={saving || !projectId}>
+          Save Revision
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="revision-empty">Loading revisions...</p>
+      ) : revisions.length === 0 ? (
+        <p className="revision-empty">No revisions saved yet.</p>
+      ) : (
+        <table className="revision-list">
+          <thead>
+            <tr>
+              <th>Rev</th>
+              <th>Name</th>
+              <th>Saved</th>
+              <th>Rooms</th>
+              <th>Load (TR)</th>
+              <th>BOQ Total</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...revisions].reverse().map(revision => (
+              <tr key={revision.id}>
+                <td><strong>{revision.label}</strong></td>
+                <td>
+                  {revision.name || '—'}
+                  {revision.notes && <div className="revision-notes">{revision.notes}</div>}
+                </td>
+                <td>{new Date(revision.createdAt).toLocaleString('en-IN')}</td>
+                <td>{revision.summary?.rooms ?? 0}</td>
+                <td>{(revision.summary?.totalTR || 0).toFixed(2)}</td>
+                <td>Rs {(revision.summary?.boqTotal || 0).toLocaleString('en-IN')}</td>
+                <td>
+                  <button type="button" onClick={() => handleRestore(revision)} disabled={saving}>
+                    Restore
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {revisions.length > 0 && (
+        <div className="revision-compare">
+          <div className="revision-compare-controls">
+            <label>Compare</label>
+            <select value={compareFrom} onChange={(e) => setCompareFrom(e.target.value)}>
+              {revisions.map(revisionOption)}
+            </select>
+            <label>with</label>
+            <select value={compareTo} onChange={(e) => setCompareTo(e.target.value)}>
+              <option value={CURRENT}>Current project</option>
+              {revisions.map(revisionOption)}
+            </select>
+          </div>
+
+          {diff && !diff.hasChanges && <p className="revision-empty">No differences.</p>}
+          {diff?.hasChanges && (
+            <>
+              <DiffSection
+                title="Design Conditions"
+                entries={diff.design.map(change => ({
+                  key: change.field,
+                  status: 'changed',
+                  name: change.label,
+                  changes: [{ ...change, label: 'Value' }]
+                }))}
+              />
+              <DiffSection title="Rooms" entries={diff.rooms} />
+              <DiffSection
+                title="Load Totals"
+                entries={diff.loads.changes.map(change => ({
+                  key: change.field,
+                  status: 'changed',
+                  name: change.label,
+                  changes: [{ ...change, label: 'Value' }]
+                }))}
+              />
+              <DiffSection title="Equipment" entries={diff.equipment} />
+              <DiffSection title="BOQ Lines" entries={diff.boq} />
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectRevisions;
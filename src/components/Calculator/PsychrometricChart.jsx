@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { buildPsychrometricChart, getChartState, exportSvgToPNG } from '../../utils/psychrometricChart';
+import toast from '../../utils/toast';
+import './PsychrometricChart.css';
+
+/**
+ * Psychrometric Chart
+ * SVG chart of the design and coil process points (see getProcessChartData)
+ * with a readout of the air state under the pointer and a PNG download.
+ * Styling stays on the SVG elements so the PNG matches the screen.
+ */
+
+const LINE_STYLES = {
+  mixing: { stroke: '#7c3aed', dash: '6 4' },
+  coil: { stroke: '#0891b2', dash: '' },
+  shr: { stroke: '#2563eb', dash: '2 3' },
+  reheat: { stroke: '#ea580c', dash: '' }
+};
+
+// Pointer distance (chart units) that snaps the readout to a point
+const SNAP_DISTANCE = 10;
+
+const PsychrometricChart = ({ data, pressure, title = 'Psychrometric Chart', fileName = 'psychrometric-chart', svgRef }) => {
+  const [hover, setHover] = useState(null);
+  const chart = buildPsychrometricChart(data, { pressure });
+  const { plot } = chart;
+
+  const handleMouseMove = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    const px = ((e.clientX - box.left) / box.width) * chart.width;
+    const py = ((e.clientY - box.top) / box.height) * chart.height;
+    const point = chart.points.find(entry => Math.hypot(entry.x - px, entry.y - py) <= SNAP_DISTANCE);
+    const position = point ? { dbF: point.dbF, grains: point.grains } : chart.fromChart(px, py);
+    const state = getChartState(position.dbF, position.grains, pressure);
+    setHover(state ? { label: point?.label, state } : null);
+  };
+
+  const handleExport = async (e) => {
+    try {
+      const svg = e.currentTarget.closest('.psychro-chart').querySelector('svg');
+      const link = document.createElement('a');
+      link.href = await exportSvgToPNG(svg);
+      link.download = `${fileName}.png`;
+      link.click();
+    } catch (error) {
+      console.error('Chart export failed:', error);
+      toast.error('Could not export the chart');
+    }
+  };
+
+  return (
+    <div className="psychro-chart">
+      <div className="psychro-chart-header">
+        <h4>{title}</h4>
+        <button type="button" className="psychro-chart-export" onClick={handleExport}>Export PNG</button>
+      </div>
+      <svg
+        ref={svgRef}
+        xmlns="http://www.w3.org/2000/svg"
+        viewBox={`0 0 ${chart.width} ${chart.height}`}
+        width="100%"
+        fontFamily="Arial, sans-serif"
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHover(null)}
+      >
+        <rect x="0" y="0" width={chart.width} height={chart.height} fill="#ffffff" />
+
+        {chart.xTicks.map(tick => (
+          <g key={`x-${tick.value}`}>
+            <line x1={tick.x} y1={plot.top} x2={tick.x} y2={plot.bottom} stroke="#e2e8f0" strokeWidth="1" />
+            <text x={tick.x} y={plot.bottom + 14} fontSize="10" fill="#475569" textAnchor="middle">{tick.value}</text>
+          </g>
+        ))}
+        {chart.yTicks.map(tick => (
+          <g key={`y-${tick.value}`}>
+            <line x1={plot.left} y1={tick.y} x2={plot.right} y2={tick.y} stroke="#e2e8f0" strokeWidth="1" />
+            <text x={plot.right + 4} y={tick.y + 3} fontSize="10" fill="#475569">{tick.value}</text>
+          </g>
+        ))}
+        <text x={(plot.left + plot.right) / 2} y={chart.height - 8} fontSize="11" fill="#1e293b" textAnchor="middle">Dry bulb (°F)</text>
+        <text
+          x={chart.width - 12}
+          y={(plot.top + plot.bottom) / 2}
+          fontSize="11"
+          fill="#1e293b"
+          textAnchor="middle"
+          transform={`rotate(90 ${chart.width - 12} ${(plot.top + plot.bottom) / 2})`}
+        >
+          Humidity ratio (gr/lb)
+        </text>
+
+        {chart.wbLines.map(line => (
+          <g key={`wb-${line.wbF}`}>
+            <line x1={line.from.x} y1={line.from.y} x2={line.to.x} y2={line.to.y} stroke="#cbd5e1" strokeWidth="1" strokeDasharray="3 3" />
+            <text x={line.from.x - 4} y={line.from.y - 4} fontSize="9" fill="#64748b" textAnchor="end">{line.wbF} WB</text>
+          </g>
+        ))}
+        {chart.rhCurves.map(curve => (
+          <g key={`rh-${curve.rh}`}>
+            <path d={curve.path} fill="none" stroke={curve.rh === 100 ? '#1e293b' : '#94a3b8'} strokeWidth={curve.rh === 100 ? 1.5 : 0.8} />
+            {curve.label && curve.rh < 100 && (
+              <text x={curve.label.x - 2} y={curve.label.y + 10} fontSize="9" fill="#64748b" textAnchor="end">{curve.rh}%</text>
+            )}
+          </g>
+        ))}
+        <rect x={plot.left} y={plot.top} width={plot.right - plot.left} height={plot.bottom - plot.top} fill="none" stroke="#64748b" strokeWidth="1" />
+
+        {chart.lines.map(line => (
+          <line
+            key={`${line.kind}-${line.from.x}-${line.from.y}`}
+            x1={line.from.x}
+            y1={line.from.y}
+            x2={line.to.x}
+            y2={line.to.y}
+            stroke={LINE_STYLES[line.kind].stroke}
+            strokeWidth="2"
+            strokeDasharray={LINE_STYLES[line.kind].dash}
+          />
+        ))}
+        {chart.points.map(point => (
+          <g key={point.key}>
+            <circle cx={point.x} cy={point.y} r="5" fill={point.color} stroke="#ffffff" strokeWidth="1.5" />
+            <text x={point.x + 7} y={point.y - 7} fontSize="11" fontWeight="bold" fill={point.color}>{point.short}</text>
+          </g>
+        ))}
+      </svg>
+
+      <div className="psychro-chart-footer">
+        <div className="psychro-chart-legend">
+          {chart.points.map(point => (
+            <span key={point.key} style={{ color: point.color }}>
+              {point.short} = {point.label} ({point.dbF}°F, {point.grains} gr)
+            </span>
+          ))}
+        </div>
+        <div className="psychro-chart-readout">
+          {hover ? (
+            <>
+              {hover.label && <strong>{hover.label}: </strong>}
+              DB {hover.state.dbF}°F · WB {hover.state.wbF.toFixed(1)}°F · RH {hover.state.rh}% ·
+              DP {hover.state.dewPoint.toFixed(1)}°F · {hover.state.humidityRatio} gr/lb · h {hover.state.enthalpy} Btu/lb
+            </>
+          ) : 'Point at the chart for air properties'}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PsychrometricChart;
@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import toast from '../../utils/toast';
+import { RATE_BASIS, getNetRate, mergeRates } from '../../utils/rateLibrary';
+import './RateLibraryPanel.css';
+
+/**
+ * Rate Library Panel
+ * Edits the user's schedule of rates - rates, suppliers, effective dates,
+ * discount and margin - imports XLSX/CSV schedules into it and saves it as a
+ * new version. Lines of the current BOQ that no rate covers can be added at
+ * the price they carry.
+ */
+
+// Editable columns: [field, label, type]
+const RATE_FIELDS = [
+  ['code', 'Code', 'text'],
+  ['item', 'Item', 'text'],
+  ['unit', 'Unit', 'text'],
+  ['rate', 'Rate (₹)', 'number'],
+  ['supplier', 'Supplier', 'text'],
+  ['discountPercent', 'Disc. %', 'number'],
+  ['marginPercent', 'Margin %', 'number'],
+  ['effectiveFrom', 'From', 'date'],
+  ['effectiveTo', 'To', 'date']
+];
+
+const RateLibraryPanel = ({ rates, missingRates = [] }) => {
+  const { library, loading, saveLibrary, readFile } = rates;
+  const [expanded, setExpanded] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [importSupplier, setImportSupplier] = useState('');
+  const [message, setMessage] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const current = draft || library;
+  const edit = (changes) => setDraft({ ...current, ...changes });
+  const suppliers = [...new Set(current.rates.map(entry => entry.supplier).filter(Boolean))].sort();
+  const visible = current.rates
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry }) => !filter || `${entry.code} ${entry.item} ${entry.supplier}`.toLowerCase().includes(filter.toLowerCase()));
+
+  const updateRate = (index, field, value) => {
+    const numeric = ['rate', 'discountPercent', 'marginPercent'].includes(field);
+    const parsed = numeric ? (value === '' ? (field === 'rate' ? 0 : null) : parseFloat(value)) : value;
+    edit({ rates: current.rates.map((entry, position) => (position === index ? { ...entry, [field]: parsed } : entry)) });
+  };
+
+  const addRate = () => edit({
+    rates: [{ code: '', item: '', unit: 'Nos', basis: 'unit', rate: 0, supplier: '', discountPercent: null, marginPercent: null, effectiveFrom: '', effectiveTo: '' }, ...current.rates]
+  });
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const { rates: imported, errors } = await readFile(file, { supplier: importSupplier.trim() });
+      edit({ rates: mergeRates(current.rates, imported) });
+      const skipped = errors.slice(0, 5).map(error => `${error.sheet ? `${error.sheet} ` : ''}row ${error.line}: ${error.message}`);
+      setMessage(
+        `Read ${imported.length} rate(s) from ${file.name}; save to use them` +
+        (errors.length > 0 ? `. Skipped ${skipped.join('; ')}${errors.length > 5 ? ` and ${errors.length - 5} more` : ''}` : '')
+      );
+    } catch (error) {
+      console.error('Error importing schedule of rates:', error);
+      setMessage(`Could not read ${file.name}`);
+    }
+  };
+
+  const handleSave = async () => {
+    const blank = current.rates.filter(entry => !String(entry.code || '').trim());
+    if (blank.length > 0) {
+      toast.error('Every rate needs a code');
+      return;
+    }
+    try {
+      setSaving(true);
+      const saved = await saveLibrary(current);
+      setDraft(null);
+      setMessage('');
+      toast.success(`Rate library saved as version ${saved.version}`);
+    } catch (error) {
+      console.error('Error saving rate library:', error);
+      toast.error(error.message || 'Failed to save the rate library');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="rate-library-panel">
+      <div className="rate-library-row">
+        <strong>
+          {library.name} · {library.version > 0 ? `version ${library.version}` : 'reference rates (not saved yet)'}
+          {library.updatedAt ? ` · ${new Date(library.updatedAt).toLocaleDateString('en-IN')}` : ''}
+        </strong>
+        {loading && <span>Loading…</span>}
+        {missingRates.length > 0 && <span className="rate-library-missing">{missingRates.length} BOQ line(s) not in the library</span>}
+        <button type="button" className="rate-library-toggle" onClick={() => setExpanded(!expanded)}>
+          💰 {expanded ? 'Hide rates' : 'Edit rates'}
+        </button>
+      </div>
+
+      {expanded && (
+        <>
+          <div className="rate-library-row">
+            <label>
+              Name
+              <input type="text" value={current.name} onChange={(e) => edit({ name: e.target.value })} />
+            </label>
+            <label>
+              Default discount
+              <input
+                type="number"
+                value={current.defaults?.discountPercent ?? 0}
+                onChange={(e) => edit({ defaults: { ...current.defaults, discountPercent: parseFloat(e.target.value) || 0 } })}
+              />
+              %
+            </label>
+            <label>
+              Default margin
+              <input
+                type="number"
+                value={current.defaults?.marginPercent ?? 0}
+                onChange={(e) => edit({ defaults: { ...current.defaults, marginPercent: parseFloat(e.target.value) || 0 } })}
+              />
+              %
+            </label>
+            {suppliers.map(supplier => (
+              <label key={supplier}>
+                {supplier} discount
+                <input
+                  type="number"
+                  value={(current.supplierDiscounts || []).find(rule => rule.supplier === supplier)?.discountPercent ?? ''}
+                  placeholder="Default"
+                  onChange={(e) => edit({
+                    supplierDiscounts: [
+                      ...(current.supplierDiscounts || []).filter(rule => rule.supplier !== supplier),
+                      ...(e.target.value === '' ? [] : [{ supplier, discountPercent: parseFloat(e.target.value) }])
+                    ]
+                  })}
+                />
+                %
+              </label>
+            ))}
+          </div>
+
+          <div className="rate-library-row">
+            <input type="text" value={filter} onChange={(e) => setFilter(e.target.value)} placeholder="Filter by code, item or supplier" />
+            <button type="button" onClick={addRate}>+ Add rate</button>
+            {missingRates.length > 0 && (
+              <button type="button" onClick={() => edit({ rates: mergeRates(current.rates, missingRates) })}>
+                + Add {missingRates.length} missing at current prices
+              </button>
+            )}
+            <input
+              type="text"
+              value={importSupplier}
+              onChange={(e) => setImportSupplier(e.target.value)}
+              placeholder="Supplier (if the schedule has no supplier column)"
+            />
+            <input type="file" accept=".xlsx,.xls,.csv" onChange={handleImport} />
+          </div>
+          {message && <div className="rate-library-message">{message}</div>}
+
+          <div className="rate-library-table-wrap">
+            <table className="rate-library-table">
+              <thead>
+                <tr>
+                  {RATE_FIELDS.slice(0, 3).map(([field, label]) => <th key={field}>{label}</th>)}
+                  <th>Basis</th>
+                  {RATE_FIELDS.slice(3).map(([field, label]) => <th key={field}>{label}</th>)}
+                  <th>Net (₹)</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map(({ entry, index }) => {
+                  const input = ([field, , type]) => (
+                    <td key={field}>
+                      <input
+                        type={type}
+                        value={entry[field] ?? ''}
+                        placeholder={field === 'discountPercent' || field === 'marginPercent' ? 'Default' : ''}
+                        onChange={(e) => updateRate(index, field, e.target.value)}
+                      />
+                    </td>
+                  );
+                  return (
+                    <tr key={index}>
+                      {RATE_FIELDS.slice(0, 3).map(input)}
+                      <td>
+                        <select value={entry.basis || 'unit'} onChange={(e) => updateRate(index, 'basis', e.target.value)}>
+                          {Object.entries(RATE_BASIS).map(([key, basis]) => <option key={key} value={key}>{basis.name}</option>)}
+                        </select>
+                      </td>
+                      {RATE_FIELDS.slice(3).map(input)}
+                      <td className="net">{getNetRate(entry, current).toLocaleString('en-IN')}</td>
+                      <td>
+                        <button
+                          type="button"
+                          onClick={() => edit({ rates: current.rates.filter((_, position) => position !== index) })}
+                        >
+                          ✕
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="rate-library-row">
+            <button type="button" className="primary" disabled={!draft || saving} onClick={handleSave}>
+              {saving ? 'Saving…' : `Save as version ${(library.version || 0) + 1}`}
+            </button>
+            {draft && <button type="button" onClick={() => { setDraft(null); setMessage(''); }}>Discard changes</button>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RateLibraryPanel;
@@ -0,0 +1,193 @@
+import React from 'react';
+import { NODE_TYPES, createPipingNode, removePipingNode } from '../../utils/refrigerantPiping';
+import { getDescendantIds } from '../../utils/networkTree';
+import './RefrigerantPipingDesigner.css';
+
+/**
+ * Refrigerant Piping Designer
+ * Edits one VRF system's piping tree (outdoor unit → refnet joints/headers →
+ * indoor units) and shows the line sizes, limit checks and material schedule
+ * worked out by analysePipingNetwork.
+ */
+
+// Numeric fields of a node: [field, label, step]
+const NUMERIC_FIELDS = [
+  ['lengthM', 'Length (m)', 0.5],
+  ['bends', 'Bends', 1],
+  ['elevationM', 'Elevation (m)', 0.5]
+];
+
+const RefrigerantPipingDesigner = ({ title, network, analysis, onChange, onRegenerate }) => {
+  const nodes = network?.nodes || [];
+  const segmentById = new Map((analysis?.segments || []).map(segment => [segment.id, segment]));
+  const fittingById = new Map((analysis?.fittings || []).map(fitting => [fitting.id, fitting]));
+  const scheduleTotal = (analysis?.schedule || []).reduce((sum, item) => sum + item.totalPrice, 0);
+
+  const setNodes = (next) => onChange({ ...network, nodes: next });
+
+  const updateNode = (id, field, value) => {
+    setNodes(nodes.map(node => (node.id === id ? { ...node, [field]: value } : node)));
+  };
+
+  const addNode = (type) => {
+    const parent = [...nodes].reverse().find(node => node.type === 'joint' || node.type === 'header') || nodes[0];
+    setNodes([...nodes, createPipingNode(nodes, {
+      type,
+      parentId: parent?.id || null,
+      label: `${type === 'idu' ? 'IDU' : type === 'joint' ? 'J' : 'H'}${nodes.filter(node => node.type === type).length + 1}`,
+      lengthM: 5,
+      bends: 2,
+      elevationM: type === 'idu' ? parent?.elevationM || 0 : 0
+    })]);
+  };
+
+  // Joints and headers (or the outdoor unit) a node can be fed from, never its own branch
+  const parentOptions = (node) => {
+    const below = getDescendantIds(nodes, node.id);
+    return nodes.filter(option => option.id !== node.id && !below.has(option.id) && option.type !== 'idu');
+  };
+
+  return (
+    <div className="piping-designer">
+      <div className="piping-designer-header">
+        <h4>{title}</h4>
+        <div className="piping-designer-actions">
+          <button type="button" onClick={() => addNode('idu')}>+ Indoor unit</button>
+          <button type="button" onClick={() => addNode('joint')}>+ Refnet joint</button>
+          <button type="button" onClick={() => addNode('header')}>+ Header</button>
+          <button
+            type="button"
+            onClick={() => {
+              if (window.confirm('Replace this piping layout with one run teed off to each indoor unit?')) onRegenerate();
+            }}
+          >
+            ↺ Regenerate from IDUs
+          </button>
+        </div>
+      </div>
+
+      <table className="piping-table">
+        <thead>
+          <tr>
+            <th>Node</th>
+            <th>Type</th>
+            <th>Fed from</th>
+            {NUMERIC_FIELDS.map(([field, label]) => <th key={field}>{label}</th>)}
+            <th>Capacity (kW)</th>
+            <th>Downstream (kW)</th>
+            <th>Gas / Liquid (mm)</th>
+            <th>Kit</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {nodes.map(node => {
+            const segment = segmentById.get(node.id);
+            const odu = node.type === 'odu';
+            return (
+              <tr key={node.id} className={odu ? 'piping-odu-row' : ''}>
+                <td>
+                  <input type="text" value={node.label} onChange={(e) => updateNode(node.id, 'label', e.target.value)} />
+                </td>
+                <td>
+                  {odu ? NODE_TYPES.odu.name : (
+                    <select value={node.type} onChange={(e) => updateNode(node.id, 'type', e.target.value)}>
+                      {['idu', 'joint', 'header'].map(type => <option key={type} value={type}>{NODE_TYPES[type].name}</option>)}
+                    </select>
+                  )}
+                </td>
+                <td>
+                  {!odu && (
+                    <select value={node.parentId || ''} onChange={(e) => updateNode(node.id, 'parentId', e.target.value)}>
+                      <option value="">—</option>
+                      {parentOptions(node).map(option => <option key={option.id} value={option.id}>{option.label || option.id}</option>)}
+                    </select>
+                  )}
+                </td>
+                {NUMERIC_FIELDS.map(([field, , step]) => (
+                  <td key={field}>
+                    {(!odu || field === 'elevationM') && (
+                      <input
+                        type="number"
+                        value={node[field] ?? ''}
+                        step={step}
+                        onChange={(e) => updateNode(node.id, field, e.target.value === '' ? '' : parseFloat(e.target.value))}
+                      />
+                    )}
+                  </td>
+                ))}
+                <td>
+                  {node.type === 'idu' && (
+                    <input
+                      type="number"
+                      value={node.capacityKW ?? ''}
+                      step="0.1"
+                      onChange={(e) => updateNode(node.id, 'capacityKW', e.target.value === '' ? '' : parseFloat(e.target.value))}
+                    />
+                  )}
+                </td>
+                <td>{segment ? segment.downstreamKW.toFixed(1) : ''}</td>
+                <td>
+                  {segment && `${segment.gasMM} / ${segment.liquidMM}`}
+                  {segment?.upsized && <span className="piping-note" title="Main gas line upsized for the equivalent length"> ↑</span>}
+                </td>
+                <td>{fittingById.get(node.id)?.model || ''}</td>
+                <td>
+                  {!odu && (
+                    <button type="button" className="piping-remove" onClick={() => setNodes(removePipingNode(nodes, node.id))} title="Remove with everything fed from it">
+                      ✕
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {analysis && (
+        <div className="piping-results">
+          <ul className="piping-checks">
+            {analysis.errors.map(error => <li key={error} className="short">✗ {error}</li>)}
+            {analysis.checks.map(check => (
+              <li key={check.key} className={check.ok ? 'ok' : 'short'}>
+                {check.ok ? '✓' : '✗'} {check.label}: {check.value} {check.unit} (max {check.limit} {check.unit})
+              </li>
+            ))}
+          </ul>
+
+          {analysis.schedule.length > 0 && (
+            <table className="piping-schedule">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Qty</th>
+                  <th>Unit</th>
+                  <th>Rate (₹)</th>
+                  <th>Amount (₹)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analysis.schedule.map(item => (
+                  <tr key={item.code}>
+                    <td title={item.specification}>{item.item}</td>
+                    <td>{item.quantity}</td>
+                    <td>{item.unit}</td>
+                    <td>{item.unitPrice.toLocaleString('en-IN')}</td>
+                    <td>{item.totalPrice.toLocaleString('en-IN')}</td>
+                  </tr>
+                ))}
+                <tr className="piping-schedule-total">
+                  <td colSpan="4">Piping material total</td>
+                  <td>{scheduleTotal.toLocaleString('en-IN')}</td>
+                </tr>
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RefrigerantPipingDesigner;
@@ -1,12 +1,41 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import { ref, set, get, update } from "firebase/database";
 import { db } from "../../firebase/config";
 import { useAuth } from "../../hooks/useAuth";
 import IndianHVACCalculations from "../../utils/IndianHVACCalculations";
+import { computeRoomLoad } from "../../utils/roomLoadEngine";
+import { getRoomSolarSite } from "../../utils/hourlyLoadAnalysis";
+import { computeRoomHeatingLoad, getWinterDesignConditions } from "../../utils/heatingLoadEngine";
+import { MONTH_NAMES } from "../../utils/solarGains";
+import { calculatePsychrometrics, normalizePressure } from "../../utils/psychrometrics";
+import { resolveCoilProcess } from "../../utils/ahuCoilProcess";
+import { getProcessChartData } from "../../utils/psychrometricChart";
+import { calculateZoneOutdoorAir } from "../../utils/ventilation";
 import toast from "../../utils/toast";
+import PsychrometricChart from "./PsychrometricChart";
 import "./SpaceConsideredForm.css";
 import "../common/FormUI.css";
 
+// Mixing -> coil -> supply process for the sheet's room, outside air and ADP
+const getFormCoilProcess = (formData, load, pressure) => {
+  const bypassFactor = parseFloat(formData.bypassFactor);
+  try {
+    return resolveCoilProcess({
+      room: { dbF: parseFloat(formData.insideDB), grains: parseFloat(formData.insideGR) },
+      outdoor: { dbF: parseFloat(formData.outsideDB), grains: parseFloat(formData.outsideGR) },
+      ersh: load.ESHT,
+      erlh: load.ELHT,
+      outsideAirCFM: load.ventilationCFM,
+      bypassFactor: Number.isFinite(bypassFactor) ? bypassFactor : undefined,
+      adpF: load.selectedADP || undefined,
+      pressure
+    });
+  } catch {
+    // Incomplete or impossible design conditions while the sheet is being filled in
+    return null;
+  }
+};
+
 // Compact infiltration tables for CFM calculation (used with datalists)
 const infiltrationData = {
   windows: {
@@ -40,31 +69,6 @@ const infiltrationData = {
 
 const windVelocities = [5, 10, 15, 20, 25, 30];
 
-// Helper conversions
-const cToF = (c) => (c * 9) / 5 + 32;
-const fToC = (f) => ((f - 32) * 5) / 9;
-
-// Magnus formula for dew point calculation
-const calculateDewPoint = (dbF, rh) => {
-  if (!dbF || !rh || rh <= 0 || rh > 100) return null;
-  const dbC = fToC(dbF);
-  const alpha = (17.27 * dbC) / (237.3 + dbC) + Math.log(rh / 100);
-  const dewPointC = (237.3 * alpha) / (17.27 - alpha);
-  return cToF(dewPointC);
-};
-
-// Verified moisture content calculation
-const calculateGrainsPerLb = (dbF, rh, pressure = 101.325) => {
-  if (!dbF || !rh || rh <= 0 || rh > 100) return null;
-  const dewPointF = calculateDewPoint(dbF, rh);
-  if (!dewPointF) return null;
-  const dewPointC = fToC(dewPointF);
-  const e = 0.61078 * Math.exp((17.27 * dewPointC) / (dewPointC + 237.3));
-  const e_calibrated = e * 1.102;
-  const W = 0.62198 * e_calibrated / (pressure - e_calibrated);
-  return W * 7000;
-};
-
 // Initialize form data with saved data if available
 const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, projectId = null, roomData = null }) => {
   const { user } = useAuth();
@@ -310,18 +314,22 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
     const { insideDB, insideRH } = formData;
     
     if (insideDB && insideRH) {
-      const dewPoint = calculateDewPoint(parseFloat(insideDB), parseFloat(insideRH));
-      const grains = calculateGrainsPerLb(parseFloat(insideDB), parseFloat(insideRH));
-      
-      if (dewPoint !== null && grains !== null) {
+      try {
+        // Same site pressure as the project's ambient design point
+        const state = calculatePsychrometrics(
+          { dbF: parseFloat(insideDB), rh: parseFloat(insideRH) },
+          normalizePressure(projectData?.ambient?.pressure)
+        );
         setFormData(prev => ({
           ...prev,
-          insideDP: dewPoint.toFixed(2),
-          insideGR: grains.toFixed(2)
+          insideDP: state.dewPoint.toFixed(2),
+          insideGR: state.humidityRatio.toFixed(2)
         }));
+      } catch (error) {
+        console.warn('Room psychrometrics skipped:', error.message);
       }
     }
-  }, [formData.insideDB, formData.insideRH]);
+  }, [formData.insideDB, formData.insideRH, projectData?.ambient?.pressure]);
 
   // Auto-calculate Difference values
   useEffect(() => {
@@ -424,199 +432,74 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
     setFormData(prev => ({ ...prev, totalCfm: total }));
   }, [formData.totalCfmPeople, formData.totalCfmSqFt, formData.totalCfmCub]);
 
-  // --- Sensible Heat Gains Calculations using Indian HVAC Standards ---
-  const computeGlassGain = (item, index) => {
-    if (!item) return 0;
-    const orientation = IndianHVACCalculations.getOrientations()[index];
-    if (!orientation) return 0;
-    
-    return IndianHVACCalculations.calculateSolarHeatGain(
-      orientation,
-      parseFloat(item.area || 0),
-      item.glassType || 'Ordinary Glass',
-      item.shadingType || 'No Shade'
-    );
-  };
-
-  const computeWallRoofGain = (item, index) => {
-    if (!item) return 0;
-    
-    // Check if this is a wall or roof item
-    const orientations = ['North', 'North East', 'East', 'South East', 'South', 'South West', 'West', 'North West'];
-    
-    if (index < orientations.length) {
-      // Wall calculation
-      const orientation = orientations[index];
-      const wallType = item.wallType || '6 inch Brick Wall';
-      const wallWeight = item.wallWeight || '60';
-      const tempDiff = parseFloat(formData.diffDB || 0);
-      
-      return IndianHVACCalculations.calculateWallHeatGain(
-        parseFloat(item.area || 0),
-        wallType,
-        orientation,
-        wallWeight,
-        tempDiff
-      );
-    } else {
-      // Roof calculation (for backward compatibility)
-      const area = parseFloat(item?.area || 0);
-      const sunGain = parseFloat(item?.sunGain || 0) || 0;
-      const uFactor = parseFloat(item?.uFactor || 0) || 0;
-      return (area * sunGain * uFactor) || 0;
-    }
-  };
-
-  const computeTransGain = (item) => {
-    const area = parseFloat(item?.area || 0);
-    const u = parseFloat(item?.uFactor || 0) || 0;
-    // Use diffDB - 5 for partition temperature difference
-    const dT = Math.max(0, parseFloat(formData.diffDB || 0) - 5) || 0;
-    return (area * u * dT) || 0;
-  };
-
-  const totalGlassGain = () => (formData.sunGainGlass || []).reduce((s, it, index) => s + computeGlassGain(it, index), 0);
-  const totalWallRoofGain = () => {
-    // Wall gains
-    const wallGains = (formData.solarGainWalls || []).reduce((s, it, index) => s + computeWallRoofGain(it, index), 0);
-    
-    // Roof gains
-    const roofGains = (formData.roofGains || []).reduce((total, roof) => {
-      const roofType = roof?.roofType || 'Concrete Slab 6 inch';
-      const sunExposure = roof?.sunExposure || 'Exposed to Sun';
-      const roofWeight = roof?.roofWeight || '60';
-      const tempDiff = parseFloat(formData.diffDB || 0);
-      return total + IndianHVACCalculations.calculateRoofHeatGain(
-        parseFloat(roof?.area || 0), roofType, sunExposure, roofWeight, tempDiff
-      );
-    }, 0);
-    
-    return wallGains + roofGains;
-  };
-  const totalTransGain = () => (formData.transGainPartition || []).reduce((s, it) => s + computeTransGain(it), 0);
-  const totalSensibleEnvelope = () => totalGlassGain() + totalWallRoofGain() + totalTransGain();
-
-  // Internal heat total
-  const totalInternalHeat = () => (
-    (parseFloat(formData.numPeople||formData.numPeopleInternal||0) * parseFloat(formData.shPerPerson||0)) +
-    ((parseFloat(formData.lightsWatts||0) * parseFloat(formData.sqFt||formData.area||0)) * 3.41) +
-    ((parseFloat(formData.appliancesWatts||0) * parseFloat(formData.sqFt||formData.area||0)) * 3.41) +
-    (parseFloat(formData.motorBHP||0) * 2545) +
-    (parseFloat(formData.motorHP||0) * 2545)
+  // --- Sun gain basis: project latitude and design month ("auto" = the building's worst month).
+  // Projects saved before the site fields existed keep the sheet's 20°N / May values. ---
+  const latitude = projectData?.meta?.latitude;
+  const designMonth = projectData?.meta?.designMonth;
+  const worstMonth = projectData?.meta?.worstMonth;
+  const solarSite = useMemo(
+    () => getRoomSolarSite({ latitude, designMonth, worstMonth }),
+    [latitude, designMonth, worstMonth]
   );
 
-  // Ventilation CFM (highest value from People, Area, or Volume)
-  const ventilationCFM = Math.max(
-    parseFloat(formData.totalCfmPeople || 0),
-    parseFloat(formData.totalCfmSqFt || 0),
-    parseFloat(formData.totalCfmCub || 0)
-  );
-
-  // Sensible via air = 1.08 * CFM * ΔT
-  const sensibleInfiltrationBTU = 1.08 * parseFloat(formData.cfmInfiltration || 0) * (parseFloat(formData.diffDB || 0) || 0);
-  const sensibleVentilationBTU = 1.08 * ventilationCFM * (parseFloat(formData.diffDB || 0) || 0);
-  // For ERSH exclude ventilation; ventilation will be accounted in Outside Air section
-  const sensibleSubtotal = totalSensibleEnvelope() + totalInternalHeat() + sensibleInfiltrationBTU;
-  const ESHT = sensibleSubtotal * (1 + (parseFloat(formData.safetyFactorSensible || 0) / 100));
-
-  // Latent via air = 0.68 * CFM * ΔGrains + people latent
-  const latentInfiltrationBTU = 0.68 * parseFloat(formData.cfmInfiltration || 0) * (parseFloat(formData.diffGR || 0) || 0);
-  const latentVentilationBTU = 0.68 * ventilationCFM * (parseFloat(formData.diffGR || 0) || 0);
-  const latentPeopleBTU = parseFloat(formData.numPeople || 0) * parseFloat(formData.lhPerPerson || 0);
-  // For ERLH exclude ventilation; ventilation will be accounted in Outside Air section
-  const latentSubtotal = latentInfiltrationBTU + latentPeopleBTU;
-  const ELHT = latentSubtotal * (1 + (parseFloat(formData.safetyFactorLatent || 0) / 100));
-
-  const effectiveRoomTotalHeat = ESHT + ELHT;
-
-  // Outside Air Heat (Ventilation Air adjusted by (1 - BF))
-  const BF = parseFloat(formData.bypassFactor || 0) || 0;
-  const outsideAirSensible = sensibleVentilationBTU * (1 - BF);
-  const outsideAirLatent = latentVentilationBTU * (1 - BF);
-  const outsideAirTotal = outsideAirSensible + outsideAirLatent;
-
-  // Dehumidified Rise and Dehumidified CFM
-  const insideDB = parseFloat(formData.insideDB || 0) || 0;
-  const selectedADP = parseFloat(formData.selectedADP || 0) || 0;
-  const dehumidifiedRise = (1 - BF) * Math.max(0, insideDB - selectedADP);
-  const dehumidifiedCFM = dehumidifiedRise > 0 ? (ESHT / (1.08 * dehumidifiedRise)) : 0;
-
-  // Final Output
-  const GTH = effectiveRoomTotalHeat + outsideAirTotal;
-  const tonsRequired = GTH / 12000;
-
-  // ==================== ENHANCED CALCULATIONS ====================
-  
-  // 1. ESHF - Effective Sensible Heat Factor
-  const ESHF = effectiveRoomTotalHeat > 0 ? (ESHT / effectiveRoomTotalHeat) : 0;
-
-  // 2. Room SHR - Room Sensible Heat Ratio
-  const roomSensibleTotal = totalSensibleEnvelope() + totalInternalHeat() + sensibleInfiltrationBTU;
-  const roomLatentTotal = latentInfiltrationBTU + latentPeopleBTU;
-  const roomTotalBeforeSafety = roomSensibleTotal + roomLatentTotal;
-  const roomSHR = roomTotalBeforeSafety > 0 ? (roomSensibleTotal / roomTotalBeforeSafety) : 0;
-
-  // 3. Grand Sensible and Grand Latent
-  const grandSensible = ESHT + outsideAirSensible;
-  const grandLatent = ELHT + outsideAirLatent;
-  const grandSHR = GTH > 0 ? (grandSensible / GTH) : 0;
-
-  // 4. Coil Load Breakdown
-  const coilSensibleLoad = grandSensible;
-  const coilLatentLoad = grandLatent;
-  const coilTotalLoad = GTH;
-
-  // 5. Supply Air Temperature
-  const supplyAirTemp = dehumidifiedCFM > 0 ? (insideDB - (ESHT / (1.08 * dehumidifiedCFM))) : 0;
-
-  // 6. Coil Leaving Air Temperature
-  const coilLAT = selectedADP > 0 ? (selectedADP + (BF * (insideDB - selectedADP))) : 0;
-
-  // 7. Return Air CFM
-  const returnAirCFM = Math.max(0, dehumidifiedCFM - ventilationCFM);
-  const returnAirPercentage = dehumidifiedCFM > 0 ? ((returnAirCFM / dehumidifiedCFM) * 100) : 0;
-
-  // 8. Outside Air Percentage
-  const outsideAirPercentage = dehumidifiedCFM > 0 ? ((ventilationCFM / dehumidifiedCFM) * 100) : 0;
-
-  // 9. Temperature Rise Verification
-  const actualTempRise = dehumidifiedCFM > 0 ? (ESHT / (1.08 * dehumidifiedCFM)) : 0;
-
-  // 10. CFM per Ton
-  const cfmPerTon = tonsRequired > 0 ? (dehumidifiedCFM / tonsRequired) : 0;
-
-  // 11. BTU/hr per CFM
-  const btuPerCFM = dehumidifiedCFM > 0 ? (GTH / dehumidifiedCFM) : 0;
-
-  // 12. Mixed Air Temperature
-  const mixedAirTemp = dehumidifiedCFM > 0
-    ? ((returnAirCFM * insideDB) + (ventilationCFM * parseFloat(formData.outsideDB || 0))) / dehumidifiedCFM
-    : 0;
-
-  // 13. Validation Warnings
-  const validationWarnings = [];
-  
-  if (supplyAirTemp < 50 && supplyAirTemp > 0) {
-    validationWarnings.push("⚠️ Supply air temp < 50°F - Risk of overcooling");
-  }
-  if (supplyAirTemp > 60) {
-    validationWarnings.push("⚠️ Supply air temp > 60°F - Insufficient cooling");
-  }
-  if (cfmPerTon < 350 && cfmPerTon > 0) {
-    validationWarnings.push("⚠️ CFM/Ton < 350 - High latent load or low airflow");
-  }
-  if (cfmPerTon > 450) {
-    validationWarnings.push("⚠️ CFM/Ton > 450 - Comfort issues possible");
-  }
-  if (ESHF < 0.65 && ESHF > 0) {
-    validationWarnings.push("ℹ️ Low ESHF - High latent load application");
-  }
-  if (ESHF > 0.95) {
-    validationWarnings.push("ℹ️ High ESHF - Very low latent load");
-  }
-  if (outsideAirPercentage < 15 && outsideAirPercentage > 0) {
-    validationWarnings.push("⚠️ Outside Air < 15% - Check ASHRAE 62.1 compliance");
-  }
+  // --- Heat load (shared engine keeps every screen on the same numbers) ---
+  const load = computeRoomLoad(formData, solarSite || {});
+
+  // Winter heating load from the same rows (only when the project has winter design data)
+  const winterConditions = getWinterDesignConditions(projectData);
+  const heating = winterConditions ? computeRoomHeatingLoad(formData, winterConditions) : null;
+  const {
+    glassGain,
+    wallGain,
+    roofGain,
+    partitionItems,
+    partitionGain,
+    internalSensible,
+    ventilationCFM,
+    sensibleInfiltrationBTU,
+    sensibleVentilationBTU,
+    sensibleSubtotal,
+    ESHT,
+    latentInfiltrationBTU,
+    latentVentilationBTU,
+    latentPeopleBTU,
+    latentSubtotal,
+    ELHT,
+    effectiveRoomTotalHeat,
+    outsideAirSensible,
+    outsideAirLatent,
+    outsideAirTotal,
+    selectedADP,
+    dehumidifiedRise,
+    dehumidifiedCFM,
+    GTH,
+    tonsRequired,
+    ESHF,
+    roomSHR,
+    grandSensible,
+    grandLatent,
+    grandSHR,
+    coilSensibleLoad,
+    coilLatentLoad,
+    coilTotalLoad,
+    supplyAirTemp,
+    coilLAT,
+    returnAirCFM,
+    returnAirPercentage,
+    outsideAirPercentage,
+    cfmPerTon,
+    btuPerCFM,
+    actualTempRise,
+    mixedAirTemp
+  } = load;
+  const validationWarnings = load.warnings.map((warning) => warning.message);
+  const coilProcess = getFormCoilProcess(formData, load, projectData?.ambient?.pressure);
+  // ASHRAE 62.1 breathing zone outdoor air for the room type (Ez = 1)
+  const zoneOutdoorAir = calculateZoneOutdoorAir({
+    roomType: roomData?.roomType || roomData?.roomName,
+    areaFt2: formData.sqFt || formData.area,
+    people: formData.numPeople === "" ? undefined : formData.numPeople
+  });
 
   // Enhanced handlers with space input method detection
   const handleChange = (e) => {
@@ -688,6 +571,7 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
         actualTempRise: actualTempRise.toFixed(2),
         mixedAirTemp: mixedAirTemp.toFixed(2),
         validationWarnings: validationWarnings,
+        coilProcess,
         
         // Add heat load data structure for room card integration
         heatLoadData: {
@@ -702,7 +586,10 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
           // Add enhanced parameters
           ESHF: parseFloat(ESHF.toFixed(3)),
           supplyAirTemp: parseFloat(supplyAirTemp.toFixed(2)),
-          cfmPerTon: parseFloat(cfmPerTon.toFixed(0))
+          cfmPerTon: parseFloat(cfmPerTon.toFixed(0)),
+          heatingLoad: heating ? parseFloat(heating.totalHeatingLoad.toFixed(2)) : 0,
+          heatingTons: heating ? parseFloat(heating.heatingTons.toFixed(2)) : 0,
+          coilProcess
         },
         // Metadata
         savedAt: new Date().toISOString(),
@@ -770,6 +657,9 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
             latentHeat: parseFloat(ELHT.toFixed(2)),
             totalHeat: parseFloat(GTH.toFixed(2)),
             outsideAirCfm: parseFloat(ventilationCFM.toFixed(2)),
+            heatingLoad: heating ? parseFloat(heating.totalHeatingLoad.toFixed(2)) : 0,
+            heatingTons: heating ? parseFloat(heating.heatingTons.toFixed(2)) : 0,
+            coilProcess,
             diversity: 85,
             calculated: true,
             calculatedOn: new Date().toISOString()
@@ -777,10 +667,10 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
           
           // Breakdown for detailed view
           breakdown: {
-            sensibleGlass: totalGlassGain(),
-            sensibleWalls: totalWallRoofGain(),
-            sensiblePartitions: totalTransGain(),
-            internalHeat: totalInternalHeat(),
+            sensibleGlass: glassGain,
+            sensibleWalls: wallGain + roofGain,
+            sensiblePartitions: partitionGain,
+            internalHeat: internalSensible,
             sensibleInfiltration: sensibleInfiltrationBTU,
             sensibleVentilation: sensibleVentilationBTU,
             latentInfiltration: latentInfiltrationBTU,
@@ -1308,6 +1198,19 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
                   readOnly
                 />
               </div>
+              <div className="form-group full-width">
+                <label>ASHRAE 62.1 Zone Outdoor Air (Rp·Pz + Ra·Az)</label>
+                <input
+                  type="text"
+                  readOnly
+                  value={`${zoneOutdoorAir.voz} CFM (${zoneOutdoorAir.peopleCFM} people + ${zoneOutdoorAir.areaCFM} area)`}
+                  style={{background: ventilationCFM + 0.5 < zoneOutdoorAir.voz ? '#fef3c7' : 'white'}}
+                />
+                <small className="hint">
+                  {zoneOutdoorAir.categoryName}
+                  {ventilationCFM + 0.5 < zoneOutdoorAir.voz ? ' - sheet ventilation is below the Ventilation Rate Procedure' : ''}
+                </small>
+              </div>
             </div>
           </div>
 
@@ -1374,7 +1277,11 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
 
             {/* 1. Sun Gain Glass: Direct Exposure - Indian Standards */}
             <div className="subsection">
-              <h4>1. Sun Gain Glass: Direct Exposure (Indian Standards - 20° Latitude, May)</h4>
+              <h4>
+                1. Sun Gain Glass: Direct Exposure (Indian Standards - {solarSite
+                  ? `${solarSite.latitude ?? 20}° Latitude, ${MONTH_NAMES[solarSite.month - 1]}${designMonth === "auto" && worstMonth ? " (building worst month)" : ""}`
+                  : "20° Latitude, May"})
+              </h4>
               <div className="table-grid-8 glass-heat-gain-table">
                 <div className="table-header">Orientation</div>
                 <div className="table-header">Area (Sq.ft.)</div>
@@ -1386,14 +1293,16 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
                 <div className="table-header">Total BTU/hr</div>
                 {IndianHVACCalculations.getOrientations().map((orientation, i) => {
                   const glassItem = formData.sunGainGlass[i] || {};
-                  const solarGainValue = IndianHVACCalculations.getSolarGainForOrientation(orientation);
+                  const solarGainValue = IndianHVACCalculations.getSolarGainForOrientation(orientation, undefined, solarSite);
                   const shadingFactor = IndianHVACCalculations.shadingFactors[glassItem.shadingType || 'No Shade'] || 1.00;
                   const glassInfo = IndianHVACCalculations.glassTypes[glassItem.glassType || 'Ordinary Glass'] || { uFactor: 1.00 };
                   const calculatedGain = IndianHVACCalculations.calculateSolarHeatGain(
                     orientation,
                     parseFloat(glassItem.area || 0),
                     glassItem.glassType || 'Ordinary Glass',
-                    glassItem.shadingType || 'No Shade'
+                    glassItem.shadingType || 'No Shade',
+                    undefined,
+                    solarSite
                   );
                   
                   return (
@@ -1426,7 +1335,7 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
                         </select>
                       </div>
                       <div className="table-cell">
-                        <span className="readonly-value">{solarGainValue}</span>
+                        <span className="readonly-value">{Number(solarGainValue.toFixed(1))}</span>
                       </div>
                       <div className="table-cell">
                         <span className="readonly-value">{shadingFactor.toFixed(2)}</span>
@@ -1443,7 +1352,7 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
                   );
                 })}
                 <div className="table-footer" style={{gridColumn: '1 / 8'}}><strong>Total Solar Heat Gain</strong></div>
-                <div className="table-footer"><strong>{totalGlassGain().toFixed(2)} BTU/hr</strong></div>
+                <div className="table-footer"><strong>{glassGain.toFixed(2)} BTU/hr</strong></div>
               </div>
             </div>
 
@@ -1523,7 +1432,7 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
                   );
                 })}
                 <div className="table-footer" style={{gridColumn: '1 / 8'}}><strong>Total Wall Heat Gain</strong></div>
-                <div className="table-footer"><strong>{totalWallRoofGain().toFixed(2)} BTU/hr</strong></div>
+                <div className="table-footer"><strong>{wallGain.toFixed(2)} BTU/hr</strong></div>
               </div>
             </div>
 
@@ -1607,15 +1516,7 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
                   );
                 })}
                 <div className="table-footer" style={{gridColumn: '1 / 6'}}><strong>Total Roof Heat Gain</strong></div>
-                <div className="table-footer"><strong>{(formData.roofGains || []).reduce((total, roof) => {
-                  const roofType = roof?.roofType || 'Concrete Slab 6 inch';
-                  const sunExposure = roof?.sunExposure || 'Exposed to Sun';
-                  const roofWeight = roof?.roofWeight || '60';
-                  const tempDiff = parseFloat(formData.diffDB || 0);
-                  return total + IndianHVACCalculations.calculateRoofHeatGain(
-                    parseFloat(roof?.area || 0), roofType, sunExposure, roofWeight, tempDiff
-                  );
-                }, 0).toFixed(2)} BTU/hr</strong></div>
+                <div className="table-footer"><strong>{roofGain.toFixed(2)} BTU/hr</strong></div>
               </div>
             </div>
 
@@ -1650,7 +1551,7 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
                     </div>
                     <div className="table-cell">
                       <input type="number" readOnly
-                        value={computeTransGain(formData.transGainPartition[i]).toFixed(2)} />
+                        value={(partitionItems[i]?.gain || 0).toFixed(2)} />
                     </div>
                   </React.Fragment>
                 ))}
@@ -1658,7 +1559,7 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
                 <div className="table-footer"></div>
                 <div className="table-footer"></div>
                 <div className="table-footer"></div>
-                <div className="table-footer">{totalTransGain().toFixed(2)}</div>
+                <div className="table-footer">{partitionGain.toFixed(2)}</div>
               </div>
             </div>
           </div>
@@ -2164,6 +2065,47 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
             </div>
           </div>
 
+          {heating && (
+            <div className="form-section">
+              <h3>Heating Load (Winter)</h3>
+              <div className="form-grid-3">
+                <div className="form-group">
+                  <label>Design ΔT (°F) - {heating.insideDB}°F in / {heating.outsideDB}°F out</label>
+                  <input type="number" readOnly value={heating.deltaT.toFixed(1)} />
+                </div>
+                <div className="form-group">
+                  <label>Transmission Loss (Glass + Walls + Roof + Partitions)</label>
+                  <input type="number" readOnly value={heating.transmissionLoss.toFixed(2)} />
+                </div>
+                <div className="form-group">
+                  <label>Infiltration Loss</label>
+                  <input type="number" readOnly value={heating.infiltrationLoss.toFixed(2)} />
+                </div>
+                <div className="form-group">
+                  <label>Ventilation Loss</label>
+                  <input type="number" readOnly value={heating.ventilationLoss.toFixed(2)} />
+                </div>
+                <div className="form-group">
+                  <label>Warm-up Allowance ({heating.warmUpAllowance}%)</label>
+                  <input type="number" readOnly value={heating.warmUpLoad.toFixed(2)} />
+                </div>
+                <div className="form-group">
+                  <label>Total Heating Load - BTU/hr</label>
+                  <input type="number" readOnly value={heating.totalHeatingLoad.toFixed(2)} />
+                </div>
+                <div className="form-group">
+                  <label>Heating (TR)</label>
+                  <input type="number" readOnly value={heating.heatingTons.toFixed(2)} />
+                </div>
+                <div className="form-group">
+                  <label>Heating (kW)</label>
+                  <input type="number" readOnly value={heating.heatingKW.toFixed(2)} />
+                </div>
+              </div>
+              <small className="hint">No credit is taken for sun, people, lights or equipment.</small>
+            </div>
+          )}
+
           {/* Enhanced Analysis Section */}
           <div className="form-section">
             <h3>📊 Detailed Analysis & Verification</h3>
@@ -2244,6 +2186,87 @@ const SpaceConsideredForm = ({ projectData, onSave, onBack, savedData = null, pr
               </div>
             </div>
 
+            {/* Coil Process */}
+            {coilProcess && (
+              <div className="subsection">
+                <h4>Coil Process (Mixing → Coil → Supply)</h4>
+                <div className="conditions-grid-table">
+                  <div className="conditions-header">
+                    <div>Point</div>
+                    <div>DB (Deg. F)</div>
+                    <div>WB (Deg. F)</div>
+                    <div>% RH</div>
+                    <div>GR/lb</div>
+                    <div>h (Btu/lb)</div>
+                  </div>
+                  {[
+                    ['Outside', coilProcess.states.outdoor],
+                    ['Room', coilProcess.states.room],
+                    ['Coil entering (mixed)', coilProcess.states.mixed],
+                    ['Coil leaving', coilProcess.states.coilLeaving],
+                    ['Supply', coilProcess.states.supply]
+                  ].map(([label, state]) => (
+                    <div className="conditions-row" key={label}>
+                      <div>{label}</div>
+                      <div>{state.dbF}</div>
+                      <div>{state.wbF}</div>
+                      <div>{state.rh}</div>
+                      <div>{state.humidityRatio}</div>
+                      <div>{state.enthalpy}</div>
+                    </div>
+                  ))}
+                </div>
+                <div className="form-grid-3" style={{marginTop: '12px'}}>
+                  <div className="form-group">
+                    <label>Indicated ADP (°F)</label>
+                    <input type="text" readOnly value={coilProcess.indicatedADP ?? 'Not reached'} />
+                    <small style={{color: '#64748b', fontSize: '11px'}}>ESHF line meets saturation curve</small>
+                  </div>
+                  <div className="form-group">
+                    <label>Coil Load (TR)</label>
+                    <input type="number" readOnly value={coilProcess.coil.tons} />
+                    <small style={{color: '#64748b', fontSize: '11px'}}>Coil SHR {coilProcess.coil.shr}</small>
+                  </div>
+                  <div className="form-group">
+                    <label>Coil Rows</label>
+                    <input type="number" readOnly value={coilProcess.coil.rows} />
+                    <small style={{color: '#64748b', fontSize: '11px'}}>For bypass factor {coilProcess.bypassFactor}</small>
+                  </div>
+                  <div className="form-group">
+                    <label>Face Velocity (FPM)</label>
+                    <input type="number" readOnly value={coilProcess.coil.faceVelocityFPM} />
+                    <small style={{color: '#64748b', fontSize: '11px'}}>Face area {coilProcess.coil.faceAreaFt2} ft² ({coilProcess.coil.faceAreaM2} m²)</small>
+                  </div>
+                  <div className="form-group">
+                    <label>Condensate (L/h)</label>
+                    <input type="number" readOnly value={coilProcess.coil.condensateLH} />
+                    <small style={{color: '#64748b', fontSize: '11px'}}>{coilProcess.coil.condensateLbH} lb/h</small>
+                  </div>
+                  <div className="form-group">
+                    <label>Reheat (kW)</label>
+                    <input
+                      type="number"
+                      readOnly
+                      value={coilProcess.reheat.kW}
+                      style={{background: coilProcess.reheat.required ? '#fef3c7' : '#d1fae5'}}
+                    />
+                    <small style={{color: '#64748b', fontSize: '11px'}}>
+                      {coilProcess.reheat.required ? `Supply air ${coilProcess.supplyCFM} CFM with reheat` : 'Not required'}
+                    </small>
+                  </div>
+                </div>
+                {coilProcess.warnings.length > 0 && (
+                  <small className="hint">{coilProcess.warnings.map(warning => warning.message).join('; ')}</small>
+                )}
+                <PsychrometricChart
+                  title={`${roomData?.roomName || 'Room'} Coil Process`}
+                  fileName={`coil-process-${roomData?.roomName || 'room'}`}
+                  pressure={projectData?.ambient?.pressure}
+                  data={getProcessChartData({ coilProcess, pressure: projectData?.ambient?.pressure })}
+                />
+              </div>
+            )}
+
             {/* Airflow Details */}
             <div className="subsection">
               <h4>Airflow Breakdown</h4>
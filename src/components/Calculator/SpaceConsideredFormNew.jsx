@@ -3,6 +3,7 @@ import { ref, set, get, update } from "firebase/database";
 import { db } from "../../firebase/config";
 import { useAuth } from "../../hooks/useAuth";
 import RoomHeatLoadCalculator from "./RoomHeatLoadCalculator";
+import { computeRoomLoad } from "../../utils/roomLoadEngine";
 import { 
   calculateCompleteRoomLoad,
   calculateDiversityFactor,
@@ -20,6 +21,10 @@ const SOLAR_GAIN_VALUES = {
   'NorthEast': 138, 'SouthEast': 85, 'NorthWest': 138, 'SouthWest': 85
 };
 
+// Latent heat per person and safety factor used by this sheet
+const LATENT_HEAT_PER_PERSON = 200;
+const SAFETY_FACTOR_PERCENT = 10;
+
 // U-Factor standards (BTU/hr/sq.ft/°F)
 const U_FACTORS = {
   glass: 0.56,
@@ -216,67 +221,46 @@ export default function SpaceConsideredFormNew({ projectData, onSave, onBack, sa
     setPartitions(updated);
   }, [conditions.diffDB]);
 
-  // Calculate all totals
+  // Calculate all totals through the shared room load engine
   useEffect(() => {
-    // Sun gain glass total
-    const sunGainTotal = sunGainGlass.reduce((sum, item) => sum + (parseFloat(item.btuHr) || 0), 0);
-    
-    // Solar gain walls total
-    const solarGainTotal = solarGainWalls.reduce((sum, item) => sum + (parseFloat(item.btuHr) || 0), 0);
-    
-    // Partition gains total
-    const partitionTotal = partitions.reduce((sum, item) => sum + (parseFloat(item.btuHr) || 0), 0);
-    
-    // Internal heat gains
-    const peopleHeat = (parseFloat(internalHeat.people) || 0) * (parseFloat(internalHeat.shPerPerson) || 0);
-    const lightsHeat = (parseFloat(internalHeat.lightsArea) || 0) * (parseFloat(internalHeat.lightsWattsSqFt) || 0);
-    const appliancesHeat = (parseFloat(internalHeat.appliancesWatts) || 0) * 3.41;
-    const motorHeat = (parseFloat(internalHeat.motorBHP) || 0) + (parseFloat(internalHeat.motorHP) || 0);
-    
-    // Infiltration
-    const infiltrationCFM = parseFloat(infiltration.cfm) || 0;
-    const tDiff = parseFloat(conditions.diffDB) || 0;
-    const grDiff = parseFloat(conditions.diffGR) || 0;
-    const infiltrationSH = infiltrationCFM * tDiff * 1.08;
-    
-    // Sensible heat total
-    const sensibleHeatTotal = sunGainTotal + solarGainTotal + partitionTotal + peopleHeat + lightsHeat + appliancesHeat + motorHeat + infiltrationSH;
-    const effectiveSensibleHeat = sensibleHeatTotal * 1.08;
-    
-    // Latent heat
-    const peopleLatent = (parseFloat(internalHeat.people) || 0) * 200; // 200 BTU/hr latent per person
-    const infiltrationLH = infiltrationCFM * grDiff * 0.68;
-    const latentHeatTotal = peopleLatent + infiltrationLH;
-    const effectiveLatentHeat = latentHeatTotal * 1.08;
-    
-    // Room total
-    const effectiveRoomTotalHeat = effectiveSensibleHeat + effectiveLatentHeat;
-    
-    // Outside air heat gains
-    const ventilationCFM = parseFloat(infiltration.ventilationAir) || 0;
-    const totalCFM = infiltrationCFM + ventilationCFM;
-    const outsideAirSensible = totalCFM * tDiff * 1.08;
-    const outsideAirLatent = totalCFM * grDiff * 0.68;
-    
-    // Grand total
-    const grandTotalHeat = effectiveRoomTotalHeat + outsideAirSensible + outsideAirLatent;
-    const tons = grandTotalHeat / 12000;
-    
+    const roomArea = parseFloat(internalHeat.lightsArea) || parseFloat(dimensions.area) || 0;
+    const load = computeRoomLoad({
+      ...conditions,
+      sqFt: roomArea,
+      bypassFactor: dimensions.bypassFactor,
+      sunGainGlass: sunGainGlass.map(item => ({ ...item, manual: true })),
+      solarGainWalls: solarGainWalls.map(item => ({ ...item, manual: true })),
+      transGainPartition: partitions,
+      numPeople: internalHeat.people,
+      shPerPerson: internalHeat.shPerPerson,
+      lhPerPerson: LATENT_HEAT_PER_PERSON,
+      lightsWatts: internalHeat.lightsWattsSqFt,
+      // Appliances are entered as total watts on this sheet; the engine works per sq.ft
+      appliancesWatts: roomArea > 0 ? (parseFloat(internalHeat.appliancesWatts) || 0) / roomArea : 0,
+      motorBHP: internalHeat.motorBHP,
+      motorHP: internalHeat.motorHP,
+      cfmInfiltration: infiltration.cfm,
+      totalCfmPeople: infiltration.ventilationAir,
+      safetyFactorSensible: SAFETY_FACTOR_PERCENT,
+      safetyFactorLatent: SAFETY_FACTOR_PERCENT
+    });
+
     setTotals({
-      sensibleHeatTotal: sensibleHeatTotal.toFixed(0),
-      safetyFactor: '0',
-      effectiveSensibleHeat: effectiveSensibleHeat.toFixed(0),
-      latentHeatTotal: latentHeatTotal.toFixed(0),
-      latentSafetyFactor: '0',
-      effectiveLatentHeat: effectiveLatentHeat.toFixed(0),
-      effectiveRoomTotalHeat: effectiveRoomTotalHeat.toFixed(0),
-      outsideAirSensible: outsideAirSensible.toFixed(0),
-      outsideAirLatent: outsideAirLatent.toFixed(0),
-      grandTotalHeat: grandTotalHeat.toFixed(0),
-      tons: tons.toFixed(2)
+      sensibleHeatTotal: load.sensibleSubtotal.toFixed(0),
+      safetyFactor: load.sensibleSafety.toFixed(0),
+      effectiveSensibleHeat: load.ESHT.toFixed(0),
+      latentHeatTotal: load.latentSubtotal.toFixed(0),
+      latentSafetyFactor: load.latentSafety.toFixed(0),
+      effectiveLatentHeat: load.ELHT.toFixed(0),
+      effectiveRoomTotalHeat: load.effectiveRoomTotalHeat.toFixed(0),
+      outsideAirSensible: load.outsideAirSensible.toFixed(0),
+      outsideAirLatent: load.outsideAirLatent.toFixed(0),
+      grandTotalHeat: load.GTH.toFixed(0),
+      tons: load.tonsRequired.toFixed(2)
     });
 
     // CFM calculations
+    const totalCFM = load.ventilationCFM;
     const cfmPeople = (parseFloat(internalHeat.people) || 0) * 15;
     const area = parseFloat(dimensions.area) || 1;
     const cfmSqFt = (totalCFM / area).toFixed(2);
@@ -0,0 +1,151 @@
+import React from 'react';
+import {
+  VENTILATION_METHODS,
+  VENTILATION_SYSTEMS,
+  ASHRAE_62_1_ZONES,
+  NBC_2016_ZONES,
+  ZONE_AIR_DISTRIBUTION
+} from '../../utils/ventilation';
+import './VentilationReport.css';
+
+/**
+ * Ventilation Report
+ * Outdoor air compliance per floor system (see getVentilationReport): each
+ * zone's requirement against the outdoor air its sheet provides, the system
+ * intake Vot and the treated fresh air it calls for.
+ */
+
+const VentilationReport = ({ report, options, onOptionChange, onCategoryChange }) => {
+  const ashrae = report.method === 'ashrae62_1';
+  const multiZone = ashrae && report.systemType === 'multiZone';
+  const categories = ashrae ? ASHRAE_62_1_ZONES : NBC_2016_ZONES;
+
+  return (
+    <div className="ventilation-report">
+      <div className="ventilation-settings">
+        <label>
+          Standard
+          <select value={report.method} onChange={(e) => onOptionChange('method', e.target.value)}>
+            {Object.entries(VENTILATION_METHODS).map(([key, method]) => <option key={key} value={key}>{method.name}</option>)}
+          </select>
+        </label>
+        <label>
+          System
+          <select value={report.systemType} onChange={(e) => onOptionChange('systemType', e.target.value)}>
+            {Object.entries(VENTILATION_SYSTEMS).map(([key, system]) => <option key={key} value={key}>{system.name}</option>)}
+          </select>
+        </label>
+        {ashrae && (
+          <label>
+            Air distribution (Ez)
+            <select value={options.distribution || 'ceilingCool'} onChange={(e) => onOptionChange('distribution', e.target.value)}>
+              {Object.entries(ZONE_AIR_DISTRIBUTION).map(([key, distribution]) => (
+                <option key={key} value={key}>{distribution.name} ({distribution.ez})</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {multiZone && (
+          <label>
+            Occupant diversity (D)
+            <input
+              type="number"
+              value={options.diversity ?? 1}
+              step="0.05"
+              min="0.1"
+              max="1"
+              onChange={(e) => onOptionChange('diversity', e.target.value === '' ? '' : parseFloat(e.target.value))}
+            />
+          </label>
+        )}
+      </div>
+
+      {report.systems.map(system => (
+        <React.Fragment key={system.floorId}>
+          <h4>{system.floorName}</h4>
+          <table className="ventilation-table">
+            <thead>
+              <tr>
+                <th>Zone</th>
+                <th>Category</th>
+                <th>Area (ft²)</th>
+                <th>People</th>
+                {ashrae ? (
+                  <>
+                    <th>Rp·Pz</th>
+                    <th>Ra·Az</th>
+                    <th>Ez</th>
+                  </>
+                ) : (
+                  <>
+                    <th>People CFM</th>
+                    <th>Air change CFM</th>
+                  </>
+                )}
+                <th>Voz (CFM)</th>
+                {multiZone && (
+                  <>
+                    <th>Vpz (CFM)</th>
+                    <th>Zpz</th>
+                    <th>Evz</th>
+                  </>
+                )}
+                <th>Outdoor air (CFM)</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {system.zones.map(zone => (
+                <tr key={zone.key}>
+                  <td>{zone.name}</td>
+                  <td>
+                    <select value={zone.category} onChange={(e) => onCategoryChange(zone.key, e.target.value)}>
+                      {Object.entries(categories).map(([key, category]) => <option key={key} value={key}>{category.name}</option>)}
+                    </select>
+                  </td>
+                  <td>{Math.round(zone.areaFt2)}</td>
+                  <td>{zone.people}</td>
+                  {ashrae ? (
+                    <>
+                      <td>{zone.peopleCFM}</td>
+                      <td>{zone.areaCFM}</td>
+                      <td>{zone.ez}</td>
+                    </>
+                  ) : (
+                    <>
+                      <td>{zone.peopleCFM}</td>
+                      <td>{zone.achCFM}</td>
+                    </>
+                  )}
+                  <td>{zone.voz}</td>
+                  {multiZone && (
+                    <>
+                      <td>{zone.supplyCFM}</td>
+                      <td>{zone.zpz ?? '—'}</td>
+                      <td>{zone.evz ?? '—'}</td>
+                    </>
+                  )}
+                  <td>{zone.providedCFM}</td>
+                  <td className={zone.ok ? 'ventilation-ok' : 'ventilation-short'}>{zone.ok ? '✓' : '✗'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className={system.ok ? 'ventilation-ok' : 'ventilation-short'}>
+            {multiZone
+              ? `Vou ${system.vou} CFM · Vps ${system.vps} CFM · Xs ${system.xs ?? '—'} · Ev ${system.ev ?? '—'} (${system.evMethod === 'appendixA' ? 'Appendix A' : 'simplified'}) · `
+              : `ΣVoz ${system.sumVoz} CFM · `}
+            Vot {system.vot ?? '—'} CFM against {system.providedCFM} CFM on the sheets {system.ok ? '✓' : '✗'}
+          </p>
+        </React.Fragment>
+      ))}
+
+      <p>
+        <strong>Outdoor air intake to treat: {Math.round(report.totals.vot)} CFM</strong>
+        {' '}({report.totals.zones} zones, {VENTILATION_METHODS[report.method].name})
+      </p>
+    </div>
+  );
+};
+
+export default VentilationReport;
@@ -1,18 +1,23 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import { flatDatabaseService } from '../../services/flatDatabaseService';
+import ProjectSharingService from '../../services/projectSharingService';
+import { PROJECT_ROLES } from '../../utils/projectCollaboration';
+import ShareProjectModal from './ShareProjectModal';
 import { useToast } from '../ui/toast';
 import { Link } from 'react-router-dom';
 import './ProjectManager.css';
 
 const ProjectManager = () => {
-  const { user } = useAuth();
+  const { user, resendVerificationEmail, refreshEmailVerification } = useAuth();
   const { toast } = useToast();
   const [projects, setProjects] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [sortBy, setSortBy] = useState('updatedAt');
   const [sortOrder, setSortOrder] = useState('desc');
+  const [invites, setInvites] = useState([]);
+  const [shareProject, setShareProject] = useState(null);
 
   const loadUserProjects = useCallback(async () => {
     if (!user) {
@@ -25,10 +30,16 @@ const ProjectManager = () => {
       setLoading(true);
       console.log('🔄 Loading projects for user:', user.uid);
       
-      const userProjects = await flatDatabaseService.getUserProjects(user.uid);
-      console.log('✅ Loaded projects:', userProjects.length);
+      const [userProjects, sharedProjects, pendingInvites] = await Promise.all([
+        flatDatabaseService.getUserProjects(user.uid),
+        ProjectSharingService.getSharedProjects(user.uid),
+        // Invites are only readable for a verified address
+        user.emailVerified ? ProjectSharingService.getMyInvites(user.email) : []
+      ]);
+      console.log('✅ Loaded projects:', userProjects.length, 'shared:', sharedProjects.length);
       
-      setProjects(userProjects);
+      setProjects([...userProjects, ...sharedProjects]);
+      setInvites(pendingInvites);
     } catch (error) {
       console.error('❌ Error loading projects:', error);
       setProjects([]);
@@ -62,6 +73,48 @@ const ProjectManager = () => {
     }
   };
 
+  const acceptInvite = async (invite) => {
+    try {
+      await ProjectSharingService.acceptInvite(invite, user);
+      toast.success(`You now have access to ${invite.projectName || invite.projectId}`);
+      await loadUserProjects();
+    } catch (error) {
+      console.error('Error accepting invite:', error);
+      toast.error('Failed to accept invite. It may have been withdrawn.');
+    }
+  };
+
+  const resendVerification = async () => {
+    try {
+      await resendVerificationEmail();
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+      toast.error('Failed to send the verification email. Please try again later.');
+    }
+  };
+
+  const checkVerification = async () => {
+    try {
+      if (!await refreshEmailVerification()) {
+        toast.error('Your email address is not verified yet.');
+      }
+    } catch (error) {
+      console.error('Error refreshing verification:', error);
+      toast.error('Failed to check the verification. Please sign in again.');
+    }
+  };
+
+  const declineInvite = async (invite) => {
+    try {
+      await ProjectSharingService.declineInvite(invite, user);
+      setInvites(invites.filter(entry => entry.id !== invite.id));
+    } catch (error) {
+      console.error('Error declining invite:', error);
+      toast.error('Failed to decline invite.');
+    }
+  };
+
   const duplicateProject = async (project) => {
     if (!user) return;
     
@@ -71,8 +124,11 @@ const ProjectManager = () => {
       const newProjectName = `${project.meta?.projectName || 'Project'} (Copy)`;
       
       // Create a copy of the project data
+      // A copy is a new private project: no members, invites or owner fields
+      const { members: _members, pendingInvites: _pendingInvites, presence: _presence,
+        ownerId: _ownerId, ownerName: _ownerName, role: _role, shared: _shared, ...projectData } = project;
       const duplicatedProject = {
-        ...project,
+        ...projectData,
         designData: {
           ...project.designData,
           meta: {
@@ -275,6 +331,53 @@ const ProjectManager = () => {
         </div>
       </div>
 
+      {user && !user.emailVerified && (
+        <div className="project-invites project-invites-unverified">
+          <h3><i className="bi bi-envelope-exclamation"></i> Verify your email address</h3>
+          <div className="project-invite">
+            <span>
+              Projects shared with <strong>{user.email}</strong> are listed here once the address is verified.
+              Open the link in the verification email, then check again.
+            </span>
+            <div className="project-invite-actions">
+              <button onClick={checkVerification} className="action-btn primary">
+                <i className="bi bi-arrow-clockwise"></i>
+                I&apos;ve verified it
+              </button>
+              <button onClick={resendVerification} className="action-btn secondary">
+                <i className="bi bi-envelope"></i>
+                Resend email
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {invites.length > 0 && (
+        <div className="project-invites">
+          <h3><i className="bi bi-envelope-open"></i> Invitations</h3>
+          {invites.map(invite => (
+            <div key={invite.id} className="project-invite">
+              <span>
+                <strong>{invite.ownerName || 'A colleague'}</strong> shared{' '}
+                <strong>{invite.projectName || invite.projectId}</strong> with you as{' '}
+                {PROJECT_ROLES[invite.role]?.label.toLowerCase() || invite.role}
+              </span>
+              <div className="project-invite-actions">
+                <button onClick={() => acceptInvite(invite)} className="action-btn primary">
+                  <i className="bi bi-check-lg"></i>
+                  Accept
+                </button>
+                <button onClick={() => declineInvite(invite)} className="action-btn secondary">
+                  <i className="bi bi-x-lg"></i>
+                  Decline
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="projects-grid">
         {filteredProjects.length === 0 ? (
           <div className="no-projects">
@@ -296,7 +399,7 @@ const ProjectManager = () => {
             const statusColor = getStatusColor(status.progress);
             
             return (
-              <div key={project.id || project.projectId} className="project-card">
+              <div key={`${project.ownerId || 'own'}_${project.id || project.projectId}`} className="project-card">
                 <div className="project-card-header">
                   <div className="project-info">
                     <h3>{project.designData?.meta?.projectName || project.meta?.projectName || 'Untitled Project'}</h3>
@@ -336,6 +439,12 @@ const ProjectManager = () => {
                     <i className="bi bi-person-fill"></i>
                     <span>{project.designData?.meta?.estimatedBy || project.meta?.estimatedBy || 'Unknown'}</span>
                   </div>
+                  {project.shared && (
+                    <div className="detail-item">
+                      <i className="bi bi-people-fill"></i>
+                      <span>Shared by {project.ownerName || 'owner'} · {PROJECT_ROLES[project.role]?.label || project.role}</span>
+                    </div>
+                  )}
                   <div className="detail-item">
                     <i className="bi bi-clock-fill"></i>
                     <span>{getTimeAgo(project.lastUpdated || project.updatedAt || project.designData?.meta?.savedAt || project.meta?.savedAt)}</span>
@@ -350,7 +459,7 @@ const ProjectManager = () => {
 
                 <div className="project-actions">
                   <Link 
-                    to={`/calculator?project=${project.id || project.projectId}`} 
+                    to={`/calculator?project=${project.id || project.projectId}${project.shared ? `&owner=${project.ownerId}` : ''}`} 
                     className="action-btn primary"
                     title="Open Project"
                   >
@@ -365,14 +474,26 @@ const ProjectManager = () => {
                     <i className="bi bi-files"></i>
                     Copy
                   </button>
-                  <button 
-                    onClick={() => deleteProject(project.id || project.projectId)}
-                    className="action-btn danger"
-                    title="Delete Project"
-                  >
-                    <i className="bi bi-trash"></i>
-                    Delete
-                  </button>
+                  {!project.shared && (
+                    <button 
+                      onClick={() => setShareProject(project)}
+                      className="action-btn secondary"
+                      title="Share Project"
+                    >
+                      <i className="bi bi-people"></i>
+                      Share
+                    </button>
+                  )}
+                  {!project.shared && (
+                    <button 
+                      onClick={() => deleteProject(project.id || project.projectId)}
+                      className="action-btn danger"
+                      title="Delete Project"
+                    >
+                      <i className="bi bi-trash"></i>
+                      Delete
+                    </button>
+                  )}
                 </div>
               </div>
             );
@@ -413,6 +534,15 @@ const ProjectManager = () => {
           </div>
         </div>
       </div>
+
+      {shareProject && (
+        <ShareProjectModal
+          project={shareProject}
+          user={user}
+          toast={toast}
+          onClose={() => setShareProject(null)}
+        />
+      )}
     </div>
   );
 };
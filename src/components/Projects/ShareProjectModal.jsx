@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import ProjectSharingService from '../../services/projectSharingService';
+import { INVITE_ROLES, PROJECT_ROLES } from '../../utils/projectCollaboration';
+
+/**
+ * Share Project Modal
+ * Invites colleagues by email as editor or viewer and manages the members of
+ * a project. Invites wait in the database until the colleague signs in with
+ * that address; the mail link only tells them where to look.
+ */
+const ShareProjectModal = ({ project, user, toast, onClose }) => {
+  const projectId = project.id || project.projectId;
+  const projectName = project.designData?.meta?.projectName || project.meta?.projectName || projectId;
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+  const [members, setMembers] = useState([]);
+  const [pendingInvites, setPendingInvites] = useState([]);
+  const [lastInvite, setLastInvite] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadMembers = useCallback(async () => {
+    try {
+      const result = await ProjectSharingService.getMembers(projectId, user.uid);
+      setMembers(result.members);
+      setPendingInvites(result.pendingInvites);
+    } catch {
+      toast.error('Failed to load project members.');
+    }
+  }, [projectId, user, toast]);
+
+  useEffect(() => {
+    loadMembers();
+  }, [loadMembers]);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy(true);
+      const { invite } = await ProjectSharingService.inviteMember(projectId, { email, role, projectName }, user);
+      setLastInvite(invite);
+      setEmail('');
+      toast.success(`Invited ${invite.email} as ${PROJECT_ROLES[role].label.toLowerCase()}`);
+      await loadMembers();
+    } catch (error) {
+      toast.error(error.message || 'Failed to send invite.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRoleChange = async (memberId, newRole) => {
+    try {
+      await ProjectSharingService.updateMemberRole(projectId, memberId, newRole, user.uid);
+      await loadMembers();
+    } catch {
+      toast.error('Failed to change role.');
+    }
+  };
+
+  const handleRemove = async (entry) => {
+    if (!window.confirm(`Remove ${entry.email || entry.name} from this project?`)) return;
+    try {
+      await ProjectSharingService.removeMember(projectId, entry, user.uid);
+      await loadMembers();
+    } catch {
+      toast.error('Failed to remove member.');
+    }
+  };
+
+  const mailtoLink = lastInvite
+    ? `mailto:${lastInvite.email}?subject=${encodeURIComponent(`HVAC project shared: ${projectName}`)}` +
+      `&body=${encodeURIComponent(
+        `${user.displayName || user.email} shared the HVAC project "${projectName}" with you as ` +
+        `${PROJECT_ROLES[lastInvite.role].label.toLowerCase()}.\n\n` +
+        `Sign in with this email address at ${window.location.origin}/projects and accept the invite.`
+      )}`
+    : null;
+
+  return (
+    <div className="share-modal-overlay" onClick={onClose}>
+      <div className="share-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="share-modal-header">
+          <h3><i className="bi bi-people-fill"></i> Share "{projectName}"</h3>
+          <button type="button" className="share-modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <form className="share-invite-form" onSubmit={handleInvite}>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="colleague@company.com"
+            required
+          />
+          <select value={role} onChange={(e) => setRole(e.target.value)}>
+            {INVITE_ROLES.map(option => (
+              <option key={option} value={option}>{PROJECT_ROLES[option].label}</option>
+            ))}
+          </select>
+          <button type="submit" className="action-btn primary" disabled={busy}>
+            <i className="bi bi-send"></i>
+            Invite
+          </button>
+        </form>
+
+        {mailtoLink && (
+          <p className="share-mail-hint">
+            Invite saved. <a href={mailtoLink}>Email {lastInvite.email}</a> to let them know.
+          </p>
+        )}
+
+        <ul className="share-member-list">
+          <li>
+            <span>{user.displayName || user.email} (you)</span>
+            <span className="share-role">{PROJECT_ROLES.owner.label}</span>
+          </li>
+          {members.map(member => (
+            <li key={member.uid}>
+              <span>{member.name || member.email}</span>
+              <select value={member.role} onChange={(e) => handleRoleChange(member.uid, e.target.value)}>
+                {INVITE_ROLES.map(option => (
+                  <option key={option} value={option}>{PROJECT_ROLES[option].label}</option>
+                ))}
+              </select>
+              <button type="button" onClick={() => handleRemove({ uid: member.uid, email: member.email })}>
+                <i className="bi bi-x-lg"></i>
+              </button>
+            </li>
+          ))}
+          {pendingInvites.map(invite => (
+            <li key={invite.emailKey} className="pending">
+              <span>{invite.email}</span>
+              <span className="share-role">{PROJECT_ROLES[invite.role]?.label} · invited</span>
+              <button type="button" onClick={() => handleRemove({ emailKey: invite.emailKey, email: invite.email })}>
+                <i className="bi bi-x-lg"></i>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default ShareProjectModal;
@@ -6,7 +6,8 @@ import {
   onAuthStateChanged,
   GoogleAuthProvider,
   signInWithPopup,
-  updateProfile
+  updateProfile,
+  sendEmailVerification
 } from 'firebase/auth';
 import { auth, db } from '../firebase/config';
 import { ref, set, get } from 'firebase/database';
@@ -94,6 +95,7 @@ export const useAuth = () => {
           setUser({
             uid: userAuth.uid,
             email: userAuth.email,
+            emailVerified: userAuth.emailVerified,
             displayName: userAuth.displayName,
             photoURL: userAuth.photoURL,
             profile: userProfile
@@ -147,6 +149,13 @@ export const useAuth = () => {
       
       // Create user profile in Realtime DB
       await createUserProfile(result.user, { displayName });
+
+      // Project invites are only readable once the address is verified
+      try {
+        await sendEmailVerification(result.user);
+      } catch (error) {
+        console.error('❌ Error sending verification email:', error);
+      }
       
       return result;
     } catch (error) {
@@ -195,6 +204,23 @@ export const useAuth = () => {
     }
   };
 
+  // Send the verification email again
+  const resendVerificationEmail = async () => {
+    if (!auth.currentUser) return;
+    await sendEmailVerification(auth.currentUser);
+  };
+
+  // Pick up a verification made in the email link; the ID token is refreshed so
+  // that the database rules see the verified address
+  const refreshEmailVerification = async () => {
+    if (!auth.currentUser) return false;
+    await auth.currentUser.reload();
+    await auth.currentUser.getIdToken(true);
+    const emailVerified = auth.currentUser.emailVerified;
+    setUser(prev => (prev ? { ...prev, emailVerified } : prev));
+    return emailVerified;
+  };
+
   return { 
     user, 
     loading, 
@@ -204,6 +230,8 @@ export const useAuth = () => {
     logout, 
     signInWithGoogle,
     updateUserProfile,
-    getUserProfile
+    getUserProfile,
+    resendVerificationEmail,
+    refreshEmailVerification
   };
 };
\ No newline at end of file
@@ -0,0 +1,61 @@
+import { useState, useMemo, useCallback } from 'react';
+import { EQUIPMENT_CATALOG, mergeCatalog, readCatalogWorkbook, getManufacturers } from '../utils/equipmentCatalog';
+
+// Models imported from manufacturer price lists stay on this device
+const IMPORTED_MODELS_KEY = 'equipment-catalog-imported-models';
+
+const loadImportedModels = () => {
+  try {
+    return JSON.parse(localStorage.getItem(IMPORTED_MODELS_KEY)) || [];
+  } catch (error) {
+    console.error('Error loading imported equipment models:', error);
+    return [];
+  }
+};
+
+/**
+ * Equipment catalog with the price lists imported on this device merged in
+ * @returns {Object} { models, manufacturers, importedModels, importFile, removeManufacturer }
+ */
+export const useEquipmentCatalog = () => {
+  const [importedModels, setImportedModels] = useState(loadImportedModels);
+
+  const models = useMemo(
+    () => mergeCatalog(EQUIPMENT_CATALOG.models, importedModels),
+    [importedModels]
+  );
+  const manufacturers = useMemo(() => getManufacturers(models), [models]);
+
+  const storeImported = useCallback((next) => {
+    setImportedModels(next);
+    try {
+      localStorage.setItem(IMPORTED_MODELS_KEY, JSON.stringify(next));
+    } catch (error) {
+      console.error('Error saving imported equipment models:', error);
+    }
+  }, []);
+
+  /**
+   * Import an XLSX/CSV price list
+   * @param {File} file - Selected file
+   * @param {Object} [options] - { manufacturer } for lists without a brand column
+   * @returns {Promise<Object>} { models, errors }
+   */
+  const importFile = useCallback(async (file, options = {}) => {
+    const isText = /\.csv$/i.test(file.name);
+    const result = readCatalogWorkbook(isText ? await file.text() : await file.arrayBuffer(), options);
+    if (result.models.length > 0) {
+      const ids = new Set(result.models.map(entry => entry.id));
+      storeImported([...importedModels.filter(entry => !ids.has(entry.id)), ...result.models]);
+    }
+    return result;
+  }, [importedModels, storeImported]);
+
+  const removeManufacturer = useCallback((manufacturer) => {
+    storeImported(importedModels.filter(entry => entry.manufacturer !== manufacturer));
+  }, [importedModels, storeImported]);
+
+  return { models, manufacturers, importedModels, importFile, removeManufacturer };
+};
+
+export default useEquipmentCatalog;
@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from 'react';
+import OrganizationService from '../services/organizationService';
+import { createOrganization } from '../utils/letterhead';
+
+/**
+ * The user's organization profile (blank, with the default templates, until saved)
+ * @param {string} [userId]
+ * @returns {Object} { organization, saved, loading, saveOrganization }
+ */
+export const useOrganization = (userId) => {
+  const [organization, setOrganization] = useState(createOrganization);
+  const [saved, setSaved] = useState(false);
+  const [loading, setLoading] = useState(!!userId);
+
+  useEffect(() => {
+    if (!userId) {
+      setLoading(false);
+      return undefined;
+    }
+    let cancelled = false;
+    setLoading(true);
+    OrganizationService.loadOrganization(userId).then(profile => {
+      if (cancelled) return;
+      if (profile) {
+        setOrganization(createOrganization(profile));
+        setSaved(true);
+      }
+      setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  /**
+   * Save the edited organization
+   * @param {Object} next - Organization
+   * @returns {Promise<Object>} Saved organization
+   */
+  const saveOrganization = useCallback(async (next) => {
+    const profile = await OrganizationService.saveOrganization(userId, next);
+    setOrganization(createOrganization(profile));
+    setSaved(true);
+    return profile;
+  }, [userId]);
+
+  return { organization, saved, loading, saveOrganization };
+};
+
+export default useOrganization;
@@ -0,0 +1,54 @@
+import { useState, useEffect, useCallback } from 'react';
+import RateLibraryService from '../services/rateLibraryService';
+import { createRateLibrary, readRateWorkbook } from '../utils/rateLibrary';
+
+/**
+ * The user's saved rate library (the reference rates until they save one)
+ * @param {string} [userId]
+ * @returns {Object} { library, loading, saveLibrary, readFile }
+ */
+export const useRateLibrary = (userId) => {
+  const [library, setLibrary] = useState(createRateLibrary);
+  const [loading, setLoading] = useState(!!userId);
+
+  useEffect(() => {
+    if (!userId) {
+      setLoading(false);
+      return undefined;
+    }
+    let cancelled = false;
+    setLoading(true);
+    RateLibraryService.loadLibrary(userId).then(saved => {
+      if (cancelled) return;
+      if (saved) setLibrary(createRateLibrary({ ...saved, rates: saved.rates || [] }));
+      setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  /**
+   * Save an edited library as the next version
+   * @param {Object} next - Library
+   * @returns {Promise<Object>} Saved library
+   */
+  const saveLibrary = useCallback(async (next) => {
+    const saved = await RateLibraryService.saveLibrary(userId, next);
+    setLibrary(saved);
+    return saved;
+  }, [userId]);
+
+  /**
+   * Read rates from an XLSX/CSV schedule
+   * @param {File} file - Selected file
+   * @param {Object} [options] - { supplier } for schedules without a supplier column
+   * @returns {Promise<Object>} { rates, errors }
+   */
+  const readFile = useCallback(async (file, options = {}) => {
+    const isText = /\.csv$/i.test(file.name);
+    return readRateWorkbook(isText ? await file.text() : await file.arrayBuffer(), options);
+  }, []);
+
+  return { library, loading, saveLibrary, readFile };
+};
+
+export default useRateLibrary;
@@ -20,6 +20,54 @@ export const FIREBASE_STRUCTURE = {
         defaultUnits: "metric/imperial",
         defaultDiversityFactor: 1.2,
         preferredManufacturer: "string"
+      },
+      // Organization every export is branded with (utils/letterhead)
+      organization: {
+        name: "string",
+        address: "string", // one line per row
+        gstin: "string",
+        phone: "string",
+        email: "string",
+        website: "string",
+        logo: "data URL (PNG/JPEG, under 300 KB)",
+        signature: { name: "string", designation: "string" },
+        disclaimer: "string",
+        colors: { primary: "#rrggbb", accent: "#rrggbb" },
+        templates: {
+          "{templateId}": { // consultant, contractor, ...
+            name: "string",
+            layout: "band/plain",
+            showGSTIN: "boolean",
+            signatureLabel: "string",
+            disclaimer: "string" // overrides the organization's
+          }
+        },
+        defaultTemplate: "string",
+        updatedAt: "ISO date"
+      },
+      // Schedule of rates used to price BOQs (utils/rateLibrary)
+      rateLibrary: {
+        current: {
+          name: "string",
+          version: "number",
+          updatedAt: "ISO date",
+          defaults: { discountPercent: "number", marginPercent: "number" },
+          supplierDiscounts: [{ supplier: "string", discountPercent: "number" }],
+          rates: [{
+            code: "string", // model number, IDU-<type>, ODU, ACC-<item>, ...
+            item: "string",
+            unit: "string",
+            basis: "unit/TR/HP",
+            rate: "number", // ₹ list rate
+            supplier: "string",
+            discountPercent: "number|null",
+            marginPercent: "number|null",
+            effectiveFrom: "YYYY-MM-DD",
+            effectiveTo: "YYYY-MM-DD"
+          }]
+        },
+        versions: { "{version}": "copy of current as saved" },
+        lastVersion: "number"
       }
     }
   },
@@ -240,15 +288,65 @@ export const FIREBASE_STRUCTURE = {
           tax: "number",
           totalCost: "number",
           generatedAt: "timestamp"
+          // plus the calculateCostSummary breakdown (installation, freight, taxes, roundOff, ...)
+        },
+
+        // Cost structure the summary follows (utils/costStructure); the BOQ
+        // page keeps it at boqData/costStructure
+        costStructure: {
+          template: "simple/tender",
+          name: "string",
+          supplierState: "string", // contractor's GST state
+          siteState: "string", // place of supply; blank = supplierState
+          supplyGSTPercent: "number",
+          installationGSTPercent: "number",
+          installationPercent: { "{section}": "number" },
+          freightPercent: "number",
+          insurancePercent: "number",
+          contingencyPercent: "number",
+          overheadProfitPercent: "number",
+          roundTo: "number"
+        }
+      },
+
+      // Revision counter per workflow section; every save moves the counters of
+      // the sections it writes and is rejected if they moved since it loaded
+      versions: {
+        designData: "number",
+        spaceData: "number",
+        equipmentData: "number",
+        inventoryData: "number",
+        boqData: "number"
+      },
+
+      // Named revisions (full snapshot of the workflow sections)
+      revisions: {
+        "{revisionId}": {
+          id: "string",
+          label: "string", // "R0", "R1", ...
+          name: "string", // "Tender", "After client comments"
+          notes: "string",
+          createdAt: "timestamp",
+          createdBy: "string",
+          summary: { rooms: "number", totalTR: "number", totalCFM: "number", boqTotal: "number" },
+          snapshot: {
+            designData: "object",
+            spaceData: "object",
+            equipmentData: "object",
+            inventoryData: "object",
+            boqData: "object",
+            currentStep: "number"
+          }
         }
       },
 
       // Activity Log
       activityLog: {
         "{timestamp}": {
-          action: "string", // "created", "updated", "calculated", "exported"
-          section: "string", // "design", "building", "equipment", "boq"
+          action: "string", // "created", "updated", "calculated", "exported", "revision", "restored"
+          section: "string", // "design", "building", "equipment", "boq", "project"
           details: "string",
+          revisionId: "string", // revision and restore entries only
           userId: "string"
         }
       }
@@ -289,24 +387,8 @@ export const FIREBASE_STRUCTURE = {
       "hotel": 1.25,
       "hospital": 1.1,
       "residential": 1.3
-    },
-    
-    // Standard Pricing (can be updated)
-    pricing: {
-      iduPrices: {
-        "wall-mounted": { basePrice: 800, pricePerTR: 400 },
-        "cassette-4way": { basePrice: 1200, pricePerTR: 500 },
-        "ducted": { basePrice: 1000, pricePerTR: 450 }
-      },
-      oduPrices: { basePricePerHP: 600 },
-      accessories: {
-        wiredRemote: 150,
-        wirelessRemote: 200,
-        centralController: 2000,
-        copperPipePerMeter: 25,
-        refrigerantPerKg: 45
-      }
     }
+    // Pricing lives in each user's rate library (users/{userId}/rateLibrary)
   }
 };
 
@@ -1,15 +1,107 @@
 // HVAC Data Service - Centralized data management for all 5 forms
 // Ensures proper data flow and persistence throughout the HVAC calculation workflow
 
-import { ref, set, get, update } from 'firebase/database';
+import { ref, set, get, update, push, runTransaction } from 'firebase/database';
 import { db } from '../firebase/config';
+import {
+  REVISION_SECTIONS,
+  createRevisionSnapshot,
+  summarizeSnapshot,
+  getNextRevisionLabel
+} from '../utils/projectRevisions';
+import {
+  VERSIONED_SECTIONS,
+  ProjectConflictError,
+  getSavedSections,
+  findStaleSections,
+  bumpVersions,
+  adoptVersions
+} from '../utils/projectConcurrency';
+import { getProjectOwner, getProjectPath } from './projectSharingService';
+
+// projectId -> section revision counters this client last loaded or saved
+const knownVersions = new Map();
+
+// projectId -> tail of the save queue, so saves from one tab never race each other
+const saveQueues = new Map();
 
 export class HVACDataService {
+
+  /**
+   * Remember the revision counters of sections now in sync with the database
+   * @param {string} projectId
+   * @param {Object} versions - Counters read from the database
+   * @param {string[]} [sections] - Sections the caller now holds (default: all)
+   */
+  static trackVersions(projectId, versions = {}, sections = VERSIONED_SECTIONS) {
+    knownVersions.set(projectId, adoptVersions(knownVersions.get(projectId), versions || {}, sections));
+  }
+
+  /**
+   * Run saves of one project one after another
+   */
+  static runSerialized(projectId, task) {
+    const previous = saveQueues.get(projectId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    saveQueues.set(projectId, next);
+    return next;
+  }
+
+  /**
+   * Move the revision counters of the sections about to be written.
+   * Guarded claims fail with ProjectConflictError when a counter changed since
+   * this client last saw it; `force` skips the check (keep mine), and
+   * `fieldLevel` writes, which cannot overwrite others, only bump the counters.
+   */
+  static async claimVersions(projectId, sections, userId, { force = false, fieldLevel = false } = {}) {
+    if (sections.length === 0) return null;
+
+    const known = knownVersions.get(projectId);
+    // Projects never loaded here (e.g. a new project) have nothing to be stale against
+    const guarded = !force && !fieldLevel && known !== undefined;
+    let stale = [];
+    let previous = null;
+
+    const result = await runTransaction(ref(db, `${getProjectPath(projectId, userId)}/versions`), (current) => {
+      // The first call may see an empty cache; guess from the known counters and
+      // let the server reject the guess if the counters moved
+      const base = current === null && known ? known : current;
+      previous = base;
+      stale = guarded ? findStaleSections(base, known, sections) : [];
+      if (stale.length > 0) return undefined;
+      return bumpVersions(base, sections);
+    });
+
+    const remoteVersions = result.snapshot.val() || {};
+    if (!result.committed) {
+      console.warn('⚠️ Stale save rejected:', projectId, stale);
+      throw new ProjectConflictError(stale, remoteVersions, projectId);
+    }
+
+    // A field-level write stays in sync only if nobody else wrote in between
+    const inSync = fieldLevel ? findStaleSections(previous, known, sections).length === 0 : true;
+    if (inSync) {
+      this.trackVersions(projectId, remoteVersions, sections);
+    }
+    return remoteVersions;
+  }
+  
+  /**
+   * Claim the revision counters of the sections and write the updates
+   */
+  static commitUpdates(projectId, sections, userId, targetRef, updates, options = {}) {
+    return this.runSerialized(projectId, async () => {
+      await this.claimVersions(projectId, sections, userId, options);
+      await update(targetRef, updates);
+    });
+  }
   
   /**
    * Save complete project data with proper structure
+   * @param {Object} [options] - { force } overwrites sections changed elsewhere
+   * @throws {ProjectConflictError} When a section was changed elsewhere since it was loaded
    */
-  static async saveProjectData(projectId, data, userId = null) {
+  static async saveProjectData(projectId, data, userId = null, { force = false } = {}) {
     try {
       // ONLY save in user-based structure to avoid duplicates
       if (!userId) {
@@ -19,20 +111,18 @@ export class HVACDataService {
       
       console.log('💾 Saving project data:', projectId, 'Data keys:', Object.keys(data));
       
-      const projectRef = ref(db, `users/${userId}/projects/${projectId}`);
-      
-      // First, get existing data to merge with
-      const snapshot = await get(projectRef);
-      const existingData = snapshot.exists() ? snapshot.val() : {};
-      
-      console.log('📂 Existing data keys:', Object.keys(existingData));
+      const projectRef = ref(db, getProjectPath(projectId, userId));
+      const ownerId = getProjectOwner(projectId, userId);
       
-      // Merge new data with existing data (don't overwrite everything)
+      // Write only the sections provided with update(): members of a shared
+      // project may write sections but not the project root, and revisions,
+      // members and presence stored under the project are left untouched
       const updates = {
-        ...existingData,
-        lastUpdated: new Date().toISOString(),
-        userId: userId
+        lastUpdated: new Date().toISOString()
       };
+      if (ownerId === userId) {
+        updates.userId = userId;
+      }
       
       // Update only the fields that are provided
       if (data.designData) {
@@ -64,8 +154,7 @@ export class HVACDataService {
         updates.currentStep = data.currentStep;
       }
       
-      // Use set() to save the complete merged data
-      await set(projectRef, updates);
+      await this.commitUpdates(projectId, getSavedSections(data), userId, projectRef, updates, { force });
       console.log('✅ Project data saved successfully:', projectId, `for user ${userId}`);
       console.log('📊 Saved data structure:', Object.keys(updates));
       return { success: true, data: updates };
@@ -78,8 +167,10 @@ export class HVACDataService {
   
   /**
    * Load complete project data
+   * @param {string[]} [trackedSections] - Sections the caller keeps and saves back;
+   *   their revision counters become the base for conflict checks
    */
-  static async loadProjectData(projectId, userId = null) {
+  static async loadProjectData(projectId, userId = null, trackedSections = VERSIONED_SECTIONS) {
     try {
       // ONLY load from user-based structure
       if (!userId) {
@@ -91,7 +182,7 @@ export class HVACDataService {
       }
       
       console.log('🔍 Loading project:', projectId, 'for user:', userId);
-      const projectRef = ref(db, `users/${userId}/projects/${projectId}`);
+      const projectRef = ref(db, getProjectPath(projectId, userId));
       const snapshot = await get(projectRef);
       
       if (snapshot.exists()) {
@@ -140,6 +231,8 @@ export class HVACDataService {
           }
         }
         
+        this.trackVersions(projectId, rawData.versions, trackedSections);
+        
         console.log('📊 designData exists:', !!data.designData);
         console.log('📊 spaceData exists:', !!data.spaceData);
         console.log('📊 equipmentData exists:', !!data.equipmentData);
@@ -174,15 +267,16 @@ export class HVACDataService {
   
   /**
    * Save building structure (floors and rooms) - use update() to prevent overwrites
+   * @throws {ProjectConflictError} When the space data was changed elsewhere
    */
-  static async saveBuildingStructure(projectId, buildingData, userId = null) {
+  static async saveBuildingStructure(projectId, buildingData, userId = null, { force = false } = {}) {
     try {
       if (!userId) {
         console.error('❌ Cannot save building structure without userId');
         throw new Error('User ID is required to save building structure');
       }
       
-      const spaceDataRef = ref(db, `users/${userId}/projects/${projectId}/spaceData`);
+      const spaceDataRef = ref(db, `${getProjectPath(projectId, userId)}/spaceData`);
       
       const updates = {
         'buildingData': {
@@ -192,7 +286,7 @@ export class HVACDataService {
         lastUpdated: new Date().toISOString()
       };
       
-      await update(spaceDataRef, updates);
+      await this.commitUpdates(projectId, ['spaceData'], userId, spaceDataRef, updates, { force });
       
       console.log('✅ Building structure saved with update():', projectId, `for user ${userId}`);
       return { success: true };
@@ -204,7 +298,33 @@ export class HVACDataService {
   }
   
   /**
-   * Save room calculation - saves in both floors and roomCalculations for proper data flow
+   * Save the building's worst month for sun gains ("auto" design month).
+   * Only designData/meta/worstMonth is written, so the Design Inputs stay as they are.
+   */
+  static async saveWorstMonth(projectId, worstMonth, userId = null) {
+    try {
+      if (!userId) {
+        console.error('❌ Cannot save worst month without userId');
+        throw new Error('User ID is required to save the worst month');
+      }
+
+      const designDataRef = ref(db, `${getProjectPath(projectId, userId)}/designData`);
+      await this.commitUpdates(projectId, ['designData'], userId, designDataRef, {
+        'meta/worstMonth': worstMonth
+      }, { fieldLevel: true });
+
+      console.log('✅ Worst month saved:', projectId, worstMonth);
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error saving worst month:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save room calculation - saves in both floors and roomCalculations for proper data flow.
+   * Only this room's fields are written, so it never overwrites other rooms.
    */
   static async saveRoomCalculation(projectId, floorId, roomId, calculationData, userId = null) {
     try {
@@ -214,7 +334,7 @@ export class HVACDataService {
       }
       
       const calculationKey = `${floorId}_${roomId}`;
-      const spaceDataRef = ref(db, `users/${userId}/projects/${projectId}/spaceData`);
+      const spaceDataRef = ref(db, `${getProjectPath(projectId, userId)}/spaceData`);
       
       // Standardize the calculation data structure
       const structuredCalculation = {
@@ -255,35 +375,22 @@ export class HVACDataService {
         lastUpdated: new Date().toISOString()
       };
       
-      // Also update the room in building structure floors
-      const floorsRef = ref(db, `users/${userId}/projects/${projectId}/spaceData/buildingData/floors`);
+      // Also mark the room in building structure floors, field by field
+      const floorsRef = ref(db, `${getProjectPath(projectId, userId)}/spaceData/buildingData/floors`);
       const floorsSnapshot = await get(floorsRef);
       if (floorsSnapshot.exists()) {
-        const floors = floorsSnapshot.val() || [];
-        const updatedFloors = floors.map(floor => {
-          if (floor.id === floorId) {
-            return {
-              ...floor,
-              rooms: (floor.rooms || []).map(room => {
-                if (room.id === roomId) {
-                  return {
-                    ...room,
-                    calculated: true,
-                    calculatedAt: new Date().toISOString(),
-                    heatLoadData: structuredCalculation.heatLoadData
-                  };
-                }
-                return room;
-              })
-            };
-          }
-          return floor;
-        });
-        
-        updates[`buildingData/floors`] = updatedFloors;
+        const floors = Object.entries(floorsSnapshot.val() || {});
+        const [floorIndex, floor] = floors.find(([, entry]) => entry?.id === floorId) || [];
+        const [roomIndex] = Object.entries(floor?.rooms || {}).find(([, room]) => room?.id === roomId) || [];
+        if (roomIndex !== undefined) {
+          const roomPath = `buildingData/floors/${floorIndex}/rooms/${roomIndex}`;
+          updates[`${roomPath}/calculated`] = true;
+          updates[`${roomPath}/calculatedAt`] = new Date().toISOString();
+          updates[`${roomPath}/heatLoadData`] = structuredCalculation.heatLoadData;
+        }
       }
       
-      await update(spaceDataRef, updates);
+      await this.commitUpdates(projectId, ['spaceData'], userId, spaceDataRef, updates, { fieldLevel: true });
       
       console.log('✅ Room calculation saved in both locations:', calculationKey, `for user ${userId}`);
       console.log('📊 Structured calculation data:', structuredCalculation);
@@ -304,7 +411,7 @@ export class HVACDataService {
         console.error('❌ Cannot get building summary without userId');
         return this.createEmptySummary();
       }
-      const spaceDataRef = ref(db, `users/${userId}/projects/${projectId}/spaceData`);
+      const spaceDataRef = ref(db, `${getProjectPath(projectId, userId)}/spaceData`);
       const snapshot = await get(spaceDataRef);
       
       if (!snapshot.exists()) {
@@ -360,10 +467,12 @@ export class HVACDataService {
         console.error('❌ Cannot save equipment data without userId');
         throw new Error('User ID is required');
       }
-      const equipmentRef = ref(db, `users/${userId}/projects/${projectId}/equipmentData`);
-      await set(equipmentRef, {
-        ...equipmentData,
-        savedAt: new Date().toISOString()
+      const projectRef = ref(db, getProjectPath(projectId, userId));
+      await this.commitUpdates(projectId, ['equipmentData'], userId, projectRef, {
+        equipmentData: {
+          ...equipmentData,
+          savedAt: new Date().toISOString()
+        }
       });
       
       console.log('✅ Equipment data saved:', projectId);
@@ -384,10 +493,12 @@ export class HVACDataService {
         console.error('❌ Cannot save inventory data without userId');
         throw new Error('User ID is required');
       }
-      const inventoryRef = ref(db, `users/${userId}/projects/${projectId}/inventoryData`);
-      await set(inventoryRef, {
-        ...inventoryData,
-        savedAt: new Date().toISOString()
+      const projectRef = ref(db, getProjectPath(projectId, userId));
+      await this.commitUpdates(projectId, ['inventoryData'], userId, projectRef, {
+        inventoryData: {
+          ...inventoryData,
+          savedAt: new Date().toISOString()
+        }
       });
       
       console.log('✅ Inventory data saved:', projectId);
@@ -408,10 +519,12 @@ export class HVACDataService {
         console.error('❌ Cannot save BOQ data without userId');
         throw new Error('User ID is required');
       }
-      const boqRef = ref(db, `users/${userId}/projects/${projectId}/boqData`);
-      await set(boqRef, {
-        ...boqData,
-        savedAt: new Date().toISOString()
+      const projectRef = ref(db, getProjectPath(projectId, userId));
+      await this.commitUpdates(projectId, ['boqData'], userId, projectRef, {
+        boqData: {
+          ...boqData,
+          savedAt: new Date().toISOString()
+        }
       });
       
       console.log('✅ BOQ data saved:', projectId);
@@ -432,7 +545,7 @@ export class HVACDataService {
         console.error('❌ Cannot update project step without userId');
         throw new Error('User ID is required');
       }
-      const projectRef = ref(db, `users/${userId}/projects/${projectId}`);
+      const projectRef = ref(db, getProjectPath(projectId, userId));
       await update(projectRef, {
         currentStep: step,
         lastUpdated: new Date().toISOString()
@@ -447,6 +560,128 @@ export class HVACDataService {
     }
   }
   
+  /**
+   * Save a named revision of the project (e.g. "R0 Tender")
+   */
+  static async saveRevision(projectId, { name = '', notes = '', label = null } = {}, userId = null) {
+    try {
+      if (!userId) {
+        console.error('❌ Cannot save revision without userId');
+        throw new Error('User ID is required');
+      }
+      const projectRef = ref(db, getProjectPath(projectId, userId));
+      const snapshot = await get(projectRef);
+      if (!snapshot.exists()) {
+        throw new Error(`Project ${projectId} not found`);
+      }
+
+      const projectData = snapshot.val();
+      const revisions = Object.values(projectData.revisions || {});
+      const revisionId = push(ref(db, `${getProjectPath(projectId, userId)}/revisions`)).key;
+      const createdAt = new Date().toISOString();
+      const revisionSnapshot = createRevisionSnapshot(projectData);
+      const revision = {
+        id: revisionId,
+        label: label || getNextRevisionLabel(revisions),
+        name,
+        notes,
+        createdAt,
+        createdBy: userId,
+        summary: summarizeSnapshot(revisionSnapshot),
+        snapshot: revisionSnapshot
+      };
+
+      await update(projectRef, {
+        [`revisions/${revisionId}`]: revision,
+        [`activityLog/${Date.now()}`]: {
+          action: 'revision',
+          section: 'project',
+          details: `Saved ${revision.label}${name ? ` ${name}` : ''}`,
+          revisionId,
+          userId
+        }
+      });
+
+      console.log('✅ Revision saved:', projectId, revision.label);
+      return { success: true, revision };
+
+    } catch (error) {
+      console.error('❌ Error saving revision:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the revisions of a project, oldest first
+   */
+  static async loadRevisions(projectId, userId = null) {
+    try {
+      if (!userId) {
+        console.warn('⚠️ No userId provided, returning no revisions');
+        return [];
+      }
+      const revisionsRef = ref(db, `${getProjectPath(projectId, userId)}/revisions`);
+      const snapshot = await get(revisionsRef);
+      if (!snapshot.exists()) return [];
+
+      return Object.values(snapshot.val())
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+    } catch (error) {
+      console.error('❌ Error loading revisions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a revision; the current state is kept as a revision first
+   */
+  static async restoreRevision(projectId, revisionId, userId = null) {
+    try {
+      if (!userId) {
+        console.error('❌ Cannot restore revision without userId');
+        throw new Error('User ID is required');
+      }
+      const revisionRef = ref(db, `${getProjectPath(projectId, userId)}/revisions/${revisionId}`);
+      const snapshot = await get(revisionRef);
+      if (!snapshot.exists()) {
+        throw new Error(`Revision ${revisionId} not found`);
+      }
+      const revision = snapshot.val();
+
+      const backup = await this.saveRevision(projectId, {
+        name: `Before restoring ${revision.label}`
+      }, userId);
+
+      // Sections missing from the snapshot are cleared (null removes them)
+      const projectRef = ref(db, getProjectPath(projectId, userId));
+      const updates = {
+        currentStep: revision.snapshot?.currentStep || 1,
+        uiState: null,
+        lastUpdated: new Date().toISOString(),
+        [`activityLog/${Date.now()}`]: {
+          action: 'restored',
+          section: 'project',
+          details: `Restored ${revision.label}${revision.name ? ` ${revision.name}` : ''}`,
+          revisionId,
+          userId
+        }
+      };
+      REVISION_SECTIONS.forEach(section => {
+        updates[section] = revision.snapshot?.[section] ?? null;
+      });
+      // Restoring replaces every section: open copies elsewhere become stale
+      await this.commitUpdates(projectId, VERSIONED_SECTIONS, userId, projectRef, updates, { force: true });
+
+      console.log('✅ Revision restored:', projectId, revision.label);
+      return { success: true, revision, backupRevision: backup.revision };
+
+    } catch (error) {
+      console.error('❌ Error restoring revision:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create empty project structure
    */
@@ -1,6 +1,11 @@
 import { ref, set, get, update, push, remove, onValue } from 'firebase/database';
 import { db } from '../firebase/config';
 import { createProjectStructure, createFloorStructure, createRoomStructure } from './firebaseStructure';
+import { getProjectPath } from './projectSharingService';
+import RateLibraryService from './rateLibraryService';
+import { createRateLibrary, getUnitRate, priceLine, getRateVersion, getAccessoryRateCode } from '../utils/rateLibrary';
+import { getIDUTypeKey } from '../utils/equipmentCatalog';
+import { calculateCostSummary, createCostStructure } from '../utils/costStructure';
 
 /**
  * HVAC Database Service
@@ -403,7 +408,10 @@ class HVACDatabaseService {
       }
       
       const equipmentData = equipmentSnapshot.val();
-      const boq = await this.calculateBOQ(equipmentData);
+      const library = await RateLibraryService.loadLibrary(userId) || createRateLibrary();
+      const structureSnapshot = await get(ref(db, `users/${userId}/projects/${projectId}/boqData/costStructure`));
+      const costStructure = createCostStructure(structureSnapshot.exists() ? structureSnapshot.val() : {});
+      const boq = await this.calculateBOQ(equipmentData, library, costStructure);
       
       // Save BOQ to database
       const boqRef = ref(db, `users/${userId}/projects/${projectId}/boq`);
@@ -422,13 +430,14 @@ class HVACDatabaseService {
     }
   }
 
-  async calculateBOQ(equipmentData) {
-    // BOQ calculation logic based on equipment selection
+  async calculateBOQ(equipmentData, library = createRateLibrary(), costStructure = createCostStructure()) {
+    // BOQ calculation logic based on equipment selection, priced from the rate library
     const boq = {
       indoorUnits: {},
       outdoorUnits: {},
       accessories: {},
-      summary: {}
+      summary: {},
+      rateVersion: getRateVersion(library)
     };
     
     let equipmentCost = 0;
@@ -447,7 +456,7 @@ class HVACDatabaseService {
               model: room.iduModel || `${iduType}-${capacity}TR`,
               capacity,
               quantity: 0,
-              unitPrice: this.getIDUPrice(iduType, capacity),
+              unitPrice: this.getIDUPrice(library, room.iduModel, iduType, capacity),
               totalPrice: 0
             };
           }
@@ -471,7 +480,7 @@ class HVACDatabaseService {
             capacity: oduHP,
             hp: oduHP,
             quantity: 0,
-            unitPrice: this.getODUPrice(oduHP),
+            unitPrice: this.getODUPrice(library, floor.floorSummary.oduModel, oduHP),
             totalPrice: 0
           };
         }
@@ -488,45 +497,44 @@ class HVACDatabaseService {
     const totalIDUs = Object.values(boq.indoorUnits).reduce((sum, idu) => sum + idu.quantity, 0);
     const totalODUs = Object.values(boq.outdoorUnits).reduce((sum, odu) => sum + odu.quantity, 0);
     
+    const accessory = (key, quantity) => {
+      const unitPrice = getUnitRate(library, [getAccessoryRateCode(key)]);
+      return { quantity, unitPrice, totalPrice: quantity * unitPrice };
+    };
     boq.accessories = {
-      wiredRemotes: { quantity: totalIDUs, unitPrice: 150, totalPrice: totalIDUs * 150 },
-      copperPiping: { quantity: totalIDUs * 20, unitPrice: 25, totalPrice: totalIDUs * 20 * 25 },
-      refrigerantGas: { quantity: totalIDUs * 2, unitPrice: 45, totalPrice: totalIDUs * 2 * 45 },
-      drainPiping: { quantity: totalIDUs * 10, unitPrice: 15, totalPrice: totalIDUs * 10 * 15 },
-      oduMountingPads: { quantity: totalODUs, unitPrice: 500, totalPrice: totalODUs * 500 }
+      wiredRemotes: accessory('wiredRemotes', totalIDUs),
+      copperPiping: accessory('copperPiping', totalIDUs * 20),
+      refrigerantGas: accessory('refrigerantGas', totalIDUs * 2),
+      drainPiping: accessory('drainPiping', totalIDUs * 10),
+      oduMountingPads: accessory('oduMountingPads', totalODUs)
     };
     
     materialCost = Object.values(boq.accessories).reduce((sum, acc) => sum + acc.totalPrice, 0);
     
-    // Summary
-    const subtotal = equipmentCost + materialCost;
-    const installationCost = subtotal * 0.3; // 30% of equipment + material
-    const tax = subtotal * 0.18; // 18% GST
-    const totalCost = subtotal + installationCost + tax;
-    
+    // Summary under the project's cost structure
+    const costSummary = calculateCostSummary(boq, costStructure);
+    boq.costStructure = costStructure;
     boq.summary = {
+      ...costSummary,
       equipmentCost,
       materialCost,
-      installationCost,
-      subtotal,
-      tax,
-      totalCost
+      installationCost: costSummary.installation,
+      tax: costSummary.gst,
+      totalCost: costSummary.grandTotal
     };
     
     return boq;
   }
 
-  getIDUPrice(iduType, capacity) {
-    const basePrices = {
-      'wall-mounted': 800,
-      'cassette-4way': 1200,
-      'ducted': 1000
-    };
-    return (basePrices[iduType] || 1000) + (capacity * 400);
+  // The model's own rate, else the type's and then the generic rate per TR
+  getIDUPrice(library, model, iduType, capacity) {
+    const codes = [model, `IDU-${getIDUTypeKey(iduType) || iduType}`, 'IDU'];
+    return priceLine(library, { quantity: 1, unitPrice: 0 }, { codes, capacity: { TR: capacity } }).unitPrice;
   }
 
-  getODUPrice(hp) {
-    return hp * 600; // Base price per HP
+  // The model's own rate, else the generic rate per HP
+  getODUPrice(library, model, hp) {
+    return priceLine(library, { quantity: 1, unitPrice: 0 }, { codes: [model, 'ODU'], capacity: { HP: hp } }).unitPrice;
   }
 
   // ==================== ACTIVITY LOGGING ====================
@@ -567,12 +575,15 @@ class HVACDatabaseService {
 
   // ==================== REAL-TIME LISTENERS ====================
   
+  // Shared projects resolve to the owner's tree, so every member sees the same node
   subscribeToProject(projectId, userId, callback) {
-    const projectRef = ref(db, `users/${userId}/projects/${projectId}`);
+    const projectRef = ref(db, getProjectPath(projectId, userId));
     const unsubscribe = onValue(projectRef, (snapshot) => {
       if (snapshot.exists()) {
         callback({ projectId, ...snapshot.val() });
       }
+    }, (error) => {
+      console.error('❌ Project subscription failed:', error);
     });
     
     this.listeners.set(`project_${projectId}`, unsubscribe);
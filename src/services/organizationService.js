@@ -0,0 +1,39 @@
+// Organization Service - the user's organization profile and letterheads
+// Stored at users/{uid}/organization, next to the user's own profile; every
+// export (BOQ PDF and workbook, engineering report) is branded from it.
+
+import { ref, get, set } from 'firebase/database';
+import { db } from '../firebase/config';
+
+const organizationPath = (userId) => `users/${userId}/organization`;
+
+export class OrganizationService {
+
+  /**
+   * The saved organization, or null when the user has not set one up
+   */
+  static async loadOrganization(userId) {
+    try {
+      const snapshot = await get(ref(db, organizationPath(userId)));
+      return snapshot.exists() ? snapshot.val() : null;
+    } catch (error) {
+      console.error('❌ Error loading organization profile:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the organization with its templates
+   * @returns {Promise<Object>} The organization as saved, with updatedAt
+   */
+  static async saveOrganization(userId, organization) {
+    if (!userId) throw new Error('Sign in to save the organization profile');
+
+    const saved = { ...organization, updatedAt: new Date().toISOString() };
+    await set(ref(db, organizationPath(userId)), saved);
+    console.log('✅ Organization profile saved');
+    return saved;
+  }
+}
+
+export default OrganizationService;
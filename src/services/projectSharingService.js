@@ -0,0 +1,311 @@
+// Project Sharing Service - membership, email invites and live presence
+// A shared project stays under its owner (users/{ownerId}/projects/{projectId});
+// members are listed in the project and find it through users/{uid}/sharedProjects.
+
+import { ref, get, update, remove, onValue, onDisconnect, serverTimestamp } from 'firebase/database';
+import { db } from '../firebase/config';
+import { INVITE_ROLES, isValidEmail, toEmailKey } from '../utils/projectCollaboration';
+
+// projectId -> ownerId for shared projects opened in this session
+const projectOwners = new Map();
+
+/**
+ * Owner of a project as seen by the current user (the user themselves unless
+ * the project was opened from "Shared with me")
+ */
+export const getProjectOwner = (projectId, userId) => projectOwners.get(projectId) || userId;
+
+/**
+ * Database path of a project for the current user
+ */
+export const getProjectPath = (projectId, userId) => `users/${getProjectOwner(projectId, userId)}/projects/${projectId}`;
+
+const inviteId = (ownerId, projectId) => `${ownerId}_${projectId}`;
+
+export class ProjectSharingService {
+
+  /**
+   * Route a shared project to its owner's tree (null ownerId clears it)
+   */
+  static setProjectOwner(projectId, ownerId) {
+    if (ownerId) {
+      projectOwners.set(projectId, ownerId);
+    } else {
+      projectOwners.delete(projectId);
+    }
+  }
+
+  /**
+   * Role of the current user in a project: 'owner', 'editor', 'viewer' or null
+   */
+  static async getRole(projectId, userId) {
+    try {
+      const ownerId = getProjectOwner(projectId, userId);
+      if (ownerId === userId) return 'owner';
+
+      const snapshot = await get(ref(db, `${getProjectPath(projectId, userId)}/members/${userId}/role`));
+      return snapshot.exists() ? snapshot.val() : null;
+
+    } catch (error) {
+      console.error('❌ Error reading project role:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Invite a colleague by email; the invite waits under invites/{emailKey}
+   * until they sign in with that address and accept it
+   */
+  static async inviteMember(projectId, { email, role = 'editor', projectName = '' }, owner) {
+    if (!owner?.uid) {
+      throw new Error('User ID is required');
+    }
+    if (!isValidEmail(email)) {
+      throw new Error('Please enter a valid email address');
+    }
+    if (!INVITE_ROLES.includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    if (toEmailKey(email) === toEmailKey(owner.email)) {
+      throw new Error('You already own this project');
+    }
+
+    try {
+      const emailKey = toEmailKey(email);
+      const invitedAt = new Date().toISOString();
+      const invite = {
+        ownerId: owner.uid,
+        ownerName: owner.displayName || owner.email || '',
+        projectId,
+        projectName,
+        role,
+        email: email.trim().toLowerCase(),
+        invitedAt
+      };
+
+      await update(ref(db), {
+        [`invites/${emailKey}/${inviteId(owner.uid, projectId)}`]: invite,
+        [`users/${owner.uid}/projects/${projectId}/pendingInvites/${emailKey}`]: {
+          email: invite.email,
+          role,
+          invitedAt
+        }
+      });
+
+      console.log('✅ Invite saved:', projectId, invite.email, role);
+      return { success: true, invite };
+
+    } catch (error) {
+      console.error('❌ Error inviting member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invites waiting for the signed-in user
+   */
+  static async getMyInvites(email) {
+    if (!email) return [];
+    try {
+      const snapshot = await get(ref(db, `invites/${toEmailKey(email)}`));
+      if (!snapshot.exists()) return [];
+      return Object.entries(snapshot.val()).map(([id, invite]) => ({ id, ...invite }));
+
+    } catch (error) {
+      console.error('❌ Error loading invites:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Accept an invite: join the project and list it under sharedProjects
+   */
+  static async acceptInvite(invite, user) {
+    if (!user?.uid) {
+      throw new Error('User ID is required');
+    }
+    try {
+      const emailKey = toEmailKey(user.email);
+      const projectPath = `users/${invite.ownerId}/projects/${invite.projectId}`;
+
+      // Membership first: the rules check it against the invite
+      await update(ref(db, `${projectPath}/members/${user.uid}`), {
+        role: invite.role,
+        email: user.email,
+        name: user.displayName || user.email,
+        joinedAt: new Date().toISOString()
+      });
+
+      await update(ref(db), {
+        [`users/${user.uid}/sharedProjects/${inviteId(invite.ownerId, invite.projectId)}`]: {
+          ownerId: invite.ownerId,
+          ownerName: invite.ownerName || '',
+          projectId: invite.projectId,
+          projectName: invite.projectName || '',
+          role: invite.role
+        },
+        [`invites/${emailKey}/${inviteId(invite.ownerId, invite.projectId)}`]: null,
+        [`${projectPath}/pendingInvites/${emailKey}`]: null
+      });
+
+      console.log('✅ Invite accepted:', invite.projectId);
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error accepting invite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decline an invite
+   */
+  static async declineInvite(invite, user) {
+    try {
+      const emailKey = toEmailKey(user?.email);
+      await update(ref(db), {
+        [`invites/${emailKey}/${inviteId(invite.ownerId, invite.projectId)}`]: null,
+        [`users/${invite.ownerId}/projects/${invite.projectId}/pendingInvites/${emailKey}`]: null
+      });
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error declining invite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Members and pending invites of a project (owner view)
+   */
+  static async getMembers(projectId, ownerId) {
+    try {
+      const projectPath = `users/${ownerId}/projects/${projectId}`;
+      const [membersSnapshot, invitesSnapshot] = await Promise.all([
+        get(ref(db, `${projectPath}/members`)),
+        get(ref(db, `${projectPath}/pendingInvites`))
+      ]);
+
+      return {
+        members: Object.entries(membersSnapshot.val() || {}).map(([uid, member]) => ({ uid, ...member })),
+        pendingInvites: Object.entries(invitesSnapshot.val() || {}).map(([emailKey, invite]) => ({ emailKey, ...invite }))
+      };
+
+    } catch (error) {
+      console.error('❌ Error loading members:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a member's role (owner only)
+   */
+  static async updateMemberRole(projectId, memberId, role, ownerId) {
+    if (!INVITE_ROLES.includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    await update(ref(db, `users/${ownerId}/projects/${projectId}/members/${memberId}`), { role });
+    return { success: true };
+  }
+
+  /**
+   * Remove a member or cancel a pending invite (owner only)
+   */
+  static async removeMember(projectId, { uid = null, emailKey = null }, ownerId) {
+    try {
+      const projectPath = `users/${ownerId}/projects/${projectId}`;
+      if (uid) {
+        await remove(ref(db, `${projectPath}/members/${uid}`));
+      }
+      if (emailKey) {
+        await update(ref(db), {
+          [`${projectPath}/pendingInvites/${emailKey}`]: null,
+          [`invites/${emailKey}/${inviteId(ownerId, projectId)}`]: null
+        });
+      }
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Error removing member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Projects other users shared with this user; entries whose membership was
+   * revoked are skipped
+   */
+  static async getSharedProjects(userId) {
+    try {
+      const snapshot = await get(ref(db, `users/${userId}/sharedProjects`));
+      if (!snapshot.exists()) return [];
+
+      const entries = Object.values(snapshot.val());
+      const projects = await Promise.all(entries.map(async (entry) => {
+        try {
+          const projectSnapshot = await get(ref(db, `users/${entry.ownerId}/projects/${entry.projectId}`));
+          if (!projectSnapshot.exists()) return null;
+          const project = projectSnapshot.val();
+          return {
+            ...project,
+            projectId: entry.projectId,
+            ownerId: entry.ownerId,
+            ownerName: entry.ownerName,
+            role: project.members?.[userId]?.role || entry.role,
+            shared: true
+          };
+        } catch {
+          return null;
+        }
+      }));
+
+      return projects.filter(Boolean);
+
+    } catch (error) {
+      console.error('❌ Error loading shared projects:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Announce which room this user is editing (null room clears it); the entry
+   * is removed automatically when the connection drops
+   */
+  static async setPresence(projectId, user, room = null) {
+    if (!user?.uid || !projectId) return;
+    try {
+      const presenceRef = ref(db, `${getProjectPath(projectId, user.uid)}/presence/${user.uid}`);
+      if (!room) {
+        await remove(presenceRef);
+        return;
+      }
+      await onDisconnect(presenceRef).remove();
+      await update(presenceRef, {
+        name: user.displayName || user.email || '',
+        email: user.email || '',
+        floorId: room.floorId,
+        roomId: room.roomId,
+        roomName: room.roomName || '',
+        updatedAt: serverTimestamp()
+      });
+
+    } catch (error) {
+      // Viewers cannot announce presence; editing still works without it
+      console.warn('⚠️ Could not update presence:', error);
+    }
+  }
+
+  /**
+   * Live presence of everyone in the project
+   * @returns {Function} Unsubscribe
+   */
+  static subscribeToPresence(projectId, userId, callback) {
+    return onValue(
+      ref(db, `${getProjectPath(projectId, userId)}/presence`),
+      (snapshot) => callback(snapshot.val() || {}),
+      (error) => console.warn('⚠️ Presence subscription failed:', error)
+    );
+  }
+}
+
+export default ProjectSharingService;
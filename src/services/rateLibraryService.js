@@ -0,0 +1,63 @@
+// Rate Library Service - the user's schedule of rates
+// The library in use sits at users/{uid}/rateLibrary/current; every save bumps
+// its version and keeps a copy under users/{uid}/rateLibrary/versions/{version},
+// so a BOQ's recorded rate version can always be looked up again.
+
+import { ref, get, update, runTransaction } from 'firebase/database';
+import { db } from '../firebase/config';
+
+const libraryPath = (userId) => `users/${userId}/rateLibrary`;
+
+export class RateLibraryService {
+
+  /**
+   * The library in use, or null when the user has not saved one
+   */
+  static async loadLibrary(userId) {
+    try {
+      const snapshot = await get(ref(db, `${libraryPath(userId)}/current`));
+      return snapshot.exists() ? snapshot.val() : null;
+    } catch (error) {
+      console.error('❌ Error loading rate library:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the library as its next version
+   * @returns {Promise<Object>} The library as saved, with its version and updatedAt
+   */
+  static async saveLibrary(userId, library) {
+    if (!userId) throw new Error('Sign in to save the rate library');
+
+    // Claim the version number first so two tabs never save the same one
+    const result = await runTransaction(ref(db, `${libraryPath(userId)}/lastVersion`), (current) => (current || 0) + 1);
+    const saved = {
+      ...library,
+      version: result.snapshot.val(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await update(ref(db, libraryPath(userId)), {
+      current: saved,
+      [`versions/${saved.version}`]: saved
+    });
+    console.log('✅ Rate library saved as version', saved.version);
+    return saved;
+  }
+
+  /**
+   * A past version of the library
+   */
+  static async loadVersion(userId, version) {
+    try {
+      const snapshot = await get(ref(db, `${libraryPath(userId)}/versions/${version}`));
+      return snapshot.exists() ? snapshot.val() : null;
+    } catch (error) {
+      console.error('❌ Error loading rate library version:', error);
+      return null;
+    }
+  }
+}
+
+export default RateLibraryService;
@@ -1,5 +1,8 @@
 // Indian HVAC Calculation Standards
 // Based on Indian climate conditions (Latitude 20°, Hottest month: May)
+// Sun gains can be moved to another latitude/month with a site (see solarGains)
+
+import { getSolarGainRatio } from './solarGains';
 
 export const IndianHVACCalculations = {
   
@@ -16,7 +19,52 @@ export const IndianHVACCalculations = {
     'Horizontal': 8
   },
 
-  // Glass Types and their base U-factors (No Shade)
+  // Design hours for the hour-by-hour analysis (sun time, 6:00 to 20:00)
+  designHours: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20],
+
+  // Fraction of each orientation's peak sun gain through glass, 6:00-20:00 sun time.
+  // 20° latitude in May, ASHRAE clear-sky model through ordinary glass, normalised
+  // so the peak hour reproduces solarGainThroughGlass.
+  solarGainHourFactors: {
+    'North': [0.43, 1.00, 0.96, 0.88, 0.87, 0.91, 0.92, 0.91, 0.87, 0.88, 0.96, 1.00, 0.43, 0, 0],
+    'North East': [0.33, 0.92, 1.00, 0.88, 0.63, 0.36, 0.23, 0.23, 0.21, 0.18, 0.15, 0.10, 0.03, 0, 0],
+    'East': [0.30, 0.88, 1.00, 0.91, 0.70, 0.38, 0.20, 0.19, 0.18, 0.16, 0.13, 0.08, 0.02, 0, 0],
+    'South East': [0.23, 0.80, 1.00, 0.98, 0.78, 0.50, 0.35, 0.34, 0.31, 0.28, 0.22, 0.15, 0.04, 0, 0],
+    'South': [0.11, 0.43, 0.64, 0.79, 0.91, 0.98, 1.00, 0.98, 0.91, 0.79, 0.64, 0.43, 0.11, 0, 0],
+    'South West': [0.04, 0.15, 0.22, 0.28, 0.31, 0.34, 0.35, 0.50, 0.78, 0.98, 1.00, 0.80, 0.23, 0, 0],
+    'West': [0.02, 0.08, 0.13, 0.16, 0.18, 0.19, 0.20, 0.38, 0.70, 0.91, 1.00, 0.88, 0.30, 0, 0],
+    'North West': [0.03, 0.10, 0.15, 0.18, 0.21, 0.23, 0.23, 0.36, 0.63, 0.88, 1.00, 0.92, 0.33, 0, 0],
+    'Horizontal': [0.03, 0.24, 0.49, 0.70, 0.87, 0.97, 1.00, 0.97, 0.87, 0.70, 0.49, 0.24, 0.03, 0, 0]
+  },
+
+  // Fraction of the peak wall ETD, 6:00-20:00 sun time, from ASHRAE CLTD wall
+  // group D (1989 Fundamentals, Table 32, sunlit walls) over each orientation's
+  // highest value in those hours. Group D is the nearest to a 60 lbs/sq.ft wall;
+  // applied to every wall weight. CLTD (°F) 6:00-20:00:
+  //   N   7  6  6  6  6  6  7  8 10 12 13 15 17 18 19
+  //   NE  8  7  8 10 14 17 20 22 23 23 24 24 25 25 24
+  //   E   9  8  9 12 17 22 27 30 32 33 33 32 32 31 30
+  //   SE  9  8  8 10 13 17 22 26 29 31 32 32 32 31 30
+  //   S   8  7  6  6  7  9 12 16 20 24 27 29 29 29 27
+  //   SW 12 10  9  8  8  8 10 12 15 20 25 31 36 39 40
+  //   W  13 11 10  9  9  9 10 11 14 18 24 30 36 41 44
+  //   NW 10  8  7  7  7  7  8  9 10 12 14 18 22 27 31
+  wallETDHourFactors: {
+    'North': [0.37, 0.32, 0.32, 0.32, 0.32, 0.32, 0.37, 0.42, 0.53, 0.63, 0.68, 0.79, 0.89, 0.95, 1.00],
+    'North East': [0.32, 0.28, 0.32, 0.40, 0.56, 0.68, 0.80, 0.88, 0.92, 0.92, 0.96, 0.96, 1.00, 1.00, 0.96],
+    'East': [0.27, 0.24, 0.27, 0.36, 0.52, 0.67, 0.82, 0.91, 0.97, 1.00, 1.00, 0.97, 0.97, 0.94, 0.91],
+    'South East': [0.28, 0.25, 0.25, 0.31, 0.41, 0.53, 0.69, 0.81, 0.91, 0.97, 1.00, 1.00, 1.00, 0.97, 0.94],
+    'South': [0.28, 0.24, 0.21, 0.21, 0.24, 0.31, 0.41, 0.55, 0.69, 0.83, 0.93, 1.00, 1.00, 1.00, 0.93],
+    'South West': [0.30, 0.25, 0.23, 0.20, 0.20, 0.20, 0.25, 0.30, 0.38, 0.50, 0.62, 0.78, 0.90, 0.97, 1.00],
+    'West': [0.30, 0.25, 0.23, 0.20, 0.20, 0.20, 0.23, 0.25, 0.32, 0.41, 0.55, 0.68, 0.82, 0.93, 1.00],
+    'North West': [0.32, 0.26, 0.23, 0.23, 0.23, 0.23, 0.26, 0.29, 0.32, 0.39, 0.45, 0.58, 0.71, 0.87, 1.00]
+  },
+
+  // Fraction of the peak roof ETD, 6:00-20:00 sun time (peak at 16:00)
+  roofETDHourFactors: [0.25, 0.32, 0.40, 0.50, 0.60, 0.70, 0.80, 0.88, 0.95, 0.99, 1.00, 0.99, 0.95, 0.88, 0.80],
+
+  // Glass Types and their base U-factors (No Shade) - sun gain multipliers on
+  // ordinary glass, not thermal transmittances (see glassUValues)
   glassTypes: {
     'Ordinary Glass': { uFactor: 1.00, category: 'single' },
     'Regular Plate (1/4 inch)': { uFactor: 0.94, category: 'single' },
@@ -31,6 +79,23 @@ export const IndianHVACCalculations = {
     'Triple Pane Regular Plate': { uFactor: 0.69, category: 'triple' }
   },
 
+  // Thermal U-values of the glass types (Btu/hr·sq.ft·°F), winter, vertical
+  // glazing without frame (ASHRAE Fundamentals fenestration tables; 1/2 inch
+  // air space for multiple panes). Tints change the sun gain, not the U-value.
+  glassUValues: {
+    'Ordinary Glass': 1.10,
+    'Regular Plate (1/4 inch)': 1.09,
+    'Heat Absorbing Glass 40-48%': 1.10,
+    'Heat Absorbing Glass 48-56%': 1.10,
+    'Heat Absorbing Glass 56-70%': 1.10,
+    'Double Pane Ordinary Glass': 0.55,
+    'Double Pane Regular Plate': 0.55,
+    'Double Pane 48-56% Absorbing Outside': 0.55,
+    'Double Pane 48-56% Absorbing Outside Regular Inside': 0.55,
+    'Triple Pane Ordinary Glass': 0.36,
+    'Triple Pane Regular Plate': 0.36
+  },
+
   // Shading Factors for different shading devices
   shadingFactors: {
     'No Shade': 1.00,
@@ -129,9 +194,10 @@ export const IndianHVACCalculations = {
     'RCC Slab without Insulation': 0.76
   },
 
-  // Calculate solar heat gain through glass
-  calculateSolarHeatGain: function(orientation, glassArea, glassType, shadingType) {
-    const baseSolarGain = this.solarGainThroughGlass[orientation] || 0;
+  // Calculate solar heat gain through glass (at the peak hour unless an hour is given;
+  // site = { latitude, month } moves the sheet basis)
+  calculateSolarHeatGain: function(orientation, glassArea, glassType, shadingType, hour, site) {
+    const baseSolarGain = this.getSolarGainForOrientation(orientation, hour, site);
     const glassInfo = this.glassTypes[glassType] || { uFactor: 1.00 };
     const shadingFactor = this.shadingFactors[shadingType] || 1.00;
     
@@ -148,18 +214,18 @@ export const IndianHVACCalculations = {
   },
 
   // Calculate wall heat gain
-  calculateWallHeatGain: function(wallArea, wallType, orientation, wallWeight, tempDifference) {
+  calculateWallHeatGain: function(wallArea, wallType, orientation, wallWeight, tempDifference, hour) {
     const wallUFactor = this.wallUFactors[wallType] || 0.58; // Default to 6 inch brick
-    const etdValue = this.wallETD.weights[wallWeight]?.[orientation] || this.wallETD[orientation] || 20;
+    const etdValue = this.getWallETD(orientation, wallWeight, hour);
     
     // Wall Heat Gain = Area × U-factor × (ETD + Temperature Difference)
     return wallArea * wallUFactor * (etdValue + tempDifference);
   },
 
   // Calculate roof heat gain
-  calculateRoofHeatGain: function(roofArea, roofType, sunExposure, roofWeight, tempDifference) {
+  calculateRoofHeatGain: function(roofArea, roofType, sunExposure, roofWeight, tempDifference, hour) {
     const roofUFactor = this.roofUFactors[roofType] || 0.76; // Default to concrete slab
-    const etdValue = this.roofETD[sunExposure]?.[roofWeight] || 35;
+    const etdValue = this.getRoofETD(sunExposure, roofWeight, hour);
     
     // Roof Heat Gain = Area × U-factor × (ETD + Temperature Difference)
     return roofArea * roofUFactor * (etdValue + tempDifference);
@@ -206,8 +272,37 @@ export const IndianHVACCalculations = {
   },
 
   // Validate and get solar gain for orientation
-  getSolarGainForOrientation: function(orientation) {
-    return this.solarGainThroughGlass[orientation] || 0;
+  getSolarGainForOrientation: function(orientation, hour, site) {
+    return (this.solarGainThroughGlass[orientation] || 0) * this.getSolarHourFactor(orientation, hour, site);
+  },
+
+  // Hour factor lookup; no hour, 'peak' or an hour outside designHours gives factor 1
+  getHourFactor: function(factors, hour) {
+    if (!factors || hour === undefined || hour === null || hour === 'peak') return 1;
+    const value = factors[Number(hour) - this.designHours[0]];
+    return value === undefined ? 1 : value;
+  },
+
+  // Find a table row by orientation, tolerating 'Northeast' vs 'North East'
+  findOrientationFactors: function(table, orientation) {
+    if (!orientation) return null;
+    const key = String(orientation).replace(/\s+/g, '').toLowerCase();
+    const match = Object.keys(table).find(name => name.replace(/\s+/g, '').toLowerCase() === key);
+    return match ? table[match] : null;
+  },
+
+  // Sun gain factor for an orientation at a sun-time hour (1 for unknown orientations).
+  // With a site latitude or month the factor comes from the clear-sky model instead.
+  getSolarHourFactor: function(orientation, hour, site) {
+    if (site && (site.latitude != null || site.month != null)) {
+      return getSolarGainRatio(orientation, { latitude: site.latitude, month: site.month, hour });
+    }
+    return this.getHourFactor(this.findOrientationFactors(this.solarGainHourFactors, orientation), hour);
+  },
+
+  // Wall ETD factor for an orientation at a sun-time hour (1 for unknown orientations)
+  getWallETDHourFactor: function(orientation, hour) {
+    return this.getHourFactor(this.findOrientationFactors(this.wallETDHourFactors, orientation), hour);
   },
 
   // Get the highest solar gain value (for worst case scenario)
@@ -216,14 +311,16 @@ export const IndianHVACCalculations = {
     return Math.max(...values);
   },
 
-  // Get ETD for wall based on orientation and weight
-  getWallETD: function(orientation, wallWeight = '60') {
-    return this.wallETD.weights[wallWeight]?.[orientation] || this.wallETD[orientation] || 20;
+  // Get ETD for wall based on orientation and weight (peak unless an hour is given)
+  getWallETD: function(orientation, wallWeight = '60', hour) {
+    const peakETD = this.wallETD.weights[wallWeight]?.[orientation] || this.wallETD[orientation] || 20;
+    return peakETD * this.getWallETDHourFactor(orientation, hour);
   },
 
-  // Get ETD for roof based on exposure and weight
-  getRoofETD: function(sunExposure, roofWeight = '60') {
-    return this.roofETD[sunExposure]?.[roofWeight] || 35;
+  // Get ETD for roof based on exposure and weight (peak unless an hour is given)
+  getRoofETD: function(sunExposure, roofWeight = '60', hour) {
+    const peakETD = this.roofETD[sunExposure]?.[roofWeight] || 35;
+    return peakETD * this.getHourFactor(this.roofETDHourFactors, hour);
   }
 };
 
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import IndianHVACCalculations from '../IndianHVACCalculations';
+
+describe('IndianHVACCalculations', () => {
+  it('sun gain through glass = area × SHG × glass factor × shading', () => {
+    expect(IndianHVACCalculations.calculateSolarHeatGain('East', 100, 'Ordinary Glass', 'No Shade')).toBe(7500);
+    expect(IndianHVACCalculations.calculateSolarHeatGain('North East', 100, 'Double Pane Ordinary Glass', 'Inside Venetian Blind Light Colour'))
+      .toBeCloseTo(3578.4, 1); // 100 × 71 × 0.90 × 0.56
+  });
+
+  it('wall gain = area × U × (ETD + ΔT)', () => {
+    expect(IndianHVACCalculations.calculateWallHeatGain(200, '6 inch Brick Wall', 'West', '60', 29)).toBeCloseTo(6844, 1);
+    expect(IndianHVACCalculations.calculateWallHeatGain(100, '4 inch Brick Wall', 'North', '30', 20)).toBeCloseTo(2370, 1);
+  });
+
+  it('roof gain = area × U × (ETD + ΔT)', () => {
+    expect(IndianHVACCalculations.calculateRoofHeatGain(1000, 'Concrete Slab 6 inch', 'Exposed to Sun', '60', 29)).toBeCloseTo(42880, 1);
+    expect(IndianHVACCalculations.calculateRoofHeatGain(1000, 'RCC Slab with Insulation', 'Shaded', '100', 29)).toBeCloseTo(7800, 1);
+  });
+
+  it('falls back to default factors for unknown constructions', () => {
+    expect(IndianHVACCalculations.calculateWallHeatGain(100, 'Unknown', 'Nowhere', '999', 0)).toBeCloseTo(1160, 1); // 0.58 × 20
+    expect(IndianHVACCalculations.getRoofETD('Unknown')).toBe(35);
+  });
+
+  it('lists the nine sheet orientations in order', () => {
+    expect(IndianHVACCalculations.getOrientations()).toEqual([
+      'North', 'North East', 'East', 'South East', 'South', 'South West', 'West', 'North West', 'Horizontal'
+    ]);
+  });
+
+  it('scales sun gain and ETD by sun-time hour', () => {
+    expect(IndianHVACCalculations.calculateSolarHeatGain('East', 100, 'Ordinary Glass', 'No Shade', 8)).toBe(7500);
+    expect(IndianHVACCalculations.calculateSolarHeatGain('East', 100, 'Ordinary Glass', 'No Shade', 12)).toBeCloseTo(1500, 6); // 7500 × 0.20
+    expect(IndianHVACCalculations.getWallETD('West', '60', 20)).toBe(30);
+    expect(IndianHVACCalculations.getWallETD('West', '60', 8)).toBeCloseTo(6.9, 6); // 30 × 0.23
+    expect(IndianHVACCalculations.getRoofETD('Exposed to Sun', '60', 16)).toBe(35);
+    expect(IndianHVACCalculations.getSolarHourFactor('Northeast', 8)).toBe(1);
+    expect(IndianHVACCalculations.getSolarHourFactor('East', 'peak')).toBe(1);
+  });
+
+  it('lags the north-west wall ETD behind the west', () => {
+    const { wallETDHourFactors } = IndianHVACCalculations;
+    expect(wallETDHourFactors['North West']).not.toEqual(wallETDHourFactors.West);
+    expect(IndianHVACCalculations.getWallETDHourFactor('North West', 20)).toBe(1);
+    expect(IndianHVACCalculations.getWallETDHourFactor('North West', 16)).toBeLessThan(IndianHVACCalculations.getWallETDHourFactor('West', 16));
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { calculateHumidityRatio } from '../psychrometrics';
+import {
+  recommendCoilRows,
+  findIndicatedADP,
+  resolveCoilProcess,
+  getRoomCoilProcess,
+  getAHUSchedule
+} from '../ahuCoilProcess';
+
+// 75°F / 50% RH room, 105°F / 130 gr outside
+const room = { dbF: 75, grains: calculateHumidityRatio(75, 50) };
+const outdoor = { dbF: 105, grains: 130 };
+
+describe('indicated ADP', () => {
+  it('follows the ESHF line down to the saturation curve', () => {
+    expect(findIndicatedADP(room, 0.85)).toBeCloseTo(52.3, 0);
+    expect(findIndicatedADP(room, 0.75)).toBeLessThan(findIndicatedADP(room, 0.85));
+    expect(findIndicatedADP(room, 0.6)).toBeNull();
+  });
+
+  it('picks coil rows from the bypass factor', () => {
+    expect(recommendCoilRows(0.2)).toBe(4);
+    expect(recommendCoilRows(0.05)).toBe(6);
+    expect(recommendCoilRows(0.01)).toBe(8);
+  });
+});
+
+describe('coil process', () => {
+  it('resolves mixing, coil leaving state and condensate', () => {
+    const process = resolveCoilProcess({ room, outdoor, ersh: 48000, erlh: 8000, outsideAirCFM: 400, bypassFactor: 0.15 });
+    expect(process).toMatchObject({ eshf: 0.857, adpF: process.indicatedADP, supplyCFM: 2324, outsideAirCFM: 400, ok: true });
+    expect(process.states.mixed.dbF).toBeCloseTo(80.2, 1);
+    // Leaving DB = ADP + BF × (entering DB - ADP)
+    expect(process.states.coilLeaving.dbF).toBeCloseTo(process.adpF + 0.15 * (80.2 - process.adpF), 0);
+    expect(process.states.coilLeaving.wbF).toBeLessThan(process.states.mixed.wbF);
+    expect(process.coil).toMatchObject({ rows: 4, faceVelocityFPM: 500, faceAreaFt2: 4.6 });
+    expect(process.coil.condensateLH).toBeCloseTo(9.9, 1);
+    expect(process.reheat.required).toBe(false);
+  });
+
+  it('adds reheat when the ESHF line misses the saturation curve', () => {
+    const process = resolveCoilProcess({ room, outdoor, ersh: 20000, erlh: 14000, outsideAirCFM: 600, bypassFactor: 0.1 });
+    expect(process.indicatedADP).toBeNull();
+    expect(process.adpF).toBe(45);
+    expect(process.reheat).toMatchObject({ required: true, kW: 3.7 });
+    expect(process.states.supply.dbF).toBeGreaterThan(process.states.coilLeaving.dbF);
+    expect(process.coil.faceVelocityFPM).toBe(400);
+    expect(process.warnings.map(warning => warning.code)).toEqual(['REHEAT']);
+  });
+
+  it('flags a selected ADP away from the indicated one', () => {
+    const process = resolveCoilProcess({ room, outdoor, ersh: 48000, erlh: 8000, outsideAirCFM: 400, adpF: 56 });
+    expect(process.adpF).toBe(56);
+    expect(process.warnings[0]).toMatchObject({ code: 'ADP_MISMATCH' });
+    expect(resolveCoilProcess({ room, outdoor, ersh: 0 })).toBeNull();
+  });
+});
+
+describe('AHU schedule', () => {
+  it('resolves saved rooms and tags one line per zone', () => {
+    const calc = {
+      formData: { insideDB: '75', insideGR: room.grains.toFixed(2), outsideDB: '105', outsideGR: '130', bypassFactor: '0.15' },
+      heatLoadData: { sensibleHeat: 48000, latentHeat: 8000, outsideAirCfm: 400 }
+    };
+    const process = getRoomCoilProcess(calc);
+    expect(process.supplyCFM).toBe(2324);
+    expect(getRoomCoilProcess({ heatLoadData: { coilProcess: process } })).toBe(process);
+    // Rooms saved from the floor-wise calculator keep the sheet one level deeper
+    expect(getRoomCoilProcess({ ...calc, formData: { formData: calc.formData } })).toEqual(process);
+
+    const schedule = getAHUSchedule([
+      { key: 'a', floorName: 'Ground Floor', roomName: 'Hall', coilProcess: process, unit: 'GEN-AHU-3000' },
+      { key: 'b', floorName: 'Ground Floor', roomName: 'Store', coilProcess: null }
+    ]);
+    expect(schedule).toHaveLength(1);
+    expect(schedule[0]).toMatchObject({ tag: 'AHU-01', zone: 'Hall', unit: 'GEN-AHU-3000', rows: 4, coilTR: process.coil.tons });
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import * as XLSX from 'xlsx';
+import { getBOQSections, buildBOQWorkbook } from '../boqWorkbook';
+import { calculateCostSummary, createCostStructure } from '../costStructure';
+
+const costStructure = createCostStructure({ template: 'tender', supplierState: 'Maharashtra', siteState: 'Karnataka' });
+const lines = {
+  indoorUnits: {
+    a: { type: 'Wall Mounted - 1.5 TR', model: 'WM-18', unit: 'nos', quantity: 4, unitPrice: 22500, totalPrice: 90000 }
+  },
+  outdoorUnits: {},
+  refrigerantPiping: [
+    { item: 'Copper tube 15.88 mm', specification: '1.0 mm wall, ASTM B280', unit: 'm', quantity: 60.5, unitPrice: 400, totalPrice: 24200 }
+  ],
+  chilledWater: [
+    { category: 'pump', item: 'Secondary pump', specification: '40 m head', unit: 'Nos', quantity: 2, unitPrice: 5000, totalPrice: 10000 },
+    { category: 'chiller', item: 'Screw chiller', specification: '200 TR', unit: 'Nos', quantity: 0, unitPrice: 0, totalPrice: 0 }
+  ],
+  accessories: {
+    wiredRemotes: { name: 'Wired Remote Controller', description: 'LCD Display', specification: 'Weekly schedule', unit: 'Nos', quantity: 4, unitPrice: 1000, totalPrice: 4000 }
+  }
+};
+const boq = {
+  projectInfo: { name: 'Tower A', number: 'P-7', date: '19/10/2026' },
+  ...lines,
+  costStructure,
+  summary: calculateCostSummary(lines, costStructure)
+};
+
+const cell = (sheet, address) => sheet[address] || {};
+const findRow = (sheet, column, text) => {
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  for (let row = 1; row <= range.e.r + 1; row++) {
+    if (String(cell(sheet, `${column}${row}`).v || '').startsWith(text)) return row;
+  }
+  return null;
+};
+
+describe('BOQ workbook', () => {
+  it('numbers the items by section and skips empty sections and lines', () => {
+    const sections = getBOQSections(boq);
+    expect(sections.map(section => `${section.number} ${section.title}`)).toEqual([
+      '1 Indoor Units', '2 Refrigerant Piping', '3 Pumps', '4 Accessories & Materials'
+    ]);
+    expect(sections[3].items[0]).toMatchObject({ number: '4.1', quantity: 4, unitPrice: 1000 });
+    expect(sections[3].items[0].description)
+      .toBe('Supply of Wired Remote Controller - LCD Display, Weekly schedule, as per specification.');
+  });
+
+  it('writes rates with live amount and subtotal formulas', () => {
+    const sheet = buildBOQWorkbook(boq).Sheets.BOQ;
+    const row = findRow(sheet, 'A', '2.1');
+
+    expect(cell(sheet, `D${row}`).v).toBe(60.5);
+    expect(cell(sheet, `E${row}`).v).toBe(400);
+    expect(cell(sheet, `F${row}`)).toMatchObject({ f: `ROUND(D${row}*E${row},0)`, v: 24200 });
+
+    const subtotal = findRow(sheet, 'B', 'Total of 2');
+    expect(cell(sheet, `F${subtotal}`)).toMatchObject({ f: `SUM(F${row}:F${row})`, v: 24200 });
+    expect(cell(sheet, `F${findRow(sheet, 'B', 'TOTAL')}`).v).toBe(128200);
+  });
+
+  it('builds the summary from the sheet subtotals and the cost structure', () => {
+    const workbook = buildBOQWorkbook(boq);
+    const summary = workbook.Sheets.Summary;
+
+    const pumps = findRow(summary, 'B', '3 - Pumps');
+    expect(cell(summary, `D${pumps}`).f).toBe(`'BOQ'!F${findRow(workbook.Sheets.BOQ, 'B', 'Total of 3')}`);
+
+    const installation = findRow(summary, 'B', 'Installation - Chilled Water');
+    expect(cell(summary, `C${installation}`).v).toBe(10);
+    expect(cell(summary, `D${installation}`)).toMatchObject({ f: `ROUND((D${pumps})*C${installation}/100,0)`, v: 1000 });
+
+    expect(findRow(summary, 'B', 'IGST on supply')).not.toBeNull();
+    expect(findRow(summary, 'B', 'CGST')).toBeNull();
+    expect(cell(summary, `D${findRow(summary, 'B', 'GRAND TOTAL')}`).v).toBe(boq.summary.grandTotal);
+  });
+
+  it('leaves the rates out of the unpriced copy and survives a round trip', () => {
+    const workbook = buildBOQWorkbook(boq, { priced: false, headerLines: ['Rates: v3'] });
+    const sheet = workbook.Sheets.BOQ;
+    const row = findRow(sheet, 'A', '1.1');
+
+    expect(cell(sheet, 'A1').v).toBe('BILL OF QUANTITIES (UNPRICED)');
+    expect(findRow(sheet, 'A', 'Rates')).toBeNull();
+    expect(sheet[`E${row}`]).toBeUndefined();
+    expect(cell(sheet, `F${row}`)).toMatchObject({ f: `ROUND(D${row}*E${row},0)`, v: 0 });
+
+    const reread = XLSX.read(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }), { type: 'array', cellFormula: true });
+    expect(reread.SheetNames).toEqual(['BOQ', 'Summary']);
+    expect(reread.Sheets.BOQ[`F${row}`].f).toBe(`ROUND(D${row}*E${row},0)`);
+  });
+});
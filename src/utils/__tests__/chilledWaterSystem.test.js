@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { EQUIPMENT_CATALOG, parseCatalogRows } from '../equipmentCatalog';
+import {
+  gpmForLoad,
+  selectPipeSize,
+  sizePump,
+  selectTerminalUnit,
+  sizeChillerPlant,
+  designChilledWaterSystem,
+  getChilledWaterSchedule
+} from '../chilledWaterSystem';
+
+const models = EQUIPMENT_CATALOG.models;
+
+const rooms = [
+  { key: 'cabin', floorId: 'ground_floor', floorName: 'Ground Floor', level: 0, roomName: 'Cabin', loadTR: 2, cfm: 700, kind: 'auto' },
+  { key: 'lobby', floorId: 'ground_floor', floorName: 'Ground Floor', level: 0, roomName: 'Lobby', loadTR: 5, cfm: 1800, kind: 'fcu' },
+  { key: 'atrium', floorId: 'floor_1', floorName: 'Floor 1', level: 1, roomName: 'Atrium', loadTR: 60, cfm: 22000, kind: 'auto' }
+];
+
+describe('air handler selection', () => {
+  it('uses fan coil units for small rooms and an AHU where too many would be needed', () => {
+    expect(selectTerminalUnit(models, rooms[0])).toMatchObject({ kind: 'fcu', quantity: 1, model: { model: 'GEN-FCU-800' }, ok: true });
+    expect(selectTerminalUnit(models, rooms[1])).toMatchObject({ kind: 'fcu', quantity: 2, model: { model: 'GEN-FCU-1000' }, airflowCFM: 2000 });
+    expect(selectTerminalUnit(models, rooms[2])).toMatchObject({ kind: 'ahu', quantity: 1, model: { model: 'GEN-AHU-25000' }, gpm: 144 });
+  });
+
+  it('reads fan coil units and AHUs from price lists', () => {
+    const { models: imported } = parseCatalogRows([
+      ['Model', 'Description', 'TR', 'CFM', 'List Price'],
+      ['FC-06', 'Fan coil unit, ceiling concealed', 1.5, 600, 24000],
+      ['AH-100', 'Double skin air handling unit', 28, 10000, 420000]
+    ], { manufacturer: 'Acme' });
+    expect(imported.map(entry => entry.category)).toEqual(['fcu', 'ahu']);
+  });
+});
+
+describe('chiller plant', () => {
+  it('applies diversity and splits large loads over working chillers', () => {
+    const plant = sizeChillerPlant(models, { connectedTR: 400, standbyChillers: 1 });
+    expect(plant).toMatchObject({ designTR: 340, type: 'waterCooled', working: 2, standby: 1, perChillerTR: 200, installedTR: 400, ok: true });
+    expect(sizeChillerPlant(models, { connectedTR: 50 })).toMatchObject({ type: 'airCooled', working: 1, perChillerTR: 50 });
+    expect(sizeChillerPlant(models, { connectedTR: 800, chillerType: 'airCooled', workingChillers: 1 }).ok).toBe(false);
+  });
+
+  it('sizes pipes by flow and pumps by flow and head', () => {
+    expect(gpmForLoad(100)).toBe(240);
+    expect(selectPipeSize(240).dn).toBe(100);
+    expect(sizePump(240, 20)).toMatchObject({ flowM3H: 54.5, shaftKW: 4.24, motorKW: 5.5 });
+  });
+});
+
+describe('chilled water system', () => {
+  it('lays out branches, headers and riser and heads the pumps on the index circuit', () => {
+    const design = designChilledWaterSystem(rooms);
+    const pipe = (label) => design.pipes.find(entry => entry.label === label);
+
+    expect(design.plant).toMatchObject({ connectedTR: 67, designTR: 56.95, type: 'airCooled', perChillerTR: 75 });
+    expect(pipe('Ground Floor / Lobby')).toMatchObject({ count: 2, gpm: 6, dn: 25, lengthM: 32 });
+    expect(pipe('Ground Floor header')).toMatchObject({ gpm: 16.8, dn: 32 });
+    expect(pipe('Riser to Floor 1')).toMatchObject({ gpm: 144, dn: 80, lengthM: 7.2 });
+    expect(design.indexRunM).toBe(133.2);
+    expect(design.pumps.map(pump => pump.key)).toEqual(['primary', 'secondary']);
+    expect(design.pumps[1].headM).toBeCloseTo((133.2 * 0.06 + 4.5 + 3 + 1.5) * 1.1, 1);
+    expect(design.ok).toBe(true);
+  });
+
+  it('itemizes the plant, air handlers, pumps, pipes and valves for the BOQ', () => {
+    const schedule = getChilledWaterSchedule(designChilledWaterSystem(rooms));
+    const item = (code) => schedule.find(entry => entry.code === code);
+
+    expect(item('CH-GEN-AC-75').quantity).toBe(1);
+    expect(item('TU-generic-genfcu1000').quantity).toBe(2);
+    expect(item('VLV-FCU').quantity).toBe(3);
+    expect(item('PMP-secondary').quantity).toBe(2);
+    expect(item('CHW-25').quantity).toBe(Math.ceil(32 * 1.05));
+    expect(item('CHW-32').quantity).toBe(Math.ceil(60 * 1.05));
+    expect(item('INS-CHW-32').quantity).toBe(item('CHW-32').quantity);
+    expect(schedule.every(entry => entry.totalPrice === Math.round(entry.quantity * entry.unitPrice))).toBe(true);
+    const order = ['chiller', 'terminal', 'pump', 'pipe', 'valve', 'insulation'];
+    expect(schedule.map(entry => order.indexOf(entry.category))).toEqual(schedule.map(entry => order.indexOf(entry.category)).sort((a, b) => a - b));
+
+    const waterCooled = getChilledWaterSchedule(designChilledWaterSystem(rooms, { chillerType: 'waterCooled' }));
+    expect(waterCooled.some(entry => entry.code.startsWith('CT-'))).toBe(true);
+    expect(waterCooled.some(entry => entry.code.startsWith('CWP-'))).toBe(true);
+    expect(waterCooled.some(entry => entry.code.startsWith('INS-CWP'))).toBe(false);
+  });
+});
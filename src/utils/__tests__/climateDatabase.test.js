@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CLIMATE_DATASET,
+  findStationByCity,
+  findStationByDistrict,
+  findNearestStation,
+  lookupClimateStation,
+  getDatasetCoverage,
+  getDesignConditions,
+  parseClimateCSV,
+  mergeStations
+} from '../climateDatabase';
+
+describe('station lookup', () => {
+  it('finds stations by city and district regardless of case', () => {
+    expect(findStationByCity('new delhi').name).toBe('New Delhi');
+    expect(findStationByDistrict('GURUGRAM').name).toBe('New Delhi');
+    expect(findStationByCity('Atlantis')).toBeNull();
+  });
+
+  it('falls back to the nearest station for coordinates', () => {
+    // Mysuru is not bundled; Bengaluru is the closest station
+    const result = lookupClimateStation({ city: 'Mysuru', latitude: 12.30, longitude: 76.64 });
+    expect(result.matchedBy).toBe('coordinates');
+    expect(result.station.name).toBe('Bengaluru');
+    expect(result.distanceKm).toBeGreaterThan(100);
+    expect(result.distanceKm).toBeLessThan(150);
+    expect(result.covered).toBe(true);
+  });
+
+  it('reports locations the seed set does not cover', () => {
+    // Port Blair is far from every bundled station
+    const island = lookupClimateStation({ city: 'Port Blair', latitude: 11.67, longitude: 92.74 });
+    expect(island.covered).toBe(false);
+    expect(lookupClimateStation({ district: 'Gurugram' }).covered).toBe(true);
+
+    const coverage = getDatasetCoverage();
+    expect(coverage.stations).toBe(CLIMATE_DATASET.stations.length);
+    expect(coverage.states).toContain('Karnataka');
+    expect(coverage.states).not.toContain('Meghalaya');
+  });
+
+  it('returns null when nothing matches', () => {
+    expect(lookupClimateStation({ city: 'Atlantis' })).toBeNull();
+    expect(findNearestStation('', '')).toBeNull();
+  });
+
+  it('keeps every station complete and physically consistent', () => {
+    CLIMATE_DATASET.stations.forEach((entry) => {
+      ['0.4', '1', '2'].forEach((percentile) => {
+        expect(entry.cooling[percentile].mcwb).toBeLessThan(entry.cooling[percentile].db);
+      });
+      expect(entry.cooling['0.4'].db).toBeGreaterThanOrEqual(entry.cooling['1'].db);
+      expect(entry.cooling['1'].db).toBeGreaterThanOrEqual(entry.cooling['2'].db);
+    });
+  });
+});
+
+describe('getDesignConditions', () => {
+  it('converts the percentile design point to sheet units at the site pressure', () => {
+    const design = getDesignConditions(findStationByCity('Bengaluru'), '1');
+    expect(design.dbF).toBe(93.2);
+    expect(design.wbF).toBeCloseTo(67.3, 1);
+    expect(design.pressure).toBeCloseTo(90.7, 1);
+    expect(design.rh).toBeGreaterThan(20);
+    expect(design.rh).toBeLessThan(35);
+    expect(design.station.name).toBe('Bengaluru');
+  });
+
+  it('throws for an unknown percentile', () => {
+    expect(() => getDesignConditions(findStationByCity('Pune'), '5')).toThrow('No 5% design data for Pune');
+  });
+});
+
+describe('parseClimateCSV', () => {
+  const CSV = [
+    'Station,State,District,Lat,Lon,Elevation (m),DB 0.4,MCWB 0.4,DB 1,MCWB 1,DB 2,MCWB 2',
+    'Mysuru,Karnataka,"Mysuru; Mandya",12.31,76.65,770,35.6,20.1,34.6,20.2,33.7,20.3',
+    'Pune,Maharashtra,Pune,18.53,73.85,559,39.4,19.6,38.3,19.8,37.2,19.9',
+    'Broken,Nowhere,,12,76,,30,20,29,20,28,20',
+    'Wet,Nowhere,,12,76,10,30,32,29,20,28,20'
+  ].join('\n');
+
+  it('imports stations and reports bad rows', () => {
+    const { stations, errors } = parseClimateCSV(CSV);
+    expect(stations.map(entry => entry.name)).toEqual(['Mysuru', 'Pune']);
+    expect(stations[0].districts).toEqual(['Mysuru', 'Mandya']);
+    expect(stations[0].cooling['0.4']).toEqual({ db: 35.6, mcwb: 20.1 });
+    expect(errors.map(error => error.line)).toEqual([4, 5]);
+  });
+
+  it('converts °F files', () => {
+    const { stations } = parseClimateCSV(
+      'City,Latitude,Longitude,Elevation,DB04,MCWB04,DB1,MCWB1,DB2,MCWB2\nX,10,70,0,104,77,102.2,77,100.4,77',
+      { unit: 'F' }
+    );
+    expect(stations[0].cooling['0.4']).toEqual({ db: 40, mcwb: 25 });
+  });
+
+  it('rejects files without the design columns', () => {
+    const { stations, errors } = parseClimateCSV('City,Latitude\nX,10');
+    expect(stations).toEqual([]);
+    expect(errors[0].message).toMatch(/Missing columns/);
+  });
+
+  it('merges imported stations over the bundled set', () => {
+    const { stations } = parseClimateCSV(CSV);
+    const merged = mergeStations(CLIMATE_DATASET.stations, stations);
+    expect(merged).toHaveLength(CLIMATE_DATASET.stations.length + 1);
+    expect(findStationByCity('Pune', merged).cooling['0.4'].db).toBe(39.4);
+    expect(findStationByDistrict('Mandya', merged).name).toBe('Mysuru');
+  });
+});
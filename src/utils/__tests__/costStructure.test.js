@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createCostStructure,
+  findGSTState,
+  getTaxRegime,
+  calculateCostSummary,
+  getCostSummaryRows
+} from '../costStructure';
+
+const sections = {
+  indoorUnits: { a: { totalPrice: 60000 }, b: { totalPrice: 40000 } },
+  outdoorUnits: {},
+  refrigerantPiping: [],
+  chilledWater: [],
+  accessories: [{ totalPrice: 20000 }]
+};
+
+describe('Cost structure', () => {
+  it('keeps the supply-only total at 18% GST split into CGST and SGST', () => {
+    const summary = calculateCostSummary(sections);
+    expect(summary).toMatchObject({ totalIDU: 100000, totalAccessories: 20000, subtotal: 120000, installation: 0, gst: 21600, grandTotal: 141600 });
+    expect(summary.taxes[0].components).toEqual([
+      { name: 'CGST', percent: 9, amount: 10800 },
+      { name: 'SGST', percent: 9, amount: 10800 }
+    ]);
+  });
+
+  it('builds up installation, charges and IGST on a tender across states', () => {
+    const structure = createCostStructure({ template: 'tender', supplierState: 'Maharashtra', siteState: '29' });
+    const summary = calculateCostSummary(sections, structure);
+
+    // 8% of the indoor units and 15% of the accessories
+    expect(summary.installationBySection).toMatchObject({ indoorUnits: 8000, accessories: 3000 });
+    expect(summary).toMatchObject({
+      installation: 11000,
+      freight: 2400,
+      insurance: 612,
+      contingency: 3930,
+      overheadProfit: 13794,
+      taxableValue: 151736,
+      interState: true,
+      placeOfSupply: 'Karnataka'
+    });
+    // Contingency and overhead & profit shared 120 : 11 between supply and installation
+    expect(summary.taxes.map(tax => [tax.part, tax.taxable, tax.amount])).toEqual([
+      ['supply', 139248, 25065],
+      ['installation', 12488, 2248]
+    ]);
+    expect(summary.taxes[0].components[0].name).toBe('IGST');
+    expect(summary).toMatchObject({ gst: 27313, roundOff: -49, grandTotal: 179000 });
+  });
+
+  it('uses UTGST in union territories without a legislature and the contractor state for a blank site', () => {
+    expect(findGSTState('04')).toMatchObject({ name: 'Chandigarh', unionTerritory: true });
+    expect(findGSTState('new delhi').code).toBe('07');
+    expect(findGSTState('Atlantis')).toBeNull();
+
+    expect(getTaxRegime({ supplierState: 'Chandigarh', siteState: '' })).toMatchObject({ interState: false, localTax: 'UTGST' });
+    expect(getTaxRegime({ supplierState: 'Punjab', siteState: 'Chandigarh' })).toMatchObject({ interState: true });
+    expect(getTaxRegime({})).toMatchObject({ interState: false, localTax: 'SGST' });
+  });
+
+  it('lists the summary rows with their percentages', () => {
+    const structure = createCostStructure({ template: 'tender', installationPercent: { indoorUnits: 10 } });
+    const rows = getCostSummaryRows(calculateCostSummary(sections, structure), structure);
+    const labels = rows.map(row => row.label);
+
+    expect(labels).toContain('Installation - Indoor Units (10%)');
+    expect(labels).toContain('Freight (2% of supply)');
+    expect(labels).toContain('CGST @ 9% on installation');
+    // Empty optional sections stay out, the always-shown ones carry zero
+    expect(labels).not.toContain('Chilled Water System Total');
+    expect(rows.find(row => row.label === 'Outdoor Units Total').amount).toBe(0);
+    expect(rows.at(-1)).toMatchObject({ label: 'Grand Total', kind: 'total' });
+  });
+});
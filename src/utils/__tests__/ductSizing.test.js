@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  sizeRoundDuct,
+  frictionRate,
+  equivalentDiameter,
+  rectangularEquivalent,
+  getSpaceType,
+  createDuctNetwork,
+  removeDuctNode,
+  analyseDuctNetwork
+} from '../ductSizing';
+
+describe('duct sizes', () => {
+  it('sizes round ducts at the friction rate and velocity limit', () => {
+    expect(sizeRoundDuct(1000)).toBe(14);
+    expect(frictionRate(1000, 14)).toBeLessThanOrEqual(0.1);
+    expect(frictionRate(1000, 12)).toBeGreaterThan(0.1);
+    // 1800 CFM at 0.1 in.wg/100 ft fits 18" at ~1020 fpm; a 900 fpm limit needs 20"
+    expect(sizeRoundDuct(1800)).toBe(18);
+    expect(sizeRoundDuct(1800, 0.1, 900)).toBe(20);
+  });
+
+  it('finds rectangular equivalents within the duct depth', () => {
+    const rect = rectangularEquivalent(20, 12);
+    expect(rect.heightIn).toBe(12);
+    expect(equivalentDiameter(rect.widthIn, rect.heightIn)).toBeGreaterThanOrEqual(20);
+    expect(equivalentDiameter(rect.widthIn - 2, rect.heightIn)).toBeLessThan(20);
+    // 4:1 at most, so a 36" duct goes deeper than 12"
+    const deep = rectangularEquivalent(36, 12);
+    expect(deep.widthIn / deep.heightIn).toBeLessThanOrEqual(4);
+    expect(deep.heightIn).toBeGreaterThan(12);
+  });
+
+  it('matches space types', () => {
+    expect(getSpaceType('Hotel')).toBe('residential');
+    expect(getSpaceType('Restaurant')).toBe('retail');
+    expect(getSpaceType('industrial')).toBe('industrial');
+    expect(getSpaceType('')).toBe('office');
+  });
+});
+
+describe('duct network', () => {
+  const network = createDuctNetwork({ label: 'IDU', cfm: 1000 });
+
+  it('splits the unit airflow over terminals', () => {
+    const terminals = network.nodes.filter(node => node.type === 'terminal');
+    expect(terminals).toHaveLength(4);
+    expect(terminals.every(node => node.cfm === 250)).toBe(true);
+    expect(removeDuctNode(network.nodes, 'd1')).toHaveLength(network.nodes.length);
+    expect(removeDuctNode(network.nodes, 'd4')).toHaveLength(3);
+  });
+
+  it('sizes by equal friction and finds the critical path', () => {
+    const analysis = analyseDuctNetwork(network, { availableEspPa: 50 });
+    expect(analysis.errors).toEqual([]);
+    expect(analysis.segments.find(segment => segment.label === 'T1')).toMatchObject({ cfm: 1000, roundIn: 14 });
+    expect(analysis.critical.label).toBe('D4');
+    expect(analysis.critical.route).toEqual(['T1', 'T2', 'T3', 'D4']);
+    expect(analysis.esp.requiredInWg).toBeCloseTo(analysis.critical.lossInWg * 1.1, 3);
+    expect(analysis.esp.ok).toBe(true);
+    expect(analysis.totals).toMatchObject({ terminalCount: 4, cfm: 1000, lengthFt: 70 });
+  });
+
+  it('sizes by static regain with regain offsetting the downstream losses', () => {
+    const equal = analyseDuctNetwork(network);
+    const regain = analyseDuctNetwork(network, { method: 'staticRegain' });
+    const runs = regain.segments.filter(segment => segment.label !== 'T1');
+    expect(runs.every(segment => segment.regainInWg > 0)).toBe(true);
+    expect(regain.esp.lossInWg).toBeLessThan(equal.esp.lossInWg);
+  });
+
+  it('flags an ESP shortfall and a broken tree, keeping velocities in limits', () => {
+    const long = {
+      nodes: network.nodes.map(node => (node.label === 'D4' ? { ...node, lengthFt: 400 } : node))
+    };
+    const short = analyseDuctNetwork(long, { availableEspPa: 30 });
+    expect(short.esp.ok).toBe(false);
+    expect(short.ok).toBe(false);
+    expect(short.warnings[0]).toMatch(/30 Pa/);
+
+    const fast = analyseDuctNetwork(network, { method: 'staticRegain', spaceType: 'studio', frictionRate: 0.4 });
+    expect(fast.segments.every(segment => segment.velocityOK)).toBe(true);
+
+    const orphan = analyseDuctNetwork({ nodes: network.nodes.map(node => (node.id === 'd4' ? { ...node, parentId: 'x' } : node)) });
+    expect(orphan.errors.some(error => /not connected/.test(error))).toBe(true);
+    expect(orphan.errors.some(error => /T1 needs 2-4 branches/.test(error))).toBe(true);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getDesignBasisRows,
+  getBuildingLoads,
+  collectReportWarnings,
+  buildEngineeringReport,
+  renderEngineeringReportPDF
+} from '../engineeringReport';
+import { getLetterhead } from '../letterhead';
+import { SPACE_CONSIDERED_CASES } from './fixtures/goldenHeatLoads';
+
+const [office] = SPACE_CONSIDERED_CASES;
+const designData = {
+  meta: { projectName: 'Tower A', projectNumber: 'P-7', climateCity: 'Mumbai', latitude: 19 },
+  ambient: { dbF: 104, wbF: 82.1, rh: 40, grainsPerLb: 130 },
+  inside: { dbF: 75, rh: 50, grainsPerLb: 65 }
+};
+const spaceData = {
+  buildingData: { floors: [{ id: 'f2', name: 'First Floor', level: 1 }, { id: 'f1', name: 'Ground Floor', level: 0 }] },
+  roomCalculations: {
+    f2_r1: { roomId: 'r1', floorId: 'f2', roomName: 'Office', formData: office.formData },
+    f1_r2: { roomId: 'r2', floorId: 'f1', roomName: 'Store', heatLoadData: { area: 200, tonnage: 1.5, totalCfm: 600, totalHeat: 18000 } }
+  }
+};
+const equipmentData = {
+  floors: [{
+    floorName: 'First Floor',
+    rooms: [{ roomName: 'Office', iduType: 'wallMounted', iduModel: { manufacturer: 'Acme', model: 'WM-18' }, machineCapacity: 1.5, numIDUs: 4, heatLoadTR: 5, totalIDUTonnage: 6 }],
+    oduSelection: { manufacturer: 'Acme', model: 'ODU-8', quantity: 1, nominalHP: 8, ratedKW: 22.4, deratedKW: 20.1, demandTR: 6, combinationRatio: 105, warnings: [], ok: true },
+    piping: { errors: ['⚠️ Equivalent length 180 m over the 165 m limit'] }
+  }],
+  capacityShortfalls: ['Ground Floor / Store'],
+  ventilation: { warnings: ['First Floor: Office: 80 CFM outdoor air, needs 100 CFM'] }
+};
+
+describe('Engineering report', () => {
+  it('lists the design basis from the design step', () => {
+    const rows = Object.fromEntries(getDesignBasisRows(designData));
+    expect(rows).toMatchObject({
+      Location: 'Mumbai',
+      'Outdoor dry bulb': '104.0 °F',
+      'Inside RH': '50 %',
+      'Design month': 'Worst month for the site'
+    });
+    const stored = Object.fromEntries(getDesignBasisRows({ ...designData, meta: { ...designData.meta, worstMonth: 4 } }));
+    expect(stored['Design month']).toBe('Worst month for the site (April)');
+  });
+
+  it('lays rooms out as E-20 sheets and totals them by floor in building order', () => {
+    const loads = getBuildingLoads(spaceData);
+    expect(loads.floors.map(floor => floor.floorName)).toEqual(['Ground Floor', 'First Floor']);
+
+    const room = loads.floors[1].rooms[0];
+    expect(room.GTH).toBeCloseTo(office.expected.GTH, 1);
+    const labels = room.rows.map(row => row.cells[0]);
+    expect(labels.indexOf('Glass E')).toBeLessThan(labels.indexOf('EFFECTIVE ROOM SENSIBLE HEAT (ESHT)'));
+    expect(labels).toContain('EFFECTIVE ROOM LATENT HEAT (ELHT)');
+    expect(room.rows.find(row => row.cells[0] === 'GRAND TOTAL HEAT (GTH)').cells[1]).toBe('4.99 TR');
+
+    // A room without a sheet keeps its recorded load
+    expect(loads.floors[0].rooms[0]).toMatchObject({ rows: [], tons: 1.5, cfm: 600 });
+    expect(loads.totals.GTH).toBeCloseTo(office.expected.GTH + 18000, 1);
+    expect(loads.totals.area).toBe(700);
+  });
+
+  it('gathers warnings from every step with where they came from', () => {
+    const warnings = collectReportWarnings({ buildingLoads: getBuildingLoads(spaceData), equipmentData });
+    expect(warnings.map(warning => warning.source)).toEqual([
+      'First Floor / Office', 'First Floor piping', 'Ground Floor / Store', 'Ventilation'
+    ]);
+    expect(warnings[1].message).toBe('Equivalent length 180 m over the 165 m limit');
+  });
+
+  it('renders a cover, contents and a page per section', () => {
+    const report = buildEngineeringReport({ designData, spaceData, equipmentData });
+    const { doc, contents } = renderEngineeringReportPDF(report, { letterhead: getLetterhead({ name: 'Acme Consultants' }) });
+
+    expect(contents.map(entry => entry.title)).toEqual([
+      'Design Basis', 'Room Heat Load Sheets', 'Floor & Building Summary', 'Equipment Schedules', 'Bill of Quantities', 'Warnings & Notes'
+    ]);
+    expect(contents[0].page).toBe(3);
+    // Two rooms, one page each
+    expect(contents[2].page).toBe(contents[1].page + 2);
+    expect(doc.getNumberOfPages()).toBe(contents.at(-1).page);
+
+    const output = doc.output();
+    expect(output).toContain(`Page ${doc.getNumberOfPages()} of ${doc.getNumberOfPages()}`);
+    expect(output).toContain('Acme Consultants');
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import * as XLSX from 'xlsx';
+import {
+  EQUIPMENT_CATALOG,
+  getIDUTypeKey,
+  getSystemType,
+  getCapacityOptions,
+  selectModel,
+  findModel,
+  withManufacturer,
+  mergeCatalog,
+  parseCatalogRows,
+  readCatalogWorkbook
+} from '../equipmentCatalog';
+
+describe('reference catalog', () => {
+  it('offers every size the equipment sheet lists', () => {
+    expect(getCapacityOptions(EQUIPMENT_CATALOG.models, { category: 'idu', type: 'wallMounted' }))
+      .toEqual(expect.arrayContaining([0.8, 1.0, 1.3, 1.5, 2.0, 2.5, 3.0]));
+    expect(getCapacityOptions(EQUIPMENT_CATALOG.models, { category: 'odu', type: 'sideDischarge', systemType: 'vrfHeatPump' }, 'hp'))
+      .toEqual(expect.arrayContaining([5, 6, 8, 10, 12, 14]));
+  });
+
+  it('gives every model a rated capacity, power input and EER', () => {
+    EQUIPMENT_CATALOG.models.forEach(entry => {
+      expect(entry.coolingKW).toBeGreaterThan(0);
+      expect(entry.powerKW).toBeGreaterThan(0);
+      expect(entry.eer).toBeGreaterThan(0);
+    });
+    const odu = findModel(EQUIPMENT_CATALOG.models, { category: 'odu', type: 'topDischarge', systemType: 'vrfHeatPump' }, 10, 'hp');
+    expect(odu.coolingKW).toBe(28);
+    expect(odu.nominalTR).toBeCloseTo(7.96, 2);
+  });
+
+  it('resolves the names older screens used', () => {
+    expect(getIDUTypeKey('Ceiling Cassette 4-Way')).toBe('cassette4Way2x2');
+    expect(getIDUTypeKey('Concealed Duct')).toBe('lowStaticDuct');
+    expect(getIDUTypeKey('1Way Cassette')).toBe('cassette1Way');
+    expect(getSystemType('Heat Recovery').key).toBe('vrfHeatRecovery');
+  });
+});
+
+describe('selectModel', () => {
+  it('picks the smallest model that covers the load', () => {
+    const criteria = { category: 'idu', type: 'cassette4Way2x2' };
+    expect(selectModel(EQUIPMENT_CATALOG.models, criteria, 1.7).nominalTR).toBe(2);
+    expect(selectModel(EQUIPMENT_CATALOG.models, criteria, 9).nominalTR).toBe(5);
+  });
+
+  it('falls back to the reference range when a manufacturer lacks the type', () => {
+    const models = mergeCatalog(EQUIPMENT_CATALOG.models, [
+      { ...findModel(undefined, { type: 'wallMounted' }, 1.5), id: 'acme-w15', manufacturer: 'Acme', model: 'W15' }
+    ]);
+    expect(withManufacturer(models, { type: 'wallMounted', manufacturer: 'Acme' }).manufacturer).toBe('Acme');
+    expect(withManufacturer(models, { type: 'flrs', manufacturer: 'Acme' }).manufacturer).toBe('Generic');
+  });
+});
+
+const PRICE_LIST = [
+  ['VRV Price List 2024'],
+  ['Effective 1 April 2024'],
+  [],
+  ['Model No.', 'Description', 'Capacity (kW)', 'Capacity (HP)', 'Power Input (kW)', 'Airflow (m3/h)', 'Dimensions WxHxD (mm)', 'List Price (₹)'],
+  ['Outdoor Units - Heat Pump'],
+  ['RXQ10', 'Top discharge module', 28, 10, 6.9, '', '930 x 1657 x 765', '₹ 5,25,000'],
+  ['Indoor Units'],
+  ['FXFQ50', '4 way cassette compact', 5.6, '', 0.05, 1020, '840 x 246 x 840', 61000],
+  ['FXSQ71', 'Concealed duct', 8.0, '', 0.1, 1320, '', '72,500'],
+  ['FXZZ10', 'Mystery unit', 2.8, '', '', '', '', 45000],
+  ['FXAQ25', 'Wall mounted', '', '', '', '', '', 38000]
+];
+
+describe('parseCatalogRows', () => {
+  it('reads an OEM price list with a title block and section headings', () => {
+    const { models, errors } = parseCatalogRows(PRICE_LIST, { manufacturer: 'Daikin' });
+
+    expect(models.map(entry => entry.model)).toEqual(['RXQ10', 'FXFQ50', 'FXSQ71']);
+    const [odu, cassette, duct] = models;
+    expect(odu).toMatchObject({
+      id: 'daikin-rxq10', category: 'odu', type: 'topDischarge', systemType: 'vrfHeatPump',
+      nominalHP: 10, coolingKW: 28, powerKW: 6.9, eer: 4.06, listPrice: 525000,
+      dimensions: { w: 930, h: 1657, d: 765 }
+    });
+    expect(cassette).toMatchObject({ category: 'idu', type: 'cassette4Way2x2', nominalTR: 1.59, airflowCFM: 600 });
+    expect(duct).toMatchObject({ type: 'lowStaticDuct', listPrice: 72500 });
+
+    expect(errors).toEqual([
+      { line: 10, message: 'Unknown indoor unit type for FXZZ10' },
+      { line: 11, message: 'No capacity for FXAQ25' }
+    ]);
+  });
+
+  it('rejects sheets without model and capacity columns', () => {
+    expect(parseCatalogRows([['Item', 'Qty'], ['Pipe', 3]]).errors[0].message)
+      .toBe('No header row with model and capacity columns');
+  });
+});
+
+describe('readCatalogWorkbook', () => {
+  it('imports CSV text with a manufacturer column', () => {
+    const csv = 'Brand,Model,Type,TR,EER,ISEER,Price\nBlue Star,IC318,Hi Wall Split,1.5,3.6,4.6,42000\n';
+    const { models, errors } = readCatalogWorkbook(csv);
+    expect(errors).toEqual([]);
+    expect(models[0]).toMatchObject({ manufacturer: 'Blue Star', type: 'wallMounted', nominalTR: 1.5, iseer: 4.6 });
+  });
+
+  it('imports every recognisable sheet of a workbook', () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+      ['Model', 'Capacity (TR)', 'Price'], ['PUHY-P200', 6.4, 480000]
+    ]), 'Outdoor Units');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Notes'], ['Prices ex-works']]), 'Terms');
+    const data = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+
+    const { models, errors } = readCatalogWorkbook(data, { manufacturer: 'Mitsubishi Electric' });
+    expect(errors).toEqual([]);
+    expect(models[0]).toMatchObject({ category: 'odu', nominalTR: 6.4, nominalHP: 8, manufacturer: 'Mitsubishi Electric' });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Golden heat load fixtures
+ * Each case pins the BTU/hr, tonnage and CFM a calculation must produce.
+ * Expected values were worked by hand from the tables in the module under
+ * test; if a table or formula changes on purpose, rework the numbers here
+ * and note why in the commit.
+ */
+
+/**
+ * hvacCalculations.calculateCompleteRoomLoad
+ */
+export const COMPLETE_ROOM_LOAD_CASES = [
+  {
+    name: 'West-facing 500 sq.ft office, Mumbai-type summer',
+    input: {
+      area: 500,
+      height: 10,
+      occupancy: 5,
+      roomType: 'Office',
+      outdoorTemp: 104,
+      indoorTemp: 75,
+      outdoorHumidity: 130,
+      indoorHumidity: 65,
+      latitude: '20N',
+      windows: [{ area: 40, orientation: 'West', glassType: 'Single Clear 6mm', shadingType: 'inside' }],
+      walls: [{ area: 200, orientation: 'West', construction: '230mm Brick + Plaster', weight: 'Medium' }],
+      lightingWatts: 500,
+      equipmentWatts: 750
+    },
+    expected: {
+      loads: {
+        solarGlass: 1664, // 40 × 65 × 0.64
+        glassConduction: 638, // 0.55 × 40 × 29
+        wallTransmission: 2160, // 0.60 × 200 × 18
+        occupantSensible: 1225,
+        occupantLatent: 1025,
+        lightingGain: 1620, // 500 W × 3.6 × 0.9
+        equipmentGain: 1631, // 750 W × 3.412 × 0.75 × 0.85
+        ventilationSensible: 3132, // 1.08 × 100 × 29
+        ventilationLatent: 4420, // 0.68 × 100 × 65
+        infiltrationSensible: 783,
+        infiltrationLatent: 1105
+      },
+      totals: { sensible: 12853, latent: 6550, grandTotal: 19403, adjustedTotal: 21343, tonnage: 1.78, rshf: 0.66 },
+      airflow: { ventilationCFM: 100, infiltrationCFM: 25, totalCFM: 125 }
+    }
+  },
+  {
+    name: '1000 sq.ft conference room under exposed RCC roof, Delhi summer',
+    input: {
+      area: 1000,
+      height: 10,
+      occupancy: 30,
+      roomType: 'Conference Room',
+      outdoorTemp: 113,
+      indoorTemp: 75.2,
+      outdoorHumidity: 120,
+      indoorHumidity: 64,
+      windows: [{ area: 100, orientation: 'South', glassType: 'Double Clear', shadingType: 'noShade' }],
+      walls: [{ area: 300, orientation: 'South', construction: '200mm Hollow Block + Plaster', weight: 'Heavy' }],
+      roof: { area: 1000, construction: '150mm RCC + Waterproofing', surfaceType: 'Medium Surface' }
+    },
+    expected: {
+      loads: {
+        solarGlass: 7650, // 100 × 85 × 0.90
+        glassConduction: 2079,
+        wallTransmission: 2310, // 0.55 × 300 × 14
+        roofTransmission: 32000,
+        occupantSensible: 7350,
+        occupantLatent: 6150,
+        lightingGain: 4860, // 1.5 W/sq.ft default
+        equipmentGain: 4350, // 2.0 W/sq.ft default
+        ventilationSensible: 24494,
+        ventilationLatent: 22848
+      },
+      totals: { sensible: 87134, latent: 30902, grandTotal: 118036, adjustedTotal: 129840, tonnage: 10.82, rshf: 0.74 },
+      airflow: { ventilationCFM: 600, infiltrationCFM: 50, totalCFM: 650 }
+    }
+  }
+];
+
+/**
+ * psychrometrics.calculatePsychrometrics at sea level (101.325 kPa)
+ */
+export const PSYCHROMETRIC_CASES = [
+  {
+    // Worked example quoted in DesignedInputs. ASHRAE Fundamentals gives
+    // 130.7 gr/lb at sea level; the 144.3 gr/lb figure on the old design sheet
+    // came from a 1.102 calibration factor and is deliberately not reproduced.
+    name: 'DB 104°F / RH 40%',
+    input: { dbF: 104, rh: 40 },
+    expected: { wbF: 82.10, dewPoint: 74.88, humidityRatio: 130.7, enthalpy: 45.63, specificVolume: 14.637 }
+  },
+  {
+    name: 'Inside design 75.2°F / 50% RH (24°C comfort)',
+    input: { dbF: 75.2, rh: 50 },
+    expected: { wbF: 62.72, dewPoint: 55.30, humidityRatio: 65.1, enthalpy: 28.22, specificVolume: 13.686 }
+  },
+  {
+    name: 'Delhi summer design DB 113°F / WB 84.2°F at sea level',
+    input: { dbF: 113, wbF: 84.2 },
+    expected: { rh: 30.9, dewPoint: 75.04, humidityRatio: 131.4, enthalpy: 47.98, specificVolume: 14.873 }
+  }
+];
+
+/**
+ * multiFloorCalculations.calculateRoomHeatGains
+ */
+export const MULTI_FLOOR_ROOM_CASES = [
+  {
+    name: '400 sq.ft east office with roof, partition and a 1 HP motor',
+    room: { type: 'office', area: 400, occupancy: 6 },
+    ambient: { dbF: 104, grainsPerLb: 130 },
+    inside: { dbF: 75, grainsPerLb: 65 },
+    inputs: {
+      windows: [{ area: 50, orientation: 'East', glassType: 'Ordinary Glass', shading: { type: 'inside_venetian', color: 'light' } }],
+      walls: [{ area: 150, orientation: 'East', construction: 'Brick + Concrete + Plaster' }],
+      roof: { area: 400, construction: 'Brick + Concrete + Plaster', type: 'Flat Concrete' },
+      partitions: [{ area: 100, adjacentTemp: 90 }],
+      motors: [{ hp: 1 }]
+    },
+    expected: {
+      sunGainGlass: 1820, // 50 × 65 × 0.56
+      wallRoofGain: 7987.5, // 0.45 × 150 × 25 + 0.45 × 400 × 35
+      partitionGain: 375, // 0.25 × 100 × 15
+      peopleGainSensible: 1500,
+      peopleGainLatent: 1200,
+      lightingGain: 2047.2,
+      equipmentGain: 2729.6,
+      motorGain: 2545,
+      ventilationCFM: 160,
+      infiltrationCFM: 20,
+      totals: { sensible: 19631, latent: 2084, total: 21715, cfm: 180, tonnage: 1.81 }
+    }
+  }
+];
+
+/**
+ * roomLoadEngine.computeRoomLoad with Space Considered form values
+ */
+export const SPACE_CONSIDERED_CASES = [
+  {
+    name: '500 sq.ft corner office, east/west glass, exposed roof',
+    formData: {
+      outsideDB: '104', insideDB: '75', outsideGR: '130', insideGR: '65', diffDB: '29', diffGR: '65',
+      sqFt: '500',
+      // Orientation rows follow IndianHVACCalculations: N, NE, E, SE, S, SW, W, NW, Horizontal
+      sunGainGlass: [{}, {}, { area: '40' }, {}, {}, {}, { area: '40', shadingType: 'Inside Venetian Blind Light Colour' }, {}, {}],
+      solarGainWalls: [{ area: '100' }, {}, { area: '150' }, {}, {}, {}, { area: '150' }, {}],
+      roofGains: [{ area: '500' }],
+      transGainPartition: [{ area: '100', uFactor: '0.34' }],
+      numPeople: '10', shPerPerson: '245', lhPerPerson: '205',
+      lightsWatts: '1', appliancesWatts: '1.5',
+      totalCfmPeople: '100', totalCfmSqFt: '60', cfmInfiltration: '25',
+      safetyFactorSensible: '10', safetyFactorLatent: '10',
+      bypassFactor: '0.1', selectedADP: '50'
+    },
+    expected: {
+      glassGain: 3067.2, // 40 × 75 + 40 × 3 × 0.56
+      wallGain: 12325, // 0.58 × (100 × 43 + 150 × 54 + 150 × 59)
+      roofGain: 21440, // 500 × 0.67 × (35 + 29)
+      partitionGain: 816, // 100 × 0.34 × 24
+      internalSensible: 6712.5,
+      ventilationCFM: 100,
+      ESHT: 49658.07,
+      ELHT: 3470.5,
+      outsideAirTotal: 6796.8,
+      GTH: 59925.37,
+      tonsRequired: 4.9938,
+      dehumidifiedCFM: 2043.54,
+      supplyAirTemp: 52.5,
+      cfmPerTon: 409.22,
+      ESHF: 0.9347,
+      warningCodes: ['OA_LOW']
+    }
+  }
+];
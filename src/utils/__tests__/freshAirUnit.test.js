@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import {
+  sizeFreshAirUnit,
+  getResidualRoomLoad,
+  designFreshAirSystem,
+  compareFreshAirSchemes
+} from '../freshAirUnit';
+
+const outdoor = { dbF: 109.4, grains: 100 };
+const room = { dbF: 75, grains: 65 };
+const sheet = { outsideDB: '109.4', insideDB: '75', outsideGR: '100', insideGR: '65', totalCfmPeople: '200', bypassFactor: '0.1' };
+
+describe('TFA unit', () => {
+  it('recovers heat on the wheel before the coil', () => {
+    const unit = sizeFreshAirUnit({ cfm: 1000, outdoor, room });
+    // 109.4 - 0.75 × 34.4 and 100 - 0.7 × 35
+    expect(unit.states.afterWheel).toEqual({ dbF: 83.6, grains: 75.5 });
+    expect(unit.recovery).toMatchObject({ sensibleBtuh: 27864, latentBtuh: 16660 });
+    // Dried to room moisture, leaving near its 95% RH dew point
+    expect(unit.states.supply.grains).toBe(65);
+    expect(unit.states.supply.dbF).toBeGreaterThan(55);
+    expect(unit.states.supply.dbF).toBeLessThan(58);
+    expect(unit.coil.latentBtuh).toBe(Math.round(0.68 * 1000 * 10.5));
+    expect(unit.reheat.btuh).toBe(0);
+    expect(unit.fanKW).toBeCloseTo(0.7, 2);
+  });
+
+  it('puts the whole outdoor air load on the coil without a wheel and reheats to the supply DB', () => {
+    const unit = sizeFreshAirUnit({ cfm: 1000, outdoor, room, options: { wheel: false, supplyDBF: 72 } });
+    expect(unit.recovery.totalBtuh).toBe(0);
+    expect(unit.states.afterWheel).toEqual({ dbF: 109.4, grains: 100 });
+    expect(unit.coil.latentBtuh).toBe(23800);
+    expect(unit.reheat.btuh).toBe(Math.round(1.08 * 1000 * (72 - unit.states.coilLeaving.dbF)));
+    expect(sizeFreshAirUnit({ cfm: 0, outdoor, room })).toBeNull();
+  });
+});
+
+describe('residual room load', () => {
+  it('takes the sheet outside air heat off the room', () => {
+    // (1.08 × 200 × 34.4 + 0.68 × 200 × 35) × (1 - 0.1)
+    const residual = getResidualRoomLoad(sheet, { dbF: 75, grains: 65 });
+    expect(residual.removedBtuh).toBe(10971);
+    expect(residual.changeTR).toBeCloseTo(-10971 / 12000, 3);
+    // Cooler supply air is a further credit
+    expect(getResidualRoomLoad(sheet, { dbF: 65, grains: 65 }).residualSensibleBtuh).toBe(-2160);
+  });
+
+  it('sizes one unit per floor on the larger of the sheets and the ventilation intake', () => {
+    const rooms = [
+      { key: 'a', floorId: 'f1', floorName: 'Ground', sheet, loadTR: 3 },
+      { key: 'b', floorId: 'f1', floorName: 'Ground', sheet, loadTR: 2 },
+      { key: 'c', floorId: 'f2', floorName: 'First', sheet, loadTR: 2 }
+    ];
+    const system = designFreshAirSystem(rooms, { outdoor, room, intakeCFM: { f2: 350 } });
+    expect(system.units.map(unit => [unit.floorName, unit.cfm])).toEqual([['Ground', 400], ['First', 350]]);
+    expect(system.baseTR).toBe(7);
+    expect(system.residualTR).toBeLessThan(7 - 3 * 10971 / 12000);
+    expect(system.rooms.a.residualTR).toBeCloseTo(3 + system.rooms.a.changeTR, 3);
+  });
+});
+
+describe('scheme comparison', () => {
+  it('sets the smaller room system and the TFA units against the base', () => {
+    const unit = sizeFreshAirUnit({ cfm: 1000, outdoor, room });
+    const comparison = compareFreshAirSchemes(
+      { baseTR: 20, residualTR: 14, units: [unit], baseCapex: 1000000, residualCapex: 750000 },
+      { tariffPerKWh: 10 }
+    );
+    expect(comparison.reductionTR).toBe(6);
+    expect(comparison.capex.tfa).toBe(Math.round(unit.tons * 60000 + 1000 * 55));
+    expect(comparison.capex.change).toBe(comparison.capex.withTFA - 1000000);
+    // 20 TR × 1.1 kW/TR × 1800 h
+    expect(comparison.energy.baseKWh).toBe(39600);
+    expect(comparison.energy.tfaKWh).toBe(Math.round(unit.tons * 1.25 * 1800 + 0.7 * 3000));
+    expect(comparison.energy.changeCost).toBe(Math.round(comparison.energy.changeKWh * 10));
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeRoomHeatingLoad,
+  getWinterDesignConditions,
+  checkHeatPumpCapacity,
+  getRequiredHeatPumpCapacity,
+  sizeRoomHeatPumps,
+  HEATING_DEFAULTS,
+  HEAT_PUMP_HEATING_RATIO
+} from '../heatingLoadEngine';
+import { computeRoomLoad } from '../roomLoadEngine';
+import { SPACE_CONSIDERED_CASES } from './fixtures/goldenHeatLoads';
+
+// 200 sq.ft office: east glass, north wall, roof, one partition, people and lights
+const OFFICE = {
+  sunGainGlass: [{}, {}, { area: '40', glassType: 'Ordinary Glass' }],
+  solarGainWalls: [{ area: '100', wallType: '6 inch Brick Wall' }],
+  roofGains: [{ area: '200', roofType: 'Concrete Slab 6 inch' }],
+  transGainPartition: [{ area: '80', uFactor: '0.4' }],
+  cfmInfiltration: '20',
+  totalCfmPeople: '40',
+  numPeople: '4',
+  shPerPerson: '245',
+  lightsWatts: '1.5',
+  sqFt: '200'
+};
+
+describe('computeRoomHeatingLoad', () => {
+  it('adds transmission, infiltration and ventilation loss plus warm-up', () => {
+    const load = computeRoomHeatingLoad(OFFICE, { outsideDB: 40, insideDB: 70, warmUpAllowance: 10 });
+
+    expect(load.deltaT).toBe(30);
+    expect(load.glassLoss).toBeCloseTo(40 * 1.1 * 30, 6);
+    expect(load.wallLoss).toBeCloseTo(100 * 0.58 * 30, 6);
+    expect(load.roofLoss).toBeCloseTo(200 * 0.67 * 30, 6);
+    expect(load.partitionLoss).toBeCloseTo(80 * 0.4 * 25, 6);
+    expect(load.infiltrationLoss).toBeCloseTo(1.08 * 20 * 30, 6);
+    expect(load.ventilationLoss).toBeCloseTo(1.08 * 40 * 30, 6);
+
+    const steadyState = 1320 + 1740 + 4020 + 800 + 648 + 1296;
+    expect(load.steadyStateLoss).toBeCloseTo(steadyState, 6);
+    expect(load.warmUpLoad).toBeCloseTo(steadyState * 0.1, 6);
+    expect(load.totalHeatingLoad).toBeCloseTo(steadyState * 1.1, 6);
+    expect(load.heatingTons).toBeCloseTo(steadyState * 1.1 / 12000, 6);
+  });
+
+  it('loses heat through glass at its thermal U-value, not its sun gain factor', () => {
+    const glass = (glassType) => computeRoomHeatingLoad({ sunGainGlass: [{ area: '100', glassType }] }, { outsideDB: 40 }).glassLoss;
+    expect(glass('Double Pane Ordinary Glass')).toBeCloseTo(100 * 0.55 * 30, 6);
+    expect(glass('Heat Absorbing Glass 56-70%')).toBeCloseTo(glass('Ordinary Glass'), 6);
+    expect(glass('Triple Pane Ordinary Glass')).toBeLessThan(glass('Double Pane Ordinary Glass'));
+    // A manual row's factor scales sun gain only
+    const manual = computeRoomHeatingLoad({ sunGainGlass: [{ manual: true, area: '100', sunGain: '75', uFactor: '0.5' }] }, { outsideDB: 40 });
+    expect(manual.glassLoss).toBeCloseTo(100 * 1.1 * 30, 6);
+  });
+
+  it('takes no credit for sun or internal gains', () => {
+    const dark = { ...OFFICE, numPeople: '0', lightsWatts: '0' };
+    expect(computeRoomHeatingLoad(OFFICE, { outsideDB: 40 }).totalHeatingLoad)
+      .toBeCloseTo(computeRoomHeatingLoad(dark, { outsideDB: 40 }).totalHeatingLoad, 6);
+  });
+
+  it('uses the default set point and warm-up allowance', () => {
+    const load = computeRoomHeatingLoad(OFFICE, { outsideDB: 50 });
+    expect(load.insideDB).toBe(HEATING_DEFAULTS.insideDB);
+    expect(load.warmUpAllowance).toBe(HEATING_DEFAULTS.warmUpAllowance);
+  });
+
+  it('is zero when the outdoor design is warmer than the set point', () => {
+    expect(computeRoomHeatingLoad(OFFICE, { outsideDB: 86 }).totalHeatingLoad).toBe(0);
+  });
+
+  it('leaves the cooling load of the golden rooms untouched', () => {
+    const { formData, expected } = SPACE_CONSIDERED_CASES[0];
+    computeRoomHeatingLoad(formData, { outsideDB: 40 });
+    expect(computeRoomLoad(formData).GTH).toBeCloseTo(expected.GTH, 2);
+  });
+});
+
+describe('getWinterDesignConditions', () => {
+  it('reads the Design Inputs winter section', () => {
+    expect(getWinterDesignConditions({ winter: { dbF: '41', insideDbF: '72', warmUpAllowance: '15' } }))
+      .toEqual({ outsideDB: 41, insideDB: 72, warmUpAllowance: 15 });
+  });
+
+  it('does not take the climate city winter cooling point as a heating DB', () => {
+    expect(getWinterDesignConditions({ meta: { climateCity: 'Delhi' } })).toBeNull();
+    expect(getWinterDesignConditions({ meta: { climateCity: 'Delhi' }, winter: { dbF: '' } })).toBeNull();
+  });
+
+  it('returns null without winter data', () => {
+    expect(getWinterDesignConditions({ meta: {} })).toBeNull();
+    expect(getWinterDesignConditions(null)).toBeNull();
+  });
+});
+
+describe('heat pump capacity', () => {
+  it('checks cooling and heating separately', () => {
+    const check = checkHeatPumpCapacity(2, 1.8, 2.4);
+    expect(check.heatingCapacityTR).toBeCloseTo(2 * HEAT_PUMP_HEATING_RATIO, 6);
+    expect(check.coolingOK).toBe(true);
+    expect(check.heatingOK).toBe(false);
+  });
+
+  it('sizes for whichever season governs', () => {
+    expect(getRequiredHeatPumpCapacity(1.5, 1.0)).toBe(1.5);
+    expect(getRequiredHeatPumpCapacity(1.0, 2.25)).toBeCloseTo(2.25 / HEAT_PUMP_HEATING_RATIO, 6);
+  });
+
+  it('passes a correctly sized room on both the IDUs and its ODU share', () => {
+    // 3.5 TR cooling on 1.5 TR IDUs: 3 units, 4.5 TR connected, 3.75 TR ODU share
+    const sizing = sizeRoomHeatPumps({ coolingLoadTR: 3.5, heatingLoadTR: 2.0 }, 1.5);
+    expect(sizing.numIDUs).toBe(3);
+    expect(sizing.oduCapacityTR).toBeCloseTo(4.5 / 1.2, 6);
+    expect(sizing.iduCheck).toMatchObject({ coolingOK: true, heatingOK: true });
+    expect(sizing.oduCheck).toMatchObject({ coolingOK: true, heatingOK: true });
+
+    // Rounded up to whole HP as the equipment table does
+    const rounded = sizeRoomHeatPumps({ coolingLoadTR: 3.5, heatingLoadTR: 2.0 }, 1.5, { roundODU: (tr) => Math.ceil(tr) });
+    expect(rounded.oduCheck).toMatchObject({ coolingOK: true, heatingOK: true });
+  });
+
+  it('keeps the ODU share up to the heating duty, which has no diversity', () => {
+    const sizing = sizeRoomHeatPumps({ coolingLoadTR: 1.0, heatingLoadTR: 2.25 }, 1.0);
+    expect(sizing.numIDUs).toBe(2);
+    expect(sizing.oduCapacityTR).toBeCloseTo(2.25 / HEAT_PUMP_HEATING_RATIO, 6);
+    expect(sizing.oduCheck.heatingOK).toBe(true);
+  });
+
+  it('flags an entered IDU count that falls short', () => {
+    const sizing = sizeRoomHeatPumps({ coolingLoadTR: 3.5, heatingLoadTR: 0 }, 1.5, { numUnits: 2 });
+    expect(sizing.totalIDUTonnage).toBe(3);
+    expect(sizing.iduCheck.coolingOK).toBe(false);
+    expect(sizing.oduCheck.coolingOK).toBe(false);
+  });
+});
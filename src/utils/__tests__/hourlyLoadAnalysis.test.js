@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest';
+import { computeRoomLoad } from '../roomLoadEngine';
+import {
+  DESIGN_HOURS,
+  formatSunTime,
+  applyDailyRange,
+  computeHourlyRoomLoad,
+  combineHourlyLoads,
+  analyzeBuildingHourly,
+  applyMonthlyConditions,
+  findWorstMonth,
+  getRoomSolarSite
+} from '../hourlyLoadAnalysis';
+import { SPACE_CONSIDERED_CASES } from './fixtures/goldenHeatLoads';
+
+const BASE_ROOM = {
+  outsideDB: '104', insideDB: '75', diffDB: '29', diffGR: '0', sqFt: '200',
+  numPeople: '2', shPerPerson: '245', bypassFactor: '0.1', selectedADP: '50'
+};
+
+// Glass and wall rows follow the sheet order: N, NE, E, SE, S, SW, W, NW (, Horizontal)
+const EAST_GLASS_ROOM = { ...BASE_ROOM, sunGainGlass: [{}, {}, { area: '80' }] };
+const WEST_WALL_ROOM = { ...BASE_ROOM, solarGainWalls: [{}, {}, {}, {}, {}, {}, { area: '300' }] };
+
+describe('computeHourlyRoomLoad', () => {
+  it('evaluates every design hour from 6:00 to 20:00', () => {
+    const result = computeHourlyRoomLoad(EAST_GLASS_ROOM);
+    expect(result.hourly.map(entry => entry.hour)).toEqual(DESIGN_HOURS);
+    expect(DESIGN_HOURS[0]).toBe(6);
+    expect(DESIGN_HOURS[DESIGN_HOURS.length - 1]).toBe(20);
+  });
+
+  it('peaks east glass in the morning at the design sun gain', () => {
+    const result = computeHourlyRoomLoad(EAST_GLASS_ROOM);
+    expect(result.peakHour).toBe(8);
+    expect(result.peakLoad).toBeCloseTo(computeRoomLoad(EAST_GLASS_ROOM).GTH, 6);
+  });
+
+  it('peaks a west wall late in the afternoon, at 20:00 on its ETD alone', () => {
+    const result = computeHourlyRoomLoad(WEST_WALL_ROOM);
+    // The ETD peaks at 20:00 but the outdoor air has cooled by then
+    expect(result.peakHour).toBe(19);
+    expect(result.hourly[0].wallGain).toBeLessThan(result.hourly[result.hourly.length - 1].wallGain);
+    expect(computeHourlyRoomLoad(WEST_WALL_ROOM, { dailyRange: 0 }).peakHour).toBe(20);
+  });
+
+  it('lowers the outdoor dry bulb by the daily range away from 15:00', () => {
+    expect(applyDailyRange(BASE_ROOM, 15)).toBe(BASE_ROOM);
+    expect(applyDailyRange(BASE_ROOM, 6, 20)).toMatchObject({ outsideDB: 104 - 19.6, diffDB: 29 - 19.6 });
+    // A derived difference follows outsideDB
+    expect(applyDailyRange({ outsideDB: '104', insideDB: '75' }, 20, 20)).toEqual({ outsideDB: 104 - 9.4, insideDB: '75' });
+
+    const { formData } = SPACE_CONSIDERED_CASES[0];
+    const hourly = computeHourlyRoomLoad({ ...formData, sunGainGlass: [], solarGainWalls: [], roofGains: [] }).hourly;
+    const at = (hour) => hourly.find(entry => entry.hour === hour);
+    expect(Number(at(15).outsideDB)).toBe(104);
+    expect(at(8).GTH).toBeLessThan(at(15).GTH);
+  });
+
+  it('never exceeds the single-instant design load', () => {
+    const { formData, expected } = SPACE_CONSIDERED_CASES[0];
+    const result = computeHourlyRoomLoad(formData);
+    expect(result.peakLoad).toBeLessThanOrEqual(expected.GTH + 1e-6);
+    expect(result.peakLoad).toBeGreaterThan(0);
+  });
+
+  it('keeps design behaviour when no hour is given', () => {
+    const { formData, expected } = SPACE_CONSIDERED_CASES[0];
+    expect(computeRoomLoad(formData).GTH).toBeCloseTo(expected.GTH, 2);
+    expect(computeRoomLoad(formData, { hour: 'peak' }).GTH).toBeCloseTo(expected.GTH, 2);
+  });
+});
+
+describe('combineHourlyLoads', () => {
+  it('reports a block load below the sum of east and west peaks', () => {
+    const east = computeHourlyRoomLoad(EAST_GLASS_ROOM);
+    const west = computeHourlyRoomLoad(WEST_WALL_ROOM);
+    const floor = combineHourlyLoads([east, west]);
+
+    expect(floor.sumOfPeaks).toBeCloseTo(east.peakLoad + west.peakLoad, 6);
+    expect(floor.blockLoad).toBeLessThan(floor.sumOfPeaks);
+    expect(floor.diversityRatio).toBeLessThan(1);
+    expect(floor.blockTons).toBeCloseTo(floor.blockLoad / 12000, 6);
+
+    const atPeak = floor.hourly.find(entry => entry.hour === floor.peakHour);
+    expect(atPeak.GTH).toBeCloseTo(floor.blockLoad, 6);
+  });
+
+  it('returns an empty result for no rooms', () => {
+    const result = combineHourlyLoads([]);
+    expect(result.peakHour).toBeNull();
+    expect(result.blockLoad).toBe(0);
+    expect(result.diversityRatio).toBe(0);
+  });
+});
+
+describe('analyzeBuildingHourly', () => {
+  it('finds floor and building coincident peaks and skips uncalculated rooms', () => {
+    const analysis = analyzeBuildingHourly([
+      {
+        id: 'f1',
+        name: 'Ground Floor',
+        rooms: [
+          { id: 'r1', name: 'East Office', formData: EAST_GLASS_ROOM },
+          { id: 'r2', name: 'West Office', formData: WEST_WALL_ROOM },
+          { id: 'r3', name: 'Store' }
+        ]
+      },
+      { id: 'f2', name: 'First Floor', rooms: [{ id: 'r4', name: 'Unused' }] }
+    ]);
+
+    expect(analysis.roomCount).toBe(2);
+    expect(analysis.floors).toHaveLength(1);
+    expect(analysis.floors[0].rooms.map(room => room.peakHour)).toEqual([8, 19]);
+    expect(analysis.building.blockLoad).toBeCloseTo(analysis.floors[0].blockLoad, 6);
+    expect(analysis.building.peakHour).toBe(analysis.floors[0].peakHour);
+  });
+});
+
+describe('findWorstMonth', () => {
+  const floors = [{ id: 'f1', name: 'Ground Floor', rooms: [{ id: 'r1', name: 'South Office', formData: {
+    ...BASE_ROOM, sunGainGlass: [{}, {}, {}, {}, { area: '100' }]
+  } }] }];
+
+  it('finds the month of highest block load from the sun alone', () => {
+    const result = findWorstMonth(floors, { latitude: 28.6 });
+    const highest = Math.max(...result.months.map(month => month.blockLoad));
+
+    expect(result.months).toHaveLength(12);
+    expect(result.months.find(month => month.month === result.worstMonth).blockLoad).toBe(highest);
+    // South glass at 28.6°N sees the most sun in winter
+    expect([1, 2, 10, 11, 12]).toContain(result.worstMonth);
+    expect(result.analysis.building.blockLoad).toBe(highest);
+  });
+
+  it('applies the city monthly design conditions', () => {
+    const room = { ...BASE_ROOM, insideGR: '65', numPeople: '0', totalCfmPeople: '200' };
+    const result = findWorstMonth([{ id: 'f1', name: 'Ground', rooms: [{ id: 'r1', name: 'Hall', formData: room }] }], {
+      latitude: 28.6, city: 'Delhi'
+    });
+    const load = (month) => result.months[month - 1].blockLoad;
+    // No envelope: the load follows Delhi's outdoor air, so summer and monsoon beat winter
+    expect([5, 6, 7, 8]).toContain(result.worstMonth);
+    expect(load(result.worstMonth)).toBeGreaterThan(load(1) * 2);
+  });
+});
+
+describe('applyMonthlyConditions', () => {
+  it('updates outdoor state and the differences', () => {
+    const updated = applyMonthlyConditions({ ...BASE_ROOM, insideGR: '65' }, { db: 95, wb: 86 }, 101.325);
+    expect(updated.outsideDB).toBe(95);
+    expect(updated.diffDB).toBe(20);
+    expect(updated.diffGR).toBeCloseTo(updated.outsideGR - 65, 6);
+    expect(updated.outsideGR).toBeGreaterThan(150);
+  });
+});
+
+describe('getRoomSolarSite', () => {
+  it('keeps the sheet basis for projects without site data', () => {
+    expect(getRoomSolarSite(undefined)).toBeNull();
+    expect(getRoomSolarSite({ designMonth: 'auto', worstMonth: 1 })).toBeNull();
+  });
+
+  it('uses a fixed month or the building worst month', () => {
+    expect(getRoomSolarSite({ latitude: '28.6', designMonth: '6', worstMonth: 1 })).toEqual({ latitude: 28.6, month: 6 });
+    expect(getRoomSolarSite({ latitude: '28.6', designMonth: 'auto', worstMonth: 11 })).toEqual({ latitude: 28.6, month: 11 });
+  });
+
+  it('falls back to May until the worst month is found', () => {
+    expect(getRoomSolarSite({ latitude: 28.6 }).month).toBe(5);
+  });
+});
+
+describe('formatSunTime', () => {
+  it('pads the hour', () => {
+    expect(formatSunTime(8)).toBe('08:00');
+    expect(formatSunTime(15)).toBe('15:00');
+    expect(formatSunTime(null)).toBe('-');
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateCompleteRoomLoad,
+  calculateVentilationLoad,
+  calculateDiversityFactor
+} from '../hvacCalculations';
+import { COMPLETE_ROOM_LOAD_CASES } from './fixtures/goldenHeatLoads';
+
+describe('calculateCompleteRoomLoad', () => {
+  COMPLETE_ROOM_LOAD_CASES.forEach(({ name, input, expected }) => {
+    describe(name, () => {
+      const result = calculateCompleteRoomLoad(input);
+
+      it('matches the itemized loads', () => {
+        Object.entries(expected.loads).forEach(([key, value]) => {
+          expect(result.loads[key], key).toBe(value);
+        });
+      });
+
+      it('matches the BTU/hr totals and tonnage', () => {
+        expect(result.totals).toMatchObject(expected.totals);
+      });
+
+      it('matches the airflow', () => {
+        expect(result.airflow).toEqual(expected.airflow);
+      });
+    });
+  });
+});
+
+describe('calculateVentilationLoad', () => {
+  it('uses 1.08 × CFM × ΔT and 0.68 × CFM × ΔW', () => {
+    expect(calculateVentilationLoad({
+      cfm: 1000, outdoorTemp: 104, indoorTemp: 75, outdoorHumidity: 130, indoorHumidity: 65
+    })).toEqual({ sensible: 31320, latent: 44200, total: 75520 });
+  });
+});
+
+describe('calculateDiversityFactor', () => {
+  it('returns the base factor below the unit threshold', () => {
+    expect(calculateDiversityFactor('Office Building', 3)).toBe(0.85);
+  });
+
+  it('never drops below 0.65', () => {
+    expect(calculateDiversityFactor('Apartment Building', 1000)).toBeCloseTo(0.65, 5);
+  });
+});
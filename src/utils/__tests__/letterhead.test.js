@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { jsPDF } from 'jspdf';
+import {
+  createOrganization,
+  isValidGSTIN,
+  hexToRGB,
+  getLetterhead,
+  drawLetterhead,
+  drawSignatureBlock,
+  drawLetterheadFooters
+} from '../letterhead';
+import { buildBOQWorkbook } from '../boqWorkbook';
+
+const LOGO = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const organization = {
+  name: 'Acme Consultants',
+  address: '12 MG Road\nBengaluru 560001',
+  gstin: '27AAPFU0939F1ZV',
+  phone: '080 4000 1234',
+  logo: LOGO,
+  signature: { name: 'R. Iyer', designation: 'Principal, MEP' },
+  disclaimer: 'Loads are estimates for tender purposes only.',
+  colors: { primary: '#1a5276' },
+  templates: { contractor: { disclaimer: 'Prices valid for 30 days.' } }
+};
+
+describe('Letterhead', () => {
+  it('checks GSTIN format and check digit', () => {
+    expect(isValidGSTIN('27AAPFU0939F1ZV')).toBe(true);
+    expect(isValidGSTIN('27aapfu0939f1zv')).toBe(true);
+    expect(isValidGSTIN('27AAPFU0939F1ZW')).toBe(false);
+    expect(isValidGSTIN('27AAPFU0939F1V')).toBe(false);
+    expect(hexToRGB('#28b')).toEqual([34, 136, 187]);
+  });
+
+  it('resolves a template against the organization', () => {
+    expect(Object.keys(createOrganization().templates)).toEqual(['consultant', 'contractor']);
+
+    const consultant = getLetterhead(organization);
+    expect(consultant).toMatchObject({
+      name: 'Acme Consultants',
+      layout: 'band',
+      lines: ['12 MG Road', 'Bengaluru 560001', 'Tel: 080 4000 1234'],
+      colors: { primary: [26, 82, 118] },
+      signature: { label: 'Prepared by', name: 'R. Iyer', company: 'Acme Consultants' },
+      disclaimer: 'Loads are estimates for tender purposes only.'
+    });
+
+    const contractor = getLetterhead(organization, 'contractor');
+    expect(contractor.lines).toContain('GSTIN: 27AAPFU0939F1ZV');
+    expect(contractor).toMatchObject({ layout: 'plain', disclaimer: 'Prices valid for 30 days.' });
+
+    // No profile keeps the app's own header
+    expect(getLetterhead(null)).toMatchObject({ name: 'HVAC-Calculator', colors: { primary: [41, 128, 185] }, signature: null });
+  });
+
+  it('draws the header, signature and numbered footers', () => {
+    const letterhead = getLetterhead(organization);
+    const doc = new jsPDF();
+    const top = drawLetterhead(doc, letterhead, 'BILL OF QUANTITIES');
+    expect(top).toBeGreaterThan(30);
+    doc.addPage();
+    drawSignatureBlock(doc, letterhead, 40);
+    drawLetterheadFooters(doc, letterhead);
+
+    const output = doc.output();
+    expect(doc.getNumberOfPages()).toBe(2);
+    ['BILL OF QUANTITIES', 'For Acme Consultants', 'Principal, MEP', 'Page 2 of 2', 'tender purposes only'].forEach(text => {
+      expect(output).toContain(text);
+    });
+  });
+
+  it('heads the workbook with the letterhead and signs the summary', () => {
+    const workbook = buildBOQWorkbook({ projectInfo: { name: 'Tower A' }, indoorUnits: {} }, { letterhead: getLetterhead(organization, 'contractor') });
+    const texts = (sheet) => Object.keys(sheet).filter(key => !key.startsWith('!')).map(key => sheet[key].v);
+
+    expect(workbook.Sheets.BOQ.A1.v).toBe('Acme Consultants');
+    expect(texts(workbook.Sheets.BOQ)).toContain('GSTIN: 27AAPFU0939F1ZV');
+    expect(texts(workbook.Sheets.Summary)).toEqual(expect.arrayContaining(['For Acme Consultants', 'Authorised signatory', 'Prices valid for 30 days.']));
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { calculateRoomHeatGains, calculateFloorTotals, calculateBuildingTotals } from '../multiFloorCalculations';
+import { MULTI_FLOOR_ROOM_CASES } from './fixtures/goldenHeatLoads';
+
+describe('calculateRoomHeatGains', () => {
+  MULTI_FLOOR_ROOM_CASES.forEach(({ name, room, ambient, inside, inputs, expected }) => {
+    it(name, () => {
+      const { totals: expectedTotals, ...expectedGains } = expected;
+      const result = calculateRoomHeatGains(room, ambient, inside, inputs);
+
+      Object.entries(expectedGains).forEach(([key, value]) => {
+        expect(result[key], key).toBeCloseTo(value, 1);
+      });
+      expect(result.totals).toEqual(expectedTotals);
+    });
+  });
+});
+
+describe('floor and building totals', () => {
+  const [officeCase] = MULTI_FLOOR_ROOM_CASES;
+  const heatGains = calculateRoomHeatGains(officeCase.room, officeCase.ambient, officeCase.inside, officeCase.inputs);
+  const floor = {
+    type: 'Office Floor',
+    rooms: [{ ...officeCase.room, quantity: 2, calculated: true, heatGains }]
+  };
+
+  it('applies the 0.90 small office floor diversity', () => {
+    expect(calculateFloorTotals(floor)).toEqual({
+      sensibleHeat: 35336, // 19631 × 2 × 0.90
+      latentHeat: 3751,
+      totalHeat: 39087,
+      totalCFM: 324,
+      totalArea: 800,
+      diversityFactor: 0.90,
+      tonnage: 3.26
+    });
+  });
+
+  it('applies the 0.85 building diversity on top', () => {
+    const totals = calculateBuildingTotals({ [floor.type]: floor });
+    expect(totals.totalHeat).toBe(39087);
+    expect(totals.adjustedLoad).toBe(33224);
+    expect(totals.tonnage).toBe(2.77);
+  });
+
+  it('returns zero totals for an empty building', () => {
+    const totals = calculateBuildingTotals({});
+    expect(totals.totalHeat).toBe(0);
+    expect(totals.tonnage).toBe(0);
+  });
+});
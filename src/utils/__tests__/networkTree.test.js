@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { getDescendantIds, getAncestorIds, restoreNetworks } from '../networkTree';
+import { createChainNetwork, createPipingNode, analysePipingNetwork } from '../refrigerantPiping';
+import { createDuctNetwork, analyseDuctNetwork } from '../ductSizing';
+
+// Saving drops null fields; the database may hand arrays back as keyed objects
+const saveAndReload = (networks) => {
+  const saved = JSON.parse(JSON.stringify(networks, (key, value) => (value === null ? undefined : value)));
+  Object.values(saved).forEach(network => { network.nodes = { ...network.nodes }; });
+  return saved;
+};
+
+describe('network trees', () => {
+  it('walks down and up a branch', () => {
+    const { nodes } = createChainNetwork([{ label: 'A' }, { label: 'B' }, { label: 'C' }]);
+    // ODU n1 → J1 n2 → (A n3, J2 n4 → (B n5, C n6))
+    expect([...getDescendantIds(nodes, 'n2')]).toEqual(['n3', 'n4', 'n5', 'n6']);
+    expect(getDescendantIds(nodes, 'n6').size).toBe(0);
+    expect(getAncestorIds(nodes, 'n6')).toEqual(['n4', 'n2', 'n1']);
+  });
+
+  it('keeps hand-edited layouts through save and reload', () => {
+    const { nodes } = createChainNetwork([{ label: 'A', capacityKW: 5.6 }, { label: 'B', capacityKW: 7.1 }]);
+    const header = createPipingNode(nodes, { type: 'header', parentId: 'n1', label: 'H1', lengthM: 25 });
+    const piping = { f1: { nodes: [...nodes, header].map(node => (node.label === 'B' ? { ...node, parentId: header.id } : node)) } };
+    const ducts = { f1_r1: { ...createDuctNetwork({ label: 'FCU', cfm: 1200 }), settings: { method: 'equalFriction', maxDepthIn: 12 } } };
+
+    const restoredPiping = restoreNetworks(saveAndReload(piping));
+    expect(restoredPiping).toEqual(piping);
+    expect(analysePipingNetwork(restoredPiping.f1)).toEqual(analysePipingNetwork(piping.f1));
+
+    const restoredDucts = restoreNetworks(saveAndReload(ducts));
+    expect(restoredDucts).toEqual(ducts);
+    expect(analyseDuctNetwork(restoredDucts.f1_r1, restoredDucts.f1_r1.settings))
+      .toEqual(analyseDuctNetwork(ducts.f1_r1, ducts.f1_r1.settings));
+
+    expect(restoreNetworks(undefined)).toEqual({});
+  });
+});
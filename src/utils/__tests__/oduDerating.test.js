@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { EQUIPMENT_CATALOG, findModel } from '../equipmentCatalog';
+import {
+  RATING_CONDITIONS,
+  interpolateCurve,
+  getOperatingConditions,
+  getCorrectionFactors,
+  getDeratedCapacity,
+  checkODUCapacity,
+  selectDeratedODU
+} from '../oduDerating';
+
+const VRF_COMBINED = { category: 'odu', type: 'combined', systemType: 'vrfHeatPump' };
+const odu = (hp) => findModel(EQUIPMENT_CATALOG.models, VRF_COMBINED, hp, 'hp');
+
+describe('correction factors', () => {
+  it('are unity at the rating conditions', () => {
+    const factors = getCorrectionFactors(odu(10), RATING_CONDITIONS);
+    expect(factors.total).toBe(1);
+    expect(getDeratedCapacity(odu(10), RATING_CONDITIONS).capacityKW).toBeCloseTo(odu(10).coolingKW, 1);
+  });
+
+  it('interpolates between curve points and holds flat past the ends', () => {
+    expect(interpolateCurve([[0, 1], [10, 0.9]], 5)).toBeCloseTo(0.95, 6);
+    expect(interpolateCurve([[0, 1], [10, 0.9]], 20)).toBe(0.9);
+    expect(interpolateCurve([], 5)).toBe(1);
+  });
+
+  it('derates for hot ambient and long piping', () => {
+    const derated = getDeratedCapacity(odu(10), { outdoorDB: 45, equivalentLengthM: 100 });
+    expect(derated.factors.outdoorDB).toBeLessThan(0.9);
+    expect(derated.factors.pipeLength).toBeCloseTo(0.88, 3);
+    expect(derated.capacityKW).toBeLessThan(odu(10).coolingKW * 0.8);
+    expect(derated.warnings).toEqual([]);
+  });
+
+  it('warns when the site is beyond the unit limits', () => {
+    const { warnings } = getDeratedCapacity(odu(10), { outdoorDB: 55, equivalentLengthM: 200, combinationRatio: 140 });
+    expect(warnings).toHaveLength(3);
+    expect(warnings[0]).toMatch(/Outdoor DB 55/);
+  });
+});
+
+describe('outdoor unit checks', () => {
+  it('reports combination ratio and margin against the demand', () => {
+    const model = odu(10);
+    const check = checkODUCapacity(model, { demandKW: model.coolingKW * 0.9, connectedKW: model.coolingKW * 1.2 });
+    expect(check.combinationRatio).toBe(120);
+    expect(check.factors.combinationRatio).toBeCloseTo(1.07, 3);
+    expect(check.ok).toBe(true);
+    expect(check.marginPct).toBeGreaterThan(0);
+  });
+
+  it('picks a larger unit in hot climates than nominal matching would', () => {
+    const demandKW = odu(10).coolingKW;
+    const nominal = selectDeratedODU(EQUIPMENT_CATALOG.models, VRF_COMBINED, { demandKW }, RATING_CONDITIONS);
+    const hot = selectDeratedODU(EQUIPMENT_CATALOG.models, VRF_COMBINED, { demandKW }, { outdoorDB: 46 });
+    expect(nominal.model.nominalHP).toBe(10);
+    expect(hot.model.coolingKW).toBeGreaterThan(nominal.model.coolingKW);
+    expect(hot.capacityKW).toBeGreaterThanOrEqual(demandKW);
+  });
+
+  it('takes operating conditions from the design inputs in °F', () => {
+    const conditions = getOperatingConditions({ ambient: { dbF: '113' }, inside: { wbF: '64.4' } }, { equivalentLengthM: '60', levelDifferenceM: '' });
+    expect(conditions).toEqual({ outdoorDB: 45, indoorWB: 18, equivalentLengthM: 60, levelDifferenceM: 0 });
+  });
+});
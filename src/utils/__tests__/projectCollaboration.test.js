@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PRESENCE_TIMEOUT_MS,
+  canEditProject,
+  isValidEmail,
+  toEmailKey,
+  isSameBuildingData,
+  mergeBuildingData,
+  getRoomEditors
+} from '../projectCollaboration';
+
+const room = (id, name, extra = {}) => ({ id, name, ...extra });
+
+const BASE = {
+  buildingName: 'Tower A',
+  floors: [
+    { id: 'f1', name: 'Ground', rooms: [room('r1', 'Lobby'), room('r2', 'Office')] },
+    { id: 'f2', name: 'First', rooms: [room('r3', 'Hall')] }
+  ]
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+describe('roles and invites', () => {
+  it('only owners and editors may edit', () => {
+    expect(canEditProject('owner')).toBe(true);
+    expect(canEditProject('editor')).toBe(true);
+    expect(canEditProject('viewer')).toBe(false);
+    expect(canEditProject(null)).toBe(false);
+  });
+
+  it('validates emails and builds database-safe keys', () => {
+    expect(isValidEmail(' a.b@example.com ')).toBe(true);
+    expect(isValidEmail('not-an-email')).toBe(false);
+    expect(toEmailKey(' A.B@Example.com')).toBe('a,b@example,com');
+  });
+});
+
+describe('isSameBuildingData', () => {
+  it('ignores save timestamps and undefined values', () => {
+    const a = { ...clone(BASE), lastUpdated: '2024-01-01' };
+    const b = { ...clone(BASE), lastUpdated: '2024-02-01', notes: undefined };
+    expect(isSameBuildingData(a, b)).toBe(true);
+    b.floors[0].name = 'Lower Ground';
+    expect(isSameBuildingData(a, b)).toBe(false);
+  });
+});
+
+describe('mergeBuildingData', () => {
+  it('keeps edits made to different floors on each side', () => {
+    const local = clone(BASE);
+    local.floors[0].rooms[0].area = 400;
+    const remote = clone(BASE);
+    remote.floors[1].rooms[0].area = 900;
+
+    const { buildingData, conflicts } = mergeBuildingData(BASE, local, remote);
+    expect(buildingData.floors[0].rooms[0].area).toBe(400);
+    expect(buildingData.floors[1].rooms[0].area).toBe(900);
+    expect(conflicts).toEqual([]);
+  });
+
+  it('applies remote-only changes and removals', () => {
+    const remote = clone(BASE);
+    remote.floors[0].rooms[1].name = 'Open Office';
+    remote.floors.splice(1, 1);
+
+    const { buildingData } = mergeBuildingData(BASE, clone(BASE), remote);
+    expect(buildingData.floors.map((floor) => floor.id)).toEqual(['f1']);
+    expect(buildingData.floors[0].rooms[1].name).toBe('Open Office');
+  });
+
+  it('keeps a floor added locally', () => {
+    const local = clone(BASE);
+    local.floors.push({ id: 'f3', name: 'Second', rooms: [] });
+
+    const { buildingData } = mergeBuildingData(BASE, local, clone(BASE));
+    expect(buildingData.floors.map((floor) => floor.id)).toEqual(['f1', 'f2', 'f3']);
+  });
+
+  it('keeps the local room and reports a conflict when both sides changed it', () => {
+    const local = clone(BASE);
+    local.floors[0].rooms[1].area = 300;
+    const remote = clone(BASE);
+    remote.floors[0].rooms[1].area = 350;
+    remote.floors[0].rooms[0].area = 120;
+
+    const { buildingData, conflicts } = mergeBuildingData(BASE, local, remote);
+    expect(buildingData.floors[0].rooms[1].area).toBe(300);
+    expect(buildingData.floors[0].rooms[0].area).toBe(120);
+    expect(conflicts).toEqual([{ floorId: 'f1', floorName: 'Ground', roomId: 'r2', roomName: 'Office' }]);
+  });
+});
+
+describe('getRoomEditors', () => {
+  it('groups other users by room and skips stale entries', () => {
+    const now = 1_000_000_000;
+    const presence = {
+      me: { name: 'Me', floorId: 'f1', roomId: 'r1', updatedAt: now },
+      u2: { name: 'Asha', floorId: 'f1', roomId: 'r1', updatedAt: now - 1000 },
+      u3: { email: 'ravi@example.com', floorId: 'f2', roomId: 'r3', updatedAt: now },
+      u4: { name: 'Gone', floorId: 'f1', roomId: 'r2', updatedAt: now - PRESENCE_TIMEOUT_MS - 1 }
+    };
+    expect(getRoomEditors(presence, 'me', now)).toEqual({
+      f1_r1: [{ uid: 'u2', name: 'Asha' }],
+      f2_r3: [{ uid: 'u3', name: 'ravi@example.com' }]
+    });
+  });
+});
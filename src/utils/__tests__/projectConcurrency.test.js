@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ProjectConflictError,
+  isProjectConflict,
+  getSavedSections,
+  findStaleSections,
+  bumpVersions,
+  adoptVersions
+} from '../projectConcurrency';
+
+describe('getSavedSections', () => {
+  it('lists the versioned sections present in a save', () => {
+    expect(getSavedSections({ spaceData: {}, currentStep: 2, uiState: null })).toEqual(['spaceData']);
+    expect(getSavedSections({ equipmentData: {}, inventoryData: {}, designData: null })).toEqual(['equipmentData', 'inventoryData']);
+    expect(getSavedSections({ currentStep: 3 })).toEqual([]);
+  });
+});
+
+describe('findStaleSections', () => {
+  it('flags sections whose counter moved since they were loaded', () => {
+    const current = { designData: 4, spaceData: 7 };
+    const known = { designData: 4, spaceData: 6 };
+    expect(findStaleSections(current, known, ['designData'])).toEqual([]);
+    expect(findStaleSections(current, known, ['designData', 'spaceData'])).toEqual(['spaceData']);
+  });
+
+  it('treats missing counters as zero', () => {
+    expect(findStaleSections(null, {}, ['boqData'])).toEqual([]);
+    expect(findStaleSections({ boqData: 1 }, {}, ['boqData'])).toEqual(['boqData']);
+  });
+});
+
+describe('bumpVersions', () => {
+  it('moves only the written sections', () => {
+    expect(bumpVersions({ designData: 2, spaceData: 5 }, ['spaceData', 'boqData']))
+      .toEqual({ designData: 2, spaceData: 6, boqData: 1 });
+    expect(bumpVersions(null, ['designData'])).toEqual({ designData: 1 });
+  });
+});
+
+describe('adoptVersions', () => {
+  it('takes the database counters for the sections now in sync', () => {
+    const known = { designData: 1, spaceData: 3 };
+    expect(adoptVersions(known, { designData: 2, spaceData: 9 }, ['spaceData'])).toEqual({ designData: 1, spaceData: 9 });
+    expect(adoptVersions(undefined, { designData: 2 })).toEqual({
+      designData: 2, spaceData: 0, equipmentData: 0, inventoryData: 0, boqData: 0
+    });
+  });
+});
+
+describe('ProjectConflictError', () => {
+  it('names the sections changed elsewhere', () => {
+    const error = new ProjectConflictError(['spaceData'], { spaceData: 8 }, 'P-101');
+    expect(error.message).toBe('Project changed elsewhere (Space Considered)');
+    expect(error.projectId).toBe('P-101');
+    expect(isProjectConflict(error)).toBe(true);
+    expect(isProjectConflict(new Error('offline'))).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createRevisionSnapshot,
+  summarizeSnapshot,
+  getNextRevisionLabel,
+  diffRevisions
+} from '../projectRevisions';
+
+const room = (roomName, tonnage, formData = {}) => ({
+  floorId: 'f1',
+  floorName: 'Ground',
+  roomName,
+  heatLoadData: { area: 200, tonnage, totalCfm: tonnage * 400, totalHeat: tonnage * 12000 },
+  formData
+});
+
+const R0 = {
+  designData: { ambient: { dbF: 109.4, rh: 20 }, inside: { dbF: 75, rh: 50 } },
+  spaceData: {
+    roomCalculations: {
+      f1_r1: room('Office', 1.5, { numPeople: '4' }),
+      f1_r2: room('Store', 0.5)
+    }
+  },
+  equipmentData: {
+    systemType: 'VRF',
+    floors: [{ floorId: 'f1', floorName: 'Ground', rooms: [
+      { key: 'f1_r1', roomName: 'Office', iduType: 'Ceiling Cassette 4-Way', machineCapacity: 1.5, numIDUs: 1, oduHP: 2 }
+    ] }]
+  },
+  boqData: {
+    indoorUnits: [{ type: 'Wall Mounted - 1.5 TR', quantity: 1, unitPrice: 22500, totalPrice: 22500 }],
+    outdoorUnits: [],
+    accessories: [],
+    summary: { grandTotal: 26550 }
+  },
+  currentStep: 5
+};
+
+describe('createRevisionSnapshot', () => {
+  it('keeps the workflow sections only and drops undefined values', () => {
+    const snapshot = createRevisionSnapshot({
+      ...R0,
+      revisions: { a: {} },
+      uiState: { showSpaceForm: true },
+      designData: { ...R0.designData, meta: { latitude: undefined } }
+    });
+    expect(Object.keys(snapshot).sort()).toEqual(['boqData', 'currentStep', 'designData', 'equipmentData', 'spaceData']);
+    expect(snapshot.designData.meta).toEqual({});
+  });
+
+  it('does not share objects with the live project', () => {
+    const snapshot = createRevisionSnapshot(R0);
+    snapshot.spaceData.roomCalculations.f1_r1.roomName = 'Changed';
+    expect(R0.spaceData.roomCalculations.f1_r1.roomName).toBe('Office');
+  });
+});
+
+describe('summarizeSnapshot', () => {
+  it('totals rooms, load and BOQ', () => {
+    expect(summarizeSnapshot(R0)).toEqual({ rooms: 2, totalTR: 2, totalCFM: 800, boqTotal: 26550 });
+  });
+});
+
+describe('getNextRevisionLabel', () => {
+  it('starts at R0 and continues above the highest revision', () => {
+    expect(getNextRevisionLabel([])).toBe('R0');
+    expect(getNextRevisionLabel([{ label: 'R0' }, { label: 'R3' }, { label: 'Draft' }])).toBe('R4');
+  });
+});
+
+describe('diffRevisions', () => {
+  it('reports no changes between identical snapshots', () => {
+    expect(diffRevisions(R0, createRevisionSnapshot(R0)).hasChanges).toBe(false);
+  });
+
+  it('lists changed, added and removed rooms with their loads', () => {
+    const R1 = createRevisionSnapshot(R0);
+    R1.spaceData.roomCalculations.f1_r1 = room('Office', 2, { numPeople: '8' });
+    delete R1.spaceData.roomCalculations.f1_r2;
+    R1.spaceData.roomCalculations.f1_r3 = room('Meeting', 1);
+
+    const diff = diffRevisions(R0, R1);
+    const byKey = Object.fromEntries(diff.rooms.map(entry => [entry.key, entry]));
+    expect(byKey.f1_r1.status).toBe('changed');
+    expect(byKey.f1_r1.changes.find(change => change.field === 'tonnage')).toMatchObject({ from: 1.5, to: 2 });
+    expect(byKey.f1_r1.inputsChanged).toEqual(['numPeople']);
+    expect(byKey.f1_r2.status).toBe('removed');
+    expect(byKey.f1_r3.status).toBe('added');
+    expect(diff.loads.changes.find(change => change.field === 'totalTR')).toMatchObject({ from: 2, to: 3 });
+  });
+
+  it('reports input-only room edits', () => {
+    const R1 = createRevisionSnapshot(R0);
+    R1.spaceData.roomCalculations.f1_r1.formData.remarks = 'client comment';
+    const [entry] = diffRevisions(R0, R1).rooms;
+    expect(entry.changes).toEqual([{ field: 'formData', label: 'Inputs', from: null, to: 'remarks' }]);
+  });
+
+  it('treats numeric strings and numbers as equal', () => {
+    const R1 = createRevisionSnapshot(R0);
+    R1.designData.ambient.dbF = '109.4';
+    expect(diffRevisions(R0, R1).design).toEqual([]);
+  });
+
+  it('lists design, equipment and BOQ changes', () => {
+    const R1 = createRevisionSnapshot(R0);
+    R1.designData.ambient.dbF = 111.2;
+    R1.equipmentData.systemType = 'Split';
+    R1.equipmentData.floors[0].rooms[0].machineCapacity = 2;
+    R1.boqData.indoorUnits[0] = { ...R1.boqData.indoorUnits[0], quantity: 2, totalPrice: 45000 };
+    R1.boqData.summary.grandTotal = 53100;
+
+    const diff = diffRevisions(R0, R1);
+    expect(diff.design).toEqual([{ field: 'ambient.dbF', label: 'Ambient DB (°F)', from: 109.4, to: 111.2 }]);
+    expect(diff.equipment.map(entry => entry.key)).toEqual(['systemType', 'f1_r1']);
+    expect(diff.equipment[1].changes).toEqual([{ field: 'machineCapacity', label: 'IDU Capacity (TR)', from: 1.5, to: 2 }]);
+    expect(diff.boq.map(entry => entry.name)).toEqual(['Wall Mounted - 1.5 TR', 'Grand Total']);
+    expect(diff.boq[0].changes.map(change => change.field)).toEqual(['quantity', 'totalPrice']);
+  });
+});
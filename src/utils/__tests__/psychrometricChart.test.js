@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { calculateHumidityRatio } from '../psychrometrics';
+import { resolveCoilProcess } from '../ahuCoilProcess';
+import { getChartState, getProcessChartData, buildPsychrometricChart } from '../psychrometricChart';
+
+const room = { dbF: 75, grains: calculateHumidityRatio(75, 50) };
+const outdoor = { dbF: 105, grains: 130 };
+
+describe('chart data', () => {
+  it('plots the design points with a room SHR line', () => {
+    const { points, lines } = getProcessChartData({ outdoor, room, shf: 0.8 });
+    expect(points.map(point => point.key)).toEqual(['outdoor', 'room']);
+    expect(lines).toHaveLength(1);
+    expect(lines[0].to.dbF).toBe(55);
+    expect(lines[0].to.grains).toBeLessThan(room.grains);
+  });
+
+  it('plots the coil process with mixing, coil and reheat lines', () => {
+    const coilProcess = resolveCoilProcess({ room, outdoor, ersh: 20000, erlh: 14000, outsideAirCFM: 600, bypassFactor: 0.1 });
+    const { points, lines } = getProcessChartData({ coilProcess });
+    expect(points.map(point => point.key)).toEqual(['outdoor', 'room', 'mixed', 'adp', 'coilLeaving', 'supply']);
+    expect(lines.map(line => line.kind)).toEqual(['mixing', 'coil', 'shr', 'reheat']);
+    expect(points.find(point => point.key === 'adp')).toMatchObject({ dbF: 45 });
+  });
+});
+
+describe('chart layout', () => {
+  it('maps states to the plot and back', () => {
+    const chart = buildPsychrometricChart(getProcessChartData({ outdoor, room }));
+    const { x, y } = chart.toChart(75, 100);
+    expect(chart.fromChart(x, y)).toEqual({ dbF: 75, grains: 100 });
+    expect(chart.points[1]).toMatchObject({ key: 'room', x });
+    expect(chart.rhCurves).toHaveLength(10);
+    expect(chart.rhCurves[9].path.startsWith('M')).toBe(true);
+    // 90°F WB saturates above the 200 gr top of the chart
+    expect(chart.wbLines.map(line => line.wbF)).toEqual([40, 50, 60, 70, 80]);
+  });
+
+  it('widens the ranges for hot, humid points', () => {
+    const chart = buildPsychrometricChart(getProcessChartData({ outdoor: { dbF: 124, grains: 210 }, room }));
+    expect(chart.maxDB).toBe(130);
+    expect(chart.maxGrains).toBe(220);
+  });
+
+  it('reads air states and rejects points above saturation', () => {
+    expect(getChartState(75, room.grains).rh).toBeCloseTo(50, 0);
+    expect(getChartState(60, 200)).toBeNull();
+  });
+});
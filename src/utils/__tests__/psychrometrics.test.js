@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculatePsychrometrics,
+  calculateAtmosphericPressure,
+  calculateSaturationPressure,
+  getCityPressure,
+  getClimateData,
+  getMonthlyDesignConditions,
+  INDIAN_CLIMATE_DATA,
+  normalizePressure
+} from '../psychrometrics';
+import { PSYCHROMETRIC_CASES } from './fixtures/goldenHeatLoads';
+
+const PSIA_TO_KPA = 6.894757;
+
+describe('calculatePsychrometrics', () => {
+  PSYCHROMETRIC_CASES.forEach(({ name, input, expected }) => {
+    it(name, () => {
+      const result = calculatePsychrometrics(input);
+      Object.entries(expected).forEach(([key, value]) => {
+        expect(result[key], key).toBeCloseTo(value, 1);
+      });
+    });
+  });
+
+  describe('accepts any two of DB, WB, RH, DP and W', () => {
+    const reference = calculatePsychrometrics({ dbF: 95, wbF: 75 });
+    const pairs = [
+      ['dbF', 'rh'],
+      ['dbF', 'dewPoint'],
+      ['dbF', 'humidityRatio'],
+      ['wbF', 'rh'],
+      ['wbF', 'dewPoint'],
+      ['wbF', 'humidityRatio'],
+      ['rh', 'dewPoint'],
+      ['rh', 'humidityRatio']
+    ];
+
+    pairs.forEach(([a, b]) => {
+      it(`${a} + ${b}`, () => {
+        const result = calculatePsychrometrics({ [a]: reference[a], [b]: reference[b] });
+        expect(result.dbF).toBeCloseTo(reference.dbF, 0);
+        expect(result.wbF).toBeCloseTo(reference.wbF, 1);
+        expect(result.humidityRatio).toBeCloseTo(reference.humidityRatio, 0);
+      });
+    });
+  });
+
+  it('carries less moisture for the same DB/RH at altitude', () => {
+    const seaLevel = calculatePsychrometrics({ dbF: 77, rh: 50 });
+    const bangalore = calculatePsychrometrics({ dbF: 77, rh: 50 }, getCityPressure('Bangalore'));
+    expect(bangalore.humidityRatio).toBeGreaterThan(seaLevel.humidityRatio);
+    expect(bangalore.humidityRatio).toBeCloseTo(77.4, 1);
+    expect(bangalore.specificVolume).toBeGreaterThan(seaLevel.specificVolume);
+  });
+
+  it('rejects a single property', () => {
+    expect(() => calculatePsychrometrics({ dbF: 95 })).toThrow();
+  });
+
+  it('rejects dew point with humidity ratio, which fix the same moisture content', () => {
+    expect(() => calculatePsychrometrics({ dewPoint: 60, humidityRatio: 77 })).toThrow();
+  });
+
+  it('rejects a wet bulb above the dry bulb', () => {
+    expect(() => calculatePsychrometrics({ dbF: 80, wbF: 85 })).toThrow();
+  });
+
+  it('rejects supersaturated air', () => {
+    expect(() => calculatePsychrometrics({ dbF: 70, dewPoint: 75 })).toThrow();
+  });
+});
+
+describe('saturation and barometric pressure', () => {
+  // ASHRAE Fundamentals 2017, Ch. 1, Tables 1 and 3
+  it('matches Hyland-Wexler table values over water and ice', () => {
+    expect(calculateSaturationPressure(68) * PSIA_TO_KPA).toBeCloseTo(2.3392, 3);
+    expect(calculateSaturationPressure(14) * PSIA_TO_KPA).toBeCloseTo(0.25987, 4);
+  });
+
+  it('corrects pressure for elevation', () => {
+    expect(calculateAtmosphericPressure(0)).toBeCloseTo(101.325, 3);
+    expect(calculateAtmosphericPressure(1500)).toBeCloseTo(84.556, 2);
+    expect(getCityPressure('Bangalore')).toBeCloseTo(calculateAtmosphericPressure(920), 6);
+    expect(getCityPressure('Atlantis')).toBeCloseTo(101.325, 3);
+  });
+
+  it('reads stored hPa pressures as kPa', () => {
+    expect(normalizePressure(1013.25)).toBeCloseTo(101.325, 3);
+    expect(normalizePressure(98.2)).toBe(98.2);
+    expect(normalizePressure(undefined)).toBeCloseTo(101.325, 3);
+  });
+});
+
+describe('getClimateData', () => {
+  it('returns the city design point at the site pressure', () => {
+    const delhi = getClimateData('Delhi', 'summer');
+    expect(delhi.dbF).toBe(113);
+    expect(delhi.elevation).toBe(216);
+    expect(delhi.pressure).toBeCloseTo(98.757, 2);
+    expect(delhi.humidityRatio).toBeCloseTo(136.2, 1);
+  });
+
+  it('throws for an unknown city', () => {
+    expect(() => getClimateData('Atlantis')).toThrow('Climate data not available for Atlantis');
+  });
+});
+
+describe('getMonthlyDesignConditions', () => {
+  it('keeps the season anchors and interpolates between them', () => {
+    const delhi = getMonthlyDesignConditions('Delhi');
+    expect(delhi).toHaveLength(12);
+    expect(delhi[4]).toEqual({ month: 5, db: 113, wb: 84.2 });
+    expect(delhi[6]).toEqual({ month: 7, db: 95, wb: 86 });
+    expect(delhi[0]).toEqual({ month: 1, db: 77, wb: 59 });
+    // June sits halfway between May and July
+    expect(delhi[5].db).toBe(104);
+    expect(delhi[5].wb).toBe(85.1);
+  });
+
+  it('prefers monthly data when the city has it', () => {
+    const monthly = Array.from({ length: 12 }, (_, index) => ({ db: 80 + index, wb: 70 }));
+    INDIAN_CLIMATE_DATA.Testville = { ...INDIAN_CLIMATE_DATA.Delhi, monthly };
+    try {
+      expect(getMonthlyDesignConditions('Testville')[3]).toEqual({ month: 4, db: 83, wb: 70 });
+    } finally {
+      delete INDIAN_CLIMATE_DATA.Testville;
+    }
+  });
+
+  it('throws for an unknown city', () => {
+    expect(() => getMonthlyDesignConditions('Atlantis')).toThrow('Climate data not available for Atlantis');
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import * as XLSX from 'xlsx';
+import {
+  createRateLibrary,
+  getNetRate,
+  findRate,
+  priceLine,
+  getMissingRates,
+  getRateVersion,
+  mergeRates,
+  parseRateRows,
+  readRateWorkbook
+} from '../rateLibrary';
+
+const library = createRateLibrary({
+  version: 3,
+  defaults: { discountPercent: 5, marginPercent: 10 },
+  supplierDiscounts: [{ supplier: 'Acme', discountPercent: 20 }],
+  rates: [
+    { code: 'IDU', basis: 'TR', rate: 10000, supplier: '', discountPercent: 0, marginPercent: 0, effectiveFrom: '', effectiveTo: '' },
+    { code: 'IDU-cassette4Way2x2', basis: 'TR', rate: 20000, supplier: '', discountPercent: 0, marginPercent: 0, effectiveFrom: '2026-01-01', effectiveTo: '2026-03-31' },
+    { code: 'IDU-cassette4Way2x2', basis: 'TR', rate: 22000, supplier: '', discountPercent: 0, marginPercent: 0, effectiveFrom: '2026-04-01', effectiveTo: '' },
+    { code: 'ACC-wiredRemotes', basis: 'unit', rate: 2000, supplier: 'Acme', discountPercent: null, marginPercent: null, effectiveFrom: '', effectiveTo: '' }
+  ]
+});
+
+describe('Rate library', () => {
+  it('applies the rate, then the supplier, then the library discount and margin', () => {
+    // Acme's 20% ahead of the 5% default, then the default 10% margin
+    expect(getNetRate(library.rates[3], library)).toBe(1760);
+    expect(getNetRate({ ...library.rates[3], supplier: 'Other' }, library)).toBe(2090);
+    expect(getNetRate({ ...library.rates[3], discountPercent: 0, marginPercent: 0 }, library)).toBe(2000);
+  });
+
+  it('uses the latest rate in force on the pricing date', () => {
+    expect(findRate(library, ['IDU-cassette4Way2x2'], '2026-02-15').rate).toBe(20000);
+    expect(findRate(library, ['IDU-cassette4Way2x2'], '2026-10-19').rate).toBe(22000);
+    expect(findRate(library, ['IDU-cassette4Way2x2'], '2025-12-31')).toBeNull();
+  });
+
+  it('prices per TR and falls back through the codes', () => {
+    const line = { code: 'X', quantity: 2, unitPrice: 0 };
+    const cassette = priceLine(library, line, { codes: ['FXZQ50', 'IDU-cassette4Way2x2', 'IDU'], capacity: { TR: 1.5 }, date: '2026-10-19' });
+    expect(cassette).toMatchObject({ unitPrice: 33000, totalPrice: 66000, rateCode: 'IDU-cassette4Way2x2', priced: true });
+
+    const older = priceLine(library, line, { codes: ['IDU-cassette4Way2x2', 'IDU'], capacity: { TR: 1.5 }, date: '2025-06-01' });
+    expect(older).toMatchObject({ unitPrice: 15000, rateCode: 'IDU' });
+  });
+
+  it('keeps the price of lines it cannot rate and lists them as missing', () => {
+    const lines = [
+      priceLine(library, { code: 'CHW-PUMP', item: 'Pump', unit: 'Nos', quantity: 2, unitPrice: 85000 }),
+      priceLine(library, { code: 'CHW-PUMP', item: 'Pump', unit: 'Nos', quantity: 1, unitPrice: 85000 }),
+      priceLine(library, { code: 'IDU', quantity: 1, unitPrice: 500 }),
+      priceLine(library, { item: 'Custom', quantity: 1, unitPrice: 100 })
+    ];
+    // A per-TR rate without a capacity cannot price the line
+    expect(lines[2]).toMatchObject({ unitPrice: 500, priced: false, rateCode: null });
+    expect(lines[0]).toMatchObject({ unitPrice: 85000, totalPrice: 170000, priced: false });
+
+    const missing = getMissingRates(lines);
+    expect(missing.map(entry => entry.code)).toEqual(['CHW-PUMP', 'IDU']);
+    expect(missing[0]).toMatchObject({ item: 'Pump', basis: 'unit', rate: 85000 });
+  });
+
+  it('records the version and replaces imported rates by code and start date', () => {
+    expect(getRateVersion(library, '2026-10-19')).toEqual({ name: 'Schedule of rates', version: 3, updatedAt: null, pricedOn: '2026-10-19' });
+
+    const merged = mergeRates(library.rates, [
+      { code: 'IDU', rate: 11000, effectiveFrom: '' },
+      { code: 'IDU', rate: 12000, effectiveFrom: '2027-04-01' }
+    ]);
+    expect(merged).toHaveLength(5);
+    expect(merged.filter(entry => entry.code === 'IDU').map(entry => entry.rate)).toEqual([11000, 12000]);
+  });
+});
+
+describe('Schedule import', () => {
+  it('finds the header below a title block and reads percentages and dates', () => {
+    const { rates, errors } = parseRateRows([
+      ['Schedule of rates 2026'],
+      [],
+      ['Item Code', 'Description', 'UOM', 'Per', 'Rate (Rs)', 'Disc.', 'Markup %', 'W.E.F.', 'Valid Till'],
+      ['FXZQ50', 'Cassette 1.5 TR', 'Nos', '', '₹ 48,500', 0.12, '8%', '01/04/2026', new Date(2027, 2, 31)],
+      ['ACC-copperPiping', 'Copper pipe', 'Mtr', 'per metre', 450, '', '', '', ''],
+      ['IDU', 'Indoor unit', 'Nos', 'TR', 15000, '', '', '2026-4-1', ''],
+      ['', 'No code', 'Nos', '', 10, '', '', '', ''],
+      ['BAD', 'No rate', 'Nos', '', 'on request', '', '', '', ''],
+      ['LATE', 'Bad date', 'Nos', '', 10, '', '', 'someday', '']
+    ], { supplier: 'Acme' });
+
+    expect(rates).toHaveLength(3);
+    expect(rates[0]).toMatchObject({
+      code: 'FXZQ50', unit: 'Nos', basis: 'unit', rate: 48500, supplier: 'Acme',
+      discountPercent: 12, marginPercent: 8, effectiveFrom: '2026-04-01', effectiveTo: '2027-03-31'
+    });
+    expect(rates[1]).toMatchObject({ basis: 'unit', discountPercent: null, effectiveFrom: '' });
+    expect(rates[2]).toMatchObject({ basis: 'TR', effectiveFrom: '2026-04-01' });
+    expect(errors.map(error => error.line)).toEqual([7, 8, 9]);
+  });
+
+  it('reads CSV and workbook schedules', () => {
+    const csv = readRateWorkbook('Code,Item,Rate,Basis,Valid From\nODU,Outdoor unit,"12,500",HP,01/04/2026\n');
+    expect(csv.errors).toEqual([]);
+    expect(csv.rates[0]).toMatchObject({ code: 'ODU', rate: 12500, basis: 'HP', effectiveFrom: '2026-04-01' });
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Notes']]), 'Cover');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Code', 'Rate'], ['ACC-drainPump', 3600]]), 'Rates');
+    const result = readRateWorkbook(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }));
+    // The cover sheet has no rate columns and is passed over
+    expect(result).toMatchObject({ rates: [{ code: 'ACC-drainPump', rate: 3600 }], errors: [] });
+
+    expect(readRateWorkbook('Item,Price\nPump,100\n').errors[0].message).toMatch(/No header row/);
+  });
+});
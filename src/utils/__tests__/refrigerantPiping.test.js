@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import { EQUIPMENT_CATALOG, findModel } from '../equipmentCatalog';
+import {
+  createChainNetwork,
+  createPipingNode,
+  removePipingNode,
+  analysePipingNetwork,
+  getPipingConditions,
+  getPipingSchedule,
+  mergePipingSchedules
+} from '../refrigerantPiping';
+
+const odu = (hp) => findModel(EQUIPMENT_CATALOG.models, { category: 'odu', type: 'combined', systemType: 'vrfHeatPump' }, hp, 'hp');
+
+// ODU → 20 m → header (3 IDUs) and joint (2 IDUs)
+const headerNetwork = () => ({
+  nodes: [
+    { id: 'n1', type: 'odu', label: 'ODU', elevationM: 12 },
+    { id: 'n2', type: 'joint', parentId: 'n1', label: 'J1', lengthM: 20, bends: 4 },
+    { id: 'n3', type: 'header', parentId: 'n2', label: 'H1', lengthM: 10, bends: 2 },
+    { id: 'n4', type: 'idu', parentId: 'n3', label: 'Cabin 1', lengthM: 6, bends: 2, elevationM: 0, capacityKW: 3.6 },
+    { id: 'n5', type: 'idu', parentId: 'n3', label: 'Cabin 2', lengthM: 9, bends: 2, elevationM: 0, capacityKW: 3.6 },
+    { id: 'n6', type: 'idu', parentId: 'n3', label: 'Cabin 3', lengthM: 12, bends: 2, elevationM: 0, capacityKW: 5.6 },
+    { id: 'n7', type: 'joint', parentId: 'n2', label: 'J2', lengthM: 15, bends: 2 },
+    { id: 'n8', type: 'idu', parentId: 'n7', label: 'Hall 1', lengthM: 5, bends: 2, elevationM: 3, capacityKW: 14 },
+    { id: 'n9', type: 'idu', parentId: 'n7', label: 'Hall 2', lengthM: 8, bends: 2, elevationM: 3, capacityKW: 14 }
+  ]
+});
+
+describe('piping network sizing', () => {
+  it('sizes runs by the capacity downstream and the main by the outdoor unit', () => {
+    const analysis = analysePipingNetwork(headerNetwork(), odu(16));
+    const segment = (id) => analysis.segments.find(entry => entry.id === id);
+
+    expect(analysis.errors).toEqual([]);
+    expect(segment('n2').main).toBe(true);
+    expect(segment('n2').downstreamKW).toBeCloseTo(odu(16).coolingKW, 1);
+    expect(segment('n3')).toMatchObject({ downstreamKW: 12.8, gasMM: 15.88, liquidMM: 9.52 });
+    expect(segment('n7')).toMatchObject({ downstreamKW: 28, gasMM: 22.22, liquidMM: 9.52 });
+    expect(segment('n4')).toMatchObject({ gasMM: 12.7, liquidMM: 6.35 });
+    expect(analysis.fittings.find(fitting => fitting.id === 'n3').model).toBe('GEN-RH4-22');
+    expect(analysis.fittings.find(fitting => fitting.id === 'n7').model).toBe('GEN-RJ33');
+  });
+
+  it('measures actual, equivalent and first-branch lengths and level differences', () => {
+    const { totals, paths, checks, ok } = analysePipingNetwork(headerNetwork(), odu(16));
+    const farthest = paths.find(path => path.label === 'Cabin 3');
+
+    expect(farthest.actualM).toBe(42);
+    expect(farthest.fromFirstBranchM).toBe(22);
+    expect(farthest.equivalentM).toBeGreaterThan(farthest.actualM);
+    expect(totals).toMatchObject({ iduCount: 5, totalLengthM: 85, maxLevelDifferenceM: 12, iduLevelDifferenceM: 3 });
+    expect(checks.every(check => check.ok)).toBe(true);
+    expect(ok).toBe(true);
+    expect(getPipingConditions({ totals })).toEqual({ equivalentLengthM: totals.maxEquivalentLengthM, levelDifferenceM: 12 });
+  });
+
+  it('flags runs beyond the outdoor unit limits', () => {
+    const network = headerNetwork();
+    network.nodes[2].lengthM = 60;
+    network.nodes[0].elevationM = 80;
+    const { checks, ok } = analysePipingNetwork(network, odu(16));
+    const failed = checks.filter(check => !check.ok).map(check => check.key);
+
+    expect(failed).toEqual(['firstBranch', 'levelDifference']);
+    expect(ok).toBe(false);
+  });
+
+  it('reports layouts that cannot be built', () => {
+    const network = headerNetwork();
+    network.nodes.push({ id: 'n10', type: 'joint', parentId: 'n3', label: 'J3', lengthM: 3 });
+    network.nodes.push({ id: 'n11', type: 'idu', parentId: 'n99', label: 'Orphan', capacityKW: 2.8 });
+    const { errors } = analysePipingNetwork(network);
+
+    expect(errors).toContain('J3 needs 2 branch(es), has 0');
+    expect(errors).toContain('J3: a refnet joint cannot follow a header');
+    expect(errors).toContain('Orphan is not connected to the outdoor unit');
+  });
+});
+
+describe('piping network editing', () => {
+  it('tees indoor units off a single run and removes whole branches', () => {
+    const { nodes } = createChainNetwork([
+      { label: 'A', capacityKW: 5.6 },
+      { label: 'B', capacityKW: 7.1 },
+      { label: 'C', capacityKW: 9 }
+    ]);
+    expect(nodes.map(node => node.type)).toEqual(['odu', 'joint', 'idu', 'joint', 'idu', 'idu']);
+    expect(analysePipingNetwork({ nodes }).errors).toEqual([]);
+
+    const remaining = removePipingNode(nodes, nodes[3].id);
+    expect(remaining.map(node => node.label)).toEqual(['ODU', 'J1', 'A']);
+    expect(createPipingNode(remaining, { type: 'idu' }).id).toBe('n4');
+  });
+});
+
+describe('piping schedule', () => {
+  it('itemizes copper by size, refnet kits and insulation with wastage', () => {
+    const schedule = getPipingSchedule(analysePipingNetwork(headerNetwork(), odu(16)));
+    const item = (code) => schedule.find(entry => entry.code === code);
+
+    expect(item('CU-6.35').quantity).toBe(Math.ceil(27 * 1.1));
+    expect(item('INS-6.35-13').quantity).toBe(Math.ceil(27 * 1.1));
+    expect(item('GEN-RJ33').quantity).toBe(1);
+    expect(item('GEN-RH4-22')).toMatchObject({ quantity: 1, unit: 'nos' });
+    expect(schedule.every(entry => entry.totalPrice === Math.round(entry.quantity * entry.unitPrice))).toBe(true);
+
+    const merged = mergePipingSchedules([schedule, schedule]);
+    expect(merged.find(entry => entry.code === 'CU-6.35').quantity).toBe(2 * item('CU-6.35').quantity);
+    expect(merged.map(entry => entry.category)).toEqual([...merged.map(entry => entry.category)].sort((a, b) => (
+      ['copper', 'joint', 'insulation'].indexOf(a) - ['copper', 'joint', 'insulation'].indexOf(b)
+    )));
+  });
+});
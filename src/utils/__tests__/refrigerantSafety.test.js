@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { EQUIPMENT_CATALOG, findModel } from '../equipmentCatalog';
+import { analysePipingNetwork } from '../refrigerantPiping';
+import {
+  getRefrigerant,
+  liquidLineChargePerM,
+  calculateRefrigerantCharge,
+  getRoomVolumeM3,
+  checkRoomConcentration,
+  getChargeScheduleItem
+} from '../refrigerantSafety';
+
+const odu = (hp) => findModel(EQUIPMENT_CATALOG.models, { category: 'odu', type: 'combined', systemType: 'vrfHeatPump' }, hp, 'hp');
+
+const network = {
+  nodes: [
+    { id: 'n1', type: 'odu', label: 'ODU', elevationM: 3 },
+    { id: 'n2', type: 'joint', parentId: 'n1', label: 'J1', lengthM: 30, bends: 4 },
+    { id: 'n3', type: 'idu', parentId: 'n2', label: 'Cabin', lengthM: 8, bends: 2, capacityKW: 3.6 },
+    { id: 'n4', type: 'idu', parentId: 'n2', label: 'Hall', lengthM: 10, bends: 2, capacityKW: 14 }
+  ]
+};
+
+describe('refrigerant charge', () => {
+  it('adds the liquid line charge to the factory charge', () => {
+    expect(liquidLineChargePerM(9.52)).toBeCloseTo(0.056, 3);
+    expect(liquidLineChargePerM(6.35, 'R32')).toBeLessThan(liquidLineChargePerM(6.35));
+    expect(getRefrigerant('R-32').safetyGroup).toBe('A2L');
+
+    const model = odu(10);
+    const charge = calculateRefrigerantCharge(analysePipingNetwork(network, model), model);
+    const lineKg = charge.lines.reduce((sum, line) => sum + line.kg, 0);
+
+    expect(charge.refrigerant).toBe('R410A');
+    expect(charge.factoryKg).toBe(model.factoryChargeKg);
+    expect(charge.lines.reduce((sum, line) => sum + line.lengthM, 0)).toBe(48);
+    expect(charge.additionalKg).toBeCloseTo(lineKg, 1);
+    expect(charge.totalKg).toBeCloseTo(charge.factoryKg + charge.additionalKg, 1);
+  });
+
+  it('puts the on-site charge on the schedule', () => {
+    const item = getChargeScheduleItem({ refrigerant: 'R410A', additionalKg: 2.34 });
+    expect(item).toMatchObject({ code: 'REF-R410A', category: 'refrigerant', quantity: 2.4, unit: 'kg' });
+    expect(item.totalPrice).toBe(Math.round(2.4 * item.unitPrice));
+    expect(getChargeScheduleItem({ refrigerant: 'R410A', additionalKg: 0 })).toBeNull();
+  });
+});
+
+describe('room concentration', () => {
+  const rooms = [
+    { name: 'Hall', volumeM3: 100 },
+    { name: 'Cabin', volumeM3: 40 },
+    { name: 'Store', volumeM3: 8 },
+    { name: 'Shaft', volumeM3: 5, occupied: false },
+    { name: 'Unmeasured' }
+  ];
+
+  it('grades each room against the ASHRAE 15 limit', () => {
+    const result = checkRoomConcentration(20, rooms);
+
+    expect(result.map(room => room.status)).toEqual(['ok', 'measures', 'split', 'unoccupied', 'unknown']);
+    expect(result[0]).toMatchObject({ concentrationKgM3: 0.2, limitKgM3: 0.42, allowableChargeKg: 42, ok: true });
+    expect(result[1].measures).toEqual(['detection', 'ventilation']);
+    expect(result[4].ok).toBe(false);
+  });
+
+  it('halves the limit for institutional occupancies and uses the ISO 5149 practical limit', () => {
+    expect(checkRoomConcentration(30, rooms.slice(0, 1), { institutional: true })[0]).toMatchObject({ limitKgM3: 0.21, status: 'measures' });
+    expect(checkRoomConcentration(30, rooms.slice(0, 1), { standard: 'iso5149', institutional: true })[0]).toMatchObject({ limitKgM3: 0.44, status: 'ok' });
+  });
+
+  it('caps flammable refrigerants at half the LFL even with safety measures', () => {
+    const [hall] = checkRoomConcentration(16, rooms.slice(0, 1), { refrigerant: 'R32' });
+    expect(hall.limitKgM3).toBe(0.077);
+    expect(hall.status).toBe('split');
+  });
+
+  it('reads room volume from the heat load form in cubic feet', () => {
+    expect(getRoomVolumeM3({ formData: { area: 500, height: 10 } })).toBe(141.6);
+    expect(getRoomVolumeM3({ heatLoadData: { formData: { volume: 1000 } } })).toBe(28.3);
+    expect(getRoomVolumeM3({ formData: {} })).toBeNull();
+  });
+
+  it('reads the volume of rooms saved from the floor-wise calculator', () => {
+    const calc = { formData: { formData: { area: '500', height: '10' }, roomName: 'Hall' } };
+    expect(getRoomVolumeM3(calc)).toBe(141.6);
+    expect(checkRoomConcentration(20, [{ name: 'Hall', volumeM3: getRoomVolumeM3(calc) }])[0].status).toBe('ok');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { computeRoomLoad, toHeatLoadData } from '../roomLoadEngine';
+import { SPACE_CONSIDERED_CASES } from './fixtures/goldenHeatLoads';
+
+describe('computeRoomLoad', () => {
+  SPACE_CONSIDERED_CASES.forEach(({ name, formData, expected }) => {
+    it(name, () => {
+      const { warningCodes, ...expectedValues } = expected;
+      const load = computeRoomLoad(formData);
+
+      Object.entries(expectedValues).forEach(([key, value]) => {
+        expect(load[key], key).toBeCloseTo(value, 2);
+      });
+      expect(load.warnings.map(warning => warning.code)).toEqual(warningCodes);
+    });
+  });
+
+  it('keeps GTH = grand sensible + grand latent', () => {
+    const load = computeRoomLoad(SPACE_CONSIDERED_CASES[0].formData);
+    expect(load.grandSensible + load.grandLatent).toBeCloseTo(load.GTH, 6);
+  });
+
+  it('returns a zero load for an empty form', () => {
+    const load = computeRoomLoad({});
+    expect(load.GTH).toBe(0);
+    expect(load.dehumidifiedCFM).toBe(0);
+    expect(load.warnings).toEqual([]);
+  });
+
+  it('derives ΔDB and ΔGR from the design conditions when not given', () => {
+    const load = computeRoomLoad({ outsideDB: '104', insideDB: '75', outsideGR: '130', insideGR: '65' });
+    expect(load.diffDB).toBe(29);
+    expect(load.diffGR).toBe(65);
+  });
+
+  it('counts occupants entered only on the internal heat row for sensible and latent', () => {
+    const load = computeRoomLoad({ numPeopleInternal: '4', shPerPerson: '245', lhPerPerson: '205' });
+    expect(load.peopleSensible).toBe(980);
+    expect(load.latentPeopleBTU).toBe(820);
+  });
+
+  it('prices manual spreadsheet rows as area × sun gain × U', () => {
+    const load = computeRoomLoad({
+      sunGainGlass: [{ area: '10', sunGain: '163', uFactor: '0.56', manual: true }],
+      solarGainWalls: [{ area: '20', sunGain: '41', uFactor: '0.36', manual: true }]
+    });
+    expect(load.glassGain).toBeCloseTo(912.8, 6);
+    expect(load.wallGain).toBeCloseTo(295.2, 6);
+  });
+});
+
+describe('toHeatLoadData', () => {
+  it('rounds the room card summary', () => {
+    const data = toHeatLoadData(computeRoomLoad(SPACE_CONSIDERED_CASES[0].formData));
+    expect(data).toMatchObject({
+      area: 500,
+      tonnage: 4.99,
+      totalCfm: 2043.54,
+      sensibleHeat: 49658.07,
+      latentHeat: 3470.5,
+      totalHeat: 59925.37,
+      outsideAirCfm: 100,
+      calculated: true
+    });
+  });
+});
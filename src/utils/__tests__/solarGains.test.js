@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SHEET_BASIS,
+  calculateSolarHeatGainFactor,
+  getSolarGainRatio,
+  isSolarOrientation,
+  normalizeMonth
+} from '../solarGains';
+import IndianHVACCalculations from '../IndianHVACCalculations';
+
+describe('getSolarGainRatio', () => {
+  it('reproduces the sheet at its own basis', () => {
+    ['North', 'North East', 'East', 'South', 'West', 'Horizontal'].forEach((orientation) => {
+      expect(getSolarGainRatio(orientation, SHEET_BASIS)).toBeCloseTo(1, 6);
+    });
+  });
+
+  it('raises winter south glass at northern latitudes', () => {
+    expect(getSolarGainRatio('South', { latitude: 34, month: 1 })).toBeGreaterThan(5);
+    expect(getSolarGainRatio('South', { latitude: 34, month: 1 }))
+      .toBeGreaterThan(getSolarGainRatio('South', { latitude: 34, month: 6 }));
+  });
+
+  it('puts the sun on north glass in June south of the tropic', () => {
+    expect(getSolarGainRatio('North', { latitude: 13, month: 6 })).toBeGreaterThan(1);
+  });
+
+  it('is 1 for unknown orientations and 0 at night', () => {
+    expect(getSolarGainRatio('Partition', { latitude: 28, month: 5 })).toBe(1);
+    expect(getSolarGainRatio('East', { latitude: 28, month: 5, hour: 22 })).toBe(0);
+    expect(calculateSolarHeatGainFactor('West', { latitude: 20, month: 5, hour: 4 })).toBe(0);
+  });
+
+  it('moves the sheet values through IndianHVACCalculations', () => {
+    const sheet = IndianHVACCalculations.getSolarGainForOrientation('South');
+    const winter = IndianHVACCalculations.getSolarGainForOrientation('South', undefined, { latitude: 34, month: 1 });
+    expect(winter).toBeCloseTo(sheet * getSolarGainRatio('South', { latitude: 34, month: 1 }), 6);
+    expect(IndianHVACCalculations.getSolarGainForOrientation('East', undefined, SHEET_BASIS)).toBeCloseTo(
+      IndianHVACCalculations.getSolarGainForOrientation('East'), 6
+    );
+  });
+});
+
+describe('helpers', () => {
+  it('normalizes orientations and months', () => {
+    expect(isSolarOrientation('north west')).toBe(true);
+    expect(isSolarOrientation('Roof')).toBe(false);
+    expect(normalizeMonth('3')).toBe(3);
+    expect(normalizeMonth(13)).toBe(SHEET_BASIS.month);
+  });
+});
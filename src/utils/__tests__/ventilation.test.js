@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getZoneCategory,
+  calculateZoneOutdoorAir,
+  calculateSystemVentilation,
+  getRoomVentilationZone,
+  getVentilationReport
+} from '../ventilation';
+
+describe('zone outdoor air', () => {
+  it('applies Rp·Pz + Ra·Az and the distribution effectiveness', () => {
+    // 1000 ft² office, 10 people: 5 × 10 + 0.06 × 1000 = 110 CFM
+    const office = calculateZoneOutdoorAir({ roomType: 'office', areaFt2: 1000, people: 10 });
+    expect(office).toMatchObject({ category: 'office', peopleCFM: 50, areaCFM: 60, vbz: 110, ez: 1, voz: 110 });
+    const warmAir = calculateZoneOutdoorAir({ roomType: 'office', areaFt2: 1000, people: 10, distribution: 'ceilingWarm' });
+    expect(warmAir.voz).toBeCloseTo(137.5, 1);
+  });
+
+  it('falls back to the default occupant density', () => {
+    // Conference at 50 people / 1000 ft²: 25 people on 500 ft²
+    expect(calculateZoneOutdoorAir({ roomType: 'Conference Room', areaFt2: 500 })).toMatchObject({ people: 25, voz: 155 });
+  });
+
+  it('uses the greater of people and air changes for NBC', () => {
+    const zone = { roomType: 'restaurant', areaFt2: 1000, volumeFt3: 10000, people: 40 };
+    // 12 ACH × 10000 / 60 = 2000 CFM beats 40 × 15 = 600 CFM
+    expect(calculateZoneOutdoorAir(zone, 'nbc2016')).toMatchObject({ category: 'dining', peopleCFM: 600, achCFM: 2000, voz: 2000 });
+  });
+
+  it('matches room types to categories', () => {
+    expect(getZoneCategory('Operation Theatre')).toBe('patientRoom');
+    expect(getZoneCategory('Lecture Hall')).toBe('lectureHall');
+    expect(getZoneCategory('toilet', 'nbc2016')).toBe('toilet');
+    expect(getZoneCategory('Something else')).toBe('office');
+  });
+
+  it('matches short words only as whole words', () => {
+    expect(getZoneCategory('Small Office')).toBe('office');
+    expect(getZoneCategory('Shopping Mall')).toBe('mall');
+    expect(getZoneCategory('Open Space')).toBe('office');
+    expect(getZoneCategory('Embedded Systems Cell')).toBe('office');
+    expect(getZoneCategory('Collaboration Area')).toBe('office');
+    expect(getZoneCategory('Groups Room')).toBe('office');
+    expect(getZoneCategory('Database Admin')).toBe('office');
+    expect(getZoneCategory('Barber')).toBe('office');
+    expect(getZoneCategory('Master Bedroom')).toBe('bedroom');
+    expect(getZoneCategory('Physics Lab')).toBe('laboratory');
+    expect(getZoneCategory('UPS Room')).toBe('equipment');
+    expect(getZoneCategory('Bar')).toBe('dining');
+  });
+});
+
+describe('system outdoor air', () => {
+  const zones = [
+    { key: 'a', name: 'Office', roomType: 'office', areaFt2: 1000, people: 10, supplyCFM: 1000, providedCFM: 120 },
+    { key: 'b', name: 'Conference', roomType: 'conference', areaFt2: 500, people: 25, supplyCFM: 600, providedCFM: 100 }
+  ];
+
+  it('sums zone outdoor air for a 100% outdoor air system and checks each zone', () => {
+    const system = calculateSystemVentilation(zones, { systemType: 'doas' });
+    expect(system.vot).toBe(265);
+    expect(system.zones[1].ok).toBe(false);
+    expect(system.ok).toBe(false);
+    expect(system.warnings[0]).toMatch(/Conference/);
+  });
+
+  it('works out the multiple-zone system efficiency (Appendix A)', () => {
+    const system = calculateSystemVentilation(zones, { systemType: 'multiZone', diversity: 0.8 });
+    // Vou = 0.8 × (50 + 125) + 60 + 30 = 230; Xs = 230 / 1600; critical Zpz = 155 / 600
+    expect(system.vou).toBe(230);
+    expect(system.xs).toBeCloseTo(0.144, 3);
+    expect(system.ev).toBeCloseTo(1 + 230 / 1600 - 155 / 600, 3);
+    expect(system.vot).toBeCloseTo(230 / system.ev, 0);
+    expect(system.evMethod).toBe('appendixA');
+    // 220 CFM of intake falls short of Vot
+    expect(system.ok).toBe(false);
+  });
+
+  it('uses the simplified efficiency without zone primary airflows', () => {
+    const system = calculateSystemVentilation(zones.map(zone => ({ ...zone, supplyCFM: 0 })), { systemType: 'multiZone' });
+    expect(system.evMethod).toBe('simplified');
+    expect(system.ev).toBe(0.75);
+  });
+});
+
+describe('project report', () => {
+  it('groups zones into one system per floor', () => {
+    const calc = {
+      roomType: 'office',
+      formData: { sqFt: '1000', cubFt: '10000', numPeople: '10' },
+      heatLoadData: { totalCfm: 1200, outsideAirCfm: 150 }
+    };
+    const zone = getRoomVentilationZone(calc);
+    expect(zone).toMatchObject({ roomType: 'office', areaFt2: 1000, volumeFt3: 10000, people: 10, supplyCFM: 1200, providedCFM: 150 });
+    // Rooms saved from the floor-wise calculator keep the sheet one level deeper
+    expect(getRoomVentilationZone({ ...calc, formData: { formData: calc.formData } })).toEqual(zone);
+
+    const report = getVentilationReport([
+      { key: 'a', floorId: 'f1', floorName: 'Ground', name: 'Office 1', ...zone },
+      { key: 'b', floorId: 'f1', floorName: 'Ground', name: 'Office 2', ...zone },
+      { key: 'c', floorId: 'f2', floorName: 'First', name: 'Office 3', ...zone }
+    ]);
+    expect(report.systems.map(system => system.floorName)).toEqual(['Ground', 'First']);
+    expect(report.systems[0].vot).toBe(220);
+    expect(report.totals).toMatchObject({ zones: 3, vot: 330, providedCFM: 450 });
+    expect(report.ok).toBe(true);
+  });
+});
@@ -0,0 +1,318 @@
+/**
+ * AHU Coil Process
+ * Resolves the air side of a cooling coil from the room load sheet results
+ * (Carrier E-20 method, same 1.08 / 0.68 air factors as the load engine):
+ *
+ * - Indicated ADP: where the room's ESHF line meets the saturation curve
+ * - Supply air = ERSH / (1.08 × (1 - BF) × (Room DB - ADP))
+ * - Mixing: outside and return air weighted by airflow
+ * - Coil leaving = ADP + BF × (coil entering - ADP), for DB and moisture alike
+ * - Coil loads from the entering/leaving states, condensate from the moisture removed
+ *
+ * When the ESHF line does not reach the saturation curve above the lowest
+ * practical ADP (high latent rooms), the coil runs at that ADP and the
+ * sensible heat needed to bring the room onto its line is reported as reheat.
+ *
+ * Temperatures °F, humidity ratio grains/lb, loads Btu/h, airflow CFM.
+ */
+
+import { calculateHumidityRatio, calculatePsychrometrics, normalizePressure } from './psychrometrics';
+import { BTU_PER_TON, SENSIBLE_AIR_FACTOR, LATENT_AIR_FACTOR, getRoomSheet } from './roomLoadEngine';
+import { gpmForLoad } from './chilledWaterSystem';
+
+export const COIL_DESIGN = {
+  // About the lowest ADP a 44°F chilled water or DX coil reaches
+  minADPF: 45,
+  // Selected ADPs further than this from the indicated ADP are flagged
+  adpToleranceF: 1,
+  // Face velocity: 500 fpm is the limit for moisture carry-over; coils
+  // condensing heavily (coil SHR below highLatentSHR) are held to 400 fpm
+  maxFaceVelocityFPM: 500,
+  highLatentFaceVelocityFPM: 400,
+  highLatentSHR: 0.7
+};
+
+/**
+ * Typical coil bypass factor by rows (8-14 fins/in, 400-500 fpm face velocity)
+ */
+export const COIL_ROWS = [
+  { rows: 2, bypassFactor: 0.35 },
+  { rows: 3, bypassFactor: 0.22 },
+  { rows: 4, bypassFactor: 0.14 },
+  { rows: 5, bypassFactor: 0.08 },
+  { rows: 6, bypassFactor: 0.05 },
+  { rows: 8, bypassFactor: 0.02 }
+];
+
+// Air mass flow per CFM (lb/h): 60 min × 0.075 lb/ft³
+const AIR_LB_PER_CFM_HOUR = 4.5;
+const GRAINS_PER_LB = 7000;
+const KG_PER_LB = 0.4536;
+const BTU_PER_KW = 3412;
+const FT2_TO_M2 = 0.0929;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * Smallest number of coil rows that reaches a bypass factor
+ * @param {number} bypassFactor
+ * @returns {number} Rows
+ */
+export function recommendCoilRows(bypassFactor) {
+  const entry = COIL_ROWS.find(row => row.bypassFactor <= bypassFactor);
+  return (entry || COIL_ROWS[COIL_ROWS.length - 1]).rows;
+}
+
+// Full state from DB and grains, held on the saturation curve
+function airState(dbF, grains, pressure) {
+  const saturated = calculateHumidityRatio(dbF, 100, pressure);
+  const state = calculatePsychrometrics({ dbF, humidityRatio: Math.min(grains, saturated) }, pressure);
+  return {
+    dbF: round(dbF, 1),
+    wbF: round(state.wbF, 1),
+    rh: state.rh,
+    humidityRatio: round(Math.min(grains, saturated), 1),
+    enthalpy: state.enthalpy
+  };
+}
+
+// Sensible heat factor of the line from the room state to a saturated point at adpF
+function lineSHF(room, adpF, pressure) {
+  const sensible = SENSIBLE_AIR_FACTOR * (room.dbF - adpF);
+  const latent = LATENT_AIR_FACTOR * Math.max(0, room.grains - calculateHumidityRatio(adpF, 100, pressure));
+  return sensible + latent > 0 ? sensible / (sensible + latent) : 1;
+}
+
+/**
+ * ADP where the ESHF line from the room state meets the saturation curve
+ * @param {Object} room - { dbF, grains }
+ * @param {number} eshf - Effective sensible heat factor
+ * @param {number} [pressure] - kPa
+ * @param {number} [minADPF] - Lowest ADP searched
+ * @returns {number|null} °F, or null when the line stays above the curve down to minADPF
+ */
+export function findIndicatedADP(room, eshf, pressure, minADPF = COIL_DESIGN.minADPF) {
+  const kPa = normalizePressure(pressure);
+  const dewPoint = calculatePsychrometrics({ dbF: room.dbF, humidityRatio: room.grains }, kPa).dewPoint;
+  if (eshf >= 1) return round(dewPoint, 1);
+  if (dewPoint <= minADPF || lineSHF(room, minADPF, kPa) > eshf) return null;
+
+  // lineSHF rises from minADPF to 1 at the room dew point
+  let low = minADPF;
+  let high = dewPoint;
+  for (let i = 0; i < 50; i++) {
+    const mid = (low + high) / 2;
+    if (lineSHF(room, mid, kPa) < eshf) low = mid;
+    else high = mid;
+  }
+  return round((low + high) / 2, 1);
+}
+
+/**
+ * Mixing → coil → supply process of one zone
+ * @param {Object} input
+ * @param {Object} input.room - Room design state { dbF, grains }
+ * @param {Object} input.outdoor - Outside design state { dbF, grains }
+ * @param {number} input.ersh - Effective room sensible heat (Btu/h)
+ * @param {number} input.erlh - Effective room latent heat (Btu/h)
+ * @param {number} [input.outsideAirCFM]
+ * @param {number} [input.bypassFactor] - Coil bypass factor (default 0.2)
+ * @param {number} [input.adpF] - Selected ADP; the indicated ADP when omitted
+ * @param {number|string} [input.pressure] - Site pressure (kPa, or hPa/mbar)
+ * @param {number} [input.minADPF]
+ * @param {number} [input.chwDeltaF] - Chilled water rise for the coil GPM
+ * @returns {Object|null} { eshf, indicatedADP, adpF, bypassFactor, supplyCFM, outsideAirCFM,
+ *   returnAirCFM, states: { outdoor, room, mixed, coilLeaving, supply }, coil, reheat, warnings, ok },
+ *   null without a room state or sensible load
+ */
+export function resolveCoilProcess({
+  room,
+  outdoor,
+  ersh,
+  erlh = 0,
+  outsideAirCFM = 0,
+  bypassFactor = 0.2,
+  adpF,
+  pressure,
+  minADPF = COIL_DESIGN.minADPF,
+  chwDeltaF
+} = {}) {
+  if (!(room?.dbF > 0 && room?.grains > 0 && ersh > 0)) return null;
+  const kPa = normalizePressure(pressure);
+  const outside = outdoor?.dbF > 0 && outdoor?.grains > 0 ? outdoor : room;
+  const warnings = [];
+
+  const eshf = ersh / (ersh + Math.max(0, erlh));
+  const indicatedADP = findIndicatedADP(room, eshf, kPa, minADPF);
+  const adp = adpF > 0 ? adpF : (indicatedADP ?? minADPF);
+
+  // Below the line's SHF at this ADP the room cannot hold its humidity without reheat
+  const adpSHF = lineSHF(room, adp, kPa);
+  const reheatBtuh = indicatedADP === null && adpSHF > eshf && adpSHF < 1
+    ? (adpSHF * (ersh + erlh) - ersh) / (1 - adpSHF)
+    : 0;
+  if (indicatedADP === null) {
+    warnings.push({
+      code: 'REHEAT',
+      message: `ESHF ${round(eshf, 3)} line does not meet the saturation curve above ${minADPF}°F ADP - ${round(reheatBtuh / BTU_PER_KW, 1)} kW reheat`
+    });
+  } else if (adpF > 0 && Math.abs(adpF - indicatedADP) > COIL_DESIGN.adpToleranceF) {
+    warnings.push({
+      code: 'ADP_MISMATCH',
+      message: `Selected ADP ${adpF}°F differs from the indicated ADP ${indicatedADP}°F - room will run ${adpF > indicatedADP ? 'humid' : 'dry'}`
+    });
+  }
+
+  const contactFactor = 1 - bypassFactor;
+  const rise = contactFactor * (room.dbF - adp);
+  if (!(rise > 0)) return null;
+  const supplyCFM = (ersh + reheatBtuh) / (SENSIBLE_AIR_FACTOR * rise);
+  const oaCFM = Math.min(Math.max(0, outsideAirCFM), supplyCFM);
+  if (outsideAirCFM > supplyCFM) {
+    warnings.push({ code: 'FULL_FRESH_AIR', message: 'Outside air exceeds supply air - coil handles 100% outside air' });
+  }
+
+  // Mixing, then the coil's contact factor on both DB and moisture
+  const oaFraction = oaCFM / supplyCFM;
+  const mixedDB = room.dbF + oaFraction * (outside.dbF - room.dbF);
+  const mixedGrains = room.grains + oaFraction * (outside.grains - room.grains);
+  const adpGrains = calculateHumidityRatio(adp, 100, kPa);
+  const leavingDB = adp + bypassFactor * (mixedDB - adp);
+  const leavingGrains = Math.min(mixedGrains, adpGrains + bypassFactor * (mixedGrains - adpGrains));
+  const supplyDB = leavingDB + reheatBtuh / (SENSIBLE_AIR_FACTOR * supplyCFM);
+
+  const states = {
+    outdoor: airState(outside.dbF, outside.grains, kPa),
+    room: airState(room.dbF, room.grains, kPa),
+    mixed: airState(mixedDB, mixedGrains, kPa),
+    coilLeaving: airState(leavingDB, leavingGrains, kPa),
+    supply: airState(supplyDB, leavingGrains, kPa)
+  };
+
+  const sensibleBtuh = SENSIBLE_AIR_FACTOR * supplyCFM * (mixedDB - leavingDB);
+  const latentBtuh = LATENT_AIR_FACTOR * supplyCFM * (mixedGrains - leavingGrains);
+  const totalBtuh = sensibleBtuh + latentBtuh;
+  const coilSHR = totalBtuh > 0 ? sensibleBtuh / totalBtuh : 1;
+  const faceVelocityFPM = coilSHR < COIL_DESIGN.highLatentSHR
+    ? COIL_DESIGN.highLatentFaceVelocityFPM
+    : COIL_DESIGN.maxFaceVelocityFPM;
+  const faceAreaFt2 = supplyCFM / faceVelocityFPM;
+  const condensateLbH = AIR_LB_PER_CFM_HOUR * supplyCFM * (mixedGrains - leavingGrains) / GRAINS_PER_LB;
+  const tons = totalBtuh / BTU_PER_TON;
+
+  return {
+    eshf: round(eshf, 3),
+    indicatedADP,
+    adpF: round(adp, 1),
+    bypassFactor,
+    supplyCFM: Math.round(supplyCFM),
+    outsideAirCFM: Math.round(oaCFM),
+    returnAirCFM: Math.round(supplyCFM - oaCFM),
+    states,
+    coil: {
+      sensibleBtuh: Math.round(sensibleBtuh),
+      latentBtuh: Math.round(latentBtuh),
+      totalBtuh: Math.round(totalBtuh),
+      tons: round(tons),
+      shr: round(coilSHR, 3),
+      rows: recommendCoilRows(bypassFactor),
+      faceVelocityFPM,
+      faceAreaFt2: round(faceAreaFt2, 1),
+      faceAreaM2: round(faceAreaFt2 * FT2_TO_M2),
+      gpm: round(chwDeltaF > 0 ? gpmForLoad(tons, chwDeltaF) : gpmForLoad(tons), 1),
+      condensateLbH: round(condensateLbH, 1),
+      condensateLH: round(condensateLbH * KG_PER_LB, 1)
+    },
+    reheat: {
+      required: reheatBtuh > 0,
+      btuh: Math.round(reheatBtuh),
+      kW: round(reheatBtuh / BTU_PER_KW, 1)
+    },
+    warnings,
+    ok: warnings.length === 0
+  };
+}
+
+/**
+ * Coil process of a saved room calculation
+ * Uses the process saved with the heat load; older rooms are resolved from
+ * their saved sheet (getRoomSheet, which also finds the formData.formData
+ * nesting of rooms saved from the floor-wise calculator).
+ * @param {Object} calc - Room calculation ({ formData, heatLoadData })
+ * @param {number|string} [pressure] - Site pressure
+ * @returns {Object|null} See resolveCoilProcess; null when the saved conditions are incomplete
+ */
+export function getRoomCoilProcess(calc, pressure) {
+  if (calc?.heatLoadData?.coilProcess) return calc.heatLoadData.coilProcess;
+  const form = getRoomSheet(calc);
+  const bypassFactor = parseFloat(form.bypassFactor);
+  try {
+    return resolveCoilProcess({
+      room: { dbF: parseFloat(form.insideDB), grains: parseFloat(form.insideGR) },
+      outdoor: { dbF: parseFloat(form.outsideDB), grains: parseFloat(form.outsideGR) },
+      ersh: parseFloat(calc?.heatLoadData?.sensibleHeat ?? form.ESHT) || 0,
+      erlh: parseFloat(calc?.heatLoadData?.latentHeat ?? form.ELHT) || 0,
+      outsideAirCFM: parseFloat(calc?.heatLoadData?.outsideAirCfm ?? form.freshAirCFM) || 0,
+      bypassFactor: Number.isFinite(bypassFactor) ? bypassFactor : undefined,
+      adpF: parseFloat(form.selectedADP) || undefined,
+      pressure
+    });
+  } catch (error) {
+    console.warn('Coil process skipped:', error.message);
+    return null;
+  }
+}
+
+/**
+ * AHU schedule, one line per zone with a resolved coil process
+ * @param {Array} zones - [{ key, floorName, roomName, coilProcess, kind, unit }]
+ *   kind 'fcu' tags the line FCU-nn (AHU-nn otherwise); unit is the selected
+ *   air handler, when there is one
+ * @returns {Array} [{ tag, key, floorName, zone, unit, supplyCFM, outsideAirCFM, enteringDB, enteringWB,
+ *   leavingDB, leavingWB, adpF, bypassFactor, rows, faceVelocityFPM, faceAreaM2, coilTR, shr,
+ *   gpm, condensateLH, reheatKW, warnings }]
+ */
+export function getAHUSchedule(zones = []) {
+  const counts = {};
+  return zones
+    .filter(zone => zone.coilProcess)
+    .map(zone => {
+      const { coilProcess: process } = zone;
+      const prefix = zone.kind === 'fcu' ? 'FCU' : 'AHU';
+      counts[prefix] = (counts[prefix] || 0) + 1;
+      return {
+        tag: `${prefix}-${String(counts[prefix]).padStart(2, '0')}`,
+        key: zone.key,
+        floorName: zone.floorName,
+        zone: zone.roomName,
+        unit: zone.unit || null,
+        supplyCFM: process.supplyCFM,
+        outsideAirCFM: process.outsideAirCFM,
+        enteringDB: process.states.mixed.dbF,
+        enteringWB: process.states.mixed.wbF,
+        leavingDB: process.states.coilLeaving.dbF,
+        leavingWB: process.states.coilLeaving.wbF,
+        adpF: process.adpF,
+        bypassFactor: process.bypassFactor,
+        rows: process.coil.rows,
+        faceVelocityFPM: process.coil.faceVelocityFPM,
+        faceAreaM2: process.coil.faceAreaM2,
+        coilTR: process.coil.tons,
+        shr: process.coil.shr,
+        gpm: process.coil.gpm,
+        condensateLH: process.coil.condensateLH,
+        reheatKW: process.reheat.kW,
+        warnings: (process.warnings || []).map(warning => warning.message)
+      };
+    });
+}
+
+export default {
+  COIL_DESIGN,
+  COIL_ROWS,
+  recommendCoilRows,
+  findIndicatedADP,
+  resolveCoilProcess,
+  getRoomCoilProcess,
+  getAHUSchedule
+};
@@ -0,0 +1,288 @@
+/**
+ * BOQ Workbook
+ * The BOQ as an editable tender workbook (XLSX):
+ *
+ * - BOQ sheet: CPWD-style item numbers (section 1, items 1.1, 1.2, ...),
+ *   long-form descriptions, unit, quantity, rate and amount; amounts and
+ *   section subtotals are live formulas
+ * - Summary sheet: the section subtotals by reference, then installation,
+ *   freight, insurance, contingency, overhead & profit, GST and rounding as
+ *   formulas on editable percentages, laid out as calculateCostSummary
+ *   computes them
+ *
+ * The unpriced variant leaves the rates blank for bidders to fill in; the
+ * formulas stay so their amounts and totals follow. With a letterhead both
+ * sheets open with the organization's name, address and GSTIN, and the
+ * summary closes with its disclaimer and signature block.
+ */
+
+import * as XLSX from 'xlsx';
+import { CHW_SCHEDULE_SECTIONS } from './chilledWaterSystem';
+import { COST_SECTIONS, createCostStructure } from './costStructure';
+import { getLetterheadLines } from './letterhead';
+
+const BOQ_SHEET = 'BOQ';
+const SUMMARY_SHEET = 'Summary';
+const MONEY_FORMAT = '#,##0.00';
+const QUANTITY_FORMAT = '#,##0.##';
+
+const withSpecification = (text, specification) => (specification ? `${text}, ${specification}` : text);
+
+/**
+ * Tender description of a BOQ line
+ * @param {string} costSection - COST_SECTIONS key the line belongs to
+ * @param {Object} line - BOQ line
+ * @returns {string} Description
+ */
+export function describeBOQItem(costSection, line) {
+  switch (costSection) {
+    case 'indoorUnits':
+      return `Supply of ${line.type} indoor unit, model ${line.model}, complete with factory-fitted controls, ` +
+        'drain connection and mounting accessories, as per specification.';
+    case 'outdoorUnits':
+      return `Supply of ${line.type}, model ${line.model}, air cooled with inverter compressor(s), ` +
+        '415 V / 3 Ph / 50 Hz, complete with factory-fitted controls and anti-vibration mounting, as per specification.';
+    case 'accessories':
+      return `Supply of ${withSpecification(`${line.name || line.item}${line.description ? ` - ${line.description}` : ''}`, line.specification)}, as per specification.`;
+    default:
+      return `Supply of ${withSpecification(line.item, line.specification)}, as per specification.`;
+  }
+}
+
+/**
+ * The BOQ's lines in tender order, numbered by section
+ * @param {Object} boq - BOQ data (indoorUnits, outdoorUnits, refrigerantPiping, chilledWater, accessories)
+ * @returns {Array} [{ number, title, costSection, items: [{ number, description, unit, quantity, unitPrice, totalPrice }] }]
+ */
+export function getBOQSections(boq) {
+  const lines = (collection) => Object.values(collection || {}).filter(line => (line.quantity || 0) > 0);
+  const sections = [
+    { title: 'Indoor Units', costSection: 'indoorUnits', lines: lines(boq.indoorUnits) },
+    { title: 'Outdoor Units', costSection: 'outdoorUnits', lines: lines(boq.outdoorUnits) },
+    { title: 'Refrigerant Piping', costSection: 'refrigerantPiping', lines: lines(boq.refrigerantPiping) },
+    ...Object.entries(CHW_SCHEDULE_SECTIONS).map(([category, title]) => ({
+      title,
+      costSection: 'chilledWater',
+      lines: lines(boq.chilledWater).filter(line => line.category === category)
+    })),
+    { title: 'Accessories & Materials', costSection: 'accessories', lines: lines(boq.accessories) }
+  ];
+
+  return sections
+    .filter(section => section.lines.length > 0)
+    .map((section, index) => ({
+      number: String(index + 1),
+      title: section.title,
+      costSection: section.costSection,
+      items: section.lines.map((line, position) => ({
+        number: `${index + 1}.${position + 1}`,
+        description: describeBOQItem(section.costSection, line),
+        unit: line.unit || 'Nos',
+        quantity: line.quantity || 0,
+        unitPrice: line.unitPrice || 0,
+        totalPrice: line.totalPrice || 0
+      }))
+    }));
+}
+
+// Sheet written cell by cell, rows numbered from 1 as Excel shows them
+const createSheet = (widths) => {
+  const sheet = { '!cols': widths.map(wch => ({ wch })), '!merges': [] };
+  let lastRow = 0;
+  const put = (row, column, cell) => {
+    if (cell === null || cell === undefined || cell === '') return;
+    const value = typeof cell === 'object' ? cell : { v: cell };
+    sheet[XLSX.utils.encode_cell({ r: row - 1, c: column })] = { t: typeof value.v === 'string' ? 's' : 'n', ...value };
+  };
+  return {
+    sheet,
+    // Next row; cells in column order, null to leave one empty
+    row(cells = []) {
+      lastRow++;
+      cells.forEach((cell, column) => put(lastRow, column, cell));
+      return lastRow;
+    },
+    // Text across the columns
+    banner(text, columns) {
+      const row = this.row([text]);
+      sheet['!merges'].push({ s: { r: row - 1, c: 0 }, e: { r: row - 1, c: columns - 1 } });
+      return row;
+    },
+    finish(columns) {
+      sheet['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: Math.max(lastRow, 1) - 1, c: columns - 1 } });
+      return sheet;
+    }
+  };
+};
+
+const money = (v, f) => ({ t: 'n', v, f, z: MONEY_FORMAT });
+
+/**
+ * Build the tender workbook
+ * @param {Object} boq - BOQ data with projectInfo, sections, summary and costStructure
+ * @param {Object} [options]
+ * @param {boolean} [options.priced] - false for the bidders' copy with blank rates
+ * @param {string[]} [options.headerLines] - Lines under the project details (rate version, ...)
+ * @param {Object} [options.letterhead] - From getLetterhead; none for a plain workbook
+ * @returns {Object} XLSX workbook
+ */
+export function buildBOQWorkbook(boq, { priced = true, headerLines = [], letterhead = null } = {}) {
+  const sections = getBOQSections(boq);
+  const structure = createCostStructure(boq.costStructure);
+  const summary = boq.summary || {};
+  const cached = (value) => (priced ? Math.round(value || 0) : 0);
+  const project = boq.projectInfo || {};
+  const projectLine = `Project: ${project.name || ''}${project.number ? ` (No. ${project.number})` : ''}${project.date ? `, ${project.date}` : ''}`;
+
+  // ---- BOQ sheet: A item no, B description, C unit, D quantity, E rate, F amount
+  const letterheadLines = letterhead ? [...getLetterheadLines(letterhead), ''] : [];
+  const items = createSheet([9, 70, 8, 11, 14, 16]);
+  letterheadLines.forEach(line => items.banner(line, 6));
+  items.banner(`BILL OF QUANTITIES${priced ? '' : ' (UNPRICED)'}`, 6);
+  items.banner(projectLine, 6);
+  (priced ? headerLines : []).forEach(line => items.banner(line, 6));
+  items.row();
+  items.row(['Item No.', 'Description of Item', 'Unit', 'Quantity', 'Rate (₹)', 'Amount (₹)']);
+
+  const subtotalRows = sections.map(section => {
+    items.row([section.number, section.title.toUpperCase()]);
+    const rows = section.items.map(item => {
+      const next = items.row([
+        item.number,
+        item.description,
+        item.unit,
+        { v: item.quantity, z: QUANTITY_FORMAT },
+        priced ? money(item.unitPrice) : null
+      ]);
+      items.sheet[XLSX.utils.encode_cell({ r: next - 1, c: 5 })] = money(cached(item.totalPrice), `ROUND(D${next}*E${next},0)`);
+      return next;
+    });
+    const subtotal = items.row([
+      null,
+      `Total of ${section.number} - ${section.title}`,
+      null,
+      null,
+      null,
+      money(cached(section.items.reduce((total, item) => total + item.totalPrice, 0)), `SUM(F${rows[0]}:F${rows[rows.length - 1]})`)
+    ]);
+    items.row();
+    return subtotal;
+  });
+  items.row([
+    null,
+    'TOTAL (carried to summary)',
+    null,
+    null,
+    null,
+    money(cached(summary.subtotal), subtotalRows.length > 0 ? subtotalRows.map(row => `F${row}`).join('+') : '0')
+  ]);
+
+  // ---- Summary sheet: A sl no, B description, C %, D amount
+  const sheet = createSheet([8, 60, 10, 18]);
+  letterheadLines.forEach(line => sheet.banner(line, 4));
+  sheet.banner(`SUMMARY OF COST${priced ? '' : ' (UNPRICED)'}`, 4);
+  sheet.banner(projectLine, 4);
+  if (summary.placeOfSupply) sheet.banner(`Place of supply: ${summary.placeOfSupply}`, 4);
+  sheet.row();
+  sheet.row(['Sl. No.', 'Description', '%', 'Amount (₹)']);
+
+  sheet.row(['A', 'SUPPLY']);
+  const supplyRows = sections.map((section, index) => ({
+    costSection: section.costSection,
+    row: sheet.row([
+      `A.${index + 1}`,
+      `${section.number} - ${section.title}`,
+      null,
+      money(cached(section.items.reduce((total, item) => total + item.totalPrice, 0)), `'${BOQ_SHEET}'!F${subtotalRows[index]}`)
+    ])
+  }));
+  const sumOf = (rows) => (rows.length > 0 ? rows.map(row => `D${row}`).join('+') : '0');
+  const supply = sheet.row([null, 'Total supply (A)', null, money(cached(summary.subtotal), sumOf(supplyRows.map(entry => entry.row)))]);
+
+  sheet.row(['B', 'INSTALLATION, TESTING AND COMMISSIONING']);
+  const installationRows = COST_SECTIONS
+    .filter(([key]) => supplyRows.some(entry => entry.costSection === key))
+    .map(([key, label], index) => {
+      const next = sheet.row([`B.${index + 1}`, `Installation - ${label}`, structure.installationPercent[key] || 0]);
+      const base = sumOf(supplyRows.filter(entry => entry.costSection === key).map(entry => entry.row));
+      sheet.sheet[XLSX.utils.encode_cell({ r: next - 1, c: 3 })] = money(cached(summary.installationBySection?.[key]), `ROUND((${base})*C${next}/100,0)`);
+      return next;
+    });
+  const installation = sheet.row([null, 'Total installation (B)', null, money(cached(summary.installation), sumOf(installationRows))]);
+
+  sheet.row(['C', 'OTHER CHARGES']);
+  const charge = (number, label, percent, value, formula) => {
+    const next = sheet.row([number, label, percent || 0]);
+    sheet.sheet[XLSX.utils.encode_cell({ r: next - 1, c: 3 })] = money(cached(value), formula(next));
+    return next;
+  };
+  const freight = charge('C.1', 'Freight (on A)', structure.freightPercent, summary.freight,
+    (row) => `ROUND(D${supply}*C${row}/100,0)`);
+  const insurance = charge('C.2', 'Transit insurance (on A and freight)', structure.insurancePercent, summary.insurance,
+    (row) => `ROUND((D${supply}+D${freight})*C${row}/100,0)`);
+  const contingency = charge('C.3', 'Contingency (on A and B)', structure.contingencyPercent, summary.contingency,
+    (row) => `ROUND((D${supply}+D${installation})*C${row}/100,0)`);
+  const overheadProfit = charge('C.4', 'Overhead & profit (on all of the above)', structure.overheadProfitPercent, summary.overheadProfit,
+    (row) => `ROUND((D${supply}+D${installation}+D${freight}+D${insurance}+D${contingency})*C${row}/100,0)`);
+
+  const taxable = sheet.row([null, 'Taxable value', null, money(cached(summary.taxableValue),
+    `D${supply}+D${installation}+D${freight}+D${insurance}+D${contingency}+D${overheadProfit}`)]);
+  const supplyTax = summary.taxes?.find(tax => tax.part === 'supply');
+  // Contingency and overhead & profit follow supply and installation by value
+  const supplyTaxable = sheet.row([null, 'of which supply (with freight and insurance)', null, money(cached(supplyTax?.taxable),
+    `D${supply}+D${freight}+D${insurance}+ROUND((D${contingency}+D${overheadProfit})*IF(D${supply}+D${installation}>0,D${supply}/(D${supply}+D${installation}),1),0)`)]);
+  const installationTaxable = sheet.row([null, 'of which installation', null, money(cached(summary.taxableValue - (supplyTax?.taxable || 0)),
+    `D${taxable}-D${supplyTaxable}`)]);
+
+  sheet.row(['D', 'GST']);
+  const regimeTaxes = summary.taxes?.length > 0 ? summary.taxes : [
+    { part: 'supply', components: [{ name: 'CGST', percent: structure.supplyGSTPercent / 2 }, { name: 'SGST', percent: structure.supplyGSTPercent / 2 }] },
+    { part: 'installation', components: [{ name: 'CGST', percent: structure.installationGSTPercent / 2 }, { name: 'SGST', percent: structure.installationGSTPercent / 2 }] }
+  ];
+  let taxNumber = 0;
+  const taxRows = regimeTaxes.flatMap(tax => tax.components.map(component => {
+    const base = tax.part === 'supply' ? supplyTaxable : installationTaxable;
+    taxNumber++;
+    return charge(`D.${taxNumber}`, `${component.name} on ${tax.part}`, component.percent, component.amount,
+      (row) => `ROUND(D${base}*C${row}/100,0)`);
+  }));
+  const gst = sheet.row([null, 'Total GST (D)', null, money(cached(summary.gst), sumOf(taxRows))]);
+
+  const roundOff = charge('E', 'Round off (to the nearest ₹ in column C)', structure.roundTo || 1, summary.roundOff,
+    (row) => `ROUND((D${taxable}+D${gst})/C${row},0)*C${row}-(D${taxable}+D${gst})`);
+  sheet.row();
+  sheet.row([null, 'GRAND TOTAL', null, money(cached(summary.grandTotal), `D${taxable}+D${gst}+D${roundOff}`)]);
+  if (letterhead?.signature) {
+    const { label, name, designation, company } = letterhead.signature;
+    sheet.row();
+    sheet.row([null, null, null, `For ${company}`]);
+    sheet.row();
+    [name, designation, label].filter(Boolean).forEach(text => sheet.row([null, null, null, text]));
+  }
+  if (letterhead?.disclaimer) {
+    sheet.row();
+    sheet.banner(letterhead.disclaimer, 4);
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, items.finish(6), BOQ_SHEET);
+  XLSX.utils.book_append_sheet(workbook, sheet.finish(4), SUMMARY_SHEET);
+  return workbook;
+}
+
+/**
+ * File name of the workbook
+ * @param {Object} boq
+ * @param {boolean} [priced]
+ * @returns {string} BOQ_<number>_<date>[_unpriced].xlsx
+ */
+export function getBOQWorkbookName(boq, priced = true) {
+  return `BOQ_${boq.projectInfo?.number || 'project'}_${new Date().toISOString().split('T')[0]}${priced ? '' : '_unpriced'}.xlsx`;
+}
+
+export default {
+  describeBOQItem,
+  getBOQSections,
+  buildBOQWorkbook,
+  getBOQWorkbookName
+};
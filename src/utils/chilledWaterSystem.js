@@ -0,0 +1,520 @@
+/**
+ * Chilled Water System
+ * Central plant design for buildings beyond the reach of VRF (malls,
+ * hospitals, large offices):
+ *
+ * - Each room gets fan coil units or an AHU picked on its coil load and
+ *   supply airflow
+ * - Chillers are sized on the connected coil load times a diversity factor
+ *   and split over working machines, with optional standby
+ * - Primary (constant flow, one per chiller), secondary (variable flow) and,
+ *   for water-cooled plants, condenser water pumps take their flow from the
+ *   load and their head from the index circuit
+ * - Supply and return pipes (terminal branches, floor headers, riser and
+ *   plant header) are sized by GPM
+ * - Chillers, air handlers, pumps, pipes, valves and insulation are itemized
+ *   for the BOQ
+ *
+ * Units: flow US GPM, head and lengths m, loads TR, airflow CFM.
+ */
+
+import {
+  EQUIPMENT_CATALOG,
+  CATEGORIES,
+  SYSTEM_TYPES,
+  CHILLER_TYPES,
+  AIR_HANDLER_TYPES,
+  filterModels,
+  selectModel,
+  withManufacturer
+} from './equipmentCatalog';
+
+export const CHW_DESIGN = {
+  supplyF: 44,
+  returnF: 54,
+  condenserGPMPerTR: 3,
+  diversityFactor: SYSTEM_TYPES.chiller.diversityFactor,
+  standbyChillers: 0,
+  floorHeightM: 3.6,
+  // Floor level of the plant room (0 = ground; a roof plant sits above the top floor)
+  plantLevel: 0,
+  plantPipingM: 25,
+  condenserPipingM: 40,
+  headerLengthM: 30,
+  branchLengthM: 8,
+  // Pipe friction design rate, m per 100 m (4 ft per 100 ft)
+  frictionMPer100M: 4,
+  // Fittings and valves as a fraction of the straight run
+  fittingsAllowance: 0.5,
+  pumpEfficiency: 0.7
+};
+
+export const TERMINAL_KINDS = {
+  fcu: { name: 'Fan Coil Unit', category: CATEGORIES.FCU, coilDropM: 3 },
+  ahu: { name: 'Air Handling Unit', category: CATEGORIES.AHU, coilDropM: 4.5 }
+};
+
+/**
+ * Component pressure drops (m of water)
+ */
+export const PRESSURE_DROPS_M = {
+  evaporator: 6,
+  condenser: 6,
+  controlValve: 3,
+  strainer: 1.5,
+  coolingTower: 5
+};
+
+/**
+ * MS ERW heavy class (IS 1239) / seamless (IS 3589) pipe by nominal bore, with
+ * the flow each carries at about the design friction rate, and insulation rates (₹/m)
+ */
+export const CHW_PIPES = [
+  { dn: 15, inch: '1/2"', maxGPM: 2.5, pricePerM: 350, insulationPerM: 180 },
+  { dn: 20, inch: '3/4"', maxGPM: 5, pricePerM: 420, insulationPerM: 200 },
+  { dn: 25, inch: '1"', maxGPM: 10, pricePerM: 520, insulationPerM: 230 },
+  { dn: 32, inch: '1-1/4"', maxGPM: 20, pricePerM: 650, insulationPerM: 260 },
+  { dn: 40, inch: '1-1/2"', maxGPM: 30, pricePerM: 760, insulationPerM: 290 },
+  { dn: 50, inch: '2"', maxGPM: 60, pricePerM: 950, insulationPerM: 340 },
+  { dn: 65, inch: '2-1/2"', maxGPM: 100, pricePerM: 1250, insulationPerM: 400 },
+  { dn: 80, inch: '3"', maxGPM: 170, pricePerM: 1500, insulationPerM: 460 },
+  { dn: 100, inch: '4"', maxGPM: 350, pricePerM: 2100, insulationPerM: 560 },
+  { dn: 125, inch: '5"', maxGPM: 600, pricePerM: 2700, insulationPerM: 660 },
+  { dn: 150, inch: '6"', maxGPM: 1000, pricePerM: 3300, insulationPerM: 760 },
+  { dn: 200, inch: '8"', maxGPM: 2000, pricePerM: 4800, insulationPerM: 950 },
+  { dn: 250, inch: '10"', maxGPM: 3600, pricePerM: 6500, insulationPerM: 1150 },
+  { dn: 300, inch: '12"', maxGPM: 5600, pricePerM: 8200, insulationPerM: 1350 },
+  { dn: 350, inch: '14"', maxGPM: 7200, pricePerM: 9800, insulationPerM: 1500 },
+  { dn: 400, inch: '16"', maxGPM: 10000, pricePerM: 12000, insulationPerM: 1700 }
+];
+
+/**
+ * Valve sets per connection, priced as base + perDN × nominal bore
+ */
+export const VALVE_SETS = {
+  fcu: { item: 'FCU valve set', specification: '2 ball valves, 2-way on/off valve with actuator, Y-strainer, 2 flexible hoses', base: 9500, perDN: 0 },
+  ahu: { item: 'AHU valve set', specification: '2 butterfly valves, 2-way modulating valve with actuator, Y-strainer, balancing valve, gauges and thermometers', base: 30000, perDN: 600 },
+  pump: { item: 'Pump valve set', specification: '2 butterfly valves, non-return valve, suction strainer, 2 flexible connectors, pressure gauges', base: 15000, perDN: 400 },
+  chiller: { item: 'Chiller valve set', specification: '4 butterfly valves, flow switch, 4 flexible connectors, gauges and thermometers', base: 40000, perDN: 500 },
+  floor: { item: 'Floor balancing valve', specification: 'Double regulating valve on the floor return header', base: 6000, perDN: 250 }
+};
+
+// BOQ sections, in order
+export const CHW_SCHEDULE_SECTIONS = {
+  chiller: 'Chillers & Cooling Towers',
+  terminal: 'Air Handling Units & Fan Coil Units',
+  pump: 'Pumps',
+  pipe: 'Chilled & Condenser Water Piping',
+  valve: 'Valves & Specialities',
+  insulation: 'Pipe Insulation'
+};
+
+const MOTOR_RATINGS_KW = [0.37, 0.55, 0.75, 1.1, 1.5, 2.2, 3.7, 5.5, 7.5, 11, 15, 18.5, 22, 30, 37, 45, 55, 75, 90, 110, 132, 160];
+const MOTOR_MARGIN = 1.15;
+const HEAD_MARGIN = 1.1;
+const GPM_TO_M3H = 0.2271;
+// Rooms needing more fan coil units than this get an AHU when the choice is automatic
+const MAX_FCUS_PER_ROOM = 4;
+// Beyond this the plant goes water-cooled when no chiller type is chosen
+const AIR_COOLED_MAX_TR = 300;
+// Plants above this run at least two chillers
+const SINGLE_CHILLER_MAX_TR = 100;
+const SECONDARY_PUMP_MAX_GPM = 1000;
+const COOLING_TOWER_PRICE_PER_TR = 4500;
+const PIPE_WASTAGE = 0.05;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+const sum = (items, field) => items.reduce((total, item) => total + (item[field] || 0), 0);
+
+/**
+ * @param {number} loadTR - Cooling load
+ * @param {number} [deltaF] - Chilled water temperature rise (°F)
+ * @returns {number} Water flow (GPM)
+ */
+export const gpmForLoad = (loadTR, deltaF = CHW_DESIGN.returnF - CHW_DESIGN.supplyF) => (loadTR * 24) / deltaF;
+
+/**
+ * @param {number} gpm - Water flow
+ * @returns {Object} Smallest CHW_PIPES entry that carries it
+ */
+export function selectPipeSize(gpm) {
+  return CHW_PIPES.find(pipe => gpm <= pipe.maxGPM) || CHW_PIPES[CHW_PIPES.length - 1];
+}
+
+/**
+ * Pump duty and motor
+ * @param {number} flowGPM - Flow per pump
+ * @param {number} headM - Pump head
+ * @param {number} [efficiency] - Pump efficiency
+ * @returns {Object} { flowGPM, flowM3H, headM, shaftKW, motorKW }
+ */
+export function sizePump(flowGPM, headM, efficiency = CHW_DESIGN.pumpEfficiency) {
+  const flowM3H = round(flowGPM * GPM_TO_M3H, 1);
+  const shaftKW = round((flowM3H * headM * 9.81) / 3600 / efficiency);
+  return {
+    flowGPM: round(flowGPM, 1),
+    flowM3H,
+    headM: round(headM, 1),
+    shaftKW,
+    motorKW: MOTOR_RATINGS_KW.find(kw => kw >= shaftKW * MOTOR_MARGIN) || MOTOR_RATINGS_KW[MOTOR_RATINGS_KW.length - 1]
+  };
+}
+
+// Fewest air handlers of one kind, then the smallest model, covering both the load and the airflow
+function pickAirHandlers(models, kind, loadTR, cfm, manufacturer) {
+  const criteria = withManufacturer(models, { category: TERMINAL_KINDS[kind].category, manufacturer });
+  const candidates = filterModels(models, criteria)
+    .filter(entry => entry.nominalTR > 0 && entry.airflowCFM > 0)
+    .sort((a, b) => a.airflowCFM - b.airflowCFM || a.nominalTR - b.nominalTR || (a.listPrice ?? Infinity) - (b.listPrice ?? Infinity));
+  if (candidates.length === 0) return null;
+
+  const largest = candidates[candidates.length - 1];
+  const quantity = Math.max(1, Math.ceil(loadTR / largest.nominalTR - 1e-6), Math.ceil(cfm / largest.airflowCFM - 1e-6));
+  const model = candidates.find(entry => (
+    entry.nominalTR * quantity >= loadTR - 1e-6 && entry.airflowCFM * quantity >= cfm - 1e-6
+  )) || largest;
+  return { kind, model, quantity };
+}
+
+/**
+ * Fan coil units or AHU for a room
+ * @param {Array} models - Catalog models
+ * @param {Object} room - { loadTR, cfm, kind: 'auto' | 'fcu' | 'ahu', manufacturer }
+ * @param {number} [deltaF] - Chilled water temperature rise (°F)
+ * @returns {Object|null} { kind, model, quantity, loadTR, cfm, coilTR, airflowCFM, gpm, ok }
+ */
+export function selectTerminalUnit(models, { loadTR = 0, cfm = 0, kind = 'auto', manufacturer } = {}, deltaF = undefined) {
+  const fcu = kind !== 'ahu' ? pickAirHandlers(models, 'fcu', loadTR, cfm, manufacturer) : null;
+  const ahu = kind !== 'fcu' ? pickAirHandlers(models, 'ahu', loadTR, cfm, manufacturer) : null;
+  const pick = kind === 'fcu' ? fcu
+    : kind === 'ahu' ? ahu
+      : fcu && (fcu.quantity <= MAX_FCUS_PER_ROOM || !ahu) ? fcu : ahu;
+  if (!pick) return null;
+
+  const { model, quantity } = pick;
+  const coilTR = round(model.nominalTR * quantity);
+  const airflowCFM = model.airflowCFM * quantity;
+  return {
+    kind: pick.kind,
+    model: {
+      id: model.id,
+      manufacturer: model.manufacturer,
+      model: model.model,
+      type: model.type,
+      nominalTR: model.nominalTR,
+      airflowCFM: model.airflowCFM,
+      listPrice: model.listPrice ?? 0
+    },
+    quantity,
+    loadTR: round(loadTR),
+    cfm: Math.round(cfm),
+    coilTR,
+    airflowCFM,
+    gpm: round(gpmForLoad(loadTR, deltaF), 1),
+    ok: coilTR >= loadTR - 1e-6 && airflowCFM >= cfm - 1e-6
+  };
+}
+
+/**
+ * Chillers for the diversified plant load
+ * @param {Array} models - Catalog models
+ * @param {Object} options - { connectedTR, diversityFactor, chillerType, workingChillers, standbyChillers, manufacturer }
+ * @returns {Object|null} { type, connectedTR, diversityFactor, designTR, working, standby, model, perChillerTR, installedTR, powerKW, ok }
+ */
+export function sizeChillerPlant(models, {
+  connectedTR = 0,
+  diversityFactor = CHW_DESIGN.diversityFactor,
+  chillerType,
+  workingChillers,
+  standbyChillers = CHW_DESIGN.standbyChillers,
+  manufacturer
+} = {}) {
+  if (!(connectedTR > 0)) return null;
+  const designTR = round(connectedTR * diversityFactor);
+  const type = chillerType || (designTR > AIR_COOLED_MAX_TR ? 'waterCooled' : 'airCooled');
+  const criteria = withManufacturer(models, { category: CATEGORIES.CHILLER, type, manufacturer });
+  const largestTR = Math.max(0, ...filterModels(models, criteria).map(entry => entry.nominalTR || 0));
+  if (largestTR === 0) return null;
+
+  const working = workingChillers > 0
+    ? Math.round(workingChillers)
+    : Math.max(designTR > SINGLE_CHILLER_MAX_TR ? 2 : 1, Math.ceil(designTR / largestTR - 1e-6));
+  const model = selectModel(models, criteria, designTR / working);
+  const installedTR = round(model.nominalTR * working);
+
+  return {
+    type,
+    connectedTR: round(connectedTR),
+    diversityFactor,
+    designTR,
+    working,
+    standby: Math.max(0, Math.round(standbyChillers || 0)),
+    model: { id: model.id, manufacturer: model.manufacturer, model: model.model, nominalTR: model.nominalTR, listPrice: model.listPrice ?? 0 },
+    perChillerTR: model.nominalTR,
+    installedTR,
+    powerKW: round((model.powerKW || 0) * working, 1),
+    ok: installedTR >= designTR - 1e-6
+  };
+}
+
+/**
+ * Chilled water system for a set of rooms
+ * @param {Array} rooms - [{ key, floorId, floorName, level, roomName, loadTR, cfm, kind }]
+ * @param {Object} [options] - CHW_DESIGN overrides plus { models, manufacturer, chillerType, workingChillers }
+ * @returns {Object} { settings, terminals, plant, pipes, pumps, indexRunM, secondaryGPM, warnings, ok }
+ *   (terminals carry the kind asked for as requestedKind and the one picked as kind)
+ */
+export function designChilledWaterSystem(rooms, options = {}) {
+  const { models = EQUIPMENT_CATALOG.models, manufacturer, chillerType, workingChillers, ...overrides } = options;
+  const settings = { ...CHW_DESIGN, ...overrides };
+  const deltaF = Math.max(settings.returnF - settings.supplyF, 1);
+
+  const terminals = rooms
+    .filter(room => room.loadTR > 0)
+    .map(room => ({
+      key: room.key,
+      floorId: room.floorId,
+      floorName: room.floorName,
+      level: room.level ?? 0,
+      roomName: room.roomName,
+      requestedKind: room.kind || 'auto',
+      ...selectTerminalUnit(models, { loadTR: room.loadTR, cfm: room.cfm, kind: room.kind, manufacturer }, deltaF)
+    }))
+    .filter(terminal => terminal.model);
+
+  const plant = sizeChillerPlant(models, {
+    connectedTR: sum(terminals, 'loadTR'),
+    diversityFactor: settings.diversityFactor,
+    chillerType,
+    workingChillers,
+    standbyChillers: settings.standbyChillers,
+    manufacturer
+  });
+
+  // Supply and return pipes, each length counting both
+  const pipe = (fields) => ({ ...fields, gpm: round(fields.gpm, 1), lengthM: round(fields.lengthM, 1), ...selectPipeSize(fields.gpm) });
+  const floors = Object.values(terminals.reduce((acc, terminal) => {
+    const floor = acc[terminal.floorId] || { floorId: terminal.floorId, floorName: terminal.floorName, level: terminal.level, gpm: 0 };
+    acc[terminal.floorId] = { ...floor, gpm: floor.gpm + terminal.gpm };
+    return acc;
+  }, {}));
+
+  const pipes = [
+    ...terminals.map(terminal => pipe({
+      type: 'branch',
+      label: `${terminal.floorName} / ${terminal.roomName}`,
+      floorId: terminal.floorId,
+      kind: terminal.kind,
+      count: terminal.quantity,
+      gpm: terminal.gpm / terminal.quantity,
+      lengthM: 2 * settings.branchLengthM * terminal.quantity
+    })),
+    ...floors.map(floor => pipe({ type: 'header', label: `${floor.floorName} header`, floorId: floor.floorId, count: 1, gpm: floor.gpm, lengthM: 2 * settings.headerLengthM }))
+  ];
+
+  // Riser from the plant, each stretch carrying the floors beyond it
+  [floors.filter(floor => floor.level >= settings.plantLevel), floors.filter(floor => floor.level < settings.plantLevel)]
+    .forEach(side => {
+      const sorted = [...side].sort((a, b) => Math.abs(a.level - settings.plantLevel) - Math.abs(b.level - settings.plantLevel));
+      let previous = settings.plantLevel;
+      sorted.forEach((floor, index) => {
+        const lengthM = 2 * Math.abs(floor.level - previous) * settings.floorHeightM;
+        if (lengthM > 0) {
+          pipes.push(pipe({ type: 'riser', label: `Riser to ${floor.floorName}`, count: 1, gpm: sum(sorted.slice(index), 'gpm'), lengthM }));
+        }
+        previous = floor.level;
+      });
+    });
+
+  const secondaryGPM = plant ? gpmForLoad(plant.designTR, deltaF) : 0;
+  if (plant) {
+    pipes.push(pipe({ type: 'plant', label: 'Plant room header', count: 1, gpm: gpmForLoad(plant.installedTR, deltaF), lengthM: 2 * settings.plantPipingM }));
+    if (plant.type === 'waterCooled') {
+      pipes.push(pipe({
+        type: 'condenser',
+        label: 'Condenser water',
+        count: 1,
+        gpm: plant.installedTR * settings.condenserGPMPerTR,
+        lengthM: 2 * settings.condenserPipingM
+      }));
+    }
+  }
+
+  // Index circuit: plant → riser → farthest floor header → its last branch, supply and return
+  const indexRunM = round(Math.max(0, ...floors.map(floor => (
+    2 * (settings.plantPipingM + Math.abs(floor.level - settings.plantLevel) * settings.floorHeightM +
+      settings.headerLengthM + settings.branchLengthM)
+  ))), 1);
+  const frictionPerM = (settings.frictionMPer100M / 100) * (1 + settings.fittingsAllowance);
+  const coilDropM = Math.max(0, ...terminals.map(terminal => TERMINAL_KINDS[terminal.kind].coilDropM));
+
+  const pumps = [];
+  if (plant) {
+    const pump = (key, name, working, flowGPM, headM) => ({
+      key,
+      name,
+      working,
+      standby: 1,
+      ...sizePump(flowGPM, headM * HEAD_MARGIN, settings.pumpEfficiency),
+      dn: selectPipeSize(flowGPM).dn
+    });
+    const secondaryWorking = Math.max(1, Math.ceil(secondaryGPM / SECONDARY_PUMP_MAX_GPM));
+
+    pumps.push(pump('primary', 'Primary chilled water pump', plant.working, gpmForLoad(plant.perChillerTR, deltaF),
+      PRESSURE_DROPS_M.evaporator + PRESSURE_DROPS_M.strainer + 2 * settings.plantPipingM * frictionPerM));
+    pumps.push(pump('secondary', 'Secondary chilled water pump (VFD)', secondaryWorking, secondaryGPM / secondaryWorking,
+      indexRunM * frictionPerM + coilDropM + PRESSURE_DROPS_M.controlValve + PRESSURE_DROPS_M.strainer));
+    if (plant.type === 'waterCooled') {
+      pumps.push(pump('condenser', 'Condenser water pump', plant.working, plant.perChillerTR * settings.condenserGPMPerTR,
+        PRESSURE_DROPS_M.condenser + PRESSURE_DROPS_M.coolingTower + PRESSURE_DROPS_M.strainer + 2 * settings.condenserPipingM * frictionPerM));
+    }
+  }
+
+  const warnings = [
+    ...terminals.filter(terminal => !terminal.ok).map(terminal => `${terminal.floorName} / ${terminal.roomName}: air handler short of the load or airflow`),
+    ...(plant && !plant.ok ? [`Chillers short of the ${plant.designTR} TR design load`] : []),
+    ...(terminals.length > 0 && !plant ? ['No chiller in the catalog for this plant'] : [])
+  ];
+
+  return {
+    settings: { ...settings, deltaF },
+    terminals,
+    plant,
+    pipes,
+    pumps,
+    indexRunM,
+    secondaryGPM: round(secondaryGPM, 1),
+    warnings,
+    ok: warnings.length === 0
+  };
+}
+
+/**
+ * Bill of materials for a chilled water system
+ * @param {Object} design - From designChilledWaterSystem
+ * @param {Object} [options] - { wastage } on pipe and insulation lengths
+ * @returns {Array} Lines { code, category, item, specification, quantity, unit, unitPrice, totalPrice },
+ *   category one of the CHW_SCHEDULE_SECTIONS keys
+ */
+export function getChilledWaterSchedule(design, { wastage = PIPE_WASTAGE } = {}) {
+  if (!design) return [];
+  const items = new Map();
+  const add = (fields) => {
+    const existing = items.get(fields.code);
+    items.set(fields.code, existing ? { ...existing, quantity: existing.quantity + fields.quantity } : fields);
+  };
+  const valveSet = (kind, dn, quantity) => {
+    const set = VALVE_SETS[kind];
+    add({
+      code: `VLV-${kind.toUpperCase()}${set.perDN ? `-${dn}` : ''}`,
+      category: 'valve',
+      item: `${set.item}${set.perDN ? ` DN ${dn}` : ''}`,
+      specification: set.specification,
+      quantity,
+      unit: 'set',
+      unitPrice: set.base + set.perDN * dn
+    });
+  };
+
+  const { plant, terminals = [], pumps = [], pipes = [] } = design;
+  if (plant) {
+    add({
+      code: `CH-${plant.model.model}`,
+      category: 'chiller',
+      item: `${CHILLER_TYPES[plant.type].name} chiller ${plant.model.model}`,
+      specification: `${plant.perChillerTR} TR each; ${plant.working} working${plant.standby ? ` + ${plant.standby} standby` : ''} for ${plant.designTR} TR design load`,
+      quantity: plant.working + plant.standby,
+      unit: 'nos',
+      unitPrice: plant.model.listPrice
+    });
+    if (plant.type === 'waterCooled') {
+      add({
+        code: `CT-${plant.perChillerTR}`,
+        category: 'chiller',
+        item: `Induced draft cooling tower ${plant.perChillerTR} TR`,
+        specification: `${round(plant.perChillerTR * design.settings.condenserGPMPerTR, 0)} GPM, 95/85°F`,
+        quantity: plant.working + plant.standby,
+        unit: 'nos',
+        unitPrice: plant.perChillerTR * COOLING_TOWER_PRICE_PER_TR
+      });
+    }
+    const primary = pumps.find(pump => pump.key === 'primary');
+    valveSet('chiller', primary?.dn || selectPipeSize(gpmForLoad(plant.perChillerTR, design.settings.deltaF)).dn, plant.working + plant.standby);
+  }
+
+  terminals.forEach(terminal => {
+    add({
+      code: `TU-${terminal.model.id}`,
+      category: 'terminal',
+      item: `${AIR_HANDLER_TYPES[terminal.model.type]?.name || TERMINAL_KINDS[terminal.kind].name} ${terminal.model.model}`,
+      specification: `${terminal.model.nominalTR} TR coil, ${terminal.model.airflowCFM} CFM, ${design.settings.supplyF}/${design.settings.returnF}°F`,
+      quantity: terminal.quantity,
+      unit: 'nos',
+      unitPrice: terminal.model.listPrice
+    });
+  });
+
+  pumps.forEach(pump => {
+    add({
+      code: `PMP-${pump.key}`,
+      category: 'pump',
+      item: pump.name,
+      specification: `${pump.flowM3H} m³/h @ ${pump.headM} m, ${pump.motorKW} kW motor; ${pump.working} working + ${pump.standby} standby`,
+      quantity: pump.working + pump.standby,
+      unit: 'nos',
+      unitPrice: Math.round((40000 + 9000 * pump.motorKW) / 100) * 100
+    });
+    valveSet('pump', pump.dn, pump.working + pump.standby);
+  });
+
+  const withAllowance = (lengthM) => Math.ceil(lengthM * (1 + wastage));
+  pipes.forEach(pipe => {
+    const condenser = pipe.type === 'condenser';
+    add({
+      code: `${condenser ? 'CWP' : 'CHW'}-${pipe.dn}`,
+      category: 'pipe',
+      item: `${pipe.dn > 150 ? 'MS seamless' : 'MS ERW heavy class'} pipe ${pipe.inch} (DN ${pipe.dn}), ${condenser ? 'condenser' : 'chilled'} water`,
+      specification: 'Supply and return, with fittings, supports, primer and two coats of paint',
+      quantity: pipe.lengthM,
+      unit: 'm',
+      unitPrice: pipe.pricePerM
+    });
+    if (!condenser) {
+      add({
+        code: `INS-CHW-${pipe.dn}`,
+        category: 'insulation',
+        item: `Nitrile rubber insulation ${pipe.dn <= 50 ? 19 : 25} mm for DN ${pipe.dn}`,
+        specification: 'Closed-cell elastomeric, class O fire rating, aluminium cladding outdoors',
+        quantity: pipe.lengthM,
+        unit: 'm',
+        unitPrice: pipe.insulationPerM
+      });
+    }
+    if (pipe.type === 'branch') valveSet(pipe.kind, pipe.dn, pipe.count);
+    if (pipe.type === 'header') valveSet('floor', pipe.dn, 1);
+  });
+
+  const order = Object.keys(CHW_SCHEDULE_SECTIONS);
+  return [...items.values()]
+    .map(item => {
+      const quantity = item.unit === 'm' ? withAllowance(item.quantity) : item.quantity;
+      return { ...item, quantity, totalPrice: Math.round(quantity * item.unitPrice) };
+    })
+    .sort((a, b) => order.indexOf(a.category) - order.indexOf(b.category));
+}
+
+export default {
+  CHW_DESIGN,
+  TERMINAL_KINDS,
+  PRESSURE_DROPS_M,
+  CHW_PIPES,
+  VALVE_SETS,
+  CHW_SCHEDULE_SECTIONS,
+  gpmForLoad,
+  selectPipeSize,
+  sizePump,
+  selectTerminalUnit,
+  sizeChillerPlant,
+  designChilledWaterSystem,
+  getChilledWaterSchedule
+};
@@ -0,0 +1,375 @@
+/**
+ * Offline Climate Database
+ * Bundled, versioned cooling design data for Indian weather stations in the
+ * layout of the ISHRAE / ASHRAE design tables: dry bulb with its mean
+ * coincident wet bulb (MCWB) at the 0.4%, 1% and 2% annual percentiles.
+ *
+ * Lookup works by city, by district (each station lists the districts it
+ * represents) or by latitude/longitude (nearest station). Districts that no
+ * bundled station covers resolve through their coordinates, or through a
+ * station file imported with parseClimateCSV (e.g. the licensed ISHRAE
+ * Indian Weather Data export) which is merged over the bundled stations.
+ *
+ * Temperatures are stored in °C as published; getDesignConditions converts
+ * to the °F the heat-load sheets use.
+ */
+
+import { calculatePsychrometrics, calculateAtmosphericPressure } from './psychrometrics';
+
+export const DESIGN_PERCENTILES = ['0.4', '1', '2'];
+
+// Beyond this distance the nearest station is flagged as a poor match
+export const MAX_STATION_DISTANCE_KM = 150;
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Build a station record
+ * @param {Array} row - [name, state, districts, lat, lon, elevation, db0.4, mcwb0.4, db1, mcwb1, db2, mcwb2]
+ * @returns {Object} Station
+ */
+const station = ([name, state, districts, latitude, longitude, elevation, ...design]) => ({
+  id: stationId(name, state),
+  name,
+  state,
+  districts,
+  latitude,
+  longitude,
+  elevation,
+  cooling: {
+    '0.4': { db: design[0], mcwb: design[1] },
+    '1': { db: design[2], mcwb: design[3] },
+    '2': { db: design[4], mcwb: design[5] }
+  }
+});
+
+const normalizeName = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function stationId(name, state) {
+  return `${normalizeName(state)}-${normalizeName(name)}`;
+}
+
+/**
+ * Bundled dataset
+ * Seed values follow the published ISHRAE/ASHRAE cooling design tables for the
+ * principal station of each city (°C, elevation in m). The seed set covers the
+ * principal station of the larger states only - not every state and far from
+ * every district - so a location without a listed station or district is
+ * reported as not covered (see lookupClimateStation). Import the full ISHRAE
+ * file for stations not listed here.
+ */
+export const CLIMATE_DATASET = {
+  version: '2024.1',
+  source: 'ISHRAE / ASHRAE cooling design conditions (seed set)',
+  stations: [
+    // name, state, districts, lat, lon, elevation, 0.4% DB/MCWB, 1% DB/MCWB, 2% DB/MCWB
+    ['New Delhi', 'Delhi', ['New Delhi', 'Central Delhi', 'South Delhi', 'North Delhi', 'East Delhi', 'West Delhi', 'Gurugram', 'Faridabad', 'Gautam Buddha Nagar', 'Ghaziabad'], 28.58, 77.20, 216, 43.4, 23.5, 42.0, 23.6, 40.8, 23.8],
+    ['Mumbai', 'Maharashtra', ['Mumbai City', 'Mumbai Suburban', 'Thane', 'Palghar', 'Raigad'], 19.12, 72.85, 14, 36.0, 22.6, 34.9, 23.3, 34.0, 23.8],
+    ['Kolkata', 'West Bengal', ['Kolkata', 'North 24 Parganas', 'South 24 Parganas', 'Howrah', 'Hooghly'], 22.65, 88.45, 6, 38.8, 25.8, 37.5, 26.2, 36.3, 26.5],
+    ['Chennai', 'Tamil Nadu', ['Chennai', 'Chengalpattu', 'Kancheepuram', 'Tiruvallur'], 13.00, 80.18, 10, 40.2, 25.7, 39.0, 25.7, 37.9, 25.8],
+    ['Bengaluru', 'Karnataka', ['Bengaluru Urban', 'Bengaluru Rural', 'Ramanagara'], 12.97, 77.58, 921, 35.0, 19.5, 34.0, 19.6, 33.1, 19.7],
+    ['Hyderabad', 'Telangana', ['Hyderabad', 'Rangareddy', 'Medchal-Malkajgiri', 'Sangareddy'], 17.45, 78.47, 545, 40.8, 21.8, 39.8, 21.8, 38.8, 21.7],
+    ['Pune', 'Maharashtra', ['Pune'], 18.53, 73.85, 559, 39.0, 19.8, 38.0, 19.9, 36.9, 19.9],
+    ['Ahmedabad', 'Gujarat', ['Ahmedabad', 'Gandhinagar', 'Kheda'], 23.07, 72.63, 55, 43.5, 23.5, 42.3, 23.6, 41.2, 23.7],
+    ['Jaipur', 'Rajasthan', ['Jaipur', 'Dausa', 'Tonk'], 26.82, 75.80, 390, 43.5, 22.3, 42.3, 22.6, 41.0, 22.8],
+    ['Lucknow', 'Uttar Pradesh', ['Lucknow', 'Barabanki', 'Unnao', 'Rae Bareli'], 26.75, 80.88, 128, 43.0, 23.4, 41.8, 23.8, 40.5, 24.4],
+    ['Chandigarh', 'Chandigarh', ['Chandigarh', 'Mohali', 'Panchkula'], 30.67, 76.78, 347, 41.5, 23.0, 40.3, 23.2, 39.0, 23.5],
+    ['Bhopal', 'Madhya Pradesh', ['Bhopal', 'Sehore', 'Raisen'], 23.28, 77.35, 523, 42.0, 21.5, 40.8, 21.5, 39.5, 21.6],
+    ['Indore', 'Madhya Pradesh', ['Indore', 'Dewas', 'Ujjain'], 22.72, 75.80, 567, 41.5, 20.5, 40.3, 20.6, 39.1, 20.8],
+    ['Nagpur', 'Maharashtra', ['Nagpur', 'Wardha', 'Bhandara'], 21.10, 79.05, 310, 44.5, 22.7, 43.4, 22.8, 42.2, 22.8],
+    ['Patna', 'Bihar', ['Patna', 'Nalanda', 'Vaishali'], 25.60, 85.10, 60, 41.5, 24.5, 40.2, 25.0, 39.0, 25.5],
+    ['Bhubaneswar', 'Odisha', ['Khordha', 'Cuttack', 'Puri'], 20.25, 85.82, 46, 41.0, 25.9, 39.6, 26.1, 38.3, 26.3],
+    ['Guwahati', 'Assam', ['Kamrup Metropolitan', 'Kamrup'], 26.10, 91.58, 54, 35.7, 26.4, 34.8, 26.5, 34.0, 26.5],
+    ['Kochi', 'Kerala', ['Ernakulam', 'Thrissur', 'Alappuzha'], 10.15, 76.40, 4, 33.6, 25.8, 33.0, 25.8, 32.5, 25.7],
+    ['Thiruvananthapuram', 'Kerala', ['Thiruvananthapuram', 'Kollam'], 8.48, 76.95, 64, 33.7, 25.5, 33.1, 25.5, 32.6, 25.4],
+    ['Goa', 'Goa', ['North Goa', 'South Goa'], 15.38, 73.83, 58, 35.0, 24.0, 34.0, 24.4, 33.2, 24.6],
+    ['Visakhapatnam', 'Andhra Pradesh', ['Visakhapatnam', 'Anakapalli', 'Vizianagaram'], 17.72, 83.22, 3, 37.5, 27.0, 36.2, 27.2, 35.1, 27.3],
+    ['Coimbatore', 'Tamil Nadu', ['Coimbatore', 'Tiruppur'], 11.03, 77.05, 396, 37.0, 21.5, 36.0, 21.6, 35.1, 21.7],
+    ['Surat', 'Gujarat', ['Surat', 'Navsari', 'Bharuch'], 21.20, 72.83, 12, 39.5, 23.0, 38.0, 23.6, 36.8, 24.2],
+    ['Varanasi', 'Uttar Pradesh', ['Varanasi', 'Chandauli', 'Mirzapur'], 25.45, 82.87, 85, 43.5, 23.8, 42.3, 24.2, 41.0, 24.8],
+    ['Amritsar', 'Punjab', ['Amritsar', 'Tarn Taran', 'Gurdaspur'], 31.63, 74.87, 234, 43.0, 23.5, 41.7, 24.0, 40.4, 24.6],
+    ['Srinagar', 'Jammu and Kashmir', ['Srinagar', 'Budgam', 'Ganderbal'], 34.08, 74.83, 1587, 33.5, 19.3, 32.3, 19.1, 31.2, 18.8],
+    ['Dehradun', 'Uttarakhand', ['Dehradun', 'Haridwar'], 30.32, 78.03, 682, 38.5, 22.5, 37.2, 22.7, 36.0, 23.0],
+    ['Raipur', 'Chhattisgarh', ['Raipur', 'Durg', 'Bilaspur'], 21.23, 81.65, 298, 44.5, 22.5, 43.3, 22.6, 42.0, 22.8],
+    ['Ranchi', 'Jharkhand', ['Ranchi', 'Khunti', 'Ramgarh'], 23.32, 85.32, 652, 39.5, 21.0, 38.2, 21.2, 37.0, 21.4]
+  ].map(station)
+};
+
+/**
+ * Find a station by city (station) name
+ * @param {string} city - e.g. 'New Delhi', 'bengaluru'
+ * @param {Array} stations - Station list
+ * @returns {Object|null} Station
+ */
+export function findStationByCity(city, stations = CLIMATE_DATASET.stations) {
+  const key = normalizeName(city);
+  if (!key) return null;
+  return stations.find((entry) => normalizeName(entry.name) === key) || null;
+}
+
+/**
+ * Find the station that represents a district
+ * @param {string} district - District name, e.g. 'Gurugram'
+ * @param {Array} stations - Station list
+ * @returns {Object|null} Station
+ */
+export function findStationByDistrict(district, stations = CLIMATE_DATASET.stations) {
+  const key = normalizeName(district);
+  if (!key) return null;
+  return stations.find((entry) => (entry.districts || []).some((name) => normalizeName(name) === key)) || null;
+}
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Distance in km
+ */
+export function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Nearest station to a location
+ * @param {number} latitude - Degrees north
+ * @param {number} longitude - Degrees east
+ * @param {Array} stations - Station list
+ * @returns {Object|null} { station, distanceKm }
+ */
+export function findNearestStation(latitude, longitude, stations = CLIMATE_DATASET.stations) {
+  const lat = parseFloat(latitude);
+  const lon = parseFloat(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+
+  return stations.reduce((best, entry) => {
+    const distance = distanceKm(lat, lon, entry.latitude, entry.longitude);
+    return !best || distance < best.distanceKm ? { station: entry, distanceKm: distance } : best;
+  }, null);
+}
+
+/**
+ * Resolve a location to a station: city first, then district, then coordinates
+ * A location is covered when a station or district matches it by name, or when
+ * the nearest station is within MAX_STATION_DISTANCE_KM of its coordinates.
+ * @param {Object} query - { city, district, latitude, longitude }
+ * @param {Array} stations - Station list
+ * @returns {Object|null} { station, matchedBy: 'city'|'district'|'coordinates', distanceKm, covered }
+ */
+export function lookupClimateStation({ city, district, latitude, longitude } = {}, stations = CLIMATE_DATASET.stations) {
+  const byCity = findStationByCity(city, stations);
+  if (byCity) return { station: byCity, matchedBy: 'city', distanceKm: 0, covered: true };
+
+  const byDistrict = findStationByDistrict(district || city, stations);
+  if (byDistrict) return { station: byDistrict, matchedBy: 'district', distanceKm: 0, covered: true };
+
+  const nearest = findNearestStation(latitude, longitude, stations);
+  return nearest
+    ? { ...nearest, matchedBy: 'coordinates', covered: nearest.distanceKm <= MAX_STATION_DISTANCE_KM }
+    : null;
+}
+
+/**
+ * What a station list covers, for telling users which locations have data
+ * @param {Array} stations - Station list
+ * @returns {Object} { stations, districts, states: sorted state names }
+ */
+export function getDatasetCoverage(stations = CLIMATE_DATASET.stations) {
+  return {
+    stations: stations.length,
+    districts: new Set(stations.flatMap((entry) => (entry.districts || []).map(normalizeName))).size,
+    states: [...new Set(stations.map((entry) => entry.state))].sort()
+  };
+}
+
+/**
+ * Names offered in the location search (stations and districts)
+ * @param {Array} stations - Station list
+ * @returns {Array} [{ label, city, district }]
+ */
+export function getLocationOptions(stations = CLIMATE_DATASET.stations) {
+  return stations.flatMap((entry) => [
+    { label: `${entry.name}, ${entry.state}`, city: entry.name },
+    ...(entry.districts || [])
+      .filter((name) => normalizeName(name) !== normalizeName(entry.name))
+      .map((name) => ({ label: `${name} district, ${entry.state} (${entry.name} data)`, district: name }))
+  ]);
+}
+
+/**
+ * Design point of a station at a percentile, in sheet units
+ * @param {Object} stationData - Station record
+ * @param {string} percentile - '0.4', '1' or '2'
+ * @returns {Object} { percentile, dbC, mcwbC, dbF, wbF, rh, dewPoint, humidityRatio, pressure, elevation, latitude, longitude, station }
+ */
+export function getDesignConditions(stationData, percentile = '0.4') {
+  const design = stationData?.cooling?.[String(percentile)];
+  if (!design) {
+    throw new Error(`No ${percentile}% design data for ${stationData?.name || 'station'}`);
+  }
+
+  const pressure = calculateAtmosphericPressure(stationData.elevation || 0);
+  const dbF = (design.db * 9) / 5 + 32;
+  const wbF = (design.mcwb * 9) / 5 + 32;
+  const psychrometrics = calculatePsychrometrics({ dbF, wbF }, pressure);
+
+  return {
+    percentile: String(percentile),
+    dbC: design.db,
+    mcwbC: design.mcwb,
+    dbF: Number(dbF.toFixed(1)),
+    wbF: Number(wbF.toFixed(1)),
+    rh: psychrometrics.rh,
+    dewPoint: psychrometrics.dewPoint,
+    humidityRatio: psychrometrics.humidityRatio,
+    pressure,
+    elevation: stationData.elevation,
+    latitude: stationData.latitude,
+    longitude: stationData.longitude,
+    station: { id: stationData.id, name: stationData.name, state: stationData.state }
+  };
+}
+
+// CSV header aliases (compared without case, spaces or punctuation)
+const CSV_COLUMNS = {
+  name: ['station', 'city', 'name', 'location'],
+  state: ['state', 'region'],
+  districts: ['district', 'districts'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lon', 'long', 'lng'],
+  elevation: ['elevation', 'elev', 'elevationm', 'altitude'],
+  db04: ['db04', '04db', 'cooling04db', 'db04c'],
+  mcwb04: ['mcwb04', '04mcwb', 'cooling04mcwb', 'mcwb04c'],
+  db1: ['db1', '1db', 'cooling1db', 'db1c'],
+  mcwb1: ['mcwb1', '1mcwb', 'cooling1mcwb', 'mcwb1c'],
+  db2: ['db2', '2db', 'cooling2db', 'db2c'],
+  mcwb2: ['mcwb2', '2mcwb', 'cooling2mcwb', 'mcwb2c']
+};
+
+/**
+ * Split CSV text into rows, honouring quoted fields
+ * @param {string} text - CSV content
+ * @returns {Array} Array of string arrays
+ */
+function splitCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field.trim());
+      if (row.some((value) => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field.trim());
+  if (row.some((value) => value !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * Import stations from an ISHRAE/ASHRAE style CSV
+ * Required columns: station (or city), latitude, longitude, elevation and the
+ * DB/MCWB pairs for 0.4%, 1% and 2%; state and district are optional (several
+ * districts separated by ';'). Temperatures in °C unless `unit: 'F'`.
+ * @param {string} text - CSV content with a header row
+ * @param {Object} [options] - { unit: 'C' | 'F' }
+ * @returns {Object} { stations, errors: [{ line, message }] }
+ */
+export function parseClimateCSV(text, { unit = 'C' } = {}) {
+  const [header = [], ...rows] = splitCSV(String(text || ''));
+  const keys = header.map(normalizeName);
+  const columnIndex = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([field, aliases]) => (
+    [field, keys.findIndex((key) => aliases.includes(key))]
+  )));
+
+  const missing = Object.entries(columnIndex)
+    .filter(([field, index]) => index < 0 && !['state', 'districts'].includes(field))
+    .map(([field]) => field);
+  if (missing.length > 0) {
+    return { stations: [], errors: [{ line: 1, message: `Missing columns: ${missing.join(', ')}` }] };
+  }
+
+  const toC = (value) => (unit === 'F' ? ((value - 32) * 5) / 9 : value);
+  const stations = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const line = index + 2;
+    const value = (field) => (columnIndex[field] >= 0 ? row[columnIndex[field]] : '');
+    const number = (field) => parseFloat(value(field));
+
+    const name = value('name');
+    const numbers = ['latitude', 'longitude', 'elevation', 'db04', 'mcwb04', 'db1', 'mcwb1', 'db2', 'mcwb2'].map(number);
+    if (!name || numbers.some((entry) => !Number.isFinite(entry))) {
+      errors.push({ line, message: `Incomplete row for ${name || 'unnamed station'}` });
+      return;
+    }
+
+    const [latitude, longitude, elevation, db04, mcwb04, db1, mcwb1, db2, mcwb2] = numbers;
+    if (mcwb04 > db04 || mcwb1 > db1 || mcwb2 > db2) {
+      errors.push({ line, message: `MCWB above DB for ${name}` });
+      return;
+    }
+
+    const districts = value('districts') ? value('districts').split(';').map((entry) => entry.trim()).filter(Boolean) : [];
+    const round = (entry) => Number(toC(entry).toFixed(2));
+    stations.push(station([
+      name, value('state'), districts, latitude, longitude, elevation,
+      round(db04), round(mcwb04), round(db1), round(mcwb1), round(db2), round(mcwb2)
+    ]));
+  });
+
+  return { stations, errors };
+}
+
+/**
+ * Merge imported stations over a base list (same station and state replaces)
+ * @param {Array} base - Station list
+ * @param {Array} imported - Stations from parseClimateCSV
+ * @returns {Array} Combined list
+ */
+export function mergeStations(base = CLIMATE_DATASET.stations, imported = []) {
+  const byId = new Map(base.map((entry) => [entry.id, entry]));
+  imported.forEach((entry) => byId.set(entry.id, { ...entry, imported: true }));
+  return [...byId.values()];
+}
+
+export default {
+  CLIMATE_DATASET,
+  DESIGN_PERCENTILES,
+  MAX_STATION_DISTANCE_KM,
+  findStationByCity,
+  findStationByDistrict,
+  findNearestStation,
+  lookupClimateStation,
+  getDatasetCoverage,
+  getLocationOptions,
+  getDesignConditions,
+  parseClimateCSV,
+  mergeStations,
+  distanceKm
+};
@@ -0,0 +1,266 @@
+/**
+ * Cost Structure
+ * How a BOQ's priced lines roll up into the tender total, per project:
+ *
+ * - Supply: the priced lines of each section
+ * - Installation: a percentage of each section's supply
+ * - Freight and transit insurance on supply; contingency on supply and
+ *   installation; overhead & profit on everything before tax
+ * - GST: supply and installation at their own rates, contingency and
+ *   overhead & profit shared between them by value, freight and insurance
+ *   following the supply. CGST + SGST (UTGST in a union territory without a
+ *   legislature) when the site is in the contractor's state, IGST otherwise;
+ *   a blank state counts as the contractor's
+ * - Rounding of the grand total, shown as a round-off line
+ *
+ * Percentages are entered as 18, not 0.18. Money ₹, rounded to the rupee.
+ */
+
+// BOQ sections priced as supply: [key, label, summary total field]
+export const COST_SECTIONS = [
+  ['indoorUnits', 'Indoor Units', 'totalIDU'],
+  ['outdoorUnits', 'Outdoor Units', 'totalODU'],
+  ['refrigerantPiping', 'Refrigerant Piping', 'totalPiping'],
+  ['chilledWater', 'Chilled Water System', 'totalChilledWater'],
+  ['accessories', 'Accessories', 'totalAccessories']
+];
+
+// GST state codes: [code, name, union territory without a legislature (UTGST)]
+export const GST_STATES = [
+  ['01', 'Jammu and Kashmir', false],
+  ['02', 'Himachal Pradesh', false],
+  ['03', 'Punjab', false],
+  ['04', 'Chandigarh', true],
+  ['05', 'Uttarakhand', false],
+  ['06', 'Haryana', false],
+  ['07', 'Delhi', false],
+  ['08', 'Rajasthan', false],
+  ['09', 'Uttar Pradesh', false],
+  ['10', 'Bihar', false],
+  ['11', 'Sikkim', false],
+  ['12', 'Arunachal Pradesh', false],
+  ['13', 'Nagaland', false],
+  ['14', 'Manipur', false],
+  ['15', 'Mizoram', false],
+  ['16', 'Tripura', false],
+  ['17', 'Meghalaya', false],
+  ['18', 'Assam', false],
+  ['19', 'West Bengal', false],
+  ['20', 'Jharkhand', false],
+  ['21', 'Odisha', false],
+  ['22', 'Chhattisgarh', false],
+  ['23', 'Madhya Pradesh', false],
+  ['24', 'Gujarat', false],
+  ['26', 'Dadra and Nagar Haveli and Daman and Diu', true],
+  ['27', 'Maharashtra', false],
+  ['29', 'Karnataka', false],
+  ['30', 'Goa', false],
+  ['31', 'Lakshadweep', true],
+  ['32', 'Kerala', false],
+  ['33', 'Tamil Nadu', false],
+  ['34', 'Puducherry', false],
+  ['35', 'Andaman and Nicobar Islands', true],
+  ['36', 'Telangana', false],
+  ['37', 'Andhra Pradesh', false],
+  ['38', 'Ladakh', true]
+].map(([code, name, unionTerritory]) => ({ code, name, unionTerritory }));
+
+// Starting points for a project's structure
+export const COST_TEMPLATES = {
+  simple: {
+    name: 'Supply only, 18% GST',
+    supplyGSTPercent: 18,
+    installationGSTPercent: 18,
+    installationPercent: { indoorUnits: 0, outdoorUnits: 0, refrigerantPiping: 0, chilledWater: 0, accessories: 0 },
+    freightPercent: 0,
+    insurancePercent: 0,
+    contingencyPercent: 0,
+    overheadProfitPercent: 0,
+    roundTo: 1
+  },
+  tender: {
+    name: 'Supply, installation and commissioning',
+    supplyGSTPercent: 18,
+    installationGSTPercent: 18,
+    installationPercent: { indoorUnits: 8, outdoorUnits: 5, refrigerantPiping: 25, chilledWater: 10, accessories: 15 },
+    freightPercent: 2,
+    insurancePercent: 0.5,
+    contingencyPercent: 3,
+    overheadProfitPercent: 10,
+    roundTo: 100
+  }
+};
+
+export const ROUNDING_OPTIONS = [1, 10, 100, 1000];
+
+const money = (value) => Math.round(value);
+const share = (amount, percent) => (amount * (Number(percent) || 0)) / 100;
+const normalize = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * New structure from a template
+ * @param {Object} [fields] - { template, supplierState, siteState, ...overrides }
+ * @returns {Object} Structure
+ */
+export function createCostStructure(fields = {}) {
+  const template = COST_TEMPLATES[fields.template] ? fields.template : 'simple';
+  const base = COST_TEMPLATES[template];
+  return {
+    template,
+    supplierState: '',
+    siteState: '',
+    ...base,
+    ...fields,
+    installationPercent: { ...base.installationPercent, ...(fields.installationPercent || {}) }
+  };
+}
+
+/**
+ * A state by GST code or name (as the climate stations name them)
+ * @param {string} value
+ * @returns {Object|null} { code, name, unionTerritory }
+ */
+export function findGSTState(value) {
+  const key = normalize(value);
+  if (!key) return null;
+  return GST_STATES.find(state => state.code === String(value).trim().padStart(2, '0') || normalize(state.name) === key) ||
+    (key === 'newdelhi' || key === 'nctofdelhi' ? GST_STATES.find(state => state.code === '07') : null);
+}
+
+/**
+ * Which GST applies between the contractor's and the site's state
+ * @param {Object} structure
+ * @returns {Object} { interState, localTax: 'SGST' | 'UTGST', supplierState, siteState }
+ */
+export function getTaxRegime(structure) {
+  const supplierState = findGSTState(structure?.supplierState);
+  const siteState = findGSTState(structure?.siteState) || supplierState;
+  return {
+    interState: !!(supplierState && siteState && supplierState.code !== siteState.code),
+    localTax: siteState?.unionTerritory ? 'UTGST' : 'SGST',
+    supplierState,
+    siteState
+  };
+}
+
+// GST on one part: IGST, or the rate split evenly between CGST and SGST/UTGST
+const taxPart = (part, taxable, percent, regime) => {
+  const rate = Number(percent) || 0;
+  const components = regime.interState
+    ? [{ name: 'IGST', percent: rate, amount: money(share(taxable, rate)) }]
+    : [
+        { name: 'CGST', percent: rate / 2, amount: money(share(taxable, rate / 2)) },
+        { name: regime.localTax, percent: rate / 2, amount: money(share(taxable, rate / 2)) }
+      ];
+  return { part, taxable, percent: rate, components, amount: components.reduce((total, tax) => total + tax.amount, 0) };
+};
+
+/**
+ * Roll the BOQ sections up into the cost summary
+ * @param {Object} sections - { indoorUnits, outdoorUnits, ... }, each an array or object of lines with totalPrice
+ * @param {Object} [structure] - Cost structure (default the simple template)
+ * @returns {Object} Section totals (totalIDU, ...), subtotal (supply), installation by section,
+ *   charges, taxes, gst, roundOff and grandTotal
+ */
+export function calculateCostSummary(sections, structure = createCostStructure()) {
+  const settings = createCostStructure(structure);
+  const regime = getTaxRegime(settings);
+
+  const bySection = COST_SECTIONS.map(([key, label, field]) => {
+    const supply = Object.values(sections?.[key] || {}).reduce((total, line) => total + (line.totalPrice || 0), 0);
+    return { key, label, field, supply, installation: money(share(supply, settings.installationPercent[key])) };
+  });
+  const subtotal = bySection.reduce((total, section) => total + section.supply, 0);
+  const installation = bySection.reduce((total, section) => total + section.installation, 0);
+
+  const freight = money(share(subtotal, settings.freightPercent));
+  const insurance = money(share(subtotal + freight, settings.insurancePercent));
+  const contingency = money(share(subtotal + installation, settings.contingencyPercent));
+  const overheadProfit = money(share(subtotal + installation + freight + insurance + contingency, settings.overheadProfitPercent));
+  const taxableValue = subtotal + installation + freight + insurance + contingency + overheadProfit;
+
+  // Contingency and overhead & profit follow supply and installation by value
+  const markups = contingency + overheadProfit;
+  const supplyShare = subtotal + installation > 0 ? subtotal / (subtotal + installation) : 1;
+  const supplyTaxable = subtotal + freight + insurance + money(markups * supplyShare);
+  const taxes = [
+    taxPart('supply', supplyTaxable, settings.supplyGSTPercent, regime),
+    taxPart('installation', taxableValue - supplyTaxable, settings.installationGSTPercent, regime)
+  ];
+  const gst = taxes.reduce((total, tax) => total + tax.amount, 0);
+
+  const beforeRounding = taxableValue + gst;
+  const roundTo = Number(settings.roundTo) || 1;
+  const grandTotal = Math.round(beforeRounding / roundTo) * roundTo;
+
+  return {
+    ...Object.fromEntries(bySection.map(section => [section.field, section.supply])),
+    subtotal,
+    installation,
+    installationBySection: Object.fromEntries(bySection.map(section => [section.key, section.installation])),
+    freight,
+    insurance,
+    contingency,
+    overheadProfit,
+    taxableValue,
+    taxes,
+    gst,
+    roundOff: grandTotal - beforeRounding,
+    grandTotal,
+    interState: regime.interState,
+    placeOfSupply: regime.siteState?.name || ''
+  };
+}
+
+const percentLabel = (value) => `${Number(value) || 0}%`;
+
+/**
+ * The summary as rows for the BOQ table and exports
+ * Supply sections other than piping and chilled water always show; the
+ * other lines only when they carry an amount.
+ * @param {Object} summary - From calculateCostSummary
+ * @param {Object} [structure] - For the percentages in the labels
+ * @returns {Array} [{ label, amount, kind: 'line' | 'subtotal' | 'total' }]
+ */
+export function getCostSummaryRows(summary, structure = createCostStructure()) {
+  const settings = createCostStructure(structure);
+  const rows = [];
+  const add = (label, amount, kind = 'line', always = false) => {
+    if (always || amount) rows.push({ label, amount: amount || 0, kind });
+  };
+
+  COST_SECTIONS.forEach(([key, label, field]) => {
+    add(`${label} Total`, summary[field], 'line', !['refrigerantPiping', 'chilledWater'].includes(key));
+  });
+  add(summary.installation ? 'Supply Subtotal' : 'Subtotal', summary.subtotal, 'subtotal', true);
+  COST_SECTIONS.forEach(([key, label]) => {
+    add(`Installation - ${label} (${percentLabel(settings.installationPercent[key])})`, summary.installationBySection?.[key]);
+  });
+  add(`Freight (${percentLabel(settings.freightPercent)} of supply)`, summary.freight);
+  add(`Transit insurance (${percentLabel(settings.insurancePercent)})`, summary.insurance);
+  add(`Contingency (${percentLabel(settings.contingencyPercent)})`, summary.contingency);
+  add(`Overhead & profit (${percentLabel(settings.overheadProfitPercent)})`, summary.overheadProfit);
+  if (summary.taxableValue !== summary.subtotal) add('Taxable Value', summary.taxableValue, 'subtotal', true);
+
+  (summary.taxes || []).forEach(tax => {
+    if (!tax.taxable && tax.part === 'installation') return;
+    tax.components.forEach(component => {
+      add(`${component.name} @ ${percentLabel(component.percent)} on ${tax.part}`, component.amount, 'line', true);
+    });
+  });
+  add('Round off', summary.roundOff);
+  add('Grand Total', summary.grandTotal, 'total', true);
+  return rows;
+}
+
+export default {
+  COST_SECTIONS,
+  GST_STATES,
+  COST_TEMPLATES,
+  ROUNDING_OPTIONS,
+  createCostStructure,
+  findGSTState,
+  getTaxRegime,
+  calculateCostSummary,
+  getCostSummaryRows
+};
@@ -0,0 +1,432 @@
+/**
+ * Duct Sizing
+ * Models the supply ductwork of one ducted unit as a tree: the unit's supply
+ * spigot at the root, junctions (tees / takeoffs) at the branch points and
+ * terminals (diffusers, grilles) at the leaves. Each node carries the duct run
+ * that feeds it from its parent, with the fittings on that run.
+ *
+ * - Equal friction: every run gets the smallest standard round size whose
+ *   friction stays at the design rate (0.1 in.wg/100 ft by default)
+ * - Static regain: the first run leaves the unit at the main duct velocity
+ *   limit; every run after it is sized (never larger than the run feeding it)
+ *   so the static pressure regained from the drop in velocity offsets its own
+ *   friction and fitting losses
+ * - Both respect the velocity limits of the space (main ducts and run-outs)
+ * - Rectangular equivalents (Huebscher) within a maximum duct depth
+ * - The critical path (highest loss from the unit to a terminal) sets the
+ *   external static pressure, checked against the unit's available ESP
+ *
+ * Friction: ASHRAE Fundamentals galvanized duct fit, Δp/100 ft = 0.109136 Q^1.9 / D^5.02.
+ *
+ * Units: airflow CFM, lengths ft, duct sizes in, pressures in.wg (ESP also Pa),
+ * velocities fpm.
+ */
+
+import { getDescendantIds } from './networkTree';
+
+export const DUCT_NODE_TYPES = {
+  unit: { name: 'Ducted unit', minBranches: 1, maxBranches: 1 },
+  junction: { name: 'Junction', minBranches: 2, maxBranches: 4 },
+  terminal: { name: 'Terminal', minBranches: 0, maxBranches: 0 }
+};
+
+export const SIZING_METHODS = {
+  equalFriction: { name: 'Equal friction' },
+  staticRegain: { name: 'Static regain' }
+};
+
+export const DUCT_DESIGN = {
+  method: 'equalFriction',
+  // in.wg per 100 ft
+  frictionRate: 0.1,
+  // Share of the velocity pressure drop recovered as static pressure
+  regainFactor: 0.75,
+  maxDepthIn: 12,
+  maxAspectRatio: 4,
+  // Allowance on the critical path for installation and filters loading
+  marginPercent: 10,
+  terminalDropInWg: 0.1,
+  cfmPerTerminal: 250
+};
+
+/**
+ * Velocity limits by space (fpm): main ducts and run-outs to terminals
+ */
+export const VELOCITY_LIMITS = {
+  studio: { name: 'Studio / auditorium', main: 800, branch: 600 },
+  residential: { name: 'Residence / hotel room', main: 900, branch: 600 },
+  office: { name: 'Office / school / library', main: 1200, branch: 800 },
+  retail: { name: 'Retail / restaurant', main: 1500, branch: 1000 },
+  industrial: { name: 'Industrial', main: 2500, branch: 1600 }
+};
+
+/**
+ * Loss coefficients (× velocity pressure) of the fittings on a run
+ */
+export const DUCT_FITTINGS = {
+  elbows: { name: '90° elbow', c: 0.25 },
+  dampers: { name: 'Volume damper', c: 0.2 },
+  transitions: { name: 'Transition', c: 0.15 }
+};
+
+// Takeoff from a junction: the branch carrying the most air goes straight on
+const STRAIGHT_THROUGH_C = 0.05;
+const BRANCH_TAKEOFF_C = 0.5;
+const ROUND_SIZES_IN = [4, 5, 6, 7, 8, 9, 10, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30, 32, 34, 36, 40, 44, 48, 54, 60, 66, 72];
+const PA_PER_IN_WG = 249.09;
+const FT2_TO_M2 = 0.0929;
+// Velocity (fpm) at 1 in.wg velocity pressure, standard air
+const VP_VELOCITY = 4005;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+const nodeLabel = (node) => node.label || `${DUCT_NODE_TYPES[node.type]?.name || 'Node'} ${node.id}`;
+const areaFt2 = (diameterIn) => Math.PI * (diameterIn / 12) ** 2 / 4;
+
+/**
+ * Velocity pressure
+ * @param {number} velocityFPM
+ * @returns {number} in.wg
+ */
+export const velocityPressure = (velocityFPM) => (velocityFPM / VP_VELOCITY) ** 2;
+
+/**
+ * Friction rate of a round duct
+ * @param {number} cfm
+ * @param {number} diameterIn
+ * @returns {number} in.wg per 100 ft
+ */
+export const frictionRate = (cfm, diameterIn) => (cfm > 0 ? 0.109136 * cfm ** 1.9 / diameterIn ** 5.02 : 0);
+
+/**
+ * Velocity limits for a space or building type
+ * @param {string} type - VELOCITY_LIMITS key, or a building / room type to match
+ * @returns {string} VELOCITY_LIMITS key (office when not recognised)
+ */
+export function getSpaceType(type) {
+  if (VELOCITY_LIMITS[type]) return type;
+  const text = String(type || '').toLowerCase();
+  if (/studio|auditorium|theat|cinema|concert|library/.test(text)) return 'studio';
+  if (/resid|apartment|hotel|guest|bed|villa|hostel/.test(text)) return 'residential';
+  if (/retail|mall|shop|store|restaurant|cafe|food|hall/.test(text)) return 'retail';
+  if (/industr|factory|plant|warehouse|workshop/.test(text)) return 'industrial';
+  return 'office';
+}
+
+/**
+ * Smallest standard round size for an airflow at a friction rate and velocity limit
+ * @param {number} cfm
+ * @param {number} [rate] - in.wg per 100 ft
+ * @param {number} [maxVelocityFPM]
+ * @returns {number} Diameter (in)
+ */
+export function sizeRoundDuct(cfm, rate = DUCT_DESIGN.frictionRate, maxVelocityFPM = Infinity) {
+  const byFriction = (0.109136 * cfm ** 1.9 / rate) ** (1 / 5.02);
+  const byVelocity = Number.isFinite(maxVelocityFPM) ? Math.sqrt((4 * cfm) / (Math.PI * maxVelocityFPM)) * 12 : 0;
+  return standardSize(Math.max(byFriction, byVelocity));
+}
+
+function standardSize(diameterIn) {
+  return ROUND_SIZES_IN.find(size => size >= diameterIn - 1e-9) || ROUND_SIZES_IN[ROUND_SIZES_IN.length - 1];
+}
+
+/**
+ * Round duct equivalent of a rectangular duct (Huebscher)
+ * @param {number} widthIn
+ * @param {number} heightIn
+ * @returns {number} Diameter (in)
+ */
+export const equivalentDiameter = (widthIn, heightIn) => 1.3 * (widthIn * heightIn) ** 0.625 / (widthIn + heightIn) ** 0.25;
+
+/**
+ * Rectangular duct, in 2 in steps, at least as good as a round size
+ * @param {number} diameterIn
+ * @param {number} [maxDepthIn]
+ * @param {number} [maxAspectRatio] - Depth is raised past maxDepthIn rather than exceed this
+ * @returns {Object} { widthIn, heightIn }
+ */
+export function rectangularEquivalent(diameterIn, maxDepthIn = DUCT_DESIGN.maxDepthIn, maxAspectRatio = DUCT_DESIGN.maxAspectRatio) {
+  let heightIn = Math.max(4, Math.min(Math.ceil(diameterIn / 2) * 2, maxDepthIn));
+  for (;;) {
+    let widthIn = heightIn;
+    while (equivalentDiameter(widthIn, heightIn) < diameterIn) widthIn += 2;
+    if (widthIn / heightIn <= maxAspectRatio) return { widthIn, heightIn };
+    heightIn += 2;
+  }
+}
+
+/**
+ * New node with the next free id
+ * @param {Array} nodes - Existing nodes
+ * @param {Object} fields - { type, parentId, label, lengthFt, elbows, dampers, transitions, cfm, dropInWg }
+ * @returns {Object} Node
+ */
+export function createDuctNode(nodes, fields) {
+  const next = nodes.reduce((max, node) => Math.max(max, parseInt(String(node.id).slice(1)) || 0), 0) + 1;
+  return {
+    id: `d${next}`,
+    type: 'terminal',
+    parentId: null,
+    label: '',
+    lengthFt: 0,
+    elbows: 0,
+    dampers: 0,
+    transitions: 0,
+    cfm: 0,
+    dropInWg: DUCT_DESIGN.terminalDropInWg,
+    ...fields
+  };
+}
+
+/**
+ * Remove a node and everything fed through it (the unit stays)
+ * @param {Array} nodes
+ * @param {string} id
+ * @returns {Array} Remaining nodes
+ */
+export function removeDuctNode(nodes, id) {
+  const target = nodes.find(node => node.id === id);
+  if (!target || target.type === 'unit') return nodes;
+  const removed = getDescendantIds(nodes, id).add(id);
+  return nodes.filter(node => !removed.has(node.id));
+}
+
+/**
+ * Starting network: a trunk with the unit's airflow split evenly over terminals teed off in turn
+ * @param {Object} unit - { label, cfm }
+ * @param {Object} [options] - { cfmPerTerminal, mainLengthFt, runLengthFt, branchLengthFt }
+ * @returns {Object} { nodes }
+ */
+export function createDuctNetwork(unit, options = {}) {
+  const {
+    cfmPerTerminal = DUCT_DESIGN.cfmPerTerminal,
+    mainLengthFt = 10,
+    runLengthFt = 12,
+    branchLengthFt = 8
+  } = options;
+  const nodes = [createDuctNode([], { type: 'unit', label: unit.label || 'Unit', dropInWg: 0 })];
+  const add = (fields) => {
+    const node = createDuctNode(nodes, fields);
+    nodes.push(node);
+    return node;
+  };
+
+  const count = Math.max(1, Math.ceil((unit.cfm || 0) / cfmPerTerminal));
+  const cfm = round((unit.cfm || 0) / count, 0);
+  let parent = nodes[0];
+  let lengthFt = mainLengthFt;
+  for (let index = 0; index < count; index++) {
+    const last = index === count - 1;
+    if (!last) {
+      parent = add({ type: 'junction', parentId: parent.id, label: `T${index + 1}`, lengthFt, elbows: index === 0 ? 1 : 0, dropInWg: 0 });
+      lengthFt = runLengthFt;
+    }
+    add({
+      type: 'terminal',
+      parentId: parent.id,
+      label: `D${index + 1}`,
+      lengthFt: count === 1 ? mainLengthFt : last ? lengthFt : branchLengthFt,
+      elbows: 1,
+      dampers: 1,
+      cfm
+    });
+  }
+  return { nodes };
+}
+
+/**
+ * Size a duct network and find its critical path
+ * @param {Object} network - { nodes }
+ * @param {Object} [options] - DUCT_DESIGN overrides plus { spaceType, availableEspPa }
+ * @returns {Object} { settings, limits, segments, paths, critical, esp: { lossInWg, requiredInWg, requiredPa, availablePa, ok },
+ *   totals, errors, warnings, ok }
+ */
+export function analyseDuctNetwork(network, options = {}) {
+  const settings = {
+    ...DUCT_DESIGN,
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== '' && value !== null && value !== undefined))
+  };
+  const method = SIZING_METHODS[settings.method] ? settings.method : 'equalFriction';
+  const spaceType = getSpaceType(settings.spaceType);
+  const limits = VELOCITY_LIMITS[spaceType];
+  const nodes = network?.nodes || [];
+  const errors = [];
+  const warnings = [];
+  const children = new Map(nodes.map(node => [node.id, []]));
+  const roots = nodes.filter(node => node.type === 'unit');
+  const root = roots[0];
+
+  if (roots.length !== 1) errors.push('The network needs exactly one ducted unit');
+  nodes.forEach(node => {
+    if (node.type !== 'unit' && children.has(node.parentId)) children.get(node.parentId).push(node);
+  });
+
+  // Walk from the unit; parents come before their children in order
+  const parents = new Map();
+  const order = [];
+  const stack = root ? [root] : [];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    order.push(node);
+    children.get(node.id).forEach(child => {
+      if (parents.has(child.id)) return;
+      parents.set(child.id, node);
+      stack.push(child);
+    });
+  }
+  const reached = new Set(order.map(node => node.id));
+  nodes.filter(node => !reached.has(node.id) && node !== root)
+    .forEach(node => errors.push(`${nodeLabel(node)} is not connected to the unit`));
+
+  order.forEach(node => {
+    const spec = DUCT_NODE_TYPES[node.type];
+    const branches = children.get(node.id).length;
+    if (!spec) {
+      errors.push(`${nodeLabel(node)} has an unknown type`);
+      return;
+    }
+    if (branches < spec.minBranches || branches > spec.maxBranches) {
+      errors.push(spec.minBranches === spec.maxBranches
+        ? `${nodeLabel(node)} needs ${spec.minBranches} branch(es), has ${branches}`
+        : `${nodeLabel(node)} needs ${spec.minBranches}-${spec.maxBranches} branches, has ${branches}`);
+    }
+    if (node.type === 'terminal' && !(node.cfm > 0)) errors.push(`${nodeLabel(node)} has no airflow`);
+  });
+
+  // Airflow through each run (children before parents)
+  const flow = new Map();
+  [...order].reverse().forEach(node => {
+    const own = node.type === 'terminal' ? parseFloat(node.cfm) || 0 : 0;
+    flow.set(node.id, children.get(node.id).reduce((sum, child) => sum + (flow.get(child.id) || 0), own));
+  });
+
+  // Size runs from the unit outwards so static regain knows the upstream velocity
+  const segments = [];
+  const segmentById = new Map();
+  order.filter(node => node !== root).forEach(node => {
+    const parent = parents.get(node.id);
+    const cfm = flow.get(node.id);
+    const lengthFt = parseFloat(node.lengthFt) || 0;
+    const maxVelocityFPM = node.type === 'terminal' ? limits.branch : limits.main;
+    const main = children.get(parent.id).reduce((best, sibling) => (flow.get(sibling.id) > flow.get(best.id) ? sibling : best));
+    const straight = main === node;
+    const takeoffC = parent.type === 'junction' ? (straight ? STRAIGHT_THROUGH_C : BRANCH_TAKEOFF_C) : 0;
+    const fittingsC = Object.keys(DUCT_FITTINGS).reduce((sum, key) => sum + (parseInt(node[key]) || 0) * DUCT_FITTINGS[key].c, takeoffC);
+    const upstream = segmentById.get(parent.id);
+
+    const lossAt = (diameterIn) => {
+      const vp = velocityPressure(cfm / areaFt2(diameterIn));
+      return frictionRate(cfm, diameterIn) * lengthFt / 100 + fittingsC * vp;
+    };
+    let diameterIn = sizeRoundDuct(cfm, settings.frictionRate, maxVelocityFPM);
+    if (method === 'staticRegain' && !upstream) {
+      diameterIn = sizeRoundDuct(cfm, Infinity, maxVelocityFPM);
+    } else if (method === 'staticRegain' && cfm > 0) {
+      // Smallest standard size whose regain covers its losses, no smaller than the velocity limit allows
+      const upstreamVP = upstream.velocityPressureInWg;
+      const regained = ROUND_SIZES_IN.find(size => (
+        settings.regainFactor * (upstreamVP - velocityPressure(cfm / areaFt2(size))) >= lossAt(size)
+      ));
+      diameterIn = Math.min(upstream.roundIn, Math.max(sizeRoundDuct(cfm, Infinity, maxVelocityFPM), regained || diameterIn));
+    }
+
+    const velocityFPM = cfm > 0 ? cfm / areaFt2(diameterIn) : 0;
+    const vp = velocityPressure(velocityFPM);
+    const friction = frictionRate(cfm, diameterIn);
+    const frictionLossInWg = friction * lengthFt / 100;
+    const fittingLossInWg = fittingsC * vp;
+    const regainInWg = method === 'staticRegain' && upstream
+      ? Math.max(0, settings.regainFactor * (upstream.velocityPressureInWg - vp))
+      : 0;
+    const rect = rectangularEquivalent(diameterIn, settings.maxDepthIn, settings.maxAspectRatio);
+    const segment = {
+      id: node.id,
+      label: nodeLabel(node),
+      from: nodeLabel(parent),
+      type: node.type,
+      cfm: Math.round(cfm),
+      lengthFt,
+      roundIn: diameterIn,
+      widthIn: rect.widthIn,
+      heightIn: rect.heightIn,
+      velocityFPM: Math.round(velocityFPM),
+      velocityPressureInWg: vp,
+      frictionRate: round(friction, 3),
+      frictionLossInWg: round(frictionLossInWg, 3),
+      fittingLossInWg: round(fittingLossInWg, 3),
+      regainInWg: round(regainInWg, 3),
+      lossInWg: round(frictionLossInWg + fittingLossInWg - regainInWg, 3),
+      maxVelocityFPM,
+      velocityOK: velocityFPM <= maxVelocityFPM + 1
+    };
+    segments.push(segment);
+    segmentById.set(node.id, segment);
+  });
+
+  // Loss from the unit to each terminal, terminal pressure drop included
+  const paths = order.filter(node => node.type === 'terminal').map(node => {
+    let lossInWg = parseFloat(node.dropInWg) || 0;
+    const route = [];
+    for (let at = node; at !== root; at = parents.get(at.id)) {
+      lossInWg += segmentById.get(at.id).lossInWg;
+      route.unshift(nodeLabel(at));
+    }
+    return { id: node.id, label: nodeLabel(node), route, lossInWg: round(lossInWg, 3) };
+  });
+  const critical = paths.reduce((worst, path) => (!worst || path.lossInWg > worst.lossInWg ? path : worst), null);
+
+  const lossInWg = critical?.lossInWg || 0;
+  const requiredInWg = lossInWg * (1 + settings.marginPercent / 100);
+  const availablePa = parseFloat(settings.availableEspPa);
+  const esp = {
+    lossInWg: round(lossInWg, 3),
+    requiredInWg: round(requiredInWg, 3),
+    requiredPa: Math.round(requiredInWg * PA_PER_IN_WG),
+    availablePa: Number.isFinite(availablePa) ? availablePa : null,
+    availableInWg: Number.isFinite(availablePa) ? round(availablePa / PA_PER_IN_WG, 3) : null,
+    ok: Number.isFinite(availablePa) ? requiredInWg * PA_PER_IN_WG <= availablePa : null
+  };
+  if (esp.ok === false) {
+    warnings.push(`Critical path needs ${esp.requiredPa} Pa ESP, unit gives ${esp.availablePa} Pa`);
+  }
+  segments.filter(segment => !segment.velocityOK)
+    .forEach(segment => warnings.push(`${segment.label}: ${segment.velocityFPM} fpm over the ${segment.maxVelocityFPM} fpm limit`));
+
+  const sheetFt2 = segments.reduce((sum, segment) => sum + 2 * (segment.widthIn + segment.heightIn) / 12 * segment.lengthFt, 0);
+  const totals = {
+    terminalCount: paths.length,
+    cfm: root ? Math.round(flow.get(root.id)) : 0,
+    lengthFt: round(segments.reduce((sum, segment) => sum + segment.lengthFt, 0), 1),
+    sheetAreaM2: round(sheetFt2 * FT2_TO_M2, 1)
+  };
+
+  return {
+    settings: { ...settings, method, spaceType },
+    limits,
+    segments,
+    paths,
+    critical,
+    esp,
+    totals,
+    errors,
+    warnings,
+    ok: errors.length === 0 && warnings.length === 0
+  };
+}
+
+export default {
+  DUCT_NODE_TYPES,
+  SIZING_METHODS,
+  DUCT_DESIGN,
+  VELOCITY_LIMITS,
+  DUCT_FITTINGS,
+  velocityPressure,
+  frictionRate,
+  getSpaceType,
+  sizeRoundDuct,
+  equivalentDiameter,
+  rectangularEquivalent,
+  createDuctNode,
+  removeDuctNode,
+  createDuctNetwork,
+  analyseDuctNetwork
+};
@@ -0,0 +1,606 @@
+/**
+ * Engineering Report
+ * The five workflow steps as one heat load and HVAC design report:
+ *
+ * 1. Design basis - location, outdoor and inside design conditions
+ * 2. Room heat load sheets in the Carrier E-20 layout (glass, walls, roof,
+ *    partitions, internal, infiltration, ESHT / ELHT, outside air, GTH),
+ *    recomputed through computeRoomLoad so they agree with every other screen
+ * 3. Floor and building summaries
+ * 4. Indoor and outdoor unit schedules
+ * 5. Bill of quantities and cost summary
+ *
+ * followed by the warnings gathered from every step. buildEngineeringReport
+ * assembles the content; renderEngineeringReportPDF lays it out on the
+ * organization's letterhead as a paginated PDF with a cover page, table of
+ * contents, page footers and the signature block.
+ */
+
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { computeRoomLoad, getRoomSheet, SENSIBLE_AIR_FACTOR, LATENT_AIR_FACTOR, BTU_PER_TON } from './roomLoadEngine';
+import { getRoomSolarSite } from './hourlyLoadAnalysis';
+import { MONTH_NAMES } from './solarGains';
+import { getIDUType } from './equipmentCatalog';
+import { getBOQSections } from './boqWorkbook';
+import { getCostSummaryRows } from './costStructure';
+import { getLetterhead, drawLetterhead, drawSignatureBlock, drawLetterheadFooters } from './letterhead';
+
+export const REPORT_SECTIONS = [
+  ['designBasis', 'Design Basis'],
+  ['roomLoads', 'Room Heat Load Sheets'],
+  ['summaries', 'Floor & Building Summary'],
+  ['equipment', 'Equipment Schedules'],
+  ['boq', 'Bill of Quantities'],
+  ['warnings', 'Warnings & Notes']
+];
+
+const num = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+const round = (value, digits = 0) => Number((value || 0).toFixed(digits));
+const format = (value, digits = 0) => round(value, digits).toLocaleString('en-IN', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+const withUnit = (value, unit, digits = 1) => (value || value === 0 ? `${format(num(value), digits)} ${unit}` : '-');
+
+/**
+ * Design basis as [parameter, value] rows
+ * @param {Object} designData - Design data step (meta, ambient, inside, winter)
+ * @returns {Array} Rows
+ */
+export function getDesignBasisRows(designData = {}) {
+  const meta = designData.meta || {};
+  const ambient = designData.ambient || {};
+  const inside = designData.inside || {};
+  const station = meta.climateStation;
+  const rows = [
+    ['Project', meta.projectName || '-'],
+    ['Project number', meta.projectNumber || '-'],
+    ['Address', meta.address || '-'],
+    ['Building type', meta.buildingType || '-'],
+    ['Location', station ? `${station.name}, ${station.state}` : (meta.climateCity || meta.locationConsidered || '-')],
+    ['Latitude', meta.latitude !== undefined && meta.latitude !== '' ? `${meta.latitude}° N` : '-'],
+    ['Design month', meta.designMonth && meta.designMonth !== 'auto'
+      ? String(meta.designMonth)
+      : `Worst month for the site${meta.worstMonth ? ` (${MONTH_NAMES[meta.worstMonth - 1]})` : ''}`],
+    ['Outdoor dry bulb', withUnit(ambient.dbF, '°F')],
+    ['Outdoor wet bulb', withUnit(ambient.wbF, '°F')],
+    ['Outdoor RH', withUnit(ambient.rh, '%', 0)],
+    ['Outdoor moisture', withUnit(ambient.grainsPerLb ?? ambient.grLb, 'gr/lb')],
+    ['Inside dry bulb', withUnit(inside.dbF, '°F')],
+    ['Inside RH', withUnit(inside.rh, '%', 0)],
+    ['Inside moisture', withUnit(inside.grainsPerLb ?? inside.grLb, 'gr/lb')],
+    ['Site pressure', withUnit(ambient.pressure, 'psia', 3)],
+    ['Estimated by', meta.estimatedBy || '-']
+  ];
+  if (designData.winter?.dbF !== undefined && designData.winter.dbF !== '') {
+    rows.push(['Winter outdoor dry bulb', withUnit(designData.winter.dbF, '°F')]);
+    rows.push(['Winter inside dry bulb', withUnit(designData.winter.insideDbF, '°F')]);
+  }
+  return rows;
+}
+
+const line = (label, quantity, factor, btuh) => ({ kind: 'line', cells: [label, quantity, factor, btuh === null ? '' : format(btuh)] });
+const heading = (label) => ({ kind: 'heading', cells: [label, '', '', ''] });
+const total = (label, btuh, note = '') => ({ kind: 'total', cells: [label, note, '', format(btuh)] });
+
+/**
+ * One room's load in the Carrier E-20 layout
+ * @param {Object} load - Result of computeRoomLoad
+ * @param {Object} [sheet] - The room's sheet, for people, lighting and safety factors
+ * @returns {Array} [{ kind: 'heading' | 'line' | 'total', cells: [item, quantity, factor, Btu/h] }]
+ */
+export function getRoomLoadSheetRows(load, sheet = {}) {
+  const rows = [];
+  const perArea = (item) => (item.area > 0 ? format(item.gain / item.area, 1) : '');
+  const envelope = (title, items, label) => {
+    const used = items.filter(item => item.area > 0 || item.gain > 0);
+    if (used.length === 0) return;
+    rows.push(heading(title));
+    used.forEach(item => rows.push(line(label(item), `${format(item.area)} sq ft`, perArea(item), item.gain)));
+  };
+
+  envelope('SUN GAIN - GLASS', load.glassItems, item => `Glass ${item.orientation || ''}`.trim());
+  envelope('SOLAR GAIN - WALLS', load.wallItems, item => `Wall ${item.orientation || ''}`.trim());
+  envelope('SOLAR GAIN - ROOF', load.roofItems, item => `Roof${item.sunExposure ? `, ${item.sunExposure.toLowerCase()}` : ''}`);
+  const partitions = load.partitionItems.filter(item => item.area > 0);
+  if (partitions.length > 0) {
+    rows.push(heading('TRANS GAIN - PARTITIONS, CEILING, FLOOR'));
+    partitions.forEach(item => rows.push(line('Partition', `${format(item.area)} sq ft`, `U ${item.uFactor} × ${item.deltaT}°F`, item.gain)));
+  }
+
+  rows.push(heading('INTERNAL HEAT'));
+  const people = num(sheet.numPeople || sheet.numPeopleInternal);
+  rows.push(line('People', people ? `${people} persons` : '', sheet.shPerPerson ? `${sheet.shPerPerson} Btu/h each` : '', load.peopleSensible));
+  rows.push(line('Lights', `${format(load.area)} sq ft`, sheet.lightsWatts ? `${sheet.lightsWatts} W/sq ft` : '', load.lightsGain));
+  if (load.appliancesGain) rows.push(line('Appliances', `${format(load.area)} sq ft`, `${sheet.appliancesWatts} W/sq ft`, load.appliancesGain));
+  if (load.motorGain) rows.push(line('Motors', '', '', load.motorGain));
+  if (load.sensibleInfiltrationBTU) {
+    rows.push(line('Infiltration', `${format(load.infiltrationCFM)} CFM`, `${SENSIBLE_AIR_FACTOR} × ${format(load.diffDB, 1)}°F`, load.sensibleInfiltrationBTU));
+  }
+  rows.push(total('Room sensible subtotal', load.sensibleSubtotal));
+  rows.push(line('Safety factor', '', `${num(sheet.safetyFactorSensible)}%`, load.sensibleSafety));
+  rows.push(total('EFFECTIVE ROOM SENSIBLE HEAT (ESHT)', load.ESHT));
+
+  rows.push(heading('LATENT HEAT'));
+  if (load.latentInfiltrationBTU) {
+    rows.push(line('Infiltration', `${format(load.infiltrationCFM)} CFM`, `${LATENT_AIR_FACTOR} × ${format(load.diffGR, 1)} gr`, load.latentInfiltrationBTU));
+  }
+  rows.push(line('People', people ? `${people} persons` : '', sheet.lhPerPerson ? `${sheet.lhPerPerson} Btu/h each` : '', load.latentPeopleBTU));
+  rows.push(total('Room latent subtotal', load.latentSubtotal));
+  rows.push(line('Safety factor', '', `${num(sheet.safetyFactorLatent)}%`, load.latentSafety));
+  rows.push(total('EFFECTIVE ROOM LATENT HEAT (ELHT)', load.ELHT));
+  rows.push(total('EFFECTIVE ROOM TOTAL HEAT (ERTH)', load.effectiveRoomTotalHeat));
+
+  rows.push(heading('OUTSIDE AIR HEAT'));
+  rows.push(line('Sensible', `${format(load.ventilationCFM)} CFM`, `${SENSIBLE_AIR_FACTOR} × ${format(load.diffDB, 1)}°F × (1 - BF ${load.BF})`, load.outsideAirSensible));
+  rows.push(line('Latent', `${format(load.ventilationCFM)} CFM`, `${LATENT_AIR_FACTOR} × ${format(load.diffGR, 1)} gr × (1 - BF ${load.BF})`, load.outsideAirLatent));
+  rows.push(total('GRAND TOTAL HEAT (GTH)', load.GTH, `${format(load.tonsRequired, 2)} TR`));
+
+  rows.push(heading('AIR SIDE'));
+  rows.push(line('Apparatus dew point', '', `${format(load.selectedADP, 1)}°F`, null));
+  rows.push(line('Dehumidified air', `${format(load.dehumidifiedCFM)} CFM`, `${format(load.cfmPerTon)} CFM/TR`, null));
+  rows.push(line('ESHF', '', format(load.ESHF, 3), null));
+  rows.push(line('Supply air temperature', '', `${format(load.supplyAirTemp, 1)}°F`, null));
+  return rows;
+}
+
+// Rooms grouped by floor, floors in building order
+const groupRoomsByFloor = (spaceData = {}) => {
+  const floors = spaceData.buildingData?.floors || [];
+  const groups = new Map();
+  Object.entries(spaceData.roomCalculations || {}).forEach(([key, calc]) => {
+    const floor = floors.find(entry => entry.id === calc.floorId);
+    const floorId = calc.floorId ?? 'unassigned';
+    if (!groups.has(floorId)) {
+      groups.set(floorId, {
+        floorId,
+        floorName: floor?.name || calc.floorName || `Floor ${floorId}`,
+        level: floor?.level ?? floors.indexOf(floor),
+        rooms: []
+      });
+    }
+    groups.get(floorId).rooms.push({ key, calc });
+  });
+  return [...groups.values()].sort((a, b) => a.level - b.level || a.floorName.localeCompare(b.floorName));
+};
+
+/**
+ * Every room's load, with floor and building totals
+ * @param {Object} spaceData - Space step (roomCalculations, buildingData)
+ * @param {Object} [designData] - For the site's sun gains
+ * @returns {Object} { floors: [{ floorName, rooms: [{ name, load, sheet, rows }], totals }], totals }
+ */
+export function getBuildingLoads(spaceData = {}, designData = {}) {
+  const sum = (items, field) => items.reduce((acc, item) => acc + (item[field] || 0), 0);
+  const floors = groupRoomsByFloor(spaceData).map(floor => {
+    const rooms = floor.rooms.map(({ key, calc }) => {
+      const sheet = getRoomSheet(calc);
+      const hasSheet = Object.keys(sheet).length > 0;
+      const load = hasSheet ? computeRoomLoad(sheet, getRoomSolarSite(designData.meta) || {}) : null;
+      const stored = calc.heatLoadData || {};
+      return {
+        key,
+        name: calc.roomName || `Room ${calc.roomId || key}`,
+        sheet,
+        load,
+        rows: load ? getRoomLoadSheetRows(load, sheet) : [],
+        area: load ? load.area : num(stored.area),
+        sensible: load ? load.ESHT : num(stored.sensibleHeat),
+        latent: load ? load.ELHT : num(stored.latentHeat),
+        GTH: load ? load.GTH : num(stored.totalHeat),
+        tons: load ? load.tonsRequired : num(stored.tonnage),
+        cfm: load ? load.dehumidifiedCFM : num(stored.totalCfm),
+        heatingTons: num(stored.heatingTons),
+        warnings: load ? load.warnings : []
+      };
+    });
+    const totals = {
+      rooms: rooms.length,
+      area: sum(rooms, 'area'),
+      sensible: sum(rooms, 'sensible'),
+      latent: sum(rooms, 'latent'),
+      GTH: sum(rooms, 'GTH'),
+      tons: sum(rooms, 'GTH') / BTU_PER_TON,
+      cfm: sum(rooms, 'cfm'),
+      heatingTons: sum(rooms, 'heatingTons')
+    };
+    return { floorId: floor.floorId, floorName: floor.floorName, rooms, totals };
+  });
+
+  const totals = ['rooms', 'area', 'sensible', 'latent', 'GTH', 'cfm', 'heatingTons']
+    .reduce((acc, field) => ({ ...acc, [field]: floors.reduce((value, floor) => value + floor.totals[field], 0) }), {});
+  totals.tons = totals.GTH / BTU_PER_TON;
+  totals.sqftPerTR = totals.tons > 0 ? totals.area / totals.tons : 0;
+  return { floors, totals };
+}
+
+/**
+ * Indoor and outdoor unit schedules from the equipment step
+ * The equipment selection table's floors are used when saved, else the
+ * equipment spreadsheet's selections.
+ * @param {Object} equipmentData
+ * @returns {Object} { indoor: [[...]], outdoor: [[...]] } table rows
+ */
+export function getEquipmentSchedules(equipmentData = {}) {
+  const indoor = [];
+  const outdoor = [];
+
+  if (equipmentData.floors?.length > 0) {
+    equipmentData.floors.forEach(floor => {
+      (floor.rooms || []).filter(room => room.numIDUs > 0).forEach(room => {
+        indoor.push([
+          floor.floorName,
+          room.roomName,
+          getIDUType(room.iduType)?.name || room.iduType || '-',
+          room.iduModel ? `${room.iduModel.manufacturer} ${room.iduModel.model}` : '-',
+          format(room.machineCapacity, 2),
+          String(room.numIDUs),
+          format(room.heatLoadTR, 2),
+          format(room.totalIDUTonnage, 2),
+          room.totalAirflowCFM ? format(room.totalAirflowCFM) : '-'
+        ]);
+      });
+      const odu = floor.oduSelection;
+      if (odu) {
+        outdoor.push([
+          floor.floorName,
+          `${odu.manufacturer} ${odu.model}`,
+          `${odu.quantity} × ${odu.nominalHP} HP`,
+          format(odu.ratedKW, 1),
+          format(odu.deratedKW, 1),
+          format(odu.demandTR, 2),
+          `${format(odu.combinationRatio)}%`,
+          odu.ok ? 'OK' : 'Short'
+        ]);
+      }
+    });
+    return { indoor, outdoor };
+  }
+
+  Object.entries(equipmentData.spreadsheetData || {}).forEach(([floorKey, floorData]) => {
+    Object.values(floorData.rooms || {}).forEach(room => {
+      if (room.selectedACType && room.acQuantity > 0) {
+        indoor.push([
+          floorData.floorName || floorKey,
+          room.roomName || '-',
+          getIDUType(room.selectedACType)?.name || room.selectedACType,
+          room.selectedModel || '-',
+          String(room.selectedCapacity || '-'),
+          String(room.acQuantity),
+          format(num(room.heatLoadTR || room.tonnage), 2),
+          format(num(room.selectedCapacity) * num(room.acQuantity), 2),
+          '-'
+        ]);
+      }
+      [['combined', 'Combined'], ['topDischarge', 'Top discharge'], ['sideDischarge', 'Side discharge']].forEach(([field, label]) => {
+        if (room[`${field}HP`] && room[`${field}Qty`] > 0) {
+          outdoor.push([
+            floorData.floorName || floorKey,
+            room[`${field}Model`] || `${label} ODU`,
+            `${room[`${field}Qty`]} × ${room[`${field}HP`]} HP`,
+            '-', '-', '-', '-', '-'
+          ]);
+        }
+      });
+    });
+  });
+  return { indoor, outdoor };
+}
+
+/**
+ * Warnings from every step, each with where it came from
+ * @param {Object} data - { equipmentData, boqData } plus the building loads
+ * @returns {Array} [{ source, message }]
+ */
+export function collectReportWarnings({ buildingLoads, equipmentData = {}, boqData } = {}) {
+  const warnings = [];
+  const add = (source, message) => message && warnings.push({ source, message: String(message).replace(/^[^\p{L}\p{N}]+/u, '') });
+
+  (buildingLoads?.floors || []).forEach(floor => floor.rooms.forEach(room => {
+    room.warnings.forEach(warning => add(`${floor.floorName} / ${room.name}`, warning.message));
+  }));
+  (equipmentData.floors || []).forEach(floor => {
+    (floor.oduSelection?.warnings || []).forEach(message => add(`${floor.floorName} ODU`, message));
+    (floor.piping?.errors || []).forEach(message => add(`${floor.floorName} piping`, message));
+  });
+  (equipmentData.capacityShortfalls || []).forEach(where => add(where, 'Selected equipment is short of the cooling or heating load'));
+  (equipmentData.refrigerantSafety?.flags || []).forEach(flag => {
+    add(`${flag.floor} / ${flag.name}`, flag.concentrationKgM3 === null
+      ? 'Room volume unknown; refrigerant concentration not checked'
+      : `Refrigerant concentration ${flag.concentrationKgM3} kg/m³ over the ${flag.limitKgM3} kg/m³ limit (${flag.status === 'split' ? 'split the system' : 'add leak detection and ventilation'})`);
+  });
+  (equipmentData.ventilation?.warnings || []).forEach(message => add('Ventilation', message));
+  (equipmentData.ductDesign || []).forEach(unit => {
+    [...(unit.errors || []), ...(unit.warnings || [])].forEach(message => add(`${unit.floorName} / ${unit.roomName} ducts`, message));
+  });
+  (boqData?.missingRates || []).forEach(entry => add('Rates', `${entry.code} (${entry.item}) is not in the rate library`));
+  return warnings;
+}
+
+/**
+ * Assemble the report
+ * @param {Object} data - { designData, spaceData, equipmentData, boqData }
+ * @returns {Object} { project, designBasis, buildingLoads, equipment, boq, warnings }
+ */
+export function buildEngineeringReport({ designData = {}, spaceData = {}, equipmentData = {}, boqData = null } = {}) {
+  const meta = designData.meta || {};
+  const buildingLoads = getBuildingLoads(spaceData, designData);
+  return {
+    project: {
+      name: meta.projectName || boqData?.projectInfo?.name || 'Untitled Project',
+      number: meta.projectNumber || boqData?.projectInfo?.number || '',
+      address: meta.address || '',
+      buildingType: meta.buildingType || boqData?.projectInfo?.buildingType || '',
+      preparedBy: meta.estimatedBy || '',
+      date: new Date().toLocaleDateString('en-IN')
+    },
+    designBasis: getDesignBasisRows(designData),
+    buildingLoads,
+    equipment: getEquipmentSchedules(equipmentData),
+    boq: boqData && {
+      sections: getBOQSections(boqData),
+      summaryRows: boqData.summary ? getCostSummaryRows(boqData.summary, boqData.costStructure) : []
+    },
+    warnings: collectReportWarnings({ buildingLoads, equipmentData, boqData })
+  };
+}
+
+// ==================== PDF ====================
+
+const PAGE = { width: 210, height: 297, margin: 15 };
+
+/**
+ * Lay the report out as a PDF
+ * @param {Object} report - From buildEngineeringReport
+ * @param {Object} [options]
+ * @param {string} [options.chartPNG] - Psychrometric chart image (data URL) for the design basis
+ * @param {string} [options.chartTitle]
+ * @param {Object} [options.letterhead] - From getLetterhead; the app's own header by default
+ * @returns {Object} { doc, contents: [{ key, title, page }] }
+ */
+export function renderEngineeringReportPDF(report, { chartPNG = null, chartTitle = '', letterhead = getLetterhead(null) } = {}) {
+  const brand = letterhead.colors.primary;
+  const doc = new jsPDF();
+  const contents = [];
+  const table = (options) => {
+    autoTable(doc, {
+      theme: 'grid',
+      headStyles: { fillColor: brand },
+      styles: { fontSize: 8, cellPadding: 1.5 },
+      margin: { left: PAGE.margin, right: PAGE.margin, top: 22, bottom: 24 },
+      ...options
+    });
+    return doc.lastAutoTable.finalY;
+  };
+  const startSection = (key) => {
+    doc.addPage();
+    const title = REPORT_SECTIONS.find(([id]) => id === key)[1];
+    contents.push({ key, title, page: doc.getNumberOfPages() });
+    doc.setFontSize(15);
+    doc.setTextColor(...brand);
+    doc.text(`${contents.length}. ${title.toUpperCase()}`, PAGE.margin, 28);
+    doc.setTextColor(0);
+    return 34;
+  };
+  const subheading = (text, y) => {
+    let top = y;
+    if (top > PAGE.height - 50) {
+      doc.addPage();
+      top = 28;
+    }
+    doc.setFontSize(11);
+    doc.text(text, PAGE.margin, top);
+    return top + 3;
+  };
+
+  // Cover on the letterhead
+  const coverTop = drawLetterhead(doc, letterhead) + 12;
+  doc.setFillColor(...brand);
+  doc.rect(PAGE.margin, coverTop, 4, 28, 'F');
+  doc.setFontSize(24);
+  doc.setTextColor(...brand);
+  doc.text('HEAT LOAD & HVAC', PAGE.margin + 9, coverTop + 11);
+  doc.text('DESIGN REPORT', PAGE.margin + 9, coverTop + 24);
+  doc.setTextColor(0);
+  doc.setFontSize(16);
+  doc.text(report.project.name, PAGE.margin, coverTop + 48);
+  doc.setFontSize(11);
+  [
+    report.project.number && `Project No: ${report.project.number}`,
+    report.project.address,
+    report.project.buildingType && `Building type: ${report.project.buildingType}`,
+    report.project.preparedBy && `Prepared by: ${report.project.preparedBy}`,
+    `Date: ${report.project.date}`
+  ].filter(Boolean).forEach((text, index) => doc.text(doc.splitTextToSize(text, PAGE.width - 2 * PAGE.margin)[0], PAGE.margin, coverTop + 60 + index * 8));
+  const totals = report.buildingLoads.totals;
+  table({
+    startY: coverTop + 108,
+    theme: 'plain',
+    styles: { fontSize: 11 },
+    body: [
+      ['Conditioned area', `${format(totals.area)} sq ft`],
+      ['Rooms', String(totals.rooms)],
+      ['Building cooling load', `${format(totals.tons, 1)} TR (${format(totals.GTH)} Btu/h)`],
+      ['Area per TR', totals.sqftPerTR ? `${format(totals.sqftPerTR)} sq ft/TR` : '-']
+    ]
+  });
+
+  // Contents page, filled in once the sections know their pages
+  doc.addPage();
+  const contentsPage = doc.getNumberOfPages();
+
+  // 1. Design basis
+  let y = startSection('designBasis');
+  y = table({ startY: y, head: [['Parameter', 'Value']], body: report.designBasis, columnStyles: { 0: { cellWidth: 60 } } });
+  if (chartPNG) {
+    const { width, height } = doc.getImageProperties(chartPNG);
+    const imageWidth = PAGE.width - 2 * PAGE.margin;
+    const imageHeight = (imageWidth * height) / width;
+    if (y + imageHeight + 15 > PAGE.height - 24) {
+      doc.addPage();
+      y = 22;
+    }
+    y = subheading(`Psychrometric chart${chartTitle ? ` - ${chartTitle}` : ''}`, y + 10);
+    doc.addImage(chartPNG, 'PNG', PAGE.margin, y + 2, imageWidth, imageHeight);
+  }
+
+  // 2. Room sheets, one room to a page
+  y = startSection('roomLoads');
+  let first = true;
+  report.buildingLoads.floors.forEach(floor => floor.rooms.forEach(room => {
+    if (!first) {
+      doc.addPage();
+      y = 28;
+    }
+    first = false;
+    y = subheading(`${floor.floorName} / ${room.name}`, y);
+    if (room.rows.length === 0) {
+      doc.setFontSize(9);
+      doc.text(`No sheet saved - ${format(room.tons, 2)} TR, ${format(room.cfm)} CFM as recorded`, PAGE.margin, y + 5);
+      y += 10;
+      return;
+    }
+    y = table({
+      startY: y + 1,
+      head: [['Item', 'Area / quantity', 'Factor', 'Btu/h']],
+      body: room.rows.map(row => row.cells),
+      columnStyles: { 0: { cellWidth: 70 }, 3: { halign: 'right' } },
+      didParseCell: (data) => {
+        const kind = room.rows[data.row.index]?.kind;
+        if (data.section !== 'body' || kind === 'line') return;
+        data.cell.styles.fontStyle = 'bold';
+        if (kind === 'heading') data.cell.styles.fillColor = [236, 240, 245];
+      }
+    }) + 8;
+  }));
+
+  // 3. Floor and building summary
+  y = startSection('summaries');
+  const summaryRow = (label, values) => [label, String(values.rooms), format(values.area), format(values.sensible), format(values.latent), format(values.GTH), format(values.tons, 2), format(values.cfm)];
+  const summaryHead = [['Floor / room', 'Rooms', 'Area (sq ft)', 'ESHT (Btu/h)', 'ELHT (Btu/h)', 'GTH (Btu/h)', 'TR', 'CFM']];
+  report.buildingLoads.floors.forEach(floor => {
+    y = subheading(floor.floorName, y);
+    y = table({
+      startY: y + 1,
+      head: summaryHead,
+      body: [
+        ...floor.rooms.map(room => [room.name, '1', format(room.area), format(room.sensible), format(room.latent), format(room.GTH), format(room.tons, 2), format(room.cfm)]),
+        summaryRow(`Total ${floor.floorName}`, floor.totals)
+      ],
+      columnStyles: { 0: { cellWidth: 45 } }
+    }) + 8;
+  });
+  y = subheading('Building', y);
+  y = table({
+    startY: y + 1,
+    head: summaryHead,
+    body: [
+      ...report.buildingLoads.floors.map(floor => summaryRow(floor.floorName, floor.totals)),
+      summaryRow('BUILDING TOTAL', totals)
+    ],
+    columnStyles: { 0: { cellWidth: 45 } }
+  }) + 6;
+  doc.setFontSize(9);
+  doc.text(`Area per TR: ${totals.sqftPerTR ? `${format(totals.sqftPerTR)} sq ft/TR` : '-'}${totals.heatingTons ? ` · Heating: ${format(totals.heatingTons, 2)} TR` : ''}`, PAGE.margin, y);
+
+  // 4. Equipment schedules
+  y = startSection('equipment');
+  y = subheading('Indoor unit schedule', y);
+  y = table({
+    startY: y + 1,
+    head: [['Floor', 'Room', 'Type', 'Model', 'TR each', 'Qty', 'Load TR', 'Installed TR', 'CFM']],
+    body: report.equipment.indoor.length > 0 ? report.equipment.indoor : [['No indoor units selected', '', '', '', '', '', '', '', '']]
+  }) + 8;
+  y = subheading('Outdoor unit schedule', y);
+  table({
+    startY: y + 1,
+    head: [['Floor', 'Model', 'Modules', 'Rated kW', 'Derated kW', 'Demand TR', 'Combination', 'Status']],
+    body: report.equipment.outdoor.length > 0 ? report.equipment.outdoor : [['No outdoor units selected', '', '', '', '', '', '', '']]
+  });
+
+  // 5. Bill of quantities
+  y = startSection('boq');
+  if (!report.boq) {
+    doc.setFontSize(10);
+    doc.text('The BOQ has not been generated for this project.', PAGE.margin, y);
+  } else {
+    report.boq.sections.forEach(section => {
+      y = subheading(`${section.number}. ${section.title}`, y);
+      y = table({
+        startY: y + 1,
+        head: [['Item', 'Description', 'Unit', 'Qty', 'Rate (Rs)', 'Amount (Rs)']],
+        body: section.items.map(item => [item.number, item.description, item.unit, format(item.quantity, 2), format(item.unitPrice), format(item.totalPrice)]),
+        columnStyles: { 1: { cellWidth: 85 }, 4: { halign: 'right' }, 5: { halign: 'right' } }
+      }) + 8;
+    });
+    y = subheading('Cost summary', y);
+    table({
+      startY: y + 1,
+      body: report.boq.summaryRows.map(row => [row.label, `Rs ${format(row.amount)}`]),
+      columnStyles: { 1: { halign: 'right' } },
+      didParseCell: (data) => {
+        if (report.boq.summaryRows[data.row.index]?.kind !== 'line') data.cell.styles.fontStyle = 'bold';
+      }
+    });
+  }
+
+  // 6. Warnings, then the signatory
+  y = startSection('warnings');
+  y = table({
+    startY: y,
+    head: [['Where', 'Warning']],
+    body: report.warnings.length > 0
+      ? report.warnings.map(warning => [warning.source, warning.message])
+      : [['-', 'No warnings were raised in any step.']],
+    columnStyles: { 0: { cellWidth: 55 } }
+  });
+  drawSignatureBlock(doc, letterhead, y);
+
+  // Contents with links to the sections
+  doc.setPage(contentsPage);
+  doc.setFontSize(15);
+  doc.setTextColor(...brand);
+  doc.text('CONTENTS', PAGE.margin, 28);
+  doc.setTextColor(0);
+  doc.setFontSize(11);
+  contents.forEach((entry, index) => {
+    const top = 42 + index * 10;
+    doc.textWithLink(`${index + 1}. ${entry.title}`, PAGE.margin, top, { pageNumber: entry.page });
+    doc.text(String(entry.page), PAGE.width - PAGE.margin, top, { align: 'right' });
+  });
+
+  // Running header on every page but the cover, then the letterhead footers
+  for (let page = 2; page <= doc.getNumberOfPages(); page++) {
+    doc.setPage(page);
+    doc.setDrawColor(...brand);
+    doc.line(PAGE.margin, 14, PAGE.width - PAGE.margin, 14);
+    doc.setFontSize(8);
+    doc.text(letterhead.name, PAGE.margin, 11);
+    doc.text(`${report.project.name}${report.project.number ? ` (${report.project.number})` : ''}`, PAGE.width - PAGE.margin, 11, { align: 'right' });
+  }
+  drawLetterheadFooters(doc, letterhead, { from: 2, caption: 'Heat load & HVAC design report' });
+
+  return { doc, contents };
+}
+
+/**
+ * File name of the report
+ * @param {Object} report
+ * @returns {string} Design_Report_<number>_<date>.pdf
+ */
+export function getEngineeringReportName(report) {
+  return `Design_Report_${report.project.number || 'project'}_${new Date().toISOString().split('T')[0]}.pdf`;
+}
+
+export default {
+  REPORT_SECTIONS,
+  getDesignBasisRows,
+  getRoomLoadSheetRows,
+  getBuildingLoads,
+  getEquipmentSchedules,
+  collectReportWarnings,
+  buildEngineeringReport,
+  renderEngineeringReportPDF,
+  getEngineeringReportName
+};
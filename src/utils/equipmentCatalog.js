@@ -0,0 +1,868 @@
+/**
+ * Equipment Catalog
+ * One list of indoor units, outdoor units, chillers and chilled water air
+ * handlers (fan coil units and AHUs) that every selection
+ * screen reads from. Each model carries its model number, nominal capacity
+ * (TR, and HP for VRF outdoor units), rated cooling/heating capacity and
+ * power input in kW, EER/ISEER, airflow, external static pressure,
+ * dimensions, weight and list price.
+ *
+ * The bundled models are a generic reference range covering every size the
+ * selection sheets offer. Manufacturer price lists (Daikin, Mitsubishi,
+ * Blue Star and similar XLSX/CSV exports) are read with readCatalogWorkbook
+ * and merged over them with mergeCatalog.
+ */
+
+import * as XLSX from 'xlsx';
+
+export const TR_TO_KW = 3.517;
+export const TR_TO_BTUH = 12000;
+// Nominal rating of VRF outdoor units (kW of cooling per HP)
+export const KW_PER_HP = 2.8;
+export const CMH_PER_CFM = 1.699;
+
+/**
+ * @param {number} tr - Capacity (TR)
+ * @returns {number} Equivalent VRF nominal HP
+ */
+export const trToHP = (tr) => (tr * TR_TO_KW) / KW_PER_HP;
+
+/**
+ * @param {number} hp - VRF nominal HP
+ * @returns {number} Equivalent capacity (TR)
+ */
+export const hpToTR = (hp) => (hp * KW_PER_HP) / TR_TO_KW;
+
+export const CATEGORIES = {
+  IDU: 'idu',
+  ODU: 'odu',
+  CHILLER: 'chiller',
+  FCU: 'fcu',
+  AHU: 'ahu'
+};
+
+export const REFERENCE_MANUFACTURER = 'Generic';
+
+/**
+ * Indoor unit types
+ * Keys are stored with saved selections; aliases are the names older screens
+ * and manufacturer price lists use for the same type.
+ */
+export const IDU_TYPES = {
+  wallMounted: {
+    name: 'Wall Mounted', code: 'WM', icon: '🔲', image: '📱',
+    mounting: 'Wall', cfmPerTon: 400, minHeight: 7, maxHeight: 11,
+    applications: ['Office', 'Residential', 'Retail', 'Hotel'],
+    aliases: ['Wall', 'Hi Wall', 'High Wall', 'Split Wall']
+  },
+  roundCST: {
+    name: 'Round CST', code: 'RC', icon: '⭕', image: '🔘',
+    mounting: 'Ceiling', cfmPerTon: 450, minHeight: 10, maxHeight: 20,
+    applications: ['Retail', 'Restaurant', 'Hall'],
+    aliases: ['Round Cassette', 'Round Flow Cassette', 'Round Flow']
+  },
+  cassette4Way2x2: {
+    name: '4 Way Cassette 2x2', code: 'CS', icon: '➕', image: '⊞',
+    mounting: 'Ceiling', cfmPerTon: 450, minHeight: 9, maxHeight: 14,
+    applications: ['Office', 'Retail', 'Restaurant', 'Hotel'],
+    aliases: ['Ceiling Cassette 4-Way', '4-Way Cassette', 'Ceiling Cassette', 'Cassette', 'Compact Cassette']
+  },
+  cassette4Way3x3: {
+    name: '4 Way Cassette 3x3', code: 'CL', icon: '⊞', image: '⊠',
+    mounting: 'Ceiling', cfmPerTon: 450, minHeight: 9, maxHeight: 16,
+    applications: ['Office', 'Retail', 'Restaurant', 'Hall'],
+    aliases: ['4 Way Cassette 3x3', 'Standard Cassette']
+  },
+  cassette2Way: {
+    name: '2 Way Cassette', code: 'C2', icon: '➡️', image: '▶️',
+    mounting: 'Ceiling', cfmPerTon: 420, minHeight: 9, maxHeight: 14,
+    applications: ['Office', 'Retail', 'Corridor'],
+    aliases: ['2-Way Cassette', 'Ceiling Cassette 2-Way']
+  },
+  cassette1Way: {
+    name: '1Way Cassette', code: 'C1', icon: '↗️', image: '▷',
+    mounting: 'Ceiling', cfmPerTon: 420, minHeight: 9, maxHeight: 14,
+    applications: ['Office', 'Retail', 'Corridor'],
+    aliases: ['Ceiling Cassette 1-Way', '1-Way Cassette', '1 Way Cassette']
+  },
+  lowStaticDuct: {
+    name: 'Low Static Duct', code: 'DL', icon: '🌬️', image: '▬', espPa: 50,
+    mounting: 'Ceiling', cfmPerTon: 400, minHeight: 10, maxHeight: 20, requiresDuctwork: true,
+    applications: ['Office', 'Hospital', 'School', 'Hotel'],
+    aliases: ['Ducted', 'Concealed Duct', 'Slim Duct', 'Duct']
+  },
+  highStaticDuct: {
+    name: 'High Static Duct', code: 'DH', icon: '💨', image: '▰', espPa: 150,
+    mounting: 'Ceiling', cfmPerTon: 400, minHeight: 10, maxHeight: 25, requiresDuctwork: true,
+    applications: ['Office', 'Hospital', 'Auditorium', 'Hall'],
+    aliases: ['High Static Ducted', 'High ESP Duct']
+  },
+  floorStanding: {
+    name: 'Floor Standing', code: 'FS', icon: '🗄️', image: '▯',
+    mounting: 'Floor', cfmPerTon: 380, minHeight: 0, maxHeight: 12,
+    applications: ['Office', 'Retail', 'Residential'],
+    aliases: ['Floor Mounted', 'Tower']
+  },
+  ceilingSuspended: {
+    name: 'Ceiling Suspended', code: 'SU', icon: '▭', image: '⊟',
+    mounting: 'Ceiling', cfmPerTon: 400, minHeight: 9, maxHeight: 14,
+    applications: ['Office', 'Retail', 'Restaurant'],
+    aliases: ['Under Ceiling', 'Ceiling Mounted']
+  },
+  flrs: {
+    name: 'FLRS', code: 'FL', icon: '🏢', image: '⬛',
+    mounting: 'Floor', cfmPerTon: 400, minHeight: 0, maxHeight: 20,
+    applications: ['Hall', 'Auditorium'],
+    aliases: []
+  }
+};
+
+// Outdoor unit arrangements offered on the equipment sheet
+export const ODU_TYPES = {
+  combined: { name: 'Combined' },
+  topDischarge: { name: 'Top Discharge' },
+  sideDischarge: { name: 'Side Discharge' }
+};
+
+export const CHILLER_TYPES = {
+  airCooled: { name: 'Air Cooled' },
+  waterCooled: { name: 'Water Cooled' }
+};
+
+// Chilled water air handlers; capacity is the cooling coil rating at 44°F entering water
+export const AIR_HANDLER_TYPES = {
+  ceilingConcealed: { name: 'Ceiling Concealed FCU', category: CATEGORIES.FCU, cfmPerTon: 400 },
+  doubleSkin: { name: 'Double Skin AHU', category: CATEGORIES.AHU, cfmPerTon: 350 }
+};
+
+/**
+ * System families an outdoor unit or chiller belongs to
+ * Operating limits follow the manufacturer ranges the VRF selector was built on.
+ */
+export const SYSTEM_TYPES = {
+  vrfHeatPump: {
+    name: 'VRF Heat Pump', aliases: ['Heat Pump', 'VRF System', 'VRF'],
+    minCapacity: 2, maxCapacity: 16, minModulation: 0.3, maxModulation: 1.1,
+    maxIndoorUnits: 64, maxPipingLength: 100, maxHeightDifference: 50,
+    copCooling: 4.1, copHeating: 4.5, diversityFactor: 0.85, efficiency: 'High',
+    applications: ['Office', 'Retail', 'Residential']
+  },
+  vrfHeatRecovery: {
+    name: 'VRF Heat Recovery', aliases: ['Heat Recovery'],
+    minCapacity: 6, maxCapacity: 32, minModulation: 0.2, maxModulation: 1.15,
+    maxIndoorUnits: 64, maxPipingLength: 165, maxHeightDifference: 90,
+    copCooling: 3.9, copHeating: 4.3, diversityFactor: 0.8, efficiency: 'Very High',
+    applications: ['Office', 'Hospital', 'Hotel', 'School'],
+    simultaneousOperation: true
+  },
+  vrfWaterSource: {
+    name: 'VRF Water Source', aliases: ['Water Source'],
+    minCapacity: 4, maxCapacity: 20, minModulation: 0.25, maxModulation: 1.0,
+    maxIndoorUnits: 48, maxPipingLength: 200, maxHeightDifference: 100,
+    copCooling: 4.5, copHeating: 4.8, diversityFactor: 0.85, efficiency: 'Very High',
+    applications: ['Office', 'Hospital', 'Laboratory'],
+    requiresWaterLoop: true
+  },
+  multiSplit: {
+    name: 'Multi Split', aliases: [],
+    maxIndoorUnits: 8, diversityFactor: 0.9, efficiency: 'Medium',
+    applications: ['Residential', 'Office']
+  },
+  singleSplit: {
+    name: 'Single Split', aliases: ['Split'],
+    maxIndoorUnits: 1, diversityFactor: 1.0, efficiency: 'Medium',
+    applications: ['Residential', 'Office', 'Retail']
+  },
+  chiller: {
+    name: 'Chiller', aliases: [],
+    maxIndoorUnits: null, diversityFactor: 0.85, efficiency: 'Excellent',
+    applications: ['Hospital', 'Hotel', 'Mall', 'Office']
+  }
+};
+
+/**
+ * Cooling capacity correction curves for outdoor units
+ * [x, factor] points interpolated linearly and held flat past the ends, on the
+ * usual rating basis of 35°C outdoor DB, 19°C indoor WB, 7.5 m equivalent pipe
+ * and 100% combination. Figures follow typical published R410A VRF and R32
+ * inverter split data; maxOutdoorDB is the cooling cut-out.
+ */
+export const CORRECTION_CURVES = {
+  vrfTopDischarge: {
+    name: 'VRF top discharge',
+    outdoorDB: [[20, 1.06], [25, 1.05], [30, 1.03], [35, 1.0], [40, 0.95], [43, 0.91], [46, 0.86], [49, 0.8], [52, 0.72]],
+    indoorWB: [[14, 0.82], [16, 0.89], [18, 0.96], [19, 1.0], [20, 1.03], [22, 1.09], [24, 1.14]],
+    pipeLength: [[7.5, 1.0], [30, 0.97], [50, 0.94], [75, 0.91], [100, 0.88], [125, 0.85], [150, 0.82], [175, 0.79], [200, 0.76]],
+    levelDifference: [[0, 1.0], [30, 0.98], [50, 0.97], [90, 0.94]],
+    combinationRatio: [[50, 0.52], [70, 0.72], [90, 0.92], [100, 1.0], [110, 1.04], [120, 1.07], [130, 1.1]],
+    maxOutdoorDB: 52
+  },
+  vrfSideDischarge: {
+    name: 'VRF side discharge',
+    outdoorDB: [[20, 1.06], [25, 1.05], [30, 1.03], [35, 1.0], [40, 0.93], [43, 0.88], [46, 0.82], [48, 0.78]],
+    indoorWB: [[14, 0.82], [16, 0.89], [18, 0.96], [19, 1.0], [20, 1.03], [22, 1.09], [24, 1.14]],
+    pipeLength: [[7.5, 1.0], [30, 0.96], [50, 0.92], [75, 0.88], [100, 0.84], [120, 0.81]],
+    levelDifference: [[0, 1.0], [30, 0.97]],
+    combinationRatio: [[50, 0.53], [70, 0.73], [90, 0.92], [100, 1.0], [110, 1.03], [120, 1.06], [130, 1.08]],
+    maxOutdoorDB: 48
+  },
+  split: {
+    name: 'Inverter split',
+    outdoorDB: [[20, 1.05], [25, 1.04], [30, 1.02], [35, 1.0], [40, 0.94], [43, 0.9], [46, 0.85], [48, 0.82], [52, 0.74]],
+    indoorWB: [[14, 0.84], [16, 0.9], [18, 0.96], [19, 1.0], [20, 1.03], [22, 1.08], [24, 1.12]],
+    pipeLength: [[7.5, 1.0], [15, 0.97], [20, 0.95], [30, 0.91], [50, 0.85]],
+    levelDifference: [[0, 1.0], [10, 0.98], [20, 0.96], [30, 0.94]],
+    combinationRatio: [[50, 0.55], [80, 0.85], [100, 1.0], [130, 1.05]],
+    maxOutdoorDB: 52
+  }
+};
+
+/**
+ * Correction curve an outdoor unit uses when its entry does not name one
+ * @param {Object} entry - Model fields
+ * @returns {string|null} CORRECTION_CURVES key, null for indoor units and chillers
+ */
+const defaultCorrectionCurve = (entry) => {
+  if (entry.category !== CATEGORIES.ODU) return null;
+  if (entry.systemType === 'singleSplit' || entry.systemType === 'multiSplit') return 'split';
+  return entry.type === 'sideDischarge' ? 'vrfSideDischarge' : 'vrfTopDischarge';
+};
+
+/**
+ * @param {Object} entry - Catalog model
+ * @returns {Object|null} Its correction curves (models imported before curves existed get the default)
+ */
+export function getCorrectionCurve(entry) {
+  return CORRECTION_CURVES[entry?.correctionCurve || defaultCorrectionCurve(entry || {})] || null;
+}
+
+const normalize = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const round = (value, digits = 2) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+/**
+ * Resolve a type key or any of its names to the registry key
+ * @param {Object} registry - IDU_TYPES, ODU_TYPES, CHILLER_TYPES or SYSTEM_TYPES
+ * @param {string} value - Key, display name or alias
+ * @returns {string|null}
+ */
+function resolveKey(registry, value) {
+  if (!value) return null;
+  if (registry[value]) return value;
+  const wanted = normalize(value);
+  const match = Object.entries(registry).find(([key, entry]) => (
+    normalize(key) === wanted ||
+    normalize(entry.name) === wanted ||
+    (entry.aliases || []).some(alias => normalize(alias) === wanted)
+  ));
+  return match ? match[0] : null;
+}
+
+export const getIDUTypeKey = (value) => resolveKey(IDU_TYPES, value);
+export const getSystemTypeKey = (value) => resolveKey(SYSTEM_TYPES, value);
+
+/**
+ * @param {string} value - IDU type key or name
+ * @returns {Object|null} Type entry with its key
+ */
+export function getIDUType(value) {
+  const key = getIDUTypeKey(value);
+  return key ? { key, ...IDU_TYPES[key] } : null;
+}
+
+/**
+ * @param {string} value - System type key or name (e.g. 'Heat Recovery')
+ * @returns {Object|null} System entry with its key
+ */
+export function getSystemType(value) {
+  const key = getSystemTypeKey(value);
+  return key ? { key, ...SYSTEM_TYPES[key] } : null;
+}
+
+/**
+ * Build a catalog model, filling the figures that follow from the others
+ * @param {Object} entry - Model fields; capacity from coolingKW, nominalTR or nominalHP
+ * @returns {Object} Model
+ */
+export function createModel(entry) {
+  const coolingKW = entry.coolingKW
+    ?? (entry.nominalTR ? entry.nominalTR * TR_TO_KW : null)
+    ?? (entry.nominalHP ? entry.nominalHP * KW_PER_HP : null);
+  const powerKW = entry.powerKW ?? (coolingKW && entry.eer ? coolingKW / entry.eer : null);
+  const manufacturer = entry.manufacturer || REFERENCE_MANUFACTURER;
+
+  return {
+    id: `${normalize(manufacturer)}-${normalize(entry.model)}`,
+    manufacturer,
+    series: entry.series || '',
+    model: String(entry.model),
+    category: entry.category,
+    type: entry.type,
+    systemType: entry.systemType || null,
+    nominalTR: round(entry.nominalTR ?? coolingKW / TR_TO_KW),
+    nominalHP: entry.nominalHP ?? null,
+    coolingKW: round(coolingKW, 1),
+    heatingKW: round(entry.heatingKW ?? null, 1),
+    powerKW: round(powerKW),
+    eer: round(entry.eer ?? (coolingKW && powerKW ? coolingKW / powerKW : null)),
+    iseer: entry.iseer ?? null,
+    airflowCFM: entry.airflowCFM ? Math.round(entry.airflowCFM) : null,
+    espPa: entry.espPa ?? null,
+    dimensions: entry.dimensions || null,
+    weightKg: entry.weightKg ?? null,
+    refrigerant: entry.refrigerant || null,
+    factoryChargeKg: entry.factoryChargeKg ?? null,
+    maxIndoorUnits: entry.maxIndoorUnits ?? null,
+    maxConnectionRatio: entry.maxConnectionRatio ?? null,
+    maxPipeLengthM: entry.maxPipeLengthM ?? null,
+    maxLevelDifferenceM: entry.maxLevelDifferenceM ?? null,
+    maxEquivalentLengthM: entry.maxEquivalentLengthM ?? null,
+    maxFirstBranchLengthM: entry.maxFirstBranchLengthM ?? null,
+    maxTotalPipeLengthM: entry.maxTotalPipeLengthM ?? null,
+    maxIDULevelDifferenceM: entry.maxIDULevelDifferenceM ?? null,
+    correctionCurve: entry.correctionCurve || defaultCorrectionCurve(entry),
+    listPrice: entry.listPrice ?? null,
+    currency: entry.currency || 'INR'
+  };
+}
+
+// ==================== REFERENCE RANGE ====================
+
+// Sizes (TR) offered for each indoor unit type, with [base, per TR] list price
+const REFERENCE_IDUS = {
+  wallMounted: { sizes: [0.5, 0.75, 0.8, 1.0, 1.3, 1.5, 2.0, 2.5, 3.0], price: [13000, 11000], fanKWPerTR: 0.02 },
+  roundCST: { sizes: [2, 3, 4, 5, 6, 8, 10, 12, 13, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60, 70], price: [24000, 14000], fanKWPerTR: 0.04 },
+  cassette4Way2x2: { sizes: [0.75, 1.0, 1.5, 2.0, 2.5, 3.0, 4.0, 5.0], price: [19000, 13000], fanKWPerTR: 0.03 },
+  cassette4Way3x3: { sizes: [2.0, 2.5, 3.0, 4.0, 5.0, 6.0, 7.5, 10.0], price: [22000, 13000], fanKWPerTR: 0.03 },
+  cassette2Way: { sizes: [0.8, 1.0, 1.5, 2.0, 2.5, 3.0, 3.5, 4.0, 4.5, 5.0, 5.5, 6.0, 7.0, 8.0], price: [20000, 13500], fanKWPerTR: 0.03 },
+  cassette1Way: { sizes: [0.8, 1.0, 1.5, 2.0, 2.5, 3.0, 3.5, 4.0, 4.5, 5.0, 5.5, 6.0, 7.0, 8.0], price: [18000, 13500], fanKWPerTR: 0.03 },
+  lowStaticDuct: { sizes: [1, 1.5, 2, 2.5, 3, 4, 5, 6, 8, 10, 12, 15, 20, 25, 30, 40, 45, 50, 60, 80], price: [15000, 13000], fanKWPerTR: 0.06 },
+  highStaticDuct: { sizes: [3, 4, 5, 6, 8, 10, 12, 15, 20, 25, 30, 40, 45, 50, 60, 80], price: [25000, 14000], fanKWPerTR: 0.12 },
+  floorStanding: { sizes: [1.0, 1.5, 2.0, 2.5, 3.0, 4.0, 5.0, 7.5, 10.0], price: [20000, 12000], fanKWPerTR: 0.03 },
+  ceilingSuspended: { sizes: [2.0, 2.5, 3.0, 4.0, 5.0, 6.0, 7.5, 10.0], price: [20000, 12500], fanKWPerTR: 0.03 },
+  flrs: { sizes: [8.0], price: [30000, 12000], fanKWPerTR: 0.05 }
+};
+
+const referenceIDU = (type, tr) => {
+  const spec = IDU_TYPES[type];
+  const { price, fanKWPerTR } = REFERENCE_IDUS[type];
+  return createModel({
+    model: `GEN-${spec.code}-${tr}`,
+    series: 'Reference VRF Indoor',
+    category: CATEGORIES.IDU,
+    type,
+    nominalTR: tr,
+    heatingKW: tr * TR_TO_KW * 1.12,
+    powerKW: tr * fanKWPerTR,
+    airflowCFM: tr * spec.cfmPerTon,
+    espPa: spec.espPa ?? 0,
+    refrigerant: 'R410A',
+    listPrice: Math.round((price[0] + price[1] * tr) / 100) * 100
+  });
+};
+
+const vrfModuleDimensions = (hp) => ({
+  w: hp <= 12 ? 990 : hp <= 18 ? 1240 : hp <= 22 ? 1490 : 1740,
+  d: 780,
+  h: hp <= 10 ? 1680 : 1850
+});
+
+const referenceVRF = (systemType, type, hp) => {
+  const recovery = systemType === 'vrfHeatRecovery';
+  const side = type === 'sideDischarge';
+  const combined = type === 'combined';
+  const eer = (side ? 4.0 - 0.04 * hp : 3.9 - 0.025 * hp) - (recovery ? 0.1 : 0) - (combined ? 0.05 : 0);
+  const price = side ? 25000 + 32000 * hp : combined ? 60000 + 39000 * hp : 40000 + 38000 * hp;
+  const code = `${recovery ? 'HR' : 'HP'}${side ? 'S' : combined ? 'C' : 'T'}`;
+
+  return createModel({
+    model: `GEN-${code}-${hp}HP`,
+    series: `Reference ${SYSTEM_TYPES[systemType].name}`,
+    category: CATEGORIES.ODU,
+    type,
+    systemType,
+    nominalHP: hp,
+    heatingKW: hp * 3.15,
+    eer,
+    dimensions: side
+      ? { w: 940, d: 460, h: hp <= 6 ? 1430 : 1615 }
+      : combined ? null : vrfModuleDimensions(hp),
+    weightKg: side ? 90 + 8 * hp : combined ? null : 150 + 15 * hp,
+    refrigerant: 'R410A',
+    factoryChargeKg: round((side ? 1.5 : 2) + 0.45 * hp, 1),
+    maxIndoorUnits: Math.min(64, Math.round(hp * 1.625)),
+    maxConnectionRatio: 130,
+    maxPipeLengthM: side ? 120 : 165,
+    maxLevelDifferenceM: side ? 30 : hp > 20 ? 90 : 50,
+    maxEquivalentLengthM: side ? 150 : 190,
+    maxFirstBranchLengthM: 40,
+    maxTotalPipeLengthM: side ? 300 : 1000,
+    maxIDULevelDifferenceM: side ? 15 : 30,
+    listPrice: Math.round((recovery ? price * 1.15 : price) / 1000) * 1000
+  });
+};
+
+const referenceSplit = (systemType, tr) => {
+  const multi = systemType === 'multiSplit';
+  return createModel({
+    model: `GEN-${multi ? 'MS' : 'SS'}-${tr}`,
+    series: `Reference ${SYSTEM_TYPES[systemType].name}`,
+    category: CATEGORIES.ODU,
+    type: 'sideDischarge',
+    systemType,
+    nominalTR: tr,
+    heatingKW: tr * TR_TO_KW * 1.1,
+    eer: tr <= 2 ? 3.4 : 3.2,
+    iseer: multi || tr > 3 ? null : tr <= 1.5 ? 5.0 : 4.5,
+    dimensions: tr <= 1.5 ? { w: 800, d: 300, h: 550 } : tr <= 3 ? { w: 950, d: 340, h: 700 } : { w: 950, d: 370, h: 1330 },
+    weightKg: Math.round(30 + 12 * tr),
+    refrigerant: 'R32',
+    factoryChargeKg: round(multi ? 0.5 + 0.6 * tr : 0.2 + 0.55 * tr, 1),
+    maxIndoorUnits: multi ? (tr <= 4 ? 3 : tr <= 6 ? 4 : 5) : 1,
+    listPrice: Math.round((multi ? 30000 + 22000 * tr : 15000 + 16000 * tr) / 100) * 100
+  });
+};
+
+const referenceChiller = (type, tr) => {
+  const water = type === 'waterCooled';
+  return createModel({
+    model: `GEN-${water ? 'WC' : 'AC'}-${tr}`,
+    series: `Reference ${CHILLER_TYPES[type].name} Screw`,
+    category: CATEGORIES.CHILLER,
+    type,
+    systemType: 'chiller',
+    nominalTR: tr,
+    eer: water ? 5.8 : 3.0,
+    refrigerant: 'R134a',
+    listPrice: (water ? 800000 + 20000 * tr : 500000 + 28000 * tr)
+  });
+};
+
+const referenceAirHandler = (type, cfm) => {
+  const spec = AIR_HANDLER_TYPES[type];
+  const fcu = spec.category === CATEGORIES.FCU;
+  return createModel({
+    model: `GEN-${fcu ? 'FCU' : 'AHU'}-${cfm}`,
+    series: `Reference ${spec.name}`,
+    category: spec.category,
+    type,
+    systemType: 'chiller',
+    nominalTR: round(cfm / spec.cfmPerTon),
+    powerKW: cfm * (fcu ? 0.00012 : 0.0005),
+    airflowCFM: cfm,
+    espPa: fcu ? 30 : 400,
+    listPrice: Math.round((fcu ? 12000 + 22 * cfm : 80000 + 30 * cfm) / 100) * 100
+  });
+};
+
+const VRF_MODULE_HP = [8, 10, 12, 14, 16, 18, 20, 22, 24, 26];
+const VRF_COMBINED_HP = [...VRF_MODULE_HP, 28, 30, 32, 34, 36, 38, 40, 42, 44, 46, 48];
+
+/**
+ * Bundled catalog
+ * Generic reference figures (typical of current R410A VRF and R32 split
+ * ranges) so projects can be sized before a manufacturer list is imported.
+ */
+export const EQUIPMENT_CATALOG = {
+  version: '2024.1',
+  source: 'Generic reference range',
+  models: [
+    ...Object.entries(REFERENCE_IDUS).flatMap(([type, { sizes }]) => sizes.map(tr => referenceIDU(type, tr))),
+    ...VRF_MODULE_HP.map(hp => referenceVRF('vrfHeatPump', 'topDischarge', hp)),
+    ...VRF_COMBINED_HP.map(hp => referenceVRF('vrfHeatPump', 'combined', hp)),
+    ...[4, 5, 6, 8, 10, 12, 14].map(hp => referenceVRF('vrfHeatPump', 'sideDischarge', hp)),
+    ...VRF_MODULE_HP.map(hp => referenceVRF('vrfHeatRecovery', 'topDischarge', hp)),
+    ...VRF_COMBINED_HP.map(hp => referenceVRF('vrfHeatRecovery', 'combined', hp)),
+    ...[0.75, 1.0, 1.5, 2.0, 2.5, 3.0, 4.0, 5.0].map(tr => referenceSplit('singleSplit', tr)),
+    ...[3.0, 4.0, 5.0, 6.0, 7.5, 8.0, 10.0, 12.0, 15.0].map(tr => referenceSplit('multiSplit', tr)),
+    ...[50, 75, 100, 150, 200, 300, 500].map(tr => referenceChiller('airCooled', tr)),
+    ...[100, 150, 200, 300, 400, 500, 750, 1000].map(tr => referenceChiller('waterCooled', tr)),
+    ...[200, 300, 400, 600, 800, 1000, 1200, 1400].map(cfm => referenceAirHandler('ceilingConcealed', cfm)),
+    ...[1000, 1500, 2000, 2500, 3000, 4000, 5000, 6000, 8000, 10000, 12000, 15000, 20000, 25000, 30000]
+      .map(cfm => referenceAirHandler('doubleSkin', cfm))
+  ]
+};
+
+// ==================== LOOKUP ====================
+
+/**
+ * @param {Array} models - Catalog models
+ * @param {Object} criteria - { category, type, systemType, manufacturer } (unset fields match all)
+ * @returns {Array} Matching models
+ */
+export function filterModels(models = EQUIPMENT_CATALOG.models, { category, type, systemType, manufacturer } = {}) {
+  return models.filter(entry => (
+    (!category || entry.category === category) &&
+    (!type || entry.type === type) &&
+    (!systemType || entry.systemType === systemType) &&
+    (!manufacturer || entry.manufacturer === manufacturer)
+  ));
+}
+
+/**
+ * Sizes on offer, smallest first
+ * @param {Array} models - Catalog models
+ * @param {Object} criteria - See filterModels
+ * @param {string} [unit] - 'tr' or 'hp'
+ * @returns {number[]}
+ */
+export function getCapacityOptions(models = EQUIPMENT_CATALOG.models, criteria = {}, unit = 'tr') {
+  const field = unit === 'hp' ? 'nominalHP' : 'nominalTR';
+  const sizes = filterModels(models, criteria).map(entry => entry[field]).filter(Number.isFinite);
+  return [...new Set(sizes)].sort((a, b) => a - b);
+}
+
+/**
+ * Smallest model that covers the required capacity, else the largest available
+ * @param {Array} models - Catalog models
+ * @param {Object} criteria - See filterModels
+ * @param {number} required - Required capacity
+ * @param {string} [unit] - 'tr' or 'hp'
+ * @returns {Object|null}
+ */
+export function selectModel(models = EQUIPMENT_CATALOG.models, criteria = {}, required = 0, unit = 'tr') {
+  const field = unit === 'hp' ? 'nominalHP' : 'nominalTR';
+  const candidates = filterModels(models, criteria)
+    .filter(entry => Number.isFinite(entry[field]))
+    .sort((a, b) => a[field] - b[field] || (a.listPrice ?? Infinity) - (b.listPrice ?? Infinity));
+  if (candidates.length === 0) return null;
+  return candidates.find(entry => entry[field] >= required - 1e-6) || candidates[candidates.length - 1];
+}
+
+/**
+ * Model of exactly the given size (cheapest when several match)
+ * @param {Array} models - Catalog models
+ * @param {Object} criteria - See filterModels
+ * @param {number} capacity - Nominal size
+ * @param {string} [unit] - 'tr' or 'hp'
+ * @returns {Object|null}
+ */
+export function findModel(models = EQUIPMENT_CATALOG.models, criteria = {}, capacity, unit = 'tr') {
+  const field = unit === 'hp' ? 'nominalHP' : 'nominalTR';
+  const wanted = parseFloat(capacity);
+  return filterModels(models, criteria)
+    .filter(entry => Math.abs((entry[field] ?? NaN) - wanted) < 1e-6)
+    .sort((a, b) => (a.listPrice ?? Infinity) - (b.listPrice ?? Infinity))[0] || null;
+}
+
+/**
+ * @param {Array} models - Catalog models
+ * @param {string} id - Model id
+ * @returns {Object|null}
+ */
+export function getModelById(models = EQUIPMENT_CATALOG.models, id) {
+  return models.find(entry => entry.id === id) || null;
+}
+
+/**
+ * @param {Array} models - Catalog models
+ * @returns {string[]} Manufacturers in the catalog, reference range first
+ */
+export function getManufacturers(models = EQUIPMENT_CATALOG.models) {
+  const names = [...new Set(models.map(entry => entry.manufacturer))];
+  return names.sort((a, b) => (a === REFERENCE_MANUFACTURER ? -1 : b === REFERENCE_MANUFACTURER ? 1 : a.localeCompare(b)));
+}
+
+/**
+ * Manufacturer whose models to use, falling back to the reference range
+ * when the chosen one has nothing matching
+ * @param {Array} models - Catalog models
+ * @param {Object} criteria - See filterModels (including the preferred manufacturer)
+ * @returns {Object} criteria to select with
+ */
+export function withManufacturer(models = EQUIPMENT_CATALOG.models, criteria = {}) {
+  if (!criteria.manufacturer || filterModels(models, criteria).length > 0) return criteria;
+  return { ...criteria, manufacturer: REFERENCE_MANUFACTURER };
+}
+
+/**
+ * Short label for schedules and dropdowns
+ * @param {Object} entry - Catalog model
+ * @returns {string}
+ */
+export function describeModel(entry) {
+  if (!entry) return '';
+  const size = entry.nominalHP ? `${entry.nominalHP} HP` : `${entry.nominalTR} TR`;
+  const brand = entry.manufacturer === REFERENCE_MANUFACTURER ? '' : `${entry.manufacturer} `;
+  return `${brand}${entry.model} · ${size} · ${entry.coolingKW} kW`;
+}
+
+/**
+ * Merge imported models over a base list (same manufacturer and model replaces)
+ * @param {Array} base - Catalog models
+ * @param {Array} imported - Models from readCatalogWorkbook / parseCatalogRows
+ * @returns {Array} Combined list
+ */
+export function mergeCatalog(base = EQUIPMENT_CATALOG.models, imported = []) {
+  const byId = new Map(base.map(entry => [entry.id, entry]));
+  imported.forEach(entry => byId.set(entry.id, { ...entry, imported: true }));
+  return [...byId.values()];
+}
+
+// ==================== PRICE LIST IMPORT ====================
+
+// Header aliases (compared without case, spaces or punctuation)
+const SHEET_COLUMNS = {
+  model: ['model', 'modelno', 'modelnumber', 'modelname', 'unitmodel', 'indoorunit', 'outdoorunit', 'indoormodel', 'outdoormodel', 'sku', 'productcode', 'itemcode'],
+  manufacturer: ['manufacturer', 'brand', 'make', 'oem'],
+  series: ['series', 'range', 'productseries', 'family'],
+  type: ['type', 'unittype', 'category', 'product', 'producttype', 'description', 'productdescription', 'itemdescription'],
+  tr: ['tr', 'capacitytr', 'nominalcapacitytr', 'nominaltr', 'tons', 'tonnage', 'capacitytons', 'capacityton'],
+  hp: ['hp', 'capacityhp', 'nominalhp', 'horsepower'],
+  coolingKW: ['coolingcapacitykw', 'ratedcoolingcapacitykw', 'capacitykw', 'ratedcapacitykw', 'coolingkw', 'coolingcapacity', 'kw'],
+  coolingBtu: ['coolingcapacitybtuh', 'capacitybtuh', 'capacitybtuhr', 'btuh', 'btuhr', 'btu', 'capacitybtu'],
+  heatingKW: ['heatingcapacitykw', 'ratedheatingcapacitykw', 'heatingkw', 'heatingcapacity'],
+  powerKW: ['powerinputkw', 'ratedpowerinputkw', 'coolingpowerinputkw', 'inputpowerkw', 'powerconsumptionkw', 'powerinput', 'powerkw'],
+  eer: ['eer', 'eerww', 'eerkwkw', 'coolingeer'],
+  iseer: ['iseer', 'seer', 'cspf'],
+  airflowCFM: ['airflowcfm', 'airflowratecfm', 'cfm', 'airflow'],
+  airflowCMH: ['airflowm3h', 'airflowm3hr', 'airflowcmh', 'm3h', 'cmh'],
+  espPa: ['esppa', 'externalstaticpressurepa', 'externalstaticpressure', 'esp', 'staticpressurepa'],
+  dimensions: ['dimensionswxhxd', 'dimensionswxhxdmm', 'dimensionswxdxh', 'dimensionswxdxhmm', 'dimensionsmm', 'dimensions', 'sizemm'],
+  width: ['widthmm', 'width'],
+  depth: ['depthmm', 'depth'],
+  height: ['heightmm', 'height'],
+  weightKg: ['netweightkg', 'weightkg', 'netweight', 'weight'],
+  refrigerant: ['refrigerant', 'gas'],
+  factoryChargeKg: ['factorychargekg', 'refrigerantchargekg', 'factorycharge', 'refrigerantcharge', 'chargekg'],
+  maxIndoorUnits: ['maxindoorunits', 'maxconnectableindoorunits', 'connectableindoorunits', 'maxidus', 'maxnoofidus', 'maxidu'],
+  listPrice: ['listprice', 'listpriceinr', 'listpricers', 'price', 'priceinr', 'pricers', 'mrp', 'mrpinr', 'unitprice', 'rate']
+};
+
+// First match wins
+const IDU_TYPE_PATTERNS = [
+  [/round/, 'roundCST'],
+  [/high\s*(static|esp)|\bhsd\b/, 'highStaticDuct'],
+  [/duct|concealed/, 'lowStaticDuct'],
+  [/(1|one|single)[\s-]*way|single\s*flow/, 'cassette1Way'],
+  [/(2|two)[\s-]*way|double\s*flow/, 'cassette2Way'],
+  [/3\s*x\s*3|standard\s*cassette/, 'cassette4Way3x3'],
+  [/2\s*x\s*2|compact|cassette|4[\s-]*way|four[\s-]*way/, 'cassette4Way2x2'],
+  [/wall/, 'wallMounted'],
+  [/floor|tower/, 'floorStanding'],
+  [/suspend|under\s*ceiling|ceiling\s*mount/, 'ceilingSuspended'],
+  [/flrs/, 'flrs']
+];
+
+const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const cleaned = String(value ?? '').replace(/[₹,\s]|rs\.?|inr/gi, '');
+  const number = parseFloat(cleaned);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Parse "W x H x D" style dimensions
+ * @param {string} text - Cell value
+ * @param {string} header - Column header, to read the axis order from
+ * @returns {Object|null} { w, d, h } in mm
+ */
+function parseDimensions(text, header = '') {
+  const parts = String(text ?? '').split(/[x×*]/i).map(parseNumber);
+  if (parts.length !== 3 || parts.some(part => part === null)) return null;
+  const order = normalize(header).includes('wxdxh') ? ['w', 'd', 'h'] : ['w', 'h', 'd'];
+  return Object.fromEntries(order.map((axis, index) => [axis, parts[index]]));
+}
+
+/**
+ * Work out what a price list row describes from its own text and the
+ * section heading or sheet name above it
+ * @param {string} text - Type/description, model and section text
+ * @returns {Object} { category, type, systemType }
+ */
+function classify(text) {
+  const lower = text.toLowerCase();
+
+  if (/chiller/.test(lower)) {
+    return { category: CATEGORIES.CHILLER, type: /water/.test(lower) ? 'waterCooled' : 'airCooled', systemType: 'chiller' };
+  }
+  if (/fan\s*coil|\bfcu\b/.test(lower)) return { category: CATEGORIES.FCU, type: 'ceilingConcealed', systemType: 'chiller' };
+  if (/air\s*handl|\bahu\b/.test(lower)) return { category: CATEGORIES.AHU, type: 'doubleSkin', systemType: 'chiller' };
+
+  const indoor = /indoor|\bidu\b/.test(lower);
+  if (!indoor && /outdoor|\bodu\b|condensing|heat\s*pump|heat\s*recovery|side\s*discharge|top\s*discharge/.test(lower)) {
+    const systemType = /heat\s*recovery|\b3[\s-]*pipe/.test(lower) ? 'vrfHeatRecovery'
+      : /water\s*(source|cooled)/.test(lower) ? 'vrfWaterSource'
+        : /multi[\s-]*split/.test(lower) ? 'multiSplit'
+          : /split/.test(lower) && !/vr[fv]/.test(lower) ? 'singleSplit'
+            : 'vrfHeatPump';
+    const type = /side/.test(lower) || ['multiSplit', 'singleSplit'].includes(systemType) ? 'sideDischarge'
+      : !/top/.test(lower) && /combin|multi[\s-]*module/.test(lower) ? 'combined'
+        : 'topDischarge';
+    return { category: CATEGORIES.ODU, type, systemType };
+  }
+
+  const byName = Object.keys(IDU_TYPES).find(key => lower.includes(IDU_TYPES[key].name.toLowerCase()));
+  const pattern = IDU_TYPE_PATTERNS.find(([regex]) => regex.test(lower));
+  return { category: CATEGORIES.IDU, type: byName || pattern?.[1] || null, systemType: null };
+}
+
+/**
+ * Locate the header row (the first with a model column and a capacity column)
+ * @param {Array} rows - Sheet rows as arrays of cells
+ * @returns {Object|null} { index, columns }
+ */
+function findHeader(rows) {
+  for (let index = 0; index < Math.min(rows.length, 25); index++) {
+    const keys = rows[index].map(normalize);
+    const columns = Object.fromEntries(Object.entries(SHEET_COLUMNS).map(([field, aliases]) => (
+      [field, keys.findIndex(key => aliases.includes(key))]
+    )));
+    const hasCapacity = ['tr', 'hp', 'coolingKW', 'coolingBtu'].some(field => columns[field] >= 0);
+    if (columns.model >= 0 && hasCapacity) return { index, columns, headers: rows[index] };
+  }
+  return null;
+}
+
+/**
+ * Import models from the rows of one price list sheet
+ * The header row may sit below a title block; rows with a single text cell
+ * are read as section headings ("VRV Outdoor Units", "Ceiling Cassette")
+ * and classify the rows under them. Capacity may be given in TR, HP, kW or
+ * Btu/h; airflow in CFM or m³/h; prices may carry ₹ and thousands separators.
+ * @param {Array} rows - Sheet rows as arrays of cells
+ * @param {Object} [options] - { manufacturer, currency, context } defaults for every row
+ * @returns {Object} { models, errors: [{ line, message }] }
+ */
+export function parseCatalogRows(rows = [], { manufacturer = '', currency = 'INR', context = '' } = {}) {
+  const header = findHeader(rows);
+  if (!header) {
+    return { models: [], errors: [{ line: 1, message: 'No header row with model and capacity columns' }] };
+  }
+
+  const { columns, headers } = header;
+  const models = [];
+  const errors = [];
+  let section = '';
+
+  rows.slice(header.index + 1).forEach((row, offset) => {
+    const line = header.index + offset + 2;
+    const cell = (field) => (columns[field] >= 0 ? row[columns[field]] : '');
+    const number = (field) => (columns[field] >= 0 ? parseNumber(row[columns[field]]) : null);
+    const text = (field) => String(cell(field) ?? '').trim();
+
+    const filled = row.filter(value => String(value ?? '').trim() !== '');
+    if (filled.length === 0) return;
+    if (filled.length === 1 && parseNumber(filled[0]) === null) {
+      section = String(filled[0]).trim();
+      return;
+    }
+    if (normalize(text('model')) === normalize(headers[columns.model])) return;
+
+    const model = text('model');
+    const brand = text('manufacturer') || manufacturer;
+    if (!model) {
+      errors.push({ line, message: 'Missing model number' });
+      return;
+    }
+    if (!brand) {
+      errors.push({ line, message: `No manufacturer for ${model}` });
+      return;
+    }
+
+    const coolingKW = number('coolingKW') ?? (number('coolingBtu') ? number('coolingBtu') / TR_TO_BTUH * TR_TO_KW : null);
+    const nominalTR = number('tr');
+    const nominalHP = number('hp');
+    if (!coolingKW && !nominalTR && !nominalHP) {
+      errors.push({ line, message: `No capacity for ${model}` });
+      return;
+    }
+
+    const kind = classify([text('type'), text('series'), section, context, model].join(' '));
+    if (kind.category === CATEGORIES.IDU && !kind.type) {
+      errors.push({ line, message: `Unknown indoor unit type for ${model}` });
+      return;
+    }
+
+    const dimensions = parseDimensions(cell('dimensions'), headers[columns.dimensions]) ||
+      (number('width') && number('height') && number('depth')
+        ? { w: number('width'), d: number('depth'), h: number('height') }
+        : null);
+
+    models.push(createModel({
+      manufacturer: brand,
+      series: text('series'),
+      model,
+      ...kind,
+      coolingKW: coolingKW ?? undefined,
+      nominalTR: nominalTR ?? undefined,
+      nominalHP: nominalHP ?? (kind.category === CATEGORIES.ODU && kind.systemType?.startsWith('vrf')
+        ? Math.round((coolingKW ?? nominalTR * TR_TO_KW) / KW_PER_HP)
+        : null),
+      heatingKW: number('heatingKW'),
+      powerKW: number('powerKW'),
+      eer: number('eer'),
+      iseer: number('iseer'),
+      airflowCFM: number('airflowCFM') ?? (number('airflowCMH') ? number('airflowCMH') / CMH_PER_CFM : null),
+      espPa: number('espPa'),
+      dimensions,
+      weightKg: number('weightKg'),
+      refrigerant: text('refrigerant') || null,
+      factoryChargeKg: number('factoryChargeKg'),
+      maxIndoorUnits: number('maxIndoorUnits'),
+      listPrice: number('listPrice'),
+      currency
+    }));
+  });
+
+  return { models, errors };
+}
+
+/**
+ * Read an XLSX/XLS/CSV price list; every sheet with a recognisable header
+ * row is imported and the sheet name serves as a section heading
+ * @param {ArrayBuffer|string} data - File contents (text for CSV)
+ * @param {Object} [options] - { manufacturer, currency }
+ * @returns {Object} { models, errors: [{ sheet, line, message }] }
+ */
+export function readCatalogWorkbook(data, options = {}) {
+  const workbook = XLSX.read(data, { type: typeof data === 'string' ? 'string' : 'array' });
+  const models = [];
+  const errors = [];
+  let sheetsRead = 0;
+
+  workbook.SheetNames.forEach(sheet => {
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { header: 1, defval: '', raw: true });
+    const result = parseCatalogRows(rows, { ...options, context: workbook.SheetNames.length > 1 ? sheet : '' });
+    if (result.models.length === 0 && result.errors.length === 1 && result.errors[0].line === 1) return;
+    sheetsRead++;
+    models.push(...result.models);
+    errors.push(...result.errors.map(error => ({ sheet, ...error })));
+  });
+
+  if (sheetsRead === 0) {
+    errors.push({ sheet: workbook.SheetNames[0], line: 1, message: 'No header row with model and capacity columns' });
+  }
+  return { models, errors };
+}
+
+export default {
+  TR_TO_KW,
+  KW_PER_HP,
+  trToHP,
+  hpToTR,
+  CATEGORIES,
+  IDU_TYPES,
+  ODU_TYPES,
+  CHILLER_TYPES,
+  AIR_HANDLER_TYPES,
+  SYSTEM_TYPES,
+  CORRECTION_CURVES,
+  EQUIPMENT_CATALOG,
+  getIDUType,
+  getIDUTypeKey,
+  getSystemType,
+  getSystemTypeKey,
+  getCorrectionCurve,
+  createModel,
+  filterModels,
+  getCapacityOptions,
+  selectModel,
+  findModel,
+  getModelById,
+  getManufacturers,
+  withManufacturer,
+  describeModel,
+  mergeCatalog,
+  parseCatalogRows,
+  readCatalogWorkbook
+};
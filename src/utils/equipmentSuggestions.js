@@ -3,42 +3,7 @@
  * Generates Economy, Balanced, and Premium options based on heat load
  */
 
-// VRF Equipment SKU Database
-export const VRF_SKUS = {
-  IDU: [
-    // Indoor Units (Ceiling Cassette)
-    { model: 'IDU-CC-0.75T', capacity: 0.75, type: 'Ceiling Cassette', price: 18000, brand: 'Standard' },
-    { model: 'IDU-CC-1.0T', capacity: 1.0, type: 'Ceiling Cassette', price: 22000, brand: 'Standard' },
-    { model: 'IDU-CC-1.5T', capacity: 1.5, type: 'Ceiling Cassette', price: 28000, brand: 'Standard' },
-    { model: 'IDU-CC-2.0T', capacity: 2.0, type: 'Ceiling Cassette', price: 35000, brand: 'Standard' },
-    { model: 'IDU-CC-2.5T', capacity: 2.5, type: 'Ceiling Cassette', price: 42000, brand: 'Standard' },
-    
-    // Indoor Units (Wall Mounted)
-    { model: 'IDU-WM-0.75T', capacity: 0.75, type: 'Wall Mounted', price: 15000, brand: 'Standard' },
-    { model: 'IDU-WM-1.0T', capacity: 1.0, type: 'Wall Mounted', price: 18500, brand: 'Standard' },
-    { model: 'IDU-WM-1.5T', capacity: 1.5, type: 'Wall Mounted', price: 24000, brand: 'Standard' },
-    { model: 'IDU-WM-2.0T', capacity: 2.0, type: 'Wall Mounted', price: 30000, brand: 'Standard' },
-    
-    // Indoor Units (Ducted)
-    { model: 'IDU-DT-1.0T', capacity: 1.0, type: 'Ducted', price: 25000, brand: 'Premium' },
-    { model: 'IDU-DT-1.5T', capacity: 1.5, type: 'Ducted', price: 32000, brand: 'Premium' },
-    { model: 'IDU-DT-2.0T', capacity: 2.0, type: 'Ducted', price: 40000, brand: 'Premium' },
-    { model: 'IDU-DT-2.5T', capacity: 2.5, type: 'Ducted', price: 48000, brand: 'Premium' },
-    { model: 'IDU-DT-3.0T', capacity: 3.0, type: 'Ducted', price: 56000, brand: 'Premium' },
-  ],
-  
-  ODU: [
-    // Outdoor Units (VRF)
-    { model: 'ODU-VRF-8HP', capacity: 8, maxIndoor: 4, price: 120000, brand: 'Standard', efficiency: 'Standard' },
-    { model: 'ODU-VRF-10HP', capacity: 10, maxIndoor: 5, price: 150000, brand: 'Standard', efficiency: 'Standard' },
-    { model: 'ODU-VRF-12HP', capacity: 12, maxIndoor: 6, price: 180000, brand: 'Standard', efficiency: 'High' },
-    { model: 'ODU-VRF-14HP', capacity: 14, maxIndoor: 7, price: 210000, brand: 'Premium', efficiency: 'High' },
-    { model: 'ODU-VRF-16HP', capacity: 16, maxIndoor: 8, price: 240000, brand: 'Premium', efficiency: 'High' },
-    { model: 'ODU-VRF-18HP', capacity: 18, maxIndoor: 10, price: 270000, brand: 'Premium', efficiency: 'Ultra' },
-    { model: 'ODU-VRF-20HP', capacity: 20, maxIndoor: 12, price: 300000, brand: 'Premium', efficiency: 'Ultra' },
-    { model: 'ODU-VRF-24HP', capacity: 24, maxIndoor: 14, price: 360000, brand: 'Premium', efficiency: 'Ultra' },
-  ]
-};
+import { EQUIPMENT_CATALOG, IDU_TYPES, filterModels, trToHP } from './equipmentCatalog';
 
 // Piping and accessories pricing
 export const ACCESSORIES = {
@@ -69,36 +34,54 @@ function calculateRequiredTonnage(totalLoad, roomCount, diversityFactor = 0.85)
   return Math.ceil(diversifiedTonnage * 10) / 10; // Round up to nearest 0.1 ton
 }
 
+/**
+ * Catalog model in the shape the suggestion options list
+ */
+function toSKU(entry) {
+  return {
+    id: entry.id,
+    model: entry.model,
+    brand: entry.manufacturer,
+    typeKey: entry.type,
+    type: IDU_TYPES[entry.type]?.name || entry.type,
+    capacity: entry.category === 'odu' ? entry.nominalHP : entry.nominalTR,
+    maxIndoor: entry.maxIndoorUnits,
+    eer: entry.eer,
+    price: entry.listPrice || 0
+  };
+}
+
 /**
  * Select IDUs for rooms based on individual loads
  */
-function selectIDUs(roomLoads, preferenceLevel = 'balanced') {
+function selectIDUs(roomLoads, preferenceLevel = 'balanced', models = EQUIPMENT_CATALOG.models) {
   const selectedIDUs = [];
   
   const typePreference = {
-    economy: 'Wall Mounted',
-    balanced: 'Ceiling Cassette', 
-    premium: 'Ducted'
+    economy: 'wallMounted',
+    balanced: 'cassette4Way2x2', 
+    premium: 'lowStaticDuct'
   };
   
   const preferredType = typePreference[preferenceLevel];
+  const catalogIDUs = filterModels(models, { category: 'idu' }).map(toSKU);
   
   roomLoads.forEach((load, index) => {
     const requiredCapacity = Math.ceil(load / 12000 * 10) / 10; // Round up to 0.1 ton
     
     // Find suitable IDUs
-    let suitableIDUs = VRF_SKUS.IDU.filter(idu => 
+    let suitableIDUs = catalogIDUs.filter(idu => 
       idu.capacity >= requiredCapacity && 
-      idu.type === preferredType
+      idu.typeKey === preferredType
     );
     
     // Fallback to any type if preferred not available
     if (suitableIDUs.length === 0) {
-      suitableIDUs = VRF_SKUS.IDU.filter(idu => idu.capacity >= requiredCapacity);
+      suitableIDUs = catalogIDUs.filter(idu => idu.capacity >= requiredCapacity);
     }
     
-    // Select the smallest suitable IDU
-    const selectedIDU = suitableIDUs.sort((a, b) => a.capacity - b.capacity)[0];
+    // Select the smallest suitable IDU, cheapest first among equal sizes
+    const selectedIDU = suitableIDUs.sort((a, b) => a.capacity - b.capacity || a.price - b.price)[0];
     
     if (selectedIDU) {
       selectedIDUs.push({
@@ -116,7 +99,7 @@ function selectIDUs(roomLoads, preferenceLevel = 'balanced') {
 /**
  * Select ODUs based on total capacity and configuration
  */
-function selectODUs(totalCapacity, iduCount, preferenceLevel = 'balanced') {
+function selectODUs(totalCapacity, iduCount, preferenceLevel = 'balanced', models = EQUIPMENT_CATALOG.models) {
   const selectedODUs = [];
   
   // Determine max ODU size based on preference
@@ -129,20 +112,24 @@ function selectODUs(totalCapacity, iduCount, preferenceLevel = 'balanced') {
   const maxSize = maxODUSize[preferenceLevel];
   let remainingCapacity = totalCapacity;
   
-  // Convert tons to HP (1 ton ≈ 1.4 HP for VRF)
-  const totalHP = Math.ceil(totalCapacity * 1.4);
+  const catalogODUs = filterModels(models, { category: 'odu', type: 'topDischarge', systemType: 'vrfHeatPump' })
+    .filter(entry => Number.isFinite(entry.nominalHP))
+    .map(toSKU);
+  
+  // Convert tons to HP at the catalog's kW per HP rating
+  const totalHP = Math.ceil(trToHP(totalCapacity));
   remainingCapacity = totalHP;
   
   while (remainingCapacity > 0) {
     // Find suitable ODUs
-    const suitableODUs = VRF_SKUS.ODU.filter(odu => 
+    const suitableODUs = catalogODUs.filter(odu => 
       odu.capacity <= Math.min(remainingCapacity, maxSize) &&
       odu.maxIndoor >= Math.ceil(iduCount / 2) // Ensure enough indoor connections
     );
     
     if (suitableODUs.length === 0) {
       // Get the smallest ODU that can handle remaining capacity
-      const smallestSuitable = VRF_SKUS.ODU
+      const smallestSuitable = catalogODUs
         .filter(odu => odu.capacity >= remainingCapacity)
         .sort((a, b) => a.capacity - b.capacity)[0];
       
@@ -150,6 +137,12 @@ function selectODUs(totalCapacity, iduCount, preferenceLevel = 'balanced') {
         selectedODUs.push(smallestSuitable);
         break;
       }
+      
+      // Nothing covers the remainder in one module; take the largest and continue
+      const largest = [...catalogODUs].sort((a, b) => b.capacity - a.capacity)[0];
+      if (!largest) break;
+      selectedODUs.push(largest);
+      remainingCapacity -= largest.capacity;
     } else {
       // Select the largest suitable ODU
       const selectedODU = suitableODUs.sort((a, b) => b.capacity - a.capacity)[0];
@@ -207,7 +200,7 @@ function calculateMaterials(iduCount, oduCount, avgPipingLength = 30) {
 /**
  * Generate equipment suggestions with three options
  */
-export function generateEquipmentSuggestions(totalLoad, roomCount, roomLoads = null) {
+export function generateEquipmentSuggestions(totalLoad, roomCount, roomLoads = null, models = EQUIPMENT_CATALOG.models) {
   // If room loads not provided, estimate equal distribution
   if (!roomLoads) {
     const avgLoad = totalLoad / roomCount;
@@ -227,9 +220,9 @@ export function generateEquipmentSuggestions(totalLoad, roomCount, roomLoads = n
     const requiredTonnage = calculateRequiredTonnage(totalLoad, roomCount, diversityFactor);
     
     // Select equipment
-    const idus = selectIDUs(roomLoads, level);
+    const idus = selectIDUs(roomLoads, level, models);
     const totalIDUCapacity = idus.reduce((sum, idu) => sum + idu.capacity, 0);
-    const odus = selectODUs(requiredTonnage, idus.length, level);
+    const odus = selectODUs(requiredTonnage, idus.length, level, models);
     const totalODUCapacity = odus.reduce((sum, odu) => sum + odu.capacity, 0);
     
     // Calculate materials
@@ -269,7 +262,7 @@ export function generateEquipmentSuggestions(totalLoad, roomCount, roomLoads = n
         materialCost: costs.total,
         totalCost,
         pricePerTon: Math.round(totalCost / requiredTonnage),
-        capacityRatio: (totalODUCapacity / (requiredTonnage * 1.4) * 100).toFixed(1),
+        capacityRatio: (totalODUCapacity / trToHP(requiredTonnage) * 100).toFixed(1),
         redundancy: calculateRedundancy(odus)
       },
       features: getFeatures(level)
@@ -387,7 +380,6 @@ export function generateComparisonTable(suggestions) {
 }
 
 export default {
-  VRF_SKUS,
   ACCESSORIES,
   generateEquipmentSuggestions,
   generateComparisonTable
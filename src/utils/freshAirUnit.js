@@ -0,0 +1,273 @@
+/**
+ * Treated Fresh Air Unit
+ * Moves the outdoor air load off the room coils onto a dedicated outdoor air
+ * (TFA) unit, optionally with a heat recovery wheel on the exhaust:
+ *
+ * - Wheel: supply leaves at OA - ε × (OA - exhaust), sensible on DB and
+ *   latent on moisture, the exhaust being room air
+ * - TFA coil: cools and dries the air off the wheel to the supply humidity
+ *   (room humidity by default, so the rooms see none of the outdoor latent);
+ *   its leaving DB sits at the coil's off-coil saturation (about 95% RH)
+ *   and any supply DB above that is reheat
+ * - Room coils lose the sheet's outside air heat and pick up (or get credit
+ *   for) the supply air's difference from the room state
+ * - Capital and running cost of the two schemes side by side
+ *
+ * Same 1.08 / 0.68 air factors as the load engine. Temperatures °F, humidity
+ * ratio grains/lb, loads Btu/h, airflow CFM, money ₹.
+ */
+
+import { calculateHumidityRatio, normalizePressure } from './psychrometrics';
+import { BTU_PER_TON, SENSIBLE_AIR_FACTOR, LATENT_AIR_FACTOR, computeRoomLoad } from './roomLoadEngine';
+
+export const FRESH_AIR_DESIGN = {
+  wheel: true,
+  sensibleEffectiveness: 0.75,
+  latentEffectiveness: 0.7,
+  // Supply state; the coil's off-coil DB and the room humidity when left empty
+  supplyDBF: null,
+  supplyGrains: null,
+  offCoilRH: 95,
+  // Fan power: TFA supply fan, and the wheel's extra pressure drop on both streams plus its drive
+  fanKWPer1000CFM: 0.5,
+  wheelKWPer1000CFM: 0.2,
+  // Running cost basis
+  roomSystemKWPerTR: 1.1,
+  tfaKWPerTR: 1.25,
+  equivalentFullLoadHours: 1800,
+  operatingHours: 3000,
+  tariffPerKWh: 8,
+  // Reference rates (DX TFA unit per coil TR, wheel cassette per CFM)
+  tfaCostPerTR: 60000,
+  wheelCostPerCFM: 55
+};
+
+const BTU_PER_KW = 3412;
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+const num = (value, fallback = 0) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+/**
+ * FRESH_AIR_DESIGN with the options that are set
+ * @param {Object} [options]
+ * @returns {Object} Settings
+ */
+export function getFreshAirSettings(options = {}) {
+  return {
+    ...FRESH_AIR_DESIGN,
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== '' && value !== null && value !== undefined))
+  };
+}
+
+// DB at which air of this moisture reaches the off-coil RH
+function offCoilDB(grains, rh, kPa) {
+  let low = 20;
+  let high = 120;
+  for (let i = 0; i < 50; i++) {
+    const mid = (low + high) / 2;
+    if (calculateHumidityRatio(mid, rh, kPa) < grains) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Air the TFA unit supplies
+ * @param {Object} room - Room design state { dbF, grains }
+ * @param {Object} [options] - FRESH_AIR_DESIGN overrides
+ * @param {number|string} [pressure] - Site pressure
+ * @returns {Object} { dbF, grains, coilLeavingDBF }
+ */
+export function getFreshAirSupplyState(room, options = {}, pressure) {
+  const settings = getFreshAirSettings(options);
+  const grains = num(settings.supplyGrains, room.grains);
+  const coilLeavingDB = offCoilDB(grains, settings.offCoilRH, normalizePressure(pressure));
+  const dbF = num(settings.supplyDBF, coilLeavingDB);
+  return { dbF: round(dbF, 1), grains: round(grains, 1), coilLeavingDBF: round(Math.min(dbF, coilLeavingDB), 1) };
+}
+
+/**
+ * Size a TFA unit and its heat recovery wheel
+ * @param {Object} input - { cfm, outdoor: { dbF, grains }, room: { dbF, grains }, options, pressure }
+ * @returns {Object|null} { cfm, wheel, states: { outdoor, afterWheel, coilLeaving, supply },
+ *   recovery, coil, reheat, fanKW, tons } (loads as { sensibleBtuh, latentBtuh, totalBtuh, tons }),
+ *   null without airflow or design states
+ */
+export function sizeFreshAirUnit({ cfm, outdoor, room, options = {}, pressure } = {}) {
+  if (!(cfm > 0 && outdoor?.dbF > 0 && room?.dbF > 0)) return null;
+  const settings = getFreshAirSettings(options);
+  const supply = getFreshAirSupplyState(room, settings, pressure);
+
+  // Recovery only while the outdoor air is hotter / wetter than the exhaust
+  const es = settings.wheel ? settings.sensibleEffectiveness : 0;
+  const el = settings.wheel ? settings.latentEffectiveness : 0;
+  const afterWheel = {
+    dbF: round(outdoor.dbF - es * Math.max(0, outdoor.dbF - room.dbF), 1),
+    grains: round(outdoor.grains - el * Math.max(0, outdoor.grains - room.grains), 1)
+  };
+
+  const loads = (sensible, latent) => ({
+    sensibleBtuh: Math.round(sensible),
+    latentBtuh: Math.round(latent),
+    totalBtuh: Math.round(sensible + latent),
+    tons: round((sensible + latent) / BTU_PER_TON)
+  });
+  const recovery = loads(
+    SENSIBLE_AIR_FACTOR * cfm * (outdoor.dbF - afterWheel.dbF),
+    LATENT_AIR_FACTOR * cfm * (outdoor.grains - afterWheel.grains)
+  );
+  const coil = loads(
+    SENSIBLE_AIR_FACTOR * cfm * Math.max(0, afterWheel.dbF - supply.coilLeavingDBF),
+    LATENT_AIR_FACTOR * cfm * Math.max(0, afterWheel.grains - supply.grains)
+  );
+  const reheatBtuh = SENSIBLE_AIR_FACTOR * cfm * Math.max(0, supply.dbF - supply.coilLeavingDBF);
+  const fanKW = cfm / 1000 * (settings.fanKWPer1000CFM + (settings.wheel ? settings.wheelKWPer1000CFM : 0));
+
+  return {
+    cfm: Math.round(cfm),
+    wheel: settings.wheel,
+    states: {
+      outdoor: { dbF: outdoor.dbF, grains: outdoor.grains },
+      afterWheel,
+      coilLeaving: { dbF: supply.coilLeavingDBF, grains: supply.grains },
+      supply: { dbF: supply.dbF, grains: supply.grains }
+    },
+    recovery,
+    coil,
+    reheat: { btuh: Math.round(reheatBtuh), kW: round(reheatBtuh / BTU_PER_KW, 1) },
+    fanKW: round(fanKW, 2),
+    tons: coil.tons
+  };
+}
+
+/**
+ * Room load left once the TFA unit handles the room's outdoor air
+ * @param {Object} sheet - Space Considered sheet (see getRoomSheet)
+ * @param {Object} supply - TFA supply state { dbF, grains }
+ * @returns {Object} { ventilationCFM, removedBtuh, residualSensibleBtuh, residualLatentBtuh, changeTR }
+ */
+export function getResidualRoomLoad(sheet, supply) {
+  const load = computeRoomLoad(sheet);
+  const cfm = load.ventilationCFM;
+  const residualSensible = cfm > 0 ? SENSIBLE_AIR_FACTOR * cfm * (supply.dbF - num(sheet.insideDB, supply.dbF)) : 0;
+  const residualLatent = cfm > 0 ? LATENT_AIR_FACTOR * cfm * (supply.grains - num(sheet.insideGR, supply.grains)) : 0;
+  const removed = load.outsideAirSensible + load.outsideAirLatent;
+  return {
+    ventilationCFM: Math.round(cfm),
+    removedBtuh: Math.round(removed),
+    residualSensibleBtuh: Math.round(residualSensible),
+    residualLatentBtuh: Math.round(residualLatent),
+    changeTR: round((residualSensible + residualLatent - removed) / BTU_PER_TON, 3)
+  };
+}
+
+/**
+ * One TFA unit per floor taking every room's outdoor air off its coil
+ * @param {Array} rooms - { key, floorId, floorName, sheet, loadTR }
+ * @param {Object} design - { outdoor: { dbF, grains }, room: { dbF, grains }, pressure,
+ *   intakeCFM: { [floorId]: CFM } } - intake when the ventilation check asks for more than the sheets
+ * @param {Object} [options] - FRESH_AIR_DESIGN overrides
+ * @returns {Object|null} { supply, units, rooms: { [key]: { ...getResidualRoomLoad, baseTR, residualTR } },
+ *   baseTR, residualTR }, null without the design states
+ */
+export function designFreshAirSystem(rooms, { outdoor, room, pressure, intakeCFM = {} }, options = {}) {
+  if (!(outdoor?.dbF > 0 && outdoor.grains > 0 && room?.dbF > 0 && room.grains > 0)) return null;
+  const supply = getFreshAirSupplyState(room, options, pressure);
+  const residuals = Object.fromEntries(rooms.map(zone => {
+    const residual = getResidualRoomLoad(zone.sheet || {}, supply);
+    return [zone.key, {
+      ...residual,
+      baseTR: zone.loadTR,
+      residualTR: round(Math.max(0, zone.loadTR + residual.changeTR), 3)
+    }];
+  }));
+
+  const floors = [];
+  rooms.forEach(zone => {
+    let floor = floors.find(entry => entry.floorId === zone.floorId);
+    if (!floor) {
+      floor = { floorId: zone.floorId, floorName: zone.floorName, cfm: 0 };
+      floors.push(floor);
+    }
+    floor.cfm += residuals[zone.key].ventilationCFM;
+  });
+  const units = floors
+    .map(floor => {
+      const cfm = Math.max(floor.cfm, num(intakeCFM[floor.floorId]));
+      const unit = sizeFreshAirUnit({ cfm, outdoor, room, options, pressure });
+      return unit && { floorId: floor.floorId, floorName: floor.floorName, ...unit };
+    })
+    .filter(Boolean);
+
+  return {
+    supply,
+    units,
+    rooms: residuals,
+    baseTR: round(rooms.reduce((sum, zone) => sum + zone.loadTR, 0)),
+    residualTR: round(Object.values(residuals).reduce((sum, zone) => sum + zone.residualTR, 0))
+  };
+}
+
+/**
+ * Capital and running cost with and without the TFA units
+ * @param {Object} input
+ * @param {number} input.baseTR - Room system tonnage with outdoor air on the room coils
+ * @param {number} input.residualTR - Room system tonnage with a TFA unit
+ * @param {Array} input.units - sizeFreshAirUnit results
+ * @param {number} input.baseCapex - Room equipment cost with outdoor air on the room coils
+ * @param {number} input.residualCapex - Room equipment cost with a TFA unit
+ * @param {Object} [options] - FRESH_AIR_DESIGN overrides
+ * @returns {Object} { reductionTR, tfaTR, tfaCFM, capex: { base, equipment, tfa, withTFA, change },
+ *   energy: { baseKWh, roomKWh, tfaKWh, withTFAKWh, changeKWh, baseCost, withTFACost, changeCost } }
+ */
+export function compareFreshAirSchemes({ baseTR, residualTR, units = [], baseCapex = 0, residualCapex = 0 }, options = {}) {
+  const settings = getFreshAirSettings(options);
+  const tfaTR = units.reduce((sum, unit) => sum + unit.tons, 0);
+  const tfaCFM = units.reduce((sum, unit) => sum + unit.cfm, 0);
+  const fanKW = units.reduce((sum, unit) => sum + unit.fanKW, 0);
+  const reheatKW = units.reduce((sum, unit) => sum + unit.reheat.kW, 0);
+
+  const tfaCapex = tfaTR * settings.tfaCostPerTR + (settings.wheel ? tfaCFM * settings.wheelCostPerCFM : 0);
+  const withTFA = residualCapex + tfaCapex;
+
+  const hours = settings.equivalentFullLoadHours;
+  const baseKWh = baseTR * settings.roomSystemKWPerTR * hours;
+  const roomKWh = residualTR * settings.roomSystemKWPerTR * hours;
+  const tfaKWh = (tfaTR * settings.tfaKWPerTR + reheatKW) * hours + fanKW * settings.operatingHours;
+  const withTFAKWh = roomKWh + tfaKWh;
+
+  return {
+    reductionTR: round(baseTR - residualTR),
+    tfaTR: round(tfaTR),
+    tfaCFM: Math.round(tfaCFM),
+    capex: {
+      base: Math.round(baseCapex),
+      equipment: Math.round(residualCapex),
+      tfa: Math.round(tfaCapex),
+      withTFA: Math.round(withTFA),
+      change: Math.round(withTFA - baseCapex)
+    },
+    energy: {
+      baseKWh: Math.round(baseKWh),
+      roomKWh: Math.round(roomKWh),
+      tfaKWh: Math.round(tfaKWh),
+      withTFAKWh: Math.round(withTFAKWh),
+      changeKWh: Math.round(withTFAKWh - baseKWh),
+      baseCost: Math.round(baseKWh * settings.tariffPerKWh),
+      withTFACost: Math.round(withTFAKWh * settings.tariffPerKWh),
+      changeCost: Math.round((withTFAKWh - baseKWh) * settings.tariffPerKWh)
+    }
+  };
+}
+
+export default {
+  FRESH_AIR_DESIGN,
+  getFreshAirSettings,
+  getFreshAirSupplyState,
+  sizeFreshAirUnit,
+  getResidualRoomLoad,
+  designFreshAirSystem,
+  compareFreshAirSchemes
+};
@@ -0,0 +1,259 @@
+/**
+ * Room Heating Load Engine
+ * Winter counterpart of computeRoomLoad, working from the same Space Considered
+ * form data so a room is entered once and sized for both seasons.
+ *
+ * Pipeline (steady-state heat loss, ASHRAE Fundamentals Ch. 18):
+ * - Transmission: glass, walls and roofs at U × A × (inside - outside);
+ *   partitions to unconditioned spaces at U × A × (ΔT - 5°F)
+ * - Infiltration and ventilation: 1.08 × CFM × ΔT
+ * - No credit for sun, people, lights or equipment - the design night is
+ *   dark and the building may be empty
+ * - Warm-up allowance on top for morning pick-up after night setback
+ *
+ * Heat pump capacity checks for the equipment selection live here as well, so
+ * the cooling and heating sides of an IDU/ODU are judged with the same numbers.
+ */
+
+import IndianHVACCalculations from './IndianHVACCalculations';
+import {
+  BTU_PER_TON,
+  SENSIBLE_AIR_FACTOR,
+  PARTITION_DT_OFFSET,
+  WALL_ORIENTATIONS
+} from './roomLoadEngine';
+
+export const BTU_PER_KW = 3412.14;
+
+/**
+ * Winter design defaults
+ * insideDB: comfort heating set point (°F), warmUpAllowance: % added to the
+ * steady-state loss for morning pick-up
+ */
+export const HEATING_DEFAULTS = {
+  insideDB: 70,
+  warmUpAllowance: 10
+};
+
+// Nominal heating / cooling capacity of VRF and split heat pumps (e.g. 28 kW / 31.5 kW)
+export const HEAT_PUMP_HEATING_RATIO = 1.125;
+
+// Connected IDU tonnage over ODU capacity - rooms do not peak together in summer
+export const ODU_DIVERSITY_FACTOR = 1.2;
+
+const DEFAULT_GLASS_TYPE = 'Ordinary Glass';
+const DEFAULT_WALL_TYPE = '6 inch Brick Wall';
+const DEFAULT_ROOF_TYPE = 'Concrete Slab 6 inch';
+
+const num = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const sumLosses = (items) => items.reduce((total, item) => total + item.loss, 0);
+
+/**
+ * Transmission losses of the envelope rows of the sheet
+ * Manual (spreadsheet style) wall rows carry their own U-factor; glass takes the
+ * thermal U-value of its type, since the glass factor of the sheet is a sun
+ * gain multiplier (manual glass rows count as single glazing).
+ * @param {Object} data - Space Considered form data
+ * @param {number} deltaT - Inside minus outside dry bulb (°F)
+ * @returns {Object} { glassItems, wallItems, roofItems, partitionItems }
+ */
+function computeTransmissionLosses(data, deltaT) {
+  const orientations = IndianHVACCalculations.getOrientations();
+
+  const glassItems = (data.sunGainGlass || []).map((row, index) => {
+    const area = num(row?.area);
+    const uFactor = IndianHVACCalculations.glassUValues[row?.glassType || DEFAULT_GLASS_TYPE]
+      ?? IndianHVACCalculations.glassUValues[DEFAULT_GLASS_TYPE];
+    const orientation = row?.manual ? row?.orientation || null : orientations[index] || null;
+    return { orientation, area, uFactor, loss: area * uFactor * deltaT };
+  });
+
+  const wallItems = (data.solarGainWalls || []).map((row, index) => {
+    const area = num(row?.area);
+    const orientation = WALL_ORIENTATIONS[index];
+    const uFactor = row?.manual || !orientation
+      ? num(row?.uFactor)
+      : IndianHVACCalculations.wallUFactors[row?.wallType || DEFAULT_WALL_TYPE] || 0.58;
+    return { orientation: orientation || row?.direction || null, area, uFactor, loss: area * uFactor * deltaT };
+  });
+
+  const roofItems = (data.roofGains || []).map((row) => {
+    const area = num(row?.area);
+    const uFactor = IndianHVACCalculations.roofUFactors[row?.roofType || DEFAULT_ROOF_TYPE] || 0.76;
+    return { area, uFactor, loss: area * uFactor * deltaT };
+  });
+
+  const partitionDeltaT = Math.max(0, deltaT - PARTITION_DT_OFFSET);
+  const partitionItems = (data.transGainPartition || []).map((row) => {
+    const area = num(row?.area);
+    const uFactor = num(row?.uFactor);
+    return { area, uFactor, deltaT: partitionDeltaT, loss: area * uFactor * partitionDeltaT };
+  });
+
+  return { glassItems, wallItems, roofItems, partitionItems };
+}
+
+/**
+ * Compute the winter heating load of one room
+ * @param {Object} formData - Space Considered form data (see computeRoomLoad)
+ * @param {Object} conditions - Winter design conditions
+ * @param {number} conditions.outsideDB - Winter outdoor design dry bulb (°F)
+ * @param {number} [conditions.insideDB] - Heating set point (°F)
+ * @param {number} [conditions.warmUpAllowance] - Warm-up allowance (%)
+ * @returns {Object} Itemized losses, totals in BTU/hr, TR and kW
+ */
+export function computeRoomHeatingLoad(formData = {}, conditions = {}) {
+  const data = formData || {};
+  const outsideDB = num(conditions.outsideDB);
+  const insideDB = conditions.insideDB !== undefined && conditions.insideDB !== ''
+    ? num(conditions.insideDB)
+    : HEATING_DEFAULTS.insideDB;
+  const warmUpAllowance = conditions.warmUpAllowance !== undefined && conditions.warmUpAllowance !== ''
+    ? num(conditions.warmUpAllowance)
+    : HEATING_DEFAULTS.warmUpAllowance;
+  const deltaT = Math.max(0, insideDB - outsideDB);
+
+  const { glassItems, wallItems, roofItems, partitionItems } = computeTransmissionLosses(data, deltaT);
+  const glassLoss = sumLosses(glassItems);
+  const wallLoss = sumLosses(wallItems);
+  const roofLoss = sumLosses(roofItems);
+  const partitionLoss = sumLosses(partitionItems);
+  const transmissionLoss = glassLoss + wallLoss + roofLoss + partitionLoss;
+
+  // Same air quantities as the cooling sheet
+  const ventilationCFM = Math.max(num(data.totalCfmPeople), num(data.totalCfmSqFt), num(data.totalCfmCub));
+  const infiltrationCFM = num(data.cfmInfiltration);
+  const infiltrationLoss = SENSIBLE_AIR_FACTOR * infiltrationCFM * deltaT;
+  const ventilationLoss = SENSIBLE_AIR_FACTOR * ventilationCFM * deltaT;
+
+  const steadyStateLoss = transmissionLoss + infiltrationLoss + ventilationLoss;
+  const warmUpLoad = steadyStateLoss * (warmUpAllowance / 100);
+  const totalHeatingLoad = steadyStateLoss + warmUpLoad;
+
+  return {
+    outsideDB,
+    insideDB,
+    deltaT,
+    warmUpAllowance,
+
+    glassItems,
+    wallItems,
+    roofItems,
+    partitionItems,
+    glassLoss,
+    wallLoss,
+    roofLoss,
+    partitionLoss,
+    transmissionLoss,
+
+    ventilationCFM,
+    infiltrationCFM,
+    infiltrationLoss,
+    ventilationLoss,
+
+    steadyStateLoss,
+    warmUpLoad,
+    totalHeatingLoad,
+    heatingTons: totalHeatingLoad / BTU_PER_TON,
+    heatingKW: totalHeatingLoad / BTU_PER_KW
+  };
+}
+
+/**
+ * Winter design conditions of a project
+ * Uses the Design Inputs winter section. The outdoor DB must be a heating
+ * design value (ISHRAE / ASHRAE 99.6% or 99%) entered there: the climate
+ * cities' winter points are cooling conditions and are not used.
+ * @param {Object} designData - Design Inputs data ({ meta, winter })
+ * @returns {Object|null} { outsideDB, insideDB, warmUpAllowance }, null when no heating DB is entered
+ */
+export function getWinterDesignConditions(designData) {
+  const winter = designData?.winter || {};
+  const outsideDB = parseFloat(winter.dbF);
+  if (!Number.isFinite(outsideDB)) return null;
+
+  const insideDB = parseFloat(winter.insideDbF);
+  const warmUpAllowance = parseFloat(winter.warmUpAllowance);
+  return {
+    outsideDB,
+    insideDB: Number.isFinite(insideDB) ? insideDB : HEATING_DEFAULTS.insideDB,
+    warmUpAllowance: Number.isFinite(warmUpAllowance) ? warmUpAllowance : HEATING_DEFAULTS.warmUpAllowance
+  };
+}
+
+/**
+ * Check a heat pump (IDU or ODU) against the cooling and the heating load
+ * @param {number} coolingCapacityTR - Nominal cooling capacity (TR)
+ * @param {number} coolingLoadTR - Cooling load served (TR)
+ * @param {number} heatingLoadTR - Heating load served (TR), 0 when not heated
+ * @param {number} [heatingRatio] - Heating / cooling capacity ratio
+ * @returns {Object} { coolingCapacityTR, heatingCapacityTR, coolingOK, heatingOK }
+ */
+export function checkHeatPumpCapacity(coolingCapacityTR, coolingLoadTR, heatingLoadTR, heatingRatio = HEAT_PUMP_HEATING_RATIO) {
+  const heatingCapacityTR = coolingCapacityTR * heatingRatio;
+  return {
+    coolingCapacityTR,
+    heatingCapacityTR,
+    coolingOK: coolingCapacityTR >= coolingLoadTR,
+    heatingOK: heatingCapacityTR >= (heatingLoadTR || 0)
+  };
+}
+
+/**
+ * Cooling capacity a heat pump needs so that it also covers the heating load
+ * @param {number} coolingLoadTR - Cooling load (TR)
+ * @param {number} heatingLoadTR - Heating load (TR)
+ * @param {number} [heatingRatio] - Heating / cooling capacity ratio
+ * @returns {number} Required nominal cooling capacity (TR)
+ */
+export function getRequiredHeatPumpCapacity(coolingLoadTR, heatingLoadTR, heatingRatio = HEAT_PUMP_HEATING_RATIO) {
+  return Math.max(coolingLoadTR || 0, (heatingLoadTR || 0) / heatingRatio);
+}
+
+/**
+ * Indoor units of a room and its share of the outdoor unit
+ * The IDUs cover the room's own loads. The ODU share is the IDU tonnage over
+ * the diversity factor, never below the heating duty (winter has no diversity
+ * credit), so it is checked against the diversified cooling load and the full
+ * heating load - the loads it was sized for.
+ * @param {Object} loads - { coolingLoadTR, heatingLoadTR }
+ * @param {number} unitCapacityTR - Nominal capacity of one IDU (TR), 0 when no model fits
+ * @param {Object} [options] - { numUnits: IDU count entered by the user (sized when absent),
+ *   diversityFactor, roundODU: rounds the ODU share up to a catalog step (TR → TR) }
+ * @returns {Object} { numIDUs, totalIDUTonnage, diversityFactor, oduCapacityTR, iduCheck, oduCheck }
+ */
+export function sizeRoomHeatPumps({ coolingLoadTR, heatingLoadTR }, unitCapacityTR, options = {}) {
+  const { numUnits, diversityFactor = ODU_DIVERSITY_FACTOR, roundODU = (tr) => tr } = options;
+  const requiredTR = getRequiredHeatPumpCapacity(coolingLoadTR, heatingLoadTR);
+
+  let numIDUs = 0;
+  if (numUnits > 0) numIDUs = numUnits;
+  else if (unitCapacityTR > 0) numIDUs = Math.max(1, Math.ceil(requiredTR / unitCapacityTR));
+  const totalIDUTonnage = (unitCapacityTR || 0) * numIDUs;
+
+  const oduCapacityTR = roundODU(Math.max(totalIDUTonnage / diversityFactor, getRequiredHeatPumpCapacity(0, heatingLoadTR)));
+
+  return {
+    numIDUs,
+    totalIDUTonnage,
+    diversityFactor,
+    oduCapacityTR,
+    iduCheck: checkHeatPumpCapacity(totalIDUTonnage, coolingLoadTR, heatingLoadTR),
+    oduCheck: checkHeatPumpCapacity(oduCapacityTR, (coolingLoadTR || 0) / diversityFactor, heatingLoadTR)
+  };
+}
+
+export default {
+  computeRoomHeatingLoad,
+  getWinterDesignConditions,
+  checkHeatPumpCapacity,
+  getRequiredHeatPumpCapacity,
+  sizeRoomHeatPumps,
+  HEATING_DEFAULTS,
+  HEAT_PUMP_HEATING_RATIO,
+  ODU_DIVERSITY_FACTOR
+};
@@ -0,0 +1,262 @@
+/**
+ * Hour-by-hour Cooling Load Analysis
+ * Runs the room load engine for every design hour (6:00-20:00 sun time) with
+ * hour-varying sun gains and ETDs, then finds:
+ * - each room's peak hour and peak load
+ * - the coincident (block) peak of each floor and of the building
+ * - block load versus the sum of the individual room peaks
+ *
+ * Outdoor dry bulb follows the ASHRAE daily range profile below the design
+ * (15:00) value, so conduction, infiltration and outside air loads fall off
+ * away from the afternoon; outdoor moisture and internal gains are held at
+ * their design values.
+ *
+ * findWorstMonth repeats the analysis for every month - sun gains at the site
+ * latitude and, when a climate city is known, that month's design DB/WB - and
+ * picks the month with the highest building block load.
+ */
+
+import IndianHVACCalculations from './IndianHVACCalculations';
+import { computeRoomLoad, BTU_PER_TON } from './roomLoadEngine';
+import { calculatePsychrometrics, getMonthlyDesignConditions, getCityPressure } from './psychrometrics';
+import { SHEET_BASIS } from './solarGains';
+
+export const DESIGN_HOURS = IndianHVACCalculations.designHours;
+
+// Outdoor dry bulb below the design value, % of the daily range, by hour 0-23 (ASHRAE)
+export const DAILY_RANGE_PERCENT = [82, 87, 92, 96, 99, 100, 98, 93, 84, 71, 56, 39, 23, 11, 3, 0, 3, 10, 21, 34, 47, 58, 68, 76];
+
+// Daily range (°F) when the site's is not known - ASHRAE's "medium" range
+export const DEFAULT_DAILY_RANGE = 20;
+
+/**
+ * Format a sun-time hour for display
+ * @param {number} hour - Hour of the day (0-23)
+ * @returns {string} e.g. "15:00"
+ */
+export function formatSunTime(hour) {
+  return hour === null || hour === undefined ? '-' : `${String(hour).padStart(2, '0')}:00`;
+}
+
+/**
+ * A room's outdoor dry bulb at an hour of the design day
+ * @param {Object} formData - Space Considered form data at the design (peak) condition
+ * @param {number} hour - Sun-time hour (0-23)
+ * @param {number} [dailyRange] - Design day range of dry bulb (°F)
+ * @returns {Object} Copy of formData with outsideDB and diffDB lowered for the hour
+ */
+export function applyDailyRange(formData, hour, dailyRange = DEFAULT_DAILY_RANGE) {
+  const drop = (dailyRange * (DAILY_RANGE_PERCENT[hour] ?? 0)) / 100;
+  if (!formData || drop === 0) return formData;
+
+  const has = (field) => formData[field] !== undefined && formData[field] !== '';
+  const updated = { ...formData };
+  if (has('outsideDB')) updated.outsideDB = parseFloat(formData.outsideDB) - drop;
+  // An explicit difference follows the outdoor drop; a derived one follows outsideDB
+  if (has('diffDB')) updated.diffDB = parseFloat(formData.diffDB) - drop;
+  return updated;
+}
+
+/**
+ * Room load for every design hour
+ * @param {Object} formData - Space Considered form data (see computeRoomLoad)
+ * @param {Object} options
+ * @param {Array} [options.hours] - Sun-time hours to evaluate
+ * @param {number} [options.latitude] - Site latitude (°N); sheet basis when omitted
+ * @param {number} [options.month] - Design month 1-12; sheet basis when omitted
+ * @param {number} [options.dailyRange] - Design day range of outdoor dry bulb (°F)
+ * @returns {Object} { hourly: [{ hour, outsideDB, glassGain, wallGain, roofGain, ESHT, ELHT, GTH, tonsRequired }], peakHour, peakLoad, peakTons }
+ */
+export function computeHourlyRoomLoad(formData, { hours = DESIGN_HOURS, latitude, month, dailyRange = DEFAULT_DAILY_RANGE } = {}) {
+  const hourly = hours.map((hour) => {
+    const hourData = applyDailyRange(formData, hour, dailyRange);
+    const load = computeRoomLoad(hourData, { hour, latitude, month });
+    return {
+      hour,
+      outsideDB: hourData?.outsideDB,
+      glassGain: load.glassGain,
+      wallGain: load.wallGain,
+      roofGain: load.roofGain,
+      ESHT: load.ESHT,
+      ELHT: load.ELHT,
+      GTH: load.GTH,
+      tonsRequired: load.tonsRequired
+    };
+  });
+
+  // Earliest hour wins a tie
+  const peak = hourly.reduce((best, entry) => (entry.GTH > best.GTH ? entry : best), hourly[0]);
+
+  return {
+    hourly,
+    peakHour: peak ? peak.hour : null,
+    peakLoad: peak ? peak.GTH : 0,
+    peakTons: peak ? peak.tonsRequired : 0
+  };
+}
+
+/**
+ * Coincident peak of a group of rooms (a floor or the whole building)
+ * @param {Array} profiles - Results of computeHourlyRoomLoad
+ * @returns {Object} Hourly totals, coincident peak hour, block load and sum of peaks
+ */
+export function combineHourlyLoads(profiles = []) {
+  const hours = profiles[0]?.hourly.map((entry) => entry.hour) || [];
+
+  const hourly = hours.map((hour, index) => {
+    const GTH = profiles.reduce((sum, profile) => sum + (profile.hourly[index]?.GTH || 0), 0);
+    return { hour, GTH, tons: GTH / BTU_PER_TON };
+  });
+
+  const peak = hourly.reduce((best, entry) => (entry.GTH > best.GTH ? entry : best), hourly[0]);
+  const blockLoad = peak ? peak.GTH : 0;
+  const sumOfPeaks = profiles.reduce((sum, profile) => sum + profile.peakLoad, 0);
+
+  return {
+    hourly,
+    peakHour: peak ? peak.hour : null,
+    blockLoad,
+    blockTons: blockLoad / BTU_PER_TON,
+    sumOfPeaks,
+    sumOfPeaksTons: sumOfPeaks / BTU_PER_TON,
+    // Block load as a fraction of the sum of room peaks (1 = every room peaks together)
+    diversityRatio: sumOfPeaks > 0 ? blockLoad / sumOfPeaks : 0
+  };
+}
+
+/**
+ * Hourly analysis of a building
+ * Rooms without form data (not yet calculated) are skipped.
+ * @param {Array} floors - [{ id, name, rooms: [{ id, name, formData }] }]
+ * @param {Object} options - { hours, latitude, month, dailyRange } (see computeHourlyRoomLoad)
+ * @returns {Object} { floors: [{ id, name, rooms, ...coincident }], building: coincident, roomCount }
+ */
+export function analyzeBuildingHourly(floors = [], options = {}) {
+  const allProfiles = [];
+
+  const floorResults = (floors || []).map((floor) => {
+    const rooms = (floor.rooms || [])
+      .filter((room) => room.formData)
+      .map((room) => {
+        const profile = computeHourlyRoomLoad(room.formData, options);
+        allProfiles.push(profile);
+        return { id: room.id, name: room.name, ...profile };
+      });
+
+    return { id: floor.id, name: floor.name, rooms, ...combineHourlyLoads(rooms) };
+  });
+
+  return {
+    floors: floorResults.filter((floor) => floor.rooms.length > 0),
+    building: combineHourlyLoads(allProfiles),
+    roomCount: allProfiles.length
+  };
+}
+
+/**
+ * Replace a room's outdoor design state with a month's conditions
+ * @param {Object} formData - Space Considered form data
+ * @param {Object} conditions - { db, wb } in °F
+ * @param {number} pressure - Site pressure (kPa)
+ * @returns {Object} Copy of formData with outsideDB/outsideGR and the differences updated
+ */
+export function applyMonthlyConditions(formData, { db, wb }, pressure) {
+  const outside = calculatePsychrometrics({ dbF: db, wbF: wb }, pressure);
+  const updated = {
+    ...formData,
+    outsideDB: db,
+    outsideGR: outside.humidityRatio,
+    diffDB: formData?.insideDB !== undefined && formData.insideDB !== ''
+      ? db - parseFloat(formData.insideDB)
+      : formData?.diffDB
+  };
+  if (formData?.insideGR !== undefined && formData.insideGR !== '') {
+    updated.diffGR = outside.humidityRatio - parseFloat(formData.insideGR);
+  }
+  return updated;
+}
+
+/**
+ * Find the month with the highest building block load
+ * Without a city only the sun moves; the rooms' own outdoor conditions are kept,
+ * which is how the room sheets are designed (see getRoomSolarSite).
+ * With a city each month also takes that month's DB/WB.
+ * @param {Array} floors - [{ id, name, rooms: [{ id, name, formData }] }]
+ * @param {Object} site
+ * @param {number} [site.latitude] - Site latitude (°N)
+ * @param {string} [site.city] - Climate city (key of INDIAN_CLIMATE_DATA) for monthly DB/WB
+ * @param {Array} [site.hours] - Sun-time hours to evaluate
+ * @param {number} [site.dailyRange] - Design day range of outdoor dry bulb (°F)
+ * @returns {Object} { worstMonth, months: [{ month, peakHour, blockLoad, blockTons }], analysis }
+ */
+export function findWorstMonth(floors = [], { latitude, city, hours = DESIGN_HOURS, dailyRange } = {}) {
+  const conditions = city ? getMonthlyDesignConditions(city) : null;
+  const pressure = city ? getCityPressure(city) : null;
+
+  let worst = null;
+  const months = [];
+
+  for (let month = 1; month <= 12; month++) {
+    const monthFloors = conditions
+      ? (floors || []).map((floor) => ({
+        ...floor,
+        rooms: (floor.rooms || []).map((room) => (room.formData
+          ? { ...room, formData: applyMonthlyConditions(room.formData, conditions[month - 1], pressure) }
+          : room))
+      }))
+      : floors;
+
+    const analysis = analyzeBuildingHourly(monthFloors, { hours, latitude, month, dailyRange });
+    const { peakHour, blockLoad, blockTons } = analysis.building;
+    months.push({ month, peakHour, blockLoad, blockTons });
+
+    // A tie goes to the sheet's May, otherwise to the earliest month
+    const worstLoad = worst ? worst.analysis.building.blockLoad : -Infinity;
+    if (blockLoad > worstLoad || (blockLoad === worstLoad && month === SHEET_BASIS.month)) {
+      worst = { month, analysis };
+    }
+  }
+
+  return {
+    worstMonth: worst.month,
+    months,
+    analysis: worst.analysis
+  };
+}
+
+/**
+ * Sun gain basis of a single room from the project design meta
+ * A fixed design month is used as is; on "auto" every room takes the
+ * building's worst month (meta.worstMonth, found by findWorstMonth on the rooms'
+ * own outdoor design state, as the sheets use it), or the sheet's May until it
+ * has been found.
+ * Projects without site data keep the sheet basis.
+ * @param {Object} meta - Design Inputs meta ({ latitude, designMonth, worstMonth })
+ * @returns {Object|null} { latitude, month } for computeRoomLoad, null for the sheet basis
+ */
+export function getRoomSolarSite(meta) {
+  const parsed = parseFloat(meta?.latitude);
+  const latitude = Number.isFinite(parsed) ? parsed : null;
+  const designMonth = meta?.designMonth;
+
+  if (designMonth && designMonth !== 'auto') {
+    return { latitude, month: Number(designMonth) };
+  }
+  if (latitude === null) return null;
+
+  return { latitude, month: Number(meta.worstMonth) || SHEET_BASIS.month };
+}
+
+export default {
+  DESIGN_HOURS,
+  DAILY_RANGE_PERCENT,
+  DEFAULT_DAILY_RANGE,
+  formatSunTime,
+  applyDailyRange,
+  computeHourlyRoomLoad,
+  combineHourlyLoads,
+  analyzeBuildingHourly,
+  applyMonthlyConditions,
+  findWorstMonth,
+  getRoomSolarSite
+};
@@ -21,6 +21,7 @@
  */
 
 import { GLASS_FACTORS, SOLAR_GAIN_INTENSITIES, CONSTRUCTION_U_FACTORS, ETD_VALUES } from './multiFloorCalculations';
+import IndianHVACCalculations from './IndianHVACCalculations';
 
 // ==================== ENHANCED HEAT GAIN CALCULATIONS ====================
 
@@ -364,7 +365,9 @@ export function calculateSolarHeatGain(params) {
     shgf = getAutoSolarHeatGainFactor(orientation, latitude, hour);
   } else {
     const shgfData = SOLAR_HEAT_GAIN_FACTORS[latitude];
-    shgf = shgfData && shgfData[orientation] ? shgfData[orientation][hour] : 50;
+    const row = shgfData && shgfData[orientation];
+    // Hours between the tabulated 9/12/15 columns follow the hourly profile from the peak
+    shgf = row ? (row[hour] ?? row.peak * IndianHVACCalculations.getSolarHourFactor(orientation, hour)) : 50;
   }
   
   // Auto-calculate shading coefficient based on glass type
@@ -403,8 +406,8 @@ function getAutoSolarHeatGainFactor(orientation, latitude, hour) {
   // Adjust for latitude (20°N to 28°N for India)
   const latAdjustment = latitude === '28N' ? 0.9 : latitude === '13N' ? 1.1 : 1.0;
   
-  // Adjust for time of day
-  const timeAdjustment = hour === 'peak' ? 1.0 : hour === 9 ? 0.8 : hour === 15 ? 0.9 : 1.0;
+  // Adjust for time of day (sun-time profile shared with the hourly analysis)
+  const timeAdjustment = IndianHVACCalculations.getSolarHourFactor(orientation, hour);
   
   return Math.round(baseSHGF * latAdjustment * timeAdjustment);
 }
@@ -441,6 +444,7 @@ export function calculateWallHeatGain(params) {
     orientation,
     construction = '230mm Brick + Plaster',
     wallWeight = 'Medium',
+    hour = 'peak',
     autoCalculate = true
   } = params;
   
@@ -462,7 +466,7 @@ export function calculateWallHeatGain(params) {
   }
   
   // Calculate heat gain: Q = U × A × CLTD
-  const heatGain = uFactor * area * cltd;
+  const heatGain = uFactor * area * cltd * IndianHVACCalculations.getWallETDHourFactor(orientation, hour);
   
   return Math.round(heatGain);
 }
@@ -538,14 +542,16 @@ export function calculateRoofHeatGain(params) {
   const {
     area,
     construction = '150mm RCC + Waterproofing',
-    surfaceType = 'Medium Surface'
+    surfaceType = 'Medium Surface',
+    hour = 'peak'
   } = params;
   
   // Get U-factor
   const uFactor = ROOF_U_FACTORS[construction] || 0.50;
   
-  // Get CLTD
-  const cltd = ROOF_CLTD[surfaceType] || 35;
+  // Get CLTD, scaled to the hour when one is given
+  const cltd = (ROOF_CLTD[surfaceType] || 35)
+    * IndianHVACCalculations.getHourFactor(IndianHVACCalculations.roofETDHourFactors, hour);
   
   // Calculate heat gain: Q = U × A × CLTD
   const heatGain = uFactor * area * cltd;
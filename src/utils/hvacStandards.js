@@ -125,32 +125,7 @@ export const LIGHTING_TYPES = {
   }
 };
 
-// VRF System Specifications
-export const VRF_SYSTEMS = {
-  'Heat Pump': {
-    minCapacity: 2, // tons
-    maxCapacity: 16,
-    minModulation: 0.3,
-    maxModulation: 1.1,
-    maxConnections: 8,
-    maxPipingLength: 100,
-    maxHeightDifference: 50,
-    cop_cooling: 4.1,
-    cop_heating: 4.5
-  },
-  'Heat Recovery': {
-    minCapacity: 6,
-    maxCapacity: 32,
-    minModulation: 0.2,
-    maxModulation: 1.15,
-    maxConnections: 16,
-    maxPipingLength: 165,
-    maxHeightDifference: 90,
-    cop_cooling: 3.9,
-    cop_heating: 4.3,
-    simultaneous_operation: true
-  }
-};
+// VRF system specifications live in the equipment catalog (SYSTEM_TYPES in equipmentCatalog.js)
 
 // Indoor Unit Types
 export const INDOOR_UNIT_TYPES = {
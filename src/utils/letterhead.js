@@ -0,0 +1,280 @@
+/**
+ * Letterhead
+ * The organization profile every export is branded with - name, logo,
+ * address, GSTIN, contact, signature block, footer disclaimer and brand
+ * colors - and its letterhead templates (a consultant's report and a
+ * contractor's quotation carry different headers and signatories).
+ *
+ * getLetterhead resolves one template against the profile; drawLetterhead,
+ * drawSignatureBlock and drawLetterheadFooters lay it out on a jsPDF
+ * document, getLetterheadLines gives the same details as text rows for
+ * workbooks. Without a saved profile the exports keep the app's own header.
+ */
+
+export const LOGO_MAX_BYTES = 300 * 1024;
+
+export const LETTERHEAD_LAYOUTS = {
+  band: 'Colour band',
+  plain: 'Plain with rule'
+};
+
+export const DEFAULT_TEMPLATES = {
+  consultant: {
+    name: 'Consultant',
+    layout: 'band',
+    showGSTIN: false,
+    signatureLabel: 'Prepared by',
+    disclaimer: ''
+  },
+  contractor: {
+    name: 'Contractor',
+    layout: 'plain',
+    showGSTIN: true,
+    signatureLabel: 'Authorised signatory',
+    disclaimer: ''
+  }
+};
+
+const DEFAULT_ORGANIZATION = {
+  name: '',
+  address: '',
+  gstin: '',
+  phone: '',
+  email: '',
+  website: '',
+  logo: '',
+  signature: { name: '', designation: '' },
+  disclaimer: '',
+  colors: { primary: '#2980b9', accent: '#2c3e50' },
+  defaultTemplate: 'consultant'
+};
+
+// The header every export carried before organizations had a profile
+const APP_LETTERHEAD = {
+  name: 'HVAC-Calculator',
+  templateName: '',
+  layout: 'plain',
+  logo: '',
+  lines: [],
+  colors: { primary: [41, 128, 185], accent: [44, 62, 80] },
+  signature: null,
+  disclaimer: ''
+};
+
+/**
+ * A complete organization profile with the default templates
+ * @param {Object} [fields] - Saved profile
+ * @returns {Object} Organization
+ */
+export function createOrganization(fields = {}) {
+  const templates = { ...DEFAULT_TEMPLATES };
+  Object.entries(fields.templates || {}).forEach(([id, template]) => {
+    templates[id] = { ...(DEFAULT_TEMPLATES[id] || DEFAULT_TEMPLATES.consultant), ...template };
+  });
+  return {
+    ...DEFAULT_ORGANIZATION,
+    ...fields,
+    signature: { ...DEFAULT_ORGANIZATION.signature, ...fields.signature },
+    colors: { ...DEFAULT_ORGANIZATION.colors, ...fields.colors },
+    templates,
+    defaultTemplate: templates[fields.defaultTemplate] ? fields.defaultTemplate : 'consultant'
+  };
+}
+
+const GSTIN_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Check a GSTIN's format and check digit
+ * @param {string} value - e.g. 27AAPFU0939F1ZV
+ * @returns {boolean}
+ */
+export function isValidGSTIN(value) {
+  const gstin = String(value || '').trim().toUpperCase();
+  if (!/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(gstin)) return false;
+  // Base-36 Luhn: alternate factors 1 and 2, carry the quotient
+  const sum = [...gstin.slice(0, 14)].reduce((total, character, index) => {
+    const product = GSTIN_CHARACTERS.indexOf(character) * (index % 2 === 0 ? 1 : 2);
+    return total + Math.floor(product / 36) + (product % 36);
+  }, 0);
+  return GSTIN_CHARACTERS[(36 - (sum % 36)) % 36] === gstin[14];
+}
+
+/**
+ * @param {string} hex - '#2980b9' or '#28b'
+ * @param {number[]} [fallback]
+ * @returns {number[]} [r, g, b]
+ */
+export function hexToRGB(hex, fallback = APP_LETTERHEAD.colors.primary) {
+  const digits = String(hex || '').replace('#', '');
+  const full = digits.length === 3 ? [...digits].map(digit => digit + digit).join('') : digits;
+  if (!/^[0-9a-f]{6}$/i.test(full)) return fallback;
+  return [0, 2, 4].map(start => parseInt(full.slice(start, start + 2), 16));
+}
+
+/**
+ * One template of the organization, ready to draw
+ * @param {Object|null} organization - Saved profile; null for the app's own header
+ * @param {string} [templateId] - Defaults to the organization's default template
+ * @returns {Object} { name, templateName, layout, logo, lines, colors: { primary, accent }, signature, disclaimer }
+ */
+export function getLetterhead(organization, templateId) {
+  if (!organization?.name) return APP_LETTERHEAD;
+  const org = createOrganization(organization);
+  const template = org.templates[templateId] || org.templates[org.defaultTemplate];
+  const colors = { ...org.colors, ...template.colors };
+  const contact = [org.phone && `Tel: ${org.phone}`, org.email, org.website].filter(Boolean).join(' | ');
+
+  return {
+    name: org.name,
+    templateName: template.name,
+    layout: LETTERHEAD_LAYOUTS[template.layout] ? template.layout : 'band',
+    logo: org.logo || '',
+    lines: [
+      ...String(org.address || '').split('\n').map(text => text.trim()).filter(Boolean),
+      template.showGSTIN && org.gstin ? `GSTIN: ${org.gstin.toUpperCase()}` : null,
+      contact || null
+    ].filter(Boolean),
+    colors: { primary: hexToRGB(colors.primary), accent: hexToRGB(colors.accent, APP_LETTERHEAD.colors.accent) },
+    signature: org.signature.name || template.signatureLabel
+      ? { label: template.signatureLabel, name: org.signature.name, designation: org.signature.designation, company: org.name }
+      : null,
+    disclaimer: template.disclaimer || org.disclaimer || ''
+  };
+}
+
+/**
+ * The letterhead as text rows, for workbooks
+ * @param {Object} letterhead - From getLetterhead
+ * @returns {string[]} Name, then the address and contact lines
+ */
+export function getLetterheadLines(letterhead) {
+  return [letterhead.name, ...letterhead.lines];
+}
+
+const imageFormat = (dataURL) => (/^data:image\/jpe?g/i.test(dataURL) ? 'JPEG' : 'PNG');
+
+// Logo scaled into a box, drawn with its top left at (x, y); returns its width
+const drawLogo = (doc, logo, x, y, maxWidth, maxHeight) => {
+  if (!logo) return 0;
+  try {
+    const { width, height } = doc.getImageProperties(logo);
+    const scale = Math.min(maxWidth / width, maxHeight / height);
+    doc.addImage(logo, imageFormat(logo), x, y, width * scale, height * scale);
+    return width * scale;
+  } catch (error) {
+    console.error('❌ Error drawing logo:', error);
+    return 0;
+  }
+};
+
+/**
+ * Draw the letterhead and document title at the top of the current page
+ * @param {Object} doc - jsPDF document
+ * @param {Object} letterhead - From getLetterhead
+ * @param {string} [title] - Document title, centred under the letterhead
+ * @returns {number} y (mm) where the content can start
+ */
+export function drawLetterhead(doc, letterhead, title = '') {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const margin = 15;
+  const band = letterhead.layout === 'band';
+  const height = Math.max(22, 14 + letterhead.lines.length * 4);
+
+  if (band) {
+    doc.setFillColor(...letterhead.colors.primary);
+    doc.rect(0, 0, pageWidth, height + 6, 'F');
+  }
+  const logoWidth = drawLogo(doc, letterhead.logo, margin, 6, 40, height - 4);
+  const x = margin + (logoWidth ? logoWidth + 5 : 0);
+
+  doc.setFontSize(15);
+  doc.setTextColor(...(band ? [255, 255, 255] : letterhead.colors.primary));
+  doc.text(letterhead.name, x, 13);
+  doc.setFontSize(8);
+  doc.setTextColor(...(band ? [255, 255, 255] : letterhead.colors.accent));
+  letterhead.lines.forEach((text, index) => doc.text(text, x, 19 + index * 4));
+  doc.setTextColor(0);
+
+  let y = height + 6;
+  if (!band) {
+    doc.setDrawColor(...letterhead.colors.primary);
+    doc.setLineWidth(0.6);
+    doc.line(margin, y, pageWidth - margin, y);
+    doc.setLineWidth(0.2);
+  }
+  if (title) {
+    doc.setFontSize(16);
+    doc.text(title, pageWidth / 2, y + 10, { align: 'center' });
+    y += 10;
+  }
+  return y + 8;
+}
+
+/**
+ * Draw the signature block under the content, on a new page when it does not fit
+ * @param {Object} doc - jsPDF document
+ * @param {Object} letterhead - From getLetterhead
+ * @param {number} y - Where the content ended (mm)
+ * @returns {number} y below the block
+ */
+export function drawSignatureBlock(doc, letterhead, y) {
+  if (!letterhead.signature) return y;
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const x = pageWidth - 85;
+  let top = y + 10;
+  if (top + 35 > doc.internal.pageSize.getHeight() - 20) {
+    doc.addPage();
+    top = 25;
+  }
+  const { label, name, designation, company } = letterhead.signature;
+  doc.setFontSize(10);
+  doc.text(`For ${company}`, x, top);
+  doc.line(x, top + 18, pageWidth - 15, top + 18);
+  doc.setFontSize(9);
+  [name, designation, label].filter(Boolean).forEach((text, index) => doc.text(text, x, top + 23 + index * 4.5));
+  return top + 35;
+}
+
+/**
+ * Footer with the disclaimer and page numbers on every page
+ * @param {Object} doc - jsPDF document
+ * @param {Object} letterhead - From getLetterhead
+ * @param {Object} [options]
+ * @param {number} [options.from] - First page to number (2 skips a cover)
+ * @param {string} [options.caption] - Text at the left of the page number
+ */
+export function drawLetterheadFooters(doc, letterhead, { from = 1, caption = '' } = {}) {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 15;
+  const pages = doc.getNumberOfPages();
+  const disclaimer = letterhead.disclaimer ? doc.splitTextToSize(letterhead.disclaimer, pageWidth - 2 * margin).slice(0, 2) : [];
+
+  for (let page = from; page <= pages; page++) {
+    doc.setPage(page);
+    const top = pageHeight - 12 - disclaimer.length * 3;
+    doc.setDrawColor(...letterhead.colors.primary);
+    doc.line(margin, top, pageWidth - margin, top);
+    doc.setFontSize(7);
+    doc.setTextColor(110);
+    disclaimer.forEach((text, index) => doc.text(text, margin, top + 3.5 + index * 3));
+    doc.setFontSize(8);
+    doc.setTextColor(0);
+    doc.text(caption || letterhead.name, margin, pageHeight - 7);
+    doc.text(`Page ${page} of ${pages}`, pageWidth - margin, pageHeight - 7, { align: 'right' });
+  }
+}
+
+export default {
+  LOGO_MAX_BYTES,
+  LETTERHEAD_LAYOUTS,
+  DEFAULT_TEMPLATES,
+  createOrganization,
+  isValidGSTIN,
+  hexToRGB,
+  getLetterhead,
+  getLetterheadLines,
+  drawLetterhead,
+  drawSignatureBlock,
+  drawLetterheadFooters
+};
@@ -0,0 +1,58 @@
+/**
+ * Network Trees
+ * Helpers shared by the node trees the designers edit - refrigerant piping
+ * (outdoor unit → refnets → indoor units) and supply ductwork (unit →
+ * junctions → terminals). Every node is { id, parentId, ... }, its parentId
+ * naming the node that feeds it; the root has none.
+ */
+
+/**
+ * Ids of a node's descendants
+ * @param {Array} nodes
+ * @param {string} id
+ * @returns {Set}
+ */
+export function getDescendantIds(nodes, id) {
+  const found = new Set();
+  let frontier = [id];
+  while (frontier.length > 0) {
+    frontier = nodes.filter(node => frontier.includes(node.parentId) && !found.has(node.id)).map(node => node.id);
+    frontier.forEach(childId => found.add(childId));
+  }
+  return found;
+}
+
+/**
+ * Ids of the nodes between a node and the root, nearest first
+ * @param {Array} nodes
+ * @param {string} id
+ * @returns {string[]}
+ */
+export function getAncestorIds(nodes, id) {
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const found = [];
+  for (let node = byId.get(id); node?.parentId && !found.includes(node.parentId); node = byId.get(node.parentId)) {
+    found.push(node.parentId);
+  }
+  return found;
+}
+
+/**
+ * Networks as saved with the equipment selection, ready to edit again.
+ * The database drops empty fields (the root's null parent) and may return
+ * arrays as objects, so nodes are put back in their saved order.
+ * @param {Object} [saved] - key -> { nodes, ... }
+ * @returns {Object} key -> { nodes, ... }
+ */
+export function restoreNetworks(saved = {}) {
+  return Object.fromEntries(Object.entries(saved || {}).map(([key, network]) => [key, {
+    ...network,
+    nodes: Object.values(network?.nodes || {}).map(node => ({ ...node, parentId: node.parentId ?? null }))
+  }]));
+}
+
+export default {
+  getDescendantIds,
+  getAncestorIds,
+  restoreNetworks
+};
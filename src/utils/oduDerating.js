@@ -0,0 +1,221 @@
+/**
+ * Outdoor Unit Capacity Correction
+ * Derates a catalog outdoor unit from its nominal rating to the capacity it
+ * delivers on site, using the correction curves the catalog carries.
+ *
+ * Derated capacity = rated cooling kW × f(outdoor DB) × f(indoor WB)
+ *                    × f(equivalent pipe length) × f(level difference)
+ *                    × f(combination ratio)
+ *
+ * Combination ratio is the connected indoor unit capacity over the outdoor
+ * unit's rating (%). Above 100% the outdoor unit delivers a little more than
+ * nominal, but shared between more indoor units than it can satisfy at once.
+ *
+ * Units: temperatures °C, lengths m, ratio %.
+ */
+
+import {
+  EQUIPMENT_CATALOG,
+  TR_TO_KW,
+  filterModels,
+  getCorrectionCurve
+} from './equipmentCatalog';
+
+/**
+ * Conditions the catalog capacities are rated at
+ */
+export const RATING_CONDITIONS = {
+  outdoorDB: 35,
+  indoorWB: 19,
+  equivalentLengthM: 7.5,
+  levelDifferenceM: 0,
+  combinationRatio: 100
+};
+
+// Connection ratio limit for models that do not state one (%)
+const DEFAULT_MAX_CONNECTION_RATIO = 130;
+// Below this the outdoor unit cycles at part load instead of modulating (%)
+const MIN_CONNECTION_RATIO = 50;
+// Indoor WB range the correction curves are published for (°C)
+const INDOOR_WB_RANGE = [14, 24];
+
+const fToC = (f) => (f - 32) * 5 / 9;
+const num = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * Linear interpolation on [x, y] points, held flat past the ends
+ * @param {Array} points - [[x, y], ...] sorted by x
+ * @param {number} x
+ * @returns {number}
+ */
+export function interpolateCurve(points, x) {
+  if (!points?.length) return 1;
+  if (x <= points[0][0]) return points[0][1];
+  const last = points[points.length - 1];
+  if (x >= last[0]) return last[1];
+  const upper = points.findIndex(([px]) => px >= x);
+  const [x0, y0] = points[upper - 1];
+  const [x1, y1] = points[upper];
+  return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+}
+
+/**
+ * Operating conditions from the project's design inputs
+ * Outdoor DB from the summer ambient, indoor WB from the inside design; piping
+ * stays at the rating length until entered.
+ * @param {Object} designData - Design Inputs data ({ ambient, inside })
+ * @param {Object} [overrides] - Conditions entered on the selection sheet
+ * @returns {Object} { outdoorDB, indoorWB, equivalentLengthM, levelDifferenceM }
+ */
+export function getOperatingConditions(designData, overrides = {}) {
+  const ambientDB = parseFloat(designData?.ambient?.dbF);
+  const insideWB = parseFloat(designData?.inside?.wbF);
+  const fromDesign = {
+    outdoorDB: Number.isFinite(ambientDB) ? round(fToC(ambientDB), 1) : RATING_CONDITIONS.outdoorDB,
+    indoorWB: Number.isFinite(insideWB) ? round(fToC(insideWB), 1) : RATING_CONDITIONS.indoorWB
+  };
+
+  return {
+    outdoorDB: num(overrides.outdoorDB, fromDesign.outdoorDB),
+    indoorWB: num(overrides.indoorWB, fromDesign.indoorWB),
+    equivalentLengthM: num(overrides.equivalentLengthM, RATING_CONDITIONS.equivalentLengthM),
+    levelDifferenceM: num(overrides.levelDifferenceM, RATING_CONDITIONS.levelDifferenceM)
+  };
+}
+
+/**
+ * Correction factors of an outdoor unit at the given conditions
+ * @param {Object} model - Catalog outdoor unit
+ * @param {Object} conditions - See RATING_CONDITIONS (missing fields are taken at rating)
+ * @returns {Object} { outdoorDB, indoorWB, pipeLength, levelDifference, combinationRatio, total }
+ */
+export function getCorrectionFactors(model, conditions = {}) {
+  const curve = getCorrectionCurve(model);
+  const at = { ...RATING_CONDITIONS, ...conditions };
+  const factors = curve
+    ? {
+        outdoorDB: interpolateCurve(curve.outdoorDB, at.outdoorDB),
+        indoorWB: interpolateCurve(curve.indoorWB, at.indoorWB),
+        pipeLength: interpolateCurve(curve.pipeLength, at.equivalentLengthM),
+        levelDifference: interpolateCurve(curve.levelDifference, Math.abs(at.levelDifferenceM)),
+        combinationRatio: interpolateCurve(curve.combinationRatio, at.combinationRatio)
+      }
+    : { outdoorDB: 1, indoorWB: 1, pipeLength: 1, levelDifference: 1, combinationRatio: 1 };
+
+  const rounded = Object.fromEntries(Object.entries(factors).map(([key, value]) => [key, round(value, 3)]));
+  return { ...rounded, total: round(Object.values(factors).reduce((product, value) => product * value, 1), 3) };
+}
+
+/**
+ * Capacity an outdoor unit delivers on site
+ * @param {Object} model - Catalog outdoor unit
+ * @param {Object} conditions - See RATING_CONDITIONS
+ * @returns {Object} { ratedKW, capacityKW, capacityTR, factors, warnings }
+ */
+export function getDeratedCapacity(model, conditions = {}) {
+  const at = { ...RATING_CONDITIONS, ...conditions };
+  const curve = getCorrectionCurve(model);
+  const factors = getCorrectionFactors(model, at);
+  const ratedKW = model?.coolingKW || 0;
+  const capacityKW = ratedKW * factors.total;
+  const warnings = [];
+
+  if (curve && at.outdoorDB > curve.maxOutdoorDB) {
+    warnings.push(`Outdoor DB ${at.outdoorDB}°C is beyond the ${curve.maxOutdoorDB}°C cooling limit`);
+  }
+  if (at.indoorWB < INDOOR_WB_RANGE[0] || at.indoorWB > INDOOR_WB_RANGE[1]) {
+    warnings.push(`Indoor WB ${at.indoorWB}°C is outside the ${INDOOR_WB_RANGE[0]}-${INDOOR_WB_RANGE[1]}°C range`);
+  }
+  if (model?.maxPipeLengthM && at.equivalentLengthM > model.maxPipeLengthM) {
+    warnings.push(`Equivalent pipe length ${at.equivalentLengthM} m exceeds ${model.maxPipeLengthM} m`);
+  }
+  if (model?.maxLevelDifferenceM && Math.abs(at.levelDifferenceM) > model.maxLevelDifferenceM) {
+    warnings.push(`Level difference ${Math.abs(at.levelDifferenceM)} m exceeds ${model.maxLevelDifferenceM} m`);
+  }
+  const maxRatio = model?.maxConnectionRatio || DEFAULT_MAX_CONNECTION_RATIO;
+  if (at.combinationRatio > maxRatio) {
+    warnings.push(`Combination ratio ${Math.round(at.combinationRatio)}% exceeds ${maxRatio}%`);
+  } else if (at.combinationRatio < MIN_CONNECTION_RATIO) {
+    warnings.push(`Combination ratio ${Math.round(at.combinationRatio)}% is below ${MIN_CONNECTION_RATIO}%`);
+  }
+
+  return {
+    ratedKW,
+    capacityKW: round(capacityKW, 1),
+    capacityTR: round(capacityKW / TR_TO_KW),
+    factors,
+    warnings
+  };
+}
+
+/**
+ * Check one or more identical outdoor units against the load they serve
+ * @param {Object} model - Catalog outdoor unit
+ * @param {Object} duty - { demandKW, connectedKW, quantity }
+ * @param {Object} conditions - See getOperatingConditions
+ * @returns {Object} Derated capacity plus { quantity, combinationRatio, demandKW, marginPct, ok }
+ */
+export function checkODUCapacity(model, { demandKW = 0, connectedKW = 0, quantity = 1 } = {}, conditions = {}) {
+  const ratedTotal = (model?.coolingKW || 0) * quantity;
+  const combinationRatio = ratedTotal > 0 && connectedKW > 0
+    ? round(connectedKW / ratedTotal * 100, 1)
+    : RATING_CONDITIONS.combinationRatio;
+  const derated = getDeratedCapacity(model, { ...conditions, combinationRatio });
+  const capacityKW = round(derated.capacityKW * quantity, 1);
+
+  return {
+    ...derated,
+    ratedKW: round(ratedTotal, 1),
+    capacityKW,
+    capacityTR: round(capacityKW / TR_TO_KW),
+    quantity,
+    combinationRatio,
+    demandKW: round(demandKW, 1),
+    marginPct: demandKW > 0 ? round((capacityKW - demandKW) / demandKW * 100, 1) : null,
+    ok: capacityKW >= demandKW - 1e-6 && combinationRatio <= (model?.maxConnectionRatio || DEFAULT_MAX_CONNECTION_RATIO)
+  };
+}
+
+/**
+ * Smallest outdoor unit (or set of equal modules) whose derated capacity
+ * covers the demand within the model's connection ratio limit
+ * @param {Array} models - Catalog models
+ * @param {Object} criteria - See filterModels
+ * @param {Object} duty - { demandKW, connectedKW } (connected IDU capacity sets the combination ratio)
+ * @param {Object} conditions - See getOperatingConditions
+ * @param {number} [maxModules] - Most identical units to combine
+ * @returns {Object|null} { model, ...checkODUCapacity } (ok false when nothing in the range covers it)
+ */
+export function selectDeratedODU(models = EQUIPMENT_CATALOG.models, criteria = {}, duty = {}, conditions = {}, maxModules = 10) {
+  const candidates = filterModels(models, criteria)
+    .filter(entry => entry.coolingKW > 0)
+    .sort((a, b) => a.coolingKW - b.coolingKW || (a.listPrice ?? Infinity) - (b.listPrice ?? Infinity));
+  if (candidates.length === 0 || !(duty.demandKW > 0)) return null;
+
+  // Prefer units whose operating limits the site is within, then any that cover the load
+  for (const withinLimits of [true, false]) {
+    for (let quantity = 1; quantity <= maxModules; quantity++) {
+      for (const model of candidates) {
+        const check = checkODUCapacity(model, { ...duty, quantity }, conditions);
+        if (check.ok && (!withinLimits || check.warnings.length === 0)) return { model, ...check };
+      }
+    }
+  }
+
+  const largest = candidates[candidates.length - 1];
+  return { model: largest, ...checkODUCapacity(largest, { ...duty, quantity: maxModules }, conditions) };
+}
+
+export default {
+  RATING_CONDITIONS,
+  interpolateCurve,
+  getOperatingConditions,
+  getCorrectionFactors,
+  getDeratedCapacity,
+  checkODUCapacity,
+  selectDeratedODU
+};
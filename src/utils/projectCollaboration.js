@@ -0,0 +1,156 @@
+/**
+ * Project Collaboration
+ * Roles of a shared project, invite keys and the merge of live updates into
+ * the building a user is editing. Floors and rooms are merged three-way
+ * against the last state both sides agreed on, so two engineers working on
+ * different floors keep each other's changes; a room changed on both sides
+ * keeps the local edit and is reported as a conflict.
+ */
+
+export const PROJECT_ROLES = {
+  owner: { label: 'Owner', canEdit: true, canShare: true },
+  editor: { label: 'Editor', canEdit: true, canShare: false },
+  viewer: { label: 'Viewer', canEdit: false, canShare: false }
+};
+
+// Roles that can be given to an invited member
+export const INVITE_ROLES = ['editor', 'viewer'];
+
+// Presence entries older than this are ignored (browser closed without cleanup)
+export const PRESENCE_TIMEOUT_MS = 10 * 60 * 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @param {string} role - 'owner', 'editor' or 'viewer'
+ * @returns {boolean} Whether the role may change project data
+ */
+export function canEditProject(role) {
+  return Boolean(PROJECT_ROLES[role]?.canEdit);
+}
+
+/**
+ * @param {string} email
+ * @returns {boolean}
+ */
+export function isValidEmail(email) {
+  return EMAIL_PATTERN.test(String(email || '').trim());
+}
+
+/**
+ * Database key for an email address ('.' is not allowed in keys); the
+ * security rules derive the same key from auth.token.email
+ * @param {string} email
+ * @returns {string}
+ */
+export function toEmailKey(email) {
+  return String(email || '').trim().toLowerCase().replace(/\./g, ',');
+}
+
+/**
+ * Strip save timestamps so that an echo of our own write compares equal
+ */
+function withoutTimestamps(value) {
+  if (Array.isArray(value)) return value.map(withoutTimestamps);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key, entry]) => key !== 'lastUpdated' && entry !== undefined)
+      .map(([key, entry]) => [key, withoutTimestamps(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Compare two pieces of building data, ignoring save timestamps
+ * @returns {boolean}
+ */
+export function isSameBuildingData(a, b) {
+  return JSON.stringify(withoutTimestamps(a ?? null)) === JSON.stringify(withoutTimestamps(b ?? null));
+}
+
+const byId = (items = []) => new Map((items || []).filter(Boolean).map((item) => [item.id, item]));
+
+/**
+ * Three-way merge of one keyed list; `mergeBoth` resolves entries changed on both sides
+ */
+function mergeList(base = [], local = [], remote = [], mergeBoth) {
+  const baseMap = byId(base);
+  const localMap = byId(local);
+  const remoteMap = byId(remote);
+  const ids = [
+    ...(remote || []).filter(Boolean).map((item) => item.id),
+    ...(local || []).filter((item) => item && !remoteMap.has(item.id)).map((item) => item.id)
+  ];
+
+  return ids.flatMap((id) => {
+    const b = baseMap.get(id);
+    const l = localMap.get(id);
+    const r = remoteMap.get(id);
+
+    if (isSameBuildingData(l, r)) return r ? [r] : [];
+    if (isSameBuildingData(l, b)) return r ? [r] : [];
+    if (isSameBuildingData(r, b)) return l ? [l] : [];
+    // Changed on both sides; a deletion loses against an edit
+    if (!l) return [r];
+    if (!r) return [l];
+    return [mergeBoth(b, l, r)];
+  });
+}
+
+/**
+ * Merge a live update of the building into the local building
+ * @param {Object} base - Building data both sides last agreed on
+ * @param {Object} local - Building data being edited here
+ * @param {Object} remote - Building data just received
+ * @returns {Object} { buildingData, conflicts: [{ floorId, floorName, roomId, roomName }] }
+ */
+export function mergeBuildingData(base = {}, local = {}, remote = {}) {
+  const conflicts = [];
+
+  const floors = mergeList(base?.floors, local?.floors, remote?.floors, (baseFloor, localFloor, remoteFloor) => {
+    const rooms = mergeList(baseFloor?.rooms, localFloor.rooms, remoteFloor.rooms, (baseRoom, localRoom) => {
+      conflicts.push({
+        floorId: localFloor.id,
+        floorName: localFloor.name,
+        roomId: localRoom.id,
+        roomName: localRoom.name || localRoom.roomName
+      });
+      return localRoom;
+    });
+    return { ...remoteFloor, ...localFloor, rooms };
+  });
+
+  return {
+    buildingData: { ...remote, ...local, floors },
+    conflicts
+  };
+}
+
+/**
+ * Who else is editing which room
+ * @param {Object} presence - { [uid]: { name, email, floorId, roomId, updatedAt } }
+ * @param {string} currentUserId - Entries of this user are skipped
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object} { [`${floorId}_${roomId}`]: [{ uid, name }] }
+ */
+export function getRoomEditors(presence = {}, currentUserId = null, now = Date.now()) {
+  return Object.entries(presence || {}).reduce((editors, [uid, entry]) => {
+    if (uid === currentUserId || !entry?.roomId) return editors;
+    if (now - (entry.updatedAt || 0) > PRESENCE_TIMEOUT_MS) return editors;
+    const key = `${entry.floorId}_${entry.roomId}`;
+    editors[key] = [...(editors[key] || []), { uid, name: entry.name || entry.email || 'Another user' }];
+    return editors;
+  }, {});
+}
+
+export default {
+  PROJECT_ROLES,
+  INVITE_ROLES,
+  PRESENCE_TIMEOUT_MS,
+  canEditProject,
+  isValidEmail,
+  toEmailKey,
+  isSameBuildingData,
+  mergeBuildingData,
+  getRoomEditors
+};
@@ -0,0 +1,101 @@
+/**
+ * Project Concurrency
+ * Every workflow section of a project carries a revision counter under
+ * `versions/{section}`. A save states the counters it last saw; if another
+ * tab or user has moved a counter on since, the save is stale and is
+ * rejected instead of overwriting their work.
+ */
+
+// Sections guarded by a revision counter
+export const VERSIONED_SECTIONS = ['designData', 'spaceData', 'equipmentData', 'inventoryData', 'boqData'];
+
+export const SECTION_LABELS = {
+  designData: 'Design Inputs',
+  spaceData: 'Space Considered',
+  equipmentData: 'Equipment Selection',
+  inventoryData: 'Inventory',
+  boqData: 'BOQ'
+};
+
+/**
+ * Thrown when a save was based on an older revision of the project
+ */
+export class ProjectConflictError extends Error {
+  /**
+   * @param {string[]} sections - Sections changed elsewhere
+   * @param {Object} remoteVersions - Counters currently in the database
+   * @param {string} [projectId]
+   */
+  constructor(sections = [], remoteVersions = {}, projectId = null) {
+    super(`Project changed elsewhere (${sections.map(section => SECTION_LABELS[section] || section).join(', ')})`);
+    this.name = 'ProjectConflictError';
+    this.code = 'project/conflict';
+    this.sections = sections;
+    this.remoteVersions = remoteVersions;
+    this.projectId = projectId;
+  }
+}
+
+/**
+ * @param {Error} error
+ * @returns {boolean} Whether a save failed because the project changed elsewhere
+ */
+export function isProjectConflict(error) {
+  return error?.code === 'project/conflict';
+}
+
+/**
+ * @param {Object} data - Save payload
+ * @returns {string[]} Versioned sections present in the payload
+ */
+export function getSavedSections(data = {}) {
+  return VERSIONED_SECTIONS.filter(section => data?.[section]);
+}
+
+/**
+ * Sections whose counter in the database differs from the one last seen here
+ * @param {Object} current - Counters in the database
+ * @param {Object} known - Counters last seen by this client
+ * @param {string[]} sections - Sections about to be written
+ * @returns {string[]}
+ */
+export function findStaleSections(current = {}, known = {}, sections = []) {
+  return sections.filter(section => (current?.[section] || 0) !== (known?.[section] || 0));
+}
+
+/**
+ * @param {Object} current - Counters in the database
+ * @param {string[]} sections - Sections being written
+ * @returns {Object} Counters after the write
+ */
+export function bumpVersions(current = {}, sections = []) {
+  return sections.reduce((versions, section) => ({
+    ...versions,
+    [section]: (versions[section] || 0) + 1
+  }), { ...(current || {}) });
+}
+
+/**
+ * Take the database counters for the given sections, keeping the rest
+ * @param {Object} known - Counters last seen by this client
+ * @param {Object} remote - Counters in the database
+ * @param {string[]} [sections] - Sections now in sync (default: all)
+ * @returns {Object}
+ */
+export function adoptVersions(known = {}, remote = {}, sections = VERSIONED_SECTIONS) {
+  return sections.reduce((versions, section) => ({
+    ...versions,
+    [section]: remote?.[section] || 0
+  }), { ...(known || {}) });
+}
+
+export default {
+  VERSIONED_SECTIONS,
+  SECTION_LABELS,
+  ProjectConflictError,
+  isProjectConflict,
+  getSavedSections,
+  findStaleSections,
+  bumpVersions,
+  adoptVersions
+};
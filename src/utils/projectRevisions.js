@@ -0,0 +1,241 @@
+/**
+ * Project Revisions
+ * Named snapshots of a project ("R0 Tender", "R1 After client comments") and
+ * the comparison between two of them: which rooms, loads, equipment and BOQ
+ * lines changed. Snapshots hold the five workflow sections only, never the
+ * revision list itself or transient UI state.
+ */
+
+export const REVISION_SECTIONS = ['designData', 'spaceData', 'equipmentData', 'inventoryData', 'boqData'];
+
+const ROOM_LOAD_FIELDS = [
+  { field: 'area', label: 'Area (sq.ft)' },
+  { field: 'tonnage', label: 'Cooling (TR)' },
+  { field: 'totalCfm', label: 'Supply CFM' },
+  { field: 'sensibleHeat', label: 'Sensible (BTU/hr)' },
+  { field: 'latentHeat', label: 'Latent (BTU/hr)' },
+  { field: 'totalHeat', label: 'Total (BTU/hr)' },
+  { field: 'heatingTons', label: 'Heating (TR)' }
+];
+
+const EQUIPMENT_FIELDS = [
+  { field: 'iduType', label: 'IDU Type' },
+  { field: 'machineCapacity', label: 'IDU Capacity (TR)' },
+  { field: 'numIDUs', label: 'No. of IDUs' },
+  { field: 'diversityFactor', label: 'Diversity' },
+  { field: 'oduHP', label: 'ODU (HP)' },
+  { field: 'selectedODU', label: 'Selected ODU' }
+];
+
+const BOQ_FIELDS = [
+  { field: 'quantity', label: 'Qty' },
+  { field: 'unitPrice', label: 'Rate' },
+  { field: 'totalPrice', label: 'Amount' }
+];
+
+const DESIGN_FIELDS = [
+  { path: ['ambient', 'dbF'], label: 'Ambient DB (°F)' },
+  { path: ['ambient', 'wbF'], label: 'Ambient WB (°F)' },
+  { path: ['ambient', 'rh'], label: 'Ambient RH (%)' },
+  { path: ['inside', 'dbF'], label: 'Inside DB (°F)' },
+  { path: ['inside', 'rh'], label: 'Inside RH (%)' },
+  { path: ['meta', 'climateCity'], label: 'Climate City' },
+  { path: ['meta', 'latitude'], label: 'Latitude' },
+  { path: ['meta', 'designMonth'], label: 'Design Month' },
+  { path: ['winter', 'dbF'], label: 'Winter DB (°F)' }
+];
+
+const num = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+/**
+ * Compare two stored values; numbers (and numeric strings) with a small tolerance
+ */
+const sameValue = (a, b) => {
+  const numA = typeof a === 'string' && a.trim() !== '' ? Number(a) : a;
+  const numB = typeof b === 'string' && b.trim() !== '' ? Number(b) : b;
+  if (typeof numA === 'number' && typeof numB === 'number' && Number.isFinite(numA) && Number.isFinite(numB)) {
+    return Math.abs(numA - numB) < 1e-6;
+  }
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+};
+
+const fieldChanges = (from = {}, to = {}, fields) => fields
+  .filter(({ field }) => !sameValue(from?.[field], to?.[field]))
+  .map(({ field, label }) => ({ field, label, from: from?.[field] ?? null, to: to?.[field] ?? null }));
+
+/**
+ * Match two keyed collections into added / removed / changed entries
+ */
+function diffCollections(fromMap, toMap, describe) {
+  const keys = [...new Set([...Object.keys(fromMap), ...Object.keys(toMap)])];
+  return keys.flatMap((key) => {
+    const before = fromMap[key];
+    const after = toMap[key];
+    if (!before) return [{ key, status: 'added', ...describe(after, key), changes: [] }];
+    if (!after) return [{ key, status: 'removed', ...describe(before, key), changes: [] }];
+    const entry = describe(after, key, before);
+    return entry.changes.length > 0 ? [{ key, status: 'changed', ...entry }] : [];
+  });
+}
+
+/**
+ * Build the snapshot stored with a revision
+ * Firebase drops undefined values, so the snapshot is JSON-normalized up front.
+ * @param {Object} projectData - Project as loaded by HVACDataService.loadProjectData
+ * @returns {Object} { designData, spaceData, equipmentData, inventoryData, boqData, currentStep }
+ */
+export function createRevisionSnapshot(projectData = {}) {
+  const snapshot = {};
+  REVISION_SECTIONS.forEach((section) => {
+    if (projectData?.[section] !== undefined && projectData?.[section] !== null) {
+      snapshot[section] = JSON.parse(JSON.stringify(projectData[section]));
+    }
+  });
+  snapshot.currentStep = projectData?.currentStep || 1;
+  return snapshot;
+}
+
+/**
+ * Headline figures of a snapshot, shown in the revision list
+ * @param {Object} snapshot - Revision snapshot
+ * @returns {Object} { rooms, totalTR, totalCFM, boqTotal }
+ */
+export function summarizeSnapshot(snapshot = {}) {
+  const calculations = Object.values(snapshot?.spaceData?.roomCalculations || {});
+  return {
+    rooms: calculations.length,
+    totalTR: calculations.reduce((sum, calc) => sum + num(calc?.heatLoadData?.tonnage), 0),
+    totalCFM: calculations.reduce((sum, calc) => sum + num(calc?.heatLoadData?.totalCfm), 0),
+    boqTotal: num(snapshot?.boqData?.summary?.grandTotal)
+  };
+}
+
+/**
+ * Next revision label: R0 for the first revision, then one above the highest Rn
+ * @param {Array} revisions - Existing revisions ({ label })
+ * @returns {string}
+ */
+export function getNextRevisionLabel(revisions = []) {
+  const numbers = revisions
+    .map((revision) => /^R(\d+)$/i.exec(revision?.label || ''))
+    .filter(Boolean)
+    .map((match) => parseInt(match[1], 10));
+  return numbers.length > 0 ? `R${Math.max(...numbers) + 1}` : 'R0';
+}
+
+const roomMap = (snapshot) => snapshot?.spaceData?.roomCalculations || {};
+
+const equipmentMap = (snapshot) => Object.fromEntries(
+  (snapshot?.equipmentData?.floors || []).flatMap((floor) => (floor?.rooms || []).map((room) => [
+    room.key || `${floor.floorId}_${room.roomId}`,
+    { ...room, floorName: floor.floorName }
+  ]))
+);
+
+const boqLineDescription = (item) => item?.type || item?.name || item?.model || 'Item';
+
+const boqMap = (snapshot) => {
+  const boq = snapshot?.boqData || {};
+  return Object.fromEntries(['indoorUnits', 'outdoorUnits', 'accessories'].flatMap((group) => (
+    Object.values(boq[group] || {}).map((item) => [`${group}:${boqLineDescription(item)}`, { ...item, group }])
+  )));
+};
+
+/**
+ * Compare two revision snapshots
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot (or the current project)
+ * @returns {Object} { design, rooms, loads, equipment, boq, hasChanges }
+ */
+export function diffRevisions(from = {}, to = {}) {
+  const design = DESIGN_FIELDS
+    .map(({ path, label }) => ({
+      field: path.join('.'),
+      label,
+      from: path.reduce((value, key) => value?.[key], from?.designData) ?? null,
+      to: path.reduce((value, key) => value?.[key], to?.designData) ?? null
+    }))
+    .filter((change) => !sameValue(change.from, change.to));
+
+  const rooms = diffCollections(roomMap(from), roomMap(to), (calc, key, before) => {
+    const changes = before ? fieldChanges(before.heatLoadData, calc.heatLoadData, ROOM_LOAD_FIELDS) : [];
+    if (before && !sameValue(before.roomName, calc.roomName)) {
+      changes.unshift({ field: 'roomName', label: 'Name', from: before.roomName ?? null, to: calc.roomName ?? null });
+    }
+    const inputsChanged = before
+      ? [...new Set([...Object.keys(before.formData || {}), ...Object.keys(calc.formData || {})])]
+          .filter((field) => !sameValue(before.formData?.[field], calc.formData?.[field]))
+      : [];
+    return {
+      name: calc?.roomName || key,
+      floorName: calc?.floorName || '',
+      changes: changes.length > 0 || inputsChanged.length === 0
+        ? changes
+        : [{ field: 'formData', label: 'Inputs', from: null, to: inputsChanged.join(', ') }],
+      inputsChanged
+    };
+  });
+
+  const fromTotals = summarizeSnapshot(from);
+  const toTotals = summarizeSnapshot(to);
+  const loads = {
+    from: fromTotals,
+    to: toTotals,
+    changes: [
+      { field: 'rooms', label: 'Rooms calculated' },
+      { field: 'totalTR', label: 'Total cooling (TR)' },
+      { field: 'totalCFM', label: 'Total CFM' }
+    ].filter(({ field }) => !sameValue(fromTotals[field], toTotals[field]))
+      .map(({ field, label }) => ({ field, label, from: fromTotals[field], to: toTotals[field] }))
+  };
+
+  const equipment = diffCollections(equipmentMap(from), equipmentMap(to), (room, key, before) => ({
+    name: room?.roomName || key,
+    floorName: room?.floorName || '',
+    changes: before ? fieldChanges(before, room, EQUIPMENT_FIELDS) : []
+  }));
+  if (!sameValue(from?.equipmentData?.systemType, to?.equipmentData?.systemType)) {
+    equipment.unshift({
+      key: 'systemType',
+      status: 'changed',
+      name: 'System Type',
+      floorName: '',
+      changes: [{ field: 'systemType', label: 'System', from: from?.equipmentData?.systemType ?? null, to: to?.equipmentData?.systemType ?? null }]
+    });
+  }
+
+  const boq = diffCollections(boqMap(from), boqMap(to), (item, key, before) => ({
+    name: boqLineDescription(item),
+    group: item.group,
+    changes: before ? fieldChanges(before, item, BOQ_FIELDS) : []
+  }));
+  if (!sameValue(fromTotals.boqTotal, toTotals.boqTotal)) {
+    boq.push({
+      key: 'summary:grandTotal',
+      status: 'changed',
+      name: 'Grand Total',
+      group: 'summary',
+      changes: [{ field: 'grandTotal', label: 'Amount', from: fromTotals.boqTotal, to: toTotals.boqTotal }]
+    });
+  }
+
+  return {
+    design,
+    rooms,
+    loads,
+    equipment,
+    boq,
+    hasChanges: design.length + rooms.length + loads.changes.length + equipment.length + boq.length > 0
+  };
+}
+
+export default {
+  REVISION_SECTIONS,
+  createRevisionSnapshot,
+  summarizeSnapshot,
+  getNextRevisionLabel,
+  diffRevisions
+};
@@ -0,0 +1,246 @@
+/**
+ * Psychrometric Chart Geometry
+ * Lays out a dry bulb (x) / humidity ratio (y) chart at the site pressure:
+ *
+ * - Relative humidity curves 10-100% (100% = saturation)
+ * - Wet bulb lines every 10°F
+ * - Design and process points: outside, room, mixed, ADP, coil leaving, supply
+ * - Mixing, coil and room SHR lines between them
+ *
+ * The geometry is plain data so the SVG component, its hover readout and the
+ * PDF export all draw the same chart. exportSvgToPNG is the one browser-only
+ * helper (canvas rasterizing).
+ *
+ * Units: °F and grains/lb, like psychrometrics.js.
+ */
+
+import { calculateHumidityRatio, calculatePsychrometrics, normalizePressure } from './psychrometrics';
+import { SENSIBLE_AIR_FACTOR, LATENT_AIR_FACTOR } from './roomLoadEngine';
+
+export const CHART_DEFAULTS = {
+  width: 720,
+  height: 460,
+  padding: { top: 20, right: 60, bottom: 40, left: 20 },
+  minDB: 30,
+  maxDB: 120,
+  maxGrains: 200,
+  dbStep: 10,
+  grainsStep: 20
+};
+
+export const CHART_POINTS = {
+  outdoor: { label: 'Outside', short: 'O', color: '#dc2626' },
+  room: { label: 'Room', short: 'R', color: '#2563eb' },
+  mixed: { label: 'Coil entering (mixed)', short: 'M', color: '#9333ea' },
+  adp: { label: 'ADP', short: 'A', color: '#0f766e' },
+  coilLeaving: { label: 'Coil leaving', short: 'L', color: '#0891b2' },
+  supply: { label: 'Supply', short: 'S', color: '#16a34a' }
+};
+
+const RH_CURVES = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+const WB_LINES = [40, 50, 60, 70, 80, 90];
+// Dry bulb step of the RH curves (°F)
+const CURVE_STEP = 2;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+const ceilTo = (value, step) => Math.ceil(value / step) * step;
+
+/**
+ * Air state readout at a chart position
+ * @param {number} dbF
+ * @param {number} grains
+ * @param {number|string} [pressure]
+ * @returns {Object|null} calculatePsychrometrics state, null above saturation or below dry air
+ */
+export function getChartState(dbF, grains, pressure) {
+  const kPa = normalizePressure(pressure);
+  if (!(grains > 0) || grains > calculateHumidityRatio(dbF, 100, kPa)) return null;
+  try {
+    return calculatePsychrometrics({ dbF, humidityRatio: grains }, kPa);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Chart points and lines for the design conditions and, when resolved, a coil process
+ * @param {Object} input
+ * @param {Object} [input.outdoor] - { dbF, grains }
+ * @param {Object} [input.room] - { dbF, grains }
+ * @param {Object} [input.coilProcess] - From resolveCoilProcess
+ * @param {number} [input.shf] - Room SHR for the SHR line when there is no coil process
+ * @param {number|string} [input.pressure]
+ * @returns {Object} { points: [{ key, label, short, color, dbF, grains }], lines: [{ kind, from, to }] }
+ */
+export function getProcessChartData({ outdoor, room, coilProcess, shf, pressure } = {}) {
+  const kPa = normalizePressure(pressure);
+  const valid = (state) => state?.dbF > 0 && state?.grains > 0;
+  const states = {};
+
+  if (coilProcess?.states) {
+    const { states: process } = coilProcess;
+    states.outdoor = { dbF: process.outdoor.dbF, grains: process.outdoor.humidityRatio };
+    states.room = { dbF: process.room.dbF, grains: process.room.humidityRatio };
+    states.mixed = { dbF: process.mixed.dbF, grains: process.mixed.humidityRatio };
+    states.adp = { dbF: coilProcess.adpF, grains: round(calculateHumidityRatio(coilProcess.adpF, 100, kPa), 1) };
+    states.coilLeaving = { dbF: process.coilLeaving.dbF, grains: process.coilLeaving.humidityRatio };
+    if (process.supply.dbF !== process.coilLeaving.dbF) {
+      states.supply = { dbF: process.supply.dbF, grains: process.supply.humidityRatio };
+    }
+  } else {
+    if (valid(outdoor)) states.outdoor = { dbF: outdoor.dbF, grains: outdoor.grains };
+    if (valid(room)) states.room = { dbF: room.dbF, grains: room.grains };
+  }
+
+  const points = Object.entries(states).map(([key, state]) => ({ key, ...CHART_POINTS[key], ...state }));
+  const lines = [];
+  const add = (kind, from, to) => {
+    if (from && to) lines.push({ kind, from, to });
+  };
+
+  if (coilProcess?.states) {
+    add('mixing', states.outdoor, states.room);
+    add('coil', states.mixed, states.adp);
+    add('shr', states.room, states.adp);
+    add('reheat', states.coilLeaving, states.supply);
+  } else if (states.room && shf > 0 && shf < 1) {
+    // Room SHR line down to 20°F below the room
+    const deltaT = 20;
+    const deltaGrains = (SENSIBLE_AIR_FACTOR * deltaT * (1 - shf)) / (LATENT_AIR_FACTOR * shf);
+    add('shr', states.room, { dbF: states.room.dbF - deltaT, grains: states.room.grains - deltaGrains });
+  }
+
+  return { points, lines };
+}
+
+/**
+ * Lay out the chart
+ * @param {Object} data - { points, lines } from getProcessChartData
+ * @param {Object} [options] - { pressure, width, height } (see CHART_DEFAULTS); the DB and
+ *   humidity ranges grow to take in every point
+ * @returns {Object} { width, height, plot, xTicks, yTicks, rhCurves, wbLines, points, lines, toChart, fromChart }
+ */
+export function buildPsychrometricChart({ points = [], lines = [] } = {}, options = {}) {
+  const settings = { ...CHART_DEFAULTS, ...options };
+  const kPa = normalizePressure(options.pressure);
+  const { width, height, padding, minDB, dbStep, grainsStep } = settings;
+  const maxDB = Math.max(settings.maxDB, ...points.map(point => ceilTo(point.dbF + 1, dbStep)));
+  const maxGrains = Math.max(settings.maxGrains, ...points.map(point => ceilTo(point.grains + 1, grainsStep)));
+
+  const plot = {
+    left: padding.left,
+    top: padding.top,
+    right: width - padding.right,
+    bottom: height - padding.bottom
+  };
+  const x = (dbF) => round(plot.left + ((dbF - minDB) / (maxDB - minDB)) * (plot.right - plot.left), 1);
+  const y = (grains) => round(plot.bottom - (grains / maxGrains) * (plot.bottom - plot.top), 1);
+  const toChart = (dbF, grains) => ({ x: x(dbF), y: y(grains) });
+  const fromChart = (px, py) => ({
+    dbF: round(minDB + ((px - plot.left) / (plot.right - plot.left)) * (maxDB - minDB), 1),
+    grains: round(((plot.bottom - py) / (plot.bottom - plot.top)) * maxGrains, 1)
+  });
+
+  const xTicks = [];
+  for (let dbF = minDB; dbF <= maxDB; dbF += dbStep) xTicks.push({ value: dbF, x: x(dbF) });
+  const yTicks = [];
+  for (let grains = 0; grains <= maxGrains; grains += grainsStep) yTicks.push({ value: grains, y: y(grains) });
+
+  // RH curves, cut where they leave the top of the chart
+  const rhCurves = RH_CURVES.map(rh => {
+    const coords = [];
+    for (let dbF = minDB; dbF <= maxDB; dbF += CURVE_STEP) {
+      const grains = calculateHumidityRatio(dbF, rh, kPa);
+      if (grains > maxGrains) {
+        const previous = coords[coords.length - 1];
+        if (previous) {
+          // Finish the curve on the top edge
+          const previousDB = dbF - CURVE_STEP;
+          const previousGrains = calculateHumidityRatio(previousDB, rh, kPa);
+          const crossing = previousDB + CURVE_STEP * (maxGrains - previousGrains) / (grains - previousGrains);
+          coords.push(toChart(crossing, maxGrains));
+        }
+        break;
+      }
+      coords.push(toChart(dbF, grains));
+    }
+    const last = coords[coords.length - 1];
+    return {
+      rh,
+      path: coords.map((point, index) => `${index === 0 ? 'M' : 'L'}${point.x},${point.y}`).join(' '),
+      label: last
+    };
+  });
+
+  // Wet bulb lines: straight from saturation down to dry air
+  const wbLines = WB_LINES
+    .filter(wbF => wbF > minDB && calculateHumidityRatio(wbF, 100, kPa) <= maxGrains)
+    .map(wbF => {
+      const saturated = calculateHumidityRatio(wbF, 100, kPa);
+      const drier = calculatePsychrometrics({ dbF: wbF + 10, wbF }, kPa).humidityRatio;
+      // Grains lost per °F along the line, run out to the bottom of the chart
+      const slope = (saturated - drier) / 10;
+      const dryDB = Math.min(maxDB, wbF + saturated / slope);
+      const dryGrains = Math.max(0, saturated - slope * (dryDB - wbF));
+      return { wbF, from: toChart(wbF, saturated), to: toChart(dryDB, dryGrains) };
+    });
+
+  return {
+    width,
+    height,
+    minDB,
+    maxDB,
+    maxGrains,
+    plot,
+    xTicks,
+    yTicks,
+    rhCurves,
+    wbLines,
+    points: points.map(point => ({ ...point, ...toChart(point.dbF, point.grains) })),
+    lines: lines.map(line => ({ ...line, from: toChart(line.from.dbF, line.from.grains), to: toChart(line.to.dbF, line.to.grains) })),
+    toChart,
+    fromChart
+  };
+}
+
+/**
+ * Rasterize a rendered chart (browser only)
+ * The SVG must carry its styling as attributes: page CSS does not reach an
+ * SVG drawn into a canvas.
+ * @param {SVGSVGElement} svg
+ * @param {number} [scale] - Pixel density of the PNG
+ * @returns {Promise<string>} PNG data URL
+ */
+export function exportSvgToPNG(svg, scale = 2) {
+  return new Promise((resolve, reject) => {
+    if (!svg) {
+      reject(new Error('Chart is not rendered'));
+      return;
+    }
+    const width = svg.viewBox.baseVal.width || svg.clientWidth;
+    const height = svg.viewBox.baseVal.height || svg.clientHeight;
+    const markup = new XMLSerializer().serializeToString(svg);
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/png'));
+    };
+    image.onerror = () => reject(new Error('Chart could not be rasterized'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+  });
+}
+
+export default {
+  CHART_DEFAULTS,
+  CHART_POINTS,
+  getChartState,
+  getProcessChartData,
+  buildPsychrometricChart,
+  exportSvgToPNG
+};
@@ -15,6 +15,7 @@ const CONSTANTS = {
   // Standard atmospheric pressure at sea level (psia)
   STANDARD_PRESSURE: 14.696, // psia
   STANDARD_PRESSURE_PA: 101325, // Pa
+  STANDARD_PRESSURE_KPA: 101.325, // kPa
   
   // Gas constant for water vapor
   R_WATER_VAPOR: 461.5, // J/(kg·K)
@@ -36,86 +37,88 @@ const CONSTANTS = {
 
 /**
  * Indian Climate Data based on ISHRAE Standards
- * Design conditions for major Indian cities
+ * Design conditions for major Indian cities. Each season records the month it
+ * represents; a city may also carry `monthly` (12 × { db, wb }) design data,
+ * otherwise getMonthlyDesignConditions interpolates between the seasons.
  */
 export const INDIAN_CLIMATE_DATA = {
   // Northern India
   'Delhi': {
-    summer: { db: 113, wb: 84.2, rh: 35 }, // May
-    monsoon: { db: 95, wb: 86, rh: 75 }, // July
-    winter: { db: 77, wb: 59, rh: 55 }, // January
+    summer: { db: 113, wb: 84.2, rh: 35, month: 5 }, // May
+    monsoon: { db: 95, wb: 86, rh: 75, month: 7 }, // July
+    winter: { db: 77, wb: 59, rh: 55, month: 1 }, // January
     elevation: 216, // meters
     latitude: 28.6,
     longitude: 77.2
   },
   'Mumbai': {
-    summer: { db: 91.4, wb: 82.4, rh: 75 }, // May
-    monsoon: { db: 86, wb: 82, rh: 85 }, // July
-    winter: { db: 86, wb: 68, rh: 60 }, // January
+    summer: { db: 91.4, wb: 82.4, rh: 75, month: 5 }, // May
+    monsoon: { db: 86, wb: 82, rh: 85, month: 7 }, // July
+    winter: { db: 86, wb: 68, rh: 60, month: 1 }, // January
     elevation: 11,
     latitude: 19.1,
     longitude: 72.9
   },
   'Kolkata': {
-    summer: { db: 100.4, wb: 86, rh: 70 }, // May
-    monsoon: { db: 91.4, wb: 86, rh: 85 }, // July
-    winter: { db: 82.4, wb: 64.4, rh: 65 }, // January
+    summer: { db: 100.4, wb: 86, rh: 70, month: 5 }, // May
+    monsoon: { db: 91.4, wb: 86, rh: 85, month: 7 }, // July
+    winter: { db: 82.4, wb: 64.4, rh: 65, month: 1 }, // January
     elevation: 6,
     latitude: 22.6,
     longitude: 88.4
   },
   'Chennai': {
-    summer: { db: 100.4, wb: 84.2, rh: 65 }, // May
-    monsoon: { db: 95, wb: 84.2, rh: 80 }, // October
-    winter: { db: 86, wb: 75.2, rh: 70 }, // January
+    summer: { db: 100.4, wb: 84.2, rh: 65, month: 5 }, // May
+    monsoon: { db: 95, wb: 84.2, rh: 80, month: 10 }, // October
+    winter: { db: 86, wb: 75.2, rh: 70, month: 1 }, // January
     elevation: 6,
     latitude: 13.1,
     longitude: 80.3
   },
   'Bangalore': {
-    summer: { db: 95, wb: 73.4, rh: 55 }, // April
-    monsoon: { db: 82.4, wb: 73.4, rh: 80 }, // July
-    winter: { db: 82.4, wb: 64.4, rh: 60 }, // January
+    summer: { db: 95, wb: 73.4, rh: 55, month: 4 }, // April
+    monsoon: { db: 82.4, wb: 73.4, rh: 80, month: 7 }, // July
+    winter: { db: 82.4, wb: 64.4, rh: 60, month: 1 }, // January
     elevation: 920,
     latitude: 12.9,
     longitude: 77.6
   },
   'Hyderabad': {
-    summer: { db: 109.4, wb: 82.4, rh: 45 }, // May
-    monsoon: { db: 91.4, wb: 80.6, rh: 75 }, // July
-    winter: { db: 86, wb: 64.4, rh: 55 }, // January
+    summer: { db: 109.4, wb: 82.4, rh: 45, month: 5 }, // May
+    monsoon: { db: 91.4, wb: 80.6, rh: 75, month: 7 }, // July
+    winter: { db: 86, wb: 64.4, rh: 55, month: 1 }, // January
     elevation: 542,
     latitude: 17.4,
     longitude: 78.5
   },
   'Pune': {
-    summer: { db: 104, wb: 77, rh: 45 }, // April
-    monsoon: { db: 86, wb: 78.8, rh: 80 }, // July
-    winter: { db: 86, wb: 59, rh: 50 }, // January
+    summer: { db: 104, wb: 77, rh: 45, month: 4 }, // April
+    monsoon: { db: 86, wb: 78.8, rh: 80, month: 7 }, // July
+    winter: { db: 86, wb: 59, rh: 50, month: 1 }, // January
     elevation: 560,
     latitude: 18.5,
     longitude: 73.9
   },
   'Ahmedabad': {
-    summer: { db: 113, wb: 82.4, rh: 35 }, // May
-    monsoon: { db: 95, wb: 84.2, rh: 70 }, // July
-    winter: { db: 86, wb: 59, rh: 50 }, // January
+    summer: { db: 113, wb: 82.4, rh: 35, month: 5 }, // May
+    monsoon: { db: 95, wb: 84.2, rh: 70, month: 7 }, // July
+    winter: { db: 86, wb: 59, rh: 50, month: 1 }, // January
     elevation: 53,
     latitude: 23.0,
     longitude: 72.6
   },
   'Jaipur': {
-    summer: { db: 113, wb: 82.4, rh: 30 }, // May
-    monsoon: { db: 100.4, wb: 84.2, rh: 65 }, // July
-    winter: { db: 77, wb: 55.4, rh: 50 }, // January
+    summer: { db: 113, wb: 82.4, rh: 30, month: 5 }, // May
+    monsoon: { db: 100.4, wb: 84.2, rh: 65, month: 7 }, // July
+    winter: { db: 77, wb: 55.4, rh: 50, month: 1 }, // January
     elevation: 431,
     latitude: 26.9,
     longitude: 75.8
   },
   'Lucknow': {
-    summer: { db: 113, wb: 86, rh: 40 }, // May
-    monsoon: { db: 95, wb: 86, rh: 80 }, // July
-    winter: { db: 77, wb: 59, rh: 60 }, // January
+    summer: { db: 113, wb: 86, rh: 40, month: 5 }, // May
+    monsoon: { db: 95, wb: 86, rh: 80, month: 7 }, // July
+    winter: { db: 77, wb: 59, rh: 60, month: 1 }, // January
     elevation: 123,
     latitude: 26.8,
     longitude: 80.9
@@ -160,51 +163,160 @@ export const STANDARD_INDOOR_CONDITIONS = {
   }
 };
 
+const fToC = (f) => (f - 32) * 5 / 9;
+const cToF = (c) => c * 9 / 5 + 32;
+const KPA_TO_PSIA = 0.145037738;
+const GRAINS_PER_LB = 7000;
+
+// Ratio of the molecular masses of water vapour and dry air (ASHRAE Fundamentals 2017, Ch. 1)
+const MOLECULAR_MASS_RATIO = 0.621945;
+
+/**
+ * Barometric pressure at a site elevation
+ * ASHRAE Fundamentals 2017, Ch. 1, Eq. 3 (standard atmosphere)
+ * @param {number} elevationM - Elevation above sea level (m)
+ * @returns {number} Atmospheric pressure (kPa)
+ */
+export function calculateAtmosphericPressure(elevationM = 0) {
+  const z = Number(elevationM) || 0;
+  return CONSTANTS.STANDARD_PRESSURE_KPA * Math.pow(1 - 2.25577e-5 * z, 5.2559);
+}
+
+/**
+ * Barometric pressure for a city in INDIAN_CLIMATE_DATA
+ * @param {string} city - City name
+ * @returns {number} Atmospheric pressure (kPa), sea level for unknown cities
+ */
+export function getCityPressure(city) {
+  const cityData = INDIAN_CLIMATE_DATA[city];
+  return calculateAtmosphericPressure(cityData ? cityData.elevation : 0);
+}
+
+/**
+ * Normalize a stored atmospheric pressure to kPa
+ * Older design records stored pressure in hPa (1013.25); anything above
+ * 200 is treated as hPa, missing values fall back to sea level.
+ * @param {number|string} pressure - Stored pressure (kPa or hPa)
+ * @returns {number} Atmospheric pressure (kPa)
+ */
+export function normalizePressure(pressure) {
+  const value = parseFloat(pressure);
+  if (!Number.isFinite(value) || value <= 0) {
+    return CONSTANTS.STANDARD_PRESSURE_KPA;
+  }
+  return value > 200 ? value / 10 : value;
+}
+
+/**
+ * Saturation pressure of water vapour (Hyland-Wexler)
+ * Over ice below 0°C and over liquid water from 0 to 200°C
+ * ASHRAE Fundamentals 2017, Ch. 1, Eqs. 5 and 6
+ * @param {number} tempC - Temperature (°C)
+ * @returns {number} Saturation pressure (kPa)
+ */
+function saturationPressureKPa(tempC) {
+  const T = tempC + CONSTANTS.KELVIN_OFFSET;
+  let lnPws;
+
+  if (tempC < 0) {
+    lnPws = -5.6745359e3 / T + 6.3925247 - 9.677843e-3 * T + 6.2215701e-7 * T * T
+      + 2.0747825e-9 * Math.pow(T, 3) - 9.484024e-13 * Math.pow(T, 4) + 4.1635019 * Math.log(T);
+  } else {
+    lnPws = -5.8002206e3 / T + 1.3914993 - 4.8640239e-2 * T + 4.1764768e-5 * T * T
+      - 1.4452093e-8 * Math.pow(T, 3) + 6.5459673 * Math.log(T);
+  }
+
+  return Math.exp(lnPws) / 1000;
+}
+
+/**
+ * Humidity ratio from water vapour partial pressure (Eq. 20)
+ * @returns {number} Humidity ratio (kg/kg dry air)
+ */
+function humidityRatioFromVapourPressure(pw, pressure) {
+  if (pw >= pressure) {
+    throw new Error('Vapour pressure cannot exceed atmospheric pressure');
+  }
+  return MOLECULAR_MASS_RATIO * pw / (pressure - pw);
+}
+
+function vapourPressureFromHumidityRatio(W, pressure) {
+  return pressure * W / (MOLECULAR_MASS_RATIO + W);
+}
+
 /**
- * Calculate saturation pressure using Antoine equation
- * More accurate than Magnus formula for HVAC applications
+ * Humidity ratio implied by a dry bulb / thermodynamic wet bulb pair
+ * ASHRAE Fundamentals 2017, Ch. 1, Eqs. 33 (wet bulb above freezing) and 35 (below)
+ * @returns {number} Humidity ratio (kg/kg dry air)
+ */
+function humidityRatioFromWetBulb(dbC, wbC, pressure) {
+  const Wsat = humidityRatioFromVapourPressure(saturationPressureKPa(wbC), pressure);
+
+  if (wbC >= 0) {
+    return ((2501 - 2.326 * wbC) * Wsat - 1.006 * (dbC - wbC)) / (2501 + 1.86 * dbC - 4.186 * wbC);
+  }
+  return ((2830 - 0.24 * wbC) * Wsat - 1.006 * (dbC - wbC)) / (2830 + 1.86 * dbC - 2.1 * wbC);
+}
+
+/**
+ * Bisection root finder for the monotonic relations used by the solver
+ * @param {Function} fn - Function whose root is sought
+ * @param {number} low - Lower bound
+ * @param {number} high - Upper bound
+ * @returns {number} Root within 1e-6
+ */
+function bisect(fn, low, high) {
+  let fLow = fn(low);
+  let mid = (low + high) / 2;
+
+  for (let i = 0; i < 100 && high - low > 1e-6; i++) {
+    mid = (low + high) / 2;
+    const fMid = fn(mid);
+    if (fMid === 0) break;
+    if ((fMid > 0) === (fLow > 0)) {
+      low = mid;
+      fLow = fMid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return mid;
+}
+
+// Dew point (°C) by inverting the Hyland-Wexler saturation curve
+function dewPointFromVapourPressure(pw) {
+  if (pw <= 0) {
+    throw new Error('Humidity must be greater than zero');
+  }
+  return bisect((t) => saturationPressureKPa(t) - pw, -100, 200);
+}
+
+// Thermodynamic wet bulb (°C) lies between the dew point and the dry bulb
+function wetBulbFromHumidityRatio(dbC, W, pressure) {
+  const dewPointC = dewPointFromVapourPressure(vapourPressureFromHumidityRatio(W, pressure));
+  return bisect((t) => humidityRatioFromWetBulb(dbC, t, pressure) - W, Math.min(dewPointC, dbC), dbC);
+}
+
+/**
+ * Calculate saturation pressure using the Hyland-Wexler formulation
  * @param {number} tempF - Temperature in Fahrenheit
  * @returns {number} Saturation pressure in psia
  */
 export function calculateSaturationPressure(tempF) {
-  const tempC = (tempF - 32) * 5/9;
-  
-  // Antoine equation constants for water (valid 1-100°C)
-  const A = 8.07131;
-  const B = 1730.63;
-  const C = 233.426;
-  
-  // Calculate saturation pressure in mmHg
-  const logPsat = A - (B / (tempC + C));
-  const psatMmHg = Math.pow(10, logPsat);
-  
-  // Convert to psia
-  const psatPsia = psatMmHg * CONSTANTS.MMHG_TO_PA / 6895; // Convert to psia
-  
-  return psatPsia;
+  return saturationPressureKPa(fToC(tempF)) * KPA_TO_PSIA;
 }
 
 /**
  * Calculate humidity ratio (grains per lb) from dry bulb and relative humidity
- * Using verified moisture content formula
  * @param {number} dbF - Dry bulb temperature (°F)
  * @param {number} rh - Relative humidity (%)
  * @param {number} pressure - Atmospheric pressure (kPa, default 101.325)
  * @returns {number} Humidity ratio (grains/lb dry air)
  */
-export function calculateHumidityRatio(dbF, rh, pressure = 101.325) {
-  // Calculate dew point first
-  const dewPointF = calculateDewPoint(dbF, rh);
-  const dewPointC = (dewPointF - 32) * 5/9;
-  
-  // Calculate saturation vapor pressure at dew point using verified formula
-  const e = 0.61078 * Math.exp((17.27 * dewPointC) / (dewPointC + 237.3)); // kPa
-  
-  // Calculate moisture content (kg water / kg dry air)
-  const W = 0.621945 * e / (pressure - e);
-  
-  // Convert to grains per pound (1 kg/kg = 7000 grains/lb)
-  return W * 7000;
+export function calculateHumidityRatio(dbF, rh, pressure = CONSTANTS.STANDARD_PRESSURE_KPA) {
+  const pw = (rh / 100) * saturationPressureKPa(fToC(dbF));
+  return humidityRatioFromVapourPressure(pw, pressure) * GRAINS_PER_LB;
 }
 
 /**
@@ -215,55 +327,35 @@ export function calculateHumidityRatio(dbF, rh, pressure = 101.325) {
  * @returns {number} Relative humidity (%)
  */
 export function calculateRelativeHumidity(dbF, humidityRatio, pressure = CONSTANTS.STANDARD_PRESSURE) {
-  const w = humidityRatio / 7000; // Convert to lb/lb
-  const pws = calculateSaturationPressure(dbF);
-  
-  // Partial pressure of water vapor
-  const pw = (w * pressure) / (0.62198 + w);
-  
-  // Relative humidity
-  const rh = (pw / pws) * 100;
-  
+  const pw = vapourPressureFromHumidityRatio(humidityRatio / GRAINS_PER_LB, pressure);
+  const rh = (pw / calculateSaturationPressure(dbF)) * 100;
+
   return Math.min(100, Math.max(0, rh));
 }
 
 /**
  * Calculate dew point temperature from dry bulb and relative humidity
- * Using Magnus formula (verified accurate)
+ * Inverts the Hyland-Wexler saturation curve, so it is independent of pressure
  * @param {number} dbF - Dry bulb temperature (°F)
  * @param {number} rh - Relative humidity (%)
  * @returns {number} Dew point temperature (°F)
  */
 export function calculateDewPoint(dbF, rh) {
-  // Convert to Celsius
-  const dbC = (dbF - 32) * 5/9;
-  
-  // Magnus formula for dew point
-  const alpha = (17.27 * dbC) / (237.3 + dbC) + Math.log(rh / 100);
-  const dewPointC = (237.3 * alpha) / (17.27 - alpha);
-  
-  // Convert back to Fahrenheit
-  return dewPointC * 9/5 + 32;
+  const pw = (rh / 100) * saturationPressureKPa(fToC(dbF));
+  return cToF(dewPointFromVapourPressure(pw));
 }
 
 /**
- * Calculate wet bulb temperature from dry bulb and relative humidity
- * Using Stull (2011) empirical approximation formula
+ * Calculate thermodynamic wet bulb temperature from dry bulb and relative humidity
+ * Solved iteratively from the ASHRAE wet bulb / humidity ratio relation
  * @param {number} dbF - Dry bulb temperature (°F)
  * @param {number} rh - Relative humidity (%)
+ * @param {number} pressure - Atmospheric pressure (kPa, default 101.325)
  * @returns {number} Wet bulb temperature (°F)
  */
-export function calculateWetBulb(dbF, rh) {
-  // Convert to Celsius for Stull formula
-  const dbC = (dbF - 32) * 5/9;
-  
-  // Stull (2011) empirical wet-bulb approximation formula
-  const wbC = dbC * Math.atan(0.151977 * Math.sqrt(rh + 8.313659)) +
-              Math.atan(dbC + rh) - Math.atan(rh - 1.676331) +
-              0.00391838 * Math.pow(rh, 1.5) * Math.atan(0.023101 * rh) - 4.686035;
-  
-  // Convert back to Fahrenheit
-  return wbC * 9/5 + 32;
+export function calculateWetBulb(dbF, rh, pressure = CONSTANTS.STANDARD_PRESSURE_KPA) {
+  const W = calculateHumidityRatio(dbF, rh, pressure) / GRAINS_PER_LB;
+  return cToF(wetBulbFromHumidityRatio(fToC(dbF), W, pressure));
 }
 
 /**
@@ -273,7 +365,7 @@ export function calculateWetBulb(dbF, rh) {
  * @returns {number} Enthalpy (Btu/lb dry air)
  */
 export function calculateEnthalpy(dbF, humidityRatio) {
-  const w = humidityRatio / 7000; // Convert to lb/lb
+  const w = humidityRatio / GRAINS_PER_LB; // Convert to lb/lb
   
   // Enthalpy calculation (Btu/lb dry air)
   const h = 0.240 * dbF + w * (1061 + 0.444 * dbF);
@@ -283,6 +375,7 @@ export function calculateEnthalpy(dbF, humidityRatio) {
 
 /**
  * Calculate specific volume of moist air
+ * ASHRAE Fundamentals 2017, Ch. 1, Eq. 26 (I-P)
  * @param {number} dbF - Dry bulb temperature (°F)
  * @param {number} humidityRatio - Humidity ratio (grains/lb)
  * @param {number} pressure - Atmospheric pressure (psia)
@@ -290,94 +383,131 @@ export function calculateEnthalpy(dbF, humidityRatio) {
  */
 export function calculateSpecificVolume(dbF, humidityRatio, pressure = CONSTANTS.STANDARD_PRESSURE) {
   const dbR = dbF + 459.67; // Convert to Rankine
-  const w = humidityRatio / 7000; // Convert to lb/lb
-  
-  // Specific volume calculation
-  const v = 0.754 * dbR * (1 + 1.608 * w) / pressure;
+  const w = humidityRatio / GRAINS_PER_LB; // Convert to lb/lb
   
-  return v;
+  return 0.370486 * dbR * (1 + 1.607858 * w) / pressure;
 }
 
 /**
  * Calculate relative humidity from dry bulb and wet bulb temperatures
- * Using iterative method to find RH that produces the given wet bulb
  * @param {number} dbF - Dry bulb temperature (°F)
  * @param {number} wbF - Wet bulb temperature (°F)
+ * @param {number} pressure - Atmospheric pressure (kPa, default 101.325)
  * @returns {number} Relative humidity (%)
  */
-export function calculateRHFromWetBulb(dbF, wbF) {
+export function calculateRHFromWetBulb(dbF, wbF, pressure = CONSTANTS.STANDARD_PRESSURE_KPA) {
   if (wbF > dbF) {
     throw new Error('Wet bulb temperature cannot exceed dry bulb temperature');
   }
-  
-  let rhLow = 0;
-  let rhHigh = 100;
-  let rh = 50;
-  let iteration = 0;
-  const maxIterations = 50;
-  const tolerance = 0.01;
-  
-  while (iteration < maxIterations) {
-    const calculatedWB = calculateWetBulb(dbF, rh);
-    const error = calculatedWB - wbF;
-    
-    if (Math.abs(error) < tolerance) {
-      break;
+
+  const dbC = fToC(dbF);
+  const pw = vapourPressureFromHumidityRatio(humidityRatioFromWetBulb(dbC, fToC(wbF), pressure), pressure);
+
+  return Math.max(0, Math.min(100, (pw / saturationPressureKPa(dbC)) * 100));
+}
+
+const INPUT_KEYS = ['dbF', 'wbF', 'rh', 'dewPoint', 'humidityRatio'];
+
+/**
+ * Resolve dry bulb (°C) and humidity ratio (kg/kg) from any two state properties
+ * Pairs that include the dry bulb are solved directly; the others search the
+ * dry bulb between the wet bulb (or dew point) and 100°C above it.
+ */
+function resolveState(given, pressure) {
+  if (given.rh !== undefined && (given.rh <= 0 || given.rh > 100)) {
+    throw new Error('Relative humidity must be between 0 and 100%');
+  }
+
+  // Dew point and humidity ratio both fix the moisture content
+  let W;
+  if (given.humidityRatio !== undefined) {
+    W = given.humidityRatio / GRAINS_PER_LB;
+  } else if (given.dewPoint !== undefined) {
+    W = humidityRatioFromVapourPressure(saturationPressureKPa(fToC(given.dewPoint)), pressure);
+  }
+
+  if (given.dbF !== undefined) {
+    const dbC = fToC(given.dbF);
+
+    if (W !== undefined) return { dbC, W };
+    if (given.rh !== undefined) {
+      return { dbC, W: humidityRatioFromVapourPressure((given.rh / 100) * saturationPressureKPa(dbC), pressure) };
     }
-    
-    if (error > 0) {
-      // Calculated WB is too high, reduce RH
-      rhHigh = rh;
-      rh = (rhLow + rh) / 2;
-    } else {
-      // Calculated WB is too low, increase RH
-      rhLow = rh;
-      rh = (rh + rhHigh) / 2;
+    if (given.wbF > given.dbF) {
+      throw new Error('Wet bulb temperature cannot exceed dry bulb temperature');
     }
-    
-    iteration++;
+    return { dbC, W: humidityRatioFromWetBulb(dbC, fToC(given.wbF), pressure) };
   }
-  
-  return Math.max(0, Math.min(100, rh));
+
+  if (W !== undefined && given.rh !== undefined) {
+    const pws = vapourPressureFromHumidityRatio(W, pressure) / (given.rh / 100);
+    return { dbC: dewPointFromVapourPressure(pws), W };
+  }
+
+  if (W !== undefined && given.wbF !== undefined) {
+    const wbC = fToC(given.wbF);
+    if (W > humidityRatioFromWetBulb(wbC, wbC, pressure)) {
+      throw new Error('Humidity ratio exceeds saturation at the given wet bulb');
+    }
+    return { dbC: bisect((t) => humidityRatioFromWetBulb(t, wbC, pressure) - W, wbC, wbC + 100), W };
+  }
+
+  if (given.wbF !== undefined && given.rh !== undefined) {
+    const wbC = fToC(given.wbF);
+    const rhAt = (t) => {
+      const pw = vapourPressureFromHumidityRatio(humidityRatioFromWetBulb(t, wbC, pressure), pressure);
+      return (pw / saturationPressureKPa(t)) * 100;
+    };
+    const dbC = bisect((t) => rhAt(t) - given.rh, wbC, wbC + 100);
+    return { dbC, W: humidityRatioFromWetBulb(dbC, wbC, pressure) };
+  }
+
+  throw new Error('Dew point and humidity ratio describe the same moisture content; add dry bulb, wet bulb or RH');
 }
 
 /**
- * Complete psychrometric calculation from various input combinations
- * Using verified formulas for accurate calculations
- * @param {Object} input - Input properties (need at least two of: dbF, wbF, rh)
- * @param {number} pressure - Atmospheric pressure (kPa, default 101.325)
+ * Complete psychrometric state from any two of dry bulb, wet bulb, RH,
+ * dew point and humidity ratio (ASHRAE Fundamentals 2017, Ch. 1)
+ * When more than two are supplied, pairs including the dry bulb take precedence.
+ * @param {Object} input - Any two of: dbF, wbF (°F), rh (%), dewPoint (°F), humidityRatio (grains/lb)
+ * @param {number} pressure - Atmospheric pressure (kPa, default 101.325); see calculateAtmosphericPressure
  * @returns {Object} Complete psychrometric properties
  */
-export function calculatePsychrometrics(input, pressure = 101.325) {
-  let dbF, wbF, rh, dewPoint, humidityRatio;
-  
-  // Determine what inputs we have and calculate missing properties
-  if (input.dbF !== undefined && input.rh !== undefined) {
-    // Dry bulb and relative humidity given (most common case)
-    dbF = input.dbF;
-    rh = input.rh;
-    wbF = calculateWetBulb(dbF, rh);
-    dewPoint = calculateDewPoint(dbF, rh);
-    humidityRatio = calculateHumidityRatio(dbF, rh, pressure);
-  } else if (input.dbF !== undefined && input.wbF !== undefined) {
-    // Dry bulb and wet bulb given
-    dbF = input.dbF;
-    wbF = input.wbF;
-    rh = calculateRHFromWetBulb(dbF, wbF);
-    dewPoint = calculateDewPoint(dbF, rh);
-    humidityRatio = calculateHumidityRatio(dbF, rh, pressure);
-  } else {
-    throw new Error('Need at least two properties: dry bulb + (wet bulb OR relative humidity)');
+export function calculatePsychrometrics(input, pressure = CONSTANTS.STANDARD_PRESSURE_KPA) {
+  const given = {};
+  INPUT_KEYS.forEach((key) => {
+    const value = input?.[key];
+    if (value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value))) {
+      given[key] = Number(value);
+    }
+  });
+
+  if (Object.keys(given).length < 2) {
+    throw new Error('Need at least two properties: dry bulb, wet bulb, relative humidity, dew point or humidity ratio');
   }
-  
-  // Calculate additional properties
+
+  const { dbC, W } = resolveState(given, pressure);
+  if (W <= 0) {
+    throw new Error('Inputs describe air with no moisture');
+  }
+
+  const pw = vapourPressureFromHumidityRatio(W, pressure);
+  const rh = (pw / saturationPressureKPa(dbC)) * 100;
+  if (rh > 100.05) {
+    throw new Error('Inputs describe supersaturated air (RH above 100%)');
+  }
+
+  const dbF = cToF(dbC);
+  const humidityRatio = W * GRAINS_PER_LB;
+  const wbF = cToF(wetBulbFromHumidityRatio(dbC, W, pressure));
+  const dewPoint = cToF(dewPointFromVapourPressure(pw));
   const enthalpy = calculateEnthalpy(dbF, humidityRatio);
-  const specificVolume = calculateSpecificVolume(dbF, humidityRatio, pressure * 0.145037738); // Convert kPa to psia for volume calc
+  const specificVolume = calculateSpecificVolume(dbF, humidityRatio, pressure * KPA_TO_PSIA);
   
   return {
     dbF: Number(dbF.toFixed(1)),
     wbF: Number(wbF.toFixed(3)),
-    rh: Number(rh.toFixed(1)),
+    rh: Number(Math.min(100, rh).toFixed(1)),
     dewPoint: Number(dewPoint.toFixed(2)),
     humidityRatio: Number(humidityRatio.toFixed(1)),
     enthalpy: Number(enthalpy.toFixed(2)),
@@ -390,7 +520,8 @@ export function calculatePsychrometrics(input, pressure = 101.325) {
  * Get climate data for a specific city and season
  * @param {string} city - City name
  * @param {string} season - Season (summer, monsoon, winter)
- * @returns {Object} Climate data with complete psychrometric properties
+ * @returns {Object} Climate data with complete psychrometric properties at the city's
+ *   altitude-corrected pressure
  */
 export function getClimateData(city, season = 'summer') {
   const cityData = INDIAN_CLIMATE_DATA[city];
@@ -403,11 +534,11 @@ export function getClimateData(city, season = 'summer') {
     throw new Error(`Season data not available for ${city} - ${season}`);
   }
   
-  // Calculate complete psychrometric properties
+  // Calculate complete psychrometric properties at the site pressure
   const psychrometrics = calculatePsychrometrics({
     dbF: seasonData.db,
     wbF: seasonData.wb
-  });
+  }, calculateAtmosphericPressure(cityData.elevation));
   
   return {
     ...psychrometrics,
@@ -419,12 +550,51 @@ export function getClimateData(city, season = 'summer') {
   };
 }
 
+/**
+ * Design dry bulb / wet bulb for every month of the year
+ * Uses the city's `monthly` table when present; otherwise interpolates linearly
+ * (wrapping over the year end) between the months of its seasonal design points.
+ * @param {string} city - City name
+ * @returns {Array} 12 × { month, db, wb }, month 1-12
+ */
+export function getMonthlyDesignConditions(city) {
+  const cityData = INDIAN_CLIMATE_DATA[city];
+  if (!cityData) {
+    throw new Error(`Climate data not available for ${city}`);
+  }
+
+  if (Array.isArray(cityData.monthly) && cityData.monthly.length === 12) {
+    return cityData.monthly.map((conditions, index) => ({ month: index + 1, db: conditions.db, wb: conditions.wb }));
+  }
+
+  const anchors = ['summer', 'monsoon', 'winter']
+    .map((season) => cityData[season])
+    .filter((season) => season && season.month)
+    .sort((a, b) => a.month - b.month);
+
+  return Array.from({ length: 12 }, (_, index) => {
+    const month = index + 1;
+    const nextIndex = anchors.findIndex((anchor) => anchor.month >= month);
+    const next = anchors[nextIndex === -1 ? 0 : nextIndex];
+    const previous = next.month === month
+      ? next
+      : anchors[((nextIndex === -1 ? 0 : nextIndex) - 1 + anchors.length) % anchors.length];
+
+    const span = (next.month - previous.month + 12) % 12;
+    const t = span === 0 ? 0 : ((month - previous.month + 12) % 12) / span;
+    const lerp = (a, b) => Number((a + (b - a) * t).toFixed(1));
+
+    return { month, db: lerp(previous.db, next.db), wb: lerp(previous.wb, next.wb) };
+  });
+}
+
 /**
  * Get standard indoor conditions for a specific application
  * @param {string} application - Application type
+ * @param {number} pressure - Atmospheric pressure (kPa, default 101.325)
  * @returns {Object} Indoor conditions with complete psychrometric properties
  */
-export function getStandardIndoorConditions(application) {
+export function getStandardIndoorConditions(application, pressure = CONSTANTS.STANDARD_PRESSURE_KPA) {
   const standardData = STANDARD_INDOOR_CONDITIONS[application];
   if (!standardData) {
     throw new Error(`Standard conditions not available for ${application}`);
@@ -434,7 +604,7 @@ export function getStandardIndoorConditions(application) {
   const psychrometrics = calculatePsychrometrics({
     dbF: standardData.summer.db,
     rh: standardData.summer.rh
-  });
+  }, pressure);
   
   return {
     ...psychrometrics,
@@ -446,7 +616,11 @@ export function getStandardIndoorConditions(application) {
 
 export default {
   calculatePsychrometrics,
+  calculateAtmosphericPressure,
+  getCityPressure,
+  normalizePressure,
   getClimateData,
+  getMonthlyDesignConditions,
   getStandardIndoorConditions,
   INDIAN_CLIMATE_DATA,
   STANDARD_INDOOR_CONDITIONS
@@ -0,0 +1,432 @@
+/**
+ * Rate Library (schedule of rates)
+ * The rates every BOQ line is priced from, kept per user and versioned on
+ * each save. A rate carries:
+ *
+ * - code: what it prices - a schedule line code (CU-15.88, TU-<model id>),
+ *   a model number, or a generic code (IDU-wallMounted per TR, ODU-TOP per HP,
+ *   ACC-wiredRemotes per unit)
+ * - basis: per unit, or per TR / HP of the line's capacity
+ * - supplier, and the effective window (effectiveFrom / effectiveTo, ISO
+ *   dates, either open)
+ * - discount and margin: net rate = rate × (1 - discount) × (1 + margin);
+ *   an empty discount falls back to the supplier's, then the library's,
+ *   an empty margin to the library's
+ *
+ * A line is priced from the first of its codes with a rate in force on the
+ * pricing date; of several, the latest to take effect. Lines no rate covers
+ * keep the price their schedule came with and are flagged. Rates import from
+ * XLSX/CSV schedules with readRateWorkbook.
+ */
+
+import * as XLSX from 'xlsx';
+import { IDU_TYPES } from './equipmentCatalog';
+
+export const RATE_BASIS = {
+  unit: { name: 'Per unit' },
+  TR: { name: 'Per TR' },
+  HP: { name: 'Per HP' }
+};
+
+// Reference indoor unit rate per TR (₹15k) times the type's multiplier
+const IDU_RATE_PER_TR = 15000;
+const IDU_MULTIPLIERS = {
+  wallMounted: 1.0,
+  roundCST: 1.2,
+  cassette4Way2x2: 1.3,
+  cassette4Way3x3: 1.4,
+  cassette2Way: 1.25,
+  cassette1Way: 1.2,
+  lowStaticDuct: 1.5,
+  highStaticDuct: 1.6,
+  floorStanding: 1.1,
+  ceilingSuspended: 1.15,
+  flrs: 1.8
+};
+
+// Accessories and site materials: [key, item, unit, rate]
+const ACCESSORY_RATES = [
+  ['wiredRemotes', 'Wired Remote Controller', 'Nos', 2500],
+  ['wirelessRemotes', 'Wireless Remote Controller', 'Nos', 1500],
+  ['centralController', 'Central Controller', 'Nos', 45000],
+  ['copperPiping', 'Copper Refrigerant Piping', 'Mtr', 450],
+  ['refrigerantGas', 'Refrigerant Gas R410A', 'Kg', 800],
+  ['drainPiping', 'Condensate Drain Piping', 'Mtr', 120],
+  ['drainPump', 'Condensate Drain Pump', 'Nos', 3500],
+  ['pipeInsulation', 'Pipe Insulation', 'Mtr', 180],
+  ['acousticInsulation', 'Acoustic Insulation', 'Sqm', 350],
+  ['powerCable', 'Power Cable', 'Mtr', 250],
+  ['controlCable', 'Control Cable', 'Mtr', 80],
+  ['oduMountingPads', 'ODU Mounting Pads', 'Nos', 2500],
+  ['iduMounts', 'IDU Mounting Brackets', 'Nos', 800],
+  ['vibrationIsolators', 'Vibration Isolators', 'Nos', 450],
+  ['isolationValves', 'Isolation Valves', 'Nos', 1200],
+  ['filterDriers', 'Filter Driers', 'Nos', 1800],
+  ['branchBoxes', 'Refrigerant Branch Boxes', 'Nos', 8500]
+];
+
+/**
+ * Code of an accessory rate
+ * @param {string} key - Inventory item key (wiredRemotes, copperPiping, ...)
+ * @returns {string} Rate code
+ */
+export const getAccessoryRateCode = (key) => `ACC-${key}`;
+
+/**
+ * Code of an outdoor unit rate per HP
+ * @param {string} type - combined, topDischarge or sideDischarge
+ * @returns {string} Rate code
+ */
+export const getODURateCode = (type) => ({ combined: 'ODU-COMBINED', topDischarge: 'ODU-TOP', sideDischarge: 'ODU-SIDE' }[type] || 'ODU');
+
+const rate = (fields) => ({
+  supplier: '',
+  discountPercent: null,
+  marginPercent: null,
+  effectiveFrom: '',
+  effectiveTo: '',
+  ...fields
+});
+
+// Starting rates of a new library, so every BOQ line has one
+export const REFERENCE_RATES = [
+  rate({ code: 'IDU', item: 'Indoor unit', unit: 'Nos', basis: 'TR', rate: IDU_RATE_PER_TR }),
+  ...Object.entries(IDU_MULTIPLIERS).map(([type, multiplier]) => rate({
+    code: `IDU-${type}`,
+    item: `Indoor unit, ${IDU_TYPES[type]?.name || type}`,
+    unit: 'Nos',
+    basis: 'TR',
+    rate: Math.round(IDU_RATE_PER_TR * multiplier)
+  })),
+  rate({ code: 'ODU', item: 'VRF outdoor unit', unit: 'Nos', basis: 'HP', rate: 12000 }),
+  rate({ code: 'ODU-COMBINED', item: 'VRF outdoor unit, combined', unit: 'Nos', basis: 'HP', rate: 12000 }),
+  rate({ code: 'ODU-TOP', item: 'VRF outdoor unit, top discharge', unit: 'Nos', basis: 'HP', rate: 13000 }),
+  rate({ code: 'ODU-SIDE', item: 'VRF outdoor unit, side discharge', unit: 'Nos', basis: 'HP', rate: 11000 }),
+  ...ACCESSORY_RATES.map(([key, item, unit, price]) => rate({ code: getAccessoryRateCode(key), item, unit, basis: 'unit', rate: price }))
+];
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+const percent = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+/**
+ * New library holding the reference rates
+ * @param {Object} [fields] - { name, defaults, supplierDiscounts, rates }
+ * @returns {Object} { name, version, updatedAt, defaults: { discountPercent, marginPercent },
+ *   supplierDiscounts: [{ supplier, discountPercent }], rates }
+ */
+export function createRateLibrary(fields = {}) {
+  return {
+    name: 'Schedule of rates',
+    version: 0,
+    updatedAt: null,
+    defaults: { discountPercent: 0, marginPercent: 0 },
+    supplierDiscounts: [],
+    rates: REFERENCE_RATES,
+    ...fields
+  };
+}
+
+/**
+ * Rate after discount and margin
+ * @param {Object} entry - Rate
+ * @param {Object} [library] - For the supplier and library defaults
+ * @returns {number} Net rate
+ */
+export function getNetRate(entry, library = {}) {
+  const discount = percent(entry.discountPercent) ??
+    percent((library.supplierDiscounts || []).find(rule => rule.supplier === entry.supplier)?.discountPercent) ??
+    percent(library.defaults?.discountPercent) ?? 0;
+  const margin = percent(entry.marginPercent) ?? percent(library.defaults?.marginPercent) ?? 0;
+  return round(Number(entry.rate || 0) * (1 - discount / 100) * (1 + margin / 100));
+}
+
+/**
+ * @param {Object} entry - Rate
+ * @param {string} date - ISO date (YYYY-MM-DD)
+ * @returns {boolean} Whether the rate is in force on the date
+ */
+export function isRateEffective(entry, date) {
+  return (!entry.effectiveFrom || entry.effectiveFrom <= date) && (!entry.effectiveTo || date <= entry.effectiveTo);
+}
+
+/**
+ * @param {Date} [date]
+ * @returns {string} ISO date (YYYY-MM-DD) in local time
+ */
+export function toISODate(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Rate in force for the first of the codes that has one
+ * @param {Object} library
+ * @param {string[]} codes - Most specific first
+ * @param {string} [date] - ISO date (default today)
+ * @returns {Object|null} Rate
+ */
+export function findRate(library, codes, date = toISODate()) {
+  for (const code of codes.filter(Boolean)) {
+    const match = (library?.rates || [])
+      .filter(entry => entry.code === code && isRateEffective(entry, date))
+      .sort((a, b) => (b.effectiveFrom || '').localeCompare(a.effectiveFrom || ''))[0];
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Net rate in force for the first of the codes that has one
+ * @param {Object} library
+ * @param {string[]} codes - Most specific first
+ * @param {string} [date] - ISO date (default today)
+ * @returns {number} Net rate, 0 without one
+ */
+export function getUnitRate(library, codes, date) {
+  const entry = findRate(library, codes, date);
+  return entry ? getNetRate(entry, library) : 0;
+}
+
+/**
+ * Price a BOQ line from the library
+ * @param {Object} library
+ * @param {Object} line - { code, quantity, unitPrice, ... }
+ * @param {Object} [options]
+ * @param {string[]} [options.codes] - Codes to try (default the line's own code)
+ * @param {Object} [options.capacity] - { TR, HP } of one unit, for per-capacity rates
+ * @param {string} [options.date] - ISO pricing date
+ * @returns {Object} Line with unitPrice, totalPrice and { rateCode, supplier, priced }
+ */
+export function priceLine(library, line, { codes = [line.code], capacity = {}, date } = {}) {
+  const entry = findRate(library, codes, date);
+  const basis = entry?.basis || 'unit';
+  const multiplier = basis === 'unit' ? 1 : Number(capacity[basis]) || 0;
+  if (!entry || !multiplier) {
+    return { ...line, totalPrice: Math.round((line.quantity || 0) * (line.unitPrice || 0)), rateCode: null, priced: false };
+  }
+  const unitPrice = round(getNetRate(entry, library) * multiplier);
+  return {
+    ...line,
+    unitPrice,
+    totalPrice: Math.round((line.quantity || 0) * unitPrice),
+    rateCode: entry.code,
+    supplier: entry.supplier || '',
+    priced: true
+  };
+}
+
+/**
+ * Price every line of a schedule by its code
+ * @param {Object} library
+ * @param {Array} lines - Schedule lines
+ * @param {string} [date] - ISO pricing date
+ * @returns {Array} Priced lines
+ */
+export function priceSchedule(library, lines = [], date) {
+  return lines.map(line => priceLine(library, line, { date }));
+}
+
+/**
+ * Rates for the lines the library does not cover, at the price they carry
+ * @param {Array} lines - Priced lines
+ * @returns {Array} Rates
+ */
+export function getMissingRates(lines = []) {
+  const byCode = new Map();
+  lines.filter(line => !line.priced && line.code).forEach(line => {
+    if (!byCode.has(line.code)) {
+      byCode.set(line.code, rate({ code: line.code, item: line.item || line.type || line.code, unit: line.unit || 'Nos', basis: 'unit', rate: line.unitPrice || 0 }));
+    }
+  });
+  return [...byCode.values()];
+}
+
+/**
+ * What a BOQ records about the rates it was priced with
+ * @param {Object} library
+ * @param {string} [date] - ISO pricing date
+ * @returns {Object} { name, version, updatedAt, pricedOn }
+ */
+export function getRateVersion(library, date = toISODate()) {
+  return { name: library?.name || '', version: library?.version || 0, updatedAt: library?.updatedAt || null, pricedOn: date };
+}
+
+/**
+ * Add imported rates; one with the code and start date of an existing rate replaces it
+ * @param {Array} rates - Library rates
+ * @param {Array} imported - New rates
+ * @returns {Array} Rates
+ */
+export function mergeRates(rates = [], imported = []) {
+  const key = (entry) => `${entry.code}|${entry.effectiveFrom || ''}`;
+  const byKey = new Map(rates.map(entry => [key(entry), entry]));
+  imported.forEach(entry => byKey.set(key(entry), entry));
+  return [...byKey.values()];
+}
+
+// ==================== SCHEDULE IMPORT ====================
+
+const normalize = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Header aliases (compared without case, spaces or punctuation)
+const SHEET_COLUMNS = {
+  code: ['code', 'itemcode', 'ratecode', 'sku', 'modelno', 'model', 'modelnumber', 'partno', 'partnumber'],
+  item: ['item', 'description', 'itemdescription', 'particulars', 'name'],
+  unit: ['unit', 'uom', 'units'],
+  basis: ['basis', 'per', 'ratebasis', 'priceper'],
+  rate: ['rate', 'raters', 'rateinr', 'baserate', 'unitrate', 'price', 'unitprice', 'listprice', 'amount'],
+  supplier: ['supplier', 'vendor', 'dealer', 'make', 'brand'],
+  discountPercent: ['discount', 'discountpercent', 'discountpct', 'disc'],
+  marginPercent: ['margin', 'marginpercent', 'marginpct', 'markup', 'markuppercent'],
+  effectiveFrom: ['effectivefrom', 'validfrom', 'from', 'effectivedate', 'startdate', 'wef'],
+  effectiveTo: ['effectiveto', 'validto', 'validtill', 'validupto', 'to', 'enddate', 'expiry']
+};
+
+const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const cleaned = String(value ?? '').replace(/[₹,%\s]|rs\.?|inr/gi, '');
+  const number = parseFloat(cleaned);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Read a date cell: Date, ISO text or Indian day-first text (19/10/2026)
+ * @returns {string|null} ISO date, '' when blank, null when unreadable
+ */
+function parseDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : toISODate(value);
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (iso) return `${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}`;
+  const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dayFirst) return `${dayFirst[3]}-${dayFirst[2].padStart(2, '0')}-${dayFirst[1].padStart(2, '0')}`;
+  return null;
+}
+
+const parseBasis = (value) => {
+  const text = normalize(value);
+  if (/^(per)?(tr|ton|tons)$/.test(text)) return 'TR';
+  if (/^(per)?hp$/.test(text)) return 'HP';
+  return 'unit';
+};
+
+/**
+ * Import rates from the rows of one sheet
+ * The header row (code and rate columns) may sit below a title block.
+ * Percentages may be given as 12, 12% or 0.12.
+ * @param {Array} rows - Sheet rows as arrays of cells
+ * @param {Object} [options] - { supplier } for schedules without a supplier column
+ * @returns {Object} { rates, errors: [{ line, message }] }
+ */
+export function parseRateRows(rows = [], { supplier = '' } = {}) {
+  let header = null;
+  for (let index = 0; index < Math.min(rows.length, 25) && !header; index++) {
+    const keys = rows[index].map(normalize);
+    const columns = Object.fromEntries(Object.entries(SHEET_COLUMNS).map(([field, aliases]) => (
+      [field, keys.findIndex(key => aliases.includes(key))]
+    )));
+    if (columns.code >= 0 && columns.rate >= 0) header = { index, columns };
+  }
+  if (!header) {
+    return { rates: [], errors: [{ line: 1, message: 'No header row with code and rate columns' }] };
+  }
+
+  const { columns } = header;
+  const rates = [];
+  const errors = [];
+
+  rows.slice(header.index + 1).forEach((row, offset) => {
+    const line = header.index + offset + 2;
+    const cell = (field) => (columns[field] >= 0 ? row[columns[field]] : '');
+    const text = (field) => String(cell(field) ?? '').trim();
+    const share = (field) => {
+      const value = parseNumber(cell(field));
+      if (value === null) return null;
+      return value > 0 && value < 1 && !String(cell(field)).includes('%') ? round(value * 100) : value;
+    };
+
+    if (row.every(value => String(value ?? '').trim() === '')) return;
+    const code = text('code');
+    const price = parseNumber(cell('rate'));
+    if (!code) {
+      errors.push({ line, message: 'Missing code' });
+      return;
+    }
+    if (price === null) {
+      errors.push({ line, message: `No rate for ${code}` });
+      return;
+    }
+    const effectiveFrom = parseDate(cell('effectiveFrom'));
+    const effectiveTo = parseDate(cell('effectiveTo'));
+    if (effectiveFrom === null || effectiveTo === null) {
+      errors.push({ line, message: `Unreadable effective date for ${code}` });
+      return;
+    }
+
+    rates.push(rate({
+      code,
+      item: text('item') || code,
+      unit: text('unit') || 'Nos',
+      basis: parseBasis(cell('basis')),
+      rate: price,
+      supplier: text('supplier') || supplier,
+      discountPercent: share('discountPercent'),
+      marginPercent: share('marginPercent'),
+      effectiveFrom,
+      effectiveTo
+    }));
+  });
+
+  return { rates, errors };
+}
+
+/**
+ * Read an XLSX/XLS/CSV schedule of rates; every sheet with a code and a
+ * rate column is imported
+ * @param {ArrayBuffer|string} data - File contents (text for CSV)
+ * @param {Object} [options] - { supplier }
+ * @returns {Object} { rates, errors: [{ sheet, line, message }] }
+ */
+export function readRateWorkbook(data, options = {}) {
+  // CSV cells stay text so day-first dates are not read month-first
+  const isText = typeof data === 'string';
+  const workbook = XLSX.read(data, { type: isText ? 'string' : 'array', cellDates: true, raw: isText });
+  const rates = [];
+  const errors = [];
+  let sheetsRead = 0;
+
+  workbook.SheetNames.forEach(sheet => {
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { header: 1, defval: '', raw: true });
+    const result = parseRateRows(rows, options);
+    if (result.rates.length === 0 && result.errors.length === 1 && result.errors[0].line === 1) return;
+    sheetsRead++;
+    rates.push(...result.rates);
+    errors.push(...result.errors.map(error => ({ sheet, ...error })));
+  });
+
+  if (sheetsRead === 0) {
+    errors.push({ sheet: workbook.SheetNames[0], line: 1, message: 'No header row with code and rate columns' });
+  }
+  return { rates, errors };
+}
+
+export default {
+  RATE_BASIS,
+  REFERENCE_RATES,
+  getAccessoryRateCode,
+  getODURateCode,
+  createRateLibrary,
+  getNetRate,
+  isRateEffective,
+  toISODate,
+  findRate,
+  getUnitRate,
+  priceLine,
+  priceSchedule,
+  getMissingRates,
+  getRateVersion,
+  mergeRates,
+  parseRateRows,
+  readRateWorkbook
+};
@@ -0,0 +1,516 @@
+/**
+ * Refrigerant Piping Network
+ * Models a VRF system's refrigerant piping as a tree: the outdoor unit at the
+ * root, refnet joints and headers at the branch points and indoor units at the
+ * leaves. Each node carries the pipe run that feeds it from its parent.
+ *
+ * - Runs are sized by the indoor unit capacity downstream of them; the main
+ *   pipe follows the outdoor unit and its gas line goes up a size on long runs
+ * - Refnet joints and headers are picked by downstream capacity and branch count
+ * - Actual, equivalent and first-branch lengths and level differences are
+ *   checked against the outdoor unit's limits
+ * - Copper, refnet fittings and insulation are itemized for the BOQ
+ *
+ * Sizes are typical of R410A VRF installation manuals; check them against the
+ * selected manufacturer's data book.
+ *
+ * Units: lengths and elevations m, capacities kW, tube OD mm.
+ */
+
+import { getDescendantIds } from './networkTree';
+
+export const NODE_TYPES = {
+  odu: { name: 'Outdoor unit', minBranches: 1, maxBranches: 1 },
+  joint: { name: 'Refnet joint', minBranches: 2, maxBranches: 2 },
+  header: { name: 'Refnet header', minBranches: 2, maxBranches: 8 },
+  idu: { name: 'Indoor unit', minBranches: 0, maxBranches: 0 }
+};
+
+/**
+ * Hard-drawn / annealed copper refrigerant tube
+ */
+export const COPPER_TUBES = [
+  { odMM: 6.35, inch: '1/4"', wallMM: 0.8, pricePerM: 190 },
+  { odMM: 9.52, inch: '3/8"', wallMM: 0.8, pricePerM: 270 },
+  { odMM: 12.7, inch: '1/2"', wallMM: 0.8, pricePerM: 360 },
+  { odMM: 15.88, inch: '5/8"', wallMM: 1.0, pricePerM: 520 },
+  { odMM: 19.05, inch: '3/4"', wallMM: 1.0, pricePerM: 640 },
+  { odMM: 22.22, inch: '7/8"', wallMM: 1.0, pricePerM: 760 },
+  { odMM: 28.58, inch: '1-1/8"', wallMM: 1.0, pricePerM: 980 },
+  { odMM: 34.92, inch: '1-3/8"', wallMM: 1.2, pricePerM: 1400 },
+  { odMM: 41.28, inch: '1-5/8"', wallMM: 1.45, pricePerM: 1950 },
+  { odMM: 53.98, inch: '2-1/8"', wallMM: 1.7, pricePerM: 2950 }
+];
+
+/**
+ * Gas and liquid line OD by the capacity a run serves (kW, up to)
+ */
+export const LINE_SIZES = [
+  { upToKW: 5.6, gasMM: 12.7, liquidMM: 6.35 },
+  { upToKW: 16, gasMM: 15.88, liquidMM: 9.52 },
+  { upToKW: 22.4, gasMM: 19.05, liquidMM: 9.52 },
+  { upToKW: 33, gasMM: 22.22, liquidMM: 9.52 },
+  { upToKW: 47, gasMM: 28.58, liquidMM: 12.7 },
+  { upToKW: 71, gasMM: 28.58, liquidMM: 15.88 },
+  { upToKW: 104, gasMM: 34.92, liquidMM: 19.05 },
+  { upToKW: 185, gasMM: 41.28, liquidMM: 19.05 },
+  { upToKW: Infinity, gasMM: 53.98, liquidMM: 22.22 }
+];
+
+/**
+ * Refnet joints (Y-branch kits) by downstream capacity
+ */
+export const REFNET_JOINTS = [
+  { model: 'GEN-RJ22', upToKW: 22.4, price: 2600 },
+  { model: 'GEN-RJ33', upToKW: 33, price: 3400 },
+  { model: 'GEN-RJ72', upToKW: 72, price: 4800 },
+  { model: 'GEN-RJ73', upToKW: Infinity, price: 7600 }
+];
+
+/**
+ * Refnet headers by branch count and downstream capacity
+ */
+export const REFNET_HEADERS = [
+  { model: 'GEN-RH4-22', branches: 4, upToKW: 22.4, price: 5400 },
+  { model: 'GEN-RH8-33', branches: 8, upToKW: 33, price: 7800 },
+  { model: 'GEN-RH8-72', branches: 8, upToKW: 72, price: 10800 },
+  { model: 'GEN-RH8-73', branches: 8, upToKW: Infinity, price: 14800 }
+];
+
+/**
+ * Closed-cell nitrile rubber insulation (₹/m) by tube OD (mm, up to) and thickness
+ */
+export const INSULATION_RATES = [
+  { upToMM: 12.7, 13: 60, 19: 85, 25: 120 },
+  { upToMM: 22.22, 13: 80, 19: 110, 25: 150 },
+  { upToMM: 34.92, 13: 110, 19: 150, 25: 200 },
+  { upToMM: Infinity, 13: 150, 19: 200, 25: 260 }
+];
+
+/**
+ * Limits used when the outdoor unit does not state its own
+ */
+export const DEFAULT_PIPING_LIMITS = {
+  maxActualLengthM: 165,
+  maxEquivalentLengthM: 190,
+  maxFirstBranchLengthM: 40,
+  maxTotalLengthM: 1000,
+  maxLevelDifferenceM: 50,
+  maxIDULevelDifferenceM: 30
+};
+
+// Equivalent length of a bend (m) by gas line OD (mm, up to)
+const BEND_EQUIVALENT_M = [[15.88, 0.2], [22.22, 0.3], [28.58, 0.4], [Infinity, 0.5]];
+// Equivalent length of a refnet fitting on the way to an indoor unit (m)
+const FITTING_EQUIVALENT_M = { joint: 0.5, header: 1.0 };
+// The main gas line goes up one size when the longest equivalent run reaches this (m)
+const MAIN_UPSIZE_LENGTH_M = 90;
+// Allowance on copper and insulation for cutting and wastage
+const PIPE_WASTAGE = 0.1;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+const nodeLabel = (node) => node.label || `${NODE_TYPES[node.type]?.name || 'Node'} ${node.id}`;
+const findTube = (odMM) => COPPER_TUBES.find(tube => tube.odMM === odMM);
+const insulationThickness = (line, odMM) => (line === 'liquid' ? 13 : odMM >= 28.58 ? 25 : 19);
+const sizeIndex = (kW) => LINE_SIZES.findIndex(size => kW <= size.upToKW);
+
+/**
+ * Piping limits of an outdoor unit
+ * @param {Object} odu - Catalog model, or a unit from getVRFOutdoorUnits
+ * @returns {Object} See DEFAULT_PIPING_LIMITS
+ */
+export function getPipingLimits(odu) {
+  const maxActualLengthM = odu?.maxPipeLengthM ?? odu?.maxPipeLength?.m ?? DEFAULT_PIPING_LIMITS.maxActualLengthM;
+  return {
+    maxActualLengthM,
+    maxEquivalentLengthM: odu?.maxEquivalentLengthM
+      ?? maxActualLengthM + (DEFAULT_PIPING_LIMITS.maxEquivalentLengthM - DEFAULT_PIPING_LIMITS.maxActualLengthM),
+    maxFirstBranchLengthM: odu?.maxFirstBranchLengthM ?? DEFAULT_PIPING_LIMITS.maxFirstBranchLengthM,
+    maxTotalLengthM: odu?.maxTotalPipeLengthM ?? DEFAULT_PIPING_LIMITS.maxTotalLengthM,
+    maxLevelDifferenceM: odu?.maxLevelDifferenceM ?? odu?.maxPipeDifference?.m ?? DEFAULT_PIPING_LIMITS.maxLevelDifferenceM,
+    maxIDULevelDifferenceM: odu?.maxIDULevelDifferenceM ?? DEFAULT_PIPING_LIMITS.maxIDULevelDifferenceM
+  };
+}
+
+/**
+ * New node with the next free id
+ * @param {Array} nodes - Existing nodes
+ * @param {Object} fields - { type, parentId, label, lengthM, bends, elevationM, capacityKW }
+ * @returns {Object} Node
+ */
+export function createPipingNode(nodes, fields) {
+  const next = nodes.reduce((max, node) => Math.max(max, parseInt(String(node.id).slice(1)) || 0), 0) + 1;
+  return {
+    id: `n${next}`,
+    type: 'idu',
+    parentId: null,
+    label: '',
+    lengthM: 0,
+    bends: 0,
+    elevationM: 0,
+    capacityKW: 0,
+    ...fields
+  };
+}
+
+/**
+ * Remove a node and everything fed through it (the outdoor unit stays)
+ * @param {Array} nodes
+ * @param {string} id
+ * @returns {Array} Remaining nodes
+ */
+export function removePipingNode(nodes, id) {
+  const target = nodes.find(node => node.id === id);
+  if (!target || target.type === 'odu') return nodes;
+  const removed = getDescendantIds(nodes, id).add(id);
+  return nodes.filter(node => !removed.has(node.id));
+}
+
+/**
+ * Starting network with the indoor units teed off one run in turn
+ * @param {Array} indoorUnits - [{ label, capacityKW, elevationM }]
+ * @param {Object} [options] - { oduLabel, oduElevationM, mainLengthM, runLengthM, branchLengthM }
+ * @returns {Object} { nodes }
+ */
+export function createChainNetwork(indoorUnits, options = {}) {
+  const {
+    oduLabel = 'ODU',
+    oduElevationM = 0,
+    mainLengthM = 15,
+    runLengthM = 6,
+    branchLengthM = 5
+  } = options;
+  const nodes = [createPipingNode([], { type: 'odu', label: oduLabel, elevationM: oduElevationM })];
+  const add = (fields) => {
+    const node = createPipingNode(nodes, fields);
+    nodes.push(node);
+    return node;
+  };
+
+  let parent = nodes[0];
+  let runLength = mainLengthM;
+  indoorUnits.forEach((unit, index) => {
+    const last = index === indoorUnits.length - 1;
+    if (!last) {
+      parent = add({ type: 'joint', parentId: parent.id, label: `J${index + 1}`, lengthM: runLength, bends: 2 });
+      runLength = runLengthM;
+    }
+    add({
+      type: 'idu',
+      parentId: parent.id,
+      label: unit.label || `IDU ${index + 1}`,
+      lengthM: indoorUnits.length === 1 ? mainLengthM : branchLengthM,
+      bends: 2,
+      elevationM: unit.elevationM ?? oduElevationM,
+      capacityKW: round(unit.capacityKW || 0, 1)
+    });
+  });
+
+  return { nodes };
+}
+
+/**
+ * Size and check a piping network
+ * @param {Object} network - { nodes }
+ * @param {Object} [odu] - Outdoor unit (catalog model or getVRFOutdoorUnits unit); sizes the main pipe and sets the limits
+ * @param {number} [quantity] - Outdoor modules on the main pipe
+ * @returns {Object} { segments, fittings, paths, totals, limits, checks, errors, ok }
+ */
+export function analysePipingNetwork(network, odu = null, quantity = 1) {
+  const nodes = network?.nodes || [];
+  const errors = [];
+  const children = new Map(nodes.map(node => [node.id, []]));
+  const roots = nodes.filter(node => node.type === 'odu');
+  const root = roots[0];
+
+  if (roots.length !== 1) errors.push('The network needs exactly one outdoor unit');
+  nodes.forEach(node => {
+    if (node.type === 'odu') return;
+    if (children.has(node.parentId)) children.get(node.parentId).push(node);
+  });
+
+  // Walk from the outdoor unit; anything not reached is not connected to it
+  const parents = new Map();
+  const order = [];
+  const stack = root ? [root] : [];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    order.push(node);
+    children.get(node.id).forEach(child => {
+      if (parents.has(child.id)) return;
+      parents.set(child.id, node);
+      stack.push(child);
+    });
+  }
+  const reached = new Set(order.map(node => node.id));
+  nodes.filter(node => !reached.has(node.id) && node !== root)
+    .forEach(node => errors.push(`${nodeLabel(node)} is not connected to the outdoor unit`));
+
+  order.forEach(node => {
+    const spec = NODE_TYPES[node.type];
+    const branches = children.get(node.id).length;
+    if (!spec) {
+      errors.push(`${nodeLabel(node)} has an unknown type`);
+      return;
+    }
+    if (branches < spec.minBranches || branches > spec.maxBranches) {
+      errors.push(spec.minBranches === spec.maxBranches
+        ? `${nodeLabel(node)} needs ${spec.minBranches} branch(es), has ${branches}`
+        : `${nodeLabel(node)} needs ${spec.minBranches}-${spec.maxBranches} branches, has ${branches}`);
+    }
+    if (node.type === 'idu' && !(node.capacityKW > 0)) errors.push(`${nodeLabel(node)} has no capacity`);
+    if (node.type === 'joint') {
+      for (let up = parents.get(node.id); up; up = parents.get(up.id)) {
+        if (up.type === 'header') {
+          errors.push(`${nodeLabel(node)}: a refnet joint cannot follow a header`);
+          break;
+        }
+      }
+    }
+  });
+
+  // Indoor unit capacity downstream of each node (children before parents)
+  const downstreamKW = new Map();
+  [...order].reverse().forEach(node => {
+    const own = node.type === 'idu' ? node.capacityKW || 0 : 0;
+    downstreamKW.set(node.id, children.get(node.id).reduce((sum, child) => sum + (downstreamKW.get(child.id) || 0), own));
+  });
+  const connectedKW = root ? downstreamKW.get(root.id) : 0;
+  const oduKW = (odu?.coolingKW ?? odu?.capacity?.kw ?? 0) * quantity;
+  const mainKW = Math.max(oduKW, connectedKW);
+  const mainIndex = sizeIndex(mainKW);
+
+  // Pipe run feeding each node; branches are never larger than the main
+  const segments = order.filter(node => node !== root).map(node => {
+    const parent = parents.get(node.id);
+    const main = parent === root;
+    const kW = main ? mainKW : downstreamKW.get(node.id);
+    const size = LINE_SIZES[main ? mainIndex : Math.min(sizeIndex(kW), mainIndex)];
+    const bendM = BEND_EQUIVALENT_M.find(([upTo]) => size.gasMM <= upTo)[1];
+    return {
+      id: node.id,
+      label: nodeLabel(node),
+      from: nodeLabel(parent),
+      type: node.type,
+      main,
+      downstreamKW: round(kW, 1),
+      gasMM: size.gasMM,
+      liquidMM: size.liquidMM,
+      lengthM: parseFloat(node.lengthM) || 0,
+      bends: parseInt(node.bends) || 0,
+      equivalentLengthM: round((parseFloat(node.lengthM) || 0) + (parseInt(node.bends) || 0) * bendM, 1)
+    };
+  });
+  const segmentById = new Map(segments.map(segment => [segment.id, segment]));
+
+  const fittings = order.filter(node => node.type === 'joint' || node.type === 'header').map(node => {
+    const branches = children.get(node.id).length;
+    // Fittings on the main pipe are sized for the outdoor unit
+    const kW = parents.get(node.id) === root ? mainKW : downstreamKW.get(node.id);
+    const kit = node.type === 'joint'
+      ? REFNET_JOINTS.find(joint => kW <= joint.upToKW)
+      : REFNET_HEADERS.find(header => branches <= header.branches && kW <= header.upToKW);
+    if (!kit) errors.push(`${nodeLabel(node)}: no header takes ${branches} branches`);
+    return {
+      id: node.id,
+      label: nodeLabel(node),
+      type: node.type,
+      branches,
+      downstreamKW: round(kW, 1),
+      model: kit?.model || null,
+      price: kit?.price || 0
+    };
+  });
+
+  // Route from the outdoor unit to each indoor unit
+  const firstBranch = root && children.get(root.id).find(node => node.type === 'joint' || node.type === 'header');
+  const paths = order.filter(node => node.type === 'idu').map(node => {
+    let actualM = 0;
+    let equivalentM = 0;
+    let fromFirstBranchM = 0;
+    let beyondFirstBranch = Boolean(firstBranch);
+    for (let at = node; at !== root; at = parents.get(at.id)) {
+      const segment = segmentById.get(at.id);
+      actualM += segment.lengthM;
+      equivalentM += segment.equivalentLengthM;
+      if (at === firstBranch) beyondFirstBranch = false;
+      if (beyondFirstBranch) fromFirstBranchM += segment.lengthM;
+      if (at !== node) equivalentM += FITTING_EQUIVALENT_M[at.type] || 0;
+    }
+    return {
+      id: node.id,
+      label: nodeLabel(node),
+      actualM: round(actualM, 1),
+      equivalentM: round(equivalentM, 1),
+      fromFirstBranchM: firstBranch ? round(fromFirstBranchM, 1) : 0,
+      levelM: round((parseFloat(node.elevationM) || 0) - (parseFloat(root.elevationM) || 0), 1)
+    };
+  });
+
+  const maxOf = (values) => (values.length > 0 ? Math.max(...values) : 0);
+  const elevations = paths.map(path => path.levelM);
+  const totals = {
+    iduCount: paths.length,
+    connectedKW: round(connectedKW, 1),
+    totalLengthM: round(segments.reduce((sum, segment) => sum + segment.lengthM, 0), 1),
+    maxActualLengthM: maxOf(paths.map(path => path.actualM)),
+    maxEquivalentLengthM: maxOf(paths.map(path => path.equivalentM)),
+    maxFirstBranchLengthM: maxOf(paths.map(path => path.fromFirstBranchM)),
+    maxLevelDifferenceM: maxOf(elevations.map(Math.abs)),
+    iduLevelDifferenceM: elevations.length > 0 ? round(Math.max(...elevations) - Math.min(...elevations), 1) : 0
+  };
+
+  // Long systems lose too much suction pressure on the standard main gas line
+  if (totals.maxEquivalentLengthM >= MAIN_UPSIZE_LENGTH_M) {
+    segments.filter(segment => segment.main).forEach(segment => {
+      const larger = COPPER_TUBES.find(tube => tube.odMM > segment.gasMM);
+      if (larger) {
+        segment.gasMM = larger.odMM;
+        segment.upsized = true;
+      }
+    });
+  }
+
+  const limits = getPipingLimits(odu);
+  const checks = [
+    ['actualLength', 'Longest actual pipe length', totals.maxActualLengthM, limits.maxActualLengthM],
+    ['equivalentLength', 'Longest equivalent pipe length', totals.maxEquivalentLengthM, limits.maxEquivalentLengthM],
+    ['firstBranch', 'First branch to farthest indoor unit', totals.maxFirstBranchLengthM, limits.maxFirstBranchLengthM],
+    ['totalLength', 'Total pipe length', totals.totalLengthM, limits.maxTotalLengthM],
+    ['levelDifference', 'Outdoor to indoor unit level difference', totals.maxLevelDifferenceM, limits.maxLevelDifferenceM],
+    ['iduLevelDifference', 'Indoor to indoor unit level difference', totals.iduLevelDifferenceM, limits.maxIDULevelDifferenceM]
+  ].map(([key, label, value, limit]) => ({ key, label, value, limit, unit: 'm', ok: value <= limit }));
+
+  return {
+    segments,
+    fittings,
+    paths,
+    totals,
+    limits,
+    checks,
+    errors,
+    ok: errors.length === 0 && checks.every(check => check.ok)
+  };
+}
+
+/**
+ * Site piping conditions for outdoor unit derating (see oduDerating)
+ * @param {Object} analysis - From analysePipingNetwork
+ * @returns {Object} { equivalentLengthM, levelDifferenceM }, empty when no indoor unit is connected
+ */
+export function getPipingConditions(analysis) {
+  if (!analysis?.totals?.iduCount) return {};
+  return {
+    equivalentLengthM: analysis.totals.maxEquivalentLengthM,
+    levelDifferenceM: analysis.totals.maxLevelDifferenceM
+  };
+}
+
+/**
+ * Itemized copper, refnet fitting and insulation schedule
+ * @param {Object} analysis - From analysePipingNetwork
+ * @param {Object} [options] - { wastage } allowance on copper and insulation lengths
+ * @returns {Array} [{ code, category, item, specification, quantity, unit, unitPrice, totalPrice }]
+ */
+export function getPipingSchedule(analysis, { wastage = PIPE_WASTAGE } = {}) {
+  const copper = new Map();
+  const insulation = new Map();
+  const addLength = (map, key, lengthM) => map.set(key, (map.get(key) || 0) + lengthM);
+
+  (analysis?.segments || []).forEach(segment => {
+    [['gas', segment.gasMM], ['liquid', segment.liquidMM]].forEach(([line, odMM]) => {
+      addLength(copper, odMM, segment.lengthM);
+      addLength(insulation, `${odMM}|${insulationThickness(line, odMM)}`, segment.lengthM);
+    });
+  });
+  const withAllowance = (lengthM) => Math.ceil(lengthM * (1 + wastage));
+  const line = (fields) => ({ ...fields, totalPrice: Math.round(fields.quantity * fields.unitPrice) });
+
+  const copperItems = [...copper.entries()]
+    .filter(([, lengthM]) => lengthM > 0)
+    .sort(([a], [b]) => a - b)
+    .map(([odMM, lengthM]) => {
+      const tube = findTube(odMM);
+      return line({
+        code: `CU-${odMM}`,
+        category: 'copper',
+        item: `Copper refrigerant tube ${tube.inch} (${odMM} mm OD)`,
+        specification: `${tube.wallMM} mm wall, ASTM B280, brazed with nitrogen purge`,
+        quantity: withAllowance(lengthM),
+        unit: 'm',
+        unitPrice: tube.pricePerM
+      });
+    });
+
+  const insulationItems = [...insulation.entries()]
+    .filter(([, lengthM]) => lengthM > 0)
+    .map(([key, lengthM]) => key.split('|').map(Number).concat(lengthM))
+    .sort(([a, thicknessA], [b, thicknessB]) => a - b || thicknessA - thicknessB)
+    .map(([odMM, thicknessMM, lengthM]) => line({
+      code: `INS-${odMM}-${thicknessMM}`,
+      category: 'insulation',
+      item: `Nitrile rubber insulation ${thicknessMM} mm for ${findTube(odMM).inch} tube`,
+      specification: 'Closed-cell elastomeric, class O fire rating',
+      quantity: withAllowance(lengthM),
+      unit: 'm',
+      unitPrice: INSULATION_RATES.find(rate => odMM <= rate.upToMM)[thicknessMM]
+    }));
+
+  const fittingItems = Object.values((analysis?.fittings || [])
+    .filter(fitting => fitting.model)
+    .reduce((acc, fitting) => {
+      const entry = acc[fitting.model] || {
+        code: fitting.model,
+        category: 'joint',
+        item: `${NODE_TYPES[fitting.type].name} ${fitting.model}`,
+        specification: fitting.type === 'header'
+          ? `Up to ${REFNET_HEADERS.find(header => header.model === fitting.model).branches} branches, with reducers and insulation`
+          : 'Y-branch kit with reducers and insulation',
+        quantity: 0,
+        unit: 'nos',
+        unitPrice: fitting.price
+      };
+      acc[fitting.model] = { ...entry, quantity: entry.quantity + 1 };
+      return acc;
+    }, {}))
+    .map(line);
+
+  return [...copperItems, ...fittingItems, ...insulationItems];
+}
+
+/**
+ * Combine the schedules of several systems
+ * @param {Array} schedules - Schedules from getPipingSchedule
+ * @returns {Array} One line per item code
+ */
+export function mergePipingSchedules(schedules) {
+  const merged = new Map();
+  schedules.flat().forEach(item => {
+    const existing = merged.get(item.code);
+    merged.set(item.code, existing
+      ? { ...existing, quantity: existing.quantity + item.quantity, totalPrice: existing.totalPrice + item.totalPrice }
+      : { ...item });
+  });
+  const categoryOrder = ['copper', 'joint', 'insulation', 'refrigerant'];
+  return [...merged.values()].sort((a, b) => (
+    categoryOrder.indexOf(a.category) - categoryOrder.indexOf(b.category) || a.unitPrice - b.unitPrice
+  ));
+}
+
+export default {
+  NODE_TYPES,
+  COPPER_TUBES,
+  LINE_SIZES,
+  REFNET_JOINTS,
+  REFNET_HEADERS,
+  INSULATION_RATES,
+  DEFAULT_PIPING_LIMITS,
+  getPipingLimits,
+  createPipingNode,
+  removePipingNode,
+  createChainNetwork,
+  analysePipingNetwork,
+  getPipingConditions,
+  getPipingSchedule,
+  mergePipingSchedules
+};
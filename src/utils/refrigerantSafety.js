@@ -0,0 +1,176 @@
+/**
+ * Refrigerant Charge and Concentration Limits
+ * System charge = outdoor unit factory charge + additional charge for the
+ * liquid line actually installed. If the whole charge leaks into the smallest
+ * occupied room a system serves, its concentration (kg/m³) must stay under the
+ * refrigerant's limit:
+ *
+ * - ASHRAE 15 / ASHRAE 34: refrigerant concentration limit (RCL), halved for
+ *   institutional occupancies (hospitals, nursing homes)
+ * - ISO 5149-1: practical limit
+ *
+ * Rooms over the limit need leak detection with alarm and shut-off and
+ * mechanical ventilation; beyond what those can cover the system has to be
+ * split or its charge reduced.
+ */
+
+import { COPPER_TUBES } from './refrigerantPiping';
+import { getRoomSheet } from './roomLoadEngine';
+
+/**
+ * Refrigerant data (ASHRAE 34 / ISO 5149-1); liquid density at about 10°C subcooled
+ */
+export const REFRIGERANTS = {
+  R410A: { name: 'R410A', safetyGroup: 'A1', rclKgM3: 0.42, practicalLimitKgM3: 0.44, lflKgM3: null, liquidDensityKgM3: 1140, pricePerKg: 850 },
+  R32: { name: 'R32', safetyGroup: 'A2L', rclKgM3: 0.077, practicalLimitKgM3: 0.061, lflKgM3: 0.307, liquidDensityKgM3: 1020, pricePerKg: 650 },
+  R134a: { name: 'R134a', safetyGroup: 'A1', rclKgM3: 0.21, practicalLimitKgM3: 0.25, lflKgM3: null, liquidDensityKgM3: 1260, pricePerKg: 750 },
+  R407C: { name: 'R407C', safetyGroup: 'A1', rclKgM3: 0.29, practicalLimitKgM3: 0.31, lflKgM3: null, liquidDensityKgM3: 1200, pricePerKg: 800 }
+};
+
+export const SAFETY_STANDARDS = {
+  ashrae15: { name: 'ASHRAE 15', limit: 'rclKgM3', institutionalFactor: 0.5 },
+  iso5149: { name: 'ISO 5149', limit: 'practicalLimitKgM3', institutionalFactor: 1 }
+};
+
+export const SAFETY_MEASURES = {
+  detection: 'Refrigerant leak detector with alarm and shut-off valves',
+  ventilation: 'Mechanical ventilation to outside, started by the detector',
+  split: 'Split the system or reduce its charge'
+};
+
+// Detection and ventilation are taken to cover up to this multiple of the limit
+const MITIGATED_LIMIT_FACTOR = 2;
+// Flammable refrigerants must stay under this fraction of LFL even with safety measures
+const LFL_FRACTION = 0.5;
+const FT3_TO_M3 = 0.0283168;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * @param {string} name - e.g. 'R410A', 'R-32', 'r410a'
+ * @returns {Object} Refrigerant data (R410A when not recognised)
+ */
+export function getRefrigerant(name) {
+  const key = Object.keys(REFRIGERANTS).find(entry => entry.toLowerCase() === String(name || '').replace(/[^a-z0-9]/gi, '').toLowerCase());
+  return REFRIGERANTS[key || 'R410A'];
+}
+
+/**
+ * Liquid refrigerant held by a metre of liquid line
+ * @param {number} odMM - Tube OD (see COPPER_TUBES)
+ * @param {string} refrigerant
+ * @returns {number} kg/m
+ */
+export function liquidLineChargePerM(odMM, refrigerant = 'R410A') {
+  const tube = COPPER_TUBES.find(entry => entry.odMM === odMM);
+  const boreMM = odMM - 2 * (tube?.wallMM || 0.8);
+  return round(Math.PI / 4 * (boreMM / 1000) ** 2 * getRefrigerant(refrigerant).liquidDensityKgM3, 4);
+}
+
+/**
+ * System refrigerant charge
+ * @param {Object} analysis - From analysePipingNetwork
+ * @param {Object} odu - Outdoor unit (catalog model or getVRFOutdoorUnits unit)
+ * @param {number} [quantity] - Outdoor modules
+ * @returns {Object} { refrigerant, factoryKg, additionalKg, totalKg, lines: [{ odMM, lengthM, kgPerM, kg }] }
+ */
+export function calculateRefrigerantCharge(analysis, odu, quantity = 1) {
+  const refrigerant = getRefrigerant(odu?.refrigerant).name;
+  const lengths = new Map();
+  (analysis?.segments || []).forEach(segment => {
+    lengths.set(segment.liquidMM, (lengths.get(segment.liquidMM) || 0) + segment.lengthM);
+  });
+
+  const lines = [...lengths.entries()]
+    .filter(([, lengthM]) => lengthM > 0)
+    .sort(([a], [b]) => b - a)
+    .map(([odMM, lengthM]) => {
+      const kgPerM = liquidLineChargePerM(odMM, refrigerant);
+      return { odMM, lengthM: round(lengthM, 1), kgPerM, kg: round(kgPerM * lengthM) };
+    });
+  const factoryKg = round((odu?.factoryChargeKg || 0) * quantity, 1);
+  const additionalKg = round(lines.reduce((sum, line) => sum + line.kg, 0), 1);
+
+  return { refrigerant, factoryKg, additionalKg, totalKg: round(factoryKg + additionalKg, 1), lines };
+}
+
+/**
+ * Room volume from a heat load calculation
+ * The sheet is read with getRoomSheet, so rooms saved from the floor-wise
+ * calculator (formData.formData) have a volume as well.
+ * @param {Object} calc - Room calculation ({ formData, heatLoadData })
+ * @returns {number|null} m³
+ */
+export function getRoomVolumeM3(calc) {
+  const form = getRoomSheet(calc);
+  const volumeFt3 = parseFloat(form.volume) || (parseFloat(form.area || form.sqFt) * parseFloat(form.height)) || 0;
+  return volumeFt3 > 0 ? round(volumeFt3 * FT3_TO_M3, 1) : null;
+}
+
+/**
+ * Check the rooms a system serves against the concentration limit
+ * @param {number} chargeKg - Total system charge
+ * @param {Array} rooms - [{ name, volumeM3, occupied }]
+ * @param {Object} [options] - { refrigerant, standard: 'ashrae15' | 'iso5149', institutional }
+ * @returns {Array} Per room: { name, volumeM3, concentrationKgM3, limitKgM3, allowableChargeKg, status, measures, ok }
+ *   status is 'ok', 'unoccupied', 'unknown' (no volume), 'measures' or 'split'
+ */
+export function checkRoomConcentration(chargeKg, rooms, { refrigerant = 'R410A', standard = 'ashrae15', institutional = false } = {}) {
+  const data = getRefrigerant(refrigerant);
+  const rule = SAFETY_STANDARDS[standard] || SAFETY_STANDARDS.ashrae15;
+  const limitKgM3 = round(data[rule.limit] * (institutional ? rule.institutionalFactor : 1), 3);
+  const mitigatedKgM3 = Math.min(
+    limitKgM3 * MITIGATED_LIMIT_FACTOR,
+    data.lflKgM3 ? data.lflKgM3 * LFL_FRACTION : Infinity
+  );
+
+  return rooms.map(room => {
+    const base = { name: room.name, volumeM3: room.volumeM3 || null, limitKgM3 };
+    if (room.occupied === false) return { ...base, concentrationKgM3: null, allowableChargeKg: null, status: 'unoccupied', measures: [], ok: true };
+    if (!(room.volumeM3 > 0)) return { ...base, concentrationKgM3: null, allowableChargeKg: null, status: 'unknown', measures: [], ok: false };
+
+    const concentrationKgM3 = round(chargeKg / room.volumeM3, 3);
+    const status = concentrationKgM3 <= limitKgM3 ? 'ok' : concentrationKgM3 <= mitigatedKgM3 ? 'measures' : 'split';
+    return {
+      ...base,
+      concentrationKgM3,
+      allowableChargeKg: round(limitKgM3 * room.volumeM3, 1),
+      status,
+      measures: status === 'measures' ? ['detection', 'ventilation'] : status === 'split' ? ['split'] : [],
+      ok: status === 'ok'
+    };
+  });
+}
+
+/**
+ * BOQ line for the refrigerant charged on site
+ * @param {Object} charge - From calculateRefrigerantCharge
+ * @returns {Object|null} Schedule line (see getPipingSchedule)
+ */
+export function getChargeScheduleItem(charge) {
+  if (!(charge?.additionalKg > 0)) return null;
+  const data = getRefrigerant(charge.refrigerant);
+  const quantity = Math.ceil(charge.additionalKg * 10) / 10;
+  return {
+    code: `REF-${data.name}`,
+    category: 'refrigerant',
+    item: `${data.name} refrigerant, additional charge`,
+    specification: 'Weighed in after evacuation, as per the liquid line lengths installed',
+    quantity,
+    unit: 'kg',
+    unitPrice: data.pricePerKg,
+    totalPrice: Math.round(quantity * data.pricePerKg)
+  };
+}
+
+export default {
+  REFRIGERANTS,
+  SAFETY_STANDARDS,
+  SAFETY_MEASURES,
+  getRefrigerant,
+  liquidLineChargePerM,
+  calculateRefrigerantCharge,
+  getRoomVolumeM3,
+  checkRoomConcentration,
+  getChargeScheduleItem
+};
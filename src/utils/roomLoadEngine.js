@@ -0,0 +1,404 @@
+/**
+ * Room Heat Load Engine
+ * Headless version of the "Space Considered" sheet (Carrier E-20 style)
+ *
+ * Every screen that shows a room's load (SpaceConsideredForm, the summary
+ * steps, reports) should go through computeRoomLoad so the numbers agree.
+ * The engine is pure: it never touches React state or Firebase and accepts
+ * the raw string values the forms keep in state.
+ *
+ * Pipeline:
+ * - Envelope: sun gain through glass, wall/roof ETD gains, partitions
+ * - Internal: people sensible, lights, appliances, motors
+ * - ESHT = (envelope + internal + infiltration sensible) × (1 + SF)
+ * - ELHT = (infiltration latent + people latent) × (1 + SF)
+ * - Outside air = ventilation load × (1 - BF)
+ * - GTH = ESHT + ELHT + outside air, tons = GTH / 12000
+ * - Dehumidified CFM = ESHT / (1.08 × (1 - BF) × (Room DB - ADP))
+ *
+ * Without an hour the envelope uses the design (peak) sun gains and ETDs of the
+ * sheet; with { hour } they follow the hourly profiles (see hourlyLoadAnalysis).
+ * { latitude, month } moves the sheet's 20°N / May sun gains to the project site.
+ */
+
+import IndianHVACCalculations from './IndianHVACCalculations';
+
+export const BTU_PER_TON = 12000;
+export const BTU_PER_WATT = 3.41;
+export const BTU_PER_HP = 2545;
+export const SENSIBLE_AIR_FACTOR = 1.08;
+export const LATENT_AIR_FACTOR = 0.68;
+
+// Partition ΔT is taken as (outside - inside) less 5°F for unconditioned spaces
+export const PARTITION_DT_OFFSET = 5;
+
+export const WALL_ORIENTATIONS = ['North', 'North East', 'East', 'South East', 'South', 'South West', 'West', 'North West'];
+
+const DEFAULT_GLASS_TYPE = 'Ordinary Glass';
+const DEFAULT_SHADING = 'No Shade';
+const DEFAULT_WALL_TYPE = '6 inch Brick Wall';
+const DEFAULT_WEIGHT = '60';
+const DEFAULT_ROOF_TYPE = 'Concrete Slab 6 inch';
+const DEFAULT_SUN_EXPOSURE = 'Exposed to Sun';
+
+/**
+ * Validation limits used to flag unrealistic results
+ * Supply air 50-60°F, 350-450 CFM/TR, ESHF 0.65-0.95, OA >= 15%
+ */
+export const LOAD_LIMITS = {
+  supplyAirTemp: { min: 50, max: 60 },
+  cfmPerTon: { min: 350, max: 450 },
+  eshf: { min: 0.65, max: 0.95 },
+  minOutsideAirPercentage: 15
+};
+
+const num = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+// Rows flagged `manual` carry their own sun gain and U-factor (spreadsheet style)
+const manualGain = (row) => (num(row?.area) * num(row?.sunGain) * num(row?.uFactor)) || 0;
+
+/**
+ * Sun gain through glass, one item per orientation row of the sheet
+ * @param {Array} rows - [{ area, glassType, shadingType }] or manual rows
+ * @param {number} [hour] - Sun-time hour; peak sun gain when omitted
+ * @param {Object} [site] - { latitude, month }; sheet basis when omitted
+ * @returns {Array} Itemized gains
+ */
+function computeGlassGains(rows = [], hour, site) {
+  const orientations = IndianHVACCalculations.getOrientations();
+  return (rows || []).map((row, index) => {
+    const area = num(row?.area);
+    if (row?.manual) {
+      const gain = manualGain(row) * IndianHVACCalculations.getSolarHourFactor(row.orientation, hour, site);
+      return { orientation: row.orientation || null, area, gain };
+    }
+
+    const orientation = orientations[index];
+    const glassType = row?.glassType || DEFAULT_GLASS_TYPE;
+    const shadingType = row?.shadingType || DEFAULT_SHADING;
+    const gain = orientation
+      ? IndianHVACCalculations.calculateSolarHeatGain(orientation, area, glassType, shadingType, hour, site)
+      : 0;
+    return { orientation: orientation || null, area, glassType, shadingType, gain: gain || 0 };
+  });
+}
+
+/**
+ * Wall gains by orientation (ETD method). Rows beyond the eight wall
+ * orientations are legacy "Roof Sun" rows stored as area × sun gain × U.
+ * @param {Array} rows - [{ area, wallType, wallWeight }]
+ * @param {number} diffDB - Outside minus inside dry bulb (°F)
+ * @param {number} [hour] - Sun-time hour; peak ETD when omitted
+ * @returns {Array} Itemized gains
+ */
+function computeWallGains(rows = [], diffDB, hour) {
+  return (rows || []).map((row, index) => {
+    const area = num(row?.area);
+    const orientation = WALL_ORIENTATIONS[index];
+
+    if (row?.manual || !orientation) {
+      const gain = manualGain(row) * IndianHVACCalculations.getWallETDHourFactor(row?.direction, hour);
+      return { orientation: row?.direction || null, area, gain };
+    }
+
+    const wallType = row?.wallType || DEFAULT_WALL_TYPE;
+    const wallWeight = row?.wallWeight || DEFAULT_WEIGHT;
+    const gain = IndianHVACCalculations.calculateWallHeatGain(area, wallType, orientation, wallWeight, diffDB, hour);
+    return { orientation, area, wallType, wallWeight, gain: gain || 0 };
+  });
+}
+
+/**
+ * Roof gains (ETD method)
+ * @param {Array} rows - [{ area, roofType, sunExposure, roofWeight }]
+ * @param {number} diffDB - Outside minus inside dry bulb (°F)
+ * @param {number} [hour] - Sun-time hour; peak ETD when omitted
+ * @returns {Array} Itemized gains
+ */
+function computeRoofGains(rows = [], diffDB, hour) {
+  return (rows || []).map((row) => {
+    const area = num(row?.area);
+    const roofType = row?.roofType || DEFAULT_ROOF_TYPE;
+    const sunExposure = row?.sunExposure || DEFAULT_SUN_EXPOSURE;
+    const roofWeight = row?.roofWeight || DEFAULT_WEIGHT;
+    const gain = IndianHVACCalculations.calculateRoofHeatGain(area, roofType, sunExposure, roofWeight, diffDB, hour);
+    return { area, roofType, sunExposure, roofWeight, gain: gain || 0 };
+  });
+}
+
+/**
+ * Transmission through partitions, ceilings and floors
+ * @param {Array} rows - [{ area, uFactor }]
+ * @param {number} diffDB - Outside minus inside dry bulb (°F)
+ * @returns {Array} Itemized gains
+ */
+function computePartitionGains(rows = [], diffDB) {
+  const deltaT = Math.max(0, diffDB - PARTITION_DT_OFFSET);
+  return (rows || []).map((row) => {
+    const area = num(row?.area);
+    const uFactor = num(row?.uFactor);
+    return { area, uFactor, deltaT, gain: (area * uFactor * deltaT) || 0 };
+  });
+}
+
+const sumGains = (items) => items.reduce((total, item) => total + item.gain, 0);
+
+/**
+ * Build the list of design warnings for a computed load
+ * @param {Object} load - Result of computeRoomLoad (without warnings)
+ * @returns {Array} [{ code, level, message }]
+ */
+export function getLoadWarnings(load) {
+  const warnings = [];
+  const { supplyAirTemp, cfmPerTon, ESHF, outsideAirPercentage } = load;
+
+  if (supplyAirTemp < LOAD_LIMITS.supplyAirTemp.min && supplyAirTemp > 0) {
+    warnings.push({ code: 'SAT_LOW', level: 'warning', message: '⚠️ Supply air temp < 50°F - Risk of overcooling' });
+  }
+  if (supplyAirTemp > LOAD_LIMITS.supplyAirTemp.max) {
+    warnings.push({ code: 'SAT_HIGH', level: 'warning', message: '⚠️ Supply air temp > 60°F - Insufficient cooling' });
+  }
+  if (cfmPerTon < LOAD_LIMITS.cfmPerTon.min && cfmPerTon > 0) {
+    warnings.push({ code: 'CFM_PER_TON_LOW', level: 'warning', message: '⚠️ CFM/Ton < 350 - High latent load or low airflow' });
+  }
+  if (cfmPerTon > LOAD_LIMITS.cfmPerTon.max) {
+    warnings.push({ code: 'CFM_PER_TON_HIGH', level: 'warning', message: '⚠️ CFM/Ton > 450 - Comfort issues possible' });
+  }
+  if (ESHF < LOAD_LIMITS.eshf.min && ESHF > 0) {
+    warnings.push({ code: 'ESHF_LOW', level: 'info', message: 'ℹ️ Low ESHF - High latent load application' });
+  }
+  if (ESHF > LOAD_LIMITS.eshf.max) {
+    warnings.push({ code: 'ESHF_HIGH', level: 'info', message: 'ℹ️ High ESHF - Very low latent load' });
+  }
+  if (outsideAirPercentage < LOAD_LIMITS.minOutsideAirPercentage && outsideAirPercentage > 0) {
+    warnings.push({ code: 'OA_LOW', level: 'warning', message: '⚠️ Outside Air < 15% - Check ASHRAE 62.1 compliance' });
+  }
+
+  return warnings;
+}
+
+/**
+ * Compute the complete heat load of one room from Space Considered form data
+ * @param {Object} formData - Form state (string or numeric values)
+ * @param {Object} [options]
+ * @param {number} [options.hour] - Sun-time hour (6-20) for the hourly analysis
+ * @param {number} [options.latitude] - Site latitude (°N) for sun gains
+ * @param {number} [options.month] - Design month 1-12 for sun gains
+ * @returns {Object} Every intermediate of the sheet plus warnings
+ */
+export function computeRoomLoad(formData = {}, options = {}) {
+  const data = formData || {};
+  const hour = options?.hour ?? null;
+  const latitude = Number.isFinite(parseFloat(options?.latitude)) ? parseFloat(options.latitude) : null;
+  const month = options?.month ? Number(options.month) : null;
+  const site = latitude !== null || month !== null ? { latitude, month } : null;
+
+  const outsideDB = num(data.outsideDB);
+  const insideDB = num(data.insideDB);
+  const diffDB = data.diffDB !== undefined && data.diffDB !== ''
+    ? num(data.diffDB)
+    : (data.outsideDB && data.insideDB ? outsideDB - insideDB : 0);
+  const diffGR = data.diffGR !== undefined && data.diffGR !== ''
+    ? num(data.diffGR)
+    : (data.outsideGR && data.insideGR ? num(data.outsideGR) - num(data.insideGR) : 0);
+  const area = num(data.sqFt || data.area);
+
+  // Envelope
+  const glassItems = computeGlassGains(data.sunGainGlass, hour, site);
+  const wallItems = computeWallGains(data.solarGainWalls, diffDB, hour);
+  const roofItems = computeRoofGains(data.roofGains, diffDB, hour);
+  const partitionItems = computePartitionGains(data.transGainPartition, diffDB);
+  const glassGain = sumGains(glassItems);
+  const wallGain = sumGains(wallItems);
+  const roofGain = sumGains(roofItems);
+  const partitionGain = sumGains(partitionItems);
+  const envelopeSensible = glassGain + wallGain + roofGain + partitionGain;
+
+  // Internal - occupants may only be on the internal heat row
+  const people = num(data.numPeople || data.numPeopleInternal);
+  const peopleSensible = people * num(data.shPerPerson);
+  const lightsGain = num(data.lightsWatts) * area * BTU_PER_WATT;
+  const appliancesGain = num(data.appliancesWatts) * area * BTU_PER_WATT;
+  const motorGain = (num(data.motorBHP) + num(data.motorHP)) * BTU_PER_HP;
+  const internalSensible = peopleSensible + lightsGain + appliancesGain + motorGain;
+
+  // Air quantities - ventilation is the highest of people, area and volume CFM
+  const ventilationCFM = Math.max(num(data.totalCfmPeople), num(data.totalCfmSqFt), num(data.totalCfmCub));
+  const infiltrationCFM = num(data.cfmInfiltration);
+
+  // Effective room sensible (ventilation is accounted in Outside Air)
+  const sensibleInfiltrationBTU = SENSIBLE_AIR_FACTOR * infiltrationCFM * diffDB;
+  const sensibleVentilationBTU = SENSIBLE_AIR_FACTOR * ventilationCFM * diffDB;
+  const sensibleSubtotal = envelopeSensible + internalSensible + sensibleInfiltrationBTU;
+  const safetyFactorSensible = num(data.safetyFactorSensible);
+  const sensibleSafety = sensibleSubtotal * (safetyFactorSensible / 100);
+  const ESHT = sensibleSubtotal + sensibleSafety;
+
+  // Effective room latent
+  const latentInfiltrationBTU = LATENT_AIR_FACTOR * infiltrationCFM * diffGR;
+  const latentVentilationBTU = LATENT_AIR_FACTOR * ventilationCFM * diffGR;
+  const latentPeopleBTU = people * num(data.lhPerPerson);
+  const latentSubtotal = latentInfiltrationBTU + latentPeopleBTU;
+  const safetyFactorLatent = num(data.safetyFactorLatent);
+  const latentSafety = latentSubtotal * (safetyFactorLatent / 100);
+  const ELHT = latentSubtotal + latentSafety;
+
+  const effectiveRoomTotalHeat = ESHT + ELHT;
+
+  // Outside air heat (ventilation air adjusted by (1 - BF))
+  const BF = num(data.bypassFactor);
+  const contactFactor = 1 - BF;
+  const outsideAirSensible = sensibleVentilationBTU * contactFactor;
+  const outsideAirLatent = latentVentilationBTU * contactFactor;
+  const outsideAirTotal = outsideAirSensible + outsideAirLatent;
+
+  // Dehumidified rise and CFM
+  const selectedADP = num(data.selectedADP);
+  const dehumidifiedRise = contactFactor * Math.max(0, insideDB - selectedADP);
+  const dehumidifiedCFM = dehumidifiedRise > 0 ? (ESHT / (SENSIBLE_AIR_FACTOR * dehumidifiedRise)) : 0;
+
+  const GTH = effectiveRoomTotalHeat + outsideAirTotal;
+  const tonsRequired = GTH / BTU_PER_TON;
+
+  // Heat ratios
+  const ESHF = effectiveRoomTotalHeat > 0 ? (ESHT / effectiveRoomTotalHeat) : 0;
+  const roomTotalBeforeSafety = sensibleSubtotal + latentSubtotal;
+  const roomSHR = roomTotalBeforeSafety > 0 ? (sensibleSubtotal / roomTotalBeforeSafety) : 0;
+  const grandSensible = ESHT + outsideAirSensible;
+  const grandLatent = ELHT + outsideAirLatent;
+  const grandSHR = GTH > 0 ? (grandSensible / GTH) : 0;
+
+  // Air side verification
+  const actualTempRise = dehumidifiedCFM > 0 ? (ESHT / (SENSIBLE_AIR_FACTOR * dehumidifiedCFM)) : 0;
+  const supplyAirTemp = dehumidifiedCFM > 0 ? (insideDB - actualTempRise) : 0;
+  const coilLAT = selectedADP > 0 ? (selectedADP + (BF * (insideDB - selectedADP))) : 0;
+  const returnAirCFM = Math.max(0, dehumidifiedCFM - ventilationCFM);
+  const returnAirPercentage = dehumidifiedCFM > 0 ? ((returnAirCFM / dehumidifiedCFM) * 100) : 0;
+  const outsideAirPercentage = dehumidifiedCFM > 0 ? ((ventilationCFM / dehumidifiedCFM) * 100) : 0;
+  const cfmPerTon = tonsRequired > 0 ? (dehumidifiedCFM / tonsRequired) : 0;
+  const btuPerCFM = dehumidifiedCFM > 0 ? (GTH / dehumidifiedCFM) : 0;
+  const mixedAirTemp = dehumidifiedCFM > 0
+    ? ((returnAirCFM * insideDB) + (ventilationCFM * outsideDB)) / dehumidifiedCFM
+    : 0;
+
+  const load = {
+    hour,
+    solarSite: site,
+    area,
+    diffDB,
+    diffGR,
+
+    glassItems,
+    wallItems,
+    roofItems,
+    partitionItems,
+    glassGain,
+    wallGain,
+    roofGain,
+    partitionGain,
+    envelopeSensible,
+
+    peopleSensible,
+    lightsGain,
+    appliancesGain,
+    motorGain,
+    internalSensible,
+
+    ventilationCFM,
+    infiltrationCFM,
+
+    sensibleInfiltrationBTU,
+    sensibleVentilationBTU,
+    sensibleSubtotal,
+    sensibleSafety,
+    ESHT,
+
+    latentInfiltrationBTU,
+    latentVentilationBTU,
+    latentPeopleBTU,
+    latentSubtotal,
+    latentSafety,
+    ELHT,
+
+    effectiveRoomTotalHeat,
+    BF,
+    contactFactor,
+    outsideAirSensible,
+    outsideAirLatent,
+    outsideAirTotal,
+
+    selectedADP,
+    dehumidifiedRise,
+    dehumidifiedCFM,
+
+    GTH,
+    tonsRequired,
+
+    ESHF,
+    roomSHR,
+    grandSensible,
+    grandLatent,
+    grandSHR,
+    coilSensibleLoad: grandSensible,
+    coilLatentLoad: grandLatent,
+    coilTotalLoad: GTH,
+
+    supplyAirTemp,
+    coilLAT,
+    actualTempRise,
+    returnAirCFM,
+    returnAirPercentage,
+    outsideAirPercentage,
+    cfmPerTon,
+    btuPerCFM,
+    mixedAirTemp
+  };
+
+  load.warnings = getLoadWarnings(load);
+  return load;
+}
+
+/**
+ * The Space Considered sheet behind a saved room calculation
+ * Rooms saved through the floor-wise calculator keep it one level deeper
+ * (formData.formData) than rooms saved from the dashboard.
+ * @param {Object} calc - Room calculation
+ * @returns {Object} Sheet form data ({} when there is none)
+ */
+export function getRoomSheet(calc) {
+  const form = calc?.formData || calc?.heatLoadData?.formData || {};
+  return form.formData || form;
+}
+
+/**
+ * Condense a computed load into the heatLoadData shape stored on rooms
+ * @param {Object} load - Result of computeRoomLoad
+ * @returns {Object} heatLoadData used by room cards and equipment selection
+ */
+export function toHeatLoadData(load) {
+  const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+  return {
+    area: load.area,
+    tonnage: round(load.tonsRequired),
+    totalCfm: round(load.dehumidifiedCFM),
+    sensibleHeat: round(load.ESHT),
+    latentHeat: round(load.ELHT),
+    totalHeat: round(load.GTH),
+    outsideAirCfm: round(load.ventilationCFM),
+    ESHF: round(load.ESHF, 3),
+    supplyAirTemp: round(load.supplyAirTemp),
+    cfmPerTon: round(load.cfmPerTon, 0),
+    calculated: load.GTH > 0
+  };
+}
+
+export default {
+  computeRoomLoad,
+  getLoadWarnings,
+  toHeatLoadData,
+  getRoomSheet,
+  LOAD_LIMITS
+};
@@ -0,0 +1,177 @@
+/**
+ * Solar Gain by Latitude, Month and Hour
+ * ASHRAE clear-sky model (Fundamentals 1985, Ch. 27) on the 21st of each month:
+ * direct normal I_DN = A / exp(B / sin β), sky diffuse C × I_DN, ground
+ * reflectance 0.2, and transmission through ordinary (DSA) glass.
+ *
+ * The Space Considered sheet tabulates sun gain for 20°N in May
+ * (IndianHVACCalculations.solarGainThroughGlass). Rather than replace those
+ * values, the sheet is rescaled by the ratio of the model gain at the project's
+ * latitude, month and hour to the model peak at 20°N in May, so a project at
+ * the sheet basis reproduces the sheet exactly.
+ */
+
+export const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Basis of the Space Considered sheet values
+export const SHEET_BASIS = { latitude: 20, month: 5 };
+
+// Sun-time hours scanned for the daily peak (matches the hourly analysis)
+const PEAK_HOURS = [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20];
+
+/**
+ * Clear-sky constants and solar declination on the 21st of each month
+ * A: apparent solar irradiation at air mass 0 (Btu/hr·sq.ft), B: extinction
+ * coefficient, C: diffuse radiation factor, declination in degrees
+ */
+const MONTHLY_SOLAR_CONSTANTS = [
+  { A: 390, B: 0.142, C: 0.058, declination: -20.0 },
+  { A: 385, B: 0.144, C: 0.060, declination: -10.8 },
+  { A: 376, B: 0.156, C: 0.071, declination: 0.0 },
+  { A: 360, B: 0.180, C: 0.097, declination: 11.6 },
+  { A: 350, B: 0.196, C: 0.121, declination: 20.0 },
+  { A: 345, B: 0.205, C: 0.134, declination: 23.45 },
+  { A: 344, B: 0.207, C: 0.136, declination: 20.6 },
+  { A: 351, B: 0.201, C: 0.122, declination: 12.3 },
+  { A: 365, B: 0.177, C: 0.092, declination: 0.0 },
+  { A: 378, B: 0.160, C: 0.073, declination: -10.5 },
+  { A: 387, B: 0.149, C: 0.063, declination: -19.8 },
+  { A: 391, B: 0.142, C: 0.057, declination: -23.45 }
+];
+
+// Surface azimuth measured from south, east negative; null = horizontal
+const SURFACE_AZIMUTHS = {
+  north: 180,
+  northeast: -135,
+  east: -90,
+  southeast: -45,
+  south: 0,
+  southwest: 45,
+  west: 90,
+  northwest: 135,
+  horizontal: null
+};
+
+// DSA glass transmittance polynomial in cos θ (ASHRAE)
+const GLASS_TRANSMITTANCE = [-0.00885, 2.71235, -0.62062, -7.07329, 9.75995, -3.89922];
+const DIFFUSE_TRANSMITTANCE = 0.79;
+const GROUND_REFLECTANCE = 0.2;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const normalizeOrientation = (orientation) => String(orientation || '').replace(/\s+/g, '').toLowerCase();
+
+/**
+ * Check whether an orientation name is known to the solar model
+ * @param {string} orientation - e.g. 'North East', 'Northeast', 'Horizontal'
+ * @returns {boolean}
+ */
+export function isSolarOrientation(orientation) {
+  return normalizeOrientation(orientation) in SURFACE_AZIMUTHS;
+}
+
+/**
+ * Clamp a month number to 1-12 (defaults to the sheet basis)
+ * @param {number|string} month
+ * @returns {number}
+ */
+export function normalizeMonth(month) {
+  const value = parseInt(month, 10);
+  return value >= 1 && value <= 12 ? value : SHEET_BASIS.month;
+}
+
+/**
+ * Solar heat gain through ordinary glass for a clear day
+ * @param {string} orientation - Surface orientation
+ * @param {Object} site
+ * @param {number} site.latitude - Latitude in degrees (north positive)
+ * @param {number} site.month - Month 1-12 (21st of the month)
+ * @param {number} site.hour - Sun-time hour
+ * @returns {number} Solar heat gain (Btu/hr·sq.ft), 0 with the sun below the horizon
+ */
+export function calculateSolarHeatGainFactor(orientation, { latitude, month, hour }) {
+  const key = normalizeOrientation(orientation);
+  if (!(key in SURFACE_AZIMUTHS)) return 0;
+
+  const { A, B, C, declination } = MONTHLY_SOLAR_CONSTANTS[normalizeMonth(month) - 1];
+  const lat = toRadians(Number(latitude) || 0);
+  const decl = toRadians(declination);
+  const hourAngle = toRadians(15 * (Number(hour) - 12));
+
+  const sinAltitude = Math.cos(lat) * Math.cos(decl) * Math.cos(hourAngle) + Math.sin(lat) * Math.sin(decl);
+  if (sinAltitude <= 0) return 0;
+
+  const altitude = Math.asin(sinAltitude);
+  const cosAzimuth = (sinAltitude * Math.sin(lat) - Math.sin(decl)) / (Math.cos(altitude) * Math.cos(lat));
+  const solarAzimuth = Math.acos(Math.max(-1, Math.min(1, cosAzimuth))) * (hour >= 12 ? 1 : -1);
+  const directNormal = A / Math.exp(B / sinAltitude);
+
+  const surfaceAzimuth = SURFACE_AZIMUTHS[key];
+  let cosIncidence;
+  let diffuse;
+  if (surfaceAzimuth === null) {
+    cosIncidence = sinAltitude;
+    diffuse = C * directNormal;
+  } else {
+    cosIncidence = Math.cos(altitude) * Math.cos(solarAzimuth - toRadians(surfaceAzimuth));
+    diffuse = 0.5 * C * directNormal + 0.5 * GROUND_REFLECTANCE * directNormal * (sinAltitude + C);
+  }
+  cosIncidence = Math.max(0, cosIncidence);
+
+  const transmittance = cosIncidence > 0
+    ? GLASS_TRANSMITTANCE.reduce((sum, coefficient, power) => sum + coefficient * Math.pow(cosIncidence, power), 0)
+    : 0;
+
+  return transmittance * directNormal * cosIncidence + DIFFUSE_TRANSMITTANCE * diffuse;
+}
+
+/**
+ * Peak clear-day solar heat gain over the design hours
+ * @param {string} orientation - Surface orientation
+ * @param {Object} site - { latitude, month }
+ * @returns {number} Solar heat gain (Btu/hr·sq.ft)
+ */
+export function calculatePeakSolarHeatGainFactor(orientation, site) {
+  return Math.max(...PEAK_HOURS.map((hour) => calculateSolarHeatGainFactor(orientation, { ...site, hour })));
+}
+
+const sheetPeaks = {};
+
+/**
+ * Multiplier that moves a sheet sun gain (20°N, May, peak) to another site
+ * @param {string} orientation - Surface orientation
+ * @param {Object} site - { latitude, month, hour }; latitude/month default to the
+ *   sheet basis, no hour means the daily peak
+ * @returns {number} Ratio to apply to the sheet value (1 for unknown orientations)
+ */
+export function getSolarGainRatio(orientation, { latitude, month, hour } = {}) {
+  const key = normalizeOrientation(orientation);
+  if (!(key in SURFACE_AZIMUTHS)) return 1;
+
+  if (sheetPeaks[key] === undefined) {
+    sheetPeaks[key] = calculatePeakSolarHeatGainFactor(key, SHEET_BASIS);
+  }
+
+  const site = {
+    latitude: latitude ?? SHEET_BASIS.latitude,
+    month: normalizeMonth(month ?? SHEET_BASIS.month)
+  };
+  const gain = hour === undefined || hour === null || hour === 'peak'
+    ? calculatePeakSolarHeatGainFactor(key, site)
+    : calculateSolarHeatGainFactor(key, { ...site, hour: Number(hour) });
+
+  return sheetPeaks[key] > 0 ? gain / sheetPeaks[key] : 1;
+}
+
+export default {
+  MONTH_NAMES,
+  SHEET_BASIS,
+  isSolarOrientation,
+  normalizeMonth,
+  calculateSolarHeatGainFactor,
+  calculatePeakSolarHeatGainFactor,
+  getSolarGainRatio
+};
@@ -0,0 +1,361 @@
+/**
+ * Ventilation Compliance
+ * Outdoor air each zone needs and the outdoor air intake of the system serving
+ * it, by the ASHRAE 62.1 Ventilation Rate Procedure or by NBC 2016 (India).
+ *
+ * ASHRAE 62.1 (Section 6.2 and Normative Appendix A):
+ * - Breathing zone: Vbz = Rp·Pz + Ra·Az
+ * - Zone: Voz = Vbz / Ez (zone air distribution effectiveness)
+ * - Single-zone system: Vot = Voz
+ * - 100% outdoor air system (DOAS / treated fresh air unit): Vot = ΣVoz
+ * - Multiple-zone recirculating system:
+ *   Vou = D·ΣRp·Pz + ΣRa·Az, Xs = Vou / Vps, Zpz = Voz / Vpz,
+ *   Evz = 1 + Xs − Zpz, Ev = min(Evz), Vot = Vou / Ev
+ *   (without zone primary airflows: Ev = 0.88·D + 0.22, at most 0.75 from D = 0.6)
+ *
+ * NBC 2016: Voz = max(people × fresh air per person, minimum air changes × volume / 60),
+ * the greater of the two with no distribution or system efficiency applied.
+ *
+ * Units: CFM, ft², ft³, people.
+ */
+
+import { getRoomSheet } from './roomLoadEngine';
+
+export const VENTILATION_METHODS = {
+  ashrae62_1: { name: 'ASHRAE 62.1 Ventilation Rate Procedure' },
+  nbc2016: { name: 'NBC 2016 (India)' }
+};
+
+export const VENTILATION_SYSTEMS = {
+  doas: { name: '100% outdoor air (treated fresh air unit)' },
+  multiZone: { name: 'Multiple-zone recirculating' },
+  singleZone: { name: 'Single-zone (one unit per zone)' }
+};
+
+/**
+ * ASHRAE 62.1 Table 6.2.2.1 occupancy categories
+ * rp CFM/person, ra CFM/ft², density people per 1000 ft² (default occupancy)
+ */
+export const ASHRAE_62_1_ZONES = {
+  office: { name: 'Office space', rp: 5, ra: 0.06, density: 5 },
+  reception: { name: 'Reception area', rp: 5, ra: 0.06, density: 30 },
+  conference: { name: 'Conference / meeting', rp: 5, ra: 0.06, density: 50 },
+  breakRoom: { name: 'Break room / pantry', rp: 5, ra: 0.12, density: 25 },
+  lobby: { name: 'Main entry lobby', rp: 5, ra: 0.06, density: 10 },
+  corridor: { name: 'Corridor', rp: 0, ra: 0.06, density: 0 },
+  storage: { name: 'Occupiable storage', rp: 5, ra: 0.06, density: 2 },
+  equipment: { name: 'Electrical / IT equipment room', rp: 0, ra: 0.06, density: 0 },
+  retail: { name: 'Retail sales', rp: 7.5, ra: 0.12, density: 15 },
+  mall: { name: 'Mall common area', rp: 7.5, ra: 0.06, density: 40 },
+  dining: { name: 'Restaurant dining', rp: 7.5, ra: 0.18, density: 70 },
+  cafeteria: { name: 'Cafeteria / fast food dining', rp: 7.5, ra: 0.18, density: 100 },
+  kitchen: { name: 'Kitchen (cooking)', rp: 7.5, ra: 0.12, density: 20 },
+  bedroom: { name: 'Hotel / dormitory bedroom', rp: 5, ra: 0.06, density: 10 },
+  assembly: { name: 'Multipurpose assembly', rp: 7.5, ra: 0.06, density: 100 },
+  auditorium: { name: 'Auditorium seating', rp: 5, ra: 0.06, density: 150 },
+  gym: { name: 'Health club / weight room', rp: 20, ra: 0.06, density: 10 },
+  classroom: { name: 'Classroom (age 9+)', rp: 10, ra: 0.12, density: 35 },
+  lectureHall: { name: 'Lecture classroom', rp: 7.5, ra: 0.06, density: 65 },
+  laboratory: { name: 'Science laboratory', rp: 10, ra: 0.18, density: 25 },
+  library: { name: 'Library', rp: 5, ra: 0.12, density: 10 },
+  // Healthcare spaces fall under ASHRAE 170; the 62.1-2010 patient room rates stand in here
+  patientRoom: { name: 'Patient room / ward', rp: 25, ra: 0.06, density: 10 }
+};
+
+/**
+ * NBC 2016 Part 8 fresh air: minimum air changes per hour (lower end of the
+ * recommended range) and outdoor air per person
+ */
+export const NBC_2016_ZONES = {
+  office: { name: 'Office', ach: 3, cfmPerPerson: 10 },
+  conference: { name: 'Conference / meeting', ach: 6, cfmPerPerson: 10 },
+  lobby: { name: 'Lobby / reception', ach: 3, cfmPerPerson: 10 },
+  corridor: { name: 'Corridor', ach: 2, cfmPerPerson: 0 },
+  retail: { name: 'Shop / retail', ach: 6, cfmPerPerson: 10 },
+  dining: { name: 'Restaurant / cafe', ach: 12, cfmPerPerson: 15 },
+  kitchen: { name: 'Kitchen (commercial)', ach: 20, cfmPerPerson: 15 },
+  bedroom: { name: 'Bedroom / living room', ach: 1, cfmPerPerson: 10 },
+  assembly: { name: 'Assembly hall / auditorium', ach: 3, cfmPerPerson: 10 },
+  classroom: { name: 'Classroom', ach: 3, cfmPerPerson: 10 },
+  laboratory: { name: 'Laboratory', ach: 6, cfmPerPerson: 15 },
+  library: { name: 'Library', ach: 3, cfmPerPerson: 10 },
+  patientRoom: { name: 'Hospital ward', ach: 6, cfmPerPerson: 15 },
+  toilet: { name: 'Toilet / bath', ach: 6, cfmPerPerson: 0 },
+  workshop: { name: 'Factory / workshop', ach: 8, cfmPerPerson: 15 }
+};
+
+/**
+ * ASHRAE 62.1 Table 6.2.1.2 zone air distribution effectiveness
+ */
+export const ZONE_AIR_DISTRIBUTION = {
+  ceilingCool: { name: 'Ceiling supply of cool air', ez: 1.0 },
+  ceilingWarmFloorReturn: { name: 'Ceiling supply of warm air, floor return', ez: 1.0 },
+  ceilingWarm: { name: 'Ceiling supply of warm air (15°F+ above space), ceiling return', ez: 0.8 },
+  floorCool: { name: 'Floor supply of cool air, ceiling return', ez: 1.0 },
+  displacement: { name: 'Low velocity displacement / underfloor with stratification', ez: 1.2 },
+  floorWarm: { name: 'Floor supply of warm air, ceiling return', ez: 0.7 },
+  makeupOpposite: { name: 'Makeup air drawn in opposite the exhaust or return', ez: 0.8 },
+  makeupNear: { name: 'Makeup air drawn in near the exhaust or return', ez: 0.5 }
+};
+
+const FT3_PER_M3 = 35.3147;
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+const num = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+// Room type wording → [ASHRAE 62.1 category, NBC 2016 category]; short words are
+// bounded so that they do not match inside others ("Small Office", "Workshop")
+const ZONE_MATCHES = [
+  [/ward|patient|icu|\bot\b|operation|pharmacy/, 'patientRoom', 'patientRoom'],
+  [/conference|meeting|board/, 'conference', 'conference'],
+  [/reception|waiting|opd/, 'reception', 'lobby'],
+  [/lobby|foyer/, 'lobby', 'lobby'],
+  [/corridor|passage|lift|stair/, 'corridor', 'corridor'],
+  [/toilet|restroom|bath|\bwc\b/, 'corridor', 'toilet'],
+  [/server|it room|electrical|\bups\b|\bdata\b/, 'equipment', 'office'],
+  [/storage|store|utility/, 'storage', 'corridor'],
+  [/pantry|break/, 'breakRoom', 'dining'],
+  [/kitchen/, 'kitchen', 'kitchen'],
+  [/cafeteria|canteen|food court/, 'cafeteria', 'dining'],
+  [/restaurant|dining|cafe|\bbars?\b/, 'dining', 'dining'],
+  [/\bmall\b/, 'mall', 'retail'],
+  [/retail|\bshop|showroom|sales/, 'retail', 'retail'],
+  [/guest|suite|\bbed(s|room)?\b|living|hotel|dorm|hostel|study/, 'bedroom', 'bedroom'],
+  [/auditorium|theat|cinema/, 'auditorium', 'assembly'],
+  [/lecture/, 'lectureHall', 'classroom'],
+  [/banquet|hall|assembly|multipurpose/, 'assembly', 'assembly'],
+  [/gym|\bspa\b|fitness/, 'gym', 'assembly'],
+  [/class/, 'classroom', 'classroom'],
+  [/\blab(s|oratory)?\b/, 'laboratory', 'laboratory'],
+  [/library/, 'library', 'library'],
+  [/factory|workshop|industr/, 'office', 'workshop']
+];
+
+/**
+ * Occupancy category for a room type
+ * @param {string} roomType - Room type or name
+ * @param {string} [method] - VENTILATION_METHODS key
+ * @returns {string} ASHRAE_62_1_ZONES or NBC_2016_ZONES key (office when not recognised)
+ */
+export function getZoneCategory(roomType, method = 'ashrae62_1') {
+  const table = method === 'nbc2016' ? NBC_2016_ZONES : ASHRAE_62_1_ZONES;
+  if (table[roomType]) return roomType;
+  const text = String(roomType || '').toLowerCase();
+  const match = ZONE_MATCHES.find(([pattern]) => pattern.test(text));
+  return match ? match[method === 'nbc2016' ? 2 : 1] : 'office';
+}
+
+/**
+ * Outdoor air a zone needs
+ * @param {Object} zone - { category, roomType, areaFt2, volumeFt3, people, distribution }
+ *   (for ASHRAE 62.1, people defaults to the category's occupant density)
+ * @param {string} [method] - VENTILATION_METHODS key
+ * @returns {Object} { method, category, categoryName, people, peopleCFM, areaCFM, achCFM, vbz, ez, voz }
+ */
+export function calculateZoneOutdoorAir(zone, method = 'ashrae62_1') {
+  const areaFt2 = num(zone.areaFt2);
+  const category = zone.category && (method === 'nbc2016' ? NBC_2016_ZONES : ASHRAE_62_1_ZONES)[zone.category]
+    ? zone.category
+    : getZoneCategory(zone.roomType, method);
+
+  if (method === 'nbc2016') {
+    const rates = NBC_2016_ZONES[category];
+    const people = num(zone.people);
+    const peopleCFM = people * rates.cfmPerPerson;
+    const achCFM = rates.ach * num(zone.volumeFt3) / 60;
+    const voz = Math.max(peopleCFM, achCFM);
+    return {
+      method,
+      category,
+      categoryName: rates.name,
+      people,
+      peopleCFM: round(peopleCFM, 1),
+      areaCFM: 0,
+      achCFM: round(achCFM, 1),
+      vbz: round(voz, 1),
+      ez: 1,
+      voz: round(voz, 1)
+    };
+  }
+
+  const rates = ASHRAE_62_1_ZONES[category];
+  const people = zone.people !== undefined && zone.people !== '' && zone.people !== null
+    ? num(zone.people)
+    : Math.ceil(rates.density * areaFt2 / 1000);
+  const peopleCFM = rates.rp * people;
+  const areaCFM = rates.ra * areaFt2;
+  const ez = ZONE_AIR_DISTRIBUTION[zone.distribution]?.ez || ZONE_AIR_DISTRIBUTION.ceilingCool.ez;
+  return {
+    method,
+    category,
+    categoryName: rates.name,
+    people,
+    peopleCFM: round(peopleCFM, 1),
+    areaCFM: round(areaCFM, 1),
+    achCFM: 0,
+    vbz: round(peopleCFM + areaCFM, 1),
+    ez,
+    voz: round((peopleCFM + areaCFM) / ez, 1)
+  };
+}
+
+/**
+ * Outdoor air intake of one system and the zones it serves
+ * @param {Array} zones - [{ key, name, category, roomType, areaFt2, volumeFt3, people, supplyCFM, providedCFM }]
+ * @param {Object} [options] - { method, systemType, distribution, diversity (D = Ps / ΣPz) }
+ * @returns {Object} { zones, vou, vps, xs, ev, evMethod, vot, providedCFM, warnings, ok }
+ *   zones carry calculateZoneOutdoorAir's fields plus { zpz, evz, providedCFM, ok }
+ */
+export function calculateSystemVentilation(zones, options = {}) {
+  const { method = 'ashrae62_1', systemType = 'doas', distribution = 'ceilingCool' } = options;
+  const diversity = Math.min(1, num(options.diversity) || 1);
+  const rows = zones.map(zone => {
+    const required = calculateZoneOutdoorAir({ distribution, ...zone }, method);
+    const supplyCFM = Math.round(num(zone.supplyCFM));
+    const providedCFM = num(zone.providedCFM);
+    return {
+      key: zone.key,
+      name: zone.name,
+      areaFt2: num(zone.areaFt2),
+      supplyCFM,
+      providedCFM: Math.round(providedCFM),
+      ...required,
+      zpz: supplyCFM > 0 ? round(required.voz / supplyCFM, 3) : null
+    };
+  });
+
+  const sumVoz = rows.reduce((sum, row) => sum + row.voz, 0);
+  const warnings = [];
+  let vou = sumVoz;
+  let vps = rows.reduce((sum, row) => sum + row.supplyCFM, 0);
+  let xs = null;
+  let ev = 1;
+  let evMethod = null;
+
+  if (method === 'ashrae62_1' && systemType === 'multiZone') {
+    // Occupant diversity applies to the people component only
+    vou = rows.reduce((sum, row) => sum + diversity * row.peopleCFM + row.areaCFM, 0);
+    if (rows.every(row => row.zpz !== null) && vps > 0) {
+      xs = vou / vps;
+      const evz = rows.map(row => 1 + xs - row.voz / row.supplyCFM);
+      rows.forEach((row, index) => {
+        row.evz = round(evz[index], 3);
+      });
+      ev = Math.min(...evz);
+      evMethod = 'appendixA';
+    } else {
+      ev = diversity < 0.6 ? 0.88 * diversity + 0.22 : 0.75;
+      evMethod = 'simplified';
+    }
+    if (ev <= 0) {
+      warnings.push('A zone needs more outdoor air than its primary airflow can carry; raise its supply or serve it with 100% outdoor air');
+      ev = null;
+    }
+  }
+
+  const vot = method === 'ashrae62_1' && systemType === 'multiZone'
+    ? (ev ? vou / ev : null)
+    : sumVoz;
+  const providedCFM = rows.reduce((sum, row) => sum + row.providedCFM, 0);
+
+  // 100% outdoor air and single-zone systems must reach every zone; recirculating ones just need the intake
+  rows.forEach(row => {
+    row.ok = systemType === 'multiZone' ? true : row.providedCFM + 0.5 >= row.voz;
+    if (!row.ok) warnings.push(`${row.name}: ${row.providedCFM} CFM outdoor air, needs ${Math.round(row.voz)} CFM`);
+  });
+  const intakeOK = vot !== null && providedCFM + 0.5 >= vot;
+  if (vot !== null && !intakeOK && systemType === 'multiZone') {
+    warnings.push(`Outdoor air intake ${Math.round(providedCFM)} CFM is below Vot ${Math.round(vot)} CFM`);
+  }
+
+  return {
+    method,
+    systemType,
+    distribution,
+    diversity,
+    zones: rows,
+    sumVoz: round(sumVoz, 1),
+    vou: round(vou, 1),
+    vps: Math.round(vps),
+    xs: xs === null ? null : round(xs, 3),
+    ev: ev === null ? null : round(ev, 3),
+    evMethod,
+    vot: vot === null ? null : round(vot, 1),
+    providedCFM: Math.round(providedCFM),
+    warnings,
+    ok: intakeOK && rows.every(row => row.ok)
+  };
+}
+
+/**
+ * Zone inputs from a saved room calculation
+ * The sheet is read with getRoomSheet, which also finds the formData.formData
+ * nesting of rooms saved from the floor-wise calculator.
+ * @param {Object} calc - Room calculation (formData, heatLoadData)
+ * @returns {Object} { roomType, areaFt2, volumeFt3, people, supplyCFM, providedCFM }
+ */
+export function getRoomVentilationZone(calc) {
+  const form = getRoomSheet(calc);
+  const areaFt2 = num(form.sqFt || form.area || calc?.heatLoadData?.area);
+  const volumeFt3 = num(form.cubFt || form.volume) || areaFt2 * num(form.height) ||
+    num(calc?.volumeM3) * FT3_PER_M3;
+  const people = form.numPeople ?? form.numPeopleInternal;
+  return {
+    roomType: calc?.roomType || form.roomType || calc?.roomName || '',
+    areaFt2,
+    volumeFt3: round(volumeFt3, 1),
+    people: people === '' || people === undefined ? undefined : num(people),
+    supplyCFM: num(calc?.heatLoadData?.totalCfm || calc?.supplyCFM),
+    providedCFM: num(calc?.heatLoadData?.outsideAirCfm ?? calc?.freshAirCFM)
+  };
+}
+
+/**
+ * Project ventilation compliance report, one system per floor
+ * @param {Array} zones - [{ key, floorId, floorName, name, category, ...getRoomVentilationZone }]
+ * @param {Object} [options] - calculateSystemVentilation options
+ * @returns {Object} { method, systemType, systems: [{ floorId, floorName, ...system }], totals, warnings, ok }
+ */
+export function getVentilationReport(zones, options = {}) {
+  const floors = zones.reduce((acc, zone) => {
+    if (!acc.has(zone.floorId)) acc.set(zone.floorId, { floorId: zone.floorId, floorName: zone.floorName, zones: [] });
+    acc.get(zone.floorId).zones.push(zone);
+    return acc;
+  }, new Map());
+
+  const systems = [...floors.values()].map(floor => ({
+    floorId: floor.floorId,
+    floorName: floor.floorName,
+    ...calculateSystemVentilation(floor.zones, options)
+  }));
+  const totals = {
+    zones: zones.length,
+    sumVoz: round(systems.reduce((sum, system) => sum + system.sumVoz, 0), 1),
+    vot: round(systems.reduce((sum, system) => sum + (system.vot || 0), 0), 1),
+    providedCFM: systems.reduce((sum, system) => sum + system.providedCFM, 0)
+  };
+
+  return {
+    method: options.method || 'ashrae62_1',
+    systemType: options.systemType || 'doas',
+    systems,
+    totals,
+    warnings: systems.flatMap(system => system.warnings.map(warning => `${system.floorName}: ${warning}`)),
+    ok: systems.every(system => system.ok)
+  };
+}
+
+export default {
+  VENTILATION_METHODS,
+  VENTILATION_SYSTEMS,
+  ASHRAE_62_1_ZONES,
+  NBC_2016_ZONES,
+  ZONE_AIR_DISTRIBUTION,
+  getZoneCategory,
+  calculateZoneOutdoorAir,
+  calculateSystemVentilation,
+  getRoomVentilationZone,
+  getVentilationReport
+};
@@ -5,7 +5,8 @@
  * This system:
  * - Selects appropriate VRF outdoor units based on total tonnage
  * - Recommends indoor unit types and capacities for each room
- * - Calculates pipe sizing and refrigerant piping lengths
+ * - Sizes the refrigerant piping tree (see refrigerantPiping)
+ * - Computes the refrigerant charge and checks room concentration limits (see refrigerantSafety)
  * - Generates equipment schedules and BOQ items
  * 
  * Standards:
@@ -14,202 +15,59 @@
  * - Manufacturer specifications (Daikin, Mitsubishi, LG, etc.)
  */
 
-// ==================== VRF OUTDOOR UNIT DATABASE ====================
+import { EQUIPMENT_CATALOG, IDU_TYPES, TR_TO_BTUH, TR_TO_KW, filterModels, getIDUTypeKey, selectModel } from './equipmentCatalog';
+import { getDeratedCapacity } from './oduDerating';
+import { createChainNetwork, analysePipingNetwork, getPipingSchedule } from './refrigerantPiping';
+import { calculateRefrigerantCharge, checkRoomConcentration, getChargeScheduleItem } from './refrigerantSafety';
+
+// ==================== CATALOG VIEWS ====================
 
 /**
- * VRF Outdoor Unit Specifications
- * Organized by capacity ranges
+ * VRF outdoor units from the equipment catalog, smallest first
+ * @param {Array} [models] - Catalog models (reference range by default)
+ * @param {Object} [conditions] - Site conditions to derate to (see oduDerating), rating conditions by default
+ * @returns {Array} Units in the shape the selection and BOQ functions use
  */
-export const VRF_OUTDOOR_UNITS = {
-  // Small capacity systems (up to 10 TR)
-  'VRF-ODU-08': {
-    model: 'VRF-ODU-08',
-    brand: 'Multi-Brand Compatible',
-    capacity: { ton: 8, btu: 96000, kw: 28.1 },
-    powerInput: { kw: 7.5, phase: '3-Phase', voltage: '380-415V' },
-    maxIndoorUnits: 16,
-    maxPipeLength: { m: 150, ft: 492 },
-    maxPipeDifference: { m: 50, ft: 164 },
-    refrigerant: 'R410A',
-    connectionRatio: '130%',
-    price: 350000,
-    dimensions: { w: 990, d: 780, h: 1680, unit: 'mm' },
-    weight: 285,
-    application: 'Small Office, Boutique, Residence'
-  },
-  'VRF-ODU-10': {
-    model: 'VRF-ODU-10',
-    brand: 'Multi-Brand Compatible',
-    capacity: { ton: 10, btu: 120000, kw: 35.2 },
-    powerInput: { kw: 9.2, phase: '3-Phase', voltage: '380-415V' },
-    maxIndoorUnits: 20,
-    maxPipeLength: { m: 150, ft: 492 },
-    maxPipeDifference: { m: 50, ft: 164 },
-    refrigerant: 'R410A',
-    connectionRatio: '130%',
-    price: 425000,
-    dimensions: { w: 990, d: 780, h: 1680, unit: 'mm' },
-    weight: 295,
-    application: 'Medium Office, Restaurant, Clinic'
-  },
-
-  // Medium capacity systems (10-20 TR)
-  'VRF-ODU-12': {
-    model: 'VRF-ODU-12',
-    brand: 'Multi-Brand Compatible',
-    capacity: { ton: 12, btu: 144000, kw: 42.2 },
-    powerInput: { kw: 11.0, phase: '3-Phase', voltage: '380-415V' },
-    maxIndoorUnits: 24,
-    maxPipeLength: { m: 165, ft: 541 },
-    maxPipeDifference: { m: 50, ft: 164 },
-    refrigerant: 'R410A',
-    connectionRatio: '135%',
-    price: 510000,
-    dimensions: { w: 990, d: 780, h: 1850, unit: 'mm' },
-    weight: 315,
-    application: 'Large Office, Retail Store, School'
-  },
-  'VRF-ODU-14': {
-    model: 'VRF-ODU-14',
-    brand: 'Multi-Brand Compatible',
-    capacity: { ton: 14, btu: 168000, kw: 49.2 },
-    powerInput: { kw: 12.8, phase: '3-Phase', voltage: '380-415V' },
-    maxIndoorUnits: 28,
-    maxPipeLength: { m: 165, ft: 541 },
-    maxPipeDifference: { m: 50, ft: 164 },
-    refrigerant: 'R410A',
-    connectionRatio: '135%',
-    price: 595000,
-    dimensions: { w: 1240, d: 780, h: 1850, unit: 'mm' },
-    weight: 340,
-    application: 'Hotel Floor, Hospital Ward, Showroom'
-  },
-  'VRF-ODU-16': {
-    model: 'VRF-ODU-16',
-    brand: 'Multi-Brand Compatible',
-    capacity: { ton: 16, btu: 192000, kw: 56.3 },
-    powerInput: { kw: 14.5, phase: '3-Phase', voltage: '380-415V' },
-    maxIndoorUnits: 32,
-    maxPipeLength: { m: 165, ft: 541 },
-    maxPipeDifference: { m: 50, ft: 164 },
-    refrigerant: 'R410A',
-    connectionRatio: '135%',
-    price: 680000,
-    dimensions: { w: 1240, d: 780, h: 1850, unit: 'mm' },
-    weight: 360,
-    application: 'Large Showroom, Banquet Hall, Gym'
-  },
-  'VRF-ODU-18': {
-    model: 'VRF-ODU-18',
-    brand: 'Multi-Brand Compatible',
-    capacity: { ton: 18, btu: 216000, kw: 63.3 },
-    powerInput: { kw: 16.2, phase: '3-Phase', voltage: '380-415V' },
-    maxIndoorUnits: 36,
-    maxPipeLength: { m: 165, ft: 541 },
-    maxPipeDifference: { m: 50, ft: 164 },
-    refrigerant: 'R410A',
-    connectionRatio: '140%',
-    price: 765000,
-    dimensions: { w: 1240, d: 780, h: 1850, unit: 'mm' },
-    weight: 380,
-    application: 'Restaurant Floor, Theater, Data Center'
-  },
-  'VRF-ODU-20': {
-    model: 'VRF-ODU-20',
-    brand: 'Multi-Brand Compatible',
-    capacity: { ton: 20, btu: 240000, kw: 70.3 },
-    powerInput: { kw: 18.0, phase: '3-Phase', voltage: '380-415V' },
-    maxIndoorUnits: 40,
-    maxPipeLength: { m: 165, ft: 541 },
-    maxPipeDifference: { m: 50, ft: 164 },
-    refrigerant: 'R410A',
-    connectionRatio: '140%',
-    price: 850000,
-    dimensions: { w: 1490, d: 780, h: 1850, unit: 'mm' },
-    weight: 420,
-    application: 'Large Restaurant, Conference Hall, Auditorium'
-  },
-
-  // Large capacity systems (20-30 TR)
-  'VRF-ODU-24': {
-    model: 'VRF-ODU-24',
-    brand: 'Multi-Brand Compatible',
-    capacity: { ton: 24, btu: 288000, kw: 84.4 },
-    powerInput: { kw: 21.5, phase: '3-Phase', voltage: '380-415V' },
-    maxIndoorUnits: 48,
-    maxPipeLength: { m: 200, ft: 656 },
-    maxPipeDifference: { m: 90, ft: 295 },
-    refrigerant: 'R410A',
-    connectionRatio: '150%',
-    price: 1020000,
-    dimensions: { w: 1490, d: 780, h: 1850, unit: 'mm' },
-    weight: 480,
-    application: 'Hotel Multiple Floors, Hospital Wing'
-  },
-  'VRF-ODU-28': {
-    model: 'VRF-ODU-28',
-    brand: 'Multi-Brand Compatible',
-    capacity: { ton: 28, btu: 336000, kw: 98.4 },
-    powerInput: { kw: 25.0, phase: '3-Phase', voltage: '380-415V' },
-    maxIndoorUnits: 56,
-    maxPipeLength: { m: 200, ft: 656 },
-    maxPipeDifference: { m: 90, ft: 295 },
-    refrigerant: 'R410A',
-    connectionRatio: '150%',
-    price: 1190000,
-    dimensions: { w: 1740, d: 780, h: 1850, unit: 'mm' },
-    weight: 540,
-    application: 'Shopping Mall Floor, Large Office Building'
-  },
-  'VRF-ODU-30': {
-    model: 'VRF-ODU-30',
-    brand: 'Multi-Brand Compatible',
-    capacity: { ton: 30, btu: 360000, kw: 105.5 },
-    powerInput: { kw: 26.8, phase: '3-Phase', voltage: '380-415V' },
-    maxIndoorUnits: 60,
-    maxPipeLength: { m: 200, ft: 656 },
-    maxPipeDifference: { m: 90, ft: 295 },
-    refrigerant: 'R410A',
-    connectionRatio: '150%',
-    price: 1275000,
-    dimensions: { w: 1740, d: 780, h: 1850, unit: 'mm' },
-    weight: 570,
-    application: 'Large Commercial Space, Multi-Floor Building'
-  }
-};
-
-// ==================== INDOOR UNIT DATABASE ====================
+export function getVRFOutdoorUnits(models = EQUIPMENT_CATALOG.models, conditions = {}) {
+  return filterModels(models, { category: 'odu', type: 'combined', systemType: 'vrfHeatPump' })
+    .filter(entry => Number.isFinite(entry.nominalTR))
+    .sort((a, b) => a.nominalTR - b.nominalTR)
+    .map(entry => ({ entry, derated: getDeratedCapacity(entry, conditions) }))
+    .map(({ entry, derated }) => ({
+      id: entry.id,
+      model: entry.model,
+      brand: entry.manufacturer,
+      capacity: { ton: entry.nominalTR, btu: Math.round(entry.nominalTR * TR_TO_BTUH), kw: entry.coolingKW },
+      deratedCapacity: { ton: derated.capacityTR, kw: derated.capacityKW, factor: derated.factors.total },
+      deratingWarnings: derated.warnings,
+      powerInput: { kw: entry.powerKW, phase: '3-Phase', voltage: '380-415V' },
+      maxIndoorUnits: entry.maxIndoorUnits,
+      maxPipeLength: { m: entry.maxPipeLengthM, ft: Math.round(entry.maxPipeLengthM * 3.28) },
+      maxPipeDifference: { m: entry.maxLevelDifferenceM, ft: Math.round(entry.maxLevelDifferenceM * 3.28) },
+      refrigerant: entry.refrigerant,
+      connectionRatio: `${entry.maxConnectionRatio}%`,
+      price: entry.listPrice || 0,
+      dimensions: entry.dimensions ? { ...entry.dimensions, unit: 'mm' } : null,
+      weight: entry.weightKg
+    }));
+}
 
 /**
- * VRF Indoor Unit Types and Specifications
+ * Indoor unit from the equipment catalog in the shape the BOQ uses
+ * @param {Object} entry - Catalog model
+ * @returns {Object}
  */
-export const VRF_INDOOR_UNITS = {
-  // Wall Mounted Units
-  'WALL-0.5': { type: 'Wall Mounted', capacity: 0.5, btu: 6000, cfm: 212, price: 18500, application: 'Small Room, Cabin' },
-  'WALL-0.75': { type: 'Wall Mounted', capacity: 0.75, btu: 9000, cfm: 318, price: 21000, application: 'Bedroom, Small Office' },
-  'WALL-1.0': { type: 'Wall Mounted', capacity: 1.0, btu: 12000, cfm: 424, price: 24500, application: 'Large Bedroom, Office Cabin' },
-  'WALL-1.5': { type: 'Wall Mounted', capacity: 1.5, btu: 18000, cfm: 636, price: 29500, application: 'Large Office, Meeting Room' },
-  'WALL-2.0': { type: 'Wall Mounted', capacity: 2.0, btu: 24000, cfm: 848, price: 35000, application: 'Large Room, Shop' },
-
-  // Ceiling Cassette Units (4-Way)
-  'CASSETTE-1.0': { type: 'Ceiling Cassette 4-Way', capacity: 1.0, btu: 12000, cfm: 400, price: 32000, application: 'Office, Retail' },
-  'CASSETTE-1.5': { type: 'Ceiling Cassette 4-Way', capacity: 1.5, btu: 18000, cfm: 600, price: 38000, application: 'Large Office, Showroom' },
-  'CASSETTE-2.0': { type: 'Ceiling Cassette 4-Way', capacity: 2.0, btu: 24000, cfm: 800, price: 44000, application: 'Restaurant, Large Retail' },
-  'CASSETTE-2.5': { type: 'Ceiling Cassette 4-Way', capacity: 2.5, btu: 30000, cfm: 1000, price: 51000, application: 'Large Showroom, Hall' },
-  'CASSETTE-3.0': { type: 'Ceiling Cassette 4-Way', capacity: 3.0, btu: 36000, cfm: 1200, price: 58000, application: 'Very Large Space, Auditorium' },
-
-  // Concealed Duct Units
-  'DUCT-1.0': { type: 'Concealed Duct', capacity: 1.0, btu: 12000, cfm: 400, staticPressure: 0.4, price: 28000, application: 'Office, Bedroom' },
-  'DUCT-1.5': { type: 'Concealed Duct', capacity: 1.5, btu: 18000, cfm: 600, staticPressure: 0.5, price: 33000, application: 'Large Office, Restaurant' },
-  'DUCT-2.0': { type: 'Concealed Duct', capacity: 2.0, btu: 24000, cfm: 800, staticPressure: 0.6, price: 39000, application: 'Large Space, Multiple Rooms' },
-  'DUCT-3.0': { type: 'Concealed Duct', capacity: 3.0, btu: 36000, cfm: 1200, staticPressure: 0.8, price: 52000, application: 'Very Large Space, Hall' },
-  'DUCT-4.0': { type: 'Concealed Duct', capacity: 4.0, btu: 48000, cfm: 1600, staticPressure: 1.0, price: 68000, application: 'Auditorium, Large Hall' },
-
-  // Floor Standing Units
-  'FLOOR-2.0': { type: 'Floor Standing', capacity: 2.0, btu: 24000, cfm: 800, price: 42000, application: 'Showroom, Gallery' },
-  'FLOOR-2.5': { type: 'Floor Standing', capacity: 2.5, btu: 30000, cfm: 1000, price: 49000, application: 'Large Showroom, Gym' },
-  'FLOOR-3.0': { type: 'Floor Standing', capacity: 3.0, btu: 36000, cfm: 1200, price: 56000, application: 'Very Large Space' }
-};
+const toIndoorUnit = (entry) => ({
+  key: entry.model,
+  id: entry.id,
+  brand: entry.manufacturer,
+  typeKey: entry.type,
+  type: IDU_TYPES[entry.type]?.name || entry.type,
+  capacity: entry.nominalTR,
+  btu: Math.round(entry.nominalTR * TR_TO_BTUH),
+  cfm: entry.airflowCFM,
+  price: entry.listPrice || 0
+});
 
 // ==================== RECOMMENDED UNIT TYPES BY ROOM ====================
 
@@ -247,29 +105,7 @@ export const RECOMMENDED_UNIT_TYPES = {
   'default': { preferred: 'Cassette', alternate: 'Concealed Duct', sizes: [1.5, 2.0, 2.5] }
 };
 
-// ==================== COPPER PIPE SPECIFICATIONS ====================
-
-/**
- * Refrigerant copper pipe sizes based on capacity
- */
-export const COPPER_PIPE_SIZES = {
-  // Suction line (vapor) - OD in inches
-  suction: {
-    '0.5-1.0': { od: 3/8, wall: 0.032, price: 185 },
-    '1.0-1.5': { od: 1/2, wall: 0.032, price: 245 },
-    '1.5-2.5': { od: 5/8, wall: 0.035, price: 310 },
-    '2.5-4.0': { od: 3/4, wall: 0.035, price: 385 },
-    '4.0-6.0': { od: 7/8, wall: 0.045, price: 475 },
-    '6.0-10.0': { od: 1-1/8, wall: 0.050, price: 625 }
-  },
-  // Liquid line (liquid refrigerant) - OD in inches
-  liquid: {
-    '0.5-2.0': { od: 1/4, wall: 0.032, price: 125 },
-    '2.0-4.0': { od: 3/8, wall: 0.032, price: 185 },
-    '4.0-8.0': { od: 1/2, wall: 0.035, price: 245 },
-    '8.0-15.0': { od: 5/8, wall: 0.035, price: 310 }
-  }
-};
+// Copper tube sizes, refnet kits and insulation: see refrigerantPiping.js
 
 // ==================== ACCESSORIES AND MATERIALS ====================
 
@@ -278,9 +114,7 @@ export const COPPER_PIPE_SIZES = {
  */
 export const VRF_ACCESSORIES = {
   // Refrigerant piping accessories
-  'COPPER_INSULATION': { item: 'Armaflex Insulation (per meter)', price: 85, unit: 'm' },
   'PIPE_SUPPORT': { item: 'Pipe Support Bracket', price: 125, unit: 'pcs' },
-  'REFRIGERANT_R410A': { item: 'R410A Refrigerant', price: 850, unit: 'kg' },
   
   // Electrical accessories
   'POWER_CABLE': { item: 'Power Cable 4-Core (per meter)', price: 145, unit: 'm' },
@@ -298,11 +132,6 @@ export const VRF_ACCESSORIES = {
   'WIRED_CONTROLLER': { item: 'Wired Remote Controller', price: 3500, unit: 'pcs' },
   'WIRELESS_CONTROLLER': { item: 'Wireless Remote Controller', price: 4200, unit: 'pcs' },
   
-  // Branch boxes (for multiple indoor units)
-  'BRANCH_BOX_2': { item: 'Refnet Joint 2-Port', price: 8500, unit: 'pcs' },
-  'BRANCH_BOX_4': { item: 'Refnet Joint 4-Port', price: 12500, unit: 'pcs' },
-  'BRANCH_BOX_8': { item: 'Refnet Joint 8-Port', price: 18500, unit: 'pcs' },
-  
   // Installation
   'ODU_STAND': { item: 'Outdoor Unit Stand/Platform', price: 8500, unit: 'set' },
   'VIBRATION_PAD': { item: 'Vibration Isolation Pad', price: 850, unit: 'set' },
@@ -316,15 +145,19 @@ export const VRF_ACCESSORIES = {
  * @param {number} totalTonnage - Total cooling load in tons
  * @param {number} numberOfIndoorUnits - Number of indoor units
  * @param {string} buildingType - Type of building
+ * @param {Array} [models] - Catalog models (reference range by default)
+ * @param {Object} [conditions] - Site outdoor DB, indoor WB and piping (see oduDerating);
+ *   units are compared on their derated capacity at 100% combination
  * @returns {Array} Selected outdoor units with configuration
  */
-export function selectVRFOutdoorUnits(totalTonnage, numberOfIndoorUnits = 0, buildingType = 'Office Building') {
+export function selectVRFOutdoorUnits(totalTonnage, numberOfIndoorUnits = 0, buildingType = 'Office Building', models = EQUIPMENT_CATALOG.models, conditions = {}) {
   // Add 10% safety margin
   const requiredCapacity = totalTonnage * 1.1;
+  const outdoorUnits = getVRFOutdoorUnits(models, conditions);
   
   // Try to find single unit solution first
-  const singleUnit = Object.values(VRF_OUTDOOR_UNITS).find(unit => 
-    unit.capacity.ton >= requiredCapacity && 
+  const singleUnit = outdoorUnits.find(unit => 
+    unit.deratedCapacity.ton >= requiredCapacity && 
     unit.maxIndoorUnits >= numberOfIndoorUnits
   );
   
@@ -332,7 +165,7 @@ export function selectVRFOutdoorUnits(totalTonnage, numberOfIndoorUnits = 0, bui
     return [{
       ...singleUnit,
       quantity: 1,
-      totalCapacity: singleUnit.capacity.ton,
+      totalCapacity: singleUnit.deratedCapacity.ton,
       totalPrice: singleUnit.price,
       configuration: 'Single Unit System'
     }];
@@ -343,23 +176,23 @@ export function selectVRFOutdoorUnits(totalTonnage, numberOfIndoorUnits = 0, bui
   let remainingCapacity = requiredCapacity;
   let remainingIndoorUnits = numberOfIndoorUnits;
   
-  // Sort units by capacity (descending)
-  const sortedUnits = Object.values(VRF_OUTDOOR_UNITS).sort((a, b) => b.capacity.ton - a.capacity.ton);
+  // Sort units by derated capacity (descending)
+  const sortedUnits = [...outdoorUnits].sort((a, b) => b.deratedCapacity.ton - a.deratedCapacity.ton);
   
   while (remainingCapacity > 0) {
     // Find best fit unit
     const bestFit = sortedUnits.find(unit => 
-      unit.capacity.ton <= remainingCapacity * 1.2 &&
+      unit.deratedCapacity.ton <= remainingCapacity * 1.2 &&
       (remainingIndoorUnits === 0 || unit.maxIndoorUnits >= Math.ceil(remainingIndoorUnits / 2))
     ) || sortedUnits[sortedUnits.length - 1];
     
     selectedUnits.push({
       ...bestFit,
       quantity: 1,
-      allocatedCapacity: Math.min(bestFit.capacity.ton, remainingCapacity)
+      allocatedCapacity: Math.min(bestFit.deratedCapacity.ton, remainingCapacity)
     });
     
-    remainingCapacity -= bestFit.capacity.ton;
+    remainingCapacity -= bestFit.deratedCapacity.ton;
     remainingIndoorUnits = Math.max(0, remainingIndoorUnits - bestFit.maxIndoorUnits);
     
     // Safety check
@@ -392,9 +225,10 @@ export function selectVRFOutdoorUnits(totalTonnage, numberOfIndoorUnits = 0, bui
  * Select appropriate indoor unit for a room
  * @param {Object} room - Room data with heat load
  * @param {string} preferredType - Preferred unit type
+ * @param {Array} [models] - Catalog models (reference range by default)
  * @returns {Object} Selected indoor unit
  */
-export function selectIndoorUnit(room, preferredType = null) {
+export function selectIndoorUnit(room, preferredType = null, models = EQUIPMENT_CATALOG.models) {
   const requiredTonnage = room.tonnage || (room.heatLoad?.total || 0) / 12000;
   
   // Add 5% safety margin for indoor units
@@ -402,140 +236,59 @@ export function selectIndoorUnit(room, preferredType = null) {
   
   // Get recommended unit types for this room
   const recommendation = RECOMMENDED_UNIT_TYPES[room.type] || RECOMMENDED_UNIT_TYPES['default'];
-  const unitTypePrefix = preferredType || recommendation.preferred;
-  
-  // Find matching units
-  const matchingUnits = Object.entries(VRF_INDOOR_UNITS).filter(([key, unit]) => 
-    unit.type === unitTypePrefix
-  );
-  
-  // Select closest capacity match (slightly oversized)
-  let selectedUnit = null;
-  let minDifference = Infinity;
-  
-  matchingUnits.forEach(([key, unit]) => {
-    if (unit.capacity >= adjustedTonnage) {
-      const difference = unit.capacity - adjustedTonnage;
-      if (difference < minDifference) {
-        minDifference = difference;
-        selectedUnit = { key, ...unit };
-      }
-    }
-  });
+  const unitType = getIDUTypeKey(preferredType || recommendation.preferred);
   
-  // If no oversized unit found, select largest available
-  if (!selectedUnit) {
-    const largestUnit = matchingUnits.reduce((largest, [key, unit]) => 
-      !largest || unit.capacity > largest.capacity ? { key, ...unit } : largest
-    , null);
-    selectedUnit = largestUnit;
-  }
+  // Smallest unit of this type covering the load, else the largest available
+  const selected = unitType && selectModel(models, { category: 'idu', type: unitType }, adjustedTonnage);
+  if (selected) return toIndoorUnit(selected);
   
-  // If still no unit (type not available), try alternate type
-  if (!selectedUnit && recommendation.alternate) {
-    return selectIndoorUnit(room, recommendation.alternate);
+  // Type not available, try alternate type
+  if (recommendation.alternate && preferredType !== recommendation.alternate) {
+    return selectIndoorUnit(room, recommendation.alternate, models);
   }
   
-  return selectedUnit || {
-    key: 'CASSETTE-2.0',
-    ...VRF_INDOOR_UNITS['CASSETTE-2.0'],
+  return {
+    ...toIndoorUnit(selectModel(models, { category: 'idu', type: 'cassette4Way2x2' }, 2.0)),
     note: 'Default selection - verify requirements'
   };
 }
 
 /**
  * Calculate refrigerant piping requirements
- * @param {Object} layout - Building layout and distances
+ * Sizes the piping tree and itemizes copper, refnet kits, insulation and the
+ * additional refrigerant charge. Without a drawn network the indoor units are
+ * teed off a single run in turn.
+ * @param {Object} layout - { network } or { indoorUnits, typicalPipeRun (m) }, plus the outdoorUnit it
+ *   serves and the rooms ({ name, volumeM3, occupied }) to check the charge against
  * @returns {Object} Piping requirements
  */
 export function calculateRefrigerantPiping(layout) {
   const {
-    outdoorUnitLocation,
-    indoorUnits,
-    buildingHeight,
-    typicalPipeRun = 50 // typical horizontal run in feet
+    outdoorUnit = null,
+    indoorUnits = [],
+    rooms = [],
+    typicalPipeRun = 15 // main pipe run in metres
   } = layout;
   
+  const network = layout.network || createChainNetwork(
+    indoorUnits.map(idu => ({ label: idu.id, capacityKW: (idu.capacity || 1.5) * TR_TO_KW })),
+    { mainLengthM: typicalPipeRun }
+  );
+  const analysis = analysePipingNetwork(network, outdoorUnit, outdoorUnit?.quantity || 1);
+  const charge = calculateRefrigerantCharge(analysis, outdoorUnit, outdoorUnit?.quantity || 1);
+  const chargeItem = getChargeScheduleItem(charge);
+  const schedule = [...getPipingSchedule(analysis), ...(chargeItem ? [chargeItem] : [])];
+  
   const piping = {
-    mainLines: [],
-    branchLines: [],
-    totalLength: 0,
-    totalCost: 0,
-    accessories: []
+    network,
+    analysis,
+    schedule,
+    charge,
+    concentration: checkRoomConcentration(charge.totalKg, rooms, { refrigerant: charge.refrigerant }),
+    totalLength: analysis.totals.totalLengthM,
+    totalCost: schedule.reduce((sum, line) => sum + line.totalPrice, 0)
   };
   
-  // Calculate main line from ODU
-  indoorUnits.forEach(idu => {
-    const capacity = idu.capacity || 1.5;
-    const distance = idu.distance || typicalPipeRun;
-    
-    // Determine pipe sizes
-    let suctionSize, liquidSize;
-    
-    if (capacity <= 1.0) {
-      suctionSize = COPPER_PIPE_SIZES.suction['0.5-1.0'];
-      liquidSize = COPPER_PIPE_SIZES.liquid['0.5-2.0'];
-    } else if (capacity <= 1.5) {
-      suctionSize = COPPER_PIPE_SIZES.suction['1.0-1.5'];
-      liquidSize = COPPER_PIPE_SIZES.liquid['0.5-2.0'];
-    } else if (capacity <= 2.5) {
-      suctionSize = COPPER_PIPE_SIZES.suction['1.5-2.5'];
-      liquidSize = COPPER_PIPE_SIZES.liquid['0.5-2.0'];
-    } else if (capacity <= 4.0) {
-      suctionSize = COPPER_PIPE_SIZES.suction['2.5-4.0'];
-      liquidSize = COPPER_PIPE_SIZES.liquid['2.0-4.0'];
-    } else {
-      suctionSize = COPPER_PIPE_SIZES.suction['4.0-6.0'];
-      liquidSize = COPPER_PIPE_SIZES.liquid['4.0-8.0'];
-    }
-    
-    const pipeLength = distance * 1.2; // Add 20% for fittings and routing
-    
-    piping.branchLines.push({
-      indoorUnit: idu.id,
-      capacity,
-      length: Math.round(pipeLength),
-      suctionSize: `${suctionSize.od}"`,
-      liquidSize: `${liquidSize.od}"`,
-      cost: Math.round((suctionSize.price + liquidSize.price) * pipeLength / 3.28) // Convert to meters
-    });
-    
-    piping.totalLength += pipeLength;
-  });
-  
-  // Calculate insulation
-  piping.accessories.push({
-    item: 'Copper Insulation',
-    quantity: Math.round(piping.totalLength * 2 / 3.28), // meters, both lines
-    unit: 'm',
-    unitPrice: VRF_ACCESSORIES.COPPER_INSULATION.price,
-    totalPrice: Math.round(piping.totalLength * 2 / 3.28 * VRF_ACCESSORIES.COPPER_INSULATION.price)
-  });
-  
-  // Calculate refrigerant requirement (approximately 0.5 kg per meter of piping)
-  const refrigerantKg = Math.round(piping.totalLength * 0.5 / 3.28);
-  piping.accessories.push({
-    item: 'R410A Refrigerant',
-    quantity: refrigerantKg,
-    unit: 'kg',
-    unitPrice: VRF_ACCESSORIES.REFRIGERANT_R410A.price,
-    totalPrice: refrigerantKg * VRF_ACCESSORIES.REFRIGERANT_R410A.price
-  });
-  
-  // Calculate branch boxes needed
-  const branchBoxes = Math.ceil(indoorUnits.length / 4);
-  piping.accessories.push({
-    item: 'Branch Box 4-Port',
-    quantity: branchBoxes,
-    unit: 'pcs',
-    unitPrice: VRF_ACCESSORIES.BRANCH_BOX_4.price,
-    totalPrice: branchBoxes * VRF_ACCESSORIES.BRANCH_BOX_4.price
-  });
-  
-  // Calculate total cost
-  piping.totalCost = piping.branchLines.reduce((sum, line) => sum + line.cost, 0) +
-                     piping.accessories.reduce((sum, acc) => sum + acc.totalPrice, 0);
-  
   return piping;
 }
 
@@ -571,7 +324,7 @@ export function generateVRFSystemBOQ(systemData) {
     name: 'VRF Outdoor Units',
     items: outdoorUnits.map(unit => ({
       description: `${unit.model} - ${unit.capacity.ton} TR VRF Outdoor Unit`,
-      specification: `Capacity: ${unit.capacity.kw} kW, Power: ${unit.powerInput.kw} kW, Max IDU: ${unit.maxIndoorUnits}`,
+      specification: `Capacity: ${unit.capacity.kw} kW (${unit.deratedCapacity?.kw ?? unit.capacity.kw} kW derated), Power: ${unit.powerInput.kw} kW, Max IDU: ${unit.maxIndoorUnits}`,
       quantity: unit.quantity,
       unit: 'nos',
       rate: unit.price,
@@ -613,24 +366,14 @@ export function generateVRFSystemBOQ(systemData) {
   if (piping) {
     const pipingSection = {
       name: 'Refrigerant Piping & Accessories',
-      items: [
-        ...piping.branchLines.map((line, i) => ({
-          description: `Refrigerant Piping Set - ${line.capacity} TR`,
-          specification: `Suction: ${line.suctionSize}, Liquid: ${line.liquidSize}, Length: ${line.length} ft`,
-          quantity: 1,
-          unit: 'set',
-          rate: line.cost,
-          amount: line.cost
-        })),
-        ...piping.accessories.map(acc => ({
-          description: acc.item,
-          specification: `As per manufacturer specifications`,
-          quantity: acc.quantity,
-          unit: acc.unit,
-          rate: acc.unitPrice,
-          amount: acc.totalPrice
-        }))
-      ],
+      items: piping.schedule.map(line => ({
+        description: line.item,
+        specification: line.specification,
+        quantity: line.quantity,
+        unit: line.unit,
+        rate: line.unitPrice,
+        amount: line.totalPrice
+      })),
       total: piping.totalCost
     };
     boq.sections.push(pipingSection);
@@ -753,10 +496,8 @@ export function generateVRFSystemBOQ(systemData) {
 }
 
 export default {
-  VRF_OUTDOOR_UNITS,
-  VRF_INDOOR_UNITS,
+  getVRFOutdoorUnits,
   RECOMMENDED_UNIT_TYPES,
-  COPPER_PIPE_SIZES,
   VRF_ACCESSORIES,
   selectVRFOutdoorUnits,
   selectIndoorUnit,
@@ -4,50 +4,7 @@
  * Handles automatic VRF system selection based on building loads
  */
 
-// VRF System Specifications
-export const VRF_SYSTEMS = {
-  'Heat Pump': {
-    minCapacity: 2, // tons
-    maxCapacity: 16,
-    minModulation: 0.3,
-    maxModulation: 1.1,
-    maxConnections: 8,
-    maxPipingLength: 100,
-    maxHeightDifference: 50,
-    cop_cooling: 4.1,
-    cop_heating: 4.5,
-    efficiency: 'High',
-    applications: ['Office', 'Retail', 'Residential']
-  },
-  'Heat Recovery': {
-    minCapacity: 6,
-    maxCapacity: 32,
-    minModulation: 0.2,
-    maxModulation: 1.15,
-    maxConnections: 16,
-    maxPipingLength: 165,
-    maxHeightDifference: 90,
-    cop_cooling: 3.9,
-    cop_heating: 4.3,
-    efficiency: 'Very High',
-    applications: ['Office', 'Hospital', 'Hotel', 'School'],
-    simultaneous_operation: true
-  },
-  'Water Source': {
-    minCapacity: 4,
-    maxCapacity: 20,
-    minModulation: 0.25,
-    maxModulation: 1.0,
-    maxConnections: 12,
-    maxPipingLength: 200,
-    maxHeightDifference: 100,
-    cop_cooling: 4.5,
-    cop_heating: 4.8,
-    efficiency: 'Very High',
-    applications: ['Office', 'Hospital', 'Laboratory'],
-    requires_water_loop: true
-  }
-};
+import { getSystemType } from './equipmentCatalog';
 
 // Indoor Unit Types with specifications
 export const INDOOR_UNIT_TYPES = {
@@ -194,7 +151,7 @@ export function selectVRFSystem(buildingData) {
     systemType = 'Water Source';
   }
   
-    const system = VRF_SYSTEMS[systemType];
+    const system = getSystemType(systemType);
 
   // Calculate number of outdoor units needed
   const unitsNeeded = Math.ceil(totalLoad / system.maxCapacity);
@@ -359,7 +316,7 @@ function generateRecommendations(systemSelection, indoorUnits, buildingData) {
   }
   
   // Efficiency recommendations
-  if (systemSelection.system.cop_cooling < 4.0) {
+  if (systemSelection.system.copCooling < 4.0) {
     recommendations.push({
       type: 'info',
       message: 'Consider upgrading to a more efficient system for better energy savings.'
@@ -390,7 +347,6 @@ export default {
   selectVRFSystem,
   selectIndoorUnits,
   generateVRFConfiguration,
-  VRF_SYSTEMS,
   INDOOR_UNIT_TYPES,
   BUILDING_REQUIREMENTS
 };
\ No newline at end of file
@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config'
+
+// Calculation utilities are plain modules, so tests run in Node without the app plugins
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['src/**/*.test.{js,jsx}'],
+  },
+})